@@ -107,6 +107,7 @@ describe('coin retirement (migration 014)', () => {
     const state = await buildPublicMarketState({
       cycle: {
         cycle_id: 0, // no schedule rows: nothing reads as collapsed
+        seed: 'retirement-state-seed', // keys the distress signals
         start_time: new Date(Date.now() - 60000),
         end_time: new Date(Date.now() + LONG_DURATION_MS),
         duration_ms: LONG_DURATION_MS
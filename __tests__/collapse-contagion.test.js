@@ -0,0 +1,202 @@
+// Collapse contagion: every executed collapse gives the coins still alive a
+// seed-derived panic shock plus a volatility boost that decays over the
+// following simulator batches, all recorded in coin_collapse_contagion and
+// explained in the completed cycle's results. Pure derivation first, then
+// the collapse lifecycle, the simulator and the results read.
+
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { getCycleResults } = require('../game/gameResultsService');
+const { MarketSimulator } = require('../models/market-simulator');
+const {
+  PANIC_SHOCK,
+  SAME_SECTOR_SHOCK_MULTIPLIER,
+  VOLATILITY_DECAY_PER_BATCH,
+  derivePanicShocks,
+  contagionVolatilityFactor
+} = require('../game/collapseContagion');
+
+jest.setTimeout(30000);
+
+const CYCLE_START = new Date('2026-08-20T10:00:00.000Z');
+const DURATION_MS = 30 * 60 * 1000;
+const WINDOW_START_MS = CYCLE_START.getTime() + DURATION_MS * 0.70;
+const INTERVAL_MS = 30000;
+
+const SURVIVORS = [
+  { coin_id: 3, sector: 'TECH' },
+  { coin_id: 1, sector: 'GENERAL' },
+  { coin_id: 2, sector: 'ENERGY' }
+];
+
+async function pricesNow() {
+  const { rows } = await db.query('SELECT coin_id, current_price::float AS price FROM coins ORDER BY coin_id');
+  return new Map(rows.map((row) => [row.coin_id, row.price]));
+}
+
+// Create the cycle early, then reconcile exactly at the first collapse.
+async function collapseRankZero() {
+  const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:07:00.000Z'), generateSeed: () => 'contagion-seed' });
+  const before = await pricesNow();
+  await reconcileCycle({ now: new Date(WINDOW_START_MS) });
+  const { rows } = await db.query(
+    'SELECT schedule_id, coin_id FROM coin_collapse_schedule WHERE cycle_id = $1 AND collapse_rank = 0',
+    [cycle.cycle_id]
+  );
+  return { cycle, before, collapse: rows[0] };
+}
+
+describe('panic shock derivation', () => {
+  test('is a pure function of the seed, the collapse rank and the surviving coin', () => {
+    const input = { seed: 'seed-a', collapseRank: 2, collapsed: { coin_id: 9, sector: 'TECH' }, survivors: SURVIVORS };
+    const shocks = derivePanicShocks(input);
+
+    expect(shocks.map((s) => s.coinId)).toEqual([1, 2, 3]);
+    expect(derivePanicShocks({ ...input, survivors: SURVIVORS.slice().reverse() })).toEqual(shocks);
+    expect(derivePanicShocks({ ...input, seed: 'seed-b' })).not.toEqual(shocks);
+    expect(derivePanicShocks({ ...input, collapseRank: 3 })).not.toEqual(shocks);
+  });
+
+  test('shocks stay in range and the collapsed coin\'s sector is hit harder', () => {
+    const input = { seed: 'seed-a', collapseRank: 0, survivors: SURVIVORS };
+    const inTech = derivePanicShocks({ ...input, collapsed: { coin_id: 9, sector: 'TECH' } });
+    const elsewhere = derivePanicShocks({ ...input, collapsed: { coin_id: 9, sector: 'MINING' } });
+
+    for (const shock of elsewhere) {
+      expect(shock.panicShock).toBeGreaterThanOrEqual(PANIC_SHOCK.min);
+      expect(shock.panicShock).toBeLessThan(PANIC_SHOCK.max);
+      expect(shock.volatilityBoost).toBeGreaterThan(0);
+    }
+    const techIndex = inTech.findIndex((s) => s.coinId === 3);
+    expect(inTech[techIndex].panicShock).toBeCloseTo(elsewhere[techIndex].panicShock * SAME_SECTOR_SHOCK_MULTIPLIER, 10);
+    // GENERAL is no real grouping: a GENERAL collapse spares GENERAL coins the multiple.
+    const general = derivePanicShocks({ ...input, collapsed: { coin_id: 9, sector: 'GENERAL' } });
+    expect(general).toEqual(elsewhere);
+  });
+
+  test('the volatility boost decays per whole batch and only counts once applied', () => {
+    const appliedAt = new Date('2026-08-20T10:21:00.000Z');
+    const rows = [{ volatility_boost: 1, applied_at: appliedAt }];
+    const at = (ms) => contagionVolatilityFactor(rows, { batchTime: new Date(appliedAt.getTime() + ms), intervalMs: INTERVAL_MS });
+
+    expect(at(-1)).toBe(1);
+    expect(at(0)).toBe(2);
+    expect(at(INTERVAL_MS - 1)).toBe(2);
+    expect(at(INTERVAL_MS)).toBeCloseTo(1 + VOLATILITY_DECAY_PER_BATCH, 10);
+    expect(at(2 * INTERVAL_MS)).toBeCloseTo(1 + VOLATILITY_DECAY_PER_BATCH ** 2, 10);
+    expect(at(100 * INTERVAL_MS)).toBe(1);
+  });
+});
+
+describe('executing a collapse spreads contagion', () => {
+  test('every survivor takes its recorded, seed-derived panic shock at the collapse instant', async () => {
+    const { cycle, before, collapse } = await collapseRankZero();
+
+    const { rows } = await db.query(
+      `SELECT coin_id, source_coin_id, schedule_id, panic_shock, price_before::float AS price_before,
+              price_after::float AS price_after, volatility_boost, applied_at
+       FROM coin_collapse_contagion WHERE cycle_id = $1 ORDER BY coin_id`,
+      [cycle.cycle_id]
+    );
+    expect(rows).toHaveLength(9);
+    expect(rows.map((r) => r.coin_id)).not.toContain(collapse.coin_id);
+
+    const { rows: coins } = await db.query('SELECT coin_id, sector FROM coins WHERE coin_id <> $1', [collapse.coin_id]);
+    const expected = derivePanicShocks({
+      seed: 'contagion-seed',
+      collapseRank: 0,
+      collapsed: { coin_id: collapse.coin_id, sector: 'GENERAL' },
+      survivors: coins
+    });
+    const after = await pricesNow();
+    rows.forEach((row, i) => {
+      expect(row).toMatchObject({
+        coin_id: expected[i].coinId,
+        source_coin_id: collapse.coin_id,
+        schedule_id: collapse.schedule_id,
+        price_before: before.get(row.coin_id)
+      });
+      expect(row.panic_shock).toBeCloseTo(expected[i].panicShock, 10);
+      expect(row.volatility_boost).toBeCloseTo(expected[i].volatilityBoost, 10);
+      expect(row.price_after).toBe(Math.round(before.get(row.coin_id) * (1 - row.panic_shock) * 100) / 100);
+      expect(after.get(row.coin_id)).toBe(row.price_after);
+      expect(row.applied_at.getTime()).toBe(WINDOW_START_MS);
+    });
+
+    // Every shocked price lands in price_history at the collapse instant; a
+    // penny coin whose shock rounds away keeps its price and writes nothing.
+    const moved = rows.filter((row) => row.price_after !== row.price_before);
+    expect(moved.length).toBeGreaterThan(0);
+    const { rows: history } = await db.query(
+      'SELECT coin_id FROM price_history WHERE created_at = $1 AND price > 0 ORDER BY coin_id',
+      [new Date(WINDOW_START_MS).toISOString()]
+    );
+    expect(history.map((row) => row.coin_id)).toEqual(moved.map((row) => row.coin_id));
+  });
+
+  test('replaying reconciliation neither re-shocks nor re-records', async () => {
+    const { cycle } = await collapseRankZero();
+    const prices = await pricesNow();
+
+    await reconcileCycle({ now: new Date(WINDOW_START_MS + 1000) });
+
+    expect(await pricesNow()).toEqual(prices);
+    const { rows } = await db.query('SELECT count(*)::int AS n FROM coin_collapse_contagion WHERE cycle_id = $1', [cycle.cycle_id]);
+    expect(rows[0].n).toBe(9);
+  });
+
+  test('the simulator raises each survivor\'s volatility by its decayed boost', async () => {
+    const { cycle } = await collapseRankZero();
+    const { rows } = await db.query(
+      'SELECT coin_id, volatility_boost, applied_at FROM coin_collapse_contagion WHERE cycle_id = $1',
+      [cycle.cycle_id]
+    );
+    const simulator = new MarketSimulator();
+    simulator.priceUpdateInterval = INTERVAL_MS;
+
+    const seen = new Map();
+    const original = simulator.calculateNewPrice.bind(simulator);
+    simulator.calculateNewPrice = (price, coinId, multiplier, ...rest) => {
+      seen.set(coinId, multiplier);
+      return original(price, coinId, multiplier, ...rest);
+    };
+    await simulator.updateAllPrices({ now: new Date(WINDOW_START_MS + INTERVAL_MS + 1000) });
+    const withContagion = new Map(seen);
+
+    // The same batch with the boosts ignored shows the plain apocalypse factor.
+    await db.query('DELETE FROM coin_collapse_contagion');
+    seen.clear();
+    await simulator.updateAllPrices({ now: new Date(WINDOW_START_MS + INTERVAL_MS + 1000) });
+
+    for (const row of rows) {
+      // The batch one interval after the collapse (and before rank 1's).
+      const batchTime = new Date(WINDOW_START_MS + INTERVAL_MS);
+      const factor = contagionVolatilityFactor([row], { batchTime, intervalMs: INTERVAL_MS });
+      expect(factor).toBeCloseTo(1 + row.volatility_boost * VOLATILITY_DECAY_PER_BATCH, 10);
+      expect(withContagion.get(row.coin_id)).toBeCloseTo(seen.get(row.coin_id) * factor, 10);
+    }
+  });
+
+  test('completed results list each collapse with the contagion it spread', async () => {
+    const { cycle, collapse } = await collapseRankZero();
+    await reconcileCycle({ now: new Date(CYCLE_START.getTime() + DURATION_MS + 1000) });
+
+    const results = await getCycleResults(cycle.apocalypse_id);
+
+    expect(results.collapses).toHaveLength(10);
+    expect(results.collapses.map((c) => c.collapseRank)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    const [first] = results.collapses;
+    expect(first).toMatchObject({ coinId: collapse.coin_id, collapsedAt: new Date(WINDOW_START_MS).toISOString() });
+    expect(first.contagion).toHaveLength(9);
+    expect(first.contagion[0]).toEqual({
+      coinId: expect.any(Number),
+      symbol: expect.any(String),
+      panicShock: expect.any(Number),
+      priceBefore: expect.any(Number),
+      priceAfter: expect.any(Number),
+      volatilityBoost: expect.any(Number)
+    });
+    // Nothing is left alive for the final collapse to shock.
+    expect(results.collapses[9].contagion).toEqual([]);
+  });
+});
@@ -0,0 +1,331 @@
+// Cross-process event bus (game/eventBus.js) on PostgreSQL LISTEN/NOTIFY.
+//
+// Proves: an event published by one process reaches every other listening
+// process once and its own subscribers once (no echo); topics, '*' and
+// unsubscribe route as documented; an event too large for NOTIFY is refused
+// without reaching anyone; a lost listening connection is re-established and
+// announced; committed trades, price batches and settlements are published;
+// and price and game stream subscribers see the batches, ticks and cycle
+// events another process committed.
+//
+// Each EventBus instance stands in for one process. The cycle is a week long
+// and aligned to the wall clock (as in game-event-stream.test.js).
+
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const gameRoundService = require('../game/gameRoundService');
+const { MarketSimulator } = require('../models/market-simulator');
+const priceStream = require('../game/priceStream');
+const gameEvents = require('../game/gameEventStream');
+const {
+  EventBus,
+  EVENT_TOPICS,
+  MAX_NOTIFY_PAYLOAD_BYTES,
+  eventBus
+} = require('../game/eventBus');
+
+jest.setTimeout(30000);
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const TEST_CHANNEL = 'coins_events_test';
+
+let cycle;
+let buses;
+
+function at(fraction) {
+  return new Date(new Date(cycle.start_time).getTime() + WEEK_MS * fraction);
+}
+
+async function startBus(options = {}) {
+  const bus = new EventBus(options);
+  buses.push(bus);
+  await bus.start();
+  return bus;
+}
+
+function record(bus, topic = '*') {
+  const events = [];
+  bus.subscribe(topic, (event) => events.push(event));
+  return events;
+}
+
+async function waitFor(predicate, what) {
+  for (let i = 0; i < 250; i++) {
+    if (predicate()) return;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`timed out waiting for ${what}`);
+}
+
+beforeEach(async () => {
+  buses = [];
+  cycle = await reconcileCycle({ now: new Date(), durationMs: WEEK_MS });
+});
+
+afterEach(async () => {
+  priceStream.closeAllPriceStreams();
+  await gameEvents.closeAllGameEventStreams();
+  await Promise.all([...buses, eventBus].map((bus) => bus.stop()));
+});
+
+describe('EventBus', () => {
+  test('an event reaches the other processes once and its own subscribers once', async () => {
+    const a = await startBus({ channel: TEST_CHANNEL });
+    const b = await startBus({ channel: TEST_CHANNEL });
+    const seenByA = record(a);
+    const seenByB = record(b);
+
+    await expect(a.publish(EVENT_TOPICS.TRADE_EXECUTED, { tradeId: 1 })).resolves.toBe(true);
+    expect(seenByA).toEqual([expect.objectContaining({
+      topic: EVENT_TOPICS.TRADE_EXECUTED,
+      origin: a.origin,
+      local: true,
+      payload: { tradeId: 1 }
+    })]);
+    await waitFor(() => seenByB.length === 1, 'the remote event');
+    expect(seenByB[0]).toEqual({
+      topic: EVENT_TOPICS.TRADE_EXECUTED,
+      origin: a.origin,
+      local: false,
+      sentAt: seenByA[0].sentAt,
+      payload: { tradeId: 1 }
+    });
+
+    // Notifications arrive in order, so once b's reply reaches a, a's own
+    // echo has come and gone.
+    await b.publish('test.reply', {});
+    await waitFor(() => seenByA.length === 2, 'the reply');
+    expect(seenByA.map((event) => [event.topic, event.local])).toEqual([
+      [EVENT_TOPICS.TRADE_EXECUTED, true],
+      ['test.reply', false]
+    ]);
+    expect(seenByB).toHaveLength(2);
+  });
+
+  test('handlers get their topic or every topic until they unsubscribe', async () => {
+    const a = await startBus({ channel: TEST_CHANNEL });
+    const trades = record(a, EVENT_TOPICS.TRADE_EXECUTED);
+    const everything = record(a);
+    const failing = jest.fn(() => { throw new Error('handler failed'); });
+    const unsubscribe = a.subscribe(EVENT_TOPICS.TRADE_EXECUTED, failing);
+
+    await a.publish(EVENT_TOPICS.TRADE_EXECUTED, { n: 1 });
+    await a.publish(EVENT_TOPICS.CYCLE_SETTLING, { n: 2 });
+    unsubscribe();
+    await a.publish(EVENT_TOPICS.TRADE_EXECUTED, { n: 3 });
+
+    expect(trades.map((event) => event.payload.n)).toEqual([1, 3]);
+    expect(everything.map((event) => event.payload.n)).toEqual([1, 2, 3]);
+    expect(failing).toHaveBeenCalledTimes(1);
+  });
+
+  test('an event too large for NOTIFY is refused and reaches no one', async () => {
+    const a = await startBus({ channel: TEST_CHANNEL });
+    const b = await startBus({ channel: TEST_CHANNEL });
+    const seenByA = record(a);
+    const seenByB = record(b);
+
+    const big = { blob: 'x'.repeat(MAX_NOTIFY_PAYLOAD_BYTES) };
+    await expect(a.publish(EVENT_TOPICS.PRICE_BATCH, big)).resolves.toBe(false);
+    await a.publish('test.marker', {});
+    await waitFor(() => seenByB.length > 0, 'the marker');
+    expect(seenByA.map((event) => event.topic)).toEqual(['test.marker']);
+    expect(seenByB.map((event) => event.topic)).toEqual(['test.marker']);
+  });
+
+  test('a lost listening connection is re-established and announced', async () => {
+    const a = await startBus({ channel: TEST_CHANNEL, reconnectMinMs: 10 });
+    const b = await startBus({ channel: TEST_CHANNEL });
+    const seenByA = record(a);
+
+    await db.query('SELECT pg_terminate_backend($1)', [a.client.processID]);
+    await waitFor(() => seenByA.some((event) => event.topic === EVENT_TOPICS.RECONNECTED), 'the reconnect');
+    expect(a.isListening()).toBe(true);
+
+    await b.publish('test.after', {});
+    await waitFor(() => seenByA.some((event) => event.topic === 'test.after'), 'an event after the reconnect');
+  });
+
+  test('stop() ends listening and is idempotent', async () => {
+    const a = await startBus({ channel: TEST_CHANNEL });
+    expect(a.isListening()).toBe(true);
+    await a.stop();
+    await a.stop();
+    expect(a.isListening()).toBe(false);
+  });
+});
+
+describe('published events', () => {
+  test('a committed round trade is published', async () => {
+    const listener = await startBus();
+    const trades = record(listener, EVENT_TOPICS.TRADE_EXECUTED);
+
+    const result = await gameRoundService.buyRoundTrade({
+      userId: 1,
+      apocalypseId: cycle.apocalypse_id,
+      coinId: 5,
+      quantity: 2,
+      now: at(0.01)
+    });
+
+    await waitFor(() => trades.length === 1, 'the trade event');
+    expect(trades[0].payload).toEqual(expect.objectContaining({
+      apocalypseId: cycle.apocalypse_id,
+      userId: 1,
+      coinId: 5,
+      type: 'BUY',
+      quantity: 2,
+      roundTransactionId: result.transaction.roundTransactionId
+    }));
+  });
+
+  test('a committed price batch is published as its tick id ranges', async () => {
+    const listener = await startBus();
+    const batches = record(listener, EVENT_TOPICS.PRICE_BATCH);
+
+    const batchIndex = await new MarketSimulator().updateAllPrices({ now: at(0.01) });
+
+    await waitFor(() => batches.length === 1, 'the price batch event');
+    const { payload } = batches[0];
+    expect(payload).toEqual(expect.objectContaining({ apocalypseId: cycle.apocalypse_id, batchIndex }));
+    const { rows } = await db.query(
+      'SELECT price_history_id FROM price_history ORDER BY price_history_id DESC LIMIT $1',
+      [payload.coinCount]
+    );
+    const ids = rows.map((row) => row.price_history_id);
+    expect(payload.tickRanges).toEqual(priceStream.tickRanges(ids));
+  });
+
+  test('a settlement is published as SETTLING, its final collapses and their ticks, and COMPLETED', async () => {
+    const listener = await startBus();
+    const events = record(listener);
+
+    await reconcileCycle({ now: new Date(new Date(cycle.end_time).getTime() + 1000) });
+
+    await waitFor(() => events.some((event) => event.topic === EVENT_TOPICS.CYCLE_STARTED), 'the successor');
+    const lifecycle = events
+      .map((event) => event.topic)
+      .filter((topic) => topic !== EVENT_TOPICS.COLLAPSE_EXECUTED && topic !== EVENT_TOPICS.CYCLE_MILESTONE);
+    expect(lifecycle).toEqual([
+      EVENT_TOPICS.CYCLE_SETTLING,
+      EVENT_TOPICS.PRICE_BATCH,
+      EVENT_TOPICS.CYCLE_COMPLETED,
+      EVENT_TOPICS.CYCLE_STARTED
+    ]);
+    expect(events.find((event) => event.topic === EVENT_TOPICS.PRICE_BATCH).payload).toEqual(
+      { apocalypseId: cycle.apocalypse_id, batchIndex: null }
+    );
+    expect(events.find((event) => event.topic === EVENT_TOPICS.CYCLE_COMPLETED).payload).toEqual(
+      expect.objectContaining({ apocalypseId: cycle.apocalypse_id, resultsUrl: `/api/game/results/${cycle.apocalypse_id}` })
+    );
+  });
+
+  test('tickRanges folds tick ids into ascending runs', () => {
+    expect(priceStream.tickRanges([7, 3, 4, 5, 9, 8, 12, 4])).toEqual([[3, 5], [7, 9], [12, 12]]);
+    expect(priceStream.tickRanges([])).toEqual([]);
+  });
+});
+
+describe('events from other processes', () => {
+  test('a price stream subscriber gets a batch another process committed', async () => {
+    await eventBus.start();
+    const other = await startBus();
+    const sent = [];
+    await priceStream.openPriceStream({ coinIds: [1, 5], send: (message) => sent.push(message) });
+    expect(sent.map((message) => message.type)).toEqual(['snapshot']);
+
+    // The other process's batch: committed rows, then their id range.
+    const { rows } = await db.query(
+      `INSERT INTO price_history (coin_id, price)
+       SELECT coin_id, current_price * 1.01 FROM coins WHERE NOT retired ORDER BY coin_id
+       RETURNING price_history_id, coin_id, price`
+    );
+    await other.publish(EVENT_TOPICS.PRICE_BATCH, {
+      apocalypseId: cycle.apocalypse_id,
+      batchIndex: 3,
+      coinCount: rows.length,
+      tickRanges: priceStream.tickRanges(rows.map((row) => row.price_history_id))
+    });
+
+    await waitFor(() => sent.length === 2, 'the remote batch');
+    const mine = rows.filter((row) => row.coin_id === 1 || row.coin_id === 5);
+    expect(sent[1]).toEqual(expect.objectContaining({
+      type: 'batch',
+      cycleId: cycle.apocalypse_id,
+      batchIndex: 3,
+      token: priceStream.encodeResumeToken(Math.max(...rows.map((row) => row.price_history_id)))
+    }));
+    expect(sent[1].ticks.map((tick) => [tick.tickId, tick.coinId, tick.price])).toEqual(
+      mine.map((row) => [row.price_history_id, row.coin_id, parseFloat(row.price)])
+    );
+  });
+
+  test("a price stream subscriber gets the ticks another process's trade committed", async () => {
+    await eventBus.start();
+    const other = await startBus();
+    const sent = [];
+    await priceStream.openPriceStream({ coinIds: [5], send: (message) => sent.push(message) });
+
+    const { rows: [tick] } = await db.query(
+      'INSERT INTO price_history (coin_id, price) VALUES (5, 4.56) RETURNING price_history_id'
+    );
+    await other.publish(EVENT_TOPICS.PRICE_BATCH, { apocalypseId: cycle.apocalypse_id, batchIndex: null });
+
+    await waitFor(() => sent.length === 2, 'the remote ticks');
+    expect(sent[1]).toEqual({
+      type: 'ticks',
+      token: priceStream.encodeResumeToken(tick.price_history_id),
+      ticks: [expect.objectContaining({ tickId: tick.price_history_id, coinId: 5, price: 4.56 })]
+    });
+  });
+
+  test('game stream subscribers get the cycle events another process committed, each milestone once', async () => {
+    await eventBus.start();
+    const other = await startBus();
+    const sent = [];
+    await gameEvents.openGameEventStream({ send: (event) => sent.push(event) });
+    const settling = {
+      apocalypseId: cycle.apocalypse_id,
+      endTime: new Date(cycle.end_time).toISOString(),
+      settlementStartedAt: new Date().toISOString()
+    };
+
+    await other.publish(EVENT_TOPICS.CYCLE_MILESTONE, {
+      apocalypseId: cycle.apocalypse_id,
+      percent: 25,
+      reachedAt: at(0.25).toISOString()
+    });
+    await other.publish(EVENT_TOPICS.CYCLE_SETTLING, settling);
+    await waitFor(() => sent.some((event) => event.type === 'cycle.settling'), 'the remote events');
+    expect(sent.slice(1)).toEqual([
+      { type: 'cycle.milestone', apocalypseId: cycle.apocalypse_id, percent: 25, reachedAt: at(0.25).toISOString() },
+      { type: 'cycle.settling', ...settling }
+    ]);
+
+    // 25% was announced by the other process; this one only adds 50%.
+    await reconcileCycle({ now: at(0.55) });
+    const milestones = sent.filter((event) => event.type === 'cycle.milestone');
+    expect(milestones.map((event) => event.percent)).toEqual([25, 50]);
+  });
+
+  test('a trade in another process re-compares the live leaderboard', async () => {
+    await eventBus.start();
+    const other = await startBus();
+    const sent = [];
+    await gameEvents.openGameEventStream({ send: (event) => sent.push(event) });
+    const { rows: [last] } = await db.query(
+      `SELECT participant_id FROM apocalypse_participants WHERE cycle_id = $1
+       ORDER BY current_cash, participant_id DESC LIMIT 1`,
+      [cycle.cycle_id]
+    );
+    await db.query(
+      'UPDATE apocalypse_participants SET current_cash = current_cash + 50000 WHERE participant_id = $1',
+      [last.participant_id]
+    );
+
+    await other.publish(EVENT_TOPICS.TRADE_EXECUTED, { apocalypseId: cycle.apocalypse_id });
+    await waitFor(() => sent.some((event) => event.type === 'leaderboard.changed'), 'the rank change');
+    const change = sent.find((event) => event.type === 'leaderboard.changed');
+    expect(change.changes[0]).toEqual(expect.objectContaining({ participantId: last.participant_id, rank: 1 }));
+  });
+});
@@ -404,7 +404,7 @@ describe('Core 5: deterministic decisions from public state only', () => {
     const state = await botService.buildPublicMarketState({ cycle, participant, now });
     expect(state.coins.length).toBeGreaterThan(0);
     for (const coin of state.coins) {
-      expect(Object.keys(coin).sort()).toEqual(['coinId', 'collapsed', 'currentPrice', 'history', 'symbol']);
+      expect(Object.keys(coin).sort()).toEqual(['coinId', 'collapsed', 'currentPrice', 'distress', 'history', 'liquidityDepth', 'symbol']);
     }
     if (scheduled.length > 0) {
       const futureDoomed = state.coins.find((c) => c.coinId === scheduled[0].coin_id);
@@ -505,7 +505,9 @@ describe('Core 5: bot ticks', () => {
     }
 
     // Any executed trade is a well-formed round ledger row at the
-    // authoritative server price, matching the recorded tick actions.
+    // authoritative server price (the pool's average execution price, so the
+    // recorded total is quantity x price up to the 2dp rounding of each),
+    // matching the recorded tick actions.
     const { rows: ledger } = await db.query(
       `SELECT * FROM apocalypse_transactions WHERE cycle_id = $1 ORDER BY round_transaction_id`,
       [cycle.cycle_id]
@@ -516,8 +518,10 @@ describe('Core 5: bot ticks', () => {
       expect(userIds).toContain(tx.user_id);
       expect(['BUY', 'SELL']).toContain(tx.type);
       expect(parseFloat(tx.quantity)).toBeGreaterThan(0);
-      const { rows: coin } = await db.query('SELECT current_price FROM coins WHERE coin_id = $1', [tx.coin_id]);
-      expect(parseFloat(tx.price)).toBeCloseTo(parseFloat(coin[0].current_price), 2);
+      const quantity = parseFloat(tx.quantity);
+      expect(parseFloat(tx.price)).toBeGreaterThan(0);
+      expect(Math.abs(parseFloat(tx.total_amount) - quantity * parseFloat(tx.price)))
+        .toBeLessThanOrEqual(quantity * 0.005 + 0.005);
     }
 
     // The durable tick row records exactly these actions (observability).
@@ -47,7 +47,11 @@ describe('Core 1: game cycle worker lifecycle', () => {
   });
 
   test('duplicate in-process start() calls do not create duplicate timers', async () => {
-    jest.useFakeTimers();
+    // Only the clock is faked: start()'s initial maintenance still talks to
+    // the database and is awaited below, so it can never run on into the
+    // next test's reseed (a cycle-creation transaction racing the reseed's
+    // DROPs can deadlock it).
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
     const setIntervalSpy = jest.spyOn(global, 'setInterval');
     try {
       gameCycleWorker.start();
@@ -58,6 +62,7 @@ describe('Core 1: game cycle worker lifecycle', () => {
     } finally {
       gameCycleWorker.stop();
       jest.useRealTimers();
+      await gameCycleWorker.lastMaintenance;
     }
     expect(gameCycleWorker.isRunning()).toBe(false);
   });
@@ -0,0 +1,160 @@
+// Public pre-collapse distress signals (game/distressSignals.js) and
+// GET /api/game/signals.
+//
+// Proves: GAME_DISTRESS_RELIABILITY is validated strictly and capped below
+// 1; signals are deterministic for a seed, constant within an epoch and
+// timed from the epoch start, never the collapse; the true level climbs
+// through the horizon before a collapse; at reliability 0 a signal is pure
+// noise, independent of the schedule, and at high reliability a doomed coin
+// shows clearly more distress than a healthy one; a collapsed coin shows no
+// signal; the endpoint carries no seed or schedule data; and bots see the
+// same levels through their shaped market state and act on them.
+
+const request = require('supertest');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const gameRoundService = require('../game/gameRoundService');
+const botService = require('../game/botService');
+const distress = require('../game/distressSignals');
+
+const CYCLE_MS = 30 * 60 * 1000;
+const EPOCH_MS = CYCLE_MS / distress.DISTRESS_EPOCHS_PER_CYCLE;
+const HORIZON_MS = (CYCLE_MS * distress.DISTRESS_HORIZON_PERCENT) / 100;
+const START = new Date('2026-08-20T10:00:00.000Z');
+const CYCLE = { cycle_id: 1, seed: 'distress-test-seed', start_time: START, duration_ms: CYCLE_MS };
+
+function at(ms) {
+  return new Date(START.getTime() + ms);
+}
+
+function signalsAt(now, coins, reliability) {
+  return distress.buildDistressSignals({ cycle: CYCLE, coins, now, reliability }).signals;
+}
+
+function meanLevel(coin, reliability, fromMs, toMs) {
+  let total = 0;
+  let count = 0;
+  for (let ms = fromMs; ms < toMs; ms += EPOCH_MS) {
+    total += signalsAt(at(ms), [coin], reliability)[0].level;
+    count += 1;
+  }
+  return total / count;
+}
+
+describe('configuration', () => {
+  test('reliability defaults, parses and is capped below 1', () => {
+    expect(distress.resolveDistressReliability(undefined)).toBe(distress.DEFAULT_DISTRESS_RELIABILITY);
+    expect(distress.resolveDistressReliability(' ')).toBe(distress.DEFAULT_DISTRESS_RELIABILITY);
+    expect(distress.resolveDistressReliability('0.25')).toBe(0.25);
+    expect(distress.resolveDistressReliability(0)).toBe(0);
+
+    expect(() => distress.resolveDistressReliability('1')).toThrow(/between 0 and 0.9/);
+    expect(() => distress.resolveDistressReliability(-0.1)).toThrow(/between 0 and 0.9/);
+    expect(() => distress.resolveDistressReliability('often')).toThrow(/finite number/);
+  });
+});
+
+describe('signal derivation', () => {
+  const doomed = { coinId: 1, symbol: 'AAA', collapseAt: at(0.9 * CYCLE_MS), collapsed: false };
+  const healthy = { coinId: 2, symbol: 'BBB', collapseAt: null, collapsed: false };
+
+  test('the true level climbs through the horizon before a collapse', () => {
+    expect(distress.truthfulLevel(null, HORIZON_MS)).toBe(0);
+    expect(distress.truthfulLevel(HORIZON_MS + 1, HORIZON_MS)).toBe(0);
+    expect(distress.truthfulLevel(HORIZON_MS, HORIZON_MS)).toBe(1);
+    expect(distress.truthfulLevel(HORIZON_MS / 2, HORIZON_MS)).toBe(2);
+    expect(distress.truthfulLevel(HORIZON_MS / 4, HORIZON_MS)).toBe(3);
+    expect(distress.truthfulLevel(-1, HORIZON_MS)).toBe(3);
+  });
+
+  test('signals are deterministic, constant within an epoch and timed from its start', () => {
+    const now = at(10 * EPOCH_MS + 1234);
+    const first = distress.buildDistressSignals({ cycle: CYCLE, coins: [doomed, healthy], now, reliability: 0.7 });
+    const again = distress.buildDistressSignals({ cycle: CYCLE, coins: [doomed, healthy], now: at(11 * EPOCH_MS - 1), reliability: 0.7 });
+
+    expect(again).toEqual(first);
+    expect(first.issuedAt).toEqual(at(10 * EPOCH_MS));
+    expect(first.nextUpdateAt).toEqual(at(11 * EPOCH_MS));
+    // A level names its indicator and headline; level 0 carries neither.
+    expect(first.signals.map((s) => (s.level > 0
+      ? s.indicator !== null && s.headline.includes(s.symbol)
+      : s.indicator === null && s.headline === null))).toEqual([true, true]);
+  });
+
+  test('at reliability 0 a signal is pure noise, independent of the schedule', () => {
+    for (let ms = 0; ms < CYCLE_MS; ms += EPOCH_MS) {
+      expect(signalsAt(at(ms), [doomed], 0)).toEqual(signalsAt(at(ms), [{ ...doomed, collapseAt: null }], 0));
+    }
+  });
+
+  test('at high reliability a doomed coin shows clearly more distress before its collapse', () => {
+    const window = [doomed.collapseAt.getTime() - START.getTime() - HORIZON_MS, 0.9 * CYCLE_MS];
+    expect(meanLevel(doomed, 0.9, ...window)).toBeGreaterThan(meanLevel(healthy, 0.9, ...window) + 1);
+    // Far from its collapse a doomed coin shows only noise.
+    expect(meanLevel(doomed, 0.9, 0, 0.3 * CYCLE_MS)).toBeLessThan(1);
+  });
+
+  test('a collapsed coin shows no signal', () => {
+    expect(signalsAt(at(0.95 * CYCLE_MS), [{ ...doomed, collapsed: true }, healthy], 0.9).map((s) => s.coinId))
+      .toEqual([2]);
+  });
+});
+
+describe('GET /api/game/signals', () => {
+  test('serves one signal per live coin without the seed or any collapse time', async () => {
+    const response = await request(app).get('/api/game/signals').expect(200);
+    const { data } = response.body;
+
+    const { rows: [cycle] } = await db.query(`SELECT * FROM apocalypse_cycles WHERE status = 'ACTIVE'`);
+    const { rows: coins } = await db.query('SELECT coin_id FROM coins WHERE retired = FALSE ORDER BY coin_id');
+    expect(data.apocalypseId).toBe(cycle.apocalypse_id);
+    expect(data.reliability).toBe(distress.DEFAULT_DISTRESS_RELIABILITY);
+    expect(data.signals.map((s) => s.coinId)).toEqual(coins.map((c) => c.coin_id));
+    for (const signal of data.signals) {
+      expect(Object.keys(signal).sort()).toEqual(['coinId', 'headline', 'indicator', 'level', 'symbol']);
+    }
+
+    const json = JSON.stringify(response.body);
+    expect(json).not.toContain(cycle.seed);
+    expect(json).not.toMatch(/seed|scheduled_at|collapse_rank|scheduledAt|collapseRank/);
+    // The only times are epoch boundaries, counted from the cycle start.
+    const epochMs = Number(cycle.duration_ms) / distress.DISTRESS_EPOCHS_PER_CYCLE;
+    for (const time of [data.issuedAt, data.nextUpdateAt]) {
+      expect((new Date(time).getTime() - new Date(cycle.start_time).getTime()) % epochMs).toBe(0);
+    }
+  });
+});
+
+describe('bots', () => {
+  const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+  test('the shaped market state carries the same levels as the public signals', async () => {
+    const now = new Date();
+    const cycle = await reconcileCycle({ now, durationMs: WEEK_MS });
+    const participant = await gameRoundService.joinRound({ userId: 1, now });
+
+    const state = await botService.buildPublicMarketState({ cycle, participant, now });
+    const { signals } = await distress.readDistressSignals({ cycle, now });
+    expect(state.coins.map((c) => [c.coinId, c.distress])).toEqual(signals.map((s) => [s.coinId, s.level]));
+  });
+
+  test('conservative bots sell a seriously distressed holding; dip buyers skip a distressed dip', () => {
+    const state = {
+      apocalypsePercent: 80,
+      cash: 1000,
+      holdings: [{ coinId: 1, symbol: 'AAA', quantity: 5 }],
+      coins: [
+        { coinId: 1, symbol: 'AAA', currentPrice: 20, collapsed: false, distress: 2, history: [10, 15, 20] },
+        { coinId: 2, symbol: 'BBB', currentPrice: 10, collapsed: false, distress: 0, history: [20, 15, 10] }
+      ]
+    };
+    expect(botService.decideBotAction({ strategy: 'conservative', marketState: state, random: () => 0.1 }))
+      .toEqual({ type: 'SELL', coinId: 1, quantity: 5 });
+
+    const dip = { ...state, holdings: [], coins: [{ ...state.coins[1], distress: 3 }] };
+    expect(botService.decideBotAction({ strategy: 'dip_buyer', marketState: dip, random: () => 0 }).type).toBe('HOLD');
+    const calmDip = { ...dip, coins: [{ ...dip.coins[0], distress: 1 }] };
+    expect(botService.decideBotAction({ strategy: 'dip_buyer', marketState: calmDip, random: () => 0 }).type).toBe('BUY');
+  });
+});
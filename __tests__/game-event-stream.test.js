@@ -0,0 +1,268 @@
+// Live game event stream (game/gameEventStream.js): GET /api/game/stream.
+//
+// Proves: a subscriber gets the current state first, then typed events from
+// the lifecycle commit points — percent milestones once each, executed
+// collapses (coin and time, only once executed), SETTLING, COMPLETED with
+// its results link and the successor's start — and live leaderboard rank
+// changes; a settlement that rolls back announces nothing but the freeze
+// that committed before it; and shutdown ends every open stream.
+//
+// The cycle is a week long and aligned to the wall clock, so the stream's
+// own wall-clock state read sits at its very start, and the tests drive the
+// lifecycle forward with explicit times.
+
+const http = require('http');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const gameRoundService = require('../game/gameRoundService');
+const gameEvents = require('../game/gameEventStream');
+const { describeMode } = require('../game/gameModes');
+const { seedCommitment } = require('../game/collapseScheduleService');
+
+jest.setTimeout(30000);
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+let cycle;
+
+function at(fraction) {
+  return new Date(new Date(cycle.start_time).getTime() + WEEK_MS * fraction);
+}
+
+async function openStream() {
+  const sent = [];
+  const stream = await gameEvents.openGameEventStream({ send: (event) => sent.push(event) });
+  return { sent, stream, types: () => sent.map((event) => event.type) };
+}
+
+beforeEach(async () => {
+  cycle = await reconcileCycle({ now: new Date(), durationMs: WEEK_MS });
+});
+
+// Also waits for a leaderboard refresh still in flight, so its standings
+// read cannot overlap the next test's reseed.
+afterEach(async () => {
+  await gameEvents.closeAllGameEventStreams();
+});
+
+describe('game events', () => {
+  test('a subscriber starts from the current state', async () => {
+    const { sent } = await openStream();
+    expect(sent).toEqual([expect.objectContaining({
+      type: 'state',
+      apocalypseId: cycle.apocalypse_id,
+      status: 'ACTIVE',
+      durationMs: WEEK_MS
+    })]);
+    expect(sent[0]).not.toHaveProperty('seed');
+  });
+
+  test('each apocalypse-percent milestone is announced once', async () => {
+    const { sent } = await openStream();
+
+    await reconcileCycle({ now: at(0.3) });
+    await reconcileCycle({ now: at(0.31) });
+    await reconcileCycle({ now: at(0.95) });
+
+    const milestones = sent.filter((event) => event.type === 'cycle.milestone');
+    expect(milestones.map((event) => event.percent)).toEqual([25, 50, 75, 90]);
+    expect(milestones[0]).toEqual({
+      type: 'cycle.milestone',
+      apocalypseId: cycle.apocalypse_id,
+      percent: 25,
+      reachedAt: at(0.25).toISOString()
+    });
+  });
+
+  test('collapses are announced once executed, with the coin and the execution time', async () => {
+    const { sent } = await openStream();
+    const now = at(0.8);
+    const { rows: due } = await db.query(
+      `SELECT s.coin_id, c.symbol FROM coin_collapse_schedule s JOIN coins c USING (coin_id)
+       WHERE s.cycle_id = $1 AND s.scheduled_at <= $2 ORDER BY s.collapse_rank`,
+      [cycle.cycle_id, now.toISOString()]
+    );
+    expect(due.length).toBeGreaterThan(0);
+
+    await reconcileCycle({ now });
+    const collapses = sent.filter((event) => event.type === 'collapse.executed');
+    expect(collapses).toEqual(due.map((row) => ({
+      type: 'collapse.executed',
+      apocalypseId: cycle.apocalypse_id,
+      coinId: row.coin_id,
+      symbol: row.symbol,
+      collapsedAt: now.toISOString()
+    })));
+
+    // Already executed: a later pass announces nothing again.
+    await reconcileCycle({ now: at(0.8) });
+    expect(sent.filter((event) => event.type === 'collapse.executed')).toHaveLength(due.length);
+  });
+
+  test('the end of a cycle announces SETTLING, the final collapses, COMPLETED and the successor', async () => {
+    const { sent, types } = await openStream();
+    const end = new Date(cycle.end_time);
+    const { rows: pending } = await db.query(
+      'SELECT count(*)::int AS n FROM coin_collapse_schedule WHERE cycle_id = $1 AND executed_at IS NULL',
+      [cycle.cycle_id]
+    );
+
+    const successor = await reconcileCycle({ now: new Date(end.getTime() + 1000) });
+
+    const lifecycle = types().filter((type) => type !== 'state' && type !== 'cycle.milestone');
+    expect(lifecycle).toEqual([
+      'cycle.settling',
+      ...Array(pending[0].n).fill('collapse.executed'),
+      'cycle.completed',
+      'cycle.started'
+    ]);
+    const { rows: [settled] } = await db.query(
+      'SELECT settlement_started_at, settled_at FROM apocalypse_cycles WHERE cycle_id = $1',
+      [cycle.cycle_id]
+    );
+    expect(sent.find((event) => event.type === 'cycle.settling')).toEqual({
+      type: 'cycle.settling',
+      apocalypseId: cycle.apocalypse_id,
+      endTime: end.toISOString(),
+      settlementStartedAt: settled.settlement_started_at.toISOString()
+    });
+    const finalCollapses = sent.filter((event) => event.type === 'collapse.executed');
+    expect(finalCollapses.every((event) => event.collapsedAt === end.toISOString())).toBe(true);
+    expect(sent.find((event) => event.type === 'cycle.completed')).toEqual({
+      type: 'cycle.completed',
+      apocalypseId: cycle.apocalypse_id,
+      endTime: end.toISOString(),
+      settledAt: settled.settled_at.toISOString(),
+      resultsUrl: `/api/game/results/${cycle.apocalypse_id}`
+    });
+    expect(sent.find((event) => event.type === 'cycle.started')).toEqual({
+      type: 'cycle.started',
+      apocalypseId: successor.apocalypse_id,
+      startTime: end.toISOString(),
+      endTime: new Date(successor.end_time).toISOString(),
+      durationMs: Number(successor.duration_ms),
+      seedCommitment: seedCommitment(successor.seed),
+      mode: describeMode('standard')
+    });
+  });
+
+  test('a settlement that rolls back announces only the freeze that committed', async () => {
+    const { types } = await openStream();
+    const after = new Date(new Date(cycle.end_time).getTime() + 1000);
+    const spy = jest.spyOn(gameRoundService, 'finalizeCycleParticipants')
+      .mockRejectedValue(new Error('finalization failed'));
+
+    await expect(reconcileCycle({ now: after })).rejects.toThrow('finalization failed');
+    expect(types().filter((type) => type !== 'state' && type !== 'cycle.milestone')).toEqual(['cycle.settling']);
+
+    spy.mockRestore();
+    await reconcileCycle({ now: after });
+    expect(types()).toContain('cycle.completed');
+    expect(types().filter((type) => type === 'cycle.settling')).toHaveLength(1);
+  });
+
+  test('live leaderboard rank changes are announced', async () => {
+    const { sent } = await openStream();
+    const { rows: standings } = await db.query(
+      `SELECT p.participant_id, u.username FROM apocalypse_participants p JOIN users u USING (user_id)
+       WHERE p.cycle_id = $1 ORDER BY p.current_cash DESC, p.participant_id`,
+      [cycle.cycle_id]
+    );
+    const last = standings[standings.length - 1];
+
+    // Nothing moved since the subscriber's baseline.
+    await gameEvents.refreshLeaderboard();
+    expect(sent.filter((event) => event.type === 'leaderboard.changed')).toEqual([]);
+
+    await db.query(
+      'UPDATE apocalypse_participants SET current_cash = current_cash + 50000 WHERE participant_id = $1',
+      [last.participant_id]
+    );
+    await reconcileCycle({ now: at(0.01) });
+    await gameEvents.refreshLeaderboard();
+
+    const changes = sent.filter((event) => event.type === 'leaderboard.changed');
+    expect(changes).toHaveLength(1);
+    expect(changes[0].apocalypseId).toBe(cycle.apocalypse_id);
+    expect(changes[0].changes[0]).toEqual({
+      participantId: last.participant_id,
+      username: last.username,
+      isBot: expect.any(Boolean),
+      rank: 1,
+      previousRank: standings.length,
+      currentWealth: expect.any(Number)
+    });
+    // Everyone above the climber moved down one place.
+    expect(changes[0].changes).toHaveLength(standings.length);
+    expect(changes[0].changes.slice(1).every((change) => change.rank === change.previousRank + 1)).toBe(true);
+  });
+
+  test('nothing is read for the leaderboard while no one listens', async () => {
+    const spy = jest.spyOn(db, 'query');
+    await gameEvents.refreshLeaderboard();
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/game/stream', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  function readEvents(res, count) {
+    return new Promise((resolve, reject) => {
+      const events = [];
+      let buffer = '';
+      const timer = setTimeout(() => reject(new Error('timed out waiting for game events')), 5000);
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = /^event: (.+)$/m.exec(block);
+          const data = /^data: (.+)$/m.exec(block);
+          if (event) events.push({ event: event[1], ...JSON.parse(data[1]) });
+          if (events.length === count) {
+            clearTimeout(timer);
+            resolve(events);
+          }
+        }
+      });
+    });
+  }
+
+  test('streams the state and then the events as named SSE events until shutdown', async () => {
+    const res = await new Promise((resolve, reject) => {
+      http.get({ port, path: '/api/game/stream' }, resolve).on('error', reject);
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+    const reading = readEvents(res, 2);
+    for (let i = 0; i < 100 && gameEvents.openSubscriptionCount() === 0; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    await reconcileCycle({ now: at(0.3) });
+
+    const [state, milestone] = await reading;
+    expect(state).toEqual(expect.objectContaining({ event: 'state', apocalypseId: cycle.apocalypse_id }));
+    expect(milestone).toEqual(expect.objectContaining({ event: 'cycle.milestone', percent: 25 }));
+
+    const ended = new Promise((resolve) => res.on('end', resolve));
+    await gameEvents.closeAllGameEventStreams();
+    await ended;
+    expect(gameEvents.openSubscriptionCount()).toBe(0);
+  });
+});
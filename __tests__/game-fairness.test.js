@@ -0,0 +1,170 @@
+// Provably-fair disclosure: GET /api/game/results/:cycleId/fairness
+// (gameResultsService.getCycleFairness).
+//
+// Proves: nothing is disclosed before a cycle has COMPLETED (409), unknown
+// ids are 404 and malformed ones 400; the disclosed seed hashes to the
+// commitment published while the cycle was live; a completed cycle discloses
+// its seed, mode and full schedule (rank, coin, scheduled and executed times,
+// baseline price); anyone can re-derive the schedule from the disclosed seed
+// with the published key format and it matches; a mode that spares coins
+// discloses them as eligible, as recorded when the cycle was created, so a
+// later catalogue change leaves the check intact; a tampered schedule fails
+// the server's re-derivation; the market and bot key formats reproduce the
+// game's own random streams; and the cycle's bot ticks are disclosed.
+
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { deterministicShuffle } = require('../game/collapseScheduleService');
+const { createMarketRandom } = require('../game/marketRandom');
+const { createBotRandom } = require('../game/botService');
+
+const NOW = new Date('2026-08-20T10:07:00.000Z');
+
+function afterEnd(cycle) {
+  return new Date(new Date(cycle.end_time).getTime() + 1000);
+}
+
+// The published stream: SHA-256 of the key, first 4 bytes / 2^32.
+function streamFrom(template) {
+  let counter = 0;
+  return () => {
+    const digest = crypto.createHash('sha256').update(template.replace('{counter}', String(counter))).digest();
+    counter += 1;
+    return digest.readUInt32BE(0) / 0x100000000;
+  };
+}
+
+async function completedCycle(modeRotation) {
+  const cycle = await reconcileCycle({ now: NOW, modeRotation });
+  await reconcileCycle({ now: afterEnd(cycle), modeRotation });
+  return cycle;
+}
+
+function fairnessOf(cycle) {
+  return request(app).get(`/api/game/results/${cycle.apocalypse_id}/fairness`);
+}
+
+describe('GET /api/game/results/:cycleId/fairness', () => {
+  test('nothing is disclosed before the cycle completes', async () => {
+    const cycle = await reconcileCycle({ now: new Date() });
+
+    const response = await fairnessOf(cycle).expect(409);
+    expect(response.body.message).toMatch(/disclosed only once a cycle has completed/);
+    expect(JSON.stringify(response.body)).not.toContain(cycle.seed);
+
+    await request(app).get('/api/game/results/APOC-9999/fairness').expect(404);
+    await request(app).get('/api/game/results/nope/fairness').expect(400);
+  });
+
+  test('the disclosed seed matches the commitment published while the cycle was live', async () => {
+    const cycle = await reconcileCycle({ now: new Date() });
+    const { body: live } = await request(app).get('/api/game/state').expect(200);
+    expect(live.apocalypseId).toBe(cycle.apocalypse_id);
+    await reconcileCycle({ now: afterEnd(cycle) });
+
+    const { body: { data } } = await fairnessOf(cycle).expect(200);
+    expect(crypto.createHash('sha256').update(data.seed).digest('hex')).toBe(live.seedCommitment);
+    expect(data.seedCommitment).toBe(live.seedCommitment);
+  });
+
+  test('a completed cycle discloses its seed and full schedule, and the schedule re-derives', async () => {
+    const cycle = await completedCycle();
+    const { body: { data } } = await fairnessOf(cycle).expect(200);
+
+    expect(data).toEqual(expect.objectContaining({
+      cycleId: cycle.apocalypse_id,
+      status: 'COMPLETED',
+      seed: cycle.seed,
+      mode: expect.objectContaining({ name: 'standard', collapseFraction: 1 }),
+      verifies: ['seedCommitment', 'schedule', 'randomStreams']
+    }));
+
+    const { rows: stored } = await db.query(
+      `SELECT coin_id, collapse_rank, scheduled_at, executed_at, baseline_price
+       FROM coin_collapse_schedule WHERE cycle_id = $1 ORDER BY collapse_rank`,
+      [cycle.cycle_id]
+    );
+    expect(data.schedule.collapses).toEqual(stored.map((row) => expect.objectContaining({
+      rank: row.collapse_rank,
+      coinId: row.coin_id,
+      scheduledAt: new Date(row.scheduled_at).toISOString(),
+      executedAt: new Date(row.executed_at).toISOString(),
+      baselinePrice: parseFloat(row.baseline_price)
+    })));
+    expect(data.schedule.scheduleVerified).toBe(true);
+
+    // Independently: shuffle the eligible coins with the published stream.
+    const random = streamFrom(data.randomKeys.collapseSchedule.replace('{seed}', data.seed));
+    const order = deterministicShuffle(data.schedule.eligibleCoinIds, random);
+    expect(order).toEqual(data.schedule.collapses.map((c) => c.coinId));
+  });
+
+  test('a mode that spares coins discloses them as eligible', async () => {
+    const cycle = await completedCycle('half_collapse');
+    const { body: { data } } = await fairnessOf(cycle).expect(200);
+
+    const { rows: coins } = await db.query('SELECT coin_id FROM coins WHERE retired = FALSE ORDER BY coin_id');
+    expect(data.schedule.collapseFraction).toBe(0.5);
+    expect(data.schedule.eligibleCoinIds).toEqual(coins.map((c) => c.coin_id));
+    expect(data.schedule.collapses.length).toBe(Math.round(coins.length / 2));
+    expect(data.schedule.scheduleVerified).toBe(true);
+  });
+
+  test('the eligible coins are the ones recorded at creation, whatever the catalogue does later', async () => {
+    const cycle = await completedCycle('half_collapse');
+    const { rows: [recorded] } = await db.query(
+      'SELECT eligible_coin_ids FROM apocalypse_cycles WHERE cycle_id = $1',
+      [cycle.cycle_id]
+    );
+    const { body: { data: before } } = await fairnessOf(cycle).expect(200);
+    const scheduled = before.schedule.collapses.map((c) => c.coinId);
+    const spared = before.schedule.eligibleCoinIds.find((coinId) => !scheduled.includes(coinId));
+    await db.query('UPDATE coins SET retired = TRUE WHERE coin_id = $1', [spared]);
+
+    const { body: { data } } = await fairnessOf(cycle).expect(200);
+    expect(data.schedule.eligibleCoinIds).toEqual(recorded.eligible_coin_ids);
+    expect(data.schedule.eligibleCoinIds).toContain(spared);
+    expect(data.schedule.scheduleVerified).toBe(true);
+  });
+
+  test('a tampered schedule fails the re-derivation', async () => {
+    const cycle = await completedCycle();
+    await db.query(
+      `UPDATE coin_collapse_schedule SET scheduled_at = scheduled_at + interval '1 second'
+       WHERE cycle_id = $1 AND collapse_rank = 1`,
+      [cycle.cycle_id]
+    );
+
+    const { body: { data } } = await fairnessOf(cycle).expect(200);
+    expect(data.schedule.scheduleVerified).toBe(false);
+  });
+
+  test('the market and bot key formats reproduce the game\'s streams, and bot ticks are disclosed', async () => {
+    const cycle = await reconcileCycle({ now: NOW });
+    await db.query(
+      `INSERT INTO apocalypse_bot_ticks (cycle_id, tick_id, actions) VALUES ($1, 7, $2)`,
+      [cycle.cycle_id, JSON.stringify([{ botKey: 'momentum-mike', type: 'HOLD' }])]
+    );
+    await reconcileCycle({ now: afterEnd(cycle) });
+    const { body: { data } } = await fairnessOf(cycle).expect(200);
+
+    const market = streamFrom(data.randomKeys.market
+      .replace('{seed}', data.seed).replace('{batchIndex|cycle}', '12').replace('{scope}', 'noise:3'));
+    const game = createMarketRandom({ seed: cycle.seed, batchIndex: 12, scope: 'noise:3' });
+    expect([market(), market()]).toEqual([game(), game()]);
+
+    const bot = streamFrom(data.randomKeys.bots
+      .replace('{seed}', data.seed).replace('{botKey}', 'momentum-mike').replace('{tickId}', '7'));
+    const botGame = createBotRandom({ seed: cycle.seed, botKey: 'momentum-mike', tickId: 7 });
+    expect([bot(), bot()]).toEqual([botGame(), botGame()]);
+
+    expect(data.bots.roster.map((b) => b.botKey)).toContain('momentum-mike');
+    expect(data.bots.ticks).toEqual([expect.objectContaining({
+      tickId: 7,
+      actions: [{ botKey: 'momentum-mike', type: 'HOLD' }]
+    })]);
+  });
+});
@@ -204,7 +204,8 @@ describe('Core 6: leaderboard and results APIs', () => {
           joinedAt: expect.any(String),
           tradeCount: expect.any(Number),
           buyCount: expect.any(Number),
-          sellCount: expect.any(Number)
+          sellCount: expect.any(Number),
+          forcedCount: expect.any(Number)
         });
         expect(row.netProfit).toBeCloseTo(row.finalCash - row.startingCash, 2);
       }
@@ -0,0 +1,275 @@
+// Leveraged round positions: POST /api/game/trades/buy with a leverage, debt
+// repayment on sale, the maintenance margin call and liquidation at
+// settlement (gameRoundService).
+//
+// Proves: a leveraged buy pays only its share of the cost from round cash
+// and books the rest as the holding's debt; leverage outside 1-5 is refused
+// before any write; a sale repays the sold share of the debt; wealth nets
+// debt out; a price fall that leaves a participant under the maintenance
+// margin liquidates their leveraged holdings (recorded as LIQUIDATION) while
+// a healthy one is left alone; a collapse liquidates a leveraged holding at
+// £0 with its debt paid from cash; and settlement liquidates every leveraged
+// holding so final_cash carries the outstanding debt, never going negative:
+// what cash cannot cover is reported as a shortfall and written off to the
+// participant's bad_debt, which the settled result records.
+//
+// The cycle is a week long and aligned to the wall clock.
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const gameRoundService = require('../game/gameRoundService');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+
+jest.setTimeout(30000);
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const COIN_ID = 6;
+
+let cycle;
+
+function tokenFor(userId) {
+  return jwt.sign({ user_id: userId }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+function at(fraction) {
+  return new Date(new Date(cycle.start_time).getTime() + WEEK_MS * fraction);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function setPrice(price, coinId = COIN_ID) {
+  await db.query('UPDATE coins SET current_price = $1 WHERE coin_id = $2', [price, coinId]);
+}
+
+async function participantOf(userId) {
+  const { rows } = await db.query(
+    'SELECT participant_id, current_cash FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = $2',
+    [cycle.cycle_id, userId]
+  );
+  return { participantId: rows[0].participant_id, cash: parseFloat(rows[0].current_cash) };
+}
+
+async function setCash(userId, cash) {
+  await db.query(
+    'UPDATE apocalypse_participants SET current_cash = $3 WHERE cycle_id = $1 AND user_id = $2',
+    [cycle.cycle_id, userId, cash]
+  );
+}
+
+async function holdingOf(userId, coinId = COIN_ID) {
+  const { rows } = await db.query(
+    `SELECT h.quantity, h.debt FROM apocalypse_holdings h
+     JOIN apocalypse_participants p ON p.participant_id = h.participant_id
+     WHERE p.cycle_id = $1 AND p.user_id = $2 AND h.coin_id = $3`,
+    [cycle.cycle_id, userId, coinId]
+  );
+  if (rows.length === 0) return null;
+  return { quantity: parseFloat(rows[0].quantity), debt: parseFloat(rows[0].debt) };
+}
+
+function buy(fields, userId = 1) {
+  return gameRoundService.buyRoundTrade({ userId, apocalypseId: cycle.apocalypse_id, coinId: COIN_ID, ...fields });
+}
+
+function sell(fields, userId = 1) {
+  return gameRoundService.sellRoundTrade({ userId, apocalypseId: cycle.apocalypse_id, coinId: COIN_ID, ...fields });
+}
+
+beforeEach(async () => {
+  cycle = await reconcileCycle({ now: new Date(), durationMs: WEEK_MS });
+});
+
+describe('leveraged buys and sales', () => {
+  test('a leveraged buy pays its share of the cost and books the rest as debt', async () => {
+    const before = await participantOf(1);
+
+    const res = await request(app)
+      .post('/api/game/trades/buy')
+      .set('Authorization', `Bearer ${tokenFor(1)}`)
+      .send({ cycleId: cycle.apocalypse_id, coin_id: COIN_ID, amount: 10, leverage: 5 })
+      .expect(201);
+    const { transaction, participant } = res.body.data;
+
+    const borrowed = round2(transaction.totalAmount - round2(transaction.totalAmount / 5));
+    expect(transaction).toEqual(expect.objectContaining({ type: 'BUY', quantity: 10, leverage: 5, borrowed }));
+    expect((await participantOf(1)).cash).toBeCloseTo(before.cash - transaction.totalAmount + borrowed, 2);
+    expect(await holdingOf(1)).toEqual({ quantity: 10, debt: borrowed });
+
+    // Wealth nets the loan out of the position's value.
+    expect(participant.debt).toBe(borrowed);
+    expect(participant.holdingsValue).toBeCloseTo(10 * transaction.priceAfter, 2);
+    expect(participant.wealth).toBeCloseTo(participant.currentCash + participant.holdingsValue - borrowed, 2);
+  });
+
+  test('leverage outside 1-5 is refused before any write', async () => {
+    const before = await participantOf(1);
+    for (const leverage of [0, 6, 2.5, 'x', -1]) {
+      await expect(buy({ quantity: 1, leverage })).rejects.toMatchObject({
+        status: 400,
+        message: 'Invalid leverage. Please provide a whole number from 1 to 5.'
+      });
+    }
+    expect((await participantOf(1)).cash).toBe(before.cash);
+    expect(await holdingOf(1)).toBeNull();
+
+    // An explicit 1 is an ordinary buy.
+    const { transaction } = await buy({ quantity: 1, leverage: '1' });
+    expect(transaction).not.toHaveProperty('borrowed');
+    expect((await holdingOf(1)).debt).toBe(0);
+  });
+
+  test('a sale repays the sold share of the debt; selling it all clears it', async () => {
+    const { transaction: bought } = await buy({ quantity: 10, leverage: 4 });
+    const before = await participantOf(1);
+
+    const { transaction: half } = await sell({ quantity: 5 });
+    const repaid = round2(bought.borrowed / 2);
+    expect(half.debtRepaid).toBe(repaid);
+    expect((await participantOf(1)).cash).toBeCloseTo(before.cash + half.totalAmount - repaid, 2);
+    expect(await holdingOf(1)).toEqual({ quantity: 5, debt: round2(bought.borrowed - repaid) });
+
+    const { transaction: rest } = await sell({ quantity: 5 });
+    expect(rest.debtRepaid).toBe(round2(bought.borrowed - repaid));
+    expect(await holdingOf(1)).toEqual({ quantity: 0, debt: 0 });
+  });
+});
+
+describe('maintenance margin', () => {
+  test('a fall that leaves a participant under margin liquidates them; a healthy one is untouched', async () => {
+    await setCash(1, 1000);
+    const { transaction: risky } = await buy({ quantity: 100, leverage: 5 }, 1);
+    await buy({ quantity: 1, leverage: 2 }, 2);
+    const { cash } = await participantOf(1);
+
+    // A small dip keeps everyone above the margin.
+    await setPrice(round2(risky.priceAfter * 0.95));
+    expect(await gameRoundService.enforceMaintenanceMargin({ now: new Date() })).toEqual([]);
+
+    const halved = round2(risky.priceAfter / 2);
+    await setPrice(halved);
+    const liquidations = await gameRoundService.enforceMaintenanceMargin({ now: new Date() });
+
+    const { participantId } = await participantOf(1);
+    expect(liquidations).toEqual([expect.objectContaining({
+      type: 'LIQUIDATION',
+      participantId,
+      coinId: COIN_ID,
+      quantity: 100,
+      price: halved,
+      totalAmount: round2(100 * halved),
+      debtRepaid: risky.borrowed
+    })]);
+    expect(await holdingOf(1)).toEqual({ quantity: 0, debt: 0 });
+    expect((await participantOf(1)).cash).toBe(Math.max(0, round2(cash + 100 * halved - risky.borrowed)));
+    expect((await holdingOf(2)).quantity).toBe(1);
+
+    const { rows: ledger } = await db.query(
+      `SELECT count(*)::int AS n FROM apocalypse_transactions
+       WHERE cycle_id = $1 AND user_id = 1 AND type = 'LIQUIDATION'`,
+      [cycle.cycle_id]
+    );
+    expect(ledger[0].n).toBe(1);
+  });
+
+  test('a collapse liquidates a leveraged holding at £0 and its debt falls on cash', async () => {
+    const { rows: [due] } = await db.query(
+      `SELECT coin_id FROM coin_collapse_schedule
+       WHERE cycle_id = $1 AND scheduled_at <= $2 ORDER BY collapse_rank LIMIT 1`,
+      [cycle.cycle_id, at(0.8).toISOString()]
+    );
+    const { transaction } = await buy({ coinId: due.coin_id, quantity: 100, leverage: 3 });
+    // Enough cash to repay the debt whatever the due coin's price, so none
+    // of it is written off.
+    const cash = round2(transaction.borrowed + 1000);
+    await setCash(1, cash);
+
+    await reconcileCycle({ now: at(0.8) });
+
+    expect(await holdingOf(1, due.coin_id)).toEqual({ quantity: 0, debt: 0 });
+    expect((await participantOf(1)).cash).toBeCloseTo(cash - transaction.borrowed, 2);
+    const { rows: liquidations } = await db.query(
+      `SELECT price, total_amount FROM apocalypse_transactions
+       WHERE cycle_id = $1 AND user_id = 1 AND type = 'LIQUIDATION'`,
+      [cycle.cycle_id]
+    );
+    expect(liquidations).toEqual([{ price: '0.00', total_amount: '0.00' }]);
+  });
+});
+
+describe('liquidation at settlement', () => {
+  test('final_cash carries the outstanding debt and the liquidation counts as forced, not as a sell', async () => {
+    const { transaction } = await buy({ quantity: 10, leverage: 5 });
+    const { cash } = await participantOf(1);
+
+    await reconcileCycle({ now: new Date(new Date(cycle.end_time).getTime() + 1000) });
+
+    expect(await holdingOf(1)).toEqual({ quantity: 0, debt: 0 });
+    const { rows: [result] } = await db.query(
+      'SELECT final_cash, trade_count, buy_count, sell_count, forced_count FROM apocalypse_results WHERE cycle_id = $1 AND user_id = 1',
+      [cycle.cycle_id]
+    );
+    // Every coin has collapsed by the end of the cycle: sold at £0.
+    expect(parseFloat(result.final_cash)).toBeCloseTo(cash - transaction.borrowed, 2);
+    expect(result).toEqual(expect.objectContaining({ trade_count: 1, buy_count: 1, sell_count: 0, forced_count: 1 }));
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('debts beyond cash leave final cash at £0 and report the rest as a shortfall', async () => {
+    await setCash(1, 500);
+    await buy({ quantity: 50, leverage: 5 });
+    await setCash(1, 1);
+    await setPrice(1);
+    const { debt } = await holdingOf(1);
+    const { participantId } = await participantOf(1);
+    // Proceeds of 50 × £1 and £1 of cash repay part of the debt.
+    const unpaid = round2(debt - 51);
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const first = await gameRoundService.liquidateLeveragedHoldings(client, cycle.cycle_id);
+      expect(first.liquidations).toHaveLength(1);
+      expect(first.shortfalls).toEqual([{ participantId, amount: unpaid }]);
+      expect(await gameRoundService.liquidateLeveragedHoldings(client, cycle.cycle_id))
+        .toEqual({ liquidations: [], shortfalls: [] });
+      await client.query('COMMIT');
+    } finally {
+      client.release();
+    }
+
+    expect((await participantOf(1)).cash).toBe(0);
+    expect(await holdingOf(1)).toEqual({ quantity: 0, debt: 0 });
+    const { rows: [written] } = await db.query(
+      'SELECT bad_debt FROM apocalypse_participants WHERE participant_id = $1',
+      [participantId]
+    );
+    expect(parseFloat(written.bad_debt)).toBe(unpaid);
+  });
+
+  test('a write-off at settlement is recorded as the result\'s bad debt', async () => {
+    await setCash(1, 500);
+    await buy({ quantity: 50, leverage: 5 });
+    await setCash(1, 1);
+    const { debt } = await holdingOf(1);
+
+    await reconcileCycle({ now: new Date(new Date(cycle.end_time).getTime() + 1000) });
+
+    // Every coin has collapsed: the holding sells for £0 and only £1 of the
+    // debt is paid.
+    const { rows: [result] } = await db.query(
+      'SELECT final_cash, bad_debt FROM apocalypse_results WHERE cycle_id = $1 AND user_id = 1',
+      [cycle.cycle_id]
+    );
+    expect(parseFloat(result.final_cash)).toBe(0);
+    expect(parseFloat(result.bad_debt)).toBe(round2(debt - 1));
+
+    const { body: { data } } = await request(app).get(`/api/game/results/${cycle.apocalypse_id}`).expect(200);
+    expect(data.results.find((row) => row.userId === 1).badDebt).toBe(round2(debt - 1));
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+});
@@ -0,0 +1,170 @@
+// Rotating game-mode presets (game/gameModes.js, migration 026).
+//
+// Proves: GAME_MODE_ROTATION is validated strictly; successive cycles walk
+// the rotation and persist their mode's parameters on the cycle row, which a
+// later rotation change never alters; the public state announces the live
+// and the upcoming mode; low_cash scales the starting cash, late_window
+// moves the collapse window, half_collapse schedules half the coins and
+// settlement sells the holdings they spare at their final price;
+// double_volatility doubles the volatility curve.
+//
+// Joining and trading reconcile at the wall clock, so the tests that join
+// run a week-long cycle that contains it.
+
+const db = require('../db/connection');
+const { reconcileCycle, getGameState } = require('../game/gameCycleService');
+const gameRoundService = require('../game/gameRoundService');
+const gameModes = require('../game/gameModes');
+const { getApocalypseVolatility } = require('../game/apocalypseVolatility');
+const { resolveGameStartingCash } = require('../game/gameConstants');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+
+jest.setTimeout(30000);
+
+const NOW = new Date('2026-08-20T10:07:00.000Z');
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+function afterEnd(cycle) {
+  return new Date(new Date(cycle.end_time).getTime() + 1000);
+}
+
+async function activeCoinCount() {
+  const { rows } = await db.query('SELECT count(*)::int AS n FROM coins WHERE retired = FALSE');
+  return rows[0].n;
+}
+
+async function scheduleOf(cycle) {
+  const { rows } = await db.query(
+    'SELECT coin_id, scheduled_at FROM coin_collapse_schedule WHERE cycle_id = $1 ORDER BY collapse_rank',
+    [cycle.cycle_id]
+  );
+  return rows;
+}
+
+describe('GAME_MODE_ROTATION', () => {
+  test('absent or blank runs standard only', () => {
+    expect(gameModes.resolveGameModeRotation(undefined)).toEqual(['standard']);
+    expect(gameModes.resolveGameModeRotation('  ')).toEqual(['standard']);
+    expect(gameModes.resolveGameModeRotation(' low_cash, late_window ')).toEqual(['low_cash', 'late_window']);
+  });
+
+  test('an unknown or empty entry is a configuration error', () => {
+    expect(() => gameModes.resolveGameModeRotation('standard,turbo')).toThrow(/"turbo" is not a game mode/);
+    expect(() => gameModes.resolveGameModeRotation('standard,,low_cash')).toThrow(/"" is not a game mode/);
+    expect(() => gameModes.resolveGameModeRotation(42)).toThrow(/comma-separated/);
+  });
+
+  test('every preset in the catalogue is valid', () => {
+    expect(() => gameModes.validateGameModes()).not.toThrow();
+    expect(() => gameModes.validateModeParams('x', { ...gameModes.STANDARD_MODE_PARAMS, volatilityScale: 100 }))
+      .toThrow(/safety cap/);
+  });
+});
+
+describe('mode rotation', () => {
+  test('successive cycles walk the rotation and persist their parameters', async () => {
+    const modeRotation = 'low_cash,late_window';
+    const first = await reconcileCycle({ now: NOW, modeRotation });
+    const second = await reconcileCycle({ now: afterEnd(first), modeRotation });
+    const third = await reconcileCycle({ now: afterEnd(second), modeRotation });
+
+    expect([first, second, third].map((c) => c.game_mode)).toEqual(['low_cash', 'late_window', 'low_cash']);
+    expect(second.game_mode_params).toEqual(gameModes.GAME_MODES.late_window.params);
+
+    // A rotation change applies to the next cycle only.
+    const again = await reconcileCycle({ now: afterEnd(second), modeRotation: 'double_volatility' });
+    expect(again.cycle_id).toBe(third.cycle_id);
+    expect(again.game_mode).toBe('low_cash');
+    expect(again.game_mode_params).toEqual(gameModes.GAME_MODES.low_cash.params);
+  });
+
+  test('the public state announces the live and the upcoming mode', async () => {
+    const state = await getGameState({ now: NOW, modeRotation: 'half_collapse,double_volatility' });
+
+    expect(state.mode).toEqual({ name: 'half_collapse', label: 'Half the Coins Collapse', ...gameModes.GAME_MODES.half_collapse.params });
+    expect(state.nextMode).toEqual(expect.objectContaining({ name: 'double_volatility', label: 'Double Volatility', volatilityScale: 2 }));
+  });
+
+  test('cycles created before migration 026 run as standard', async () => {
+    const cycle = await reconcileCycle({ now: NOW });
+    await db.query(
+      "UPDATE apocalypse_cycles SET game_mode = 'standard', game_mode_params = '{}'::jsonb WHERE cycle_id = $1",
+      [cycle.cycle_id]
+    );
+
+    const state = await getGameState({ now: NOW });
+    expect(state.mode).toEqual({ name: 'standard', label: 'Standard', ...gameModes.STANDARD_MODE_PARAMS });
+  });
+});
+
+describe('mode parameters', () => {
+  test('low_cash scales every participant\'s starting cash', async () => {
+    await reconcileCycle({ now: new Date(), durationMs: WEEK_MS, modeRotation: 'low_cash' });
+    const participant = await gameRoundService.joinRound({ userId: 1 });
+
+    const expected = Math.round(resolveGameStartingCash() * 0.25 * 100) / 100;
+    expect(participant.startingCash).toBe(expected);
+    expect(participant.currentCash).toBe(expected);
+  });
+
+  test('late_window opens the collapse window at 90% of the cycle', async () => {
+    const cycle = await reconcileCycle({ now: NOW, modeRotation: 'late_window' });
+    const start = new Date(cycle.start_time).getTime();
+    const windowStart = start + 0.9 * Number(cycle.duration_ms);
+
+    const schedule = await scheduleOf(cycle);
+    expect(schedule).toHaveLength(await activeCoinCount());
+    for (const row of schedule) {
+      expect(new Date(row.scheduled_at).getTime()).toBeGreaterThanOrEqual(windowStart);
+    }
+  });
+
+  test('half_collapse schedules half the coins and settlement sells the survivors', async () => {
+    const cycle = await reconcileCycle({ now: new Date(), durationMs: WEEK_MS, modeRotation: 'half_collapse' });
+    const schedule = await scheduleOf(cycle);
+    expect(schedule).toHaveLength(Math.max(1, Math.round((await activeCoinCount()) * 0.5)));
+
+    const { rows: [survivor] } = await db.query(
+      `SELECT coin_id FROM coins
+       WHERE retired = FALSE AND coin_id <> ALL($1::int[])
+       ORDER BY coin_id LIMIT 1`,
+      [schedule.map((r) => r.coin_id)]
+    );
+    await gameRoundService.joinRound({ userId: 1 });
+    await gameRoundService.buyRoundTrade({
+      userId: 1, apocalypseId: cycle.apocalypse_id, coinId: survivor.coin_id, quantity: 2
+    });
+    const { rows: [before] } = await db.query(
+      'SELECT current_cash FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = 1',
+      [cycle.cycle_id]
+    );
+
+    await reconcileCycle({ now: afterEnd(cycle), modeRotation: 'half_collapse' });
+
+    const { rows: sales } = await db.query(
+      `SELECT coin_id, quantity, price, total_amount FROM apocalypse_transactions
+       WHERE cycle_id = $1 AND user_id = 1 AND type = 'LIQUIDATION'`,
+      [cycle.cycle_id]
+    );
+    expect(sales).toHaveLength(1);
+    expect(sales[0].coin_id).toBe(survivor.coin_id);
+    expect(parseFloat(sales[0].quantity)).toBe(2);
+    expect(parseFloat(sales[0].total_amount)).toBeGreaterThan(0);
+
+    const { rows: [result] } = await db.query(
+      'SELECT final_cash, buy_count, sell_count, forced_count FROM apocalypse_results WHERE cycle_id = $1 AND user_id = 1',
+      [cycle.cycle_id]
+    );
+    expect(parseFloat(result.final_cash)).toBeCloseTo(parseFloat(before.current_cash) + parseFloat(sales[0].total_amount), 2);
+    expect(result).toEqual(expect.objectContaining({ buy_count: 1, sell_count: 0, forced_count: 1 }));
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('double_volatility doubles the volatility curve', () => {
+    const config = gameModes.volatilityConfigFor(gameModes.GAME_MODES.double_volatility.params);
+    for (const progress of [0, 50, 100]) {
+      expect(getApocalypseVolatility(progress, config)).toBeCloseTo(2 * getApocalypseVolatility(progress), 10);
+    }
+    expect(gameModes.volatilityConfigFor(undefined)).toEqual(gameModes.volatilityConfigFor(gameModes.STANDARD_MODE_PARAMS));
+  });
+});
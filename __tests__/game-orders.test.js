@@ -0,0 +1,372 @@
+// Resting round orders: POST/GET /api/game/orders, DELETE
+// /api/game/orders/:orderId and their evaluation (gameRoundService).
+//
+// Proves: orders are validated like trades and refused when they would fill
+// at once or a sell is not covered; a player lists and cancels only their
+// own orders; triggered orders fill oldest first through the round ledger
+// (cash, holdings, transaction, market impact) and a refused fill is closed
+// REJECTED without stopping the others; every committed price batch and
+// every collapse pass evaluates the orders; a stop-loss with a distress
+// level sells once its coin's signal reaches it, ahead of the collapse a
+// price trigger cannot see coming; orders on a collapsed coin are
+// cancelled; and the settlement freeze cancels whatever is still open.
+//
+// Prices are moved by hand between evaluations so triggers are exact. The
+// cycle is a week long and aligned to the wall clock.
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const gameRoundService = require('../game/gameRoundService');
+const { MarketSimulator } = require('../models/market-simulator');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { GAME_MAX_OPEN_ORDERS } = require('../game/gameConstants');
+const { readDistressSignals, DISTRESS_EPOCHS_PER_CYCLE } = require('../game/distressSignals');
+
+jest.setTimeout(30000);
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const COIN_ID = 1;
+
+let cycle;
+
+function tokenFor(userId) {
+  return jwt.sign({ user_id: userId }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+function at(fraction) {
+  return new Date(new Date(cycle.start_time).getTime() + WEEK_MS * fraction);
+}
+
+async function coinPrice(coinId = COIN_ID) {
+  const { rows } = await db.query('SELECT current_price FROM coins WHERE coin_id = $1', [coinId]);
+  return parseFloat(rows[0].current_price);
+}
+
+async function setPrice(price, coinId = COIN_ID) {
+  await db.query('UPDATE coins SET current_price = $1 WHERE coin_id = $2', [price, coinId]);
+}
+
+async function participantOf(userId) {
+  const { rows } = await db.query(
+    'SELECT participant_id, current_cash FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = $2',
+    [cycle.cycle_id, userId]
+  );
+  return { participantId: rows[0].participant_id, cash: parseFloat(rows[0].current_cash) };
+}
+
+async function held(userId, coinId = COIN_ID) {
+  const { rows } = await db.query(
+    `SELECT COALESCE(SUM(h.quantity), 0) AS q FROM apocalypse_holdings h
+     JOIN apocalypse_participants p ON p.participant_id = h.participant_id
+     WHERE p.cycle_id = $1 AND p.user_id = $2 AND h.coin_id = $3`,
+    [cycle.cycle_id, userId, coinId]
+  );
+  return parseFloat(rows[0].q);
+}
+
+function place(fields, userId = 1) {
+  return gameRoundService.placeRoundOrder({
+    userId,
+    apocalypseId: cycle.apocalypse_id,
+    coinId: COIN_ID,
+    ...fields
+  });
+}
+
+async function orderRow(orderId) {
+  const { rows } = await db.query('SELECT * FROM apocalypse_orders WHERE order_id = $1', [orderId]);
+  return rows[0];
+}
+
+beforeEach(async () => {
+  cycle = await reconcileCycle({ now: new Date(), durationMs: WEEK_MS });
+});
+
+describe('placing, listing and cancelling orders', () => {
+  test('order endpoints require authentication', async () => {
+    await request(app).post('/api/game/orders').send({}).expect(401);
+    await request(app).get('/api/game/orders?cycleId=APOC-0001').expect(401);
+    await request(app).delete('/api/game/orders/1').expect(401);
+  });
+
+  test('an order is placed, listed and cancelled by its owner only', async () => {
+    const price = await coinPrice();
+    const trigger = Math.floor(price * 90) / 100;
+
+    const placed = await request(app)
+      .post('/api/game/orders')
+      .set('Authorization', `Bearer ${tokenFor(1)}`)
+      .send({ cycleId: cycle.apocalypse_id, coin_id: COIN_ID, type: 'limit_buy', amount: 2, triggerPrice: trigger })
+      .expect(201);
+    const { order } = placed.body.data;
+    expect(order).toEqual({
+      orderId: expect.any(Number),
+      apocalypseId: cycle.apocalypse_id,
+      coinId: COIN_ID,
+      symbol: expect.any(String),
+      type: 'LIMIT_BUY',
+      side: 'BUY',
+      quantity: 2,
+      triggerPrice: trigger,
+      distressLevel: null,
+      status: 'OPEN',
+      statusReason: null,
+      roundTransactionId: null,
+      createdAt: expect.any(String),
+      closedAt: null
+    });
+
+    const listed = await request(app)
+      .get(`/api/game/orders?cycleId=${cycle.apocalypse_id}&status=open`)
+      .set('Authorization', `Bearer ${tokenFor(1)}`)
+      .expect(200);
+    expect(listed.body.data.orders).toEqual([order]);
+    const others = await request(app)
+      .get(`/api/game/orders?cycleId=${cycle.apocalypse_id}`)
+      .set('Authorization', `Bearer ${tokenFor(2)}`)
+      .expect(200);
+    expect(others.body.data.orders).toEqual([]);
+
+    await request(app)
+      .delete(`/api/game/orders/${order.orderId}`)
+      .set('Authorization', `Bearer ${tokenFor(2)}`)
+      .expect(404);
+    const cancelled = await request(app)
+      .delete(`/api/game/orders/${order.orderId}`)
+      .set('Authorization', `Bearer ${tokenFor(1)}`)
+      .expect(200);
+    expect(cancelled.body.data.order).toEqual(expect.objectContaining({
+      status: 'CANCELLED',
+      statusReason: 'Cancelled by the player.',
+      closedAt: expect.any(String)
+    }));
+    const again = await request(app)
+      .delete(`/api/game/orders/${order.orderId}`)
+      .set('Authorization', `Bearer ${tokenFor(1)}`)
+      .expect(409);
+    expect(again.body.message).toMatch(/already CANCELLED/);
+  });
+
+  test('malformed orders are refused before any write', async () => {
+    const price = await coinPrice();
+    const below = Math.floor(price * 90) / 100;
+    await expect(place({ type: 'MARKET', quantity: 1, triggerPrice: below })).rejects.toMatchObject({ status: 400 });
+    await expect(place({ type: 'LIMIT_BUY', quantity: 0, triggerPrice: below })).rejects.toMatchObject({ status: 400 });
+    await expect(place({ type: 'LIMIT_BUY', quantity: 1, triggerPrice: 0 })).rejects.toMatchObject({ status: 400 });
+    await expect(place({ type: 'LIMIT_BUY', quantity: 1, triggerPrice: '1.005' })).rejects.toThrow(/at most 2 decimal places/);
+    await expect(place({ type: 'LIMIT_BUY', quantity: 1, triggerPrice: below, distressLevel: 2 }))
+      .rejects.toThrow(/Only a STOP_LOSS order can carry a distress trigger/);
+    await expect(place({ type: 'STOP_LOSS', quantity: 1, triggerPrice: below, distressLevel: 4 }))
+      .rejects.toThrow(/whole signal level from 1 to 3/);
+    await expect(place({ type: 'LIMIT_BUY', quantity: 1, triggerPrice: below, coinId: 99999 })).rejects.toMatchObject({ status: 404 });
+    await expect(gameRoundService.placeRoundOrder({
+      userId: 1, apocalypseId: 'APOC-9999', coinId: COIN_ID, type: 'LIMIT_BUY', quantity: 1, triggerPrice: below
+    })).rejects.toMatchObject({ status: 404 });
+
+    const { rows } = await db.query('SELECT count(*)::int AS n FROM apocalypse_orders');
+    expect(rows[0].n).toBe(0);
+  });
+
+  test('an order that would fill at once, or a sell the holding does not cover, is refused', async () => {
+    const price = await coinPrice();
+    await expect(place({ type: 'LIMIT_BUY', quantity: 1, triggerPrice: Math.ceil(price * 110) / 100 }))
+      .rejects.toThrow(/would fill immediately/);
+    await expect(place({ type: 'STOP_LOSS', quantity: 1, triggerPrice: Math.floor(price * 90) / 100 }))
+      .rejects.toThrow(/Insufficient round holdings/);
+
+    await gameRoundService.buyRoundTrade({ userId: 1, apocalypseId: cycle.apocalypse_id, coinId: COIN_ID, quantity: 1 });
+    const now = await coinPrice();
+    await expect(place({ type: 'TAKE_PROFIT', quantity: 1, triggerPrice: Math.floor(now * 90) / 100 }))
+      .rejects.toThrow(/would fill immediately/);
+    await expect(place({ type: 'STOP_LOSS', quantity: 1, triggerPrice: Math.floor(now * 90) / 100 }))
+      .resolves.toMatchObject({ status: 'OPEN' });
+  });
+
+  test('a participant can hold only so many open orders', async () => {
+    const below = Math.floor((await coinPrice()) * 50) / 100;
+    await db.query(
+      `INSERT INTO apocalypse_orders (participant_id, cycle_id, user_id, coin_id, order_type, quantity, trigger_price)
+       SELECT participant_id, cycle_id, user_id, $2, 'LIMIT_BUY', 1, $3
+       FROM apocalypse_participants, generate_series(1, $4)
+       WHERE cycle_id = $1 AND user_id = 1`,
+      [cycle.cycle_id, COIN_ID, below, GAME_MAX_OPEN_ORDERS]
+    );
+    await expect(place({ type: 'LIMIT_BUY', quantity: 1, triggerPrice: below })).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('evaluating orders', () => {
+  test('triggered orders fill through the round ledger, oldest first', async () => {
+    await gameRoundService.buyRoundTrade({ userId: 1, apocalypseId: cycle.apocalypse_id, coinId: COIN_ID, quantity: 5 });
+    const price = await coinPrice();
+    const buy = await place({ type: 'LIMIT_BUY', quantity: 2, triggerPrice: Math.floor(price * 80) / 100 }, 2);
+    const stop = await place({ type: 'STOP_LOSS', quantity: 5, triggerPrice: Math.floor(price * 90) / 100 });
+    const profit = await place({ type: 'TAKE_PROFIT', quantity: 5, triggerPrice: Math.ceil(price * 200) / 100 });
+    const before = await participantOf(1);
+
+    // Not crossed yet.
+    await expect(gameRoundService.evaluateOpenOrders()).resolves.toEqual([]);
+
+    await setPrice(Math.floor(price * 70) / 100);
+    const fills = await gameRoundService.evaluateOpenOrders();
+
+    expect(fills.map((fill) => [fill.orderId, fill.type])).toEqual([[buy.orderId, 'BUY'], [stop.orderId, 'SELL']]);
+    const { rows: ledger } = await db.query(
+      `SELECT round_transaction_id, user_id, type, quantity, total_amount FROM apocalypse_transactions
+       WHERE round_transaction_id = ANY($1::int[]) ORDER BY round_transaction_id`,
+      [fills.map((fill) => fill.roundTransactionId)]
+    );
+    expect(ledger.map((row) => [row.user_id, row.type, parseFloat(row.quantity)])).toEqual([[2, 'BUY', 2], [1, 'SELL', 5]]);
+
+    const stopRow = await orderRow(stop.orderId);
+    expect(stopRow).toEqual(expect.objectContaining({
+      status: 'FILLED',
+      round_transaction_id: fills[1].roundTransactionId,
+      closed_at: expect.any(Date)
+    }));
+    expect(await held(1)).toBe(0);
+    expect(await held(2)).toBe(2);
+    const after = await participantOf(1);
+    expect(after.cash).toBeCloseTo(before.cash + parseFloat(ledger[1].total_amount), 2);
+    // The buy and the sale moved the price like any trade.
+    expect(await coinPrice()).toBe(fills[1].priceAfter);
+
+    // The take-profit could never fill now: nothing is left to sell.
+    await setPrice(Math.ceil(price * 250) / 100);
+    await gameRoundService.evaluateOpenOrders();
+    expect(await orderRow(profit.orderId)).toEqual(expect.objectContaining({
+      status: 'REJECTED',
+      status_reason: expect.stringMatching(/Insufficient round holdings/)
+    }));
+  });
+
+  test('a refused fill is REJECTED without stopping the orders after it', async () => {
+    const price = await coinPrice();
+    const trigger = Math.floor(price * 90) / 100;
+    const { cash } = await participantOf(1);
+    const tooBig = await place({ type: 'LIMIT_BUY', quantity: Math.ceil((cash * 2) / trigger), triggerPrice: trigger });
+    const fits = await place({ type: 'LIMIT_BUY', quantity: 1, triggerPrice: trigger });
+
+    await setPrice(Math.floor(price * 85) / 100);
+    const fills = await gameRoundService.evaluateOpenOrders();
+
+    expect(fills.map((fill) => fill.orderId)).toEqual([fits.orderId]);
+    expect(await orderRow(tooBig.orderId)).toEqual(expect.objectContaining({
+      status: 'REJECTED',
+      status_reason: expect.stringMatching(/Insufficient round cash/),
+      round_transaction_id: null
+    }));
+    expect(await held(1)).toBe(1);
+  });
+
+  test('every committed price batch evaluates the orders; a rolled-back batch does not', async () => {
+    const spy = jest.spyOn(gameRoundService, 'evaluateOpenOrders');
+    const simulator = new MarketSimulator();
+
+    const peaks = jest.spyOn(gameRoundService, 'reconcileActivePeaks').mockRejectedValueOnce(new Error('peaks failed'));
+    await expect(simulator.updateAllPrices({ now: at(0.01) })).resolves.toBeNull();
+    expect(spy).not.toHaveBeenCalled();
+    peaks.mockRestore();
+
+    await expect(simulator.updateAllPrices({ now: at(0.01) })).resolves.not.toBeNull();
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+
+  test('a stop-loss with a distress level sells once the signal reaches it, before the collapse', async () => {
+    const { rows: [due] } = await db.query(
+      `SELECT coin_id, scheduled_at FROM coin_collapse_schedule
+       WHERE cycle_id = $1 ORDER BY collapse_rank LIMIT 1`,
+      [cycle.cycle_id]
+    );
+    // Walk the signal epochs before the collapse for one where the coin
+    // looks calm and a later one where it shows distress.
+    const epochMs = WEEK_MS / DISTRESS_EPOCHS_PER_CYCLE;
+    let calm = null;
+    let distressed = null;
+    for (let epoch = 0; epoch < DISTRESS_EPOCHS_PER_CYCLE; epoch++) {
+      const now = new Date(new Date(cycle.start_time).getTime() + epoch * epochMs);
+      if (now >= new Date(due.scheduled_at)) break;
+      const { signals } = await readDistressSignals({ cycle, now });
+      const { level } = signals.find((signal) => signal.coinId === due.coin_id);
+      if (calm === null && level === 0) calm = now;
+      else if (calm !== null && level >= 1) {
+        distressed = now;
+        break;
+      }
+    }
+    expect(distressed).not.toBeNull();
+
+    await gameRoundService.buyRoundTrade({ userId: 1, apocalypseId: cycle.apocalypse_id, coinId: due.coin_id, quantity: 2 });
+    const triggerPrice = Math.floor((await coinPrice(due.coin_id)) * 10) / 100;
+    await expect(place({ coinId: due.coin_id, type: 'STOP_LOSS', quantity: 2, triggerPrice, distressLevel: 1, now: distressed }))
+      .rejects.toThrow(/would fill immediately: .* distress signal is at level/);
+    const stop = await place({ coinId: due.coin_id, type: 'STOP_LOSS', quantity: 2, triggerPrice, distressLevel: 1, now: calm });
+    expect(stop.distressLevel).toBe(1);
+
+    expect(await gameRoundService.evaluateOpenOrders({ now: calm })).toEqual([]);
+    const [fill] = await gameRoundService.evaluateOpenOrders({ now: distressed });
+    expect(fill).toEqual(expect.objectContaining({ type: 'SELL', orderId: stop.orderId, quantity: 2 }));
+    expect(fill.price).toBeGreaterThan(triggerPrice);
+    expect(await held(1, due.coin_id)).toBe(0);
+
+    await reconcileCycle({ now: new Date(due.scheduled_at) });
+    expect(await coinPrice(due.coin_id)).toBe(0);
+    expect(await orderRow(stop.orderId)).toEqual(expect.objectContaining({ status: 'FILLED' }));
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a collapse cancels the open orders on its coin', async () => {
+    const { rows: [due] } = await db.query(
+      `SELECT coin_id FROM coin_collapse_schedule
+       WHERE cycle_id = $1 AND scheduled_at <= $2 ORDER BY collapse_rank LIMIT 1`,
+      [cycle.cycle_id, at(0.8).toISOString()]
+    );
+    await gameRoundService.buyRoundTrade({ userId: 1, apocalypseId: cycle.apocalypse_id, coinId: due.coin_id, quantity: 1 });
+    const price = await coinPrice(due.coin_id);
+    const stop = await place({ coinId: due.coin_id, type: 'STOP_LOSS', quantity: 1, triggerPrice: Math.floor(price * 50) / 100 });
+
+    const spy = jest.spyOn(gameRoundService, 'evaluateOpenOrders');
+    await reconcileCycle({ now: at(0.8) });
+    expect(spy).toHaveBeenCalled();
+
+    expect(await orderRow(stop.orderId)).toEqual(expect.objectContaining({
+      status: 'CANCELLED',
+      status_reason: 'The coin collapsed straight to £0 before the order could fill.'
+    }));
+  });
+
+  test('the post-collapse passes run once the lifecycle client is back in the pool', async () => {
+    const events = [];
+    const connect = db.getClient;
+    jest.spyOn(db, 'getClient').mockImplementation(async () => {
+      const client = await connect();
+      const release = client.release;
+      client.release = (...args) => {
+        events.push('release');
+        return release.apply(client, args);
+      };
+      return client;
+    });
+    jest.spyOn(gameRoundService, 'evaluateOpenOrders').mockImplementation(async () => { events.push('orders'); });
+    jest.spyOn(gameRoundService, 'enforceMaintenanceMargin').mockImplementation(async () => { events.push('margin'); });
+
+    await reconcileCycle({ now: at(0.8) });
+    expect(events.slice(-3)).toEqual(['release', 'orders', 'margin']);
+  });
+
+  test('the settlement freeze cancels every open order', async () => {
+    const price = await coinPrice();
+    const open = await place({ type: 'LIMIT_BUY', quantity: 1, triggerPrice: Math.floor(price * 50) / 100 });
+
+    await reconcileCycle({ now: new Date(new Date(cycle.end_time).getTime() + 1000) });
+
+    expect(await orderRow(open.orderId)).toEqual(expect.objectContaining({
+      status: 'CANCELLED',
+      status_reason: 'The cycle ended.'
+    }));
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+});
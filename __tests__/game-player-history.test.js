@@ -0,0 +1,170 @@
+// Personal round history: GET /api/game/history and /api/game/history/stats
+// (game/playerHistory.js).
+//
+// Proves: both reads need a token; the history lists only the rounds the
+// caller traded in, losing and break-even rounds included, newest cycle
+// first, each with its rank, profit, peak, trade counts, ROI and the cycle's
+// full size; the keyset cursor pages through it without gaps or repeats;
+// malformed limits and cursors are 400; and the stats aggregate the whole
+// history — win rate, average ROI, best and worst rounds and the current
+// streak — with idle rounds counted apart and changing none of them, and an
+// empty history reported as such.
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { GAME_STARTING_CASH: STARTING_CASH } = require('../game/gameConstants');
+
+const NOW = new Date('2026-08-20T10:07:00.000Z');
+
+function tokenFor(userId) {
+  return jwt.sign({ user_id: userId }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+function historyFor(userId, query = {}) {
+  return request(app).get('/api/game/history').query(query).set('Authorization', `Bearer ${tokenFor(userId)}`);
+}
+
+function statsFor(userId) {
+  return request(app).get('/api/game/history/stats').set('Authorization', `Bearer ${tokenFor(userId)}`);
+}
+
+// One settled cycle per profit, oldest first. Every user is a participant
+// of every cycle; user 1 makes one trade and ends each round `profit` away
+// from the starting cash with no holdings, and everyone else breaks even. A
+// null profit is a round user 1 sits out without trading.
+async function playRounds(profits) {
+  let now = NOW;
+  const cycles = [];
+  for (const profit of profits) {
+    const cycle = await reconcileCycle({ now });
+    if (profit !== null) {
+      await db.query(
+        `UPDATE apocalypse_participants
+         SET current_cash = starting_cash + $2, peak_wealth = GREATEST(peak_wealth, starting_cash + $2)
+         WHERE cycle_id = $1 AND user_id = 1`,
+        [cycle.cycle_id, profit]
+      );
+      await db.query(
+        `INSERT INTO apocalypse_transactions
+           (participant_id, cycle_id, user_id, coin_id, type, quantity, price, total_amount)
+         SELECT participant_id, cycle_id, user_id,
+                (SELECT coin_id FROM coins WHERE retired = FALSE ORDER BY coin_id LIMIT 1), 'BUY', 1, 1, 1
+         FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = 1`,
+        [cycle.cycle_id]
+      );
+    }
+    now = new Date(new Date(cycle.end_time).getTime() + 1000);
+    await reconcileCycle({ now });
+    cycles.push(cycle);
+  }
+  return cycles;
+}
+
+describe('GET /api/game/history', () => {
+  test('requires a token', async () => {
+    await request(app).get('/api/game/history').expect(401);
+    await request(app).get('/api/game/history/stats').expect(401);
+  });
+
+  test('lists the caller\'s played rounds newest first, losses included, paged by cursor', async () => {
+    const rounds = await playRounds([500, -300, null, 0, 1000]);
+    const cycles = rounds.filter((_, index) => index !== 2);
+
+    const first = await historyFor(1, { limit: 3 }).expect(200);
+    expect(first.body.data.count).toBe(3);
+    expect(first.body.data.nextCursor).toEqual(expect.any(String));
+    const second = await historyFor(1, { limit: 3, cursor: first.body.data.nextCursor }).expect(200);
+    expect(second.body.data.nextCursor).toBeNull();
+
+    const results = [...first.body.data.results, ...second.body.data.results];
+    expect(results.map((r) => r.cycleId)).toEqual(cycles.map((c) => c.apocalypse_id).reverse());
+    expect(results.map((r) => r.netProfit)).toEqual([1000, 0, -300, 500]);
+    expect(results.every((r) => r.userId === 1)).toBe(true);
+
+    const { rows: sizes } = await db.query(
+      'SELECT cycle_id, count(*)::int AS n FROM apocalypse_results GROUP BY cycle_id'
+    );
+    const { rows: [stored] } = await db.query(
+      'SELECT * FROM apocalypse_results WHERE user_id = 1 AND cycle_id = $1',
+      [cycles[1].cycle_id]
+    );
+    expect(results[2]).toEqual(expect.objectContaining({
+      cycleId: cycles[1].apocalypse_id,
+      rank: stored.rank,
+      leaderboardEligible: false,
+      finalCash: STARTING_CASH - 300,
+      peakWealth: STARTING_CASH,
+      startingCash: STARTING_CASH,
+      tradeCount: 1,
+      buyCount: 1,
+      sellCount: 0,
+      roiPercent: -3,
+      cycleSize: sizes.find((s) => s.cycle_id === cycles[1].cycle_id).n,
+      startTime: new Date(cycles[1].start_time).toISOString(),
+      endTime: new Date(cycles[1].end_time).toISOString()
+    }));
+  });
+
+  test('malformed limits and cursors are rejected', async () => {
+    await historyFor(1, { limit: 'many' }).expect(400);
+    await historyFor(1, { cursor: 'not-a-cursor' }).expect(400);
+  });
+});
+
+describe('GET /api/game/history/stats', () => {
+  test('aggregates win rate, average ROI, best and worst rounds and the current streak', async () => {
+    const cycles = await playRounds([500, -300, 1000, 200, 0, -100]);
+
+    const { body: { data } } = await statsFor(1).expect(200);
+    expect(data).toEqual(expect.objectContaining({
+      roundsPlayed: 6,
+      roundsSkipped: 0,
+      wins: 3,
+      losses: 3,
+      winRate: 50,
+      averageRoiPercent: 2.17,
+      totalNetProfit: 1300,
+      currentStreak: { kind: 'LOSS', rounds: 2 }
+    }));
+    expect(data.bestRound).toEqual(expect.objectContaining({
+      cycleId: cycles[2].apocalypse_id, netProfit: 1000, roiPercent: 10, cycleSize: expect.any(Number)
+    }));
+    expect(data.worstRound).toEqual(expect.objectContaining({
+      cycleId: cycles[1].apocalypse_id, netProfit: -300, roiPercent: -3
+    }));
+  });
+
+  test('an idle round changes neither the win rate nor the streak', async () => {
+    await playRounds([-100, 500, 200]);
+    const { body: { data: before } } = await statsFor(1).expect(200);
+    await playRounds([null]);
+
+    const { body: { data: after } } = await statsFor(1).expect(200);
+    expect(after).toEqual({ ...before, roundsSkipped: 1 });
+    expect(after).toEqual(expect.objectContaining({
+      roundsPlayed: 3,
+      winRate: 66.67,
+      currentStreak: { kind: 'WIN', rounds: 2 }
+    }));
+  });
+
+  test('an empty history has no rates, rounds or streak', async () => {
+    const { body: { data } } = await statsFor(1).expect(200);
+    expect(data).toEqual({
+      roundsPlayed: 0,
+      roundsSkipped: 0,
+      wins: 0,
+      losses: 0,
+      winRate: null,
+      firstPlaceFinishes: 0,
+      averageRoiPercent: null,
+      totalNetProfit: 0,
+      bestRound: null,
+      worstRound: null,
+      currentStreak: null
+    });
+  });
+});
@@ -9,6 +9,7 @@
 //
 // jest.setup.js reseeds the disposable test database before every test.
 
+const crypto = require('crypto');
 const request = require('supertest');
 const app = require('../app');
 const db = require('../db/connection');
@@ -48,7 +49,10 @@ describe('public game responses never expose the cycle seed or future-collapse d
       'apocalypsePercent',
       'durationMs',
       'endTime',
+      'mode',
+      'nextMode',
       'remainingMs',
+      'seedCommitment',
       'serverTime',
       'startTime',
       'status'
@@ -57,6 +61,8 @@ describe('public game responses never expose the cycle seed or future-collapse d
     const seed = await persistedSeed();
     expect(seed).toBeTruthy(); // the seed still exists internally
     assertNoSeedLeak(response.body, seed);
+    // Only the commitment to it is public.
+    expect(response.body.seedCommitment).toBe(crypto.createHash('sha256').update(seed).digest('hex'));
   });
 
   test('GET /api/game/leaderboard: no seed even with joined participants', async () => {
@@ -0,0 +1,154 @@
+// Round replay: GET /api/game/results/:cycleId/replay
+// (gameResultsService.getCycleReplay).
+//
+// Proves: only a COMPLETED cycle is replayed (409), unknown ids are 404 and
+// malformed ids or windows 400; a page merges price points, named trades,
+// market events, collapses and the cycle markers into one time-ordered
+// stream without the seed; and paging by nextFrom walks the whole replay,
+// every event exactly once, ending at the collapses and the settlement.
+
+const request = require('supertest');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const gameRoundService = require('../game/gameRoundService');
+const { DEFAULT_REPLAY_WINDOW_MS } = require('../game/gameResultsService');
+
+const CYCLE_MS = 10 * 60 * 1000;
+
+function replayOf(cycle, query = {}) {
+  return request(app).get(`/api/game/results/${cycle.apocalypse_id}/replay`).query(query);
+}
+
+function offset(cycle, ms) {
+  return new Date(new Date(cycle.start_time).getTime() + ms);
+}
+
+// A live cycle with one named trade, one market event and two price points,
+// then completed by a reconcile at its end, which stamps the freeze and the
+// settlement at that instant.
+async function playedCycle() {
+  const now = new Date();
+  const cycle = await reconcileCycle({ now, durationMs: CYCLE_MS });
+  await gameRoundService.joinRound({ userId: 1, now });
+  const { rows: [coin] } = await db.query(
+    'SELECT coin_id, symbol FROM coins WHERE retired = FALSE ORDER BY coin_id LIMIT 1'
+  );
+  await gameRoundService.buyRoundTrade({
+    userId: 1, apocalypseId: cycle.apocalypse_id, coinId: coin.coin_id, quantity: 2, now: new Date()
+  });
+  await db.query(
+    `INSERT INTO market_events (cycle_id, event_kind, event_type, coin_id, headline, effect, started_at, ends_at)
+     VALUES ($1, 'COIN_EVENT', 'SCANDAL', $2, 'Scandal rocks the coin', 'NEGATIVE', $3, $4)`,
+    [cycle.cycle_id, coin.coin_id, offset(cycle, 1000), offset(cycle, 60000)]
+  );
+  await db.query(
+    `INSERT INTO price_history (coin_id, price, created_at) VALUES ($1, 11.11, $2), ($1, 22.22, $3)`,
+    [coin.coin_id, offset(cycle, 500), offset(cycle, 7 * 60 * 1000)]
+  );
+  await reconcileCycle({ now: offset(cycle, CYCLE_MS), durationMs: CYCLE_MS });
+  return { cycle, coin };
+}
+
+function expectTimeOrdered(events) {
+  const times = events.map((event) => new Date(event.at).getTime());
+  expect(times).toEqual(times.slice().sort((a, b) => a - b));
+}
+
+describe('GET /api/game/results/:cycleId/replay', () => {
+  test('only a completed cycle is replayed; bad ids and windows are rejected', async () => {
+    const live = await reconcileCycle({ now: new Date(), durationMs: CYCLE_MS });
+    const response = await replayOf(live).expect(409);
+    expect(response.body.message).toMatch(/A replay exists only for completed cycles/);
+    await request(app).get('/api/game/results/APOC-9999/replay').expect(404);
+    await request(app).get('/api/game/results/nope/replay').expect(400);
+
+    await reconcileCycle({ now: offset(live, CYCLE_MS + 1000), durationMs: CYCLE_MS });
+    await replayOf(live, { from: 'yesterday' }).expect(400);
+    await replayOf(live, { from: offset(live, -1).toISOString() }).expect(400);
+    await replayOf(live, { from: offset(live, 5000).toISOString(), to: offset(live, 5000).toISOString() }).expect(400);
+    const tooWide = await replayOf(live, { to: offset(live, 61 * 60 * 1000).toISOString() }).expect(400);
+    expect(tooWide.body.message).toMatch(/at most 60 minutes/);
+  });
+
+  test('a page merges prices, named trades, news and markers in time order', async () => {
+    const { cycle, coin } = await playedCycle();
+    const response = await replayOf(cycle).expect(200);
+    const { data } = response.body;
+
+    expect(data).toEqual(expect.objectContaining({
+      cycleId: cycle.apocalypse_id,
+      status: 'COMPLETED',
+      window: {
+        from: new Date(cycle.start_time).toISOString(),
+        to: offset(cycle, DEFAULT_REPLAY_WINDOW_MS).toISOString()
+      },
+      nextFrom: offset(cycle, DEFAULT_REPLAY_WINDOW_MS).toISOString(),
+      count: data.events.length
+    }));
+    expect(data.events[0]).toEqual({ type: 'cycle.started', at: new Date(cycle.start_time).toISOString() });
+    expectTimeOrdered(data.events);
+
+    const { rows: [user] } = await db.query('SELECT username FROM users WHERE user_id = 1');
+    expect(data.events).toContainEqual(expect.objectContaining({
+      type: 'trade', userId: 1, username: user.username, isBot: false,
+      side: 'BUY', coinId: coin.coin_id, symbol: coin.symbol, quantity: 2
+    }));
+    expect(data.events).toContainEqual(expect.objectContaining({
+      type: 'market.event', at: offset(cycle, 1000).toISOString(), coinId: coin.coin_id,
+      headline: 'Scandal rocks the coin', effect: 'NEGATIVE'
+    }));
+    expect(data.events).toContainEqual({
+      type: 'price.point', at: offset(cycle, 500).toISOString(), coinId: coin.coin_id, symbol: coin.symbol, price: 11.11
+    });
+    // The later price point belongs to the next page.
+    expect(data.events).not.toContainEqual(expect.objectContaining({ type: 'price.point', price: 22.22 }));
+    expect(JSON.stringify(response.body)).not.toContain(cycle.seed);
+  });
+
+  test('paging by nextFrom walks the whole replay, every event once', async () => {
+    const { cycle } = await playedCycle();
+    const pages = [];
+    let from;
+    do {
+      const { body: { data } } = await replayOf(cycle, from ? { from } : {}).expect(200);
+      pages.push(data);
+      from = data.nextFrom;
+    } while (from && pages.length < 10);
+
+    // Two default windows cover the cycle; the last one ends at the cycle end.
+    expect(pages).toHaveLength(2);
+    const lastPage = pages[pages.length - 1];
+    expect(lastPage.window.to).toBe(lastPage.endTime);
+    const paged = pages.flatMap((page) => page.events);
+    const { body: { data: whole } } = await replayOf(cycle, { to: lastPage.window.to }).expect(200);
+    expect(whole.nextFrom).toBeNull();
+    expect(paged).toEqual(whole.events);
+    expectTimeOrdered(paged);
+
+    // The last page ends at the collapses, ranked, each after its coin's £0
+    // price point.
+    const { rows: schedule } = await db.query(
+      'SELECT coin_id, executed_at FROM coin_collapse_schedule WHERE cycle_id = $1 ORDER BY collapse_rank',
+      [cycle.cycle_id]
+    );
+    const collapses = paged.filter((event) => event.type === 'collapse.executed');
+    expect(collapses.map((event) => event.coinId)).toEqual(schedule.map((row) => row.coin_id));
+    expect(collapses[collapses.length - 1].at).toBe(new Date(schedule[schedule.length - 1].executed_at).toISOString());
+    const last = lastPage.events;
+    for (const [index, event] of last.entries()) {
+      if (event.type !== 'collapse.executed') continue;
+      const zero = last.findIndex((e) => e.type === 'price.point' && e.coinId === event.coinId
+        && e.at === event.at && e.price === 0);
+      expect(zero).toBeGreaterThanOrEqual(0);
+      expect(zero).toBeLessThan(index);
+    }
+
+    const { rows: [settled] } = await db.query(
+      'SELECT settlement_started_at, settled_at FROM apocalypse_cycles WHERE cycle_id = $1',
+      [cycle.cycle_id]
+    );
+    expect(paged).toContainEqual({ type: 'cycle.settling', at: new Date(settled.settlement_started_at).toISOString() });
+    expect(paged).toContainEqual({ type: 'cycle.completed', at: new Date(settled.settled_at).toISOString() });
+  });
+});
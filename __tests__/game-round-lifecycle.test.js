@@ -16,6 +16,7 @@ const {
   reconcileActivePeaks
 } = require('../game/gameRoundService');
 const marketSimulator = require('../models/market-simulator');
+const { DEFAULT_LIQUIDITY_DEPTH, quoteTrade } = require('../game/marketImpact');
 
 const CYCLE_START_MS = new Date('2026-08-20T10:00:00.000Z').getTime();
 const DURATION_MS = 30 * 60 * 1000;
@@ -85,7 +86,9 @@ describe('Core 4: Core 3 collapsed-coin behaviour in round trades', () => {
     const buy = await buyRoundTrade({
       userId: 1, apocalypseId: cycle.apocalypse_id, coinId: firstCoinId, quantity: 5, now: EARLY
     });
-    const expectedCost = Math.round(5 * price * 100) / 100;
+    const expectedCost = Math.round(
+      quoteTrade({ side: 'BUY', quantity: 5, price, depth: DEFAULT_LIQUIDITY_DEPTH }).total * 100
+    ) / 100;
     expect(buy.transaction.totalAmount).toBeCloseTo(expectedCost, 2);
     const cashAfterBuy = 10000 - expectedCost;
 
@@ -116,15 +119,16 @@ describe('Core 4: wealth and monotonic peak', () => {
   test('wealth = current cash + live holdings value; collapsed holdings count £0', async () => {
     const { cycle, firstCoinId } = await fixedCycle();
     const participant = await joinRound({ userId: 1, now: EARLY });
-    const { rows: coinRows } = await db.query('SELECT current_price FROM coins WHERE coin_id = $1', [firstCoinId]);
-    const price = parseFloat(coinRows[0].current_price);
 
-    await buyRoundTrade({ userId: 1, apocalypseId: cycle.apocalypse_id, coinId: firstCoinId, quantity: 10, now: EARLY });
+    const { transaction } = await buyRoundTrade({
+      userId: 1, apocalypseId: cycle.apocalypse_id, coinId: firstCoinId, quantity: 10, now: EARLY
+    });
     let state = await getParticipantRoundState(participant.participantId);
-    const cost = Math.round(10 * price * 100) / 100;
+    const cost = transaction.totalAmount;
+    // Holdings are marked at the live price the buy itself moved.
     expect(state.currentCash).toBeCloseTo(10000 - cost, 2);
-    expect(state.holdingsValue).toBeCloseTo(cost, 2);
-    expect(state.wealth).toBeCloseTo(10000, 2);
+    expect(state.holdingsValue).toBeCloseTo(10 * transaction.priceAfter, 2);
+    expect(state.wealth).toBeCloseTo(state.currentCash + state.holdingsValue, 2);
 
     // Collapse: holdings now worth exactly £0; wealth falls to cash only.
     await reconcileCycle({ now: WINDOW_START });
@@ -142,7 +146,9 @@ describe('Core 4: wealth and monotonic peak', () => {
       [firstCoinId]
     );
     const coinId = survivors[0].coin_id;
-    await db.query('UPDATE coins SET current_price = 50.00 WHERE coin_id = $1', [coinId]);
+    // A very deep pool keeps the buy free of market impact, so the peak
+    // arithmetic below moves only with the prices this test sets.
+    await db.query('UPDATE coins SET current_price = 50.00, liquidity_depth = 1000000000000 WHERE coin_id = $1', [coinId]);
 
     await buyRoundTrade({ userId: 1, apocalypseId: cycle.apocalypse_id, coinId, quantity: 10, now: EARLY });
     let p = await participantRow(participant.participantId);
@@ -11,6 +11,7 @@ const { spawn } = require('child_process');
 const db = require('../db/connection');
 const { reconcileCycle } = require('../game/gameCycleService');
 const { joinRound, buyRoundTrade } = require('../game/gameRoundService');
+const { DEFAULT_LIQUIDITY_DEPTH, quoteTrade } = require('../game/marketImpact');
 const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
 
 const PROJECT_ROOT = path.resolve(__dirname, '..');
@@ -88,7 +89,8 @@ describe('Core 4: genuine multi-process races', () => {
     const coinId = coinRows[0].coin_id;
     await db.query('UPDATE coins SET current_price = 100.00 WHERE coin_id = $1', [coinId]);
 
-    // Two processes each try to buy £6,000 of coin with only £10,000 round cash.
+    // Two processes each try to buy 60 coins (over £6,000 once the pool's
+    // impact is priced in) with only £10,000 round cash.
     const barrierMs = Date.now() + 1500;
     const specs = Array.from({ length: 2 }, () => ({
       mode: 'buy', barrierMs,
@@ -104,8 +106,9 @@ describe('Core 4: genuine multi-process races', () => {
     expect(rejected[0].message).toMatch(/Insufficient round cash/);
 
     // Invariants asserted directly in PostgreSQL.
+    const cost = quoteTrade({ side: 'BUY', quantity: 60, price: 100, depth: DEFAULT_LIQUIDITY_DEPTH }).total;
     const participants = await participantByUser(cycle.cycle_id, 1);
-    expect(parseFloat(participants[0].current_cash)).toBe(4000);
+    expect(parseFloat(participants[0].current_cash)).toBe(Math.round((10000 - cost) * 100) / 100);
     const { rows: h } = await db.query(
       'SELECT quantity FROM apocalypse_holdings WHERE participant_id = $1 AND coin_id = $2',
       [participants[0].participant_id, coinId]
@@ -148,8 +151,16 @@ describe('Core 4: genuine multi-process races', () => {
     expect(rejected[0].message).toMatch(/Insufficient round holdings/);
 
     const participants = await participantByUser(cycle.cycle_id, 1);
-    // Exactly one £500 sale landed: 10000 - 500 (buy) + 500 (sell) = 10000.
-    expect(parseFloat(participants[0].current_cash)).toBe(10000);
+    // Exactly one sale landed: cash is the start less the one buy plus the
+    // one sale, both as recorded in the ledger.
+    const { rows: ledger } = await db.query(
+      'SELECT type, total_amount FROM apocalypse_transactions WHERE participant_id = $1',
+      [participants[0].participant_id]
+    );
+    const signed = ledger.reduce(
+      (sum, tx) => sum + (tx.type === 'SELL' ? 1 : -1) * parseFloat(tx.total_amount), 0
+    );
+    expect(parseFloat(participants[0].current_cash)).toBeCloseTo(10000 + signed, 2);
     const { rows: h } = await db.query(
       'SELECT quantity FROM apocalypse_holdings WHERE participant_id = $1 AND coin_id = $2',
       [participants[0].participant_id, coinId]
@@ -224,8 +235,10 @@ describe('Core 4: genuine multi-process races', () => {
 
     if (buyResult.ok) {
       // The buy committed before finalization: cash/holding/ledger are all
-      // consistent and the final cash includes the trade.
-      const total = Math.round(2 * price * 100) / 100;
+      // consistent and the final cash includes the trade (priced against the
+      // pool, so never below 2 x the pre-trade price).
+      const total = parseFloat(t[0].total_amount);
+      expect(total).toBeGreaterThanOrEqual(Math.round(2 * price * 100) / 100);
       expect(parseFloat(p.current_cash)).toBeCloseTo(10000 - total, 2);
       expect(parseFloat(p.final_cash)).toBeCloseTo(10000 - total, 2);
       expect(h).toHaveLength(1);
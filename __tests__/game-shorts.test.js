@@ -0,0 +1,366 @@
+// Round short selling: POST /api/game/trades/short and /trades/cover, the
+// short's mark-to-market and its forced cover at settlement
+// (gameRoundService).
+//
+// Proves: a short holds its sale proceeds plus a margin from round cash as
+// collateral and records a SHORT ledger entry; shorts are refused when the
+// margin is not affordable or the coin is dead; a cover buys back through
+// the pool, releases the covered share of the collateral and is refused when
+// the participant cannot pay the difference; a short on a collapsed coin is
+// covered at £0; wealth marks open shorts to market in the round state, the
+// live leaderboard and reconcileActivePeaks; a short pays a borrow fee and
+// is refused past the exposure cap; a rising coin margin-calls a short; and
+// settlement force-covers every open short before finalizing, selling the
+// participant's holdings to pay a cover their cash cannot and reporting any
+// rest as a shortfall, never leaving cash negative.
+//
+// The cycle is a week long and aligned to the wall clock.
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const gameRoundService = require('../game/gameRoundService');
+const { getLiveLeaderboard } = require('../game/gameResultsService');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const {
+  GAME_SHORT_MARGIN_RATE,
+  GAME_SHORT_BORROW_FEE_RATE,
+  GAME_MAX_SHORT_EXPOSURE_RATE,
+  GAME_MAINTENANCE_MARGIN_RATE
+} = require('../game/gameConstants');
+
+jest.setTimeout(30000);
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const COIN_ID = 6;
+
+let cycle;
+
+function tokenFor(userId) {
+  return jwt.sign({ user_id: userId }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+function at(fraction) {
+  return new Date(new Date(cycle.start_time).getTime() + WEEK_MS * fraction);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function coinPrice(coinId = COIN_ID) {
+  const { rows } = await db.query('SELECT current_price FROM coins WHERE coin_id = $1', [coinId]);
+  return parseFloat(rows[0].current_price);
+}
+
+async function setPrice(price, coinId = COIN_ID) {
+  await db.query('UPDATE coins SET current_price = $1 WHERE coin_id = $2', [price, coinId]);
+}
+
+async function participantOf(userId) {
+  const { rows } = await db.query(
+    'SELECT participant_id, current_cash, peak_wealth FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = $2',
+    [cycle.cycle_id, userId]
+  );
+  return {
+    participantId: rows[0].participant_id,
+    cash: parseFloat(rows[0].current_cash),
+    peak: parseFloat(rows[0].peak_wealth)
+  };
+}
+
+async function shortOf(userId, coinId = COIN_ID) {
+  const { rows } = await db.query(
+    `SELECT s.quantity, s.collateral FROM apocalypse_short_positions s
+     JOIN apocalypse_participants p ON p.participant_id = s.participant_id
+     WHERE p.cycle_id = $1 AND p.user_id = $2 AND s.coin_id = $3`,
+    [cycle.cycle_id, userId, coinId]
+  );
+  if (rows.length === 0) return null;
+  return { quantity: parseFloat(rows[0].quantity), collateral: parseFloat(rows[0].collateral) };
+}
+
+function trade(kind, fields, userId = 1) {
+  const run = kind === 'short' ? gameRoundService.shortRoundTrade : gameRoundService.coverRoundTrade;
+  return run({ userId, apocalypseId: cycle.apocalypse_id, coinId: COIN_ID, ...fields });
+}
+
+beforeEach(async () => {
+  cycle = await reconcileCycle({ now: new Date(), durationMs: WEEK_MS });
+});
+
+describe('opening and covering shorts', () => {
+  test('short and cover endpoints require authentication', async () => {
+    await request(app).post('/api/game/trades/short').send({}).expect(401);
+    await request(app).post('/api/game/trades/cover').send({}).expect(401);
+  });
+
+  test('a short holds its proceeds plus margin as collateral, pays a borrow fee and records a SHORT', async () => {
+    const before = await participantOf(1);
+    const priceBefore = await coinPrice();
+
+    const res = await request(app)
+      .post('/api/game/trades/short')
+      .set('Authorization', `Bearer ${tokenFor(1)}`)
+      .send({ cycleId: cycle.apocalypse_id, coin_id: COIN_ID, amount: 2 })
+      .expect(201);
+    const { transaction, participant } = res.body.data;
+
+    const margin = round2(transaction.totalAmount * GAME_SHORT_MARGIN_RATE);
+    const borrowFee = round2(transaction.totalAmount * GAME_SHORT_BORROW_FEE_RATE);
+    expect(transaction).toEqual(expect.objectContaining({
+      type: 'SHORT',
+      coinId: COIN_ID,
+      quantity: 2,
+      margin,
+      borrowFee,
+      collateral: round2(transaction.totalAmount + margin),
+      priceBefore
+    }));
+    // Selling into the pool moves the price down.
+    expect(transaction.priceAfter).toBeLessThan(priceBefore);
+    expect(await coinPrice()).toBe(transaction.priceAfter);
+
+    const after = await participantOf(1);
+    expect(after.cash).toBeCloseTo(before.cash - margin - borrowFee, 2);
+    expect(await shortOf(1)).toEqual({ quantity: 2, collateral: transaction.collateral });
+
+    const { rows: ledger } = await db.query(
+      'SELECT type, quantity, total_amount FROM apocalypse_transactions WHERE round_transaction_id = $1',
+      [transaction.roundTransactionId]
+    );
+    expect(ledger[0]).toEqual({ type: 'SHORT', quantity: '2.00000000', total_amount: transaction.totalAmount.toFixed(2) });
+
+    const shortValue = round2(transaction.collateral - 2 * transaction.priceAfter);
+    expect(participant.shorts).toEqual([{
+      coinId: COIN_ID,
+      symbol: expect.any(String),
+      quantity: 2,
+      collateral: transaction.collateral,
+      currentPrice: transaction.priceAfter,
+      currentValue: shortValue
+    }]);
+    expect(participant.shortsValue).toBe(shortValue);
+    expect(participant.wealth).toBe(round2(after.cash + shortValue));
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a short is refused when its margin is unaffordable or the coin is dead', async () => {
+    const { participantId } = await participantOf(1);
+    await db.query('UPDATE apocalypse_participants SET current_cash = 0.01 WHERE participant_id = $1', [participantId]);
+    await expect(trade('short', { quantity: 50 })).rejects.toMatchObject({
+      status: 400,
+      message: expect.stringMatching(/Insufficient round cash for the short's margin and borrow fee/)
+    });
+
+    await db.query('UPDATE apocalypse_participants SET current_cash = 10000 WHERE participant_id = $1', [participantId]);
+    await setPrice(0);
+    await expect(trade('short', { quantity: 1 })).rejects.toMatchObject({
+      status: 400,
+      message: expect.stringMatching(/cannot be sold short/)
+    });
+
+    expect(await shortOf(1)).toBeNull();
+    const { rows } = await db.query(`SELECT count(*)::int AS n FROM apocalypse_transactions WHERE type = 'SHORT'`);
+    expect(rows[0].n).toBe(0);
+  });
+
+  test('open shorts are capped at a share of the starting cash at live prices', async () => {
+    const { rows: [{ starting_cash: startingCash }] } = await db.query(
+      'SELECT starting_cash FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = 1',
+      [cycle.cycle_id]
+    );
+    const limit = round2(parseFloat(startingCash) * GAME_MAX_SHORT_EXPOSURE_RATE);
+    // A price at which 10 coins fit under the limit and 20 do not.
+    await setPrice(round2(limit / 10 - 1));
+    await trade('short', { quantity: 10 });
+
+    await expect(trade('short', { quantity: 10 })).rejects.toMatchObject({
+      status: 400,
+      message: expect.stringMatching(/Short exposure limit reached/)
+    });
+    expect((await shortOf(1)).quantity).toBe(10);
+  });
+
+  test('a cover releases the covered share of the collateral; covering it all closes the short', async () => {
+    const { transaction: opened } = await trade('short', { quantity: 4 });
+    const afterShort = await participantOf(1);
+
+    const { transaction: partial } = await trade('cover', { quantity: 1 });
+    expect(partial).toEqual(expect.objectContaining({
+      type: 'COVER',
+      quantity: 1,
+      collateralReleased: round2(opened.collateral / 4)
+    }));
+    // Buying back lifts the price.
+    expect(partial.priceAfter).toBeGreaterThan(partial.priceBefore);
+    const afterPartial = await participantOf(1);
+    expect(afterPartial.cash).toBeCloseTo(afterShort.cash + partial.collateralReleased - partial.totalAmount, 2);
+    expect(await shortOf(1)).toEqual({ quantity: 3, collateral: round2(opened.collateral - partial.collateralReleased) });
+
+    await expect(trade('cover', { quantity: 4 })).rejects.toMatchObject({
+      status: 400,
+      message: expect.stringMatching(/You owe 3 of/)
+    });
+
+    const { transaction: rest } = await trade('cover', { quantity: 3 });
+    expect(rest.collateralReleased).toBe(round2(opened.collateral - partial.collateralReleased));
+    expect(await shortOf(1)).toEqual({ quantity: 0, collateral: 0 });
+    expect((await participantOf(1)).cash).toBeCloseTo(afterPartial.cash + rest.collateralReleased - rest.totalAmount, 2);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a cover that costs more than the collateral and cash together is refused', async () => {
+    await trade('short', { quantity: 1 });
+    const { participantId } = await participantOf(1);
+    await db.query('UPDATE apocalypse_participants SET current_cash = 0 WHERE participant_id = $1', [participantId]);
+    await setPrice((await coinPrice()) * 3);
+
+    await expect(trade('cover', { quantity: 1 })).rejects.toMatchObject({
+      status: 400,
+      message: expect.stringMatching(/Insufficient round cash to cover/)
+    });
+    expect((await shortOf(1)).quantity).toBe(1);
+  });
+
+  test('a short on a collapsed coin is covered at £0 for its whole collateral', async () => {
+    const { rows: [due] } = await db.query(
+      `SELECT coin_id FROM coin_collapse_schedule
+       WHERE cycle_id = $1 AND scheduled_at <= $2 ORDER BY collapse_rank LIMIT 1`,
+      [cycle.cycle_id, at(0.8).toISOString()]
+    );
+    const { transaction: opened } = await trade('short', { coinId: due.coin_id, quantity: 2 });
+    await reconcileCycle({ now: at(0.8) });
+    expect(await coinPrice(due.coin_id)).toBe(0);
+    const before = await participantOf(1);
+
+    const { transaction } = await trade('cover', { coinId: due.coin_id, quantity: 2 });
+    expect(transaction).toEqual(expect.objectContaining({ price: 0, totalAmount: 0, collateralReleased: opened.collateral }));
+    expect((await participantOf(1)).cash).toBeCloseTo(before.cash + opened.collateral, 2);
+  });
+});
+
+describe('marking shorts to market', () => {
+  test('the live leaderboard and reconcileActivePeaks count an open short at its live value', async () => {
+    const { transaction } = await trade('short', { quantity: 2 });
+    const { cash } = await participantOf(1);
+
+    // The coin halves: the short is worth its collateral minus a cheaper
+    // buy-back, so wealth rises above anything held before.
+    const halved = round2(transaction.priceAfter / 2);
+    await setPrice(halved);
+    const wealth = round2(cash + transaction.collateral - 2 * halved);
+
+    const leaderboard = await getLiveLeaderboard({});
+    const entry = leaderboard.entries.find((e) => e.userId === 1);
+    expect(entry.currentWealth).toBe(wealth);
+
+    const client = await db.getClient();
+    try {
+      await gameRoundService.reconcileActivePeaks(client);
+    } finally {
+      client.release();
+    }
+    expect((await participantOf(1)).peak).toBe(wealth);
+
+    const state = await gameRoundService.getParticipantRoundState((await participantOf(1)).participantId);
+    expect(state.wealth).toBe(wealth);
+  });
+});
+
+describe('maintenance margin on shorts', () => {
+  test('a rising coin margin-calls a short and covers it at the live price', async () => {
+    const { transaction: opened } = await trade('short', { quantity: 2 });
+    expect(await gameRoundService.enforceMaintenanceMargin({ now: new Date() })).toEqual([]);
+
+    // Wealth below the maintenance share of the short's buy-back value.
+    const { participantId, cash } = await participantOf(1);
+    await db.query('UPDATE apocalypse_participants SET current_cash = 1 WHERE participant_id = $1', [participantId]);
+    const risen = round2(opened.priceAfter * 1.4);
+    await setPrice(risen);
+    const wealth = 1 + opened.collateral - 2 * risen;
+    expect(wealth).toBeLessThan(GAME_MAINTENANCE_MARGIN_RATE * 2 * risen);
+    expect(cash).toBeGreaterThan(1);
+
+    const calls = await gameRoundService.enforceMaintenanceMargin({ now: new Date() });
+    expect(calls).toEqual([expect.objectContaining({
+      type: 'COVER',
+      participantId,
+      coinId: COIN_ID,
+      quantity: 2,
+      price: risen,
+      totalAmount: round2(2 * risen),
+      collateralReleased: opened.collateral
+    })]);
+    expect(await shortOf(1)).toEqual({ quantity: 0, collateral: 0 });
+    expect((await participantOf(1)).cash).toBeCloseTo(1 + opened.collateral - round2(2 * risen), 2);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+});
+
+describe('forced cover at settlement', () => {
+  test('settlement buys every open short back before finalizing', async () => {
+    await trade('short', { quantity: 3 });
+    await trade('cover', { quantity: 1 });
+    const { cash } = await participantOf(1);
+    const { collateral } = await shortOf(1);
+
+    await reconcileCycle({ now: new Date(new Date(cycle.end_time).getTime() + 1000) });
+
+    expect(await shortOf(1)).toEqual({ quantity: 0, collateral: 0 });
+    const { rows: covers } = await db.query(
+      `SELECT quantity, price, total_amount, forced FROM apocalypse_transactions
+       WHERE cycle_id = $1 AND user_id = 1 AND type = 'COVER' AND forced`,
+      [cycle.cycle_id]
+    );
+    // Every coin has collapsed by the end of the cycle: bought back at £0.
+    expect(covers).toEqual([{ quantity: '2.00000000', price: '0.00', total_amount: '0.00', forced: true }]);
+
+    const { rows: [result] } = await db.query(
+      `SELECT final_cash, trade_count, buy_count, sell_count, forced_count
+       FROM apocalypse_results WHERE cycle_id = $1 AND user_id = 1`,
+      [cycle.cycle_id]
+    );
+    expect(parseFloat(result.final_cash)).toBeCloseTo(cash + collateral, 2);
+    // The player's short and cover are their trades; the forced cover is not.
+    expect(result).toEqual(expect.objectContaining({ trade_count: 2, buy_count: 1, sell_count: 1, forced_count: 1 }));
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a forced cover its cash cannot pay sells the holdings first and reports the rest', async () => {
+    const { transaction: opened } = await trade('short', { quantity: 1 });
+    const { rows: [other] } = await db.query(
+      'SELECT coin_id FROM coins WHERE retired = FALSE AND coin_id <> $1 ORDER BY coin_id LIMIT 1',
+      [COIN_ID]
+    );
+    await gameRoundService.buyRoundTrade({
+      userId: 1, apocalypseId: cycle.apocalypse_id, coinId: other.coin_id, quantity: 1
+    });
+    const otherPrice = await coinPrice(other.coin_id);
+    const { participantId } = await participantOf(1);
+    await db.query('UPDATE apocalypse_participants SET current_cash = 1 WHERE participant_id = $1', [participantId]);
+    const risen = round2(opened.priceAfter * 10);
+    await setPrice(risen);
+
+    const client = await db.getClient();
+    let first;
+    try {
+      await client.query('BEGIN');
+      first = await gameRoundService.forceCoverShortPositions(client, cycle.cycle_id);
+      const replay = await gameRoundService.forceCoverShortPositions(client, cycle.cycle_id);
+      expect(replay.covers).toEqual([]);
+      await client.query('COMMIT');
+    } finally {
+      client.release();
+    }
+
+    expect(first.covers).toHaveLength(1);
+    expect(first.liquidations).toEqual([expect.objectContaining({ coin_id: other.coin_id })]);
+    const unpaid = round2(round2(risen) - opened.collateral - 1 - round2(otherPrice));
+    expect(first.shortfalls).toEqual([{ participantId, amount: unpaid }]);
+    expect((await participantOf(1)).cash).toBe(0);
+    expect(await shortOf(1)).toEqual({ quantity: 0, collateral: 0 });
+  });
+});
@@ -53,11 +53,16 @@ async function sellLedgerCount(participantId) {
 
 // Create a wall-clock cycle, join user 1, and pin coin 1's price so the
 // expected totals are exact: £2,500.00 per coin mirrors the issue's worked
-// example (0.004 of a £2,500 coin costs £10.00).
+// example (0.004 of a £2,500 coin costs £10.00). A very deep liquidity pool
+// keeps these quantity tests free of market impact
+// (__tests__/market-impact.test.js covers impact).
 async function setupJoinedRound({ coinPrice = 2500 } = {}) {
   const cycle = await reconcileCycle({ now: new Date(), durationMs: LONG_DURATION_MS });
   const participant = await joinRound({ userId: 1, now: new Date() });
-  await db.query('UPDATE coins SET current_price = $1 WHERE coin_id = 1', [coinPrice]);
+  await db.query(
+    'UPDATE coins SET current_price = $1, liquidity_depth = 1000000000000 WHERE coin_id = 1',
+    [coinPrice]
+  );
   return { cycle, participant, coinId: 1 };
 }
 
@@ -0,0 +1,182 @@
+// Per-participant wealth curves: the snapshots reconcileActivePeaks appends
+// each price batch, and GET /api/game/participants/:participantId/wealth
+// (gameResultsService.getWealthCurve).
+//
+// Proves: each batch appends one snapshot per ACTIVE participant at the
+// batch's time, worth the participant's live wealth, and a batch never
+// writes a participant twice; the curve starts at the starting cash on
+// join, follows the snapshots and ends at the final cash on settlement; the
+// peak, low and worst drawdown are taken over the whole curve; a long curve
+// is thinned but keeps its extremes; and malformed or unknown ids are
+// rejected.
+
+const request = require('supertest');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const gameRoundService = require('../game/gameRoundService');
+const { MAX_WEALTH_CURVE_POINTS } = require('../game/gameResultsService');
+
+const CYCLE_MS = 10 * 60 * 1000;
+
+async function runBatch(now) {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await gameRoundService.reconcileActivePeaks(client, now);
+    await gameRoundService.reconcileActivePeaks(client, now); // same batch time: no second snapshot
+    await client.query('COMMIT');
+  } finally {
+    client.release();
+  }
+}
+
+async function joinedCycle() {
+  const cycle = await reconcileCycle({ now: new Date(), durationMs: CYCLE_MS });
+  const participant = await gameRoundService.joinRound({ userId: 1, now: new Date() });
+  return { cycle, participant };
+}
+
+// One snapshot every 5 seconds after the participant joined, in order.
+async function recordCurve(participant, wealths) {
+  const { rows: [{ joined_at: joinedAt }] } = await db.query(
+    'SELECT joined_at FROM apocalypse_participants WHERE participant_id = $1',
+    [participant.participantId]
+  );
+  for (const [index, wealth] of wealths.entries()) {
+    await db.query(
+      'INSERT INTO apocalypse_wealth_snapshots (participant_id, wealth, recorded_at) VALUES ($1, $2, $3)',
+      [participant.participantId, wealth, new Date(new Date(joinedAt).getTime() + (index + 1) * 5000)]
+    );
+  }
+  return new Date(joinedAt);
+}
+
+function curveOf(participantId) {
+  return request(app).get(`/api/game/participants/${participantId}/wealth`);
+}
+
+describe('wealth snapshots', () => {
+  test('each batch appends one snapshot per active participant at its live wealth', async () => {
+    const { cycle, participant } = await joinedCycle();
+    await gameRoundService.joinRound({ userId: 2, now: new Date() });
+    const { rows: [coin] } = await db.query(
+      'SELECT coin_id FROM coins WHERE retired = FALSE ORDER BY coin_id LIMIT 1'
+    );
+    await gameRoundService.buyRoundTrade({
+      userId: 1, apocalypseId: cycle.apocalypse_id, coinId: coin.coin_id, quantity: 3, now: new Date()
+    });
+    await db.query('UPDATE coins SET current_price = current_price * 2 WHERE coin_id = $1', [coin.coin_id]);
+
+    const batchAt = Date.now();
+    await runBatch(new Date(batchAt));
+    await runBatch(new Date(batchAt + 5000));
+
+    const { rows } = await db.query(
+      'SELECT participant_id, wealth, recorded_at FROM apocalypse_wealth_snapshots ORDER BY recorded_at, participant_id'
+    );
+    expect(rows).toHaveLength(4);
+    expect(rows.map((row) => row.recorded_at.getTime())).toEqual([batchAt, batchAt, batchAt + 5000, batchAt + 5000]);
+
+    const { body: { data: board } } = await request(app).get('/api/game/leaderboard').expect(200);
+    const live = board.entries.find((entry) => entry.participantId === participant.participantId);
+    const own = rows.filter((row) => row.participant_id === participant.participantId);
+    expect(own.map((row) => parseFloat(row.wealth))).toEqual([live.currentWealth, live.currentWealth]);
+  });
+});
+
+describe('GET /api/game/participants/:participantId/wealth', () => {
+  test('malformed and unknown participants are rejected', async () => {
+    await curveOf('nope').expect(400);
+    await curveOf('0').expect(400);
+    await curveOf('999999').expect(404);
+  });
+
+  test('a live curve starts at the starting cash and carries its peak, low and worst drawdown', async () => {
+    const { cycle, participant } = await joinedCycle();
+    const start = participant.startingCash;
+    const joinedAt = await recordCurve(participant, [start + 2000, start - 1000, start + 1000, start - 500]);
+    const at = (index) => new Date(joinedAt.getTime() + index * 5000).toISOString();
+
+    const { body: { data } } = await curveOf(participant.participantId).expect(200);
+    expect(data).toEqual(expect.objectContaining({
+      participantId: participant.participantId,
+      cycleId: cycle.apocalypse_id,
+      cycleStatus: 'ACTIVE',
+      userId: 1,
+      isBot: false,
+      startingCash: start,
+      finalCash: null,
+      pointCount: 5
+    }));
+    expect(data.points).toEqual([
+      { at: at(0), wealth: start },
+      { at: at(1), wealth: start + 2000 },
+      { at: at(2), wealth: start - 1000 },
+      { at: at(3), wealth: start + 1000 },
+      { at: at(4), wealth: start - 500 }
+    ]);
+    expect(data.stats).toEqual({
+      peak: { wealth: start + 2000, at: at(1) },
+      low: { wealth: start - 1000, at: at(2) },
+      latest: { wealth: start - 500, at: at(4) },
+      maxDrawdown: {
+        amount: 3000,
+        percent: Math.round((3000 / (start + 2000)) * 10000) / 100,
+        peakAt: at(1),
+        troughAt: at(2)
+      }
+    });
+  });
+
+  test('a curve that never falls has no drawdown', async () => {
+    const { participant } = await joinedCycle();
+    await recordCurve(participant, [participant.startingCash, participant.startingCash + 10]);
+
+    const { body: { data } } = await curveOf(participant.participantId).expect(200);
+    expect(data.stats.maxDrawdown).toBeNull();
+  });
+
+  test('a completed curve ends at the final cash on settlement', async () => {
+    const { cycle, participant } = await joinedCycle();
+    await reconcileCycle({ now: new Date(new Date(cycle.end_time).getTime() + 1000), durationMs: CYCLE_MS });
+
+    const { rows: [settled] } = await db.query(
+      `SELECT p.final_cash, ac.settled_at FROM apocalypse_participants p
+       JOIN apocalypse_cycles ac ON ac.cycle_id = p.cycle_id
+       WHERE p.participant_id = $1`,
+      [participant.participantId]
+    );
+    const { body: { data } } = await curveOf(participant.participantId).expect(200);
+    expect(data.cycleStatus).toBe('COMPLETED');
+    expect(data.finalCash).toBe(parseFloat(settled.final_cash));
+    expect(data.points[data.points.length - 1]).toEqual({
+      at: settled.settled_at.toISOString(),
+      wealth: parseFloat(settled.final_cash)
+    });
+    expect(data.pointCount).toBe(2);
+    expect(data.stats.latest.wealth).toBe(parseFloat(settled.final_cash));
+  });
+
+  test('a long curve is thinned but keeps its extremes', async () => {
+    const { participant } = await joinedCycle();
+    const count = MAX_WEALTH_CURVE_POINTS * 3;
+    // A gentle wave with one spike and one crash that thinning could skip.
+    await db.query(
+      `INSERT INTO apocalypse_wealth_snapshots (participant_id, wealth, recorded_at)
+       SELECT $1,
+              CASE i WHEN 701 THEN 50000 WHEN 703 THEN 10 ELSE 10000 + (i % 7) END,
+              p.joined_at + i * interval '5 seconds'
+       FROM generate_series(1, $2::int) AS i, apocalypse_participants p
+       WHERE p.participant_id = $1`,
+      [participant.participantId, count]
+    );
+
+    const { body: { data } } = await curveOf(participant.participantId).expect(200);
+    expect(data.pointCount).toBe(count + 1);
+    expect(data.points.length).toBeLessThanOrEqual(MAX_WEALTH_CURVE_POINTS);
+    expect(data.points.map((p) => p.wealth)).toEqual(expect.arrayContaining([50000, 10]));
+    expect(data.points[data.points.length - 1].at).toBe(data.stats.latest.at);
+    expect(data.stats.maxDrawdown.amount).toBe(49990);
+  });
+});
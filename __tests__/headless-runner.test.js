@@ -0,0 +1,224 @@
+// Fast-forward headless runner (game/headlessRunner.js).
+//
+// Proves: option validation fails before any write; whole cycles run on the
+// virtual clock through the real lifecycle — collapses executed, the cycle
+// settled into an immutable COMPLETED snapshot and the successor chained at
+// its end — with a price path per coin per step and the roster's performance
+// drawn from the results; every price point, trade, wealth snapshot and
+// settlement time is stamped on the virtual clock, so the run's replay and
+// wealth curves stay inside its cycles; a seeded run replays identically; and the CLI's
+// scratch-database guard refuses anything but a local throwaway database.
+
+const db = require('../db/connection');
+const seed = require('../db/seed');
+const { getCycleReplay, getWealthCurve } = require('../game/gameResultsService');
+const {
+  HeadlessRunError,
+  resolveRunOptions,
+  assertScratchDatabase,
+  runHeadless
+} = require('../game/headlessRunner');
+
+const START = '2026-09-01T10:00:00.000Z';
+const DURATION_MS = 2 * 60 * 1000;
+const INTERVAL_MS = 10 * 1000;
+const STEPS_PER_CYCLE = DURATION_MS / INTERVAL_MS;
+
+describe('headless runner options', () => {
+  test('defaults to one cycle at the live price cadence', () => {
+    const run = resolveRunOptions({ startTime: START, bots: false });
+    expect(run).toEqual(expect.objectContaining({
+      cycles: 1,
+      durationMs: 30 * 60 * 1000,
+      intervalMs: 30000,
+      startMs: new Date(START).getTime(),
+      seed: null,
+      bots: false,
+      speed: 0
+    }));
+  });
+
+  test.each([
+    [{ cycles: 0 }, /cycles must be a positive integer/],
+    [{ cycles: 101 }, /cycles must be at most 100/],
+    [{ durationMs: 1000 }, /below the minimum/],
+    [{ durationMs: DURATION_MS, intervalMs: DURATION_MS + 1 }, /must not exceed the cycle duration/],
+    [{ intervalMs: 2.5 }, /intervalMs must be a positive integer/],
+    [{ startTime: 'not a time' }, /startTime must be a valid time/],
+    [{ seed: '' }, /seed must be a non-empty string/],
+    [{ bots: 'yes' }, /bots must be a boolean/],
+    [{ speed: -1 }, /speed must be 0/]
+  ])('rejects %j', (options, message) => {
+    expect(() => resolveRunOptions(options)).toThrow(HeadlessRunError);
+    expect(() => resolveRunOptions(options)).toThrow(message);
+  });
+});
+
+describe('headless runs', () => {
+  test('runs whole cycles on the virtual clock and reports paths, results and bots', async () => {
+    const steps = [];
+    const report = await runHeadless({
+      cycles: 2,
+      durationMs: DURATION_MS,
+      intervalMs: INTERVAL_MS,
+      startTime: START,
+      seed: 'balance-check',
+      onStep: (step) => steps.push(step)
+    });
+
+    expect(report.steps).toBe(2 * STEPS_PER_CYCLE);
+    expect(steps).toHaveLength(report.steps);
+    expect(steps[0]).toEqual(expect.objectContaining({ at: START, batchIndex: 0 }));
+
+    const [first, second] = report.cycles;
+    expect(first.startTime).toBe(START);
+    expect(second.startTime).toBe(first.endTime);
+
+    for (const cycle of report.cycles) {
+      expect(cycle.results.status).toBe('COMPLETED');
+      expect(cycle.results.resultCount).toBeGreaterThan(0);
+      // Every coin collapsed by the cycle end, the last at exactly the end.
+      expect(cycle.results.collapses).toHaveLength(cycle.pricePaths.length);
+      expect(cycle.results.collapses[cycle.results.collapses.length - 1].collapsedAt).toBe(cycle.endTime);
+      for (const coin of cycle.pricePaths) {
+        expect(coin.points).toHaveLength(STEPS_PER_CYCLE);
+        expect(coin.points[0].at).toBe(cycle.startTime);
+      }
+    }
+
+    // Both cycles settled; the successor is live, exactly as in production.
+    const { rows } = await db.query('SELECT status FROM apocalypse_cycles ORDER BY cycle_id');
+    expect(rows.map((r) => r.status)).toEqual(['COMPLETED', 'COMPLETED', 'ACTIVE']);
+
+    expect(report.botPerformance).toHaveLength(4);
+    for (const bot of report.botPerformance) {
+      expect(bot.cycles).toBe(2);
+      const finishes = report.cycles
+        .flatMap((cycle) => cycle.results.results)
+        .filter((row) => row.username === bot.username);
+      expect(bot.totalNetProfit).toBeCloseTo(finishes.reduce((sum, row) => sum + row.netProfit, 0), 2);
+      expect(bot.trades).toBe(finishes.reduce((sum, row) => sum + row.tradeCount, 0));
+      // Two bot ticks per two-minute cycle.
+      expect(bot.actions.executed + bot.actions.skipped + bot.actions.rejected).toBe(4);
+    }
+  });
+
+  test('the replay and wealth curves of a run follow its virtual clock', async () => {
+    await runHeadless({
+      durationMs: DURATION_MS,
+      intervalMs: INTERVAL_MS,
+      startTime: START,
+      seed: 'virtual-clock'
+    });
+    const { rows: [cycle] } = await db.query(
+      `SELECT cycle_id, apocalypse_id, start_time, end_time FROM apocalypse_cycles WHERE status = 'COMPLETED'`
+    );
+    const startMs = new Date(cycle.start_time).getTime();
+    const endMs = new Date(cycle.end_time).getTime();
+    const onClock = (at) => new Date(at).getTime() >= startMs && new Date(at).getTime() <= endMs;
+
+    const replay = await getCycleReplay(cycle.apocalypse_id);
+    expect(replay.settledAt).toBe(cycle.end_time.toISOString());
+    expect(replay.nextFrom).toBeNull();
+    expect(replay.events.filter((event) => event.type === 'price.point').length).toBeGreaterThanOrEqual(STEPS_PER_CYCLE);
+    expect(replay.events.every((event) => onClock(event.at))).toBe(true);
+
+    const { rows: [{ count: trades }] } = await db.query(
+      `SELECT count(*)::int AS count FROM apocalypse_transactions
+       WHERE cycle_id = $1 AND (created_at < $2 OR created_at > $3)`,
+      [cycle.cycle_id, cycle.start_time, cycle.end_time]
+    );
+    expect(trades).toBe(0);
+
+    const { rows: [participant] } = await db.query(
+      'SELECT participant_id FROM apocalypse_participants WHERE cycle_id = $1 ORDER BY participant_id LIMIT 1',
+      [cycle.cycle_id]
+    );
+    const curve = await getWealthCurve(participant.participant_id);
+    // The join, one snapshot per price batch, and the settlement.
+    expect(curve.pointCount).toBe(STEPS_PER_CYCLE + 2);
+    expect(curve.points.every((point) => onClock(point.at))).toBe(true);
+  });
+
+  test('a seeded run replays the same price paths and results', async () => {
+    const options = {
+      durationMs: DURATION_MS,
+      intervalMs: INTERVAL_MS,
+      startTime: START,
+      seed: 'replay',
+      bots: false
+    };
+    const first = await runHeadless(options);
+    await seed();
+    const second = await runHeadless(options);
+
+    expect(second.cycles[0].pricePaths).toEqual(first.cycles[0].pricePaths);
+    expect(second.cycles[0].results.collapses).toEqual(first.cycles[0].results.collapses);
+  });
+
+  test('a scenario is followed for the run', async () => {
+    const report = await runHeadless({
+      durationMs: DURATION_MS,
+      intervalMs: INTERVAL_MS,
+      startTime: START,
+      bots: false,
+      scenario: {
+        name: 'steady-climb',
+        coinMoves: [{ atMs: 0, durationMs: 60000, coinId: 5, driftPerBatch: 0.004 }]
+      }
+    });
+
+    expect(report.options.scenario).toBe('steady-climb');
+    const coin = report.cycles[0].pricePaths.find((c) => c.coinId === 5);
+    expect(coin.points[1].price).toBeGreaterThan(coin.points[0].price);
+    expect(coin.points[5].price).toBeGreaterThan(coin.points[1].price);
+  });
+
+  test('a failed price batch fails the run', async () => {
+    const { MarketSimulator } = require('../models/market-simulator');
+    const spy = jest.spyOn(MarketSimulator.prototype, 'updateAllPrices').mockResolvedValue(null);
+    try {
+      await expect(runHeadless({
+        durationMs: DURATION_MS,
+        intervalMs: INTERVAL_MS,
+        startTime: START,
+        bots: false
+      })).rejects.toThrow(/price batch failed at virtual time 2026-09-01T10:00:00.000Z/);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
+
+describe('scratch database guard', () => {
+  const KEYS = ['DATABASE_URL', 'PGHOST', 'PGDATABASE'];
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(KEYS.map((k) => [k, process.env[k]]));
+  });
+
+  afterEach(() => {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+
+  test('accepts a local database named for throwaway use', () => {
+    delete process.env.DATABASE_URL;
+    process.env.PGHOST = 'localhost';
+    process.env.PGDATABASE = 'coins_scratch';
+    expect(assertScratchDatabase()).toEqual({ host: 'localhost', database: 'coins_scratch' });
+  });
+
+  test('refuses the development database and remote hosts', () => {
+    delete process.env.DATABASE_URL;
+    process.env.PGHOST = 'localhost';
+    process.env.PGDATABASE = 'coins';
+    expect(() => assertScratchDatabase()).toThrow(/refusing to run against "coins"/);
+
+    process.env.DATABASE_URL = 'postgres://user@db.example.com:5432/coins_scratch';
+    expect(() => assertScratchDatabase()).toThrow(/refusing/);
+  });
+});
@@ -1,5 +1,6 @@
 const marketSimulator = require('../models/market-simulator');
 const gameCycleService = require('../game/gameCycleService');
+const { reconcileCycle } = require('../game/gameCycleService');
 const {
   getApocalypseVolatility,
   ABSOLUTE_MAX_APOCALYPSE_FACTOR
@@ -25,7 +26,7 @@ describe('Core 2: apocalypse volatility in the market simulator', () => {
 
   // Deterministic price-calculation fixture: no market cycle, no events, no
   // trend — only the volatility-scaled random component can move the price,
-  // and Math.random is injected so direction is fully controlled.
+  // and the random source is injected so direction is fully controlled.
   function setupCoin(coinId, price) {
     marketSimulator.initialPrices.set(coinId, price);
     marketSimulator.coinVolatility.set(coinId, {
@@ -50,8 +51,9 @@ describe('Core 2: apocalypse volatility in the market simulator', () => {
     });
 
     test('updateAllPrices applies the Core 2 factor derived from Core 1 progress to every coin calculation', async () => {
+      const cycle = await reconcileCycle({ now: new Date() });
       jest.spyOn(gameCycleService, 'getGameState').mockResolvedValue({
-        apocalypseId: 'APOC-0001',
+        apocalypseId: cycle.apocalypse_id,
         status: 'ACTIVE',
         apocalypsePercent: 50
       });
@@ -70,39 +72,35 @@ describe('Core 2: apocalypse volatility in the market simulator', () => {
   describe('controlled random injection: direction and amplitude', () => {
     test('upward movement remains possible at the maximum apocalypse factor', () => {
       setupCoin(1, 100);
-      jest.spyOn(Math, 'random').mockReturnValue(1); // max positive random component
 
-      const newPrice = marketSimulator.calculateNewPrice(100, 1, ABSOLUTE_MAX_APOCALYPSE_FACTOR);
+      // max positive random component
+      const newPrice = marketSimulator.calculateNewPrice(100, 1, ABSOLUTE_MAX_APOCALYPSE_FACTOR, () => 1);
       expect(newPrice).toBeGreaterThan(100);
     });
 
     test('downward movement remains possible at the maximum apocalypse factor', () => {
       setupCoin(1, 100);
-      jest.spyOn(Math, 'random').mockReturnValue(0); // max negative random component
 
-      const newPrice = marketSimulator.calculateNewPrice(100, 1, ABSOLUTE_MAX_APOCALYPSE_FACTOR);
+      // max negative random component
+      const newPrice = marketSimulator.calculateNewPrice(100, 1, ABSOLUTE_MAX_APOCALYPSE_FACTOR, () => 0);
       expect(newPrice).toBeLessThan(100);
     });
 
     test('both directions remain possible at cycle start (factor 1) and late cycle', () => {
       setupCoin(1, 100);
-      const randomSpy = jest.spyOn(Math, 'random');
 
       const factors = [getApocalypseVolatility(0), getApocalypseVolatility(90)];
       for (const factor of factors) {
-        randomSpy.mockReturnValue(1);
-        expect(marketSimulator.calculateNewPrice(100, 1, factor)).toBeGreaterThan(100);
-        randomSpy.mockReturnValue(0);
-        expect(marketSimulator.calculateNewPrice(100, 1, factor)).toBeLessThan(100);
+        expect(marketSimulator.calculateNewPrice(100, 1, factor, () => 1)).toBeGreaterThan(100);
+        expect(marketSimulator.calculateNewPrice(100, 1, factor, () => 0)).toBeLessThan(100);
       }
     });
 
     test('late-cycle factor produces a larger movement amplitude than the start factor', () => {
       setupCoin(1, 100);
-      jest.spyOn(Math, 'random').mockReturnValue(1);
 
-      const earlyMove = Math.abs(marketSimulator.calculateNewPrice(100, 1, getApocalypseVolatility(0)) - 100);
-      const lateMove = Math.abs(marketSimulator.calculateNewPrice(100, 1, getApocalypseVolatility(90)) - 100);
+      const earlyMove = Math.abs(marketSimulator.calculateNewPrice(100, 1, getApocalypseVolatility(0), () => 1) - 100);
+      const lateMove = Math.abs(marketSimulator.calculateNewPrice(100, 1, getApocalypseVolatility(90), () => 1) - 100);
 
       expect(lateMove).toBeGreaterThan(earlyMove);
     });
@@ -111,11 +109,9 @@ describe('Core 2: apocalypse volatility in the market simulator', () => {
   describe('safety guards', () => {
     test('prices stay finite, positive and inside the per-update limit even at the absolute maximum factor', () => {
       setupCoin(1, 100);
-      const randomSpy = jest.spyOn(Math, 'random');
 
       for (const randomValue of [0, 0.25, 0.5, 0.75, 1]) {
-        randomSpy.mockReturnValue(randomValue);
-        const newPrice = marketSimulator.calculateNewPrice(100, 1, ABSOLUTE_MAX_APOCALYPSE_FACTOR);
+        const newPrice = marketSimulator.calculateNewPrice(100, 1, ABSOLUTE_MAX_APOCALYPSE_FACTOR, () => randomValue);
         expect(Number.isFinite(newPrice)).toBe(true);
         expect(newPrice).toBeGreaterThan(0);
         // Existing 0.5% per-update protection still bounds every move.
@@ -131,10 +127,9 @@ describe('Core 2: apocalypse volatility in the market simulator', () => {
       ['undefined', undefined]
     ])('an invalid multiplier (%s) safely falls back to normal volatility', (_label, multiplier) => {
       setupCoin(1, 100);
-      jest.spyOn(Math, 'random').mockReturnValue(1);
 
-      const guarded = marketSimulator.calculateNewPrice(100, 1, multiplier);
-      const normal = marketSimulator.calculateNewPrice(100, 1, 1);
+      const guarded = marketSimulator.calculateNewPrice(100, 1, multiplier, () => 1);
+      const normal = marketSimulator.calculateNewPrice(100, 1, 1, () => 1);
       expect(guarded).toBe(normal);
     });
 
@@ -144,8 +139,9 @@ describe('Core 2: apocalypse volatility in the market simulator', () => {
       // inside a cycle's collapse window, which is legitimate behaviour but
       // not what this test measures. Pin a stable mid-cycle state instead
       // (same pattern as the factor test above).
+      const cycle = await reconcileCycle({ now: new Date() });
       jest.spyOn(gameCycleService, 'getGameState').mockResolvedValue({
-        apocalypseId: 'APOC-0001',
+        apocalypseId: cycle.apocalypse_id,
         status: 'ACTIVE',
         apocalypsePercent: 50
       });
@@ -168,7 +164,6 @@ describe('Core 2: apocalypse volatility in the market simulator', () => {
     test('Core 2 adds no timers: importing the module and resolving state creates none', async () => {
       await marketSimulator.updateAllPrices();
       expect(marketSimulator.updateIntervalId).toBeNull();
-      expect(marketSimulator.cycleTimeout).toBeNull();
     });
   });
 });
@@ -0,0 +1,193 @@
+// Price batch latency: every committed batch writes its coins set-based,
+// holds the coin row locks only from the price check to the commit, and
+// records how long each phase took (game/marketBatchTimings.js), served by
+// GET /api/market/batch-timings.
+
+const request = require('supertest');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const gameRoundService = require('../game/gameRoundService');
+const { MarketSimulator } = require('../models/market-simulator');
+const { BATCH_PHASES, summarizeBatchTimings } = require('../game/marketBatchTimings');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+
+jest.setTimeout(30000);
+
+const CYCLE_START = new Date('2026-08-20T10:00:00.000Z');
+const INTERVAL_MS = 30000;
+
+function batchAt(batch) {
+  return new Date(CYCLE_START.getTime() + batch * INTERVAL_MS + 1000);
+}
+
+function newSimulator() {
+  const simulator = new MarketSimulator();
+  simulator.priceUpdateInterval = INTERVAL_MS;
+  return simulator;
+}
+
+async function timingRows() {
+  const { rows } = await db.query('SELECT * FROM market_batch_timings ORDER BY timing_id');
+  return rows;
+}
+
+let cycle;
+
+beforeEach(async () => {
+  cycle = await reconcileCycle({ now: CYCLE_START, generateSeed: () => 'timings-seed' });
+});
+
+describe('price batch writes and timings', () => {
+  test('a batch writes every live coin once and records its phase timings', async () => {
+    const simulator = newSimulator();
+    await expect(simulator.updateAllPrices({ now: batchAt(0) })).resolves.toBe(0);
+
+    const { rows: coins } = await db.query(
+      'SELECT coin_id, current_price FROM coins WHERE NOT retired ORDER BY coin_id'
+    );
+    const { rows: history } = await db.query(
+      `SELECT DISTINCT ON (coin_id) coin_id, price FROM price_history
+       WHERE coin_id IN (SELECT coin_id FROM coins WHERE NOT retired)
+       ORDER BY coin_id, price_history_id DESC`
+    );
+    // Every live coin's newest history row carries the price just written.
+    expect(history.map((r) => [r.coin_id, r.price])).toEqual(coins.map((c) => [c.coin_id, c.current_price]));
+
+    const rows = await timingRows();
+    expect(rows).toHaveLength(1);
+    const [row] = rows;
+    expect(row).toEqual(expect.objectContaining({
+      cycle_id: cycle.cycle_id,
+      batch_index: 0,
+      coin_count: coins.length,
+      recomputed: false
+    }));
+    expect(Object.keys(row.phases).sort()).toEqual(
+      BATCH_PHASES.filter((phase) => phase !== 'recompute').sort()
+    );
+    expect(parseFloat(row.coin_lock_ms)).toBeLessThanOrEqual(parseFloat(row.total_ms));
+    expect(simulator.lastBatchTimings).toEqual(expect.objectContaining({
+      cycleId: cycle.cycle_id,
+      batchIndex: 0,
+      coinCount: coins.length,
+      recomputed: false,
+      phases: row.phases
+    }));
+
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a collapsed coin is neither written nor counted', async () => {
+    await db.query(
+      `UPDATE coin_collapse_schedule SET executed_at = scheduled_at
+       WHERE cycle_id = $1 AND coin_id = 5`,
+      [cycle.cycle_id]
+    );
+    await db.query('UPDATE coins SET current_price = 0 WHERE coin_id = 5');
+    const { rows: live } = await db.query('SELECT count(*)::int AS n FROM coins WHERE NOT retired AND coin_id <> 5');
+
+    await newSimulator().updateAllPrices({ now: batchAt(0) });
+
+    const { rows } = await db.query('SELECT count(*)::int AS n FROM price_history WHERE coin_id = 5');
+    expect(rows[0].n).toBe(0);
+    const [timing] = await timingRows();
+    expect(timing.coin_count).toBe(live[0].n);
+  });
+
+  test('a round trade runs while the batch computes, and the batch prices again from it', async () => {
+    const simulator = newSimulator();
+    const calculate = jest.spyOn(simulator, 'calculateBatchPrices');
+    let trade = null;
+    calculate.mockImplementationOnce(async function (...args) {
+      const prices = await MarketSimulator.prototype.calculateBatchPrices.apply(this, args);
+      // No coin row is locked yet: the trade (coin lock, then participant)
+      // completes, and its market impact moves coin 5.
+      trade = await gameRoundService.buyRoundTrade({
+        userId: 1,
+        apocalypseId: cycle.apocalypse_id,
+        coinId: 5,
+        quantity: 20,
+        now: batchAt(0)
+      });
+      return prices;
+    });
+    const { rows: before } = await db.query('SELECT current_price FROM coins WHERE coin_id = 5');
+
+    await expect(simulator.updateAllPrices({ now: batchAt(0) })).resolves.toBe(0);
+
+    expect(trade).not.toBeNull();
+    expect(calculate).toHaveBeenCalledTimes(2);
+    const [{ coins: locked }] = calculate.mock.calls[1].slice(1);
+    const moved = locked.find((coin) => coin.coin_id === 5).current_price;
+    expect(moved).not.toBe(before[0].current_price);
+
+    const [timing] = await timingRows();
+    expect(timing.recomputed).toBe(true);
+    expect(timing.phases).toHaveProperty('recompute');
+
+    // The prices written are the recomputed ones, history included.
+    const { rows: history } = await db.query(
+      'SELECT price FROM price_history WHERE coin_id = 5 ORDER BY price_history_id DESC LIMIT 1'
+    );
+    const { rows: after } = await db.query('SELECT current_price FROM coins WHERE coin_id = 5');
+    expect(history[0].price).toBe(after[0].current_price);
+  });
+});
+
+describe('summaries', () => {
+  test('average and maximum per phase, total and coin lock', () => {
+    const summary = summarizeBatchTimings([
+      { phases: { state: 1, compute: 4 }, totalMs: 10, coinLockMs: 2, recomputed: false },
+      { phases: { state: 3, compute: 2, recompute: 5 }, totalMs: 20, coinLockMs: 8, recomputed: true }
+    ]);
+    expect(summary).toEqual({
+      phases: {
+        state: { avgMs: 2, maxMs: 3 },
+        compute: { avgMs: 3, maxMs: 4 },
+        recompute: { avgMs: 5, maxMs: 5 }
+      },
+      total: { avgMs: 15, maxMs: 20 },
+      coinLock: { avgMs: 5, maxMs: 8 },
+      recomputed: 1
+    });
+    expect(summarizeBatchTimings([])).toEqual({ phases: {}, total: null, coinLock: null, recomputed: 0 });
+  });
+});
+
+describe('GET /api/market/batch-timings', () => {
+  test('serves the most recent batches newest first with their summary', async () => {
+    const simulator = newSimulator();
+    for (let batch = 0; batch < 3; batch++) {
+      await simulator.updateAllPrices({ now: batchAt(batch) });
+    }
+
+    const { body } = await request(app).get('/api/market/batch-timings?limit=2').expect(200);
+    expect(body.limit).toBe(2);
+    expect(body.count).toBe(2);
+    expect(body.batches.map((b) => b.batchIndex)).toEqual([2, 1]);
+    expect(body.batches[0]).toEqual(expect.objectContaining({
+      cycleId: cycle.apocalypse_id,
+      recomputed: false,
+      totalMs: expect.any(Number),
+      coinLockMs: expect.any(Number),
+      recordedAt: expect.any(String)
+    }));
+    expect(body.summary).toEqual(summarizeBatchTimings(body.batches));
+  });
+
+  test('an empty history has no summary figures', async () => {
+    const { body } = await request(app).get('/api/market/batch-timings').expect(200);
+    expect(body).toEqual({
+      limit: 20,
+      count: 0,
+      summary: { phases: {}, total: null, coinLock: null, recomputed: 0 },
+      batches: []
+    });
+  });
+
+  test('rejects a non-numeric limit', async () => {
+    const { body } = await request(app).get('/api/market/batch-timings?limit=lots').expect(400);
+    expect(body).toEqual({ status: 'error', message: expect.stringMatching(/Invalid limit/) });
+  });
+});
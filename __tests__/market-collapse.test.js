@@ -32,24 +32,6 @@ async function collapseRankZeroCoin() {
   return { cycle, coinId: rows[0].coin_id };
 }
 
-// Deterministic simulator fixture for every seeded coin: volatility profile
-// and initial price set, no market cycle, no events, trend strength zero.
-async function setupAllCoins() {
-  const { rows } = await db.query('SELECT coin_id, current_price FROM coins');
-  for (const coin of rows) {
-    const price = parseFloat(coin.current_price);
-    marketSimulator.initialPrices.set(coin.coin_id, price);
-    marketSimulator.coinVolatility.set(coin.coin_id, {
-      baseVolatility: 0.5,
-      lastUpdate: new Date(),
-      trendDirection: 1,
-      trendStrength: 0,
-      trendDuration: 60000,
-      trendStartTime: new Date()
-    });
-  }
-}
-
 describe('Core 3: collapsed coins in the market simulator', () => {
   beforeEach(() => {
     marketSimulator.stop();
@@ -65,14 +47,12 @@ describe('Core 3: collapsed coins in the market simulator', () => {
   });
 
   test('the ordinary automatic market update never revives a collapsed coin and never writes new history for it', async () => {
-    const { coinId } = await collapseRankZeroCoin();
-    await setupAllCoins();
+    const { cycle, coinId } = await collapseRankZeroCoin();
 
     const historyBefore = await db.query('SELECT count(*)::int AS n FROM price_history WHERE coin_id = $1', [coinId]);
-    jest.spyOn(Math, 'random').mockReturnValue(1); // maximum upward pressure
     // Keep Core 1 state stable at this point in the cycle for the batch.
     jest.spyOn(gameCycleService, 'getGameState').mockResolvedValue({
-      apocalypseId: 'APOC-0001',
+      apocalypseId: cycle.apocalypse_id,
       status: 'ACTIVE',
       apocalypsePercent: 75
     });
@@ -87,12 +67,10 @@ describe('Core 3: collapsed coins in the market simulator', () => {
   });
 
   test('Core 2 still applies to surviving coins while the collapsed coin is skipped entirely', async () => {
-    const { coinId } = await collapseRankZeroCoin();
-    await setupAllCoins();
+    const { cycle, coinId } = await collapseRankZeroCoin();
 
-    jest.spyOn(Math, 'random').mockReturnValue(1);
     jest.spyOn(gameCycleService, 'getGameState').mockResolvedValue({
-      apocalypseId: 'APOC-0001',
+      apocalypseId: cycle.apocalypse_id,
       status: 'ACTIVE',
       apocalypsePercent: 50
     });
@@ -115,11 +93,9 @@ describe('Core 3: collapsed coins in the market simulator', () => {
   });
 
   test('a zero-priced dead coin does not trip the invalid-write protection: the batch completes for survivors', async () => {
-    await collapseRankZeroCoin();
-    await setupAllCoins();
-    jest.spyOn(Math, 'random').mockReturnValue(1);
+    const { cycle } = await collapseRankZeroCoin();
     jest.spyOn(gameCycleService, 'getGameState').mockResolvedValue({
-      apocalypseId: 'APOC-0001',
+      apocalypseId: cycle.apocalypse_id,
       status: 'ACTIVE',
       apocalypsePercent: 80
     });
@@ -140,10 +116,8 @@ describe('Core 3: collapsed coins in the market simulator', () => {
       [cycle.cycle_id]
     );
     expect(deadRows).toHaveLength(4);
-    await setupAllCoins();
-    jest.spyOn(Math, 'random').mockReturnValue(1);
     jest.spyOn(gameCycleService, 'getGameState').mockResolvedValue({
-      apocalypseId: 'APOC-0001',
+      apocalypseId: cycle.apocalypse_id,
       status: 'ACTIVE',
       apocalypsePercent: 90
     });
@@ -158,15 +132,14 @@ describe('Core 3: collapsed coins in the market simulator', () => {
   });
 
   test('malformed state (collapsed coin with a non-zero price) fails safely: nothing written, nothing revived', async () => {
-    const { coinId } = await collapseRankZeroCoin();
-    await setupAllCoins();
+    const { cycle, coinId } = await collapseRankZeroCoin();
 
     // Corrupt the live price behind the schedule's back.
     await db.query('UPDATE coins SET current_price = 5 WHERE coin_id = $1', [coinId]);
 
     // Hold Core 1 state stable so no rollover can reconcile the corruption away.
     jest.spyOn(gameCycleService, 'getGameState').mockResolvedValue({
-      apocalypseId: 'APOC-0001',
+      apocalypseId: cycle.apocalypse_id,
       status: 'ACTIVE',
       apocalypsePercent: 75
     });
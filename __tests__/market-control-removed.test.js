@@ -24,7 +24,7 @@ describe('POST /api/market/start and /stop are removed (no public simulator cont
 
   test('anonymous callers cannot start the market', async () => {
     await request(app).post('/api/market/start').expect(404);
-    expect(marketSimulator.getMarketStatus().status).toBe('STOPPED');
+    expect((await marketSimulator.getMarketStatus()).status).toBe('STOPPED');
   });
 
   test('anonymous callers cannot stop the market', async () => {
@@ -36,7 +36,7 @@ describe('POST /api/market/start and /stop are removed (no public simulator cont
       .post('/api/market/start')
       .set('Authorization', `Bearer ${playerToken(1)}`)
       .expect(404);
-    expect(marketSimulator.getMarketStatus().status).toBe('STOPPED');
+    expect((await marketSimulator.getMarketStatus()).status).toBe('STOPPED');
   });
 
   test('an authenticated ordinary player cannot stop the market', async () => {
@@ -52,9 +52,13 @@ describe('POST /api/market/start and /stop are removed (no public simulator cont
 
     // The server (not the API) owns start/stop: they still function when
     // invoked by the process lifecycle itself.
+    // Status is the shared persisted market state, so it reads RUNNING as
+    // soon as start() has resumed it; after stop() this process schedules no
+    // further batches and the state goes stale (STOPPED) for every reader.
     await marketSimulator.start();
-    expect(marketSimulator.getMarketStatus().status).toBe('RUNNING');
+    expect((await marketSimulator.getMarketStatus()).status).toBe('RUNNING');
     marketSimulator.stop();
-    expect(marketSimulator.getMarketStatus().status).toBe('STOPPED');
+    expect(marketSimulator.isRunning).toBe(false);
+    expect(marketSimulator.updateIntervalId).toBeNull();
   });
 });
@@ -0,0 +1,236 @@
+// Market news feed: every market cycle change, coin event and sector event
+// the simulator starts is persisted to market_events with its window and a
+// headline (game/marketNews.js), and served newest first by
+// GET /api/market/events. Pure headline mapping first, then the simulator
+// recording news, then the public API.
+
+const request = require('supertest');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { MarketSimulator } = require('../models/market-simulator');
+const { upsertSector, updateCoinSector } = require('../models/coins.model');
+const { MAX_MARKET_EVENTS_LIMIT, newsItem } = require('../game/marketNews');
+
+jest.setTimeout(30000);
+
+const CYCLE_START = new Date('2026-08-20T10:00:00.000Z');
+const INTERVAL_MS = 30000;
+
+function batchAt(batch) {
+  return new Date(CYCLE_START.getTime() + batch * INTERVAL_MS + 1000);
+}
+
+async function runBatch(batch) {
+  const simulator = new MarketSimulator();
+  simulator.priceUpdateInterval = INTERVAL_MS;
+  await simulator.updateAllPrices({ now: batchAt(batch) });
+}
+
+async function newsRows() {
+  const { rows } = await db.query(
+    `SELECT event_kind, event_type, coin_id, sector, headline, effect, started_at, ends_at
+     FROM market_events ORDER BY event_kind, coin_id NULLS FIRST, sector NULLS FIRST`
+  );
+  return rows;
+}
+
+describe('news items', () => {
+  const startTime = new Date('2026-08-20T10:00:00.000Z');
+
+  test('market cycle changes read by their direction', () => {
+    const item = newsItem({ kind: 'MARKET_CYCLE', event: { type: 'STRONG_BUST', baseEffect: -0.005, startTime, duration: 120000 } });
+    expect(item).toEqual({
+      eventKind: 'MARKET_CYCLE',
+      eventType: 'STRONG_BUST',
+      coinId: null,
+      sector: null,
+      headline: 'Markets plunge into a strong bust',
+      effect: 'NEGATIVE',
+      startedAt: startTime,
+      endsAt: new Date(startTime.getTime() + 120000)
+    });
+    expect(newsItem({ kind: 'MARKET_CYCLE', event: { type: 'STABLE', baseEffect: 0, startTime, duration: 1 } }).effect)
+      .toBe('NEUTRAL');
+  });
+
+  test('coin and sector events name their subject', () => {
+    const coin = newsItem({
+      kind: 'COIN_EVENT',
+      event: { type: 'SCANDAL', multiplier: 0.93, startTime, duration: 1000 },
+      coin: { coinId: 4, symbol: 'DOGE' }
+    });
+    expect(coin).toMatchObject({ coinId: 4, sector: null, headline: 'Scandal engulfs DOGE', effect: 'NEGATIVE' });
+
+    const sector = newsItem({
+      kind: 'SECTOR_EVENT',
+      event: { type: 'SECTOR_HYPE', multiplier: 1.06, startTime, duration: 1000 },
+      sector: 'TECH'
+    });
+    expect(sector).toMatchObject({ coinId: null, sector: 'TECH', headline: 'Hype sweeps the TECH sector', effect: 'POSITIVE' });
+  });
+});
+
+describe('the simulator records market news', () => {
+  let cycle;
+
+  beforeEach(async () => {
+    cycle = await reconcileCycle({ now: CYCLE_START, generateSeed: () => 'news-seed' });
+  });
+
+  test('the first batch records its market cycle and every coin event as they started', async () => {
+    await runBatch(0);
+
+    const rows = await newsRows();
+    const batchTime = new Date(CYCLE_START.getTime());
+    expect(rows).toHaveLength(11);
+    expect(rows.every((row) => row.started_at.getTime() === batchTime.getTime())).toBe(true);
+
+    const { rows: [state] } = await db.query(
+      'SELECT market_cycle_type, market_cycle_ends_at FROM market_state WHERE cycle_id = $1',
+      [cycle.cycle_id]
+    );
+    expect(rows.find((row) => row.event_kind === 'MARKET_CYCLE')).toMatchObject({
+      event_type: state.market_cycle_type,
+      ends_at: state.market_cycle_ends_at
+    });
+
+    const { rows: active } = await db.query(
+      'SELECT coin_id, event_type, ends_at FROM market_coin_active_events WHERE cycle_id = $1 ORDER BY coin_id',
+      [cycle.cycle_id]
+    );
+    const { rows: coins } = await db.query('SELECT coin_id, symbol FROM coins ORDER BY coin_id');
+    const coinNews = rows.filter((row) => row.event_kind === 'COIN_EVENT');
+    expect(coinNews.map((row) => [row.coin_id, row.event_type, row.ends_at]))
+      .toEqual(active.map((row) => [row.coin_id, row.event_type, row.ends_at]));
+    for (const row of coinNews) {
+      expect(row.headline).toContain(coins.find((coin) => coin.coin_id === row.coin_id).symbol);
+    }
+  });
+
+  test('a batch that starts nothing new records nothing, and a replayed batch records no duplicates', async () => {
+    await runBatch(0);
+    await runBatch(1);
+    expect(await newsRows()).toHaveLength(11);
+
+    // Lose the persisted state: re-deriving batch 0 restarts the very same
+    // events, which are already in the feed.
+    await db.query('DELETE FROM market_coin_active_events');
+    await db.query('DELETE FROM market_state');
+    await db.query('DELETE FROM market_coin_profiles');
+    const before = await newsRows();
+    await runBatch(0);
+    expect(await newsRows()).toEqual(before);
+  });
+
+  test('sector-wide events are news too', async () => {
+    await upsertSector('TECH', { marketCorrelation: 0, shockVolatility: 0, eventProbability: 1 });
+    await updateCoinSector(5, 'TECH');
+
+    await runBatch(0);
+
+    const { rows } = await db.query("SELECT event_type, sector, headline FROM market_events WHERE event_kind = 'SECTOR_EVENT'");
+    const { rows: active } = await db.query('SELECT event_type FROM market_sector_active_events');
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ sector: 'TECH', event_type: active[0].event_type });
+    expect(rows[0].headline).toContain('TECH');
+  });
+});
+
+describe('GET /api/market/events', () => {
+  const T0 = new Date('2026-08-20T10:00:00.000Z').getTime();
+  const minutes = (n) => new Date(T0 + n * 60000);
+
+  beforeEach(async () => {
+    const cycle = await reconcileCycle({ now: CYCLE_START, generateSeed: () => 'news-seed' });
+    // Six coin events a minute apart, alternating between coins 1 and 2,
+    // plus one market cycle change.
+    for (let i = 0; i < 6; i++) {
+      const coinId = i % 2 === 0 ? 1 : 2;
+      await db.query(
+        `INSERT INTO market_events (cycle_id, event_kind, event_type, coin_id, headline, effect, started_at, ends_at)
+         VALUES ($1, 'COIN_EVENT', 'SCANDAL', $2, $3, 'NEGATIVE', $4, $5)`,
+        [cycle.cycle_id, coinId, `headline ${i}`, minutes(i), minutes(i + 5)]
+      );
+    }
+    await db.query(
+      `INSERT INTO market_events (cycle_id, event_kind, event_type, headline, effect, started_at, ends_at)
+       VALUES ($1, 'MARKET_CYCLE', 'STABLE', 'Markets steady as trading calms', 'NEUTRAL', $2, $3)`,
+      [cycle.cycle_id, minutes(6), minutes(10)]
+    );
+  });
+
+  test('lists the newest news first with its public shape', async () => {
+    const { body } = await request(app).get('/api/market/events').expect(200);
+
+    expect(body.count).toBe(7);
+    expect(body.nextCursor).toBeNull();
+    expect(body.events.map((e) => e.headline)).toEqual([
+      'Markets steady as trading calms',
+      'headline 5', 'headline 4', 'headline 3', 'headline 2', 'headline 1', 'headline 0'
+    ]);
+    expect(body.events[1]).toEqual({
+      eventId: expect.any(Number),
+      cycleId: expect.any(String),
+      kind: 'COIN_EVENT',
+      type: 'SCANDAL',
+      coinId: 2,
+      symbol: expect.any(String),
+      sector: null,
+      headline: 'headline 5',
+      effect: 'NEGATIVE',
+      startedAt: minutes(5).toISOString(),
+      endsAt: minutes(10).toISOString()
+    });
+    expect(body.events[0]).toMatchObject({ kind: 'MARKET_CYCLE', coinId: null, symbol: null });
+  });
+
+  test('filters by coin and by start-time range', async () => {
+    const byCoin = await request(app).get('/api/market/events?coinId=1').expect(200);
+    expect(byCoin.body.events.map((e) => e.headline)).toEqual(['headline 4', 'headline 2', 'headline 0']);
+
+    const range = await request(app)
+      .get(`/api/market/events?from=${minutes(2).toISOString()}&to=${minutes(4).toISOString()}`)
+      .expect(200);
+    expect(range.body.events.map((e) => e.headline)).toEqual(['headline 4', 'headline 3', 'headline 2']);
+  });
+
+  test('pages through the feed with nextCursor, without gaps or repeats', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const { body } = await request(app)
+        .get('/api/market/events')
+        .query(cursor ? { limit: 3, cursor } : { limit: 3 })
+        .expect(200);
+      expect(body.count).toBeLessThanOrEqual(3);
+      seen.push(...body.events.map((e) => e.headline));
+      cursor = body.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual([
+      'Markets steady as trading calms',
+      'headline 5', 'headline 4', 'headline 3', 'headline 2', 'headline 1', 'headline 0'
+    ]);
+  });
+
+  test('clamps the limit into range', async () => {
+    const { body } = await request(app).get('/api/market/events?limit=1000').expect(200);
+    expect(body.limit).toBe(MAX_MARKET_EVENTS_LIMIT);
+    const { body: one } = await request(app).get('/api/market/events?limit=0').expect(200);
+    expect(one.count).toBe(1);
+  });
+
+  test.each([
+    ['coinId=abc', /coinId/],
+    ['coinId=0', /coinId/],
+    ['from=yesterday', /from/],
+    [`from=${new Date(T0 + 60000).toISOString()}&to=${new Date(T0).toISOString()}`, /time range/],
+    ['limit=ten', /limit/],
+    ['cursor=not-a-cursor', /cursor/]
+  ])('rejects %s with a 400', async (query, message) => {
+    const { body } = await request(app).get(`/api/market/events?${query}`).expect(400);
+    expect(body.status).toBe('error');
+    expect(body.message).toMatch(message);
+  });
+});
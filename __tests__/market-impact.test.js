@@ -0,0 +1,239 @@
+// Market impact: player trades execute against each coin's virtual
+// constant-product liquidity pool (game/marketImpact.js), so large orders
+// fill at a worse average price and move the live price, which lands in
+// coins.current_price and price_history exactly like a simulator write.
+// The unrounded post-trade price is kept in coins.impact_price, so a split
+// order pays at least what the same order placed at once would.
+// Pure pool math first, then round and legacy trades against the database.
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { joinRound, buyRoundTrade, sellRoundTrade } = require('../game/gameRoundService');
+const { processBuyTransaction, processSellTransaction } = require('../models/transactions.model');
+const {
+  MAX_POOL_SHARE,
+  DEFAULT_LIQUIDITY_DEPTH,
+  MarketImpactError,
+  quoteTrade,
+  quantityForSpend,
+  poolPrice,
+  boundedImpactPrice
+} = require('../game/marketImpact');
+
+// A 7-day wall-clock cycle keeps every coin alive for the whole test.
+const LONG_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
+
+function tokenFor(userId) {
+  return jwt.sign({ user_id: userId }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+async function livePrice(coinId) {
+  const { rows } = await db.query('SELECT current_price FROM coins WHERE coin_id = $1', [coinId]);
+  return parseFloat(rows[0].current_price);
+}
+
+async function historyOf(coinId) {
+  const { rows } = await db.query(
+    'SELECT price FROM price_history WHERE coin_id = $1 ORDER BY price_history_id',
+    [coinId]
+  );
+  return rows.map((row) => parseFloat(row.price));
+}
+
+async function roundCash(participantId) {
+  const { rows } = await db.query(
+    'SELECT current_cash FROM apocalypse_participants WHERE participant_id = $1',
+    [participantId]
+  );
+  return parseFloat(rows[0].current_cash);
+}
+
+// Join user 1 to a live cycle with coin 1 pinned at £100 (baseline included,
+// so the price band is 20..500) in a £100,000-deep pool: 1,000 pool coins.
+async function setupRound() {
+  const cycle = await reconcileCycle({ now: new Date(), durationMs: LONG_DURATION_MS });
+  const participant = await joinRound({ userId: 1, now: new Date() });
+  await db.query(
+    `UPDATE coins SET current_price = 100, cycle_baseline_price = 100, liquidity_depth = $1
+     WHERE coin_id = 1`,
+    [DEFAULT_LIQUIDITY_DEPTH]
+  );
+  await db.query('DELETE FROM price_history WHERE coin_id = 1');
+  return { cycle, participant, coinId: 1 };
+}
+
+describe('liquidity pool pricing', () => {
+  test('a buy pays depth * q / (B - q) and lifts the price by (B / (B - q))^2', () => {
+    // B = 100,000 / 100 = 1,000 pool coins.
+    const quote = quoteTrade({ side: 'BUY', quantity: 100, price: 100, depth: 100000 });
+    expect(quote.total).toBeCloseTo(100000 * 100 / 900, 8);
+    expect(quote.averagePrice).toBeCloseTo(quote.total / 100, 8);
+    expect(quote.averagePrice).toBeGreaterThan(100);
+    expect(quote.newPrice).toBeCloseTo(100 * (1000 / 900) ** 2, 8);
+  });
+
+  test('a sell receives depth * q / (B + q) and lowers the price by (B / (B + q))^2', () => {
+    const quote = quoteTrade({ side: 'SELL', quantity: 100, price: 100, depth: 100000 });
+    expect(quote.total).toBeCloseTo(100000 * 100 / 1100, 8);
+    expect(quote.averagePrice).toBeLessThan(100);
+    expect(quote.newPrice).toBeCloseTo(100 * (1000 / 1100) ** 2, 8);
+  });
+
+  test('larger orders fill at a worse average price; deeper pools move less', () => {
+    const small = quoteTrade({ side: 'BUY', quantity: 1, price: 100, depth: 100000 });
+    const large = quoteTrade({ side: 'BUY', quantity: 50, price: 100, depth: 100000 });
+    const deep = quoteTrade({ side: 'BUY', quantity: 50, price: 100, depth: 1000000 });
+    expect(large.averagePrice).toBeGreaterThan(small.averagePrice);
+    expect(deep.averagePrice).toBeLessThan(large.averagePrice);
+    expect(deep.newPrice).toBeLessThan(large.newPrice);
+  });
+
+  test('a buy beyond the pool share is refused with a 400 MarketImpactError', () => {
+    const limit = (100000 / 100) * MAX_POOL_SHARE;
+    expect(() => quoteTrade({ side: 'BUY', quantity: limit, price: 100, depth: 100000 })).not.toThrow();
+    let error;
+    try {
+      quoteTrade({ side: 'BUY', quantity: limit + 1, price: 100, depth: 100000 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(MarketImpactError);
+    expect(error.status).toBe(400);
+    expect(error.message).toMatch(/Order too large for the available liquidity/);
+  });
+
+  test('quantityForSpend inverts the buy curve', () => {
+    const quantity = quantityForSpend({ spend: 5000, price: 100, depth: 100000 });
+    expect(quoteTrade({ side: 'BUY', quantity, price: 100, depth: 100000 }).total).toBeCloseTo(5000, 6);
+    expect(quantityForSpend({ spend: 0, price: 100, depth: 100000 })).toBe(0);
+    // Never beyond what one order may take.
+    expect(quantityForSpend({ spend: 1e9, price: 100, depth: 100000 })).toBe(1000 * MAX_POOL_SHARE);
+  });
+
+  test('the stored post-trade price stays in the model band and above £0', () => {
+    const coin = { current_price: '100.00', cycle_baseline_price: '100.00', price_model: 'BLENDED', price_model_params: {} };
+    expect(boundedImpactPrice(coin, 123.456)).toBe(123.46);
+    expect(boundedImpactPrice(coin, 900)).toBe(500); // maxPriceRatio 5
+    expect(boundedImpactPrice(coin, 3)).toBe(20); // minPriceRatio 0.2
+    // A price already outside the band is never pushed further out.
+    const stray = { ...coin, current_price: '10.00' };
+    expect(boundedImpactPrice(stray, 9)).toBe(10);
+    // Without a baseline only the £0.01 floor applies.
+    expect(boundedImpactPrice({ ...coin, cycle_baseline_price: null }, 0.001)).toBe(0.01);
+  });
+
+  test('trades quote from the unrounded price the last trade left, until the live price moves', () => {
+    const coin = { current_price: '0.05', impact_price: '0.05025031' };
+    expect(poolPrice(coin)).toBe(0.05025031);
+    expect(poolPrice({ ...coin, impact_price: null })).toBe(0.05);
+    // A price batch moved the coin to £0.06: the stale impact price is ignored.
+    expect(poolPrice({ ...coin, current_price: '0.06' })).toBe(0.06);
+  });
+});
+
+describe('round trades move the live price', () => {
+  test('a buy fills at the pool price and feeds the new price into price_history', async () => {
+    const { cycle, participant, coinId } = await setupRound();
+    const expected = quoteTrade({ side: 'BUY', quantity: 80, price: 100, depth: DEFAULT_LIQUIDITY_DEPTH });
+
+    const { transaction } = await buyRoundTrade({
+      userId: 1, apocalypseId: cycle.apocalypse_id, coinId, quantity: 80, now: new Date()
+    });
+
+    expect(transaction).toMatchObject({
+      priceBefore: 100,
+      priceAfter: Math.round(expected.newPrice * 100) / 100,
+      price: Math.round(expected.averagePrice * 100) / 100,
+      totalAmount: Math.round(expected.total * 100) / 100
+    });
+    expect(await roundCash(participant.participantId)).toBeCloseTo(10000 - transaction.totalAmount, 2);
+    expect(await livePrice(coinId)).toBe(transaction.priceAfter);
+    expect(await historyOf(coinId)).toEqual([transaction.priceAfter]);
+  });
+
+  test('a sell lowers the price, and an immediate round trip loses money', async () => {
+    const { cycle, participant, coinId } = await setupRound();
+    const now = new Date();
+
+    const bought = await buyRoundTrade({ userId: 1, apocalypseId: cycle.apocalypse_id, coinId, quantity: 50, now });
+    const sold = await sellRoundTrade({ userId: 1, apocalypseId: cycle.apocalypse_id, coinId, quantity: 50, now });
+
+    expect(sold.transaction.priceBefore).toBe(bought.transaction.priceAfter);
+    expect(sold.transaction.priceAfter).toBeLessThan(sold.transaction.priceBefore);
+    expect(await historyOf(coinId)).toEqual([bought.transaction.priceAfter, sold.transaction.priceAfter]);
+    expect(sold.transaction.totalAmount).toBeLessThan(bought.transaction.totalAmount);
+    expect(await roundCash(participant.participantId)).toBeLessThan(10000);
+  });
+
+  test('split buys on a cheap coin pay at least as much as one buy of the same size', async () => {
+    const { cycle, participant, coinId } = await setupRound();
+    const other = await joinRound({ userId: 2, now: new Date() });
+    const pinCheapCoin = () => db.query(
+      'UPDATE coins SET current_price = 0.05, cycle_baseline_price = 0.05, impact_price = NULL WHERE coin_id = $1',
+      [coinId]
+    );
+    // 2,000,000 pool coins: a 5,000-coin slice moves the price by about
+    // 0.5%, less than a penny at £0.05.
+    await pinCheapCoin();
+    const single = await buyRoundTrade({
+      userId: 1, apocalypseId: cycle.apocalypse_id, coinId, quantity: 100000, now: new Date()
+    });
+    const singlePriceAfter = await livePrice(coinId);
+
+    await pinCheapCoin();
+    let splitTotal = 0;
+    for (let slice = 0; slice < 20; slice += 1) {
+      const { transaction } = await buyRoundTrade({
+        userId: 2, apocalypseId: cycle.apocalypse_id, coinId, quantity: 5000, now: new Date()
+      });
+      splitTotal += transaction.totalAmount;
+    }
+
+    expect(splitTotal).toBeGreaterThanOrEqual(single.transaction.totalAmount);
+    expect(await livePrice(coinId)).toBe(singlePriceAfter);
+    expect(await roundCash(other.participantId)).toBeCloseTo(10000 - splitTotal, 2);
+    expect(await roundCash(participant.participantId)).toBeCloseTo(10000 - single.transaction.totalAmount, 2);
+  });
+
+  test('an order too large for the pool is a 400 with nothing written', async () => {
+    const { cycle, participant, coinId } = await setupRound();
+    // A shallow £1,000 pool at £1: 600 coins is affordable at the spot
+    // price but more than the pool will give up in one order.
+    await db.query(
+      'UPDATE coins SET current_price = 1, cycle_baseline_price = 1, liquidity_depth = 1000 WHERE coin_id = $1',
+      [coinId]
+    );
+
+    const response = await request(app)
+      .post('/api/game/trades/buy')
+      .set('Authorization', `Bearer ${tokenFor(1)}`)
+      .send({ cycleId: cycle.apocalypse_id, coin_id: coinId, amount: 600 })
+      .expect(400);
+
+    expect(response.body.message).toMatch(/Order too large for the available liquidity/);
+    expect(await roundCash(participant.participantId)).toBe(10000);
+    expect(await livePrice(coinId)).toBe(1);
+    expect(await historyOf(coinId)).toEqual([]);
+  });
+});
+
+describe('legacy trades move the live price', () => {
+  test('legacy buys and sells execute against the same pool', async () => {
+    await db.query('UPDATE coins SET current_price = 10, cycle_baseline_price = 10 WHERE coin_id = 1');
+    await db.query('DELETE FROM price_history WHERE coin_id = 1');
+    const buyQuote = quoteTrade({ side: 'BUY', quantity: 50, price: 10, depth: DEFAULT_LIQUIDITY_DEPTH });
+
+    const bought = await processBuyTransaction(1, 1, 50);
+    expect(parseFloat(bought.total_amount)).toBeCloseTo(buyQuote.total, 2);
+    const afterBuy = await livePrice(1);
+    expect(afterBuy).toBe(Math.round(buyQuote.newPrice * 100) / 100);
+
+    await processSellTransaction(1, 1, 50);
+    const afterSell = await livePrice(1);
+    expect(afterSell).toBeLessThan(afterBuy);
+    expect(await historyOf(1)).toEqual([afterBuy, afterSell]);
+  });
+});
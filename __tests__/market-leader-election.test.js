@@ -0,0 +1,147 @@
+// Single-writer leader election for the market price loop: exactly one
+// started process owns the simulator via a session-level advisory lock;
+// the others stay passive readers and take over within one interval when
+// the leader dies. Two MarketSimulator instances stand in for two processes
+// (each leader holds its own pooled session, exactly as separate processes
+// would).
+
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { AdvisoryLeader } = require('../game/advisoryLeader');
+const { MarketSimulator, MARKET_LEADER_ADVISORY_LOCK_KEY } = require('../models/market-simulator');
+
+jest.setTimeout(20000);
+
+const INTERVAL_MS = 300;
+
+function processSimulator() {
+  const simulator = new MarketSimulator();
+  simulator.priceUpdateInterval = INTERVAL_MS;
+  return simulator;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function lockHolders() {
+  const { rows } = await db.query(
+    `SELECT pid FROM pg_locks
+     WHERE locktype = 'advisory' AND granted AND classid = 0 AND objid = $1 AND objsubid = 1`,
+    [MARKET_LEADER_ADVISORY_LOCK_KEY]
+  );
+  return rows.map(row => row.pid);
+}
+
+describe('market simulator leader election', () => {
+  let simulators = [];
+
+  beforeEach(async () => {
+    await reconcileCycle({ now: new Date() });
+    simulators = [processSimulator(), processSimulator()];
+  });
+
+  afterEach(async () => {
+    for (const simulator of simulators) {
+      await simulator.stop();
+    }
+  });
+
+  test('exactly one started process becomes leader; the other stays a passive reader', async () => {
+    const [first, second] = simulators;
+    await first.start();
+    await second.start();
+
+    expect(first.isRunning).toBe(true);
+    expect(second.isRunning).toBe(true);
+    expect(first.isLeader()).toBe(true);
+    expect(second.isLeader()).toBe(false);
+    expect(second.updateIntervalId).toBeNull();
+    expect(await lockHolders()).toEqual([first.leader.backendPid]);
+
+    // The passive process still reads the shared status.
+    expect((await second.getMarketStatus()).status).toBe('RUNNING');
+  });
+
+  test('only the leader runs price batches: one batch per interval, not one per process', async () => {
+    const [first, second] = simulators;
+    const firstBatches = jest.spyOn(first, 'updateAllPrices');
+    const secondBatches = jest.spyOn(second, 'updateAllPrices');
+    await first.start();
+    await second.start();
+
+    await sleep(INTERVAL_MS * 3);
+
+    expect(firstBatches).toHaveBeenCalled();
+    expect(secondBatches).not.toHaveBeenCalled();
+  });
+
+  test('a follower takes over within one interval when the leader dies', async () => {
+    const [first, second] = simulators;
+    await first.start();
+    await second.start();
+    expect(second.isLeader()).toBe(false);
+
+    // Crash the leader: its timers stop firing (the process is gone) and
+    // PostgreSQL ends its session, releasing the lock.
+    clearInterval(first.leader.timer);
+    first.stopPriceUpdates();
+    await db.query('SELECT pg_terminate_backend($1)', [first.leader.backendPid]);
+    await sleep(INTERVAL_MS * 2);
+
+    expect(first.isLeader()).toBe(false); // its broken session was noticed
+    expect(second.isLeader()).toBe(true);
+    expect(await lockHolders()).toEqual([second.leader.backendPid]);
+  });
+
+  test('an orderly stop hands leadership over to a follower', async () => {
+    const [first, second] = simulators;
+    await first.start();
+    await second.start();
+
+    await first.stop();
+    await sleep(INTERVAL_MS * 2);
+
+    expect(second.isLeader()).toBe(true);
+  });
+
+  test('a stale leader is fenced: its batch writes nothing once the lock is gone', async () => {
+    const [first] = simulators;
+    await first.start();
+    expect(first.isLeader()).toBe(true);
+    first.stopPriceUpdates();
+
+    // Drop the lock behind the leader's back (no error event reaches it),
+    // then run a batch as if it still believed itself leader.
+    await first.leader.client.query('SELECT pg_advisory_unlock($1)', [MARKET_LEADER_ADVISORY_LOCK_KEY]);
+    const historyBefore = await db.query('SELECT count(*)::int AS n FROM price_history');
+    await first.updateAllPrices();
+    const historyAfter = await db.query('SELECT count(*)::int AS n FROM price_history');
+
+    expect(historyAfter.rows[0].n).toBe(historyBefore.rows[0].n);
+  });
+});
+
+describe('AdvisoryLeader', () => {
+  test.each([
+    ['a negative lock key', { lockKey: -1, intervalMs: 1000 }],
+    ['a non-integer lock key', { lockKey: 1.5, intervalMs: 1000 }],
+    ['a zero interval', { lockKey: 1, intervalMs: 0 }]
+  ])('rejects %s', (_label, options) => {
+    expect(() => new AdvisoryLeader({ name: 'test', ...options })).toThrow();
+  });
+
+  test('an owner that fails to take over gives the lock back', async () => {
+    const leader = new AdvisoryLeader({
+      lockKey: MARKET_LEADER_ADVISORY_LOCK_KEY,
+      name: 'failing owner',
+      intervalMs: 60000,
+      onElected: async () => { throw new Error('boom'); }
+    });
+    await leader.start();
+
+    expect(leader.isLeader()).toBe(false);
+    expect(await lockHolders()).toEqual([]);
+    await leader.stop();
+  });
+});
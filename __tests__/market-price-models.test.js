@@ -0,0 +1,190 @@
+// Pluggable per-coin price models: each coin runs BLENDED (the original
+// formula), GBM, JUMP_DIFFUSION or REGIME_SWITCHING with validated
+// parameters stored on the coin row. Pure model behaviour first, then the
+// simulator running stored configurations against the database.
+
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { MarketSimulator } = require('../models/market-simulator');
+const { selectCoinPriceModel, updateCoinPriceModel } = require('../models/coins.model');
+const {
+  PRICE_MODEL_NAMES,
+  PriceModelError,
+  resolvePriceModel,
+  advanceModelState,
+  nextPrice
+} = require('../game/priceModels');
+
+jest.setTimeout(30000);
+
+const CYCLE_START = new Date('2026-08-20T10:00:00.000Z');
+const INTERVAL_MS = 30000;
+
+function constant(value) {
+  return () => value;
+}
+
+function step(config, overrides = {}) {
+  return nextPrice(config, {
+    currentPrice: 100,
+    initialPrice: 100,
+    profile: { baseVolatility: 0.5, trendDirection: 1, trendStrength: 0 },
+    state: {},
+    marketCycle: null,
+    event: undefined,
+    apocalypseFactor: 1,
+    random: constant(0.5),
+    ...overrides
+  });
+}
+
+describe('price model configuration', () => {
+  test('every model resolves with its defaults and the shared safety rails', () => {
+    for (const name of PRICE_MODEL_NAMES) {
+      const { params } = resolvePriceModel(name);
+      expect(params.maxChange).toBeGreaterThan(0);
+      expect(params.minPriceRatio).toBeLessThan(1);
+      expect(params.maxPriceRatio).toBeGreaterThan(1);
+    }
+    expect(resolvePriceModel().name).toBe('BLENDED');
+  });
+
+  test('given parameters override the defaults; the rest are filled in', () => {
+    const { params } = resolvePriceModel('GBM', { volatility: 0.01 });
+    expect(params).toEqual(expect.objectContaining({ volatility: 0.01, drift: 0 }));
+  });
+
+  test.each([
+    ['an unknown model', 'MAGIC', {}],
+    ['an unknown parameter', 'GBM', { sigma: 0.1 }],
+    ['an out-of-range parameter', 'GBM', { volatility: 0.5 }],
+    ['a non-numeric parameter', 'GBM', { drift: '0.01' }],
+    ['a non-finite parameter', 'JUMP_DIFFUSION', { jumpMean: Infinity }],
+    ['a zero change clamp', 'BLENDED', { maxChange: 0 }],
+    ['an inverted price band', 'GBM', { maxPriceRatio: 0.5 }],
+    ['non-object parameters', 'GBM', [0.1]],
+    ['a single regime', 'REGIME_SWITCHING', { regimes: [{ drift: 0, volatility: 0.01 }] }],
+    ['a malformed regime', 'REGIME_SWITCHING', { regimes: [{ drift: 0, volatility: 0.01 }, { drift: 0 }] }]
+  ])('rejects %s with a 400 PriceModelError', (_label, name, params) => {
+    let error;
+    try {
+      resolvePriceModel(name, params);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(PriceModelError);
+    expect(error.status).toBe(400);
+  });
+});
+
+describe('price model behaviour', () => {
+  test('GBM without volatility compounds its drift', () => {
+    const config = resolvePriceModel('GBM', { drift: 0.01, volatility: 0, marketSensitivity: 0 });
+    expect(step(config)).toBeCloseTo(100 * Math.exp(0.01), 10);
+  });
+
+  test('JUMP_DIFFUSION applies a seeded jump on top of the diffusion', () => {
+    const config = resolvePriceModel('JUMP_DIFFUSION', {
+      volatility: 0, marketSensitivity: 0, jumpProbability: 1, jumpMean: -0.1, jumpVolatility: 0
+    });
+    expect(step(config)).toBeCloseTo(100 * Math.exp(-0.1), 10);
+
+    const quiet = resolvePriceModel('JUMP_DIFFUSION', {
+      volatility: 0, marketSensitivity: 0, jumpProbability: 0, jumpMean: -0.1, jumpVolatility: 0
+    });
+    expect(step(quiet)).toBeCloseTo(100, 10);
+  });
+
+  test('every model is clamped to maxChange per batch and to its price band', () => {
+    const config = resolvePriceModel('GBM', { drift: 0.05, volatility: 0, marketSensitivity: 0, maxChange: 0.01 });
+    expect(step(config)).toBeCloseTo(101, 10);
+    expect(step(config, { currentPrice: 499.5 })).toBe(500); // maxPriceRatio 5
+  });
+
+  test('REGIME_SWITCHING runs the current regime and switches on its seeded Markov step', () => {
+    const regimes = [{ drift: 0.01, volatility: 0 }, { drift: -0.01, volatility: 0 }];
+    const always = resolvePriceModel('REGIME_SWITCHING', { regimes, switchProbability: 1, marketSensitivity: 0 });
+    const never = resolvePriceModel('REGIME_SWITCHING', { regimes, switchProbability: 0, marketSensitivity: 0 });
+
+    expect(step(always, { state: { regime: 0 } })).toBeCloseTo(100 * Math.exp(0.01), 10);
+    expect(step(always, { state: { regime: 1 } })).toBeCloseTo(100 * Math.exp(-0.01), 10);
+    expect(advanceModelState(always, { regime: 0 }, constant(0.5))).toEqual({ regime: 1 });
+    expect(advanceModelState(never, { regime: 1 }, constant(0.5))).toEqual({ regime: 1 });
+    // A state that does not fit the configuration restarts in regime 0.
+    expect(advanceModelState(never, { regime: 7 }, constant(0.5))).toEqual({ regime: 0 });
+    expect(advanceModelState(resolvePriceModel('GBM'), { regime: 1 }, constant(0.5))).toEqual({});
+  });
+});
+
+describe('market simulator with per-coin price models', () => {
+  function batchAt(batch) {
+    return new Date(CYCLE_START.getTime() + batch * INTERVAL_MS + 1000);
+  }
+
+  async function runBatches(from, to) {
+    const simulator = new MarketSimulator();
+    simulator.priceUpdateInterval = INTERVAL_MS;
+    for (let batch = from; batch < to; batch++) {
+      await simulator.updateAllPrices({ now: batchAt(batch) });
+    }
+  }
+
+  async function pricesOf(coinId) {
+    const { rows } = await db.query(
+      'SELECT price::float AS price FROM price_history WHERE coin_id = $1 ORDER BY price_history_id',
+      [coinId]
+    );
+    return rows.map(row => row.price);
+  }
+
+  beforeEach(async () => {
+    await reconcileCycle({ now: CYCLE_START, generateSeed: () => 'price-model-seed' });
+  });
+
+  test('each coin follows its own stored model', async () => {
+    await updateCoinPriceModel(5, 'GBM', { drift: 0.01, volatility: 0, marketSensitivity: 0 });
+    await updateCoinPriceModel(6, 'JUMP_DIFFUSION', {
+      volatility: 0, marketSensitivity: 0, jumpProbability: 1, jumpMean: -0.1, jumpVolatility: 0
+    });
+    await runBatches(0, 3);
+
+    const gbm = await pricesOf(5);
+    expect(gbm[0]).toBeCloseTo(96.45 * Math.exp(0.01), 2);
+    expect(gbm[1]).toBeGreaterThan(gbm[0]);
+    expect(gbm[2]).toBeGreaterThan(gbm[1]);
+    expect((await pricesOf(6))[0]).toBeCloseTo(43.46 * Math.exp(-0.1), 2);
+  });
+
+  test('regime state is persisted with the coin profile and carried between batches', async () => {
+    await updateCoinPriceModel(8, 'REGIME_SWITCHING', { switchProbability: 1 });
+
+    await runBatches(0, 1);
+    const first = await db.query('SELECT model_state FROM market_coin_profiles WHERE coin_id = 8');
+    expect(first.rows[0].model_state).toEqual({ regime: 1 });
+
+    await runBatches(1, 2); // a fresh process resumes from the stored regime
+    const second = await db.query('SELECT model_state FROM market_coin_profiles WHERE coin_id = 8');
+    expect(second.rows[0].model_state).toEqual({ regime: 0 });
+
+    const blended = await db.query('SELECT model_state FROM market_coin_profiles WHERE coin_id = 1');
+    expect(blended.rows[0].model_state).toEqual({});
+  });
+
+  test('a hand-edited invalid configuration fails the batch instead of pricing the coin', async () => {
+    await db.query(`UPDATE coins SET price_model = 'GBM', price_model_params = '{"volatility": 9}' WHERE coin_id = 5`);
+    await runBatches(0, 1);
+
+    expect((await db.query('SELECT count(*)::int AS n FROM price_history')).rows[0].n).toBe(0);
+  });
+
+  test('updateCoinPriceModel validates, completes and stores the configuration', async () => {
+    const stored = await updateCoinPriceModel(10, 'GBM', { volatility: 0.0005, meanReversion: 0.05 });
+    expect(stored.price_model).toBe('GBM');
+    expect(stored.price_model_params).toEqual(resolvePriceModel('GBM', { volatility: 0.0005, meanReversion: 0.05 }).params);
+    expect(await selectCoinPriceModel(10)).toEqual(stored);
+
+    await expect(updateCoinPriceModel(10, 'GBM', { volatility: -1 })).rejects.toMatchObject({ status: 400 });
+    await expect(updateCoinPriceModel(9999, 'GBM')).rejects.toMatchObject({ status: 404 });
+    expect((await selectCoinPriceModel(10)).price_model_params.volatility).toBe(0.0005);
+  });
+});
@@ -0,0 +1,308 @@
+// Scripted market scenarios: a validated JSON plan the market simulator
+// follows in place of its random choices (game/marketScenarios.js). Shape
+// validation and feasibility first, then the simulator following a loaded
+// scenario against the database.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { MarketSimulator } = require('../models/market-simulator');
+const { updateCoinPriceModel } = require('../models/coins.model');
+const { resolvePriceModel } = require('../game/priceModels');
+const { GAME_MODES } = require('../game/gameModes');
+const {
+  MarketScenarioError,
+  validateScenario,
+  parseScenario,
+  checkScenarioFeasibility,
+  scriptedPrice
+} = require('../game/marketScenarios');
+
+jest.setTimeout(60000);
+
+const CYCLE_START = new Date('2026-08-20T10:00:00.000Z');
+const INTERVAL_MS = 30000;
+const DURATION_MS = 30 * 60 * 1000;
+
+const CATALOGUES = {
+  marketCycles: { STRONG_BOOM: {}, STRONG_BUST: {}, STABLE: {} },
+  coinEvents: { SCANDAL: {}, MAJOR_ADOPTION: {} }
+};
+
+const TIMING = {
+  durationMs: DURATION_MS,
+  collapseWindowMs: DURATION_MS * 0.7,
+  intervalMs: INTERVAL_MS
+};
+
+function coin(coinId, baseline, { model = 'BLENDED', params = {}, retired = false } = {}) {
+  return { coin_id: coinId, cycle_baseline_price: String(baseline), price_model: model, price_model_params: params, retired };
+}
+
+describe('scenario validation', () => {
+  test('normalizes a scenario with every timeline sorted by start', () => {
+    const scenario = validateScenario({
+      name: 'boom-crash',
+      marketCycles: [
+        { atMs: 300000, durationMs: 300000, type: 'STRONG_BUST' },
+        { atMs: 0, durationMs: 300000, type: 'STRONG_BOOM' }
+      ],
+      coinEvents: [{ atMs: 0, durationMs: 60000, coinId: 1, type: 'SCANDAL' }],
+      coinMoves: [
+        { atMs: 0, durationMs: 60000, coinId: 2, driftPerBatch: 0.001 },
+        { atMs: 0, durationMs: 60000, coinId: 3, targetPrice: 10 }
+      ]
+    }, CATALOGUES);
+
+    expect(scenario.description).toBeNull();
+    expect(scenario.marketCycles.map((c) => c.type)).toEqual(['STRONG_BOOM', 'STRONG_BUST']);
+    expect(scenario.coinMoves).toEqual([
+      { atMs: 0, durationMs: 60000, coinId: 2, driftPerBatch: 0.001 },
+      { atMs: 0, durationMs: 60000, coinId: 3, targetPrice: 10 }
+    ]);
+  });
+
+  test.each([
+    ['a non-object', [], /must be an object/],
+    ['an unknown key', { name: 'x', marketCycles: [], extra: 1 }, /unknown key "extra"/],
+    ['a missing name', { marketCycles: [{ atMs: 0, durationMs: 1, type: 'STABLE' }] }, /name/],
+    ['nothing scripted', { name: 'x' }, /at least one/],
+    ['an unknown market cycle', { name: 'x', marketCycles: [{ atMs: 0, durationMs: 1, type: 'MEGA_BOOM' }] }, /type must be one of/],
+    ['a negative offset', { name: 'x', marketCycles: [{ atMs: -1, durationMs: 1, type: 'STABLE' }] }, /atMs must be an integer >= 0/],
+    ['an empty window', { name: 'x', coinEvents: [{ atMs: 0, durationMs: 0, coinId: 1, type: 'SCANDAL' }] }, /durationMs/],
+    ['both a target and a drift', { name: 'x', coinMoves: [{ atMs: 0, durationMs: 1, coinId: 1, targetPrice: 1, driftPerBatch: 0 }] }, /exactly one/],
+    ['a non-positive target', { name: 'x', coinMoves: [{ atMs: 0, durationMs: 1, coinId: 1, targetPrice: 0 }] }, /targetPrice/],
+    ['overlapping market cycles', {
+      name: 'x',
+      marketCycles: [{ atMs: 0, durationMs: 100, type: 'STABLE' }, { atMs: 99, durationMs: 100, type: 'STRONG_BOOM' }]
+    }, /marketCycles windows overlap/],
+    ['overlapping events of one coin', {
+      name: 'x',
+      coinEvents: [{ atMs: 0, durationMs: 100, coinId: 4, type: 'SCANDAL' }, { atMs: 50, durationMs: 100, coinId: 4, type: 'SCANDAL' }]
+    }, /coin 4 windows overlap/]
+  ])('rejects %s', (_, raw, message) => {
+    expect(() => validateScenario(raw, CATALOGUES)).toThrow(MarketScenarioError);
+    expect(() => validateScenario(raw, CATALOGUES)).toThrow(message);
+  });
+
+  test('windows may touch, and different coins may share a window', () => {
+    expect(() => validateScenario({
+      name: 'x',
+      marketCycles: [{ atMs: 0, durationMs: 100, type: 'STABLE' }, { atMs: 100, durationMs: 100, type: 'STRONG_BOOM' }],
+      coinEvents: [{ atMs: 0, durationMs: 100, coinId: 1, type: 'SCANDAL' }, { atMs: 0, durationMs: 100, coinId: 2, type: 'SCANDAL' }]
+    }, CATALOGUES)).not.toThrow();
+  });
+
+  test('rejects malformed JSON text', () => {
+    expect(() => parseScenario('{ "name": ', CATALOGUES)).toThrow(/not valid JSON/);
+  });
+});
+
+describe('scenario feasibility', () => {
+  const coins = [coin(1, 100), coin(2, 10, { model: 'GBM', params: { maxChange: 0.05 } }), coin(3, 5, { retired: true })];
+
+  function check(raw) {
+    return () => checkScenarioFeasibility(validateScenario({ name: 'lesson', ...raw }, CATALOGUES), { coins, ...TIMING });
+  }
+
+  test('accepts a story the coins can follow', () => {
+    expect(check({
+      marketCycles: [{ atMs: 0, durationMs: DURATION_MS, type: 'STRONG_BOOM' }],
+      coinMoves: [
+        // 10 batches at 5%: from 10 up to 16 is within reach (10 * 1.05^10 ~ 16.3) ...
+        { atMs: 0, durationMs: 300000, coinId: 2, targetPrice: 16 },
+        // ... and the next leg starts from that target.
+        { atMs: 300000, durationMs: 300000, coinId: 2, targetPrice: 10 }
+      ]
+    })).not.toThrow();
+  });
+
+  test('lists every impossible entry in one error', () => {
+    expect(check({
+      marketCycles: [{ atMs: DURATION_MS - 1000, durationMs: 2000, type: 'STABLE' }],
+      coinEvents: [
+        { atMs: 0, durationMs: 1000, coinId: 3, type: 'SCANDAL' },
+        { atMs: TIMING.collapseWindowMs - 1000, durationMs: 2000, coinId: 1, type: 'SCANDAL' }
+      ],
+      coinMoves: [
+        { atMs: 1000, durationMs: 1000, coinId: 1, driftPerBatch: 0.001 },
+        { atMs: 60000, durationMs: 60000, coinId: 1, driftPerBatch: 0.01 },
+        { atMs: 0, durationMs: 60000, coinId: 2, targetPrice: 1000 },
+        { atMs: 60000, durationMs: 60000, coinId: 2, targetPrice: 5 }
+      ]
+    })).toThrow(new MarketScenarioError(
+      'scenario "lesson" is impossible: ' + [
+        `market cycle STABLE at ${DURATION_MS - 1000}ms runs past the cycle end (${DURATION_MS}ms)`,
+        'coin event SCANDAL at 0ms targets unknown or retired coin 3',
+        'coin move for coin 2 at 0ms targets 1000, outside the coin\'s price band [2, 50]',
+        'coin move for coin 1 at 1000ms contains no batch (interval 30000ms)',
+        'coin move for coin 1 at 60000ms drifts 0.01 per batch, beyond the coin\'s maxChange 0.005',
+        'coin move for coin 2 at 60000ms cannot reach 5 from 10 in 2 batches at maxChange 0.05',
+        `coin event SCANDAL for coin 1 at ${TIMING.collapseWindowMs - 1000}ms runs into the collapse window (from ${TIMING.collapseWindowMs}ms)`
+      ].join('; ')
+    ));
+  });
+});
+
+describe('scripted prices', () => {
+  const { params } = resolvePriceModel('GBM', { maxChange: 0.05 });
+
+  test('a target move lands on its target in the window\'s last batch', () => {
+    const move = { atMs: 60000, durationMs: 90000, coinId: 1, targetPrice: 11 };
+    let price = 10;
+    for (const offsetMs of [60000, 90000, 120000]) {
+      price = scriptedPrice(move, { params, currentPrice: price, initialPrice: 10, offsetMs, intervalMs: INTERVAL_MS });
+    }
+    expect(price).toBeCloseTo(11, 10);
+  });
+
+  test('drifts compound and every move keeps to the rails', () => {
+    const drift = { atMs: 0, durationMs: 60000, coinId: 1, driftPerBatch: 0.01 };
+    expect(scriptedPrice(drift, { params, currentPrice: 10, initialPrice: 10, offsetMs: 0, intervalMs: INTERVAL_MS })).toBeCloseTo(10.1, 10);
+
+    const tooFar = { atMs: 0, durationMs: 30000, coinId: 1, targetPrice: 20 };
+    expect(scriptedPrice(tooFar, { params, currentPrice: 10, initialPrice: 10, offsetMs: 0, intervalMs: INTERVAL_MS })).toBeCloseTo(10.5, 10);
+  });
+});
+
+describe('the market simulator follows a loaded scenario', () => {
+  let simulator;
+
+  function batchAt(batch) {
+    return new Date(CYCLE_START.getTime() + batch * INTERVAL_MS + 1000);
+  }
+
+  async function runBatches(from, to) {
+    for (let batch = from; batch < to; batch++) {
+      await simulator.updateAllPrices({ now: batchAt(batch) });
+    }
+  }
+
+  async function priceOf(coinId) {
+    const { rows } = await db.query('SELECT current_price::float AS price FROM coins WHERE coin_id = $1', [coinId]);
+    return rows[0].price;
+  }
+
+  beforeEach(async () => {
+    await reconcileCycle({ now: CYCLE_START, generateSeed: () => 'scenario-seed' });
+    simulator = new MarketSimulator();
+    simulator.priceUpdateInterval = INTERVAL_MS;
+  });
+
+  test('an impossible scenario is rejected up front and nothing is followed', async () => {
+    await expect(simulator.loadScenario({
+      name: 'ghost coin',
+      coinEvents: [{ atMs: 0, durationMs: 60000, coinId: 99, type: 'SCANDAL' }]
+    }, { durationMs: DURATION_MS })).rejects.toThrow(/unknown or retired coin 99/);
+    expect(simulator.scenario).toBeNull();
+
+    await expect(simulator.loadScenario({ name: 'x', marketCycles: [{ atMs: 0, durationMs: 1, type: 'MEGA_BOOM' }] }))
+      .rejects.toThrow(MarketScenarioError);
+  });
+
+  test('coin entries are checked against the collapse window of the live and upcoming modes', async () => {
+    // Ends at 80% of the cycle: inside the standard window (70%), before the
+    // late window (90%).
+    const lateEvent = {
+      name: 'late scandal',
+      coinEvents: [{ atMs: 1380000, durationMs: 60000, coinId: 2, type: 'SCANDAL' }]
+    };
+    await expect(simulator.loadScenario(lateEvent, { durationMs: DURATION_MS, modeRotation: 'late_window' }))
+      .rejects.toThrow(/runs into the collapse window \(from 1260000ms\)/);
+
+    await db.query(
+      "UPDATE apocalypse_cycles SET game_mode = 'late_window', game_mode_params = $1 WHERE status = 'ACTIVE'",
+      [JSON.stringify(GAME_MODES.late_window.params)]
+    );
+    await expect(simulator.loadScenario(lateEvent, { durationMs: DURATION_MS }))
+      .rejects.toThrow(/runs into the collapse window \(from 1260000ms\)/);
+    expect(simulator.scenario).toBeNull();
+
+    await simulator.loadScenario(lateEvent, { durationMs: DURATION_MS, modeRotation: 'late_window' });
+    expect(simulator.scenario.name).toBe('late scandal');
+  });
+
+  test('scripted market cycles and coin events replace the rolls, on cue', async () => {
+    const file = path.join(os.tmpdir(), `scenario-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      name: 'boom then bust',
+      marketCycles: [
+        { atMs: 0, durationMs: 60000, type: 'STRONG_BOOM' },
+        { atMs: 60000, durationMs: 60000, type: 'STRONG_BUST' }
+      ],
+      coinEvents: [{ atMs: 30000, durationMs: 120000, coinId: 3, type: 'MAJOR_ADOPTION' }]
+    }));
+    try {
+      await simulator.loadScenario(file, { durationMs: DURATION_MS });
+    } finally {
+      fs.unlinkSync(file);
+    }
+
+    const marketCycleAt = async () => (await db.query('SELECT market_cycle_type, market_cycle_started_at, market_cycle_ends_at FROM market_state')).rows[0];
+    const eventOf = async (coinId) => (await db.query('SELECT event_type, started_at FROM market_coin_active_events WHERE coin_id = $1', [coinId])).rows[0];
+
+    await runBatches(0, 1);
+    expect(await marketCycleAt()).toEqual({
+      market_cycle_type: 'STRONG_BOOM',
+      market_cycle_started_at: CYCLE_START,
+      market_cycle_ends_at: new Date(CYCLE_START.getTime() + 60000)
+    });
+    const rolled = await eventOf(3);
+
+    await runBatches(1, 3);
+    expect((await marketCycleAt()).market_cycle_type).toBe('STRONG_BUST');
+    // The scripted event replaced the rolled one at its cue.
+    expect(await eventOf(3)).toEqual({ event_type: 'MAJOR_ADOPTION', started_at: new Date(CYCLE_START.getTime() + 30000) });
+    expect(rolled.started_at).toEqual(CYCLE_START);
+
+    // Scripted changes are news like any other.
+    const { rows: news } = await db.query(
+      "SELECT event_type FROM market_events WHERE event_kind = 'MARKET_CYCLE' ORDER BY started_at"
+    );
+    expect(news.map((row) => row.event_type)).toEqual(['STRONG_BOOM', 'STRONG_BUST']);
+  });
+
+  test('once its window closes the seeded market resumes', async () => {
+    await simulator.loadScenario({
+      name: 'short boom',
+      marketCycles: [{ atMs: 0, durationMs: 30000, type: 'STRONG_BOOM' }]
+    }, { durationMs: DURATION_MS });
+
+    await runBatches(0, 2);
+
+    const { rows } = await db.query('SELECT market_cycle_started_at FROM market_state');
+    expect(rows[0].market_cycle_started_at).toEqual(new Date(CYCLE_START.getTime() + INTERVAL_MS));
+  });
+
+  test('a coin follows its scripted drift and then lands on its target', async () => {
+    const start = await priceOf(5);
+    await simulator.loadScenario({
+      name: 'rally then fade',
+      coinMoves: [
+        { atMs: 0, durationMs: 90000, coinId: 5, driftPerBatch: 0.004 },
+        { atMs: 90000, durationMs: 180000, coinId: 5, targetPrice: 95 }
+      ]
+    }, { durationMs: DURATION_MS });
+
+    await runBatches(0, 1);
+    expect(await priceOf(5)).toBe(Math.round(start * 1.004 * 100) / 100);
+
+    await runBatches(1, 9);
+    expect(await priceOf(5)).toBe(95);
+  });
+
+  test('clearing the scenario returns the coin to its price model', async () => {
+    await updateCoinPriceModel(6, 'GBM', { drift: 0, volatility: 0, marketSensitivity: 0 });
+    const start = await priceOf(6);
+    await simulator.loadScenario({
+      name: 'drift',
+      coinMoves: [{ atMs: 0, durationMs: 300000, coinId: 6, driftPerBatch: 0.004 }]
+    }, { durationMs: DURATION_MS });
+    simulator.clearScenario();
+
+    await runBatches(0, 1);
+    expect(await priceOf(6)).toBe(start);
+  });
+});
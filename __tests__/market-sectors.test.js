@@ -0,0 +1,224 @@
+// Market sectors: coins grouped into sectors share one correlated shock per
+// batch and every member of a sector feels a sector-wide event
+// (game/marketSectors.js). Pure configuration and factor behaviour first,
+// then the simulator moving sector members together against the database.
+
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { MarketSimulator } = require('../models/market-simulator');
+const { createMarketRandom } = require('../game/marketRandom');
+const {
+  selectSectors,
+  upsertSector,
+  updateCoinSector,
+  updateCoinPriceModel
+} = require('../models/coins.model');
+const {
+  DEFAULT_SECTOR,
+  SECTOR_EVENTS,
+  SECTOR_EVENT_SENSITIVITY,
+  MarketSectorError,
+  resolveSectorConfig,
+  marketShock,
+  sectorFactor,
+  sectorMove,
+  rollSectorEvent
+} = require('../game/marketSectors');
+
+jest.setTimeout(30000);
+
+const CYCLE_START = new Date('2026-08-20T10:00:00.000Z');
+const INTERVAL_MS = 30000;
+
+function constant(value) {
+  return () => value;
+}
+
+function correlation(xs, ys) {
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  return cov / Math.sqrt(vx * vy);
+}
+
+describe('sector configuration', () => {
+  test('absent parameters take the defaults', () => {
+    expect(resolveSectorConfig('TECH')).toEqual({
+      sector: 'TECH',
+      marketCorrelation: 0.3,
+      shockVolatility: 0.002,
+      eventProbability: 0.01
+    });
+    expect(resolveSectorConfig('TECH', { shockVolatility: 0.01 }).shockVolatility).toBe(0.01);
+  });
+
+  test.each([
+    ['a lower-case name', 'tech', {}],
+    ['an unknown parameter', 'TECH', { beta: 1 }],
+    ['a correlation above 1', 'TECH', { marketCorrelation: 1.5 }],
+    ['an excessive shock volatility', 'TECH', { shockVolatility: 0.5 }],
+    ['a non-numeric probability', 'TECH', { eventProbability: '0.1' }]
+  ])('%s is rejected with a 400 MarketSectorError', (_label, sector, params) => {
+    let error;
+    try {
+      resolveSectorConfig(sector, params);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(MarketSectorError);
+    expect(error.status).toBe(400);
+  });
+});
+
+describe('sector factors', () => {
+  test('the factor blends the market and sector shocks by the correlation', () => {
+    // standardNormal(constant(0)) is 0: the sector shock vanishes.
+    expect(sectorFactor({ marketCorrelation: 1 }, 1.5, constant(0))).toBeCloseTo(1.5, 10);
+    expect(sectorFactor({ marketCorrelation: 0 }, 1.5, constant(0))).toBeCloseTo(0, 10);
+    expect(sectorFactor({ marketCorrelation: 0.25 }, 2, constant(0))).toBeCloseTo(1, 10);
+  });
+
+  test('two sectors are correlated by sqrt(rho_A * rho_B) through the market shock', () => {
+    const a = { marketCorrelation: 0.64 };
+    const b = { marketCorrelation: 0.64 };
+    const xs = [];
+    const ys = [];
+    for (let batchIndex = 0; batchIndex < 3000; batchIndex++) {
+      const shared = marketShock(createMarketRandom({ seed: 'sector-correlation', batchIndex, scope: 'shock:market' }));
+      xs.push(sectorFactor(a, shared, createMarketRandom({ seed: 'sector-correlation', batchIndex, scope: 'shock:A' })));
+      ys.push(sectorFactor(b, shared, createMarketRandom({ seed: 'sector-correlation', batchIndex, scope: 'shock:B' })));
+    }
+    expect(correlation(xs, ys)).toBeCloseTo(0.64, 1);
+  });
+
+  test('the move scales the shock and adds an active event push', () => {
+    const config = resolveSectorConfig('TECH', { shockVolatility: 0.01 });
+    expect(sectorMove({ config, factor: 1, event: undefined, apocalypseFactor: 2 })).toBeCloseTo(0.02, 10);
+    expect(sectorMove({ config, factor: 0, event: SECTOR_EVENTS.SECTOR_CRACKDOWN, apocalypseFactor: 1 }))
+      .toBeCloseTo((0.94 - 1) * SECTOR_EVENT_SENSITIVITY, 10);
+  });
+
+  test('GENERAL as created by the migration never moves a coin', () => {
+    const general = resolveSectorConfig(DEFAULT_SECTOR, { marketCorrelation: 0, shockVolatility: 0, eventProbability: 0 });
+    expect(sectorMove({ config: general, factor: 3, event: undefined, apocalypseFactor: 5 })).toBe(0);
+    expect(rollSectorEvent(general, constant(0), new Date())).toBeNull();
+  });
+});
+
+describe('market simulator with sectors', () => {
+  function batchAt(batch) {
+    return new Date(CYCLE_START.getTime() + batch * INTERVAL_MS + 1000);
+  }
+
+  async function runBatches(from, to) {
+    const simulator = new MarketSimulator();
+    simulator.priceUpdateInterval = INTERVAL_MS;
+    for (let batch = from; batch < to; batch++) {
+      await simulator.updateAllPrices({ now: batchAt(batch) });
+    }
+  }
+
+  async function pricesOf(coinId) {
+    const { rows } = await db.query(
+      'SELECT price::float AS price FROM price_history WHERE coin_id = $1 ORDER BY price_history_id',
+      [coinId]
+    );
+    return rows.map(row => row.price);
+  }
+
+  async function startingPrice(coinId) {
+    const { rows } = await db.query('SELECT current_price::float AS price FROM coins WHERE coin_id = $1', [coinId]);
+    return rows[0].price;
+  }
+
+  // Coins whose own model is frozen (no drift, noise or market weather), so
+  // every move they make is their sector's.
+  async function sectorOnly(coinIds, sector) {
+    for (const coinId of coinIds) {
+      await updateCoinPriceModel(coinId, 'GBM', { drift: 0, volatility: 0, marketSensitivity: 0 });
+      await updateCoinSector(coinId, sector);
+    }
+  }
+
+  beforeEach(async () => {
+    await reconcileCycle({ now: CYCLE_START, generateSeed: () => 'sector-seed' });
+  });
+
+  test('coins in one sector move together on the shared shock', async () => {
+    await upsertSector('TECH', { marketCorrelation: 0.5, shockVolatility: 0.01, eventProbability: 0 });
+    await upsertSector('ENERGY', { marketCorrelation: 0, shockVolatility: 0.01, eventProbability: 0 });
+    await sectorOnly([5, 6], 'TECH');
+    await sectorOnly([7], 'ENERGY');
+    const start = { 5: await startingPrice(5), 6: await startingPrice(6), 7: await startingPrice(7) };
+
+    await runBatches(0, 1);
+
+    const [five] = await pricesOf(5);
+    const [six] = await pricesOf(6);
+    const [seven] = await pricesOf(7);
+    const returnOf = (coinId, price) => price / start[coinId] - 1;
+    expect(Math.abs(returnOf(5, five))).toBeGreaterThan(0.001);
+    expect(returnOf(6, six)).toBeCloseTo(returnOf(5, five), 3);
+    expect(returnOf(7, seven)).not.toBeCloseTo(returnOf(5, five), 3);
+  });
+
+  test('a sector-wide event pushes every member and is persisted with the market state', async () => {
+    await upsertSector('TECH', { marketCorrelation: 0, shockVolatility: 0, eventProbability: 1 });
+    await sectorOnly([5, 6], 'TECH');
+    const start = { 5: await startingPrice(5), 6: await startingPrice(6) };
+
+    await runBatches(0, 1);
+
+    const { rows } = await db.query('SELECT sector, event_type, started_at, ends_at FROM market_sector_active_events');
+    expect(rows).toHaveLength(1);
+    expect(rows[0].sector).toBe('TECH');
+    const push = (SECTOR_EVENTS[rows[0].event_type].multiplier - 1) * SECTOR_EVENT_SENSITIVITY;
+    for (const coinId of [5, 6]) {
+      const [price] = await pricesOf(coinId);
+      expect(price).toBeCloseTo(Math.round(start[coinId] * (1 + push) * 100) / 100, 2);
+    }
+
+    // A fresh process resumes the same event instead of rolling a new one.
+    await runBatches(1, 2);
+    const { rows: resumed } = await db.query('SELECT event_type, started_at FROM market_sector_active_events');
+    expect(resumed).toEqual([{ event_type: rows[0].event_type, started_at: rows[0].started_at }]);
+  });
+
+  test('GENERAL coins are untouched by other sectors', async () => {
+    await runBatches(0, 2);
+    const baseline = await pricesOf(1);
+
+    // Replay the same two batches from scratch with a busy sector beside it.
+    await db.query('DELETE FROM price_history');
+    for (const table of ['market_sector_active_events', 'market_coin_active_events', 'market_coin_profiles', 'market_state']) {
+      await db.query(`DELETE FROM ${table}`);
+    }
+    await db.query('UPDATE coins SET current_price = cycle_baseline_price');
+    await upsertSector('TECH', { marketCorrelation: 1, shockVolatility: 0.05, eventProbability: 1 });
+    await updateCoinSector(5, 'TECH');
+    await runBatches(0, 2);
+
+    expect(await pricesOf(1)).toEqual(baseline);
+  });
+
+  test('sector management validates names, parameters and existence', async () => {
+    expect(await upsertSector('TECH', { shockVolatility: 0.01 })).toEqual({
+      sector: 'TECH', market_correlation: 0.3, shock_volatility: 0.01, event_probability: 0.01
+    });
+    expect((await selectSectors()).map(row => row.sector)).toEqual(['GENERAL', 'TECH']);
+    expect(await updateCoinSector(5, 'TECH')).toEqual({ coin_id: 5, sector: 'TECH' });
+
+    await expect(upsertSector('TECH', { shockVolatility: 1 })).rejects.toMatchObject({ status: 400 });
+    await expect(updateCoinSector(5, 'MISSING')).rejects.toMatchObject({ status: 404 });
+    await expect(updateCoinSector(9999, 'TECH')).rejects.toMatchObject({ status: 404 });
+    await expect(updateCoinSector(5, 'tech')).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,146 @@
+// Seeded market simulator: every random choice is drawn from the ACTIVE
+// cycle's persisted seed and the price batch index, so a cycle's price path
+// replays bit-for-bit from its seed. Pure stream properties first, then a
+// database-backed replay of the same batches against the same seed.
+
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { MarketSimulator } = require('../models/market-simulator');
+const {
+  deriveBatchIndex,
+  batchTimeFor,
+  createMarketRandom
+} = require('../game/marketRandom');
+
+jest.setTimeout(30000);
+
+const CYCLE_START = new Date('2026-08-20T10:00:00.000Z');
+const INTERVAL_MS = 30000;
+const BATCHES = 8; // 4 minutes: well before the 70% collapse window
+
+function draws(random, n) {
+  return Array.from({ length: n }, () => random());
+}
+
+describe('seeded market randomness: pure streams', () => {
+  test('the same seed, batch and scope always give the identical stream', () => {
+    const a = draws(createMarketRandom({ seed: 'seed-a', batchIndex: 3, scope: 'noise:1' }), 5);
+    const b = draws(createMarketRandom({ seed: 'seed-a', batchIndex: 3, scope: 'noise:1' }), 5);
+    expect(a).toEqual(b);
+    for (const value of a) {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('seed, batch index and scope each select an independent stream', () => {
+    const base = draws(createMarketRandom({ seed: 'seed-a', batchIndex: 3, scope: 'noise:1' }), 3);
+    expect(draws(createMarketRandom({ seed: 'seed-b', batchIndex: 3, scope: 'noise:1' }), 3)).not.toEqual(base);
+    expect(draws(createMarketRandom({ seed: 'seed-a', batchIndex: 4, scope: 'noise:1' }), 3)).not.toEqual(base);
+    expect(draws(createMarketRandom({ seed: 'seed-a', batchIndex: 3, scope: 'noise:2' }), 3)).not.toEqual(base);
+    expect(draws(createMarketRandom({ seed: 'seed-a', scope: 'noise:1' }), 3)).not.toEqual(base);
+  });
+
+  test.each([
+    ['an empty seed', { seed: '', batchIndex: 0, scope: 'cycle' }],
+    ['a non-string seed', { seed: 42, batchIndex: 0, scope: 'cycle' }],
+    ['a negative batch index', { seed: 's', batchIndex: -1, scope: 'cycle' }],
+    ['a fractional batch index', { seed: 's', batchIndex: 1.5, scope: 'cycle' }],
+    ['a missing scope', { seed: 's', batchIndex: 0 }]
+  ])('rejects %s instead of guessing', (_label, options) => {
+    expect(() => createMarketRandom(options)).toThrow();
+  });
+
+  test('batch index counts whole intervals from the persisted cycle start, never negative', () => {
+    const at = (ms) => new Date(CYCLE_START.getTime() + ms);
+    expect(deriveBatchIndex({ startTime: CYCLE_START, now: at(0), intervalMs: INTERVAL_MS })).toBe(0);
+    expect(deriveBatchIndex({ startTime: CYCLE_START, now: at(29999), intervalMs: INTERVAL_MS })).toBe(0);
+    expect(deriveBatchIndex({ startTime: CYCLE_START, now: at(30000), intervalMs: INTERVAL_MS })).toBe(1);
+    expect(deriveBatchIndex({ startTime: CYCLE_START, now: at(-5000), intervalMs: INTERVAL_MS })).toBe(0);
+    expect(batchTimeFor({ startTime: CYCLE_START, batchIndex: 2, intervalMs: INTERVAL_MS })).toEqual(at(60000));
+    expect(() => deriveBatchIndex({ startTime: CYCLE_START, now: at(0), intervalMs: 0 })).toThrow();
+  });
+
+  test('the simulator never consults Math.random', () => {
+    const spy = jest.spyOn(Math, 'random');
+    const simulator = new MarketSimulator();
+    simulator.seedCycleState(
+      { cycle_id: 1, seed: 'seed-a', start_time: CYCLE_START },
+      [{ coin_id: 1, symbol: 'AAA', cycle_baseline_price: '100.00' }]
+    );
+    simulator.advanceMarketState({ batchIndex: 0, batchTime: CYCLE_START, coinIds: [1] });
+    simulator.calculateNewPrice(100, 1, 1, createMarketRandom({ seed: 'seed-a', batchIndex: 0, scope: 'noise:1' }));
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+});
+
+describe('seeded market randomness: replaying a cycle', () => {
+  async function createCycle(seed) {
+    return reconcileCycle({ now: CYCLE_START, generateSeed: () => seed });
+  }
+
+  // Run BATCHES price updates on a fresh simulator at fixed batch instants and
+  // return every coin's price path.
+  async function runPath() {
+    const simulator = new MarketSimulator();
+    simulator.priceUpdateInterval = INTERVAL_MS;
+    for (let batch = 0; batch < BATCHES; batch++) {
+      await simulator.updateAllPrices({ now: new Date(CYCLE_START.getTime() + batch * INTERVAL_MS + 1000) });
+    }
+    const { rows } = await db.query(
+      'SELECT coin_id, price::text AS price FROM price_history ORDER BY coin_id, price_history_id'
+    );
+    return rows;
+  }
+
+  async function resetToBaseline() {
+    await db.query('UPDATE coins SET current_price = cycle_baseline_price');
+    await db.query('DELETE FROM price_history');
+    await db.query('DELETE FROM market_history');
+    await db.query('DELETE FROM market_coin_active_events');
+    await db.query('DELETE FROM market_coin_profiles');
+    await db.query('DELETE FROM market_state');
+  }
+
+  test('the same seed replays the identical price path bit-for-bit', async () => {
+    await createCycle('replay-seed-1');
+    await resetToBaseline();
+    const first = await runPath();
+    const { rows: coins } = await db.query('SELECT count(*)::int AS n FROM coins');
+    expect(first).toHaveLength(coins[0].n * BATCHES);
+
+    await resetToBaseline();
+    const second = await runPath();
+
+    expect(second).toEqual(first);
+  });
+
+  test('a different seed produces a different price path', async () => {
+    await createCycle('replay-seed-1');
+    await resetToBaseline();
+    const first = await runPath();
+
+    await db.query("UPDATE apocalypse_cycles SET seed = 'replay-seed-2' WHERE status = 'ACTIVE'");
+    await resetToBaseline();
+    const second = await runPath();
+
+    expect(second).not.toEqual(first);
+  });
+
+  test('a rolled-back batch leaves the in-memory market state untouched', async () => {
+    await createCycle('replay-seed-1');
+    const simulator = new MarketSimulator();
+    simulator.priceUpdateInterval = INTERVAL_MS;
+    await simulator.updateAllPrices({ now: new Date(CYCLE_START.getTime() + 1000) });
+    const before = simulator.snapshotState();
+
+    jest.spyOn(simulator, 'calculateNewPrice').mockReturnValue(NaN);
+    // Ten minutes later every event/trend would have rolled over.
+    await simulator.updateAllPrices({ now: new Date(CYCLE_START.getTime() + 10 * 60 * 1000) });
+
+    expect(simulator.currentCycle).toBe(before.currentCycle);
+    expect(simulator.coinEvents).toEqual(before.coinEvents);
+    expect(simulator.coinVolatility).toEqual(before.coinVolatility);
+  });
+});
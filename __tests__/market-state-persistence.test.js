@@ -0,0 +1,150 @@
+// Durable market simulator state: the market cycle, coin events and
+// volatility profiles live in Postgres (migration 016). Every batch resumes
+// from the committed state, so a restarted or second process continues the
+// exact same market and reports the same status.
+
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { MarketSimulator } = require('../models/market-simulator');
+
+jest.setTimeout(30000);
+
+const CYCLE_START = new Date('2026-08-20T10:00:00.000Z');
+const INTERVAL_MS = 30000;
+
+function batchAt(batch) {
+  return new Date(CYCLE_START.getTime() + batch * INTERVAL_MS + 1000);
+}
+
+function freshSimulator() {
+  const simulator = new MarketSimulator();
+  simulator.priceUpdateInterval = INTERVAL_MS;
+  return simulator;
+}
+
+async function createCycle() {
+  return reconcileCycle({ now: CYCLE_START, generateSeed: () => 'persistence-seed' });
+}
+
+async function pricePath() {
+  const { rows } = await db.query(
+    'SELECT coin_id, price::text AS price FROM price_history ORDER BY coin_id, price_history_id'
+  );
+  return rows;
+}
+
+describe('market simulator state persistence', () => {
+  test('a batch persists the market cycle, every coin profile and every active event', async () => {
+    const cycle = await createCycle();
+    const simulator = freshSimulator();
+    await simulator.updateAllPrices({ now: batchAt(0) });
+
+    const { rows: state } = await db.query('SELECT * FROM market_state WHERE cycle_id = $1', [cycle.cycle_id]);
+    expect(state).toHaveLength(1);
+    expect(state[0].market_cycle_type).toBe(simulator.currentCycle.type);
+    expect(state[0].market_cycle_started_at).toEqual(simulator.currentCycle.startTime);
+    expect(state[0].market_cycle_ends_at - state[0].market_cycle_started_at).toBe(simulator.currentCycle.duration);
+    expect(state[0].last_batch_index).toBe(0);
+
+    const { rows: coins } = await db.query('SELECT count(*)::int AS n FROM coins');
+    const { rows: profiles } = await db.query(
+      'SELECT * FROM market_coin_profiles WHERE cycle_id = $1 ORDER BY coin_id',
+      [cycle.cycle_id]
+    );
+    expect(profiles).toHaveLength(coins[0].n);
+    for (const row of profiles) {
+      // Float64 round trip: the stored profile is bit-identical.
+      expect(row.base_volatility).toBe(simulator.coinVolatility.get(row.coin_id).baseVolatility);
+      expect(row.trend_strength).toBe(simulator.coinVolatility.get(row.coin_id).trendStrength);
+    }
+
+    const { rows: events } = await db.query(
+      'SELECT coin_id, event_type FROM market_coin_active_events WHERE cycle_id = $1 ORDER BY coin_id',
+      [cycle.cycle_id]
+    );
+    expect(events).toHaveLength(coins[0].n);
+    for (const row of events) {
+      expect(row.event_type).toBe(simulator.coinEvents.get(row.coin_id).type);
+    }
+  });
+
+  test('a restart mid-cycle continues the identical price path instead of re-randomising', async () => {
+    await createCycle();
+    const uninterrupted = freshSimulator();
+    for (let batch = 0; batch < 8; batch++) {
+      await uninterrupted.updateAllPrices({ now: batchAt(batch) });
+    }
+    const expected = await pricePath();
+
+    // Same cycle from scratch, but the process "restarts" after batch 3.
+    await db.query('UPDATE coins SET current_price = cycle_baseline_price');
+    for (const table of ['price_history', 'market_history', 'market_coin_active_events', 'market_coin_profiles', 'market_state']) {
+      await db.query(`DELETE FROM ${table}`);
+    }
+    const beforeRestart = freshSimulator();
+    for (let batch = 0; batch < 4; batch++) {
+      await beforeRestart.updateAllPrices({ now: batchAt(batch) });
+    }
+    const afterRestart = freshSimulator();
+    for (let batch = 4; batch < 8; batch++) {
+      await afterRestart.updateAllPrices({ now: batchAt(batch) });
+    }
+
+    expect(await pricePath()).toEqual(expected);
+  });
+
+  test('initialization resumes the stored state rather than deriving a new one', async () => {
+    const cycle = await createCycle();
+    await freshSimulator().updateAllPrices({ now: batchAt(0) });
+
+    // Make the stored state distinguishable from anything the seed derives.
+    await db.query(
+      `UPDATE market_state
+       SET market_cycle_type = 'STABLE',
+           market_cycle_ends_at = market_cycle_started_at + interval '1 day'
+       WHERE cycle_id = $1`,
+      [cycle.cycle_id]
+    );
+    await db.query(
+      'UPDATE market_coin_profiles SET base_volatility = 0.123 WHERE cycle_id = $1 AND coin_id = 1',
+      [cycle.cycle_id]
+    );
+
+    const resumed = freshSimulator();
+    await resumed.initializeCoinVolatility(cycle, { now: batchAt(1) });
+
+    expect(resumed.currentCycle.type).toBe('STABLE');
+    expect(resumed.coinVolatility.get(1).baseVolatility).toBe(0.123);
+  });
+
+  test('every process reports the same status from the persisted state', async () => {
+    await reconcileCycle({ now: new Date() });
+    const runner = freshSimulator();
+    await runner.updateAllPrices();
+    const bystander = freshSimulator(); // never started in this process
+
+    const now = new Date();
+    const fromRunner = await runner.getMarketStatus({ now });
+    const fromBystander = await bystander.getMarketStatus({ now });
+
+    expect(fromRunner.status).toBe('RUNNING');
+    expect(fromRunner.currentCycle.type).toEqual(expect.any(String));
+    expect(fromRunner.events.length).toBeGreaterThan(0);
+    expect(fromBystander).toEqual(fromRunner);
+  });
+
+  test('a stale persisted state reports STOPPED', async () => {
+    await reconcileCycle({ now: new Date() });
+    const simulator = freshSimulator();
+    await simulator.updateAllPrices();
+    await db.query(`UPDATE market_state SET updated_at = now() - interval '10 minutes'`);
+
+    expect(await simulator.getMarketStatus()).toEqual({
+      status: 'STOPPED',
+      currentCycle: null,
+      timeRemaining: 0,
+      events: [],
+      sectorEvents: []
+    });
+  });
+});
@@ -26,7 +26,8 @@ describe('Market Status API', () => {
         status: 'STOPPED',
         currentCycle: null,
         timeRemaining: 0,
-        events: []
+        events: [],
+        sectorEvents: []
       });
     });
 
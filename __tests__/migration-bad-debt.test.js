@@ -0,0 +1,79 @@
+// Migration runner + schema verification coverage for round bad debt
+// (migration 031).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_031 = '031_round_bad_debt.sql';
+
+async function dropBadDebt() {
+  await db.query('ALTER TABLE apocalypse_participants DROP COLUMN IF EXISTS bad_debt');
+  await db.query('ALTER TABLE apocalypse_results DROP COLUMN IF EXISTS bad_debt');
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_031]);
+}
+
+describe('tracked production migration 031 (round bad debt)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 031 to an existing database, leaving every participant and result with nothing written off', async () => {
+    const cycle = await reconcileCycle({ now: new Date() });
+    await reconcileCycle({ now: new Date(new Date(cycle.end_time).getTime() + 1000) });
+    await dropBadDebt();
+    const { problems } = await verifyGameSchema();
+    expect(problems).toContain('missing column: apocalypse_participants.bad_debt — migration 031 (round bad debt) has not been applied');
+    expect(problems).toContain('missing column: apocalypse_results.bad_debt — migration 031 (round bad debt) has not been applied');
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_031]);
+
+    const { rows } = await db.query(
+      `SELECT DISTINCT bad_debt FROM apocalypse_participants
+       UNION SELECT DISTINCT bad_debt FROM apocalypse_results`
+    );
+    expect(rows).toEqual([{ bad_debt: '0.00' }]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 031 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE bad_debt column fails the migration loudly', async () => {
+    await dropBadDebt();
+    await db.query('ALTER TABLE apocalypse_results ADD COLUMN bad_debt INTEGER');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_031]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('bad debt is never negative, and verification catches a result that drops it', async () => {
+    const cycle = await reconcileCycle({ now: new Date() });
+    await expect(db.query('UPDATE apocalypse_participants SET bad_debt = -1 WHERE cycle_id = $1', [cycle.cycle_id]))
+      .rejects.toThrow(/check constraint/);
+
+    await db.query('UPDATE apocalypse_participants SET bad_debt = 12.5 WHERE cycle_id = $1 AND user_id = 1', [cycle.cycle_id]);
+    await reconcileCycle({ now: new Date(new Date(cycle.end_time).getTime() + 1000) });
+    expect((await verifyGameSchema()).problems).toEqual([]);
+
+    await db.query('UPDATE apocalypse_participants SET bad_debt = 0 WHERE cycle_id = $1', [cycle.cycle_id]);
+    expect((await verifyGameSchema()).problems).toContain(
+      "INVARIANT VIOLATION: 1 results whose bad_debt differs from their participant's"
+    );
+  });
+});
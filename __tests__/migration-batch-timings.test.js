@@ -0,0 +1,81 @@
+// Migration runner + schema verification coverage for the price batch
+// timings (migration 022).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_022 = '022_create_market_batch_timings.sql';
+
+async function dropBatchTimings() {
+  await db.query('DROP TABLE IF EXISTS market_batch_timings');
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_022]);
+}
+
+async function insertTiming(cycleId, { totalMs = 10, coinLockMs = 2 } = {}) {
+  return db.query(
+    `INSERT INTO market_batch_timings (cycle_id, batch_index, coin_count, phases, total_ms, coin_lock_ms)
+     VALUES ($1, 0, 10, '{"compute": 4}', $2, $3)`,
+    [cycleId, totalMs, coinLockMs]
+  );
+}
+
+describe('tracked production migration 022 (price batch timings)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 022 to an existing database with no timings', async () => {
+    await dropBatchTimings();
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_022]);
+
+    const { rows } = await db.query('SELECT count(*)::int AS n FROM market_batch_timings');
+    expect(rows[0].n).toBe(0);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 022 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE market_batch_timings table fails the migration loudly', async () => {
+    await dropBatchTimings();
+    await db.query('CREATE TABLE market_batch_timings (timing_id SERIAL PRIMARY KEY, total_ms INTEGER)');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_022]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('the coin lock can never outlast the batch', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+
+    await expect(insertTiming(cycle.cycle_id, { totalMs: 5, coinLockMs: 6 })).rejects.toThrow(/check constraint/);
+  });
+
+  test('verification flags timings for a cycle the simulator never ran', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+    await insertTiming(cycle.cycle_id);
+
+    const verification = await verifyGameSchema();
+    expect(verification.ok).toBe(false);
+    expect(verification.problems).toEqual([
+      'INVARIANT VIOLATION: 1 cycles with batch timings but no market_state row'
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+// Migration runner + schema verification coverage for the collapse contagion
+// record (migration 020).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_020 = '020_collapse_contagion.sql';
+
+async function dropContagion() {
+  await db.query('DROP TABLE IF EXISTS coin_collapse_contagion');
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_020]);
+}
+
+describe('tracked production migration 020 (collapse contagion)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 020 to an existing database with an empty contagion record', async () => {
+    await dropContagion();
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_020]);
+
+    const { rows } = await db.query('SELECT count(*)::int AS n FROM coin_collapse_contagion');
+    expect(rows[0].n).toBe(0);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 020 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE coin_collapse_contagion table fails the migration loudly', async () => {
+    await dropContagion();
+    await db.query('CREATE TABLE coin_collapse_contagion (contagion_id SERIAL PRIMARY KEY, coin_id INTEGER)');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_020]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('verification flags contagion that does not follow an executed collapse', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:07:00.000Z') });
+    const { rows: schedule } = await db.query(
+      'SELECT schedule_id, coin_id FROM coin_collapse_schedule WHERE cycle_id = $1 ORDER BY collapse_rank LIMIT 2',
+      [cycle.cycle_id]
+    );
+    // Rank 0 has not executed yet: a row claiming its contagion is corrupt.
+    await db.query(
+      `INSERT INTO coin_collapse_contagion
+         (cycle_id, schedule_id, source_coin_id, coin_id, panic_shock, price_before, price_after, volatility_boost, applied_at)
+       VALUES ($1, $2, $3, $4, 0.05, 10, 9.5, 1, now())`,
+      [cycle.cycle_id, schedule[0].schedule_id, schedule[0].coin_id, schedule[1].coin_id]
+    );
+
+    const verification = await verifyGameSchema();
+    expect(verification.ok).toBe(false);
+    expect(verification.problems).toEqual([
+      'INVARIANT VIOLATION: 1 contagion rows do not match an executed collapse of their cycle and source coin'
+    ]);
+  });
+});
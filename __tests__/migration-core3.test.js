@@ -12,18 +12,22 @@ const { verifyGameSchema } = require('../db/verify-game-schema');
 const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
 
 const MIGRATION_008 = '008_create_coin_collapse_schedule.sql';
+// The collapse contagion record references the schedule, so it goes (and
+// comes back) with it.
+const MIGRATION_020 = '020_collapse_contagion.sql';
 
 // Simulate the pre-Core-3 production state: Coins schema + data + Core 1 game
 // table, but no collapse schedule and no baseline column. An initial runner
 // invocation first establishes the tracking table (seed drops it) so that the
 // second run applies ONLY migration 008.
 async function dropCore3Schema() {
+  await db.query('DROP TABLE IF EXISTS coin_collapse_contagion CASCADE');
   await db.query('DROP TABLE IF EXISTS coin_collapse_schedule CASCADE');
   await db.query('ALTER TABLE coins DROP COLUMN IF EXISTS cycle_baseline_price');
 }
 
 async function dropCore3Tracking() {
-  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_008]);
+  await db.query('DELETE FROM schema_migrations WHERE migration = ANY($1)', [[MIGRATION_008, MIGRATION_020]]);
 }
 
 describe('Core 3: tracked production migration 008', () => {
@@ -42,7 +46,7 @@ describe('Core 3: tracked production migration 008', () => {
 
     const result = await runMigrations({ log: () => {} });
 
-    expect(result.applied).toEqual([MIGRATION_008]); // only Core 3 was missing
+    expect(result.applied).toEqual([MIGRATION_008, MIGRATION_020]); // only Core 3 (and its dependant) was missing
 
     const verification = await verifyGameSchema();
     expect(verification.problems).toEqual([]);
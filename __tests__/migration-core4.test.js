@@ -23,7 +23,18 @@ const MIGRATION_012 = '012_fractional_round_quantities.sql';
 // 012 only ALTERS the two quantity columns (no new tables), so no schema
 // drop is needed for it — its tracking row is removed so the rerun re-applies
 // the DECIMAL(18,2) -> DECIMAL(18,8) widening on the freshly recreated tables.
+// Resting orders (migration 023) and short positions (migration 024) carry
+// FKs into participants and transactions, so they are removed explicitly too
+// and re-applied last; 024 also re-widens the recreated ledger's type, and
+// 025 re-adds the holdings' leverage debt column. Wealth snapshots
+// (migration 027) carry an FK into participants and are removed likewise,
+// 028 re-adds the recreated orders' distress_level column, 031 the
+// recreated participants' and results' bad_debt columns, and 032 the
+// recreated ledger's forced and results' forced_count columns.
 async function dropCore4Schema() {
+  await db.query('DROP TABLE IF EXISTS apocalypse_wealth_snapshots CASCADE');
+  await db.query('DROP TABLE IF EXISTS apocalypse_short_positions CASCADE');
+  await db.query('DROP TABLE IF EXISTS apocalypse_orders CASCADE');
   await db.query('DROP TABLE IF EXISTS apocalypse_results CASCADE');
   await db.query('DROP FUNCTION IF EXISTS apocalypse_results_immutable()');
   await db.query('DROP TABLE IF EXISTS apocalypse_transactions CASCADE');
@@ -35,9 +46,16 @@ async function dropCore4Schema() {
 // dropCore4Schema drops — its tracking row must be cleared too so
 // runMigrations restores the canonical post-#19 schema.
 const MIGRATION_015 = '015_leaderboard_eligible.sql';
+const MIGRATION_023 = '023_create_apocalypse_orders.sql';
+const MIGRATION_024 = '024_create_apocalypse_short_positions.sql';
+const MIGRATION_025 = '025_leveraged_round_positions.sql';
+const MIGRATION_027 = '027_create_apocalypse_wealth_snapshots.sql';
+const MIGRATION_028 = '028_stop_loss_distress_trigger.sql';
+const MIGRATION_031 = '031_round_bad_debt.sql';
+const MIGRATION_032 = '032_forced_round_transactions.sql';
 
 async function dropCore4Tracking() {
-  await db.query('DELETE FROM schema_migrations WHERE migration = ANY($1)', [[MIGRATION_009, MIGRATION_011, MIGRATION_012, MIGRATION_015]]);
+  await db.query('DELETE FROM schema_migrations WHERE migration = ANY($1)', [[MIGRATION_009, MIGRATION_011, MIGRATION_012, MIGRATION_015, MIGRATION_023, MIGRATION_024, MIGRATION_025, MIGRATION_027, MIGRATION_028, MIGRATION_031, MIGRATION_032]]);
 }
 
 describe('Core 4: tracked production migration 009', () => {
@@ -61,7 +79,7 @@ describe('Core 4: tracked production migration 009', () => {
     await dropCore4Tracking();
 
     const result = await runMigrations({ log: () => {} });
-    expect(result.applied).toEqual([MIGRATION_009, MIGRATION_011, MIGRATION_012, MIGRATION_015]); // Core 4, Core 6, 012 widening, #19 eligibility column
+    expect(result.applied).toEqual([MIGRATION_009, MIGRATION_011, MIGRATION_012, MIGRATION_015, MIGRATION_023, MIGRATION_024, MIGRATION_025, MIGRATION_027, MIGRATION_028, MIGRATION_031, MIGRATION_032]); // Core 4, Core 6, 012 widening, #19 eligibility column, resting orders, short positions, leverage, wealth curves, distress stop-losses, bad debt, forced transactions
 
     const verification = await verifyGameSchema();
     expect(verification.problems).toEqual([]);
@@ -32,11 +32,18 @@ async function dropCore6Schema() {
   );
 }
 
+// 015 (leaderboard_eligible), 031 (bad_debt) and 032 (forced_count) alter
+// apocalypse_results, which dropCore6Schema drops — clear their tracking
+// rows too so the rerun restores the canonical current schema.
+const CORE6_MIGRATIONS = [
+  MIGRATION_011,
+  '015_leaderboard_eligible.sql',
+  '031_round_bad_debt.sql',
+  '032_forced_round_transactions.sql'
+];
+
 async function dropCore6Tracking() {
-  // 015 (leaderboard_eligible) alters apocalypse_results, which
-  // dropCore6Schema drops — clear its tracking row too so the rerun
-  // restores the canonical post-#19 schema.
-  await db.query('DELETE FROM schema_migrations WHERE migration = ANY($1)', [[MIGRATION_011, '015_leaderboard_eligible.sql']]);
+  await db.query('DELETE FROM schema_migrations WHERE migration = ANY($1)', [CORE6_MIGRATIONS]);
 }
 
 describe('Core 6: tracked production migration 011', () => {
@@ -66,7 +73,7 @@ describe('Core 6: tracked production migration 011', () => {
     await dropCore6Tracking();
 
     const result = await runMigrations({ log: () => {} });
-    expect(result.applied).toEqual([MIGRATION_011, '015_leaderboard_eligible.sql']); // only Core 6 was missing
+    expect(result.applied).toEqual(CORE6_MIGRATIONS); // only Core 6 was missing
 
     const verification = await verifyGameSchema();
     expect(verification.problems).toEqual([]);
@@ -110,7 +117,7 @@ describe('Core 6: tracked production migration 011', () => {
     // existing compatible objects, detect compatibility, and record it again.
     await dropCore6Tracking();
     const rerun = await runMigrations({ log: () => {} });
-    expect(rerun.applied).toEqual([MIGRATION_011, '015_leaderboard_eligible.sql']);
+    expect(rerun.applied).toEqual(CORE6_MIGRATIONS);
     const verification = await verifyGameSchema();
     expect(verification.problems).toEqual([]);
   });
@@ -149,7 +156,7 @@ describe('Core 6: tracked production migration 011', () => {
     await dropCore6Tracking();
 
     const result = await runMigrations({ log: () => {} });
-    expect(result.applied).toEqual([MIGRATION_011, '015_leaderboard_eligible.sql']);
+    expect(result.applied).toEqual(CORE6_MIGRATIONS);
     const { rows: checks } = await db.query(
       `SELECT pg_get_constraintdef(oid) AS def FROM pg_constraint
        WHERE conrelid = 'public.apocalypse_cycles'::regclass AND contype = 'c'`
@@ -0,0 +1,78 @@
+// Migration runner + schema verification coverage for the cycles' eligible
+// coins (migration 030).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_030 = '030_cycle_eligible_coins.sql';
+
+async function dropEligibleCoins() {
+  await db.query('ALTER TABLE apocalypse_cycles DROP COLUMN IF EXISTS eligible_coin_ids');
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_030]);
+}
+
+describe('tracked production migration 030 (cycle eligible coins)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 030 to an existing database, leaving existing cycles unrecorded', async () => {
+    await reconcileCycle({ now: new Date() });
+    await dropEligibleCoins();
+    expect((await verifyGameSchema()).problems).toContain(
+      'missing column: apocalypse_cycles.eligible_coin_ids — migration 030 (eligible coins) has not been applied'
+    );
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_030]);
+
+    const { rows } = await db.query('SELECT DISTINCT eligible_coin_ids FROM apocalypse_cycles');
+    expect(rows).toEqual([{ eligible_coin_ids: null }]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 030 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE eligible_coin_ids column fails the migration loudly', async () => {
+    await dropEligibleCoins();
+    await db.query('ALTER TABLE apocalypse_cycles ADD COLUMN eligible_coin_ids TEXT');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_030]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('a new cycle records the active catalogue, and verification catches a schedule outside it', async () => {
+    const cycle = await reconcileCycle({ now: new Date() });
+    const { rows: coins } = await db.query('SELECT coin_id FROM coins WHERE retired = FALSE ORDER BY coin_id');
+    const { rows: [recorded] } = await db.query(
+      'SELECT eligible_coin_ids FROM apocalypse_cycles WHERE cycle_id = $1',
+      [cycle.cycle_id]
+    );
+    expect(recorded.eligible_coin_ids).toEqual(coins.map((c) => c.coin_id));
+    expect((await verifyGameSchema()).problems).toEqual([]);
+
+    await db.query(
+      'UPDATE apocalypse_cycles SET eligible_coin_ids = eligible_coin_ids[2:] WHERE cycle_id = $1',
+      [cycle.cycle_id]
+    );
+    expect((await verifyGameSchema()).problems).toContain(
+      `INVARIANT VIOLATION: cycle ${cycle.apocalypse_id} scheduled a coin missing from its eligible_coin_ids`
+    );
+  });
+});
@@ -0,0 +1,101 @@
+// Migration runner + schema verification coverage for forced round
+// transactions (migration 032).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { reconcileCycle } = require('../game/gameCycleService');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_032 = '032_forced_round_transactions.sql';
+
+async function dropForced() {
+  await db.query('ALTER TABLE apocalypse_transactions DROP COLUMN IF EXISTS forced');
+  await db.query('ALTER TABLE apocalypse_results DROP COLUMN IF EXISTS forced_count');
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_032]);
+}
+
+async function insertLedgerRow(cycle, type) {
+  await db.query(
+    `INSERT INTO apocalypse_transactions
+       (participant_id, cycle_id, user_id, coin_id, type, quantity, price, total_amount)
+     SELECT participant_id, cycle_id, user_id, 1, $2, 1, 0, 0
+     FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = 1`,
+    [cycle.cycle_id, type]
+  );
+}
+
+describe('tracked production migration 032 (forced round transactions)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 032 to an existing database, marking only the existing liquidations forced', async () => {
+    const cycle = await reconcileCycle({ now: new Date() });
+    await dropForced();
+    await insertLedgerRow(cycle, 'LIQUIDATION');
+    await insertLedgerRow(cycle, 'COVER');
+    const { problems } = await verifyGameSchema();
+    expect(problems).toContain('missing column: apocalypse_transactions.forced — migration 032 (forced round transactions) has not been applied');
+    expect(problems).toContain('missing column: apocalypse_results.forced_count — migration 032 (forced round transactions) has not been applied');
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_032]);
+
+    const { rows } = await db.query(
+      'SELECT type, forced FROM apocalypse_transactions WHERE cycle_id = $1 ORDER BY type',
+      [cycle.cycle_id]
+    );
+    expect(rows).toEqual([{ type: 'COVER', forced: false }, { type: 'LIQUIDATION', forced: true }]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 032 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE forced column fails the migration loudly', async () => {
+    await dropForced();
+    await db.query('ALTER TABLE apocalypse_transactions ADD COLUMN forced INTEGER');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_032]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('forced_count is never negative, and verification catches an unforced liquidation', async () => {
+    const cycle = await reconcileCycle({ now: new Date() });
+    await insertLedgerRow(cycle, 'LIQUIDATION');
+    expect((await verifyGameSchema()).problems).toContain(
+      'INVARIANT VIOLATION: 1 LIQUIDATION rows not marked forced'
+    );
+
+    await db.query('UPDATE apocalypse_transactions SET forced = TRUE WHERE cycle_id = $1', [cycle.cycle_id]);
+    await reconcileCycle({ now: new Date(new Date(cycle.end_time).getTime() + 1000) });
+    const { rows: [settled] } = await db.query(
+      'SELECT trade_count, forced_count FROM apocalypse_results WHERE cycle_id = $1 AND user_id = 1',
+      [cycle.cycle_id]
+    );
+    expect(settled).toEqual({ trade_count: 0, forced_count: 1 });
+    expect((await verifyGameSchema()).problems).toEqual([]);
+    await expect(db.query(
+      `INSERT INTO apocalypse_results
+         (cycle_id, participant_id, user_id, apocalypse_id, username, is_bot, rank, final_cash, peak_wealth,
+          starting_cash, net_profit, joined_at, trade_count, buy_count, sell_count, forced_count)
+       SELECT cycle_id, participant_id, user_id, apocalypse_id, username, is_bot, 99, final_cash, peak_wealth,
+              starting_cash, net_profit, joined_at, trade_count, buy_count, sell_count, -1
+       FROM apocalypse_results WHERE cycle_id = $1 AND user_id = 1`,
+      [cycle.cycle_id]
+    )).rejects.toThrow(/check constraint/);
+  });
+});
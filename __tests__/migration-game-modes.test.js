@@ -0,0 +1,93 @@
+// Migration runner + schema verification coverage for rotating game modes
+// (migration 026).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_026 = '026_cycle_game_modes.sql';
+
+// Back to the pre-026 state: cycles carry no mode.
+async function dropGameModes() {
+  await db.query('ALTER TABLE apocalypse_cycles DROP COLUMN IF EXISTS game_mode');
+  await db.query('ALTER TABLE apocalypse_cycles DROP COLUMN IF EXISTS game_mode_params');
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_026]);
+}
+
+describe('tracked production migration 026 (game modes)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 026 to an existing database, leaving every existing cycle standard', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+    await dropGameModes();
+    const before = await verifyGameSchema();
+    expect(before.problems).toContain('missing column: apocalypse_cycles.game_mode — migration 026 (game modes) has not been applied');
+    expect(before.problems).toContain('missing column: apocalypse_cycles.game_mode_params — migration 026 (game modes) has not been applied');
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_026]);
+
+    const { rows: [row] } = await db.query(
+      'SELECT game_mode, game_mode_params FROM apocalypse_cycles WHERE cycle_id = $1',
+      [cycle.cycle_id]
+    );
+    expect(row).toEqual({ game_mode: 'standard', game_mode_params: {} });
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 026 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE apocalypse_cycles.game_mode column fails the migration loudly', async () => {
+    await dropGameModes();
+    await db.query('ALTER TABLE apocalypse_cycles ADD COLUMN game_mode INTEGER');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_026]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('the mode name and parameters are constrained in the schema', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+
+    await expect(db.query(
+      "UPDATE apocalypse_cycles SET game_mode = 'Not A Mode' WHERE cycle_id = $1",
+      [cycle.cycle_id]
+    )).rejects.toThrow(/check constraint/);
+    await expect(db.query(
+      "UPDATE apocalypse_cycles SET game_mode_params = '[]'::jsonb WHERE cycle_id = $1",
+      [cycle.cycle_id]
+    )).rejects.toThrow(/check constraint/);
+  });
+
+  test('verification flags a cycle whose persisted parameters are out of range', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+    await db.query(
+      `UPDATE apocalypse_cycles SET game_mode_params = '{"collapseFraction": 0}'::jsonb WHERE cycle_id = $1`,
+      [cycle.cycle_id]
+    );
+
+    const verification = await verifyGameSchema();
+    expect(verification.ok).toBe(false);
+    expect(verification.problems).toEqual([
+      `INVARIANT VIOLATION: cycle ${cycle.apocalypse_id} has invalid game mode parameters: game mode standard: collapseFraction must be in (0, 1]; received 0`
+    ]);
+  });
+});
@@ -0,0 +1,64 @@
+// Migration runner + schema verification coverage for market impact
+// precision (migration 029).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_029 = '029_coin_impact_price.sql';
+
+async function dropImpactPrice() {
+  await db.query('ALTER TABLE coins DROP COLUMN IF EXISTS impact_price');
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_029]);
+}
+
+describe('tracked production migration 029 (coin impact price)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 029 to an existing database, leaving every coin on its live price', async () => {
+    await dropImpactPrice();
+    expect((await verifyGameSchema()).problems).toContain(
+      'missing column: coins.impact_price — migration 029 (market impact precision) has not been applied'
+    );
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_029]);
+
+    const { rows } = await db.query('SELECT DISTINCT impact_price FROM coins');
+    expect(rows).toEqual([{ impact_price: null }]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 029 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE impact_price column fails the migration loudly', async () => {
+    await dropImpactPrice();
+    await db.query('ALTER TABLE coins ADD COLUMN impact_price NUMERIC(10, 2)');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_029]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('the impact price keeps 8 decimal places and is never zero', async () => {
+    await db.query('UPDATE coins SET impact_price = 0.05025031 WHERE coin_id = 1');
+    const { rows } = await db.query('SELECT impact_price FROM coins WHERE coin_id = 1');
+    expect(rows[0].impact_price).toBe('0.05025031');
+    await expect(db.query('UPDATE coins SET impact_price = 0 WHERE coin_id = 1')).rejects.toThrow(/check constraint/);
+  });
+});
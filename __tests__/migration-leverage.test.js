@@ -0,0 +1,113 @@
+// Migration runner + schema verification coverage for leveraged round
+// positions (migration 025).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_025 = '025_leveraged_round_positions.sql';
+
+// Back to the pre-025 state: no holding debt and the 024 ledger type
+// (VARCHAR(8), no LIQUIDATION).
+async function dropLeverage() {
+  await db.query('ALTER TABLE apocalypse_holdings DROP COLUMN IF EXISTS debt');
+  await db.query('ALTER TABLE apocalypse_transactions DROP CONSTRAINT apocalypse_transactions_type_check');
+  await db.query('ALTER TABLE apocalypse_transactions ALTER COLUMN type TYPE VARCHAR(8)');
+  await db.query(
+    `ALTER TABLE apocalypse_transactions
+     ADD CONSTRAINT apocalypse_transactions_type_check CHECK (type IN ('BUY', 'SELL', 'SHORT', 'COVER'))`
+  );
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_025]);
+}
+
+async function insertHolding(cycleId, { quantity = 1, debt = 10 } = {}) {
+  return db.query(
+    `INSERT INTO apocalypse_holdings (participant_id, cycle_id, user_id, coin_id, quantity, debt)
+     SELECT participant_id, cycle_id, user_id, 1, $2, $3
+     FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = 1`,
+    [cycleId, quantity, debt]
+  );
+}
+
+describe('tracked production migration 025 (leveraged round positions)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 025 to an existing database, leaving every existing holding unleveraged', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+    await dropLeverage();
+    await db.query(
+      `INSERT INTO apocalypse_holdings (participant_id, cycle_id, user_id, coin_id, quantity)
+       SELECT participant_id, cycle_id, user_id, 1, 3
+       FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = 1`,
+      [cycle.cycle_id]
+    );
+    const before = await verifyGameSchema();
+    expect(before.problems).toContain('missing column: apocalypse_holdings.debt');
+    expect(before.problems).toContain("missing CHECK constraint on apocalypse_transactions: type IN ('BUY', 'SELL', 'SHORT', 'COVER', 'LIQUIDATION')");
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_025]);
+
+    const { rows: [holding] } = await db.query(
+      'SELECT quantity, debt FROM apocalypse_holdings WHERE cycle_id = $1 AND user_id = 1',
+      [cycle.cycle_id]
+    );
+    expect(parseFloat(holding.quantity)).toBe(3);
+    expect(parseFloat(holding.debt)).toBe(0);
+    const { rows: [typeColumn] } = await db.query(
+      `SELECT character_maximum_length FROM information_schema.columns
+       WHERE table_name = 'apocalypse_transactions' AND column_name = 'type'`
+    );
+    expect(typeColumn.character_maximum_length).toBe(16);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 025 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE apocalypse_holdings.debt column fails the migration loudly', async () => {
+    await dropLeverage();
+    await db.query('ALTER TABLE apocalypse_holdings ADD COLUMN debt INTEGER');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_025]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('debt is never negative and never outlives the position', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+
+    await expect(insertHolding(cycle.cycle_id, { debt: -1 })).rejects.toThrow(/check constraint/);
+    await expect(insertHolding(cycle.cycle_id, { quantity: 0, debt: 10 })).rejects.toThrow(/check constraint/);
+    await expect(insertHolding(cycle.cycle_id)).resolves.toMatchObject({ rowCount: 1 });
+  });
+
+  test('verification flags a leveraged holding still owing debt on a settled cycle', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+    await reconcileCycle({ now: new Date(new Date(cycle.end_time).getTime() + 1000) });
+    await insertHolding(cycle.cycle_id);
+
+    const verification = await verifyGameSchema();
+    expect(verification.ok).toBe(false);
+    expect(verification.problems).toEqual([
+      'INVARIANT VIOLATION: 1 leveraged holdings still owing debt on settled cycles'
+    ]);
+  });
+});
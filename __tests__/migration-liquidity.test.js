@@ -0,0 +1,66 @@
+// Migration runner + schema verification coverage for market impact
+// liquidity (migration 018).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_018 = '018_coin_liquidity.sql';
+
+async function dropLiquidity() {
+  await db.query('ALTER TABLE coins DROP COLUMN IF EXISTS liquidity_depth');
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_018]);
+}
+
+describe('tracked production migration 018 (coin liquidity)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 018 to an existing database, giving every coin the default depth', async () => {
+    await dropLiquidity();
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_018]);
+
+    const { rows } = await db.query('SELECT DISTINCT liquidity_depth::float AS depth FROM coins');
+    expect(rows).toEqual([{ depth: 100000 }]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 018 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE liquidity_depth column fails the migration loudly', async () => {
+    await dropLiquidity();
+    await db.query('ALTER TABLE coins ADD COLUMN liquidity_depth TEXT');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_018]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('the database rejects a non-positive depth', async () => {
+    await expect(db.query('UPDATE coins SET liquidity_depth = 0 WHERE coin_id = 1')).rejects.toThrow();
+  });
+
+  test('verification flags a missing depth CHECK', async () => {
+    await db.query('ALTER TABLE coins DROP CONSTRAINT coins_liquidity_depth_check');
+
+    const verification = await verifyGameSchema();
+    expect(verification.ok).toBe(false);
+    expect(verification.problems).toEqual(['missing CHECK (liquidity_depth > 0) on coins']);
+  });
+});
@@ -0,0 +1,81 @@
+// Migration runner + schema verification coverage for the market news feed
+// (migration 021).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_021 = '021_create_market_events.sql';
+
+async function dropMarketEvents() {
+  await db.query('DROP TABLE IF EXISTS market_events');
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_021]);
+}
+
+describe('tracked production migration 021 (market news feed)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 021 to an existing database with an empty feed', async () => {
+    await dropMarketEvents();
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_021]);
+
+    const { rows } = await db.query('SELECT count(*)::int AS n FROM market_events');
+    expect(rows[0].n).toBe(0);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 021 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE market_events table fails the migration loudly', async () => {
+    await dropMarketEvents();
+    await db.query('CREATE TABLE market_events (event_id SERIAL PRIMARY KEY, headline TEXT)');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_021]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('the feed rejects a row whose subject does not match its kind', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+
+    await expect(db.query(
+      `INSERT INTO market_events (cycle_id, event_kind, event_type, coin_id, headline, effect, started_at, ends_at)
+       VALUES ($1, 'MARKET_CYCLE', 'STABLE', 1, 'Markets steady', 'NEUTRAL', now(), now() + interval '1 minute')`,
+      [cycle.cycle_id]
+    )).rejects.toThrow(/check constraint/);
+  });
+
+  test('verification flags news for a cycle the simulator never ran', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+    await db.query(
+      `INSERT INTO market_events (cycle_id, event_kind, event_type, headline, effect, started_at, ends_at)
+       VALUES ($1, 'MARKET_CYCLE', 'STABLE', 'Markets steady', 'NEUTRAL', now(), now() + interval '1 minute')`,
+      [cycle.cycle_id]
+    );
+
+    const verification = await verifyGameSchema();
+    expect(verification.ok).toBe(false);
+    expect(verification.problems).toEqual([
+      'INVARIANT VIOLATION: 1 cycles with market events but no market_state row'
+    ]);
+  });
+});
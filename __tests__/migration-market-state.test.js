@@ -0,0 +1,66 @@
+// Migration runner + schema verification coverage for the durable market
+// simulator state (migration 016).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_016 = '016_create_market_simulator_state.sql';
+// 017 adds market_coin_profiles.model_state, so it goes with the tables.
+const MIGRATION_017 = '017_coin_price_models.sql';
+
+async function dropMarketState() {
+  await db.query('DROP TABLE IF EXISTS market_coin_active_events CASCADE');
+  await db.query('DROP TABLE IF EXISTS market_coin_profiles CASCADE');
+  await db.query('DROP TABLE IF EXISTS market_state CASCADE');
+  await db.query('DELETE FROM schema_migrations WHERE migration = ANY($1)', [[MIGRATION_016, MIGRATION_017]]);
+}
+
+describe('tracked production migration 016 (market simulator state)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 016 to an existing database that lacks the state tables', async () => {
+    const coinsBefore = await db.query('SELECT count(*)::int AS n FROM coins');
+    await dropMarketState();
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_016, MIGRATION_017]);
+
+    const verification = await verifyGameSchema();
+    expect(verification.problems).toEqual([]);
+    expect((await db.query('SELECT count(*)::int AS n FROM coins')).rows[0].n).toBe(coinsBefore.rows[0].n);
+  });
+
+  test('re-running the runner is a no-op once 016 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE same-named table fails the migration loudly', async () => {
+    await dropMarketState();
+    await db.query('CREATE TABLE market_state (market_state_id SERIAL PRIMARY KEY, note TEXT)');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_016]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('verification reports a missing state table', async () => {
+    await db.query('DROP TABLE market_coin_active_events');
+    const verification = await verifyGameSchema();
+    expect(verification.ok).toBe(false);
+    expect(verification.problems).toContain('table public.market_coin_active_events does not exist');
+  });
+});
@@ -0,0 +1,71 @@
+// Migration runner + schema verification coverage for per-coin price models
+// (migration 017).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_017 = '017_coin_price_models.sql';
+
+async function dropPriceModels() {
+  await db.query('ALTER TABLE coins DROP COLUMN IF EXISTS price_model');
+  await db.query('ALTER TABLE coins DROP COLUMN IF EXISTS price_model_params');
+  await db.query('ALTER TABLE market_coin_profiles DROP COLUMN IF EXISTS model_state');
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_017]);
+}
+
+describe('tracked production migration 017 (coin price models)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 017 to an existing database, keeping every coin on the blended model', async () => {
+    await dropPriceModels();
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_017]);
+
+    const { rows } = await db.query('SELECT DISTINCT price_model, price_model_params FROM coins');
+    expect(rows).toEqual([{ price_model: 'BLENDED', price_model_params: {} }]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 017 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE price_model column fails the migration loudly', async () => {
+    await dropPriceModels();
+    await db.query('ALTER TABLE coins ADD COLUMN price_model INTEGER');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_017]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('the database rejects an unknown model and non-object parameters', async () => {
+    await expect(db.query("UPDATE coins SET price_model = 'MAGIC' WHERE coin_id = 1")).rejects.toThrow();
+    await expect(db.query("UPDATE coins SET price_model_params = '[1, 2]' WHERE coin_id = 1")).rejects.toThrow();
+  });
+
+  test('verification flags a stored configuration the simulator would refuse', async () => {
+    await db.query(`UPDATE coins SET price_model = 'GBM', price_model_params = '{"volatility": 7}' WHERE coin_id = 2`);
+
+    const verification = await verifyGameSchema();
+    expect(verification.ok).toBe(false);
+    expect(verification.problems).toEqual([
+      expect.stringMatching(/coin 2 has an invalid price model configuration: GBM params\.volatility/)
+    ]);
+  });
+});
@@ -0,0 +1,89 @@
+// Migration runner + schema verification coverage for resting round orders
+// (migration 023).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_023 = '023_create_apocalypse_orders.sql';
+// Adds the orders' distress_level column, so it is re-applied with 023.
+const MIGRATION_028 = '028_stop_loss_distress_trigger.sql';
+
+async function dropRoundOrders() {
+  await db.query('DROP TABLE IF EXISTS apocalypse_orders');
+  await db.query('DELETE FROM schema_migrations WHERE migration = ANY($1)', [[MIGRATION_023, MIGRATION_028]]);
+}
+
+async function insertOrder(cycleId, { status = 'OPEN', closedAt = null } = {}) {
+  return db.query(
+    `INSERT INTO apocalypse_orders
+       (participant_id, cycle_id, user_id, coin_id, order_type, quantity, trigger_price, status, closed_at)
+     SELECT participant_id, cycle_id, user_id, 1, 'STOP_LOSS', 1, 5, $2, $3
+     FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = 1`,
+    [cycleId, status, closedAt]
+  );
+}
+
+describe('tracked production migration 023 (resting round orders)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 023 to an existing database with no orders', async () => {
+    await dropRoundOrders();
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_023, MIGRATION_028]);
+
+    const { rows } = await db.query('SELECT count(*)::int AS n FROM apocalypse_orders');
+    expect(rows[0].n).toBe(0);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 023 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE apocalypse_orders table fails the migration loudly', async () => {
+    await dropRoundOrders();
+    await db.query('CREATE TABLE apocalypse_orders (order_id SERIAL PRIMARY KEY, trigger_price INTEGER)');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_023]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('only a FILLED order names a round transaction, and only a closed one has closed_at', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+
+    await expect(insertOrder(cycle.cycle_id, { status: 'FILLED', closedAt: new Date() })).rejects.toThrow(/check constraint/);
+    await expect(insertOrder(cycle.cycle_id, { status: 'CANCELLED' })).rejects.toThrow(/check constraint/);
+    await expect(insertOrder(cycle.cycle_id, { status: 'OPEN', closedAt: new Date() })).rejects.toThrow(/check constraint/);
+    await expect(insertOrder(cycle.cycle_id)).resolves.toMatchObject({ rowCount: 1 });
+  });
+
+  test('verification flags an order left OPEN on a cycle that is no longer ACTIVE', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+    await insertOrder(cycle.cycle_id);
+    await db.query(`UPDATE apocalypse_cycles SET status = 'SETTLING', settlement_started_at = now() WHERE cycle_id = $1`, [cycle.cycle_id]);
+
+    const verification = await verifyGameSchema();
+    expect(verification.ok).toBe(false);
+    expect(verification.problems).toEqual([
+      'INVARIANT VIOLATION: 1 open orders on cycles that are no longer ACTIVE'
+    ]);
+  });
+});
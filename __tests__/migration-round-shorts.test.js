@@ -0,0 +1,106 @@
+// Migration runner + schema verification coverage for round short positions
+// (migration 024).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_024 = '024_create_apocalypse_short_positions.sql';
+const MIGRATION_025 = '025_leveraged_round_positions.sql';
+
+// Back to the pre-024 state: no short table and the Core 4 ledger type
+// (VARCHAR(4), BUY/SELL only). 025's tracking row goes too — it re-extends
+// the ledger type after 024.
+async function dropRoundShorts() {
+  await db.query('DROP TABLE IF EXISTS apocalypse_short_positions');
+  await db.query('ALTER TABLE apocalypse_transactions DROP CONSTRAINT apocalypse_transactions_type_check');
+  await db.query('ALTER TABLE apocalypse_transactions ALTER COLUMN type TYPE VARCHAR(4)');
+  await db.query(`ALTER TABLE apocalypse_transactions ADD CHECK (type IN ('BUY', 'SELL'))`);
+  await db.query('DELETE FROM schema_migrations WHERE migration = ANY($1)', [[MIGRATION_024, MIGRATION_025]]);
+}
+
+async function insertShort(cycleId, { quantity = 1, collateral = 15 } = {}) {
+  return db.query(
+    `INSERT INTO apocalypse_short_positions (participant_id, cycle_id, user_id, coin_id, quantity, collateral)
+     SELECT participant_id, cycle_id, user_id, 1, $2, $3
+     FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = 1`,
+    [cycleId, quantity, collateral]
+  );
+}
+
+describe('tracked production migration 024 (round short positions)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 024 to an existing database, widening the ledger type for SHORT and COVER', async () => {
+    await dropRoundShorts();
+    const before = await verifyGameSchema();
+    expect(before.problems).toContain('table public.apocalypse_short_positions does not exist');
+    expect(before.problems).toContain("missing CHECK constraint on apocalypse_transactions: type IN ('BUY', 'SELL', 'SHORT', 'COVER')");
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_024, MIGRATION_025]);
+
+    const { rows: [typeColumn] } = await db.query(
+      `SELECT character_maximum_length FROM information_schema.columns
+       WHERE table_name = 'apocalypse_transactions' AND column_name = 'type'`
+    );
+    expect(typeColumn.character_maximum_length).toBe(16); // 025 widens it again for LIQUIDATION
+    const { rows } = await db.query('SELECT count(*)::int AS n FROM apocalypse_short_positions');
+    expect(rows[0].n).toBe(0);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 024 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE apocalypse_short_positions table fails the migration loudly', async () => {
+    await dropRoundShorts();
+    await db.query('CREATE TABLE apocalypse_short_positions (short_id SERIAL PRIMARY KEY, collateral INTEGER)');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_024]
+    );
+    expect(tracking[0].n).toBe(0);
+    // The failed batch rolled back: the ledger type was not widened either.
+    const { rows: [typeColumn] } = await db.query(
+      `SELECT character_maximum_length FROM information_schema.columns
+       WHERE table_name = 'apocalypse_transactions' AND column_name = 'type'`
+    );
+    expect(typeColumn.character_maximum_length).toBe(4);
+  });
+
+  test('an open short always holds collateral and a closed one none', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+
+    await expect(insertShort(cycle.cycle_id, { quantity: 1, collateral: 0 })).rejects.toThrow(/check constraint/);
+    await expect(insertShort(cycle.cycle_id, { quantity: 0, collateral: 15 })).rejects.toThrow(/check constraint/);
+    await expect(insertShort(cycle.cycle_id)).resolves.toMatchObject({ rowCount: 1 });
+  });
+
+  test('verification flags a short left open on a settled cycle', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+    await reconcileCycle({ now: new Date(new Date(cycle.end_time).getTime() + 1000) });
+    await insertShort(cycle.cycle_id);
+
+    const verification = await verifyGameSchema();
+    expect(verification.ok).toBe(false);
+    expect(verification.problems).toEqual([
+      'INVARIANT VIOLATION: 1 open short positions on settled cycles'
+    ]);
+  });
+});
@@ -0,0 +1,80 @@
+// Migration runner + schema verification coverage for market sectors
+// (migration 019).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_019 = '019_market_sectors.sql';
+// The market news feed references market_sectors (sector events), so the
+// pre-019 simulation removes it too and the runner re-applies both.
+const MIGRATION_021 = '021_create_market_events.sql';
+
+async function dropSectors() {
+  await db.query('DROP TABLE IF EXISTS market_events');
+  await db.query('DROP TABLE IF EXISTS market_sector_active_events');
+  await db.query('ALTER TABLE coins DROP COLUMN IF EXISTS sector');
+  await db.query('DROP TABLE IF EXISTS market_sectors');
+  await db.query('DELETE FROM schema_migrations WHERE migration = ANY($1)', [[MIGRATION_019, MIGRATION_021]]);
+}
+
+describe('tracked production migration 019 (market sectors)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 019 to an existing database, putting every coin in a neutral GENERAL', async () => {
+    await dropSectors();
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_019, MIGRATION_021]);
+
+    const { rows: sectors } = await db.query(
+      'SELECT sector, market_correlation, shock_volatility, event_probability FROM market_sectors'
+    );
+    expect(sectors).toEqual([
+      { sector: 'GENERAL', market_correlation: 0, shock_volatility: 0, event_probability: 0 }
+    ]);
+    const { rows } = await db.query('SELECT DISTINCT sector FROM coins');
+    expect(rows).toEqual([{ sector: 'GENERAL' }]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 019 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE market_sectors table fails the migration loudly', async () => {
+    await dropSectors();
+    await db.query('CREATE TABLE market_sectors (sector TEXT PRIMARY KEY)');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_019]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('the database rejects out-of-range parameters and unknown sectors', async () => {
+    await expect(db.query('UPDATE market_sectors SET shock_volatility = 0.5')).rejects.toThrow();
+    await expect(db.query(`INSERT INTO market_sectors (sector) VALUES ('lower')`)).rejects.toThrow();
+    await expect(db.query(`UPDATE coins SET sector = 'MISSING' WHERE coin_id = 1`)).rejects.toThrow();
+  });
+
+  test('verification flags a missing coins.sector foreign key', async () => {
+    await db.query('ALTER TABLE coins DROP CONSTRAINT coins_sector_fkey');
+
+    const verification = await verifyGameSchema();
+    expect(verification.ok).toBe(false);
+    expect(verification.problems).toEqual(['missing FOREIGN KEY on coins -> market_sectors: FOREIGN KEY (sector)']);
+  });
+});
@@ -0,0 +1,84 @@
+// Migration runner + schema verification coverage for distress-triggered
+// stop-losses (migration 028).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_028 = '028_stop_loss_distress_trigger.sql';
+
+async function dropDistressTrigger() {
+  await db.query('ALTER TABLE apocalypse_orders DROP COLUMN IF EXISTS distress_level');
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_028]);
+}
+
+async function insertOrder(cycleId, { type = 'STOP_LOSS', distressLevel = 1 } = {}) {
+  return db.query(
+    `INSERT INTO apocalypse_orders
+       (participant_id, cycle_id, user_id, coin_id, order_type, quantity, trigger_price, distress_level)
+     SELECT participant_id, cycle_id, user_id, 1, $2, 1, 5, $3
+     FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = 1`,
+    [cycleId, type, distressLevel]
+  );
+}
+
+describe('tracked production migration 028 (distress-triggered stop-losses)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 028 to an existing database, leaving every existing order on its price trigger', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+    await dropDistressTrigger();
+    await db.query(
+      `INSERT INTO apocalypse_orders (participant_id, cycle_id, user_id, coin_id, order_type, quantity, trigger_price)
+       SELECT participant_id, cycle_id, user_id, 1, 'STOP_LOSS', 1, 5
+       FROM apocalypse_participants WHERE cycle_id = $1 AND user_id = 1`,
+      [cycle.cycle_id]
+    );
+    expect((await verifyGameSchema()).problems).toContain('missing column: apocalypse_orders.distress_level');
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_028]);
+
+    const { rows } = await db.query('SELECT distress_level FROM apocalypse_orders');
+    expect(rows).toEqual([{ distress_level: null }]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 028 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE distress_level column fails the migration loudly', async () => {
+    await dropDistressTrigger();
+    await db.query('ALTER TABLE apocalypse_orders ADD COLUMN distress_level TEXT');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_028]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('only a STOP_LOSS carries a distress level, from 1 to 3', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const cycle = await reconcileCycle({ now: new Date('2026-08-20T10:00:00.000Z') });
+
+    await expect(insertOrder(cycle.cycle_id, { type: 'LIMIT_BUY' })).rejects.toThrow(/check constraint/);
+    await expect(insertOrder(cycle.cycle_id, { distressLevel: 0 })).rejects.toThrow(/check constraint/);
+    await expect(insertOrder(cycle.cycle_id, { distressLevel: 4 })).rejects.toThrow(/check constraint/);
+    await expect(insertOrder(cycle.cycle_id, { distressLevel: 3 })).resolves.toMatchObject({ rowCount: 1 });
+    await expect(insertOrder(cycle.cycle_id, { type: 'LIMIT_BUY', distressLevel: null })).resolves.toMatchObject({ rowCount: 1 });
+  });
+});
@@ -0,0 +1,72 @@
+// Migration runner + schema verification coverage for per-participant
+// wealth curves (migration 027).
+//
+// Runs the REAL migration runner (db/migrate.js) and the REAL verification
+// (db/verify-game-schema.js) against the disposable test database. The guard
+// refuses any non-test target.
+
+const db = require('../db/connection');
+const { runMigrations } = require('../db/migrate');
+const { verifyGameSchema } = require('../db/verify-game-schema');
+const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
+
+const MIGRATION_027 = '027_create_apocalypse_wealth_snapshots.sql';
+
+async function dropWealthSnapshots() {
+  await db.query('DROP TABLE IF EXISTS apocalypse_wealth_snapshots');
+  await db.query('DELETE FROM schema_migrations WHERE migration = $1', [MIGRATION_027]);
+}
+
+describe('tracked production migration 027 (wealth curves)', () => {
+  beforeEach(async () => {
+    assertDisposableTestDatabase();
+    await runMigrations({ log: () => {} }); // tracked, fully migrated baseline
+  });
+
+  test('applies 027 to an existing database with no curves', async () => {
+    await dropWealthSnapshots();
+    expect((await verifyGameSchema()).problems).toContain('table public.apocalypse_wealth_snapshots does not exist');
+
+    const result = await runMigrations({ log: () => {} });
+    expect(result.applied).toEqual([MIGRATION_027]);
+
+    const { rows } = await db.query('SELECT count(*)::int AS n FROM apocalypse_wealth_snapshots');
+    expect(rows[0].n).toBe(0);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('re-running the runner is a no-op once 027 is recorded', async () => {
+    const again = await runMigrations({ log: () => {} });
+    expect(again.applied).toEqual([]);
+    expect((await verifyGameSchema()).problems).toEqual([]);
+  });
+
+  test('a pre-existing INCOMPATIBLE apocalypse_wealth_snapshots table fails the migration loudly', async () => {
+    await dropWealthSnapshots();
+    await db.query('CREATE TABLE apocalypse_wealth_snapshots (snapshot_id SERIAL PRIMARY KEY, wealth TEXT)');
+
+    await expect(runMigrations({ log: () => {} })).rejects.toThrow(/INCOMPATIBLE/);
+    const { rows: tracking } = await db.query(
+      'SELECT count(*)::int AS n FROM schema_migrations WHERE migration = $1',
+      [MIGRATION_027]
+    );
+    expect(tracking[0].n).toBe(0);
+  });
+
+  test('a participant has at most one snapshot per batch time', async () => {
+    const { reconcileCycle } = require('../game/gameCycleService');
+    const { joinRound } = require('../game/gameRoundService');
+    await reconcileCycle({ now: new Date(), durationMs: 7 * 24 * 60 * 60 * 1000 });
+    const participant = await joinRound({ userId: 1, now: new Date() });
+    const at = new Date('2026-08-20T10:00:05.000Z');
+    await db.query(
+      'INSERT INTO apocalypse_wealth_snapshots (participant_id, wealth, recorded_at) VALUES ($1, 100, $2)',
+      [participant.participantId, at]
+    );
+
+    await expect(db.query(
+      'INSERT INTO apocalypse_wealth_snapshots (participant_id, wealth, recorded_at) VALUES ($1, 90, $2)',
+      [participant.participantId, at]
+    )).rejects.toThrow(/apocalypse_wealth_snapshots_batch/);
+  });
+});
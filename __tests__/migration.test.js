@@ -14,17 +14,29 @@ const { assertDisposableTestDatabase } = require('./helpers/testDatabaseGuard');
 const MIGRATION_007 = '007_create_apocalypse_cycles.sql';
 
 async function dropGameSchema() {
-  // Core 4 round-state tables, Core 5 bot tables and the Core 6 results
-  // table depend on apocalypse_cycles/apocalypse_participants (FK); dropping
-  // the cycles table CASCADE would silently strip their FK constraints, so
-  // the pre-game-schema simulation must remove them explicitly first.
+  // Core 4 round-state tables (resting orders and wealth curves included),
+  // Core 5 bot tables, the Core 6 results table and the market simulator state tables (sector
+  // events, the news feed and batch timings included) depend on apocalypse_cycles /
+  // apocalypse_participants (FK); dropping the cycles table CASCADE would
+  // silently strip their FK constraints, so the pre-game-schema simulation
+  // must remove them explicitly first.
+  await db.query('DROP TABLE IF EXISTS market_batch_timings CASCADE');
+  await db.query('DROP TABLE IF EXISTS market_events CASCADE');
+  await db.query('DROP TABLE IF EXISTS market_sector_active_events CASCADE');
+  await db.query('DROP TABLE IF EXISTS market_coin_active_events CASCADE');
+  await db.query('DROP TABLE IF EXISTS market_coin_profiles CASCADE');
+  await db.query('DROP TABLE IF EXISTS market_state CASCADE');
   await db.query('DROP TABLE IF EXISTS apocalypse_results CASCADE');
   await db.query('DROP FUNCTION IF EXISTS apocalypse_results_immutable()');
   await db.query('DROP TABLE IF EXISTS apocalypse_bot_ticks CASCADE');
   await db.query('DROP TABLE IF EXISTS apocalypse_bots CASCADE');
+  await db.query('DROP TABLE IF EXISTS apocalypse_wealth_snapshots CASCADE');
+  await db.query('DROP TABLE IF EXISTS apocalypse_short_positions CASCADE');
+  await db.query('DROP TABLE IF EXISTS apocalypse_orders CASCADE');
   await db.query('DROP TABLE IF EXISTS apocalypse_transactions CASCADE');
   await db.query('DROP TABLE IF EXISTS apocalypse_holdings CASCADE');
   await db.query('DROP TABLE IF EXISTS apocalypse_participants CASCADE');
+  await db.query('DROP TABLE IF EXISTS coin_collapse_contagion CASCADE');
   await db.query('DROP TABLE IF EXISTS coin_collapse_schedule CASCADE');
   await db.query('DROP TABLE IF EXISTS apocalypse_cycles CASCADE');
   await db.query('ALTER TABLE coins DROP COLUMN IF EXISTS cycle_baseline_price');
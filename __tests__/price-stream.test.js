@@ -0,0 +1,590 @@
+// Live price stream (game/priceStream.js): GET /api/market/stream over SSE
+// and WebSocket.
+//
+// Proves: a connection starts from a snapshot and then receives every
+// committed batch — only its coins' ticks, never a rolled-back batch — and
+// every trade's and collapse's price move, with a tick nobody announced read
+// back in order ahead of the next batch; a resume token backfills every
+// missed tick from price_history (trade market impact included) before live
+// ticks, with nothing sent twice across the switch, and falls back to a
+// snapshot when the gap is too large; WebSocket clients change their coins
+// in flight; bad requests are refused up front; a client that resets
+// mid-handshake cannot take the server down, nor one that stops reading
+// fill its memory; and shutdown ends every open stream.
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const app = require('../app');
+const db = require('../db/connection');
+const { reconcileCycle } = require('../game/gameCycleService');
+const gameRoundService = require('../game/gameRoundService');
+const { MarketSimulator } = require('../models/market-simulator');
+const priceStream = require('../game/priceStream');
+const { WebSocketConnection } = require('../utils/webSocket');
+
+jest.setTimeout(30000);
+
+const CYCLE_START = new Date('2026-09-10T10:00:00.000Z');
+const INTERVAL_MS = 30000;
+
+function batchAt(batch) {
+  return new Date(CYCLE_START.getTime() + batch * INTERVAL_MS + 1000);
+}
+
+function newSimulator() {
+  const simulator = new MarketSimulator();
+  simulator.priceUpdateInterval = INTERVAL_MS;
+  return simulator;
+}
+
+// Messages in arrival order; next() waits for the next unread one.
+function messageQueue() {
+  const messages = [];
+  const waiters = [];
+  let read = 0;
+  return {
+    messages,
+    push(message) {
+      messages.push(message);
+      while (waiters.length > 0 && read < messages.length) waiters.shift()(messages[read++]);
+    },
+    next() {
+      if (read < messages.length) return Promise.resolve(messages[read++]);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('timed out waiting for a stream message')), 5000);
+        waiters.push((message) => {
+          clearTimeout(timer);
+          resolve(message);
+        });
+      });
+    },
+    unread: () => messages.length - read
+  };
+}
+
+let server;
+let port;
+
+beforeAll(async () => {
+  server = http.createServer(app);
+  server.on('upgrade', priceStream.handleStreamUpgrade);
+  await new Promise((resolve) => server.listen(0, resolve));
+  port = server.address().port;
+});
+
+afterEach(() => {
+  priceStream.closeAllPriceStreams();
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+let cycle;
+
+beforeEach(async () => {
+  cycle = await reconcileCycle({ now: CYCLE_START, generateSeed: () => 'stream-seed' });
+});
+
+function openSse(query = '', headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port, path: `/api/market/stream${query}`, headers }, (res) => {
+      const queue = messageQueue();
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const fields = {};
+          for (const line of block.split('\n')) {
+            if (line.startsWith(':')) continue;
+            const at = line.indexOf(': ');
+            fields[line.slice(0, at)] = line.slice(at + 2);
+          }
+          if (fields.event) {
+            queue.push({ id: fields.id, event: fields.event, ...JSON.parse(fields.data) });
+          }
+        }
+      });
+      const ended = new Promise((done) => res.on('end', done));
+      resolve({ res, queue, ended, body: () => buffer, close: () => req.destroy() });
+    });
+    req.on('error', reject);
+  });
+}
+
+async function waitForSubscriptions(count) {
+  for (let i = 0; i < 100 && priceStream.openSubscriptionCount() !== count; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  expect(priceStream.openSubscriptionCount()).toBe(count);
+}
+
+function maskedFrame(opcode, text) {
+  const payload = Buffer.from(text, 'utf8');
+  const mask = crypto.randomBytes(4);
+  const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+  const header = payload.length < 126
+    ? Buffer.from([0x80 | opcode, 0x80 | payload.length])
+    : Buffer.from([0x80 | opcode, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+  return Buffer.concat([header, mask, masked]);
+}
+
+function openWs(query = '', headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      path: `/api/market/stream${query}`,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+        ...headers
+      }
+    });
+    req.on('response', (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    });
+    req.on('upgrade', (res, socket, head) => {
+      const queue = messageQueue();
+      const closes = [];
+      let buffer = head;
+      const read = () => {
+        while (buffer.length >= 2) {
+          let length = buffer[1] & 0x7f;
+          let offset = 2;
+          if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+          } else if (length === 127) {
+            if (buffer.length < 10) return;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+          }
+          if (buffer.length < offset + length) return;
+          const opcode = buffer[0] & 0x0f;
+          const payload = buffer.subarray(offset, offset + length);
+          buffer = buffer.subarray(offset + length);
+          if (opcode === 0x1) queue.push(JSON.parse(payload.toString('utf8')));
+          if (opcode === 0x8) closes.push(payload.readUInt16BE(0));
+        }
+      };
+      socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        read();
+      });
+      read();
+      const ended = new Promise((done) => socket.on('close', done));
+      resolve({
+        status: res.statusCode,
+        accept: res.headers['sec-websocket-accept'],
+        queue,
+        closes,
+        ended,
+        send: (message) => socket.write(maskedFrame(0x1, typeof message === 'string' ? message : JSON.stringify(message))),
+        close: () => socket.destroy()
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function liveCoins() {
+  const { rows } = await db.query('SELECT coin_id, current_price FROM coins WHERE NOT retired ORDER BY coin_id');
+  return rows;
+}
+
+describe('SSE', () => {
+  test('starts from a snapshot, then streams each committed batch', async () => {
+    const sse = await openSse();
+    expect(sse.res.statusCode).toBe(200);
+    expect(sse.res.headers['content-type']).toMatch(/text\/event-stream/);
+
+    const snapshot = await sse.queue.next();
+    const coins = await liveCoins();
+    expect(snapshot).toEqual(expect.objectContaining({ event: 'snapshot', reason: 'connect', id: snapshot.token }));
+    expect(snapshot.coins.map((c) => [c.coinId, c.price])).toEqual(
+      coins.map((c) => [c.coin_id, parseFloat(c.current_price)])
+    );
+
+    await newSimulator().updateAllPrices({ now: batchAt(0) });
+    const batch = await sse.queue.next();
+    const after = await liveCoins();
+    expect(batch).toEqual(expect.objectContaining({
+      event: 'batch',
+      cycleId: cycle.apocalypse_id,
+      batchIndex: 0,
+      id: batch.token
+    }));
+    expect(batch.token).not.toBe(snapshot.token);
+    expect(batch.ticks.map((t) => [t.coinId, t.price])).toEqual(
+      after.map((c) => [c.coin_id, parseFloat(c.current_price)])
+    );
+    const { rows } = await db.query(
+      'SELECT price_history_id FROM price_history ORDER BY price_history_id DESC LIMIT $1',
+      [after.length]
+    );
+    expect(batch.ticks.map((t) => t.tickId).sort((a, b) => a - b)).toEqual(
+      rows.map((r) => r.price_history_id).sort((a, b) => a - b)
+    );
+  });
+
+  test('a per-coin subscription only sees its coins', async () => {
+    const sse = await openSse('?coins=5,1');
+    const snapshot = await sse.queue.next();
+    expect(snapshot.coins.map((c) => c.coinId)).toEqual([1, 5]);
+
+    await newSimulator().updateAllPrices({ now: batchAt(0) });
+    const batch = await sse.queue.next();
+    expect(batch.ticks.map((t) => t.coinId)).toEqual([1, 5]);
+  });
+
+  test('a rolled-back batch is never streamed', async () => {
+    const sse = await openSse();
+    await sse.queue.next();
+
+    const spy = jest.spyOn(gameRoundService, 'reconcileActivePeaks').mockRejectedValueOnce(new Error('peaks failed'));
+    const simulator = newSimulator();
+    await expect(simulator.updateAllPrices({ now: batchAt(0) })).resolves.toBeNull();
+    spy.mockRestore();
+
+    await expect(simulator.updateAllPrices({ now: batchAt(1) })).resolves.toBe(1);
+    const batch = await sse.queue.next();
+    expect(batch.batchIndex).toBe(1);
+    expect(sse.queue.unread()).toBe(0);
+  });
+
+  test('a resume token backfills every missed tick, then goes live without repeats', async () => {
+    const first = await openSse('?coins=5');
+    const { token } = await first.queue.next();
+    first.close();
+    await waitForSubscriptions(0);
+
+    // Missed while disconnected: a batch and a trade's market impact.
+    const simulator = newSimulator();
+    await simulator.updateAllPrices({ now: batchAt(0) });
+    await gameRoundService.buyRoundTrade({
+      userId: 1,
+      apocalypseId: cycle.apocalypse_id,
+      coinId: 5,
+      quantity: 20,
+      now: batchAt(0)
+    });
+    const { rows: missed } = await db.query(
+      `SELECT price_history_id, price FROM price_history
+       WHERE coin_id = 5 AND price_history_id > $1 ORDER BY price_history_id`,
+      [priceStream.decodeResumeToken(token)]
+    );
+    expect(missed.length).toBeGreaterThanOrEqual(2);
+
+    // EventSource sends its last id back as Last-Event-ID.
+    const second = await openSse('?coins=5', { 'Last-Event-ID': token });
+    const backfill = await second.queue.next();
+    expect(backfill.event).toBe('backfill');
+    expect(backfill.ticks.map((t) => [t.tickId, t.coinId, t.price])).toEqual(
+      missed.map((r) => [r.price_history_id, 5, parseFloat(r.price)])
+    );
+
+    await simulator.updateAllPrices({ now: batchAt(1) });
+    const live = await second.queue.next();
+    expect(live.event).toBe('batch');
+    expect(live.ticks).toHaveLength(1);
+    expect(live.ticks[0].tickId).toBeGreaterThan(backfill.ticks[backfill.ticks.length - 1].tickId);
+  });
+
+  test("streams a trade's market impact live, and a collapse's", async () => {
+    const sse = await openSse('?coins=5');
+    await sse.queue.next();
+
+    const trade = await gameRoundService.buyRoundTrade({
+      userId: 1,
+      apocalypseId: cycle.apocalypse_id,
+      coinId: 5,
+      quantity: 20,
+      now: batchAt(0)
+    });
+    const ticks = await sse.queue.next();
+    expect(ticks).toEqual(expect.objectContaining({ event: 'ticks', id: ticks.token }));
+    expect(ticks.ticks.map((t) => [t.coinId, t.price])).toEqual([[5, trade.transaction.priceAfter]]);
+    expect(ticks.token).toBe(priceStream.encodeResumeToken(ticks.ticks[0].tickId));
+
+    await db.query(
+      `UPDATE coin_collapse_schedule SET scheduled_at = $2 WHERE cycle_id = $1 AND coin_id = 5`,
+      [cycle.cycle_id, batchAt(1)]
+    );
+    await reconcileCycle({ now: batchAt(1) });
+    const collapse = await sse.queue.next();
+    expect(collapse.event).toBe('ticks');
+    expect(collapse.ticks.map((t) => [t.coinId, t.price])).toEqual([[5, 0]]);
+  });
+
+  test('ticks committed without an announcement are read back ahead of the next batch', async () => {
+    const sse = await openSse();
+    await sse.queue.next();
+
+    // A write whose announcement never arrived (another process's, say).
+    const { rows: [unannounced] } = await db.query(
+      'INSERT INTO price_history (coin_id, price) VALUES (1, 1.23) RETURNING price_history_id'
+    );
+    await newSimulator().updateAllPrices({ now: batchAt(0) });
+
+    const gap = await sse.queue.next();
+    expect(gap.event).toBe('ticks');
+    expect(gap.ticks.map((t) => [t.tickId, t.coinId, t.price])).toEqual([[unannounced.price_history_id, 1, 1.23]]);
+    const batch = await sse.queue.next();
+    expect(batch).toEqual(expect.objectContaining({ event: 'batch', batchIndex: 0 }));
+    expect(batch.ticks[0].tickId).toBe(unannounced.price_history_id + 1);
+  });
+
+  test('a resume with nothing missed sends an empty backfill', async () => {
+    const first = await openSse();
+    const { token } = await first.queue.next();
+    const second = await openSse(`?resume=${token}`);
+    expect(await second.queue.next()).toEqual(expect.objectContaining({ event: 'backfill', token, ticks: [] }));
+  });
+
+  test('a gap too large to replay starts again from a snapshot', async () => {
+    const sse = await openSse();
+    const { token } = await sse.queue.next();
+    await db.query(
+      `INSERT INTO price_history (coin_id, price)
+       SELECT 1, 10 + n FROM generate_series(1, $1) AS n`,
+      [priceStream.MAX_BACKFILL_TICKS + 1]
+    );
+    const again = await openSse(`?resume=${token}`);
+    expect(await again.queue.next()).toEqual(expect.objectContaining({
+      event: 'snapshot',
+      reason: 'resume-gap-too-large'
+    }));
+  });
+
+  test.each([
+    ['?coins=abc', /Invalid coins/],
+    ['?coins=1,999', /Unknown coin id\(s\): 999/],
+    ['?resume=not-a-token', /Invalid resume token/]
+  ])('refuses %s', async (query, message) => {
+    const sse = await openSse(query);
+    expect(sse.res.statusCode).toBe(400);
+    await sse.ended;
+    expect(JSON.parse(sse.body())).toEqual({ status: 'error', message: expect.stringMatching(message) });
+    expect(priceStream.openSubscriptionCount()).toBe(0);
+  });
+});
+
+describe('batches published while a backfill is read', () => {
+  test('are held, then delivered without the ticks the backfill already sent', async () => {
+    const { rows: [head] } = await db.query('SELECT COALESCE(MAX(price_history_id), 0) AS id FROM price_history');
+    const since = Number(head.id);
+    await newSimulator().updateAllPrices({ now: batchAt(0) });
+    const { rows: committed } = await db.query(
+      `SELECT ph.price_history_id, ph.coin_id, c.symbol, ph.price, ph.created_at
+       FROM price_history ph JOIN coins c USING (coin_id)
+       WHERE ph.price_history_id > $1 ORDER BY ph.price_history_id`,
+      [since]
+    );
+    const ticks = committed.map((r) => ({
+      tickId: r.price_history_id,
+      coinId: r.coin_id,
+      symbol: r.symbol,
+      price: parseFloat(r.price),
+      at: new Date(r.created_at).toISOString()
+    }));
+    const lastId = ticks[ticks.length - 1].tickId;
+
+    const sent = [];
+    const opening = priceStream.openPriceStream({ since, send: (message) => sent.push(message) });
+    // Both land before the backfill query returns: the first is the batch
+    // the backfill reads anyway, the second a newer one.
+    priceStream.publishBatch({ cycleId: cycle.apocalypse_id, batchIndex: 0, ticks });
+    priceStream.publishBatch({
+      cycleId: cycle.apocalypse_id,
+      batchIndex: 1,
+      ticks: [{ ...ticks[0], tickId: lastId + 1 }]
+    });
+    const stream = await opening;
+
+    expect(sent.map((m) => m.type)).toEqual(['backfill', 'batch']);
+    expect(sent[0].ticks).toEqual(ticks);
+    expect(sent[1]).toEqual(expect.objectContaining({
+      batchIndex: 1,
+      token: priceStream.encodeResumeToken(lastId + 1)
+    }));
+    expect(sent[1].ticks.map((t) => t.tickId)).toEqual([lastId + 1]);
+    stream.close();
+  });
+});
+
+describe('WebSocket', () => {
+  test('completes the handshake, streams batches and changes coins in flight', async () => {
+    const key = crypto.randomBytes(16).toString('base64');
+    const ws = await openWs('?coins=5', { 'Sec-WebSocket-Key': key });
+    expect(ws.status).toBe(101);
+    expect(ws.accept).toBe(
+      crypto.createHash('sha1').update(`${key}258EAFA5-E914-47DA-95CA-C5AB0DC85B11`).digest('base64')
+    );
+
+    const snapshot = await ws.queue.next();
+    expect(snapshot).toEqual(expect.objectContaining({ type: 'snapshot', reason: 'connect' }));
+    expect(snapshot.coins.map((c) => c.coinId)).toEqual([5]);
+
+    ws.send({ type: 'subscribe', coins: [1] });
+    expect(await ws.queue.next()).toEqual({ type: 'subscribed', coins: [1, 5] });
+
+    const simulator = newSimulator();
+    await simulator.updateAllPrices({ now: batchAt(0) });
+    const batch = await ws.queue.next();
+    expect(batch).toEqual(expect.objectContaining({ type: 'batch', cycleId: cycle.apocalypse_id, batchIndex: 0 }));
+    expect(batch.ticks.map((t) => t.coinId)).toEqual([1, 5]);
+
+    ws.send({ type: 'unsubscribe', coins: [5] });
+    expect(await ws.queue.next()).toEqual({ type: 'subscribed', coins: [1] });
+    ws.send({ type: 'subscribe' });
+    expect(await ws.queue.next()).toEqual({ type: 'subscribed', coins: null });
+
+    await simulator.updateAllPrices({ now: batchAt(1) });
+    const all = await ws.queue.next();
+    expect(all.ticks).toHaveLength((await liveCoins()).length);
+  });
+
+  test('a resume token backfills over WebSocket too', async () => {
+    const first = await openWs();
+    const { token } = await first.queue.next();
+    first.close();
+    await waitForSubscriptions(0);
+
+    await newSimulator().updateAllPrices({ now: batchAt(0) });
+    const ws = await openWs(`?resume=${token}`);
+    const backfill = await ws.queue.next();
+    expect(backfill.type).toBe('backfill');
+    expect(backfill.ticks).toHaveLength((await liveCoins()).length);
+  });
+
+  test('rejects bad commands without closing', async () => {
+    const ws = await openWs();
+    await ws.queue.next();
+
+    ws.send('not json');
+    expect(await ws.queue.next()).toEqual({ type: 'error', message: expect.stringMatching(/Expected JSON/) });
+    ws.send({ type: 'shout' });
+    expect(await ws.queue.next()).toEqual({ type: 'error', message: expect.stringMatching(/Invalid message type/) });
+    ws.send({ type: 'subscribe', coins: [999] });
+    expect(await ws.queue.next()).toEqual({ type: 'error', message: 'Unknown coin id(s): 999' });
+    ws.send({ type: 'unsubscribe' });
+    expect(await ws.queue.next()).toEqual({ type: 'error', message: expect.stringMatching(/unsubscribe needs/) });
+    expect(priceStream.openSubscriptionCount()).toBe(1);
+  });
+
+  test('refuses a bad handshake or query with 400, another path with 404', async () => {
+    await expect(openWs('', { 'Sec-WebSocket-Version': '8' })).resolves.toEqual({
+      status: 400,
+      body: { status: 'error', message: expect.stringMatching(/Invalid WebSocket handshake/) }
+    });
+    await expect(openWs('?coins=0')).resolves.toEqual({
+      status: 400,
+      body: { status: 'error', message: expect.stringMatching(/Invalid coins/) }
+    });
+    const other = await new Promise((resolve, reject) => {
+      const req = http.request({
+        port,
+        path: '/api/market/elsewhere',
+        headers: { Connection: 'Upgrade', Upgrade: 'websocket' }
+      });
+      req.on('response', (res) => resolve(res.statusCode));
+      req.on('error', reject);
+      req.end();
+    });
+    expect(other).toBe(404);
+    expect(priceStream.openSubscriptionCount()).toBe(0);
+  });
+
+  test('a client that resets mid-handshake is dropped without taking the server down', async () => {
+    // Hold the ?coins= lookup until the client has gone, so the reset lands
+    // while the handshake is still waiting on the database.
+    let release;
+    const held = new Promise((resolve) => { release = resolve; });
+    let reached;
+    const lookup = new Promise((resolve) => { reached = resolve; });
+    const query = db.query.bind(db);
+    const spy = jest.spyOn(db, 'query').mockImplementation(async (...args) => {
+      if (/SELECT coin_id FROM coins WHERE coin_id = ANY/.test(args[0])) {
+        reached();
+        await held;
+      }
+      return query(...args);
+    });
+
+    try {
+      const socket = net.connect(port);
+      await new Promise((resolve) => socket.on('connect', resolve));
+      socket.write(
+        'GET /api/market/stream?coins=1 HTTP/1.1\r\n' +
+        'Host: localhost\r\n' +
+        'Connection: Upgrade\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Sec-WebSocket-Version: 13\r\n' +
+        `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}\r\n\r\n`
+      );
+      await lookup;
+      socket.resetAndDestroy();
+      await new Promise((resolve) => socket.on('close', resolve));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    } finally {
+      release();
+      spy.mockRestore();
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(priceStream.openSubscriptionCount()).toBe(0);
+    const ws = await openWs();
+    expect(ws.status).toBe(101);
+    expect(await ws.queue.next()).toEqual(expect.objectContaining({ type: 'snapshot' }));
+  });
+});
+
+describe('a WebSocket peer that stops reading', () => {
+  test('is dropped once too much is buffered for it', async () => {
+    const peers = net.createServer();
+    await new Promise((resolve) => peers.listen(0, resolve));
+    const accepted = new Promise((resolve) => peers.once('connection', resolve));
+    const client = net.connect(peers.address().port);
+    client.pause();
+    const connection = new WebSocketConnection(await accepted, { maxBufferedBytes: 64 * 1024 });
+    const closed = new Promise((resolve) => connection.on('close', resolve));
+
+    const message = 'x'.repeat(16 * 1024);
+    let sent = 0;
+    while (connection.send(message)) sent++;
+    expect(sent).toBeGreaterThan(0);
+    expect(connection.closed).toBe(true);
+    expect(connection.socket.destroyed).toBe(true);
+    await expect(closed).resolves.toBe(1001);
+    expect(connection.send(message)).toBe(false);
+
+    client.destroy();
+    await new Promise((resolve) => peers.close(resolve));
+  });
+});
+
+describe('shutdown', () => {
+  test('closeAllPriceStreams ends every open stream', async () => {
+    const sse = await openSse();
+    await sse.queue.next();
+    const ws = await openWs();
+    await ws.queue.next();
+    expect(priceStream.openSubscriptionCount()).toBe(2);
+
+    priceStream.closeAllPriceStreams();
+    await Promise.all([sse.ended, ws.ended]);
+    expect(ws.closes).toEqual([1001]);
+    expect(priceStream.openSubscriptionCount()).toBe(0);
+  });
+});
@@ -13,8 +13,8 @@ const PROJECT_ROOT = path.resolve(__dirname, '..');
 jest.setTimeout(30000);
 
 describe('Core 1: server lifecycle', () => {
-  afterEach(() => {
-    gameCycleWorker.stop();
+  afterEach(async () => {
+    await gameCycleWorker.stop();
   });
 
   test('importing server.js starts no listener, worker, or timer', () => {
@@ -35,13 +35,19 @@ describe('Core 1: server lifecycle', () => {
     const server = await serverModule.startServer(0);
     expect(server.listening).toBe(true);
 
-    // Simulate a running production worker; shutdown must stop it.
+    // Simulate a running production worker; shutdown must stop it, and must
+    // let the maintenance pass start() kicked off finish before the pool ends.
     gameCycleWorker.start();
     expect(gameCycleWorker.isRunning()).toBe(true);
+    let maintenanceSettled = false;
+    gameCycleWorker.lastMaintenance.finally(() => { maintenanceSettled = true; });
 
     // Observe pool draining without actually ending the suite-shared pool
     // (jest.setup.js reseeds via the same pool before later tests).
-    const endSpy = jest.spyOn(db, 'end').mockResolvedValue(undefined);
+    let maintenanceSettledAtEnd = null;
+    const endSpy = jest.spyOn(db, 'end').mockImplementation(async () => {
+      maintenanceSettledAtEnd = maintenanceSettled;
+    });
 
     const first = serverModule.shutdown('SIGTERM');
     const second = serverModule.shutdown('SIGTERM');
@@ -51,6 +57,7 @@ describe('Core 1: server lifecycle', () => {
     expect(gameCycleWorker.isRunning()).toBe(false);
     expect(server.listening).toBe(false);
     expect(endSpy).toHaveBeenCalledTimes(1); // drained exactly once
+    expect(maintenanceSettledAtEnd).toBe(true);
   });
 
   test('spawned production server exits 0 on SIGTERM, repeated signals included', async () => {
@@ -107,6 +114,10 @@ describe('Core 1: server lifecycle', () => {
     expect(exit.code).toBe(0);
     expect(stdout).toContain('SIGTERM received');
     expect(stdout).toContain('Shutdown complete');
+    // The signal lands while the startup maintenance pass is still running;
+    // shutdown waits for it instead of ending the pool underneath it.
+    expect(stderr).not.toMatch(/after calling end on the pool/);
+    expect(stderr).not.toMatch(/maintenance failed/i);
   });
 
   test('spawned production server exits 0 on SIGINT', async () => {
@@ -21,6 +21,7 @@ const {
   processSellTransaction
 } = require('../models/transactions.model');
 const { selectCoinRawById } = require('../models/coins.model');
+const { DEFAULT_LIQUIDITY_DEPTH, quoteTrade } = require('../game/marketImpact');
 
 const COIN_ID = 1;
 
@@ -55,6 +56,13 @@ async function coinPrice() {
   return parseFloat(coin.current_price);
 }
 
+// What a trade of `quantity` at `price` settles for once the coin's
+// liquidity pool prices in its market impact, at the ledger's 2 decimals.
+function quotedTotal(side, quantity, price) {
+  const { total } = quoteTrade({ side, quantity, price, depth: DEFAULT_LIQUIDITY_DEPTH });
+  return Math.round(total * 100) / 100;
+}
+
 describe('legacy buy/sell atomicity (single-client transaction)', () => {
   test('exactly one acquired client owns BEGIN, validation, mutation, ledger, COMMIT and release', async () => {
     // Mechanism probe (Milestone 1 contract): the whole buy must run on ONE
@@ -82,12 +90,11 @@ describe('legacy buy/sell atomicity (single-client transaction)', () => {
     });
     const poolSpy = jest.spyOn(db, 'query');
 
-    const price = await coinPrice();
     let getClientCalls;
     let poolStatements;
     try {
-      await processBuyTransaction(1, COIN_ID, 5, price);
-      await expect(processBuyTransaction(1, COIN_ID, 5, price)).resolves.toBeTruthy();
+      await processBuyTransaction(1, COIN_ID, 5);
+      await expect(processBuyTransaction(1, COIN_ID, 5)).resolves.toBeTruthy();
     } finally {
       // Capture BEFORE mockRestore: restore resets the mock's call registry.
       getClientCalls = getClientSpy.mock.calls.length;
@@ -134,8 +141,7 @@ describe('legacy buy/sell atomicity (single-client transaction)', () => {
       EXECUTE FUNCTION test_sabotage_portfolio_write();
     `);
 
-    const price = await coinPrice();
-    await expect(processBuyTransaction(1, COIN_ID, 10, price))
+    await expect(processBuyTransaction(1, COIN_ID, 10))
       .rejects.toThrow('test-forced portfolio write failure');
 
     expect(await fundsOf(1)).toBe(1000); // debit rolled back
@@ -151,8 +157,8 @@ describe('legacy buy/sell atomicity (single-client transaction)', () => {
     );
 
     const results = await Promise.allSettled([
-      processSellTransaction(1, COIN_ID, 2, price),
-      processSellTransaction(1, COIN_ID, 2, price)
+      processSellTransaction(1, COIN_ID, 2),
+      processSellTransaction(1, COIN_ID, 2)
     ]);
 
     const succeeded = results.filter((r) => r.status === 'fulfilled');
@@ -162,7 +168,7 @@ describe('legacy buy/sell atomicity (single-client transaction)', () => {
     expect(rejected[0].reason.message).toBe('Insufficient coins in portfolio');
 
     expect(await portfolioQuantity(1, COIN_ID)).toBe(0); // never negative
-    expect(await fundsOf(1)).toBe(Math.round((1000 + 2 * price) * 100) / 100); // exactly one sale credited
+    expect(await fundsOf(1)).toBe(Math.round((1000 + quotedTotal('SELL', 2, price)) * 100) / 100); // exactly one sale credited
     expect(await legacyLedger(1)).toHaveLength(1);
   });
 
@@ -171,8 +177,8 @@ describe('legacy buy/sell atomicity (single-client transaction)', () => {
     const amount = Math.ceil(600 / price); // each buy costs just over half the £1,000
 
     const results = await Promise.allSettled([
-      processBuyTransaction(1, COIN_ID, amount, price),
-      processBuyTransaction(1, COIN_ID, amount, price)
+      processBuyTransaction(1, COIN_ID, amount),
+      processBuyTransaction(1, COIN_ID, amount)
     ]);
 
     const succeeded = results.filter((r) => r.status === 'fulfilled');
@@ -181,21 +187,20 @@ describe('legacy buy/sell atomicity (single-client transaction)', () => {
     expect(rejected).toHaveLength(1);
     expect(rejected[0].reason.message).toBe('Insufficient funds');
 
-    const spent = Math.round(amount * price * 100) / 100;
+    const spent = quotedTotal('BUY', amount, price);
     expect(await fundsOf(1)).toBe(Math.round((1000 - spent) * 100) / 100);
     expect(await portfolioQuantity(1, COIN_ID)).toBe(amount);
     expect(await legacyLedger(1)).toHaveLength(1);
   });
 
   test('after mixed operations, funds + portfolio + ledger stay mutually coherent', async () => {
-    const price = await coinPrice();
     const buy1 = 100;
     const buy2 = 50;
     const sell1 = 30;
 
-    await processBuyTransaction(1, COIN_ID, buy1, price);
-    await processBuyTransaction(1, COIN_ID, buy2, price);
-    await processSellTransaction(1, COIN_ID, sell1, price);
+    await processBuyTransaction(1, COIN_ID, buy1);
+    await processBuyTransaction(1, COIN_ID, buy2);
+    await processSellTransaction(1, COIN_ID, sell1);
 
     const ledger = await legacyLedger(1);
     expect(ledger).toHaveLength(3);
@@ -208,8 +213,7 @@ describe('legacy buy/sell atomicity (single-client transaction)', () => {
   });
 
   test('legacy trades never touch the game wallet (apocalypse round state)', async () => {
-    const price = await coinPrice();
-    await processBuyTransaction(1, COIN_ID, 5, price);
+    await processBuyTransaction(1, COIN_ID, 5);
 
     const { rows } = await db.query(
       `SELECT
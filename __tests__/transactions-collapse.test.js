@@ -9,6 +9,7 @@ const jwt = require('jsonwebtoken');
 const app = require('../app');
 const db = require('../db/connection');
 const { reconcileCycle } = require('../game/gameCycleService');
+const { processBuyTransaction } = require('../models/transactions.model');
 
 const DURATION_MS = 30 * 60 * 1000;
 const WINDOW_START_MS = new Date('2026-08-20T10:00:00.000Z').getTime() + DURATION_MS * 0.70;
@@ -63,6 +64,24 @@ describe('Core 3: collapsed-coin trade guard', () => {
     expect(pf[0].n).toBe(0);
   });
 
+  test('a buy whose locked price is £0 is rejected even when the unlocked guard passed', async () => {
+    // The controller's guard reads the coin before the buy locks it; a coin
+    // that reaches £0 in between is caught on the locked row.
+    await db.query('UPDATE coins SET current_price = 0 WHERE coin_id = 1');
+    const fundsBefore = await userFunds(1);
+
+    await expect(processBuyTransaction(1, 1, 1)).rejects.toMatchObject({
+      status: 400,
+      message: expect.stringMatching(/collapsed to £0/)
+    });
+
+    const { rows: txs } = await db.query(
+      'SELECT count(*)::int AS n FROM transactions WHERE user_id = 1 AND coin_id = 1'
+    );
+    expect(txs[0].n).toBe(0);
+    expect(await userFunds(1)).toBe(fundsBefore);
+  });
+
   test('POST /api/transactions/buy still works for a surviving coin (regression)', async () => {
     const deadCoinId = await collapseFirstCoin();
     const { rows } = await db.query('SELECT coin_id FROM coins WHERE coin_id <> $1 ORDER BY coin_id LIMIT 1', [deadCoinId]);
@@ -1,6 +1,9 @@
 const { getGameState } = require('../game/gameCycleService');
 const gameRoundService = require('../game/gameRoundService');
 const gameResultsService = require('../game/gameResultsService');
+const { getDistressSignals } = require('../game/distressSignals');
+const playerHistory = require('../game/playerHistory');
+const logger = require('../utils/logger');
 
 // Map Core 4/6 domain errors (which carry an explicit status) to responses;
 // anything else falls through to the generic error middleware.
@@ -22,6 +25,18 @@ exports.getGameState = async (req, res, next) => {
   }
 };
 
+// Public read-only pre-collapse distress signals for the live cycle: one
+// noisy, seed-derived level per live coin, updated once per signal epoch.
+// Bots read the same signals through their shaped market state.
+exports.getGameSignals = async (req, res, next) => {
+  try {
+    const signals = await getDistressSignals({});
+    res.status(200).json({ status: 'success', data: signals });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // Authenticated join-anytime: create/reuse the caller's participant for the
 // authoritative active cycle. Repeated and concurrent joins return the same
 // row and never reset cash, holdings, join time, or peak.
@@ -37,15 +52,16 @@ exports.joinGame = async (req, res, next) => {
 // Authenticated round buy. Requires an explicit cycleId (the canonical Core 1
 // apocalypse_id) and an explicit prior join. The price is always the
 // server-side authoritative current price; only round cash/holdings/ledger
-// rows are written.
+// rows are written. An optional leverage (1-5) borrows the rest of the cost.
 exports.buyGameTrade = async (req, res, next) => {
   try {
-    const { cycleId, coin_id, amount } = req.body;
+    const { cycleId, coin_id, amount, leverage } = req.body;
     const result = await gameRoundService.buyRoundTrade({
       userId: req.user.user_id,
       apocalypseId: cycleId,
       coinId: coin_id,
-      quantity: amount
+      quantity: amount,
+      leverage
     });
     res.status(201).json({ status: 'success', message: 'Round buy completed successfully', data: result });
   } catch (err) {
@@ -71,6 +87,92 @@ exports.sellGameTrade = async (req, res, next) => {
   }
 };
 
+// Authenticated round short sale: sells coins the caller does not hold,
+// holding the proceeds plus a margin from round cash as collateral. Same
+// cycle/join protections as buy.
+exports.shortGameTrade = async (req, res, next) => {
+  try {
+    const { cycleId, coin_id, amount } = req.body;
+    const result = await gameRoundService.shortRoundTrade({
+      userId: req.user.user_id,
+      apocalypseId: cycleId,
+      coinId: coin_id,
+      quantity: amount
+    });
+    res.status(201).json({ status: 'success', message: 'Round short completed successfully', data: result });
+  } catch (err) {
+    handleGameError(err, res, next);
+  }
+};
+
+// Authenticated cover of the caller's short: buys the coins back and
+// releases the covered share of the collateral. A short on a collapsed coin
+// is covered at the authoritative £0.
+exports.coverGameTrade = async (req, res, next) => {
+  try {
+    const { cycleId, coin_id, amount } = req.body;
+    const result = await gameRoundService.coverRoundTrade({
+      userId: req.user.user_id,
+      apocalypseId: cycleId,
+      coinId: coin_id,
+      quantity: amount
+    });
+    res.status(201).json({ status: 'success', message: 'Round cover completed successfully', data: result });
+  } catch (err) {
+    handleGameError(err, res, next);
+  }
+};
+
+// Authenticated resting order on the live cycle: LIMIT_BUY, LIMIT_SELL,
+// STOP_LOSS or TAKE_PROFIT. It fills by itself, through the same ledger path
+// as the trades above, once a committed price batch or collapse crosses its
+// triggerPrice.
+exports.placeGameOrder = async (req, res, next) => {
+  try {
+    const { cycleId, coin_id, type, amount, triggerPrice, distressLevel } = req.body;
+    const order = await gameRoundService.placeRoundOrder({
+      userId: req.user.user_id,
+      apocalypseId: cycleId,
+      coinId: coin_id,
+      type,
+      quantity: amount,
+      triggerPrice,
+      distressLevel
+    });
+    res.status(201).json({ status: 'success', message: 'Order placed successfully', data: { order } });
+  } catch (err) {
+    handleGameError(err, res, next);
+  }
+};
+
+// Authenticated list of the caller's orders in one cycle (?cycleId=,
+// optional ?status=), newest first.
+exports.getGameOrders = async (req, res, next) => {
+  try {
+    const orders = await gameRoundService.listRoundOrders({
+      userId: req.user.user_id,
+      apocalypseId: req.query.cycleId,
+      status: req.query.status
+    });
+    res.status(200).json({ status: 'success', data: { orders } });
+  } catch (err) {
+    handleGameError(err, res, next);
+  }
+};
+
+// Authenticated cancel of one of the caller's OPEN orders.
+exports.cancelGameOrder = async (req, res, next) => {
+  try {
+    const order = await gameRoundService.cancelRoundOrder({
+      userId: req.user.user_id,
+      orderId: req.params.orderId
+    });
+    res.status(200).json({ status: 'success', message: 'Order cancelled', data: { order } });
+  } catch (err) {
+    handleGameError(err, res, next);
+  }
+};
+
 // Public read-only live leaderboard for the current active cycle. Reading
 // reconciles the lifecycle first (recovering any pending settlement), then
 // reports live wealth (cash + live holdings value, collapsed coins £0),
@@ -97,6 +199,71 @@ exports.getCycleResults = async (req, res, next) => {
   }
 };
 
+// Public provably-fair disclosure for one COMPLETED cycle: its seed, full
+// collapse schedule, the inputs to re-derive that schedule and the key format
+// of the random streams behind the prices and bot decisions. Like the results, ACTIVE or SETTLING cycles are 409 and unknown
+// ids 404 — the seed is never disclosed while it still drives play.
+exports.getCycleFairness = async (req, res, next) => {
+  try {
+    const fairness = await gameResultsService.getCycleFairness(req.params.cycleId);
+    res.status(200).json({ status: 'success', data: fairness });
+  } catch (err) {
+    handleGameError(err, res, next);
+  }
+};
+
+// Public replay of one COMPLETED cycle: its prices, trades, collapses, market
+// events, freeze and settlement as one time-ordered stream, one ?from=&to=
+// window per page. ACTIVE or SETTLING cycles are 409 and unknown ids 404.
+exports.getCycleReplay = async (req, res, next) => {
+  try {
+    const replay = await gameResultsService.getCycleReplay(req.params.cycleId, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.status(200).json({ status: 'success', data: replay });
+  } catch (err) {
+    handleGameError(err, res, next);
+  }
+};
+
+// Public wealth curve of one participant, live or finished, with its peak,
+// low and worst drawdown. Unknown participants are 404.
+exports.getWealthCurve = async (req, res, next) => {
+  try {
+    const curve = await gameResultsService.getWealthCurve(req.params.participantId);
+    res.status(200).json({ status: 'success', data: curve });
+  } catch (err) {
+    handleGameError(err, res, next);
+  }
+};
+
+// Authenticated personal history: the caller's finished rounds, newest
+// first, profitable or not. ?limit= is validated and clamped like the recent
+// leaderboards; ?cursor= is the nextCursor of a previous page.
+exports.getPlayerHistory = async (req, res, next) => {
+  try {
+    const history = await playerHistory.getPlayerHistory({
+      userId: req.user.user_id,
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+    res.status(200).json({ status: 'success', data: history });
+  } catch (err) {
+    handleGameError(err, res, next);
+  }
+};
+
+// Authenticated aggregates over the caller's whole history.
+exports.getPlayerStats = async (req, res, next) => {
+  try {
+    const stats = await playerHistory.getPlayerStats({ userId: req.user.user_id });
+    res.status(200).json({ status: 'success', data: stats });
+  } catch (err) {
+    handleGameError(err, res, next);
+  }
+};
+
 // Public read-only recent completed cycles with their immutable snapshots.
 // ?limit= is validated (400 on non-integer) and clamped to the documented
 // bounds; it limits the read only — history is never deleted.
@@ -108,3 +275,29 @@ exports.getRecentLeaderboards = async (req, res, next) => {
     handleGameError(err, res, next);
   }
 };
+
+// Live game event stream over Server-Sent Events (game/gameEventStream.js):
+// the current state first, then cycle, milestone, collapse, settlement and
+// leaderboard rank-change events as their transactions commit.
+exports.getGameStream = async (req, res) => {
+  const { openGameEventStream } = require('../game/gameEventStream');
+  const { openEventStream } = require('../utils/sse');
+  let stream = null;
+  const events = openEventStream(res, {
+    onClose: () => {
+      if (stream) stream.close();
+    }
+  });
+
+  try {
+    stream = await openGameEventStream({
+      send: ({ type, ...event }) => events.send(type, event),
+      onClose: () => events.end()
+    });
+    if (events.closed()) stream.close();
+  } catch (err) {
+    logger.error('[GAME] Error opening game event stream:', err);
+    events.send('error', { message: 'The game event stream is unavailable. Retry shortly.' });
+    events.end();
+  }
+};
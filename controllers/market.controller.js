@@ -1,9 +1,10 @@
 const marketSimulator = require('../models/market-simulator');
 const db = require('../db/connection'); // assuming db connection is established elsewhere
+const logger = require('../utils/logger');
 
 exports.getMarketStatus = async (req, res, next) => {
   try {
-    const marketStatus = marketSimulator.getMarketStatus();
+    const marketStatus = await marketSimulator.getMarketStatus();
     res.status(200).json(marketStatus);
   } catch (err) {
     next(err);
@@ -77,3 +78,75 @@ exports.getMarketPriceHistory = async (req, res, next) => {
     next(err);
   }
 };
+
+// Public market news feed (game/marketNews.js): newest first, optionally for
+// one coin and a start-time range, paginated by nextCursor.
+exports.getMarketEvents = async (req, res, next) => {
+  try {
+    const { getMarketEvents } = require('../game/marketNews');
+    const { coinId, from, to, limit, cursor } = req.query;
+    const feed = await getMarketEvents({ coinId, from, to, limit, cursor });
+    res.status(200).json(feed);
+  } catch (err) {
+    if (err.name === 'MarketNewsError') {
+      res.status(err.status).json({ status: 'error', message: err.message });
+    } else {
+      next(err);
+    }
+  }
+};
+
+exports.getMarketBatchTimings = async (req, res, next) => {
+  try {
+    const { getBatchTimings } = require('../game/marketBatchTimings');
+    const timings = await getBatchTimings({ limit: req.query.limit });
+    res.status(200).json(timings);
+  } catch (err) {
+    if (err.name === 'MarketBatchTimingsError') {
+      res.status(err.status).json({ status: 'error', message: err.message });
+    } else {
+      next(err);
+    }
+  }
+};
+
+// Live price stream over Server-Sent Events (game/priceStream.js). The
+// WebSocket transport shares the path through the server's upgrade handler.
+// A resume token comes from ?resume= or, on an EventSource reconnect, from
+// the Last-Event-ID header.
+exports.getMarketStream = async (req, res, next) => {
+  const { HEARTBEAT_INTERVAL_MS, resolveStreamOptions, openPriceStream } = require('../game/priceStream');
+  const { openEventStream } = require('../utils/sse');
+  let options;
+  try {
+    options = await resolveStreamOptions({
+      coins: req.query.coins,
+      resume: req.query.resume ?? req.get('Last-Event-ID')
+    });
+  } catch (err) {
+    if (err.name === 'PriceStreamError') {
+      return res.status(err.status).json({ status: 'error', message: err.message });
+    }
+    return next(err);
+  }
+
+  let stream = null;
+  const events = openEventStream(res, {
+    heartbeatMs: HEARTBEAT_INTERVAL_MS,
+    onClose: () => {
+      if (stream) stream.close();
+    }
+  });
+
+  try {
+    stream = await openPriceStream({
+      ...options,
+      send: ({ type, token, ...message }) => events.send(type, { token, ...message }, token),
+      onClose: () => events.end()
+    });
+    if (events.closed()) stream.close();
+  } catch (err) {
+    logger.error('[STREAM] Error opening price stream:', err);
+    events.end();
+  }
+};
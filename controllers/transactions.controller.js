@@ -176,21 +176,26 @@ exports.processBuyTransaction = async (req, res, next) => {
     }
 
     try {
-      const transaction = await processBuyTransaction(user_id, coin_id, numericAmount, coin.current_price);
+      const transaction = await processBuyTransaction(user_id, coin_id, numericAmount);
       res.status(201).json({
         status: 'success',
         message: 'Buy transaction completed successfully',
         data: transaction
       });
     } catch (err) {
+      // The required amount is the order's impacted cost at the locked
+      // price, not quantity * the price read above.
       if (err.message === 'Insufficient funds') {
         return res.status(400).json({
           status: 'error',
-          message: `Insufficient funds. You need ${(numericAmount * coin.current_price).toFixed(2)} to complete this purchase.`,
-          required_amount: numericAmount * coin.current_price,
-          current_price: coin.current_price
+          message: `Insufficient funds. You need ${err.requiredAmount.toFixed(2)} to complete this purchase.`,
+          required_amount: err.requiredAmount,
+          current_price: err.currentPrice
         });
       }
+      if (err.name === 'MarketImpactError' || err.status === 400) {
+        return res.status(err.status).json({ status: 'error', message: err.message });
+      }
       throw err;
     }
   } catch (err) {
@@ -232,7 +237,7 @@ exports.processSellTransaction = async (req, res, next) => {
     }
 
     try {
-      const transaction = await processSellTransaction(user_id, coin_id, numericAmount, coin.current_price);
+      const transaction = await processSellTransaction(user_id, coin_id, numericAmount);
       res.status(201).json({
         status: 'success',
         message: 'Sell transaction completed successfully',
@@ -0,0 +1,326 @@
+-- Durable market simulator state: the current market cycle, each coin's
+-- volatility profile and each coin's active event, per apocalypse cycle.
+-- Production DDL source of truth for the simulator state schema.
+-- Applied to the test database by db/seed.js so tests share this exact DDL.
+--
+-- The simulator used to hold this state only in memory: a restart re-rolled
+-- every trend and event, and each process held a different market. Every
+-- price batch now loads the state from these tables under the coin row
+-- locks, advances it, and writes it back in the same transaction, so a
+-- restart resumes exactly where the last committed batch left off and every
+-- process reports the same status.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Fully non-destructive: three tables are ADDED; no existing table,
+--     column or row is touched. There is nothing to backfill — the first
+--     batch of the ACTIVE cycle derives its state from the cycle seed.
+--   * If any of the tables already exists, its shape is verified explicitly.
+--     An incompatible pre-existing object aborts the migration with a clear
+--     error instead of being silently accepted by CREATE ... IF NOT EXISTS.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+-- ---------------------------------------------------------------------------
+-- 1. market_state: one row per apocalypse cycle holding the current market
+--    cycle (type and window) and the last committed batch. updated_at is the
+--    commit time of that batch; readers in any process use it to tell a
+--    live simulator from a stopped one.
+-- ---------------------------------------------------------------------------
+DO $$
+DECLARE
+  incompatible text[];
+BEGIN
+  IF to_regclass('public.apocalypse_cycles') IS NULL THEN
+    RAISE EXCEPTION 'migration 016: apocalypse_cycles does not exist. Apply migration 007 first.';
+  END IF;
+
+  IF to_regclass('public.market_state') IS NOT NULL THEN
+    SELECT array_agg(problem) INTO incompatible FROM (
+      SELECT 'missing or wrong column: ' || expected.name AS problem
+      FROM (VALUES
+        ('market_state_id',         'integer',                  'NO'),
+        ('cycle_id',                'integer',                  'NO'),
+        ('market_cycle_type',       'character varying',        'NO'),
+        ('market_cycle_started_at', 'timestamp with time zone', 'NO'),
+        ('market_cycle_ends_at',    'timestamp with time zone', 'NO'),
+        ('update_interval_ms',      'integer',                  'NO'),
+        ('last_batch_index',        'integer',                  'NO'),
+        ('updated_at',              'timestamp with time zone', 'NO')
+      ) AS expected(name, dtype, nullable)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = 'market_state'
+          AND c.column_name = expected.name
+          AND c.data_type = expected.dtype
+          AND c.is_nullable = expected.nullable
+      )
+      UNION ALL
+      SELECT 'market_state_id is not backed by a sequence default'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public' AND c.table_name = 'market_state'
+          AND c.column_name = 'market_state_id' AND c.column_default LIKE 'nextval(%'
+      )
+      UNION ALL
+      SELECT 'missing unique constraint on (cycle_id)'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_state'::regclass
+          AND contype = 'u'
+          AND pg_get_constraintdef(oid) ILIKE 'UNIQUE (cycle_id)%'
+      )
+      UNION ALL
+      SELECT 'missing foreign key cycle_id -> apocalypse_cycles'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_state'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.apocalypse_cycles'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (cycle_id)%'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: market_cycle_type catalogue'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_state'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'market_cycle_type.*STRONG_BOOM.*MILD_BOOM.*STRONG_BUST.*MILD_BUST.*STABLE'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: market_cycle_ends_at > market_cycle_started_at'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_state'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'market_cycle_ends_at > market_cycle_started_at'
+      )
+    ) problems;
+
+    IF incompatible IS NOT NULL THEN
+      RAISE EXCEPTION 'migration 016: existing market_state table is INCOMPATIBLE — %. Fix or drop the conflicting table manually; the migration will not modify it.', array_to_string(incompatible, '; ');
+    END IF;
+  ELSE
+    CREATE TABLE market_state (
+      market_state_id         SERIAL PRIMARY KEY,
+      cycle_id                INTEGER NOT NULL REFERENCES apocalypse_cycles(cycle_id),
+      market_cycle_type       VARCHAR(20) NOT NULL
+        CHECK (market_cycle_type IN ('STRONG_BOOM', 'MILD_BOOM', 'STRONG_BUST', 'MILD_BUST', 'STABLE')),
+      market_cycle_started_at TIMESTAMPTZ NOT NULL,
+      market_cycle_ends_at    TIMESTAMPTZ NOT NULL,
+      update_interval_ms      INTEGER NOT NULL CHECK (update_interval_ms > 0),
+      last_batch_index        INTEGER NOT NULL CHECK (last_batch_index >= 0),
+      updated_at              TIMESTAMPTZ NOT NULL DEFAULT now(),
+      -- Exactly one simulator state per apocalypse cycle.
+      UNIQUE (cycle_id),
+      CHECK (market_cycle_ends_at > market_cycle_started_at)
+    );
+  END IF;
+END $$;
+
+-- ---------------------------------------------------------------------------
+-- 2. market_coin_profiles: each coin's volatility profile for a cycle — the
+--    seed-derived base volatility, the mean-reversion anchor and the current
+--    trend with its window.
+-- ---------------------------------------------------------------------------
+DO $$
+DECLARE
+  incompatible text[];
+BEGIN
+  IF to_regclass('public.market_coin_profiles') IS NOT NULL THEN
+    SELECT array_agg(problem) INTO incompatible FROM (
+      SELECT 'missing or wrong column: ' || expected.name AS problem
+      FROM (VALUES
+        ('profile_id',       'integer',                  'NO'),
+        ('cycle_id',         'integer',                  'NO'),
+        ('coin_id',          'integer',                  'NO'),
+        ('base_volatility',  'double precision',         'NO'),
+        ('initial_price',    'numeric',                  'NO'),
+        ('trend_direction',  'smallint',                 'NO'),
+        ('trend_strength',   'double precision',         'NO'),
+        ('trend_started_at', 'timestamp with time zone', 'NO'),
+        ('trend_ends_at',    'timestamp with time zone', 'NO'),
+        ('updated_at',       'timestamp with time zone', 'NO')
+      ) AS expected(name, dtype, nullable)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = 'market_coin_profiles'
+          AND c.column_name = expected.name
+          AND c.data_type = expected.dtype
+          AND c.is_nullable = expected.nullable
+      )
+      UNION ALL
+      SELECT 'profile_id is not backed by a sequence default'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public' AND c.table_name = 'market_coin_profiles'
+          AND c.column_name = 'profile_id' AND c.column_default LIKE 'nextval(%'
+      )
+      UNION ALL
+      SELECT 'missing unique constraint on (cycle_id, coin_id)'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_coin_profiles'::regclass
+          AND contype = 'u'
+          AND pg_get_constraintdef(oid) ILIKE 'UNIQUE (cycle_id, coin_id)%'
+      )
+      UNION ALL
+      SELECT 'missing foreign key cycle_id -> apocalypse_cycles'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_coin_profiles'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.apocalypse_cycles'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (cycle_id)%'
+      )
+      UNION ALL
+      SELECT 'missing foreign key coin_id -> coins'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_coin_profiles'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.coins'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (coin_id)%'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: trend_direction IN (-1, 1)'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_coin_profiles'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'trend_direction'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: initial_price > 0'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_coin_profiles'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'initial_price > \(?0'
+      )
+    ) problems;
+
+    IF incompatible IS NOT NULL THEN
+      RAISE EXCEPTION 'migration 016: existing market_coin_profiles table is INCOMPATIBLE — %. Fix or drop the conflicting table manually; the migration will not modify it.', array_to_string(incompatible, '; ');
+    END IF;
+  ELSE
+    CREATE TABLE market_coin_profiles (
+      profile_id       SERIAL PRIMARY KEY,
+      cycle_id         INTEGER NOT NULL REFERENCES apocalypse_cycles(cycle_id),
+      coin_id          INTEGER NOT NULL REFERENCES coins(coin_id),
+      -- DOUBLE PRECISION round-trips the simulator's float64 values exactly,
+      -- so a resumed profile is bit-identical to the one that was saved.
+      base_volatility  DOUBLE PRECISION NOT NULL CHECK (base_volatility > 0),
+      initial_price    DECIMAL(18, 2) NOT NULL CHECK (initial_price > 0),
+      trend_direction  SMALLINT NOT NULL CHECK (trend_direction IN (-1, 1)),
+      trend_strength   DOUBLE PRECISION NOT NULL CHECK (trend_strength >= 0),
+      trend_started_at TIMESTAMPTZ NOT NULL,
+      trend_ends_at    TIMESTAMPTZ NOT NULL,
+      updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (cycle_id, coin_id),
+      CHECK (trend_ends_at > trend_started_at)
+    );
+  END IF;
+END $$;
+
+-- ---------------------------------------------------------------------------
+-- 3. market_coin_active_events: each coin's active event for a cycle, with
+--    its start and end. One row per coin, replaced when the event rolls over.
+-- ---------------------------------------------------------------------------
+DO $$
+DECLARE
+  incompatible text[];
+BEGIN
+  IF to_regclass('public.market_coin_active_events') IS NOT NULL THEN
+    SELECT array_agg(problem) INTO incompatible FROM (
+      SELECT 'missing or wrong column: ' || expected.name AS problem
+      FROM (VALUES
+        ('active_event_id', 'integer',                  'NO'),
+        ('cycle_id',        'integer',                  'NO'),
+        ('coin_id',         'integer',                  'NO'),
+        ('event_type',      'character varying',        'NO'),
+        ('started_at',      'timestamp with time zone', 'NO'),
+        ('ends_at',         'timestamp with time zone', 'NO'),
+        ('updated_at',      'timestamp with time zone', 'NO')
+      ) AS expected(name, dtype, nullable)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = 'market_coin_active_events'
+          AND c.column_name = expected.name
+          AND c.data_type = expected.dtype
+          AND c.is_nullable = expected.nullable
+      )
+      UNION ALL
+      SELECT 'active_event_id is not backed by a sequence default'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public' AND c.table_name = 'market_coin_active_events'
+          AND c.column_name = 'active_event_id' AND c.column_default LIKE 'nextval(%'
+      )
+      UNION ALL
+      SELECT 'missing unique constraint on (cycle_id, coin_id)'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_coin_active_events'::regclass
+          AND contype = 'u'
+          AND pg_get_constraintdef(oid) ILIKE 'UNIQUE (cycle_id, coin_id)%'
+      )
+      UNION ALL
+      SELECT 'missing foreign key cycle_id -> apocalypse_cycles'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_coin_active_events'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.apocalypse_cycles'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (cycle_id)%'
+      )
+      UNION ALL
+      SELECT 'missing foreign key coin_id -> coins'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_coin_active_events'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.coins'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (coin_id)%'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: event_type catalogue'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_coin_active_events'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'event_type.*MAJOR_PARTNERSHIP.*RUMOR_NEGATIVE'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: ends_at > started_at'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_coin_active_events'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'ends_at > started_at'
+      )
+    ) problems;
+
+    IF incompatible IS NOT NULL THEN
+      RAISE EXCEPTION 'migration 016: existing market_coin_active_events table is INCOMPATIBLE — %. Fix or drop the conflicting table manually; the migration will not modify it.', array_to_string(incompatible, '; ');
+    END IF;
+  ELSE
+    CREATE TABLE market_coin_active_events (
+      active_event_id SERIAL PRIMARY KEY,
+      cycle_id        INTEGER NOT NULL REFERENCES apocalypse_cycles(cycle_id),
+      coin_id         INTEGER NOT NULL REFERENCES coins(coin_id),
+      event_type      VARCHAR(30) NOT NULL CHECK (event_type IN (
+        'MAJOR_PARTNERSHIP', 'MINOR_PARTNERSHIP', 'REGULATION_NEGATIVE',
+        'REGULATION_POSITIVE', 'MAJOR_ADOPTION', 'MINOR_ADOPTION',
+        'SCANDAL', 'RUMOR_POSITIVE', 'RUMOR_NEGATIVE'
+      )),
+      started_at      TIMESTAMPTZ NOT NULL,
+      ends_at         TIMESTAMPTZ NOT NULL,
+      updated_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (cycle_id, coin_id),
+      CHECK (ends_at > started_at)
+    );
+  END IF;
+END $$;
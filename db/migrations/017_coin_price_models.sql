@@ -0,0 +1,90 @@
+-- Per-coin price models: which model each coin's price runs and with which
+-- parameters, plus the per-cycle model state the simulator carries between
+-- batches. Production DDL source of truth for the price-model schema.
+-- Applied to the test database by db/seed.js so tests share this exact DDL.
+--
+--   * coins.price_model         one of BLENDED, GBM, JUMP_DIFFUSION,
+--                               REGIME_SWITCHING (game/priceModels.js).
+--   * coins.price_model_params  the model's parameters as a JSON object.
+--                               Ranges are validated by the application
+--                               (game/priceModels.js) on every write and on
+--                               every load; the database only pins the type.
+--   * market_coin_profiles.model_state
+--                               the model's state for the cycle (e.g. the
+--                               current regime of a REGIME_SWITCHING coin),
+--                               saved with the coin's profile every batch.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Fully non-destructive: three columns are ADDED; no row is rewritten.
+--     The defaults keep every existing coin on the BLENDED model with its
+--     default parameters — exactly the pre-model price formula.
+--   * If a column already exists, its shape is verified explicitly; an
+--     incompatible pre-existing column aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+BEGIN
+  IF to_regclass('public.coins') IS NULL THEN
+    RAISE EXCEPTION 'migration 017: public.coins does not exist — the Coins schema is missing entirely';
+  END IF;
+  IF to_regclass('public.market_coin_profiles') IS NULL THEN
+    RAISE EXCEPTION 'migration 017: market_coin_profiles does not exist. Apply migration 016 first.';
+  END IF;
+
+  -- -- coins.price_model ------------------------------------------------------
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'coins' AND column_name = 'price_model'
+  ) THEN
+    ALTER TABLE coins
+      ADD COLUMN price_model VARCHAR(20) NOT NULL DEFAULT 'BLENDED'
+      CONSTRAINT coins_price_model_check
+      CHECK (price_model IN ('BLENDED', 'GBM', 'JUMP_DIFFUSION', 'REGIME_SWITCHING'));
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'coins' AND column_name = 'price_model'
+      AND data_type = 'character varying' AND is_nullable = 'NO'
+  ) OR NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'public.coins'::regclass AND contype = 'c'
+      AND pg_get_constraintdef(oid) ~ 'price_model.*BLENDED.*GBM.*JUMP_DIFFUSION.*REGIME_SWITCHING'
+  ) THEN
+    RAISE EXCEPTION 'migration 017: coins.price_model already exists with an INCOMPATIBLE shape — expected varchar NOT NULL with the model CHECK. Fix it manually; the migration will not modify it.';
+  END IF;
+
+  -- -- coins.price_model_params -----------------------------------------------
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'coins' AND column_name = 'price_model_params'
+  ) THEN
+    ALTER TABLE coins
+      ADD COLUMN price_model_params JSONB NOT NULL DEFAULT '{}'::jsonb
+      CONSTRAINT coins_price_model_params_check
+      CHECK (jsonb_typeof(price_model_params) = 'object');
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'coins' AND column_name = 'price_model_params'
+      AND data_type = 'jsonb' AND is_nullable = 'NO'
+  ) THEN
+    RAISE EXCEPTION 'migration 017: coins.price_model_params already exists with an INCOMPATIBLE shape — expected jsonb NOT NULL. Fix it manually; the migration will not modify it.';
+  END IF;
+
+  -- -- market_coin_profiles.model_state ---------------------------------------
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'market_coin_profiles' AND column_name = 'model_state'
+  ) THEN
+    ALTER TABLE market_coin_profiles
+      ADD COLUMN model_state JSONB NOT NULL DEFAULT '{}'::jsonb
+      CONSTRAINT market_coin_profiles_model_state_check
+      CHECK (jsonb_typeof(model_state) = 'object');
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'market_coin_profiles' AND column_name = 'model_state'
+      AND data_type = 'jsonb' AND is_nullable = 'NO'
+  ) THEN
+    RAISE EXCEPTION 'migration 017: market_coin_profiles.model_state already exists with an INCOMPATIBLE shape — expected jsonb NOT NULL. Fix it manually; the migration will not modify it.';
+  END IF;
+END $$;
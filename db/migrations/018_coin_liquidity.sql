@@ -0,0 +1,43 @@
+-- Market impact: each coin's liquidity depth, the quote-side size (in £) of
+-- the virtual constant-product pool trades execute against
+-- (game/marketImpact.js). Production DDL source of truth for the column.
+-- Applied to the test database by db/seed.js so tests share this exact DDL.
+--
+-- Impact scale at the default depth of £100,000: a £10,000 buy executes
+-- about 10% above the pre-trade price and leaves the live price about 21%
+-- higher; a £1,000 buy moves it about 2%. Deeper coins move less.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Fully non-destructive: one column is ADDED to coins; no row is
+--     rewritten beyond taking the column default.
+--   * If the column already exists, its shape is verified explicitly; an
+--     incompatible pre-existing column aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+BEGIN
+  IF to_regclass('public.coins') IS NULL THEN
+    RAISE EXCEPTION 'migration 018: public.coins does not exist — the Coins schema is missing entirely';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'coins' AND column_name = 'liquidity_depth'
+  ) THEN
+    ALTER TABLE coins
+      ADD COLUMN liquidity_depth DECIMAL(18, 2) NOT NULL DEFAULT 100000
+      CONSTRAINT coins_liquidity_depth_check CHECK (liquidity_depth > 0);
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'coins' AND column_name = 'liquidity_depth'
+      AND data_type = 'numeric' AND is_nullable = 'NO'
+  ) OR NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'public.coins'::regclass AND contype = 'c'
+      AND pg_get_constraintdef(oid) ~ 'liquidity_depth > \(?0'
+  ) THEN
+    RAISE EXCEPTION 'migration 018: coins.liquidity_depth already exists with an INCOMPATIBLE shape — expected numeric NOT NULL with CHECK (liquidity_depth > 0). Fix it manually; the migration will not modify it.';
+  END IF;
+END $$;
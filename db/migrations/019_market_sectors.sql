@@ -0,0 +1,238 @@
+-- Market sectors: coins grouped into sectors that move together. Production
+-- DDL source of truth for the sector schema. Applied to the test database by
+-- db/seed.js so tests share this exact DDL.
+--
+--   * market_sectors          one row per sector with its correlation
+--                             structure (game/marketSectors.js):
+--                               market_correlation  share of the sector's
+--                                 shared shock driven by the market-wide
+--                                 shock, in [0, 1];
+--                               shock_volatility    size of the shared shock
+--                                 per batch, in [0, 0.05];
+--                               event_probability   chance per batch that a
+--                                 quiet sector starts a sector-wide event.
+--                             GENERAL is created with all three at 0: a
+--                             coin in GENERAL moves exactly as before.
+--   * coins.sector            the coin's sector; every existing coin lands
+--                             in GENERAL.
+--   * market_sector_active_events
+--                             each sector's active sector-wide event for an
+--                             apocalypse cycle, saved with the rest of the
+--                             simulator state every batch. A quiet sector
+--                             has no row.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Fully non-destructive: two tables and one column are ADDED; the only
+--     row written is the GENERAL sector every existing coin points at.
+--   * If any object already exists, its shape is verified explicitly; an
+--     incompatible pre-existing object aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+-- ---------------------------------------------------------------------------
+-- 1. market_sectors: the sector catalogue and its correlation structure.
+-- ---------------------------------------------------------------------------
+DO $$
+DECLARE
+  incompatible text[];
+BEGIN
+  IF to_regclass('public.coins') IS NULL THEN
+    RAISE EXCEPTION 'migration 019: public.coins does not exist — the Coins schema is missing entirely';
+  END IF;
+
+  IF to_regclass('public.market_sectors') IS NOT NULL THEN
+    SELECT array_agg(problem) INTO incompatible FROM (
+      SELECT 'missing or wrong column: ' || expected.name AS problem
+      FROM (VALUES
+        ('sector_id',          'integer',                  'NO'),
+        ('sector',             'character varying',        'NO'),
+        ('market_correlation', 'double precision',         'NO'),
+        ('shock_volatility',   'double precision',         'NO'),
+        ('event_probability',  'double precision',         'NO'),
+        ('updated_at',         'timestamp with time zone', 'NO')
+      ) AS expected(name, dtype, nullable)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = 'market_sectors'
+          AND c.column_name = expected.name
+          AND c.data_type = expected.dtype
+          AND c.is_nullable = expected.nullable
+      )
+      UNION ALL
+      SELECT 'missing unique constraint on (sector)'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_sectors'::regclass
+          AND contype = 'u'
+          AND pg_get_constraintdef(oid) ILIKE 'UNIQUE (sector)%'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: market_correlation in [0, 1]'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_sectors'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'market_correlation >= '
+      )
+      UNION ALL
+      SELECT 'missing check constraint: shock_volatility in [0, 0.05]'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_sectors'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'shock_volatility >= '
+      )
+      UNION ALL
+      SELECT 'missing check constraint: event_probability in [0, 1]'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_sectors'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'event_probability >= '
+      )
+    ) problems;
+
+    IF incompatible IS NOT NULL THEN
+      RAISE EXCEPTION 'migration 019: existing market_sectors table is INCOMPATIBLE — %. Fix or drop the conflicting table manually; the migration will not modify it.', array_to_string(incompatible, '; ');
+    END IF;
+  ELSE
+    CREATE TABLE market_sectors (
+      sector_id          SERIAL PRIMARY KEY,
+      sector             VARCHAR(30) NOT NULL CHECK (sector ~ '^[A-Z][A-Z0-9_]*$'),
+      market_correlation DOUBLE PRECISION NOT NULL DEFAULT 0
+        CHECK (market_correlation >= 0 AND market_correlation <= 1),
+      shock_volatility   DOUBLE PRECISION NOT NULL DEFAULT 0
+        CHECK (shock_volatility >= 0 AND shock_volatility <= 0.05),
+      event_probability  DOUBLE PRECISION NOT NULL DEFAULT 0
+        CHECK (event_probability >= 0 AND event_probability <= 1),
+      updated_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (sector)
+    );
+  END IF;
+
+  -- The neutral sector every existing coin starts in.
+  INSERT INTO market_sectors (sector) VALUES ('GENERAL') ON CONFLICT (sector) DO NOTHING;
+END $$;
+
+-- ---------------------------------------------------------------------------
+-- 2. coins.sector: each coin's sector.
+-- ---------------------------------------------------------------------------
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'coins' AND column_name = 'sector'
+  ) THEN
+    ALTER TABLE coins
+      ADD COLUMN sector VARCHAR(30) NOT NULL DEFAULT 'GENERAL'
+      CONSTRAINT coins_sector_fkey REFERENCES market_sectors(sector);
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'coins' AND column_name = 'sector'
+      AND data_type = 'character varying' AND is_nullable = 'NO'
+  ) OR NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'public.coins'::regclass AND contype = 'f'
+      AND confrelid = 'public.market_sectors'::regclass
+      AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (sector)%'
+  ) THEN
+    RAISE EXCEPTION 'migration 019: coins.sector already exists with an INCOMPATIBLE shape — expected varchar NOT NULL referencing market_sectors(sector). Fix it manually; the migration will not modify it.';
+  END IF;
+END $$;
+
+-- ---------------------------------------------------------------------------
+-- 3. market_sector_active_events: each sector's active event for a cycle.
+-- ---------------------------------------------------------------------------
+DO $$
+DECLARE
+  incompatible text[];
+BEGIN
+  IF to_regclass('public.apocalypse_cycles') IS NULL THEN
+    RAISE EXCEPTION 'migration 019: apocalypse_cycles does not exist. Apply migration 007 first.';
+  END IF;
+
+  IF to_regclass('public.market_sector_active_events') IS NOT NULL THEN
+    SELECT array_agg(problem) INTO incompatible FROM (
+      SELECT 'missing or wrong column: ' || expected.name AS problem
+      FROM (VALUES
+        ('sector_event_id', 'integer',                  'NO'),
+        ('cycle_id',        'integer',                  'NO'),
+        ('sector',          'character varying',        'NO'),
+        ('event_type',      'character varying',        'NO'),
+        ('started_at',      'timestamp with time zone', 'NO'),
+        ('ends_at',         'timestamp with time zone', 'NO'),
+        ('updated_at',      'timestamp with time zone', 'NO')
+      ) AS expected(name, dtype, nullable)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = 'market_sector_active_events'
+          AND c.column_name = expected.name
+          AND c.data_type = expected.dtype
+          AND c.is_nullable = expected.nullable
+      )
+      UNION ALL
+      SELECT 'missing unique constraint on (cycle_id, sector)'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_sector_active_events'::regclass
+          AND contype = 'u'
+          AND pg_get_constraintdef(oid) ILIKE 'UNIQUE (cycle_id, sector)%'
+      )
+      UNION ALL
+      SELECT 'missing foreign key cycle_id -> apocalypse_cycles'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_sector_active_events'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.apocalypse_cycles'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (cycle_id)%'
+      )
+      UNION ALL
+      SELECT 'missing foreign key sector -> market_sectors'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_sector_active_events'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.market_sectors'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (sector)%'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: event_type catalogue'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_sector_active_events'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'event_type.*SECTOR_RALLY.*SECTOR_CRACKDOWN'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: ends_at > started_at'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_sector_active_events'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'ends_at > started_at'
+      )
+    ) problems;
+
+    IF incompatible IS NOT NULL THEN
+      RAISE EXCEPTION 'migration 019: existing market_sector_active_events table is INCOMPATIBLE — %. Fix or drop the conflicting table manually; the migration will not modify it.', array_to_string(incompatible, '; ');
+    END IF;
+  ELSE
+    CREATE TABLE market_sector_active_events (
+      sector_event_id SERIAL PRIMARY KEY,
+      cycle_id        INTEGER NOT NULL REFERENCES apocalypse_cycles(cycle_id),
+      sector          VARCHAR(30) NOT NULL REFERENCES market_sectors(sector),
+      event_type      VARCHAR(30) NOT NULL CHECK (event_type IN (
+        'SECTOR_RALLY', 'SECTOR_HYPE', 'SECTOR_SELLOFF', 'SECTOR_CRACKDOWN'
+      )),
+      started_at      TIMESTAMPTZ NOT NULL,
+      ends_at         TIMESTAMPTZ NOT NULL,
+      updated_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (cycle_id, sector),
+      CHECK (ends_at > started_at)
+    );
+  END IF;
+END $$;
@@ -0,0 +1,120 @@
+-- Collapse contagion: the recorded panic every surviving coin took when a
+-- scheduled collapse executed (game/collapseContagion.js). Production DDL
+-- source of truth for the contagion record. Applied to the test database by
+-- db/seed.js so tests share this exact DDL.
+--
+--   * coin_collapse_contagion  one row per (executed collapse, surviving
+--                              coin): the seed-derived panic shock, the live
+--                              price before and after it, and the volatility
+--                              boost the simulator decays over the following
+--                              batches from applied_at (the collapse's
+--                              executed_at). Written in the same Core 1
+--                              transaction as the collapse; never updated.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Fully non-destructive: one table is ADDED; no existing row is touched.
+--     Collapses executed before this migration simply have no contagion.
+--   * If the table already exists, its shape is verified explicitly; an
+--     incompatible pre-existing table aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+DECLARE
+  incompatible text[];
+BEGIN
+  IF to_regclass('public.coin_collapse_schedule') IS NULL THEN
+    RAISE EXCEPTION 'migration 020: coin_collapse_schedule does not exist. Apply migration 008 first.';
+  END IF;
+
+  IF to_regclass('public.coin_collapse_contagion') IS NOT NULL THEN
+    SELECT array_agg(problem) INTO incompatible FROM (
+      SELECT 'missing or wrong column: ' || expected.name AS problem
+      FROM (VALUES
+        ('contagion_id',     'integer',                  'NO'),
+        ('cycle_id',         'integer',                  'NO'),
+        ('schedule_id',      'integer',                  'NO'),
+        ('source_coin_id',   'integer',                  'NO'),
+        ('coin_id',          'integer',                  'NO'),
+        ('panic_shock',      'double precision',         'NO'),
+        ('price_before',     'numeric',                  'NO'),
+        ('price_after',      'numeric',                  'NO'),
+        ('volatility_boost', 'double precision',         'NO'),
+        ('applied_at',       'timestamp with time zone', 'NO'),
+        ('created_at',       'timestamp with time zone', 'NO')
+      ) AS expected(name, dtype, nullable)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = 'coin_collapse_contagion'
+          AND c.column_name = expected.name
+          AND c.data_type = expected.dtype
+          AND c.is_nullable = expected.nullable
+      )
+      UNION ALL
+      SELECT 'missing unique constraint on (schedule_id, coin_id)'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.coin_collapse_contagion'::regclass
+          AND contype = 'u'
+          AND pg_get_constraintdef(oid) ILIKE 'UNIQUE (schedule_id, coin_id)%'
+      )
+      UNION ALL
+      SELECT 'missing foreign key cycle_id -> apocalypse_cycles'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.coin_collapse_contagion'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.apocalypse_cycles'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (cycle_id)%'
+      )
+      UNION ALL
+      SELECT 'missing foreign key schedule_id -> coin_collapse_schedule'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.coin_collapse_contagion'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.coin_collapse_schedule'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (schedule_id)%'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: panic_shock in [0, 1)'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.coin_collapse_contagion'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'panic_shock >= '
+      )
+      UNION ALL
+      SELECT 'missing check constraint: coin_id <> source_coin_id'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.coin_collapse_contagion'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'coin_id <> source_coin_id'
+      )
+    ) problems;
+
+    IF incompatible IS NOT NULL THEN
+      RAISE EXCEPTION 'migration 020: existing coin_collapse_contagion table is INCOMPATIBLE — %. Fix or drop the conflicting table manually; the migration will not modify it.', array_to_string(incompatible, '; ');
+    END IF;
+  ELSE
+    CREATE TABLE coin_collapse_contagion (
+      contagion_id     SERIAL PRIMARY KEY,
+      cycle_id         INTEGER NOT NULL REFERENCES apocalypse_cycles(cycle_id),
+      schedule_id      INTEGER NOT NULL REFERENCES coin_collapse_schedule(schedule_id),
+      source_coin_id   INTEGER NOT NULL REFERENCES coins(coin_id),
+      coin_id          INTEGER NOT NULL REFERENCES coins(coin_id),
+      panic_shock      DOUBLE PRECISION NOT NULL CHECK (panic_shock >= 0 AND panic_shock < 1),
+      price_before     DECIMAL(18, 2) NOT NULL CHECK (price_before > 0),
+      price_after      DECIMAL(18, 2) NOT NULL CHECK (price_after > 0),
+      volatility_boost DOUBLE PRECISION NOT NULL CHECK (volatility_boost >= 0),
+      applied_at       TIMESTAMPTZ NOT NULL,
+      created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+      UNIQUE (schedule_id, coin_id),
+      CHECK (coin_id <> source_coin_id)
+    );
+    CREATE INDEX idx_coin_collapse_contagion_cycle ON coin_collapse_contagion (cycle_id, coin_id);
+  END IF;
+END $$;
@@ -0,0 +1,126 @@
+-- Market news feed: every market cycle change, coin event and sector event
+-- the simulator starts, persisted as it happens (game/marketNews.js).
+-- Production DDL source of truth for the feed. Applied to the test database
+-- by db/seed.js so tests share this exact DDL.
+--
+--   * market_events  one row per started event of an apocalypse cycle:
+--                      event_kind  MARKET_CYCLE, COIN_EVENT or SECTOR_EVENT;
+--                      event_type  the cycle / event catalogue entry
+--                                  (STRONG_BOOM, SCANDAL, SECTOR_RALLY, ...);
+--                      coin_id     the coin of a COIN_EVENT, else NULL;
+--                      sector      the sector of a SECTOR_EVENT, else NULL;
+--                      headline    the news ticker text;
+--                      effect      POSITIVE, NEGATIVE or NEUTRAL;
+--                      started_at / ends_at  the event's logical window.
+--                    Written in the simulator batch that starts the event;
+--                    a replayed batch finds its occurrence already recorded
+--                    (unique on cycle, kind, subject and start) and writes
+--                    nothing. Rows are never updated.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Fully non-destructive: one table is ADDED; no existing row is touched.
+--     Events that happened before this migration are simply not in the feed.
+--   * If the table already exists, its shape is verified explicitly; an
+--     incompatible pre-existing table aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+DECLARE
+  incompatible text[];
+BEGIN
+  IF to_regclass('public.apocalypse_cycles') IS NULL THEN
+    RAISE EXCEPTION 'migration 021: apocalypse_cycles does not exist. Apply migration 007 first.';
+  END IF;
+  IF to_regclass('public.market_sectors') IS NULL THEN
+    RAISE EXCEPTION 'migration 021: market_sectors does not exist. Apply migration 019 first.';
+  END IF;
+
+  IF to_regclass('public.market_events') IS NOT NULL THEN
+    SELECT array_agg(problem) INTO incompatible FROM (
+      SELECT 'missing or wrong column: ' || expected.name AS problem
+      FROM (VALUES
+        ('event_id',   'integer',                  'NO'),
+        ('cycle_id',   'integer',                  'NO'),
+        ('event_kind', 'character varying',        'NO'),
+        ('event_type', 'character varying',        'NO'),
+        ('coin_id',    'integer',                  'YES'),
+        ('sector',     'character varying',        'YES'),
+        ('headline',   'text',                     'NO'),
+        ('effect',     'character varying',        'NO'),
+        ('started_at', 'timestamp with time zone', 'NO'),
+        ('ends_at',    'timestamp with time zone', 'NO'),
+        ('created_at', 'timestamp with time zone', 'NO')
+      ) AS expected(name, dtype, nullable)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = 'market_events'
+          AND c.column_name = expected.name
+          AND c.data_type = expected.dtype
+          AND c.is_nullable = expected.nullable
+      )
+      UNION ALL
+      SELECT 'missing foreign key cycle_id -> apocalypse_cycles'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_events'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.apocalypse_cycles'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (cycle_id)%'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: event_kind catalogue'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_events'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'event_kind.*MARKET_CYCLE.*SECTOR_EVENT'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: event subject matches its kind'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_events'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'coin_id IS NOT NULL'
+      )
+      UNION ALL
+      SELECT 'missing unique index market_events_occurrence'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_indexes
+        WHERE schemaname = 'public' AND tablename = 'market_events'
+          AND indexname = 'market_events_occurrence'
+          AND indexdef ILIKE 'CREATE UNIQUE INDEX%'
+      )
+    ) problems;
+
+    IF incompatible IS NOT NULL THEN
+      RAISE EXCEPTION 'migration 021: existing market_events table is INCOMPATIBLE — %. Fix or drop the conflicting table manually; the migration will not modify it.', array_to_string(incompatible, '; ');
+    END IF;
+  ELSE
+    CREATE TABLE market_events (
+      event_id   SERIAL PRIMARY KEY,
+      cycle_id   INTEGER NOT NULL REFERENCES apocalypse_cycles(cycle_id),
+      event_kind VARCHAR(20) NOT NULL CHECK (event_kind IN ('MARKET_CYCLE', 'COIN_EVENT', 'SECTOR_EVENT')),
+      event_type VARCHAR(30) NOT NULL,
+      coin_id    INTEGER REFERENCES coins(coin_id),
+      sector     VARCHAR(30) REFERENCES market_sectors(sector),
+      headline   TEXT NOT NULL CHECK (length(headline) > 0),
+      effect     VARCHAR(10) NOT NULL CHECK (effect IN ('POSITIVE', 'NEGATIVE', 'NEUTRAL')),
+      started_at TIMESTAMPTZ NOT NULL,
+      ends_at    TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      CHECK ((event_kind = 'COIN_EVENT') = (coin_id IS NOT NULL)
+         AND (event_kind = 'SECTOR_EVENT') = (sector IS NOT NULL)),
+      CHECK (ends_at > started_at)
+    );
+    -- One row per occurrence: a replayed batch conflicts here and is skipped.
+    CREATE UNIQUE INDEX market_events_occurrence
+      ON market_events (cycle_id, event_kind, (COALESCE(coin_id, 0)), (COALESCE(sector, '')), started_at);
+    -- The public feed reads newest first, optionally for one coin.
+    CREATE INDEX idx_market_events_feed ON market_events (started_at DESC, event_id DESC);
+    CREATE INDEX idx_market_events_coin ON market_events (coin_id, started_at DESC) WHERE coin_id IS NOT NULL;
+  END IF;
+END $$;
@@ -0,0 +1,95 @@
+-- Price batch latency: one row per committed market simulator batch, with
+-- how long each of its phases took (game/marketBatchTimings.js).
+-- Production DDL source of truth for the table. Applied to the test database
+-- by db/seed.js so tests share this exact DDL.
+--
+--   * market_batch_timings  one row per committed updateAllPrices() batch:
+--                             batch_index   the batch within its cycle;
+--                             coin_count    coins the batch priced;
+--                             recomputed    a trade moved a price between
+--                                           the unlocked read and the coin
+--                                           lock, so the batch priced again;
+--                             phases        {phase: milliseconds};
+--                             total_ms      the whole batch;
+--                             coin_lock_ms  how long the coin rows were held
+--                                           locked (part of total_ms).
+--                           Written after the batch commits; rows are never
+--                           updated.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Fully non-destructive: one table is ADDED; no existing row is touched.
+--   * If the table already exists, its shape is verified explicitly; an
+--     incompatible pre-existing table aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+DECLARE
+  incompatible text[];
+BEGIN
+  IF to_regclass('public.apocalypse_cycles') IS NULL THEN
+    RAISE EXCEPTION 'migration 022: apocalypse_cycles does not exist. Apply migration 007 first.';
+  END IF;
+
+  IF to_regclass('public.market_batch_timings') IS NOT NULL THEN
+    SELECT array_agg(problem) INTO incompatible FROM (
+      SELECT 'missing or wrong column: ' || expected.name AS problem
+      FROM (VALUES
+        ('timing_id',    'integer',                  'NO'),
+        ('cycle_id',     'integer',                  'NO'),
+        ('batch_index',  'integer',                  'NO'),
+        ('coin_count',   'integer',                  'NO'),
+        ('recomputed',   'boolean',                  'NO'),
+        ('phases',       'jsonb',                    'NO'),
+        ('total_ms',     'numeric',                  'NO'),
+        ('coin_lock_ms', 'numeric',                  'NO'),
+        ('recorded_at',  'timestamp with time zone', 'NO')
+      ) AS expected(name, dtype, nullable)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = 'market_batch_timings'
+          AND c.column_name = expected.name
+          AND c.data_type = expected.dtype
+          AND c.is_nullable = expected.nullable
+      )
+      UNION ALL
+      SELECT 'missing foreign key cycle_id -> apocalypse_cycles'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_batch_timings'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.apocalypse_cycles'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (cycle_id)%'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: coin_lock_ms <= total_ms'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.market_batch_timings'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'coin_lock_ms <= total_ms'
+      )
+    ) problems;
+
+    IF incompatible IS NOT NULL THEN
+      RAISE EXCEPTION 'migration 022: existing market_batch_timings table is INCOMPATIBLE — %. Fix or drop the conflicting table manually; the migration will not modify it.', array_to_string(incompatible, '; ');
+    END IF;
+  ELSE
+    CREATE TABLE market_batch_timings (
+      timing_id    SERIAL PRIMARY KEY,
+      cycle_id     INTEGER NOT NULL REFERENCES apocalypse_cycles(cycle_id),
+      batch_index  INTEGER NOT NULL CHECK (batch_index >= 0),
+      coin_count   INTEGER NOT NULL CHECK (coin_count >= 0),
+      recomputed   BOOLEAN NOT NULL DEFAULT false,
+      phases       JSONB NOT NULL CHECK (jsonb_typeof(phases) = 'object'),
+      total_ms     NUMERIC(12,3) NOT NULL CHECK (total_ms >= 0),
+      coin_lock_ms NUMERIC(12,3) NOT NULL CHECK (coin_lock_ms >= 0),
+      recorded_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+      CHECK (coin_lock_ms <= total_ms)
+    );
+    -- The public read takes the most recent batches.
+    CREATE INDEX idx_market_batch_timings_recent ON market_batch_timings (recorded_at DESC, timing_id DESC);
+  END IF;
+END $$;
@@ -0,0 +1,124 @@
+-- Resting round orders: limit buys, limit sells, stop-losses and
+-- take-profits on a participant's round holdings (game/gameRoundService.js).
+-- Production DDL source of truth for the table. Applied to the test database
+-- by db/seed.js so tests share this exact DDL.
+--
+--   * apocalypse_orders  one row per order placed by a participant in a
+--                          cycle:
+--                          order_type     LIMIT_BUY fills when the price
+--                                         falls to trigger_price or below;
+--                                         STOP_LOSS sells at or below it;
+--                                         LIMIT_SELL and TAKE_PROFIT sell
+--                                         at or above it;
+--                          quantity       the coins to buy or sell;
+--                          status         OPEN until it is FILLED (through
+--                                         the round ledger, linked by
+--                                         round_transaction_id), CANCELLED
+--                                         (by its owner, a collapse of its
+--                                         coin or the cycle freeze) or
+--                                         REJECTED (the fill failed, e.g.
+--                                         not enough cash); status_reason
+--                                         says why it closed;
+--                          closed_at      when it left OPEN.
+--                          A closed order is never reopened.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Fully non-destructive: one table is ADDED; no existing row is touched.
+--   * If the table already exists, its shape is verified explicitly; an
+--     incompatible pre-existing table aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+DECLARE
+  incompatible text[];
+BEGIN
+  IF to_regclass('public.apocalypse_participants') IS NULL
+     OR to_regclass('public.apocalypse_transactions') IS NULL THEN
+    RAISE EXCEPTION 'migration 023: apocalypse_participants / apocalypse_transactions do not exist. Apply migration 009 first.';
+  END IF;
+
+  IF to_regclass('public.apocalypse_orders') IS NOT NULL THEN
+    SELECT array_agg(problem) INTO incompatible FROM (
+      SELECT 'missing or wrong column: ' || expected.name AS problem
+      FROM (VALUES
+        ('order_id',             'integer',                  'NO'),
+        ('participant_id',       'integer',                  'NO'),
+        ('cycle_id',             'integer',                  'NO'),
+        ('user_id',              'integer',                  'NO'),
+        ('coin_id',              'integer',                  'NO'),
+        ('order_type',           'character varying',        'NO'),
+        ('quantity',             'numeric',                  'NO'),
+        ('trigger_price',        'numeric',                  'NO'),
+        ('status',               'character varying',        'NO'),
+        ('status_reason',        'text',                     'YES'),
+        ('round_transaction_id', 'integer',                  'YES'),
+        ('created_at',           'timestamp with time zone', 'NO'),
+        ('closed_at',            'timestamp with time zone', 'YES')
+      ) AS expected(name, dtype, nullable)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = 'apocalypse_orders'
+          AND c.column_name = expected.name
+          AND c.data_type = expected.dtype
+          AND c.is_nullable = expected.nullable
+      )
+      UNION ALL
+      SELECT 'missing foreign key (participant_id, cycle_id, user_id) -> apocalypse_participants'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.apocalypse_orders'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.apocalypse_participants'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (participant_id, cycle_id, user_id)%'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: order_type roster'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.apocalypse_orders'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'LIMIT_BUY.*LIMIT_SELL.*STOP_LOSS.*TAKE_PROFIT'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: a FILLED order names its round transaction'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.apocalypse_orders'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'round_transaction_id IS NOT NULL'
+      )
+    ) problems;
+
+    IF incompatible IS NOT NULL THEN
+      RAISE EXCEPTION 'migration 023: existing apocalypse_orders table is INCOMPATIBLE — %. Fix or drop the conflicting table manually; the migration will not modify it.', array_to_string(incompatible, '; ');
+    END IF;
+  ELSE
+    CREATE TABLE apocalypse_orders (
+      order_id             SERIAL PRIMARY KEY,
+      participant_id       INTEGER NOT NULL,
+      cycle_id             INTEGER NOT NULL,
+      user_id              INTEGER NOT NULL,
+      coin_id              INTEGER NOT NULL REFERENCES coins(coin_id),
+      order_type           VARCHAR(16) NOT NULL
+                           CHECK (order_type IN ('LIMIT_BUY', 'LIMIT_SELL', 'STOP_LOSS', 'TAKE_PROFIT')),
+      quantity             DECIMAL(18,8) NOT NULL CHECK (quantity > 0),
+      trigger_price        DECIMAL(18,2) NOT NULL CHECK (trigger_price > 0),
+      status               VARCHAR(16) NOT NULL DEFAULT 'OPEN'
+                           CHECK (status IN ('OPEN', 'FILLED', 'CANCELLED', 'REJECTED')),
+      status_reason        TEXT,
+      round_transaction_id INTEGER REFERENCES apocalypse_transactions(round_transaction_id),
+      created_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+      closed_at            TIMESTAMPTZ,
+      FOREIGN KEY (participant_id, cycle_id, user_id)
+        REFERENCES apocalypse_participants(participant_id, cycle_id, user_id),
+      CHECK ((status = 'FILLED') = (round_transaction_id IS NOT NULL)),
+      CHECK ((status = 'OPEN') = (closed_at IS NULL))
+    );
+    -- Evaluation scans a cycle's open orders; players list their own.
+    CREATE INDEX idx_apocalypse_orders_open ON apocalypse_orders (cycle_id, coin_id) WHERE status = 'OPEN';
+    CREATE INDEX idx_apocalypse_orders_participant ON apocalypse_orders (participant_id, order_id DESC);
+  END IF;
+END $$;
@@ -0,0 +1,151 @@
+-- Short positions in rounds (game/gameRoundService.js). Production DDL
+-- source of truth for the table. Applied to the test database by db/seed.js
+-- so tests share this exact DDL.
+--
+--   * apocalypse_short_positions  one row per participant and coin, beside
+--                          apocalypse_holdings:
+--                          quantity    the coins sold short and still owed;
+--                          collateral  the cash held against them: the
+--                                      short sale's proceeds plus the
+--                                      margin taken from current_cash.
+--                                      Covering releases it pro rata;
+--                          a fully covered position keeps its row at
+--                          quantity 0 / collateral 0, like a sold-out
+--                          holding.
+--
+--   * apocalypse_transactions.type  widened from VARCHAR(4) to VARCHAR(8)
+--                          and its CHECK extended from BUY/SELL to
+--                          BUY/SELL/SHORT/COVER, so opening and covering a
+--                          short are ledger entries like any other trade.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Non-destructive: one table is ADDED; the ledger column only widens
+--     and its CHECK only admits more values, so every existing row stays
+--     valid.
+--   * If the table already exists, its shape is verified explicitly; an
+--     incompatible pre-existing table aborts the migration with a clear
+--     error instead of being silently accepted. A ledger already widened
+--     (tracking row lost) makes re-execution a verified no-op.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+DECLARE
+  incompatible text[];
+  type_length integer;
+  stale_check record;
+BEGIN
+  IF to_regclass('public.apocalypse_participants') IS NULL
+     OR to_regclass('public.apocalypse_transactions') IS NULL THEN
+    RAISE EXCEPTION 'migration 024: apocalypse_participants / apocalypse_transactions do not exist. Apply migration 009 first.';
+  END IF;
+
+  -- -- apocalypse_transactions.type -----------------------------------------
+  SELECT c.character_maximum_length INTO type_length
+  FROM information_schema.columns c
+  WHERE c.table_schema = 'public'
+    AND c.table_name = 'apocalypse_transactions'
+    AND c.column_name = 'type'
+    AND c.data_type = 'character varying';
+
+  IF type_length IS NULL THEN
+    RAISE EXCEPTION 'migration 024: apocalypse_transactions.type is missing or not VARCHAR — the Core 4 table shape is INCOMPATIBLE';
+  ELSIF type_length < 8 THEN
+    ALTER TABLE apocalypse_transactions ALTER COLUMN type TYPE VARCHAR(8);
+  END IF;
+
+  FOR stale_check IN
+    SELECT conname FROM pg_constraint
+    WHERE conrelid = 'public.apocalypse_transactions'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) ~ 'BUY.*SELL'
+      AND pg_get_constraintdef(oid) !~ 'SHORT.*COVER'
+  LOOP
+    EXECUTE format('ALTER TABLE apocalypse_transactions DROP CONSTRAINT %I', stale_check.conname);
+  END LOOP;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'public.apocalypse_transactions'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) ~ 'BUY.*SELL.*SHORT.*COVER'
+  ) THEN
+    ALTER TABLE apocalypse_transactions
+      ADD CONSTRAINT apocalypse_transactions_type_check
+      CHECK (type IN ('BUY', 'SELL', 'SHORT', 'COVER'));
+  END IF;
+
+  -- -- apocalypse_short_positions -------------------------------------------
+  IF to_regclass('public.apocalypse_short_positions') IS NOT NULL THEN
+    SELECT array_agg(problem) INTO incompatible FROM (
+      SELECT 'missing or wrong column: ' || expected.name AS problem
+      FROM (VALUES
+        ('short_id',       'integer',                  'NO'),
+        ('participant_id', 'integer',                  'NO'),
+        ('cycle_id',       'integer',                  'NO'),
+        ('user_id',        'integer',                  'NO'),
+        ('coin_id',        'integer',                  'NO'),
+        ('quantity',       'numeric',                  'NO'),
+        ('collateral',     'numeric',                  'NO'),
+        ('created_at',     'timestamp with time zone', 'NO'),
+        ('updated_at',     'timestamp with time zone', 'NO')
+      ) AS expected(name, dtype, nullable)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = 'apocalypse_short_positions'
+          AND c.column_name = expected.name
+          AND c.data_type = expected.dtype
+          AND c.is_nullable = expected.nullable
+      )
+      UNION ALL
+      SELECT 'missing UNIQUE (participant_id, coin_id)'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.apocalypse_short_positions'::regclass
+          AND contype = 'u'
+          AND pg_get_constraintdef(oid) ILIKE 'UNIQUE (participant_id, coin_id)%'
+      )
+      UNION ALL
+      SELECT 'missing foreign key (participant_id, cycle_id, user_id) -> apocalypse_participants'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.apocalypse_short_positions'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.apocalypse_participants'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (participant_id, cycle_id, user_id)%'
+      )
+      UNION ALL
+      SELECT 'missing check constraint: an open short holds collateral, a closed one none'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.apocalypse_short_positions'::regclass
+          AND contype = 'c'
+          AND pg_get_constraintdef(oid) ~ 'quantity = \(?0.*collateral = \(?0'
+      )
+    ) problems;
+
+    IF incompatible IS NOT NULL THEN
+      RAISE EXCEPTION 'migration 024: existing apocalypse_short_positions table is INCOMPATIBLE — %. Fix or drop the conflicting table manually; the migration will not modify it.', array_to_string(incompatible, '; ');
+    END IF;
+  ELSE
+    CREATE TABLE apocalypse_short_positions (
+      short_id       SERIAL PRIMARY KEY,
+      participant_id INTEGER NOT NULL,
+      cycle_id       INTEGER NOT NULL,
+      user_id        INTEGER NOT NULL,
+      coin_id        INTEGER NOT NULL REFERENCES coins(coin_id),
+      quantity       DECIMAL(18, 8) NOT NULL CHECK (quantity >= 0),
+      collateral     DECIMAL(18, 2) NOT NULL CHECK (collateral >= 0),
+      created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+      -- Exactly one logical short per participant/coin, database-enforced.
+      UNIQUE (participant_id, coin_id),
+      FOREIGN KEY (participant_id, cycle_id, user_id)
+        REFERENCES apocalypse_participants (participant_id, cycle_id, user_id),
+      CHECK ((quantity = 0) = (collateral = 0))
+    );
+    -- Settlement force-covers a cycle's open shorts in one statement.
+    CREATE INDEX idx_apocalypse_short_positions_cycle ON apocalypse_short_positions (cycle_id) WHERE quantity > 0;
+  END IF;
+END $$;
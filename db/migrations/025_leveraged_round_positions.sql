@@ -0,0 +1,105 @@
+-- Leveraged round positions (game/gameRoundService.js). Production DDL
+-- source of truth. Applied to the test database by db/seed.js so tests
+-- share this exact DDL.
+--
+--   * apocalypse_holdings.debt  the borrowed notional of a leveraged
+--                          position: the part of its buys' cost not paid
+--                          from round cash. Selling repays it pro rata;
+--                          a position whose value no longer carries its
+--                          participant's debt is liquidated. A holding with
+--                          no coins left owes nothing.
+--
+--   * apocalypse_transactions.type  widened from VARCHAR(8) to VARCHAR(16)
+--                          and its CHECK extended with LIQUIDATION, the
+--                          forced sale of a leveraged position (maintenance
+--                          margin call or settlement).
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Non-destructive: one column is ADDED with a default of 0, so every
+--     existing holding is unleveraged; the ledger column only widens and its
+--     CHECK only admits more values.
+--   * If the column already exists, its shape is verified explicitly; an
+--     incompatible pre-existing column aborts the migration with a clear
+--     error instead of being silently accepted. A schema already migrated
+--     (tracking row lost) makes re-execution a verified no-op.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+DECLARE
+  debt_column record;
+  type_length integer;
+  stale_check record;
+BEGIN
+  IF to_regclass('public.apocalypse_holdings') IS NULL
+     OR to_regclass('public.apocalypse_transactions') IS NULL THEN
+    RAISE EXCEPTION 'migration 025: apocalypse_holdings / apocalypse_transactions do not exist. Apply migration 009 first.';
+  END IF;
+
+  -- -- apocalypse_holdings.debt ---------------------------------------------
+  SELECT c.data_type, c.is_nullable, c.numeric_precision, c.numeric_scale INTO debt_column
+  FROM information_schema.columns c
+  WHERE c.table_schema = 'public'
+    AND c.table_name = 'apocalypse_holdings'
+    AND c.column_name = 'debt';
+
+  IF NOT FOUND THEN
+    ALTER TABLE apocalypse_holdings
+      ADD COLUMN debt DECIMAL(18, 2) NOT NULL DEFAULT 0 CHECK (debt >= 0);
+  ELSIF debt_column.data_type <> 'numeric' OR debt_column.is_nullable <> 'NO'
+        OR debt_column.numeric_precision <> 18 OR debt_column.numeric_scale <> 2 THEN
+    RAISE EXCEPTION 'migration 025: existing apocalypse_holdings.debt is INCOMPATIBLE — % (nullable %); expected numeric(18,2) NOT NULL. Fix or drop the conflicting column manually; the migration will not modify it.', debt_column.data_type, debt_column.is_nullable;
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'public.apocalypse_holdings'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) ~ 'debt >= \(?0'
+  ) THEN
+    RAISE EXCEPTION 'migration 025: existing apocalypse_holdings.debt is INCOMPATIBLE — missing check constraint debt >= 0. Fix or drop the conflicting column manually; the migration will not modify it.';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'public.apocalypse_holdings'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) ~ 'debt = \(?0.*quantity > \(?0'
+  ) THEN
+    ALTER TABLE apocalypse_holdings
+      ADD CONSTRAINT apocalypse_holdings_debt_needs_quantity CHECK (debt = 0 OR quantity > 0);
+  END IF;
+
+  -- -- apocalypse_transactions.type -----------------------------------------
+  SELECT c.character_maximum_length INTO type_length
+  FROM information_schema.columns c
+  WHERE c.table_schema = 'public'
+    AND c.table_name = 'apocalypse_transactions'
+    AND c.column_name = 'type'
+    AND c.data_type = 'character varying';
+
+  IF type_length IS NULL THEN
+    RAISE EXCEPTION 'migration 025: apocalypse_transactions.type is missing or not VARCHAR — the Core 4 table shape is INCOMPATIBLE';
+  ELSIF type_length < 16 THEN
+    ALTER TABLE apocalypse_transactions ALTER COLUMN type TYPE VARCHAR(16);
+  END IF;
+
+  FOR stale_check IN
+    SELECT conname FROM pg_constraint
+    WHERE conrelid = 'public.apocalypse_transactions'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) ~ 'BUY.*SELL'
+      AND pg_get_constraintdef(oid) !~ 'LIQUIDATION'
+  LOOP
+    EXECUTE format('ALTER TABLE apocalypse_transactions DROP CONSTRAINT %I', stale_check.conname);
+  END LOOP;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'public.apocalypse_transactions'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) ~ 'BUY.*SELL.*SHORT.*COVER.*LIQUIDATION'
+  ) THEN
+    ALTER TABLE apocalypse_transactions
+      ADD CONSTRAINT apocalypse_transactions_type_check
+      CHECK (type IN ('BUY', 'SELL', 'SHORT', 'COVER', 'LIQUIDATION'));
+  END IF;
+END $$;
@@ -0,0 +1,67 @@
+-- Rotating game-mode presets (game/gameModes.js). Production DDL source of
+-- truth. Applied to the test database by db/seed.js so tests share this
+-- exact DDL.
+--
+--   * apocalypse_cycles.game_mode         the preset the cycle runs, picked
+--                          from the configured rotation when the cycle is
+--                          created. The catalogue lives in the application;
+--                          the database only pins the name's format.
+--   * apocalypse_cycles.game_mode_params  the preset's parameters as a JSON
+--                          object, persisted so the collapse schedule,
+--                          starting cash, volatility and settlement of the
+--                          cycle never depend on the current rotation.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Fully non-destructive: two columns are ADDED. The defaults put every
+--     existing cycle on the standard mode with no stored parameters —
+--     exactly the pre-mode game.
+--   * If a column already exists, its shape is verified explicitly; an
+--     incompatible pre-existing column aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+BEGIN
+  IF to_regclass('public.apocalypse_cycles') IS NULL THEN
+    RAISE EXCEPTION 'migration 026: apocalypse_cycles does not exist. Apply migration 007 first.';
+  END IF;
+
+  -- -- apocalypse_cycles.game_mode -------------------------------------------
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'apocalypse_cycles' AND column_name = 'game_mode'
+  ) THEN
+    ALTER TABLE apocalypse_cycles
+      ADD COLUMN game_mode VARCHAR(32) NOT NULL DEFAULT 'standard'
+      CONSTRAINT apocalypse_cycles_game_mode_check
+      CHECK (game_mode ~ '^[a-z][a-z0-9_]*$');
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'apocalypse_cycles' AND column_name = 'game_mode'
+      AND data_type = 'character varying' AND character_maximum_length = 32 AND is_nullable = 'NO'
+  ) OR NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'public.apocalypse_cycles'::regclass AND contype = 'c'
+      AND pg_get_constraintdef(oid) ~ 'game_mode\)?(::text)? ~'
+  ) THEN
+    RAISE EXCEPTION 'migration 026: apocalypse_cycles.game_mode already exists with an INCOMPATIBLE shape — expected varchar(32) NOT NULL with the name CHECK. Fix it manually; the migration will not modify it.';
+  END IF;
+
+  -- -- apocalypse_cycles.game_mode_params ------------------------------------
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'apocalypse_cycles' AND column_name = 'game_mode_params'
+  ) THEN
+    ALTER TABLE apocalypse_cycles
+      ADD COLUMN game_mode_params JSONB NOT NULL DEFAULT '{}'::jsonb
+      CONSTRAINT apocalypse_cycles_game_mode_params_check
+      CHECK (jsonb_typeof(game_mode_params) = 'object');
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'apocalypse_cycles' AND column_name = 'game_mode_params'
+      AND data_type = 'jsonb' AND is_nullable = 'NO'
+  ) THEN
+    RAISE EXCEPTION 'migration 026: apocalypse_cycles.game_mode_params already exists with an INCOMPATIBLE shape — expected jsonb NOT NULL. Fix it manually; the migration will not modify it.';
+  END IF;
+END $$;
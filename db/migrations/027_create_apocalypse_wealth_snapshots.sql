@@ -0,0 +1,87 @@
+-- Per-participant wealth curves (game/gameRoundService.js
+-- reconcileActivePeaks). Production DDL source of truth for the table.
+-- Applied to the test database by db/seed.js so tests share this exact DDL.
+--
+--   * apocalypse_wealth_snapshots  one compact row per ACTIVE participant of
+--                          the ACTIVE cycle per market price batch:
+--                          wealth       the participant's live wealth at
+--                                       the batch's prices (cash + holdings
+--                                       − debt + open shorts), the same
+--                                       figure that lifts peak_wealth. It
+--                                       can be negative while a leveraged
+--                                       position awaits liquidation;
+--                          recorded_at  the batch's transaction time, the
+--                                       created_at of its price points.
+--                          Unique per participant and time, so a batch
+--                          writes each participant once. Rows are never
+--                          updated.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Fully non-destructive: one table is ADDED; no existing row is touched.
+--     Rounds played before this migration simply have no curve.
+--   * If the table already exists, its shape is verified explicitly; an
+--     incompatible pre-existing table aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+DECLARE
+  incompatible text[];
+BEGIN
+  IF to_regclass('public.apocalypse_participants') IS NULL THEN
+    RAISE EXCEPTION 'migration 027: apocalypse_participants does not exist. Apply migration 009 first.';
+  END IF;
+
+  IF to_regclass('public.apocalypse_wealth_snapshots') IS NOT NULL THEN
+    SELECT array_agg(problem) INTO incompatible FROM (
+      SELECT 'missing or wrong column: ' || expected.name AS problem
+      FROM (VALUES
+        ('snapshot_id',    'bigint',                   'NO'),
+        ('participant_id', 'integer',                  'NO'),
+        ('wealth',         'numeric',                  'NO'),
+        ('recorded_at',    'timestamp with time zone', 'NO')
+      ) AS expected(name, dtype, nullable)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM information_schema.columns c
+        WHERE c.table_schema = 'public'
+          AND c.table_name = 'apocalypse_wealth_snapshots'
+          AND c.column_name = expected.name
+          AND c.data_type = expected.dtype
+          AND c.is_nullable = expected.nullable
+      )
+      UNION ALL
+      SELECT 'missing foreign key participant_id -> apocalypse_participants'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'public.apocalypse_wealth_snapshots'::regclass
+          AND contype = 'f'
+          AND confrelid = 'public.apocalypse_participants'::regclass
+          AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (participant_id)%'
+      )
+      UNION ALL
+      SELECT 'missing unique index apocalypse_wealth_snapshots_batch'
+      WHERE NOT EXISTS (
+        SELECT 1 FROM pg_indexes
+        WHERE schemaname = 'public' AND tablename = 'apocalypse_wealth_snapshots'
+          AND indexname = 'apocalypse_wealth_snapshots_batch'
+          AND indexdef ILIKE 'CREATE UNIQUE INDEX%'
+      )
+    ) problems;
+
+    IF incompatible IS NOT NULL THEN
+      RAISE EXCEPTION 'migration 027: existing apocalypse_wealth_snapshots table is INCOMPATIBLE — %. Fix or drop the conflicting table manually; the migration will not modify it.', array_to_string(incompatible, '; ');
+    END IF;
+  ELSE
+    CREATE TABLE apocalypse_wealth_snapshots (
+      snapshot_id    BIGSERIAL PRIMARY KEY,
+      participant_id INTEGER NOT NULL REFERENCES apocalypse_participants(participant_id),
+      wealth         DECIMAL(18, 2) NOT NULL,
+      recorded_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    -- One snapshot per participant per batch; also serves the curve read,
+    -- which is one participant's rows in time order.
+    CREATE UNIQUE INDEX apocalypse_wealth_snapshots_batch
+      ON apocalypse_wealth_snapshots (participant_id, recorded_at);
+  END IF;
+END $$;
@@ -0,0 +1,54 @@
+-- Distress-triggered stop-losses (game/gameRoundService.js). Production DDL
+-- source of truth. Applied to the test database by db/seed.js so tests
+-- share this exact DDL.
+--
+--   * apocalypse_orders.distress_level  an optional second trigger on a
+--                          STOP_LOSS: the order also sells once its coin's
+--                          public distress signal (game/distressSignals.js)
+--                          reaches this level, 1 to 3. A collapse moves a
+--                          coin straight to £0, so a price trigger alone can
+--                          never fire before one; the signal can. NULL on
+--                          every other order, and on a plain stop-loss.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Non-destructive: one nullable column is ADDED, so every existing order
+--     keeps its price trigger only.
+--   * If the column already exists, its shape is verified explicitly; an
+--     incompatible pre-existing column aborts the migration with a clear
+--     error instead of being silently accepted. A schema already migrated
+--     (tracking row lost) makes re-execution a verified no-op.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+DECLARE
+  level_column record;
+BEGIN
+  IF to_regclass('public.apocalypse_orders') IS NULL THEN
+    RAISE EXCEPTION 'migration 028: apocalypse_orders does not exist. Apply migration 023 first.';
+  END IF;
+
+  SELECT c.data_type, c.is_nullable INTO level_column
+  FROM information_schema.columns c
+  WHERE c.table_schema = 'public'
+    AND c.table_name = 'apocalypse_orders'
+    AND c.column_name = 'distress_level';
+
+  IF NOT FOUND THEN
+    ALTER TABLE apocalypse_orders ADD COLUMN distress_level SMALLINT;
+  ELSIF level_column.data_type <> 'smallint' OR level_column.is_nullable <> 'YES' THEN
+    RAISE EXCEPTION 'migration 028: existing apocalypse_orders.distress_level is INCOMPATIBLE — % (nullable %); expected a nullable smallint. Fix or drop the conflicting column manually; the migration will not modify it.', level_column.data_type, level_column.is_nullable;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'public.apocalypse_orders'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) ~ 'distress_level IS NULL.*STOP_LOSS.*distress_level >= 1.*distress_level <= 3'
+  ) THEN
+    ALTER TABLE apocalypse_orders
+      ADD CONSTRAINT apocalypse_orders_distress_level_check
+      CHECK (distress_level IS NULL
+             OR (order_type = 'STOP_LOSS' AND distress_level >= 1 AND distress_level <= 3));
+  END IF;
+END $$;
@@ -0,0 +1,53 @@
+-- Market impact precision: the unrounded price a player trade left a coin
+-- at (game/marketImpact.js). Production DDL source of truth for the column.
+-- Applied to the test database by db/seed.js so tests share this exact DDL.
+--
+--   * coins.impact_price  the post-trade pool price to 8 decimal places.
+--                         coins.current_price holds only 2, so a small trade
+--                         on a cheap coin moved the price by less than a
+--                         penny, left it unchanged and paid no impact; every
+--                         slice of a split order then quoted from the same
+--                         price. The next trade quotes from impact_price
+--                         while it still rounds to current_price, i.e. until
+--                         a price batch, event or collapse moves the coin.
+--                         NULL until a trade moves the coin.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Fully non-destructive: one nullable column is ADDED to coins; every
+--     coin keeps quoting from its current_price until its next trade.
+--   * If the column already exists, its shape is verified explicitly; an
+--     incompatible pre-existing column aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+DECLARE
+  impact_column record;
+BEGIN
+  IF to_regclass('public.coins') IS NULL THEN
+    RAISE EXCEPTION 'migration 029: public.coins does not exist — the Coins schema is missing entirely';
+  END IF;
+
+  SELECT c.data_type, c.numeric_scale, c.is_nullable INTO impact_column
+  FROM information_schema.columns c
+  WHERE c.table_schema = 'public'
+    AND c.table_name = 'coins'
+    AND c.column_name = 'impact_price';
+
+  IF NOT FOUND THEN
+    ALTER TABLE coins
+      ADD COLUMN impact_price NUMERIC(20, 8)
+      CONSTRAINT coins_impact_price_check CHECK (impact_price > 0);
+  ELSIF impact_column.data_type <> 'numeric' OR impact_column.numeric_scale IS DISTINCT FROM 8
+        OR impact_column.is_nullable <> 'YES' THEN
+    RAISE EXCEPTION 'migration 029: existing coins.impact_price is INCOMPATIBLE — % (scale %, nullable %); expected a nullable numeric with 8 decimal places. Fix or drop the conflicting column manually; the migration will not modify it.', impact_column.data_type, impact_column.numeric_scale, impact_column.is_nullable;
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'public.coins'::regclass AND contype = 'c'
+      AND pg_get_constraintdef(oid) ~ 'impact_price > \(?0'
+  ) THEN
+    ALTER TABLE coins
+      ADD CONSTRAINT coins_impact_price_check CHECK (impact_price > 0);
+  END IF;
+END $$;
@@ -0,0 +1,44 @@
+-- Provably-fair eligible coins: the coin set a cycle's collapse schedule was
+-- drawn from (game/collapseScheduleService.js). Production DDL source of
+-- truth for the column. Applied to the test database by db/seed.js so tests
+-- share this exact DDL.
+--
+--   * apocalypse_cycles.eligible_coin_ids  the active coins read when the
+--                          cycle's schedule was created, ascending. The
+--                          fairness disclosure publishes them so the
+--                          schedule re-derives from exactly that set, even
+--                          after the catalogue changes. In a mode that
+--                          spares coins they are more than the scheduled
+--                          ones. NULL for a cycle whose schedule predates
+--                          this migration.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Fully non-destructive: one nullable column is ADDED to
+--     apocalypse_cycles; existing cycles keep NULL.
+--   * If the column already exists, its shape is verified explicitly; an
+--     incompatible pre-existing column aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+DECLARE
+  eligible_column record;
+BEGIN
+  IF to_regclass('public.apocalypse_cycles') IS NULL THEN
+    RAISE EXCEPTION 'migration 030: apocalypse_cycles does not exist. Apply migration 007 first.';
+  END IF;
+
+  SELECT c.data_type, c.udt_name, c.is_nullable INTO eligible_column
+  FROM information_schema.columns c
+  WHERE c.table_schema = 'public'
+    AND c.table_name = 'apocalypse_cycles'
+    AND c.column_name = 'eligible_coin_ids';
+
+  IF NOT FOUND THEN
+    ALTER TABLE apocalypse_cycles
+      ADD COLUMN eligible_coin_ids INTEGER[];
+  ELSIF eligible_column.udt_name <> '_int4' OR eligible_column.is_nullable <> 'YES' THEN
+    RAISE EXCEPTION 'migration 030: existing apocalypse_cycles.eligible_coin_ids is INCOMPATIBLE — % (%, nullable %); expected a nullable integer[]. Fix or drop the conflicting column manually; the migration will not modify it.', eligible_column.data_type, eligible_column.udt_name, eligible_column.is_nullable;
+  END IF;
+END $$;
@@ -0,0 +1,58 @@
+-- Round bad debt (game/gameRoundService.js). Production DDL source of truth.
+-- Applied to the test database by db/seed.js so tests share this exact DDL.
+--
+--   * apocalypse_participants.bad_debt  what a participant's forced sales
+--                          left unpaid: round cash is never negative, so a
+--                          forced cover or liquidation whose cost exceeds
+--                          their cash plus proceeds ends them at £0 and
+--                          writes the rest off. Accumulates over the round
+--                          (margin calls and settlement).
+--   * apocalypse_results.bad_debt  the participant's bad_debt at
+--                          settlement, snapshotted with the rest of the
+--                          result.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Non-destructive: one column is ADDED to each table with a default of
+--     0, so every existing participant and result wrote nothing off. The
+--     results' immutability trigger only rejects UPDATE and DELETE.
+--   * If a column already exists, its shape is verified explicitly; an
+--     incompatible pre-existing column aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+DECLARE
+  target text;
+  bad_debt_column record;
+BEGIN
+  IF to_regclass('public.apocalypse_participants') IS NULL
+     OR to_regclass('public.apocalypse_results') IS NULL THEN
+    RAISE EXCEPTION 'migration 031: apocalypse_participants / apocalypse_results do not exist. Apply migrations 009 and 011 first.';
+  END IF;
+
+  FOREACH target IN ARRAY ARRAY['apocalypse_participants', 'apocalypse_results'] LOOP
+    SELECT c.data_type, c.is_nullable, c.numeric_precision, c.numeric_scale INTO bad_debt_column
+    FROM information_schema.columns c
+    WHERE c.table_schema = 'public'
+      AND c.table_name = target
+      AND c.column_name = 'bad_debt';
+
+    IF NOT FOUND THEN
+      EXECUTE format(
+        'ALTER TABLE %I ADD COLUMN bad_debt DECIMAL(18, 2) NOT NULL DEFAULT 0 CONSTRAINT %I CHECK (bad_debt >= 0)',
+        target, target || '_bad_debt_check'
+      );
+    ELSIF bad_debt_column.data_type <> 'numeric' OR bad_debt_column.is_nullable <> 'NO'
+          OR bad_debt_column.numeric_precision <> 18 OR bad_debt_column.numeric_scale <> 2 THEN
+      RAISE EXCEPTION 'migration 031: existing %.bad_debt is INCOMPATIBLE — % (nullable %); expected numeric(18,2) NOT NULL. Fix or drop the conflicting column manually; the migration will not modify it.', target, bad_debt_column.data_type, bad_debt_column.is_nullable;
+    ELSIF NOT EXISTS (
+      SELECT 1 FROM pg_constraint
+      WHERE conrelid = format('public.%I', target)::regclass
+        AND contype = 'c'
+        AND pg_get_constraintdef(oid) ~ 'bad_debt >= \(?0'
+    ) THEN
+      RAISE EXCEPTION 'migration 031: existing %.bad_debt is INCOMPATIBLE — missing check constraint bad_debt >= 0. Fix or drop the conflicting column manually; the migration will not modify it.', target;
+    END IF;
+  END LOOP;
+END $$;
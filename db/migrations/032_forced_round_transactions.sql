@@ -0,0 +1,74 @@
+-- Forced round transactions (game/gameRoundService.js). Production DDL source
+-- of truth. Applied to the test database by db/seed.js so tests share this
+-- exact DDL.
+--
+--   * apocalypse_transactions.forced  TRUE for a ledger row the game wrote
+--                          on the participant's behalf: a margin-call or
+--                          settlement LIQUIDATION, or a forced COVER. A
+--                          forced cover shares its type with the player's
+--                          own covers, so the type alone cannot tell them
+--                          apart.
+--   * apocalypse_results.forced_count  the participant's forced rows at
+--                          settlement. trade_count, buy_count and sell_count
+--                          count only the trades the participant placed.
+--
+-- This migration is safe to run against an EXISTING Coins database:
+--   * Non-destructive: one column is ADDED to each table. Existing
+--     LIQUIDATION rows are marked forced, since nothing else writes that
+--     type; an existing forced cover cannot be recognised and stays
+--     unmarked. Existing results keep forced_count 0 and the counts they
+--     were settled with. The results' immutability trigger only rejects
+--     UPDATE and DELETE.
+--   * If a column already exists, its shape is verified explicitly; an
+--     incompatible pre-existing column aborts the migration with a clear
+--     error instead of being silently accepted.
+-- The whole statement batch runs inside a single transaction via
+-- db/migrate.js, so a failure leaves the database unchanged.
+
+DO $$
+DECLARE
+  forced_column record;
+  count_column record;
+BEGIN
+  IF to_regclass('public.apocalypse_transactions') IS NULL
+     OR to_regclass('public.apocalypse_results') IS NULL THEN
+    RAISE EXCEPTION 'migration 032: apocalypse_transactions / apocalypse_results do not exist. Apply migrations 009 and 011 first.';
+  END IF;
+
+  -- -- apocalypse_transactions.forced ----------------------------------------
+  SELECT c.data_type, c.is_nullable INTO forced_column
+  FROM information_schema.columns c
+  WHERE c.table_schema = 'public'
+    AND c.table_name = 'apocalypse_transactions'
+    AND c.column_name = 'forced';
+
+  IF NOT FOUND THEN
+    ALTER TABLE apocalypse_transactions
+      ADD COLUMN forced BOOLEAN NOT NULL DEFAULT FALSE;
+    UPDATE apocalypse_transactions SET forced = TRUE WHERE type = 'LIQUIDATION';
+  ELSIF forced_column.data_type <> 'boolean' OR forced_column.is_nullable <> 'NO' THEN
+    RAISE EXCEPTION 'migration 032: existing apocalypse_transactions.forced is INCOMPATIBLE — % (nullable %); expected boolean NOT NULL. Fix or drop the conflicting column manually; the migration will not modify it.', forced_column.data_type, forced_column.is_nullable;
+  END IF;
+
+  -- -- apocalypse_results.forced_count ---------------------------------------
+  SELECT c.data_type, c.is_nullable INTO count_column
+  FROM information_schema.columns c
+  WHERE c.table_schema = 'public'
+    AND c.table_name = 'apocalypse_results'
+    AND c.column_name = 'forced_count';
+
+  IF NOT FOUND THEN
+    ALTER TABLE apocalypse_results
+      ADD COLUMN forced_count INTEGER NOT NULL DEFAULT 0
+        CONSTRAINT apocalypse_results_forced_count_check CHECK (forced_count >= 0);
+  ELSIF count_column.data_type <> 'integer' OR count_column.is_nullable <> 'NO' THEN
+    RAISE EXCEPTION 'migration 032: existing apocalypse_results.forced_count is INCOMPATIBLE — % (nullable %); expected integer NOT NULL. Fix or drop the conflicting column manually; the migration will not modify it.', count_column.data_type, count_column.is_nullable;
+  ELSIF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'public.apocalypse_results'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) ~ 'forced_count >= \(?0'
+  ) THEN
+    RAISE EXCEPTION 'migration 032: existing apocalypse_results.forced_count is INCOMPATIBLE — missing check constraint forced_count >= 0. Fix or drop the conflicting column manually; the migration will not modify it.';
+  END IF;
+END $$;
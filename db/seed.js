@@ -2,6 +2,8 @@ const db = require('./connection');
 const format = require('pg-format');
 const bcrypt = require('bcrypt');
 const { CurrencyFormatter } = require('../utils/currency-formatter');
+const { resolvePriceModel } = require('../game/priceModels');
+const { DEFAULT_SECTOR, resolveSectorConfig } = require('../game/marketSectors');
 
 const seed = async (shouldEnd = false) => {
   // Hard safety stop: the seed script is destructive (it drops and recreates
@@ -24,15 +26,26 @@ const seed = async (shouldEnd = false) => {
       DROP TABLE IF EXISTS "market_history" CASCADE;
       DROP TABLE IF EXISTS "transactions" CASCADE;
       DROP TABLE IF EXISTS "portfolios" CASCADE;
+      DROP TABLE IF EXISTS "market_events" CASCADE;
+      DROP TABLE IF EXISTS "market_batch_timings" CASCADE;
+      DROP TABLE IF EXISTS "market_sector_active_events" CASCADE;
       DROP TABLE IF EXISTS "coins" CASCADE;
+      DROP TABLE IF EXISTS "market_sectors" CASCADE;
       DROP TABLE IF EXISTS "users" CASCADE;
       DROP TABLE IF EXISTS "coin_statistics" CASCADE;
+      DROP TABLE IF EXISTS "market_coin_active_events" CASCADE;
+      DROP TABLE IF EXISTS "market_coin_profiles" CASCADE;
+      DROP TABLE IF EXISTS "market_state" CASCADE;
       DROP TABLE IF EXISTS "apocalypse_bot_ticks" CASCADE;
       DROP TABLE IF EXISTS "apocalypse_bots" CASCADE;
       DROP TABLE IF EXISTS "apocalypse_results" CASCADE;
+      DROP TABLE IF EXISTS "apocalypse_orders" CASCADE;
+      DROP TABLE IF EXISTS "apocalypse_short_positions" CASCADE;
+      DROP TABLE IF EXISTS "apocalypse_wealth_snapshots" CASCADE;
       DROP TABLE IF EXISTS "apocalypse_transactions" CASCADE;
       DROP TABLE IF EXISTS "apocalypse_holdings" CASCADE;
       DROP TABLE IF EXISTS "apocalypse_participants" CASCADE;
+      DROP TABLE IF EXISTS "coin_collapse_contagion" CASCADE;
       DROP TABLE IF EXISTS "coin_collapse_schedule" CASCADE;
       DROP TABLE IF EXISTS "apocalypse_cycles" CASCADE;
       DROP TABLE IF EXISTS "schema_migrations" CASCADE;
@@ -226,6 +239,174 @@ const seed = async (shouldEnd = false) => {
     );
     await db.query(leaderboardEligibleMigration);
 
+    console.log('📦 Applying market-state migration (db/migrations/016_create_market_simulator_state.sql)...');
+    // Durable market simulator state DDL sourced from the production
+    // migration only.
+    const marketStateMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '016_create_market_simulator_state.sql'),
+      'utf8'
+    );
+    await db.query(marketStateMigration);
+
+    console.log('📦 Applying price-model migration (db/migrations/017_coin_price_models.sql)...');
+    // Per-coin price model DDL sourced from the production migration only.
+    const priceModelMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '017_coin_price_models.sql'),
+      'utf8'
+    );
+    await db.query(priceModelMigration);
+
+    console.log('📦 Applying liquidity migration (db/migrations/018_coin_liquidity.sql)...');
+    // Market-impact liquidity depth DDL sourced from the production
+    // migration only.
+    const liquidityMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '018_coin_liquidity.sql'),
+      'utf8'
+    );
+    await db.query(liquidityMigration);
+
+    console.log('📦 Applying market sector migration (db/migrations/019_market_sectors.sql)...');
+    // Sector catalogue, coins.sector and sector event DDL sourced from the
+    // production migration only.
+    const sectorMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '019_market_sectors.sql'),
+      'utf8'
+    );
+    await db.query(sectorMigration);
+
+    console.log('📦 Applying collapse contagion migration (db/migrations/020_collapse_contagion.sql)...');
+    // Collapse contagion record DDL sourced from the production migration
+    // only.
+    const contagionMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '020_collapse_contagion.sql'),
+      'utf8'
+    );
+    await db.query(contagionMigration);
+
+    console.log('📦 Applying market events migration (db/migrations/021_create_market_events.sql)...');
+    // Market news feed DDL sourced from the production migration only.
+    const marketEventsMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '021_create_market_events.sql'),
+      'utf8'
+    );
+    await db.query(marketEventsMigration);
+
+    console.log('📦 Applying batch timings migration (db/migrations/022_create_market_batch_timings.sql)...');
+    // Price batch latency DDL sourced from the production migration only.
+    const batchTimingsMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '022_create_market_batch_timings.sql'),
+      'utf8'
+    );
+    await db.query(batchTimingsMigration);
+
+    console.log('📦 Applying round orders migration (db/migrations/023_create_apocalypse_orders.sql)...');
+    // Resting round order DDL sourced from the production migration only.
+    const roundOrdersMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '023_create_apocalypse_orders.sql'),
+      'utf8'
+    );
+    await db.query(roundOrdersMigration);
+
+    console.log('📦 Applying short positions migration (db/migrations/024_create_apocalypse_short_positions.sql)...');
+    // Round short positions DDL (and the widened ledger type) sourced from
+    // the production migration only.
+    const shortPositionsMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '024_create_apocalypse_short_positions.sql'),
+      'utf8'
+    );
+    await db.query(shortPositionsMigration);
+
+    console.log('📦 Applying leveraged positions migration (db/migrations/025_leveraged_round_positions.sql)...');
+    // Holding debt and the LIQUIDATION ledger type sourced from the
+    // production migration only.
+    const leveragedPositionsMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '025_leveraged_round_positions.sql'),
+      'utf8'
+    );
+    await db.query(leveragedPositionsMigration);
+
+    console.log('📦 Applying game modes migration (db/migrations/026_cycle_game_modes.sql)...');
+    // The per-cycle game mode columns sourced from the production migration
+    // only.
+    const gameModesMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '026_cycle_game_modes.sql'),
+      'utf8'
+    );
+    await db.query(gameModesMigration);
+
+    console.log('📦 Applying wealth snapshots migration (db/migrations/027_create_apocalypse_wealth_snapshots.sql)...');
+    // Per-participant wealth curve DDL sourced from the production migration
+    // only.
+    const wealthSnapshotsMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '027_create_apocalypse_wealth_snapshots.sql'),
+      'utf8'
+    );
+    await db.query(wealthSnapshotsMigration);
+
+    console.log('📦 Applying stop-loss distress trigger migration (db/migrations/028_stop_loss_distress_trigger.sql)...');
+    // The orders' distress_level column sourced from the production
+    // migration only.
+    const distressTriggerMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '028_stop_loss_distress_trigger.sql'),
+      'utf8'
+    );
+    await db.query(distressTriggerMigration);
+
+    console.log('📦 Applying impact price migration (db/migrations/029_coin_impact_price.sql)...');
+    // The coins' unrounded post-trade price sourced from the production
+    // migration only.
+    const impactPriceMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '029_coin_impact_price.sql'),
+      'utf8'
+    );
+    await db.query(impactPriceMigration);
+
+    console.log('📦 Applying cycle eligible coins migration (db/migrations/030_cycle_eligible_coins.sql)...');
+    // The cycles' eligible coin ids sourced from the production migration
+    // only.
+    const eligibleCoinsMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '030_cycle_eligible_coins.sql'),
+      'utf8'
+    );
+    await db.query(eligibleCoinsMigration);
+
+    console.log('📦 Applying round bad debt migration (db/migrations/031_round_bad_debt.sql)...');
+    // The participants' and results' bad_debt columns sourced from the
+    // production migration only.
+    const badDebtMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '031_round_bad_debt.sql'),
+      'utf8'
+    );
+    await db.query(badDebtMigration);
+
+    console.log('📦 Applying forced round transactions migration (db/migrations/032_forced_round_transactions.sql)...');
+    // The ledger's forced flag and the results' forced_count sourced from
+    // the production migration only.
+    const forcedTransactionsMigration = require('fs').readFileSync(
+      require('path').join(__dirname, 'migrations', '032_forced_round_transactions.sql'),
+      'utf8'
+    );
+    await db.query(forcedTransactionsMigration);
+
+    console.log('📦 Inserting market sectors...');
+    // Sectors beyond the migration's GENERAL; validated here so a bad data
+    // file fails the seed instead of the first price batch.
+    const sectorsData = require(process.env.NODE_ENV === 'test'
+      ? './test_data/sectors.json'
+      : './development_data/sectors.json');
+    const sectorValues = sectorsData.map(({ sector, params }) => {
+      const config = resolveSectorConfig(sector, params);
+      return [config.sector, config.marketCorrelation, config.shockVolatility, config.eventProbability];
+    });
+    if (sectorValues.length > 0) {
+      await db.query(
+        format(
+          'INSERT INTO market_sectors (sector, market_correlation, shock_volatility, event_probability) VALUES %L',
+          sectorValues
+        )
+      );
+    }
+
     console.log('📦 Inserting coins data...');
     // Insert coins data
     const coinsData = require(process.env.NODE_ENV === 'test' 
@@ -236,6 +417,9 @@ const seed = async (shouldEnd = false) => {
       const currentPrice = CurrencyFormatter.convertToNumber(coin.current_price);
       const marketCap = CurrencyFormatter.convertToNumber(coin.market_cap);
       const priceChange = coin.price_change_24h ? CurrencyFormatter.convertToNumber(coin.price_change_24h) : null;
+      // Optional per-coin price model; validated here so a bad data file
+      // fails the seed instead of the first price batch.
+      const priceModel = resolvePriceModel(coin.price_model, coin.price_model_params);
 
       return [
         coin.name,
@@ -247,13 +431,16 @@ const seed = async (shouldEnd = false) => {
         coin.founder,
         // Core 3: seed the durable restoration baseline with the initial
         // price (mirrors the migration 008 backfill for existing rows).
-        currentPrice
+        currentPrice,
+        priceModel.name,
+        JSON.stringify(priceModel.params),
+        coin.sector || DEFAULT_SECTOR
       ];
     });
 
     const insertedCoins = await db.query(
       format(
-        'INSERT INTO coins (name, symbol, current_price, market_cap, circulating_supply, price_change_24h, founder, cycle_baseline_price) VALUES %L RETURNING *',
+        'INSERT INTO coins (name, symbol, current_price, market_cap, circulating_supply, price_change_24h, founder, cycle_baseline_price, price_model, price_model_params, sector) VALUES %L RETURNING *',
         coinValues
       )
     );
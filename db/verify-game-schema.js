@@ -40,12 +40,72 @@
 //     (monetary precision, net_profit identity, rank/count consistency), the
 //     immutability triggers, and live-data invariants (results only on
 //     COMPLETED cycles, gapless 1..N ranks, settled-cycle completeness).
+//   * Market simulator state (migration 016): market_state,
+//     market_coin_profiles and market_coin_active_events — columns, PKs,
+//     FKs, per-cycle uniqueness, CHECK constraints, and live-data invariants
+//     (state only for existing coins/cycles, no inverted windows).
+//   * Per-coin price models (migration 017): coins.price_model (model
+//     catalogue CHECK), coins.price_model_params and
+//     market_coin_profiles.model_state (jsonb objects), and — for live
+//     data — every stored configuration passing the application's
+//     parameter validation (game/priceModels.js).
+//   * Market impact liquidity (migration 018): coins.liquidity_depth
+//     (numeric NOT NULL, CHECK > 0).
+//   * Market sectors (migration 019): market_sectors (parameter range
+//     CHECKs), coins.sector (NOT NULL, FK to market_sectors) and
+//     market_sector_active_events, plus the live-data invariant that sector
+//     events belong to a cycle with a market_state row.
+//   * Collapse contagion (migration 020): coin_collapse_contagion — columns,
+//     FKs, per-collapse uniqueness, CHECK constraints, and the live-data
+//     invariant that contagion only follows an executed collapse.
+//   * Market news feed (migration 021): market_events — columns, FKs, the
+//     kind/subject and window CHECKs, the unique occurrence index, and the
+//     live-data invariant that news belongs to a cycle with a market_state
+//     row.
+//   * Price batch latency (migration 022): market_batch_timings — columns,
+//     the cycle FK, the duration CHECKs, and the live-data invariant that
+//     timings belong to a cycle with a market_state row.
+//   * Resting round orders (migration 023): apocalypse_orders — columns, FKs,
+//     the type/status CHECKs, the open-order index, and the live-data
+//     invariant that no order is left OPEN on a cycle that is no longer
+//     ACTIVE.
+//   * Round short positions (migration 024): apocalypse_short_positions —
+//     columns, FKs, uniqueness, the quantity/collateral CHECKs, the ledger's
+//     widened SHORT/COVER type, and the live-data invariant that settlement
+//     leaves no short open on a cycle that is no longer ACTIVE.
+//   * Leveraged round positions (migration 025): apocalypse_holdings.debt
+//     (numeric NOT NULL DEFAULT 0 and its CHECKs), the ledger's LIQUIDATION
+//     type, and the live-data invariant that settlement leaves no debt on a
+//     settled cycle.
+//   * Game modes (migration 026): apocalypse_cycles.game_mode and
+//     game_mode_params (shape and CHECKs), and the live-data invariant that
+//     every cycle's stored parameters are ones the game will run.
+//   * Wealth curves (migration 027): apocalypse_wealth_snapshots — columns,
+//     the participant FK, the recorded_at default and the unique
+//     per-participant batch index.
+//   * Distress-triggered stop-losses (migration 028):
+//     apocalypse_orders.distress_level (nullable smallint) and its CHECK.
+//   * Market impact precision (migration 029): coins.impact_price
+//     (nullable numeric, 8 decimal places) and its CHECK.
+//   * Eligible coins (migration 030): apocalypse_cycles.eligible_coin_ids
+//     (nullable integer[]), and the live-data invariant that every coin a
+//     cycle scheduled is one it recorded as eligible.
+//   * Round bad debt (migration 031): apocalypse_participants.bad_debt and
+//     apocalypse_results.bad_debt (numeric(18,2) NOT NULL DEFAULT 0 and
+//     their CHECKs), and the live-data invariant that every result carries
+//     its participant's bad debt.
+//   * Forced round transactions (migration 032):
+//     apocalypse_transactions.forced (boolean NOT NULL DEFAULT FALSE),
+//     apocalypse_results.forced_count (integer NOT NULL DEFAULT 0 and its
+//     CHECK), and the live-data invariant that every LIQUIDATION is forced.
 //
 // Exits non-zero with an explicit problem list on any mismatch.
 //
 // Usage: node db/verify-game-schema.js   (uses db/connection env configuration)
 
 const db = require('./connection');
+const { resolvePriceModel } = require('../game/priceModels');
+const { validateModeParams, cycleModeParams } = require('../game/gameModes');
 
 const EXPECTED_COLUMNS = [
   ['cycle_id', 'integer', 'NO'],
@@ -711,7 +771,7 @@ async function verifyRoundState(q, problems) {
   if (tables.rows[0].t && await hasColumns('apocalypse_transactions', ['quantity', 'price', 'total_amount', 'type'])) {
     const badTx = await q(
       `SELECT count(*)::int AS n FROM apocalypse_transactions
-       WHERE quantity <= 0 OR price < 0 OR total_amount < 0 OR type NOT IN ('BUY', 'SELL')`
+       WHERE quantity <= 0 OR price < 0 OR total_amount < 0 OR type NOT IN ('BUY', 'SELL', 'SHORT', 'COVER', 'LIQUIDATION')`
     );
     if (badTx.rows[0].n > 0) problems.push(`INVARIANT VIOLATION: ${badTx.rows[0].n} round transactions with invalid quantity/price/total/type`);
   }
@@ -962,6 +1022,808 @@ async function verifyResults(q, problems) {
   }
 }
 
+// --- Market simulator state (migration 016) --------------------------------
+
+async function verifyMarketState(q, problems) {
+  await verifyCore4Table(q, problems, 'market_state', 'market_state_id', [
+    ['market_state_id', 'integer', 'NO'],
+    ['cycle_id', 'integer', 'NO'],
+    ['market_cycle_type', 'character varying', 'NO'],
+    ['market_cycle_started_at', 'timestamp with time zone', 'NO'],
+    ['market_cycle_ends_at', 'timestamp with time zone', 'NO'],
+    ['update_interval_ms', 'integer', 'NO'],
+    ['last_batch_index', 'integer', 'NO'],
+    ['updated_at', 'timestamp with time zone', 'NO']
+  ], {
+    uniques: ['^UNIQUE \\(cycle_id\\)'],
+    fks: [{ target: 'apocalypse_cycles', pattern: '^FOREIGN KEY \\(cycle_id\\)' }],
+    checks: [
+      { label: 'market_cycle_type catalogue', pattern: 'market_cycle_type.*STRONG_BOOM.*MILD_BOOM.*STRONG_BUST.*MILD_BUST.*STABLE' },
+      { label: 'market_cycle_ends_at > market_cycle_started_at', pattern: 'market_cycle_ends_at > market_cycle_started_at' },
+      { label: 'update_interval_ms > 0', pattern: 'update_interval_ms > \\(??0' },
+      { label: 'last_batch_index >= 0', pattern: 'last_batch_index >= \\(??0' }
+    ],
+    nowDefaults: ['updated_at']
+  });
+
+  await verifyCore4Table(q, problems, 'market_coin_profiles', 'profile_id', [
+    ['profile_id', 'integer', 'NO'],
+    ['cycle_id', 'integer', 'NO'],
+    ['coin_id', 'integer', 'NO'],
+    ['base_volatility', 'double precision', 'NO'],
+    ['initial_price', 'numeric', 'NO'],
+    ['trend_direction', 'smallint', 'NO'],
+    ['trend_strength', 'double precision', 'NO'],
+    ['trend_started_at', 'timestamp with time zone', 'NO'],
+    ['trend_ends_at', 'timestamp with time zone', 'NO'],
+    ['model_state', 'jsonb', 'NO'],
+    ['updated_at', 'timestamp with time zone', 'NO']
+  ], {
+    uniques: ['^UNIQUE \\(cycle_id, coin_id\\)'],
+    fks: [
+      { target: 'apocalypse_cycles', pattern: '^FOREIGN KEY \\(cycle_id\\)' },
+      { target: 'coins', pattern: '^FOREIGN KEY \\(coin_id\\)' }
+    ],
+    checks: [
+      { label: 'base_volatility > 0', pattern: 'base_volatility > \\(??0' },
+      { label: 'initial_price > 0', pattern: 'initial_price > \\(??0' },
+      { label: 'trend_direction IN (-1, 1)', pattern: 'trend_direction' },
+      { label: 'trend_strength >= 0', pattern: 'trend_strength >= \\(??0' },
+      { label: 'trend_ends_at > trend_started_at', pattern: 'trend_ends_at > trend_started_at' },
+      { label: 'model_state is a JSON object', pattern: 'jsonb_typeof\\(model_state\\)' }
+    ],
+    nowDefaults: ['updated_at']
+  });
+
+  await verifyCore4Table(q, problems, 'market_coin_active_events', 'active_event_id', [
+    ['active_event_id', 'integer', 'NO'],
+    ['cycle_id', 'integer', 'NO'],
+    ['coin_id', 'integer', 'NO'],
+    ['event_type', 'character varying', 'NO'],
+    ['started_at', 'timestamp with time zone', 'NO'],
+    ['ends_at', 'timestamp with time zone', 'NO'],
+    ['updated_at', 'timestamp with time zone', 'NO']
+  ], {
+    uniques: ['^UNIQUE \\(cycle_id, coin_id\\)'],
+    fks: [
+      { target: 'apocalypse_cycles', pattern: '^FOREIGN KEY \\(cycle_id\\)' },
+      { target: 'coins', pattern: '^FOREIGN KEY \\(coin_id\\)' }
+    ],
+    checks: [
+      { label: 'event_type catalogue', pattern: 'event_type.*MAJOR_PARTNERSHIP.*RUMOR_NEGATIVE' },
+      { label: 'ends_at > started_at', pattern: 'ends_at > started_at' }
+    ],
+    nowDefaults: ['updated_at']
+  });
+
+  // Live-data invariant: a coin's profile and event belong to a cycle that
+  // has a market_state row (they are written together in one batch).
+  const tables = await q(
+    `SELECT to_regclass('public.market_state') AS s,
+            to_regclass('public.market_coin_profiles') AS p,
+            to_regclass('public.market_coin_active_events') AS e`
+  );
+  if (tables.rows[0].s && tables.rows[0].p && tables.rows[0].e) {
+    const { rows: orphans } = await q(
+      `SELECT count(*)::int AS n FROM (
+         SELECT cycle_id FROM market_coin_profiles
+         UNION
+         SELECT cycle_id FROM market_coin_active_events
+       ) coin_state
+       WHERE NOT EXISTS (SELECT 1 FROM market_state ms WHERE ms.cycle_id = coin_state.cycle_id)`
+    );
+    if (orphans[0].n > 0) {
+      problems.push(`INVARIANT VIOLATION: ${orphans[0].n} cycles with per-coin market state but no market_state row`);
+    }
+  }
+}
+
+// --- Migration 017: per-coin price models ----------------------------------
+
+async function verifyPriceModels(q, problems) {
+  const cols = await q(
+    `SELECT column_name, data_type, is_nullable FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = 'coins'
+       AND column_name IN ('price_model', 'price_model_params')`
+  );
+  const byName = new Map(cols.rows.map((r) => [r.column_name, r]));
+  for (const [name, dtype] of [['price_model', 'character varying'], ['price_model_params', 'jsonb']]) {
+    const col = byName.get(name);
+    if (!col) {
+      problems.push(`missing column: coins.${name} — migration 017 (price models) has not been applied`);
+    } else if (col.data_type !== dtype || col.is_nullable !== 'NO') {
+      problems.push(`column coins.${name}: type ${col.data_type}, nullable=${col.is_nullable}, expected ${dtype} NOT NULL`);
+    }
+  }
+  if (byName.size < 2) return;
+
+  const check = await q(
+    `SELECT pg_get_constraintdef(oid) AS def FROM pg_constraint
+     WHERE conrelid = 'public.coins'::regclass AND contype = 'c'`
+  );
+  if (!check.rows.some((r) => /price_model.*BLENDED.*GBM.*JUMP_DIFFUSION.*REGIME_SWITCHING/.test(r.def))) {
+    problems.push('missing CHECK (price_model IN (...)) on coins');
+  }
+  if (!check.rows.some((r) => /jsonb_typeof\(price_model_params\)/.test(r.def))) {
+    problems.push('missing CHECK (jsonb_typeof(price_model_params) = \'object\') on coins');
+  }
+
+  // Live-data invariant: every stored configuration is one the simulator
+  // will run (the database only pins the model name and the JSON type).
+  const { rows } = await q('SELECT coin_id, price_model, price_model_params FROM coins ORDER BY coin_id');
+  for (const row of rows) {
+    try {
+      resolvePriceModel(row.price_model, row.price_model_params);
+    } catch (err) {
+      problems.push(`INVARIANT VIOLATION: coin ${row.coin_id} has an invalid price model configuration: ${err.message}`);
+    }
+  }
+}
+
+// --- Migration 018: market impact liquidity --------------------------------
+
+async function verifyLiquidity(q, problems) {
+  const col = await q(
+    `SELECT data_type, is_nullable FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = 'coins' AND column_name = 'liquidity_depth'`
+  );
+  if (col.rows.length === 0) {
+    problems.push('missing column: coins.liquidity_depth — migration 018 (market impact) has not been applied');
+    return;
+  }
+  if (col.rows[0].data_type !== 'numeric' || col.rows[0].is_nullable !== 'NO') {
+    problems.push(`column coins.liquidity_depth: type ${col.rows[0].data_type}, nullable=${col.rows[0].is_nullable}, expected numeric NOT NULL`);
+  }
+  const check = await q(
+    `SELECT pg_get_constraintdef(oid) AS def FROM pg_constraint
+     WHERE conrelid = 'public.coins'::regclass AND contype = 'c'`
+  );
+  if (!check.rows.some((r) => /liquidity_depth > \(?0/.test(r.def))) {
+    problems.push('missing CHECK (liquidity_depth > 0) on coins');
+  }
+}
+
+// --- Migration 019: market sectors -----------------------------------------
+
+async function verifySectors(q, problems) {
+  await verifyCore4Table(q, problems, 'market_sectors', 'sector_id', [
+    ['sector_id', 'integer', 'NO'],
+    ['sector', 'character varying', 'NO'],
+    ['market_correlation', 'double precision', 'NO'],
+    ['shock_volatility', 'double precision', 'NO'],
+    ['event_probability', 'double precision', 'NO'],
+    ['updated_at', 'timestamp with time zone', 'NO']
+  ], {
+    uniques: ['^UNIQUE \\(sector\\)'],
+    checks: [
+      { label: 'market_correlation in [0, 1]', pattern: 'market_correlation >= ' },
+      { label: 'shock_volatility in [0, 0.05]', pattern: 'shock_volatility >= ' },
+      { label: 'event_probability in [0, 1]', pattern: 'event_probability >= ' }
+    ],
+    nowDefaults: ['updated_at']
+  });
+
+  const col = await q(
+    `SELECT data_type, is_nullable FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = 'coins' AND column_name = 'sector'`
+  );
+  if (col.rows.length === 0) {
+    problems.push('missing column: coins.sector — migration 019 (market sectors) has not been applied');
+  } else {
+    if (col.rows[0].data_type !== 'character varying' || col.rows[0].is_nullable !== 'NO') {
+      problems.push(`column coins.sector: type ${col.rows[0].data_type}, nullable=${col.rows[0].is_nullable}, expected character varying NOT NULL`);
+    }
+    const fk = await q(
+      `SELECT 1 FROM pg_constraint
+       WHERE conrelid = 'public.coins'::regclass AND contype = 'f'
+         AND confrelid = to_regclass('public.market_sectors')
+         AND pg_get_constraintdef(oid) ILIKE 'FOREIGN KEY (sector)%'`
+    );
+    if (fk.rowCount === 0) {
+      problems.push('missing FOREIGN KEY on coins -> market_sectors: FOREIGN KEY (sector)');
+    }
+  }
+
+  await verifyCore4Table(q, problems, 'market_sector_active_events', 'sector_event_id', [
+    ['sector_event_id', 'integer', 'NO'],
+    ['cycle_id', 'integer', 'NO'],
+    ['sector', 'character varying', 'NO'],
+    ['event_type', 'character varying', 'NO'],
+    ['started_at', 'timestamp with time zone', 'NO'],
+    ['ends_at', 'timestamp with time zone', 'NO'],
+    ['updated_at', 'timestamp with time zone', 'NO']
+  ], {
+    uniques: ['^UNIQUE \\(cycle_id, sector\\)'],
+    fks: [
+      { target: 'apocalypse_cycles', pattern: '^FOREIGN KEY \\(cycle_id\\)' },
+      { target: 'market_sectors', pattern: '^FOREIGN KEY \\(sector\\)' }
+    ],
+    checks: [
+      { label: 'event_type catalogue', pattern: 'event_type.*SECTOR_RALLY.*SECTOR_CRACKDOWN' },
+      { label: 'ends_at > started_at', pattern: 'ends_at > started_at' }
+    ],
+    nowDefaults: ['updated_at']
+  });
+
+  // Live-data invariant: sector events are written with the cycle's
+  // market_state row, like the per-coin state.
+  const tables = await q(
+    `SELECT to_regclass('public.market_state') AS s,
+            to_regclass('public.market_sector_active_events') AS e`
+  );
+  if (tables.rows[0].s && tables.rows[0].e) {
+    const { rows: orphans } = await q(
+      `SELECT count(DISTINCT cycle_id)::int AS n FROM market_sector_active_events e
+       WHERE NOT EXISTS (SELECT 1 FROM market_state ms WHERE ms.cycle_id = e.cycle_id)`
+    );
+    if (orphans[0].n > 0) {
+      problems.push(`INVARIANT VIOLATION: ${orphans[0].n} cycles with sector events but no market_state row`);
+    }
+  }
+}
+
+// --- Migration 020: collapse contagion -------------------------------------
+
+async function verifyContagion(q, problems) {
+  await verifyCore4Table(q, problems, 'coin_collapse_contagion', 'contagion_id', [
+    ['contagion_id', 'integer', 'NO'],
+    ['cycle_id', 'integer', 'NO'],
+    ['schedule_id', 'integer', 'NO'],
+    ['source_coin_id', 'integer', 'NO'],
+    ['coin_id', 'integer', 'NO'],
+    ['panic_shock', 'double precision', 'NO'],
+    ['price_before', 'numeric', 'NO'],
+    ['price_after', 'numeric', 'NO'],
+    ['volatility_boost', 'double precision', 'NO'],
+    ['applied_at', 'timestamp with time zone', 'NO'],
+    ['created_at', 'timestamp with time zone', 'NO']
+  ], {
+    uniques: ['^UNIQUE \\(schedule_id, coin_id\\)'],
+    fks: [
+      { target: 'apocalypse_cycles', pattern: '^FOREIGN KEY \\(cycle_id\\)' },
+      { target: 'coin_collapse_schedule', pattern: '^FOREIGN KEY \\(schedule_id\\)' },
+      { target: 'coins', pattern: '^FOREIGN KEY \\(source_coin_id\\)' },
+      { target: 'coins', pattern: '^FOREIGN KEY \\(coin_id\\)' }
+    ],
+    checks: [
+      { label: 'panic_shock in [0, 1)', pattern: 'panic_shock >= ' },
+      { label: 'coin_id <> source_coin_id', pattern: 'coin_id <> source_coin_id' }
+    ],
+    nowDefaults: ['created_at']
+  });
+
+  // Live-data invariant: contagion is written with its collapse, so its
+  // schedule row is executed and names the same cycle and source coin.
+  const tables = await q(
+    `SELECT to_regclass('public.coin_collapse_schedule') AS s,
+            to_regclass('public.coin_collapse_contagion') AS c`
+  );
+  if (tables.rows[0].s && tables.rows[0].c) {
+    const { rows } = await q(
+      `SELECT count(*)::int AS n FROM coin_collapse_contagion cc
+       JOIN coin_collapse_schedule cs ON cs.schedule_id = cc.schedule_id
+       WHERE cs.executed_at IS NULL OR cs.cycle_id <> cc.cycle_id OR cs.coin_id <> cc.source_coin_id`
+    );
+    if (rows[0].n > 0) {
+      problems.push(`INVARIANT VIOLATION: ${rows[0].n} contagion rows do not match an executed collapse of their cycle and source coin`);
+    }
+  }
+}
+
+// --- Migration 021: market news feed ----------------------------------------
+
+async function verifyMarketEvents(q, problems) {
+  await verifyCore4Table(q, problems, 'market_events', 'event_id', [
+    ['event_id', 'integer', 'NO'],
+    ['cycle_id', 'integer', 'NO'],
+    ['event_kind', 'character varying', 'NO'],
+    ['event_type', 'character varying', 'NO'],
+    ['coin_id', 'integer', 'YES'],
+    ['sector', 'character varying', 'YES'],
+    ['headline', 'text', 'NO'],
+    ['effect', 'character varying', 'NO'],
+    ['started_at', 'timestamp with time zone', 'NO'],
+    ['ends_at', 'timestamp with time zone', 'NO'],
+    ['created_at', 'timestamp with time zone', 'NO']
+  ], {
+    fks: [
+      { target: 'apocalypse_cycles', pattern: '^FOREIGN KEY \\(cycle_id\\)' },
+      { target: 'coins', pattern: '^FOREIGN KEY \\(coin_id\\)' },
+      { target: 'market_sectors', pattern: '^FOREIGN KEY \\(sector\\)' }
+    ],
+    checks: [
+      { label: 'event_kind catalogue', pattern: 'event_kind.*MARKET_CYCLE.*SECTOR_EVENT' },
+      { label: 'effect catalogue', pattern: 'effect.*POSITIVE.*NEUTRAL' },
+      { label: 'event subject matches its kind', pattern: 'coin_id IS NOT NULL' },
+      { label: 'ends_at > started_at', pattern: 'ends_at > started_at' }
+    ],
+    nowDefaults: ['created_at']
+  });
+
+  const table = await q("SELECT to_regclass('public.market_events') AS t, to_regclass('public.market_state') AS s");
+  if (!table.rows[0].t) return;
+
+  // One row per occurrence: the simulator's replay-safe insert depends on it.
+  const idx = await q(
+    `SELECT i.indisunique FROM pg_class c
+     JOIN pg_index i ON i.indexrelid = c.oid
+     WHERE c.relname = 'market_events_occurrence'
+       AND i.indrelid = 'public.market_events'::regclass`
+  );
+  if (idx.rowCount === 0) {
+    problems.push('missing index market_events_occurrence');
+  } else if (!idx.rows[0].indisunique) {
+    problems.push('index market_events_occurrence is not UNIQUE');
+  }
+
+  // Live-data invariant: news is written by the batch that saves the
+  // cycle's market_state.
+  if (table.rows[0].s) {
+    const { rows } = await q(
+      `SELECT count(DISTINCT cycle_id)::int AS n FROM market_events e
+       WHERE NOT EXISTS (SELECT 1 FROM market_state ms WHERE ms.cycle_id = e.cycle_id)`
+    );
+    if (rows[0].n > 0) {
+      problems.push(`INVARIANT VIOLATION: ${rows[0].n} cycles with market events but no market_state row`);
+    }
+  }
+}
+
+async function verifyBatchTimings(q, problems) {
+  await verifyCore4Table(q, problems, 'market_batch_timings', 'timing_id', [
+    ['timing_id', 'integer', 'NO'],
+    ['cycle_id', 'integer', 'NO'],
+    ['batch_index', 'integer', 'NO'],
+    ['coin_count', 'integer', 'NO'],
+    ['recomputed', 'boolean', 'NO'],
+    ['phases', 'jsonb', 'NO'],
+    ['total_ms', 'numeric', 'NO'],
+    ['coin_lock_ms', 'numeric', 'NO'],
+    ['recorded_at', 'timestamp with time zone', 'NO']
+  ], {
+    fks: [
+      { target: 'apocalypse_cycles', pattern: '^FOREIGN KEY \\(cycle_id\\)' }
+    ],
+    checks: [
+      { label: 'batch_index >= 0', pattern: 'batch_index >= 0' },
+      { label: 'phases is an object', pattern: 'jsonb_typeof\\(phases\\)' },
+      { label: 'coin_lock_ms <= total_ms', pattern: 'coin_lock_ms <= total_ms' }
+    ],
+    nowDefaults: ['recorded_at']
+  });
+
+  const table = await q("SELECT to_regclass('public.market_batch_timings') AS t, to_regclass('public.market_state') AS s");
+  if (!table.rows[0].t || !table.rows[0].s) return;
+
+  // Live-data invariant: timings are recorded by a committed batch, which
+  // saved the cycle's market_state.
+  const { rows } = await q(
+    `SELECT count(DISTINCT cycle_id)::int AS n FROM market_batch_timings t
+     WHERE NOT EXISTS (SELECT 1 FROM market_state ms WHERE ms.cycle_id = t.cycle_id)`
+  );
+  if (rows[0].n > 0) {
+    problems.push(`INVARIANT VIOLATION: ${rows[0].n} cycles with batch timings but no market_state row`);
+  }
+}
+
+async function verifyRoundOrders(q, problems) {
+  await verifyCore4Table(q, problems, 'apocalypse_orders', 'order_id', [
+    ['order_id', 'integer', 'NO'],
+    ['participant_id', 'integer', 'NO'],
+    ['cycle_id', 'integer', 'NO'],
+    ['user_id', 'integer', 'NO'],
+    ['coin_id', 'integer', 'NO'],
+    ['order_type', 'character varying', 'NO'],
+    ['quantity', 'numeric', 'NO'],
+    ['trigger_price', 'numeric', 'NO'],
+    ['status', 'character varying', 'NO'],
+    ['status_reason', 'text', 'YES'],
+    ['round_transaction_id', 'integer', 'YES'],
+    ['created_at', 'timestamp with time zone', 'NO'],
+    ['closed_at', 'timestamp with time zone', 'YES']
+  ], {
+    fks: [
+      { target: 'apocalypse_participants', pattern: '^FOREIGN KEY \\(participant_id, cycle_id, user_id\\)' },
+      { target: 'coins', pattern: '^FOREIGN KEY \\(coin_id\\)' },
+      { target: 'apocalypse_transactions', pattern: '^FOREIGN KEY \\(round_transaction_id\\)' }
+    ],
+    checks: [
+      { label: 'order_type roster', pattern: 'LIMIT_BUY.*LIMIT_SELL.*STOP_LOSS.*TAKE_PROFIT' },
+      { label: 'status roster', pattern: 'OPEN.*FILLED.*CANCELLED.*REJECTED' },
+      { label: 'quantity > 0', pattern: 'quantity > \\(??0' },
+      { label: 'trigger_price > 0', pattern: 'trigger_price > \\(??0' },
+      { label: 'a FILLED order names its round transaction', pattern: 'round_transaction_id IS NOT NULL' },
+      { label: 'only a closed order has closed_at', pattern: 'closed_at IS NULL' }
+    ],
+    nowDefaults: ['created_at']
+  });
+
+  const table = await q("SELECT to_regclass('public.apocalypse_orders') AS t");
+  if (!table.rows[0].t) return;
+  const idx = await q(
+    `SELECT 1 FROM pg_class c
+     JOIN pg_index i ON i.indexrelid = c.oid
+     WHERE c.relname = 'idx_apocalypse_orders_open' AND i.indrelid = to_regclass('public.apocalypse_orders')`
+  );
+  if (idx.rowCount === 0) problems.push('missing index idx_apocalypse_orders_open');
+
+  // Live-data invariant: the freeze cancels every open order of its cycle.
+  const { rows } = await q(
+    `SELECT count(*)::int AS n FROM apocalypse_orders o
+     JOIN apocalypse_cycles ac ON ac.cycle_id = o.cycle_id
+     WHERE o.status = 'OPEN' AND ac.status <> 'ACTIVE'`
+  );
+  if (rows[0].n > 0) {
+    problems.push(`INVARIANT VIOLATION: ${rows[0].n} open orders on cycles that are no longer ACTIVE`);
+  }
+}
+
+async function verifyShortPositions(q, problems) {
+  await verifyCore4Table(q, problems, 'apocalypse_short_positions', 'short_id', [
+    ['short_id', 'integer', 'NO'],
+    ['participant_id', 'integer', 'NO'],
+    ['cycle_id', 'integer', 'NO'],
+    ['user_id', 'integer', 'NO'],
+    ['coin_id', 'integer', 'NO'],
+    ['quantity', 'numeric', 'NO'],
+    ['collateral', 'numeric', 'NO'],
+    ['created_at', 'timestamp with time zone', 'NO'],
+    ['updated_at', 'timestamp with time zone', 'NO']
+  ], {
+    uniques: ['^UNIQUE \\(participant_id, coin_id\\)'],
+    fks: [
+      { target: 'apocalypse_participants', pattern: '^FOREIGN KEY \\(participant_id, cycle_id, user_id\\)' },
+      { target: 'coins', pattern: '^FOREIGN KEY \\(coin_id\\)' }
+    ],
+    checks: [
+      { label: 'quantity >= 0', pattern: 'quantity >= \\(??0' },
+      { label: 'collateral >= 0', pattern: 'collateral >= \\(??0' },
+      { label: 'an open short holds collateral, a closed one none', pattern: 'quantity = \\(??0.*collateral = \\(??0' }
+    ],
+    nowDefaults: ['created_at', 'updated_at']
+  });
+
+  // The ledger records opening and covering a short.
+  const { rows: typeColumn } = await q(
+    `SELECT character_maximum_length FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = 'apocalypse_transactions' AND column_name = 'type'`
+  );
+  if (typeColumn.length > 0 && Number(typeColumn[0].character_maximum_length) < 5) {
+    problems.push(`wrong column type on apocalypse_transactions: type must hold SHORT/COVER (found VARCHAR(${typeColumn[0].character_maximum_length}))`);
+  }
+  const { rows: typeCheck } = await q(
+    `SELECT 1 FROM pg_constraint
+     WHERE conrelid = to_regclass('public.apocalypse_transactions')
+       AND contype = 'c'
+       AND pg_get_constraintdef(oid) ~ 'BUY.*SELL.*SHORT.*COVER'`
+  );
+  if (typeCheck.length === 0) {
+    problems.push("missing CHECK constraint on apocalypse_transactions: type IN ('BUY', 'SELL', 'SHORT', 'COVER')");
+  }
+
+  const table = await q("SELECT to_regclass('public.apocalypse_short_positions') AS t");
+  if (!table.rows[0].t) return;
+
+  // Live-data invariant: settlement force-covers every short of its cycle.
+  const { rows } = await q(
+    `SELECT count(*)::int AS n FROM apocalypse_short_positions s
+     JOIN apocalypse_cycles ac ON ac.cycle_id = s.cycle_id
+     WHERE s.quantity > 0 AND ac.status NOT IN ('ACTIVE', 'SETTLING')`
+  );
+  if (rows[0].n > 0) {
+    problems.push(`INVARIANT VIOLATION: ${rows[0].n} open short positions on settled cycles`);
+  }
+}
+
+async function verifyLeverage(q, problems) {
+  const { rows: debtColumn } = await q(
+    `SELECT data_type, is_nullable, column_default, numeric_precision, numeric_scale
+     FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = 'apocalypse_holdings' AND column_name = 'debt'`
+  );
+  if (debtColumn.length === 0) {
+    problems.push('missing column: apocalypse_holdings.debt');
+  } else {
+    const column = debtColumn[0];
+    if (column.data_type !== 'numeric' || Number(column.numeric_precision) !== 18 || Number(column.numeric_scale) !== 2) {
+      problems.push(`column apocalypse_holdings.debt: type ${column.data_type}, expected DECIMAL(18,2)`);
+    }
+    if (column.is_nullable !== 'NO') problems.push('column apocalypse_holdings.debt: nullable=YES, expected NO');
+    if (!/^\(?0(\.0+)?\)?(::numeric)?$/.test(column.column_default || '')) {
+      problems.push('column apocalypse_holdings.debt: missing default 0');
+    }
+  }
+
+  const { rows: constraints } = await q(
+    `SELECT conrelid::regclass::text AS tbl, pg_get_constraintdef(oid) AS def
+     FROM pg_constraint
+     WHERE contype = 'c'
+       AND conrelid IN (to_regclass('public.apocalypse_holdings'), to_regclass('public.apocalypse_transactions'))`
+  );
+  for (const { table, label, pattern } of [
+    { table: 'apocalypse_holdings', label: 'debt >= 0', pattern: 'debt >= \\(?0' },
+    { table: 'apocalypse_holdings', label: 'debt = 0 OR quantity > 0', pattern: 'debt = \\(?0.*quantity > \\(?0' },
+    { table: 'apocalypse_transactions', label: "type IN ('BUY', 'SELL', 'SHORT', 'COVER', 'LIQUIDATION')", pattern: 'BUY.*SELL.*SHORT.*COVER.*LIQUIDATION' }
+  ]) {
+    if (!constraints.some((r) => r.tbl === table && new RegExp(pattern).test(r.def))) {
+      problems.push(`missing CHECK constraint on ${table}: ${label}`);
+    }
+  }
+
+  if (debtColumn.length === 0) return;
+
+  // Live-data invariant: settlement liquidates every leveraged position of
+  // its cycle.
+  const { rows } = await q(
+    `SELECT count(*)::int AS n FROM apocalypse_holdings h
+     JOIN apocalypse_cycles ac ON ac.cycle_id = h.cycle_id
+     WHERE h.debt > 0 AND ac.status NOT IN ('ACTIVE', 'SETTLING')`
+  );
+  if (rows[0].n > 0) {
+    problems.push(`INVARIANT VIOLATION: ${rows[0].n} leveraged holdings still owing debt on settled cycles`);
+  }
+}
+
+// --- Migration 026: game modes ---------------------------------------------
+async function verifyGameModes(q, problems) {
+  const cols = await q(
+    `SELECT column_name, data_type, is_nullable, character_maximum_length FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = 'apocalypse_cycles'
+       AND column_name IN ('game_mode', 'game_mode_params')`
+  );
+  const byName = new Map(cols.rows.map((r) => [r.column_name, r]));
+  for (const [name, dtype, length] of [['game_mode', 'character varying', 32], ['game_mode_params', 'jsonb', null]]) {
+    const col = byName.get(name);
+    if (!col) {
+      problems.push(`missing column: apocalypse_cycles.${name} — migration 026 (game modes) has not been applied`);
+    } else if (col.data_type !== dtype || col.is_nullable !== 'NO' || (length !== null && Number(col.character_maximum_length) !== length)) {
+      problems.push(`column apocalypse_cycles.${name}: type ${col.data_type}, nullable=${col.is_nullable}, expected ${dtype}${length ? `(${length})` : ''} NOT NULL`);
+    }
+  }
+  if (byName.size < 2) return;
+
+  const check = await q(
+    `SELECT pg_get_constraintdef(oid) AS def FROM pg_constraint
+     WHERE conrelid = 'public.apocalypse_cycles'::regclass AND contype = 'c'`
+  );
+  if (!check.rows.some((r) => /game_mode\)?(::text)? ~/.test(r.def))) {
+    problems.push('missing CHECK (game_mode ~ \'^[a-z][a-z0-9_]*$\') on apocalypse_cycles');
+  }
+  if (!check.rows.some((r) => /jsonb_typeof\(game_mode_params\)/.test(r.def))) {
+    problems.push('missing CHECK (jsonb_typeof(game_mode_params) = \'object\') on apocalypse_cycles');
+  }
+
+  // Live-data invariant: every stored mode is one the game will run (the
+  // database only pins the name format and the JSON type).
+  const { rows } = await q('SELECT apocalypse_id, game_mode, game_mode_params FROM apocalypse_cycles ORDER BY cycle_id');
+  for (const row of rows) {
+    try {
+      validateModeParams(row.game_mode, cycleModeParams(row));
+    } catch (err) {
+      problems.push(`INVARIANT VIOLATION: cycle ${row.apocalypse_id} has invalid game mode parameters: ${err.message}`);
+    }
+  }
+}
+
+// --- Migration 027: wealth curves -------------------------------------------
+async function verifyWealthSnapshots(q, problems) {
+  await verifyCore4Table(q, problems, 'apocalypse_wealth_snapshots', 'snapshot_id', [
+    ['snapshot_id', 'bigint', 'NO'],
+    ['participant_id', 'integer', 'NO'],
+    ['wealth', 'numeric', 'NO'],
+    ['recorded_at', 'timestamp with time zone', 'NO']
+  ], {
+    fks: [
+      { target: 'apocalypse_participants', pattern: '^FOREIGN KEY \\(participant_id\\)' }
+    ],
+    nowDefaults: ['recorded_at']
+  });
+
+  const table = await q("SELECT to_regclass('public.apocalypse_wealth_snapshots') AS t");
+  if (!table.rows[0].t) return;
+
+  // One snapshot per participant per batch: the batch's insert skips a
+  // participant it already recorded.
+  const idx = await q(
+    `SELECT i.indisunique FROM pg_class c
+     JOIN pg_index i ON i.indexrelid = c.oid
+     WHERE c.relname = 'apocalypse_wealth_snapshots_batch'
+       AND i.indrelid = 'public.apocalypse_wealth_snapshots'::regclass`
+  );
+  if (idx.rowCount === 0) {
+    problems.push('missing index apocalypse_wealth_snapshots_batch');
+  } else if (!idx.rows[0].indisunique) {
+    problems.push('index apocalypse_wealth_snapshots_batch is not UNIQUE');
+  }
+}
+
+// --- Migration 028: distress-triggered stop-losses --------------------------
+async function verifyStopLossDistressTrigger(q, problems) {
+  const table = await q("SELECT to_regclass('public.apocalypse_orders') AS t");
+  if (!table.rows[0].t) return;
+
+  const { rows: levelColumn } = await q(
+    `SELECT data_type, is_nullable
+     FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = 'apocalypse_orders' AND column_name = 'distress_level'`
+  );
+  if (levelColumn.length === 0) {
+    problems.push('missing column: apocalypse_orders.distress_level');
+    return;
+  }
+  if (levelColumn[0].data_type !== 'smallint') {
+    problems.push(`column apocalypse_orders.distress_level: type ${levelColumn[0].data_type}, expected smallint`);
+  }
+  if (levelColumn[0].is_nullable !== 'YES') {
+    problems.push('column apocalypse_orders.distress_level: nullable=NO, expected YES');
+  }
+
+  const { rows: constraints } = await q(
+    `SELECT pg_get_constraintdef(oid) AS def FROM pg_constraint
+     WHERE contype = 'c' AND conrelid = 'public.apocalypse_orders'::regclass`
+  );
+  if (!constraints.some((r) => /distress_level IS NULL.*STOP_LOSS.*distress_level >= 1.*distress_level <= 3/.test(r.def))) {
+    problems.push("missing CHECK constraint on apocalypse_orders: distress_level only on a STOP_LOSS, 1 to 3");
+  }
+}
+
+// --- Migration 029: market impact precision --------------------------------
+
+async function verifyImpactPrice(q, problems) {
+  const col = await q(
+    `SELECT data_type, numeric_scale, is_nullable FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = 'coins' AND column_name = 'impact_price'`
+  );
+  if (col.rows.length === 0) {
+    problems.push('missing column: coins.impact_price — migration 029 (market impact precision) has not been applied');
+    return;
+  }
+  const { data_type: type, numeric_scale: scale, is_nullable: nullable } = col.rows[0];
+  if (type !== 'numeric' || Number(scale) !== 8 || nullable !== 'YES') {
+    problems.push(`column coins.impact_price: type ${type}, scale ${scale}, nullable=${nullable}, expected nullable numeric with scale 8`);
+  }
+  const check = await q(
+    `SELECT pg_get_constraintdef(oid) AS def FROM pg_constraint
+     WHERE conrelid = 'public.coins'::regclass AND contype = 'c'`
+  );
+  if (!check.rows.some((r) => /impact_price > \(?0/.test(r.def))) {
+    problems.push('missing CHECK (impact_price > 0) on coins');
+  }
+}
+
+// --- Migration 030: eligible coins -----------------------------------------
+
+async function verifyEligibleCoins(q, problems) {
+  const col = await q(
+    `SELECT udt_name, is_nullable FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = 'apocalypse_cycles' AND column_name = 'eligible_coin_ids'`
+  );
+  if (col.rows.length === 0) {
+    problems.push('missing column: apocalypse_cycles.eligible_coin_ids — migration 030 (eligible coins) has not been applied');
+    return;
+  }
+  const { udt_name: udt, is_nullable: nullable } = col.rows[0];
+  if (udt !== '_int4' || nullable !== 'YES') {
+    problems.push(`column apocalypse_cycles.eligible_coin_ids: type ${udt}, nullable=${nullable}, expected nullable integer[]`);
+    return;
+  }
+
+  // Live-data invariant: a recorded eligible set covers its schedule. Only
+  // checkable against a schedule table with its cycle and coin columns
+  // (verifyCollapseSchedule reports any other shape).
+  const scheduleColumns = await q(
+    `SELECT count(*)::int AS n FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = 'coin_collapse_schedule'
+       AND column_name IN ('cycle_id', 'coin_id')`
+  );
+  if (scheduleColumns.rows[0].n < 2) return;
+  const { rows } = await q(
+    `SELECT DISTINCT c.apocalypse_id
+     FROM apocalypse_cycles c
+     JOIN coin_collapse_schedule cs ON cs.cycle_id = c.cycle_id
+     WHERE c.eligible_coin_ids IS NOT NULL
+       AND NOT (cs.coin_id = ANY(c.eligible_coin_ids))
+     ORDER BY c.apocalypse_id`
+  );
+  for (const row of rows) {
+    problems.push(`INVARIANT VIOLATION: cycle ${row.apocalypse_id} scheduled a coin missing from its eligible_coin_ids`);
+  }
+}
+
+// --- Migration 031: round bad debt -----------------------------------------
+
+async function verifyBadDebt(q, problems) {
+  const { rows: columns } = await q(
+    `SELECT table_name, data_type, is_nullable, column_default, numeric_precision, numeric_scale
+     FROM information_schema.columns
+     WHERE table_schema = 'public' AND column_name = 'bad_debt'
+       AND table_name IN ('apocalypse_participants', 'apocalypse_results')`
+  );
+  const { rows: constraints } = await q(
+    `SELECT conrelid::regclass::text AS tbl, pg_get_constraintdef(oid) AS def
+     FROM pg_constraint
+     WHERE contype = 'c'
+       AND conrelid IN (to_regclass('public.apocalypse_participants'), to_regclass('public.apocalypse_results'))`
+  );
+  for (const table of ['apocalypse_participants', 'apocalypse_results']) {
+    const column = columns.find((row) => row.table_name === table);
+    if (!column) {
+      problems.push(`missing column: ${table}.bad_debt — migration 031 (round bad debt) has not been applied`);
+      continue;
+    }
+    if (column.data_type !== 'numeric' || Number(column.numeric_precision) !== 18 || Number(column.numeric_scale) !== 2) {
+      problems.push(`column ${table}.bad_debt: type ${column.data_type}, expected DECIMAL(18,2)`);
+    }
+    if (column.is_nullable !== 'NO') problems.push(`column ${table}.bad_debt: nullable=YES, expected NO`);
+    if (!/^\(?0(\.0+)?\)?(::numeric)?$/.test(column.column_default || '')) {
+      problems.push(`column ${table}.bad_debt: missing default 0`);
+    }
+    if (!constraints.some((r) => r.tbl === table && /bad_debt >= \(?0/.test(r.def))) {
+      problems.push(`missing CHECK constraint on ${table}: bad_debt >= 0`);
+    }
+  }
+  if (columns.length < 2) return;
+
+  // Live-data invariant: the snapshot carries what its participant wrote off.
+  const { rows } = await q(
+    `SELECT count(*)::int AS n FROM apocalypse_results r
+     JOIN apocalypse_participants p ON p.participant_id = r.participant_id
+     WHERE r.bad_debt <> p.bad_debt`
+  );
+  if (rows[0].n > 0) {
+    problems.push(`INVARIANT VIOLATION: ${rows[0].n} results whose bad_debt differs from their participant's`);
+  }
+}
+
+async function verifyForcedTransactions(q, problems) {
+  const { rows: columns } = await q(
+    `SELECT table_name, column_name, data_type, is_nullable, column_default
+     FROM information_schema.columns
+     WHERE table_schema = 'public'
+       AND ((table_name = 'apocalypse_transactions' AND column_name = 'forced')
+         OR (table_name = 'apocalypse_results' AND column_name = 'forced_count'))`
+  );
+  const forced = columns.find((row) => row.column_name === 'forced');
+  if (!forced) {
+    problems.push('missing column: apocalypse_transactions.forced — migration 032 (forced round transactions) has not been applied');
+  } else {
+    if (forced.data_type !== 'boolean') {
+      problems.push(`column apocalypse_transactions.forced: type ${forced.data_type}, expected boolean`);
+    }
+    if (forced.is_nullable !== 'NO') problems.push('column apocalypse_transactions.forced: nullable=YES, expected NO');
+    if (!/^false$/i.test(forced.column_default || '')) {
+      problems.push('column apocalypse_transactions.forced: missing default FALSE');
+    }
+  }
+
+  const forcedCount = columns.find((row) => row.column_name === 'forced_count');
+  if (!forcedCount) {
+    problems.push('missing column: apocalypse_results.forced_count — migration 032 (forced round transactions) has not been applied');
+  } else {
+    if (forcedCount.data_type !== 'integer') {
+      problems.push(`column apocalypse_results.forced_count: type ${forcedCount.data_type}, expected integer`);
+    }
+    if (forcedCount.is_nullable !== 'NO') problems.push('column apocalypse_results.forced_count: nullable=YES, expected NO');
+    if (forcedCount.column_default !== '0') problems.push('column apocalypse_results.forced_count: missing default 0');
+    const { rows: constraints } = await q(
+      `SELECT pg_get_constraintdef(oid) AS def FROM pg_constraint
+       WHERE contype = 'c' AND conrelid = to_regclass('public.apocalypse_results')`
+    );
+    if (!constraints.some((r) => /forced_count >= \(?0/.test(r.def))) {
+      problems.push('missing CHECK constraint on apocalypse_results: forced_count >= 0');
+    }
+  }
+  if (!forced) return;
+
+  // Live-data invariant: the game writes every liquidation, never a player.
+  const { rows } = await q(
+    "SELECT count(*)::int AS n FROM apocalypse_transactions WHERE type = 'LIQUIDATION' AND NOT forced"
+  );
+  if (rows[0].n > 0) {
+    problems.push(`INVARIANT VIOLATION: ${rows[0].n} LIQUIDATION rows not marked forced`);
+  }
+}
+
 async function verifyGameSchema({ query } = {}) {
   const q = query || ((...args) => db.query(...args));
   const problems = [];
@@ -973,6 +1835,23 @@ async function verifyGameSchema({ query } = {}) {
   await verifyRoundState(q, problems);
   await verifyBots(q, problems);
   await verifyResults(q, problems);
+  await verifyMarketState(q, problems);
+  await verifyPriceModels(q, problems);
+  await verifyLiquidity(q, problems);
+  await verifySectors(q, problems);
+  await verifyContagion(q, problems);
+  await verifyMarketEvents(q, problems);
+  await verifyBatchTimings(q, problems);
+  await verifyRoundOrders(q, problems);
+  await verifyShortPositions(q, problems);
+  await verifyLeverage(q, problems);
+  await verifyGameModes(q, problems);
+  await verifyWealthSnapshots(q, problems);
+  await verifyStopLossDistressTrigger(q, problems);
+  await verifyImpactPrice(q, problems);
+  await verifyEligibleCoins(q, problems);
+  await verifyBadDebt(q, problems);
+  await verifyForcedTransactions(q, problems);
 
   return { ok: problems.length === 0, problems };
 }
@@ -981,7 +1860,7 @@ if (require.main === module) {
   verifyGameSchema()
     .then(async ({ ok, problems }) => {
       if (ok) {
-        console.log('game schema verification PASSED (apocalypse_cycles [SETTLING lifecycle + settlement observability], coins.cycle_baseline_price, canonical coin catalogue [migrations 013 + 014 retirement], coin_collapse_schedule, apocalypse_participants, apocalypse_holdings, apocalypse_transactions, users.is_bot, apocalypse_bots, apocalypse_bot_ticks, apocalypse_results [immutable])');
+        console.log('game schema verification PASSED (apocalypse_cycles [SETTLING lifecycle + settlement observability], coins.cycle_baseline_price, canonical coin catalogue [migrations 013 + 014 retirement], coin_collapse_schedule, apocalypse_participants, apocalypse_holdings, apocalypse_transactions, users.is_bot, apocalypse_bots, apocalypse_bot_ticks, apocalypse_results [immutable], market_state, market_coin_profiles, market_coin_active_events, coin price models, coins.liquidity_depth, market sectors, coin_collapse_contagion, market_events, market_batch_timings, apocalypse_orders, apocalypse_short_positions, apocalypse_holdings.debt, apocalypse_cycles game modes, apocalypse_wealth_snapshots, apocalypse_orders.distress_level, coins.impact_price, apocalypse_cycles.eligible_coin_ids, bad_debt, forced round transactions)');
         await db.end();
         return;
       }
@@ -0,0 +1,184 @@
+// Single-writer leader election on a session-level PostgreSQL advisory lock.
+//
+// Same cross-process discipline as the game workers' cycle lock (key
+// 727001), but held for the lifetime of leadership instead of one
+// transaction: the leader keeps one dedicated pooled connection holding
+// pg_try_advisory_lock(lockKey). Every other process is a passive follower
+// that retries once per interval. If the leader dies, PostgreSQL ends its
+// session and releases the lock, so a follower takes over within one
+// interval — no lease table, no clock agreement between processes.
+//
+// The leader heartbeats its connection once per interval and steps down on
+// any failure. Because a dying connection can outlive the leader's belief in
+// it for up to one heartbeat, writers also fence each write transaction with
+// assertHeld(client), which proves — inside that transaction — that the
+// leader's own backend still holds the lock.
+//
+// No timers are created at import time or construction; start()/stop() are
+// called by the owner's lifecycle. Timers are unref'd.
+
+const db = require('../db/connection');
+const logger = require('../utils/logger');
+
+class AdvisoryLeader {
+  constructor({ lockKey, name, intervalMs, onElected = async () => {}, onDemoted = () => {} }) {
+    // Single-int8 keys in the non-negative 32-bit range, so the fence below
+    // can match pg_locks (classid 0, objid = key) exactly.
+    if (!Number.isInteger(lockKey) || lockKey < 0 || lockKey > 0xffffffff) {
+      throw new Error(`advisory leader lockKey must be an integer in [0, 2^32); received ${String(lockKey)}`);
+    }
+    if (!Number.isInteger(intervalMs) || intervalMs <= 0) {
+      throw new Error(`advisory leader intervalMs must be a positive integer; received ${String(intervalMs)}`);
+    }
+    this.lockKey = lockKey;
+    this.name = name;
+    this.intervalMs = intervalMs;
+    this.onElected = onElected;
+    this.onDemoted = onDemoted;
+    this.client = null; // the dedicated session holding the lock, while leader
+    this.backendPid = null;
+    this.onClientError = null;
+    this.timer = null;
+    this.inFlight = null;
+  }
+
+  isLeader() {
+    return this.client !== null;
+  }
+
+  // First election attempt runs immediately (and is awaited, so the owner
+  // knows its role when start() resolves); then one attempt or heartbeat per
+  // interval.
+  async start() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+    await this.tick();
+    return this;
+  }
+
+  // One wakeup: heartbeat while leader, election attempt while follower.
+  // Never overlaps itself.
+  tick() {
+    if (this.inFlight) return this.inFlight;
+    this.inFlight = (this.isLeader() ? this.heartbeat() : this.tryAcquire())
+      .catch((err) => {
+        logger.error(`[LEADER] ${this.name} election tick failed:`, err.message);
+      })
+      .finally(() => {
+        this.inFlight = null;
+      });
+    return this.inFlight;
+  }
+
+  async tryAcquire() {
+    if (!this.timer) return false; // stopped while waiting
+    const client = await db.getClient();
+    let acquired = false;
+    try {
+      const { rows } = await client.query(
+        'SELECT pg_try_advisory_lock($1) AS acquired, pg_backend_pid() AS pid',
+        [this.lockKey]
+      );
+      acquired = rows[0].acquired === true;
+      if (!acquired || !this.timer) {
+        if (acquired) await client.query('SELECT pg_advisory_unlock($1)', [this.lockKey]);
+        client.release();
+        return false;
+      }
+      this.backendPid = rows[0].pid;
+    } catch (err) {
+      client.release(err);
+      throw err;
+    }
+
+    // A broken leader connection emits 'error' outside any query; losing the
+    // session loses the lock, so step down immediately.
+    this.onClientError = (err) => this.demote(err);
+    client.on('error', this.onClientError);
+    this.client = client;
+    logger.log(`[LEADER] ${this.name}: elected (backend ${this.backendPid})`);
+    try {
+      await this.onElected();
+    } catch (err) {
+      // Leadership without a working owner would block every follower:
+      // give the lock back so another process can take over.
+      logger.error(`[LEADER] ${this.name}: owner failed to take over, stepping down:`, err.message);
+      await this.release();
+      throw err;
+    }
+    return true;
+  }
+
+  async heartbeat() {
+    const client = this.client;
+    try {
+      await client.query('SELECT 1');
+    } catch (err) {
+      this.demote(err);
+    }
+  }
+
+  // Lose leadership without touching the (possibly broken) connection: it is
+  // destroyed, which ends the session and with it the lock.
+  demote(err) {
+    const client = this.detach();
+    if (!client) return;
+    logger.error(`[LEADER] ${this.name}: lost leadership:`, err ? err.message : 'unknown');
+    try { client.release(err || true); } catch (_) {}
+    this.onDemoted();
+  }
+
+  // Fence for a write transaction on ANY connection: throws unless the
+  // leader's own backend holds the lock at this instant.
+  async assertHeld(client) {
+    const pid = this.backendPid;
+    if (pid === null) {
+      throw new Error(`[LEADER] ${this.name}: not the leader; refusing to write`);
+    }
+    const { rows } = await client.query(
+      `SELECT 1 FROM pg_locks
+       WHERE locktype = 'advisory' AND granted
+         AND pid = $1 AND classid = 0 AND objid = $2 AND objsubid = 1`,
+      [pid, this.lockKey]
+    );
+    if (rows.length === 0) {
+      throw new Error(`[LEADER] ${this.name}: advisory lock ${this.lockKey} no longer held; refusing to write`);
+    }
+  }
+
+  // Forget the leader session; the pooled client no longer reports to us.
+  detach() {
+    const client = this.client;
+    if (!client) return null;
+    client.removeListener('error', this.onClientError);
+    this.client = null;
+    this.backendPid = null;
+    this.onClientError = null;
+    return client;
+  }
+
+  // Orderly hand-over: unlock and return the connection to the pool.
+  async release() {
+    const client = this.detach();
+    if (!client) return;
+    try {
+      await client.query('SELECT pg_advisory_unlock($1)', [this.lockKey]);
+      client.release();
+    } catch (err) {
+      client.release(err);
+    }
+    this.onDemoted();
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.inFlight) await this.inFlight;
+    await this.release();
+  }
+}
+
+module.exports = { AdvisoryLeader };
@@ -16,9 +16,11 @@
 //
 // Public-state-only decisions: the decision layer accepts ONLY the
 // deliberately shaped market state built here — live coin prices, recent
-// price history, EXECUTED collapse status, the bot's own cash/holdings, and
-// apocalypsePercent. Scheduled-but-unexecuted (future) collapse data is
-// never read for decisions and never present in the shaped state.
+// price history, EXECUTED collapse status, each coin's public distress
+// signal, the bot's own cash/holdings, and apocalypsePercent.
+// Scheduled-but-unexecuted (future) collapse data is never read for
+// decisions and never present in the shaped state: bots see the same noisy
+// distress level humans get from GET /api/game/signals, nothing more.
 //
 // Tick identity: runBotTick claims (cycle_id, tick_id) in
 // apocalypse_bot_ticks with INSERT ... ON CONFLICT DO NOTHING, so a given
@@ -38,8 +40,10 @@ const bcrypt = require('bcrypt');
 const db = require('../db/connection');
 const { BOT_ROSTER, BOT_STRATEGIES, resolveBotConfig } = require('./botConfig');
 const { GAME_MIN_TRADE_VALUE } = require('./gameConstants');
+const { DEFAULT_LIQUIDITY_DEPTH, MarketImpactError, quoteTrade, quantityForSpend } = require('./marketImpact');
 const gameRoundService = require('./gameRoundService');
 const { reconcileCycle, deriveProgress } = require('./gameCycleService');
+const { readDistressSignals } = require('./distressSignals');
 
 // How many recent price points each coin carries in the shaped public state.
 // A fixed game-design constant — deliberately not configurable.
@@ -158,12 +162,13 @@ async function ensureBotsProvisioned({ queryable = db } = {}) {
 // Deliberately shaped PUBLIC market state — the ONLY input the decision
 // layer may use. Contains: live coin prices, the recent public price history
 // window, EXECUTED collapse status for this cycle (a coin that is already
-// publicly dead at £0), the bot's own cash/holdings, and apocalypsePercent.
+// publicly dead at £0), each coin's public distress level (0 once it has
+// collapsed), the bot's own cash/holdings, and apocalypsePercent.
 // Future/scheduled collapse data is never selected here.
 // ---------------------------------------------------------------------------
 async function buildPublicMarketState({ cycle, participant, now = new Date(), queryable = db } = {}) {
   const { rows: coinRows } = await queryable.query(
-    `SELECT c.coin_id, c.symbol, c.current_price,
+    `SELECT c.coin_id, c.symbol, c.current_price, c.liquidity_depth,
             EXISTS (
               SELECT 1 FROM coin_collapse_schedule s
               WHERE s.cycle_id = $1 AND s.coin_id = c.coin_id AND s.executed_at IS NOT NULL
@@ -173,6 +178,8 @@ async function buildPublicMarketState({ cycle, participant, now = new Date(), qu
      ORDER BY c.coin_id`,
     [cycle.cycle_id]
   );
+  const { signals } = await readDistressSignals({ cycle, now, queryable });
+  const distress = new Map(signals.map((signal) => [signal.coinId, signal.level]));
 
   const coins = [];
   for (const row of coinRows) {
@@ -190,7 +197,9 @@ async function buildPublicMarketState({ cycle, participant, now = new Date(), qu
       coinId: row.coin_id,
       symbol: row.symbol,
       currentPrice: parseFloat(row.current_price),
+      liquidityDepth: parseFloat(row.liquidity_depth),
       collapsed: row.collapsed === true,
+      distress: distress.get(row.coin_id) || 0,
       history: historyRows.map((h) => parseFloat(h.price))
     });
   }
@@ -239,6 +248,13 @@ function validateMarketState(marketState) {
   }
 }
 
+// A coin's public distress level (distressSignals.js); 0 for shaped states
+// that carry none.
+function distressOf(marketState, coinId) {
+  const coin = marketState.coins.find((c) => c.coinId === coinId);
+  return coin && Number.isInteger(coin.distress) ? coin.distress : 0;
+}
+
 // Recent relative change of a coin's public history; 0 without enough data.
 function recentChange(coin) {
   const history = coin.history;
@@ -282,17 +298,21 @@ function boundedBuy(coin, spend) {
 
 // The canonical Core 5 personalities. Each is REQUIRED to be observably,
 // deterministically distinct:
-//   conservative — small stakes, acts less often, preserves cash, and sells
-//                  defensively once a holding declines meaningfully.
+//   conservative — small stakes, acts less often, preserves cash, sells
+//                  defensively once a holding declines meaningfully or its
+//                  coin shows serious distress, and never buys a coin
+//                  showing any distress.
 //   momentum     — buys into a rising coin, and reduces a position after a
 //                  negative move.
-//   dip_buyer    — buys a meaningfully dropped coin that is still alive, and
-//                  sells into a meaningful recovery.
+//   dip_buyer    — buys a meaningfully dropped coin that is still alive and
+//                  not seriously distressed, and sells into a meaningful
+//                  recovery.
 //   reckless     — aggressive: a large stake on a deterministically chosen
-//                  eligible coin whenever cash remains.
+//                  eligible coin whenever cash remains, distress or not.
 const CONSERVATIVE_DECLINE_THRESHOLD = -0.05; // defensive sell trigger
 const DIP_MEANINGFUL_DROP = -0.10; // dip-buyer entry threshold
 const DIP_RECOVERY_THRESHOLD = 0.10; // dip-buyer exit threshold
+const SERIOUS_DISTRESS_LEVEL = 2; // RISING_VOLATILITY and above
 
 function decideBotAction({ strategy, marketState, random, maxTradeSize = Infinity }) {
   if (!BOT_STRATEGIES.includes(strategy)) {
@@ -309,8 +329,16 @@ function decideBotAction({ strategy, marketState, random, maxTradeSize = Infinit
 
   switch (strategy) {
     case 'conservative': {
-      // Defensive first: dump the worst-declining holding in full once its
+      // Defensive first: dump the most distressed holding in full once its
+      // coin shows serious distress, else the worst-declining one once its
       // public history shows a meaningful decline.
+      const distressed = holdings
+        .map((holding) => ({ holding, level: distressOf(marketState, holding.coinId) }))
+        .filter((entry) => entry.level >= SERIOUS_DISTRESS_LEVEL)
+        .sort((a, b) => b.level - a.level || a.holding.coinId - b.holding.coinId);
+      if (distressed.length > 0) {
+        return boundedSell(distressed[0].holding, 1);
+      }
       const declining = holdings
         .map((holding) => ({ holding, change: holdingChange(marketState, holding) }))
         .filter((entry) => entry.change <= CONSERVATIVE_DECLINE_THRESHOLD)
@@ -319,10 +347,11 @@ function decideBotAction({ strategy, marketState, random, maxTradeSize = Infinit
         return boundedSell(declining[0].holding, 1);
       }
       // Preserve cash: act less often, and only with a SMALL stake on the
-      // most stable surviving coin.
-      if (alive.length === 0) return { type: 'HOLD' };
+      // most stable surviving coin that shows no distress.
+      const calm = alive.filter((coin) => distressOf(marketState, coin.coinId) === 0);
+      if (calm.length === 0) return { type: 'HOLD' };
       if (random() >= 0.5) return { type: 'HOLD' };
-      const stable = alive
+      const stable = calm
         .map((coin) => ({ coin, change: Math.abs(recentChange(coin)) }))
         .sort((a, b) => a.change - b.change || a.coin.coinId - b.coin.coinId)[0].coin;
       return boundedBuy(stable, spendFor(cash, 0.05, maxTradeSize));
@@ -357,8 +386,10 @@ function decideBotAction({ strategy, marketState, random, maxTradeSize = Infinit
         return boundedSell(recovered[0].holding, 1);
       }
       if (alive.length === 0) return { type: 'HOLD' };
-      // Buy the deepest MEANINGFUL drop among coins that are still alive.
+      // Buy the deepest MEANINGFUL drop among coins that are still alive and
+      // not seriously distressed — a distressed dip is a falling knife.
       const dropped = alive
+        .filter((coin) => distressOf(marketState, coin.coinId) < SERIOUS_DISTRESS_LEVEL)
         .map((coin) => ({ coin, change: recentChange(coin) }))
         .filter((entry) => entry.change <= DIP_MEANINGFUL_DROP)
         .sort((a, b) => a.change - b.change || a.coin.coinId - b.coin.coinId);
@@ -378,18 +409,45 @@ function decideBotAction({ strategy, marketState, random, maxTradeSize = Infinit
   }
 }
 
+// What the shared service will charge (BUY) or pay (SELL) for `quantity` of
+// a live coin once market impact is priced in, rounded to the authoritative
+// 2 decimals. A BUY the pool cannot fill at all is worth Infinity: no cap
+// admits it. Shaped states without a depth price at the schema default.
+function impactedTradeValue(coin, side, quantity) {
+  try {
+    const quote = quoteTrade({
+      side,
+      quantity,
+      price: coin.currentPrice,
+      depth: coin.liquidityDepth || DEFAULT_LIQUIDITY_DEPTH
+    });
+    return round2(quote.total);
+  } catch (err) {
+    if (err instanceof MarketImpactError && side === 'BUY') return Infinity;
+    throw err;
+  }
+}
+
 // Service-side enforcement of the configured per-trade size cap. The pure
 // decision layer already constructs capped trades; this is the authoritative
 // enforcement point the tick runs through BEFORE calling the shared trade
 // service, so a misconfigured or future decision can never exceed the cap.
+// The cap and the bot's cash bound the IMPACTED cost, so a bot never sends
+// a buy the pool would price beyond either.
 // Returns the enforced decision, or null when the cap leaves nothing to trade.
 function enforceTradeSizeCap(decision, marketState, maxTradeSize) {
   if (decision.type !== 'BUY' || !Number.isFinite(maxTradeSize)) return decision;
   const coin = marketState.coins.find((c) => c.coinId === decision.coinId);
   if (!coin || !(coin.currentPrice > 0)) return null;
-  const cappedQuantity = Math.min(decision.quantity, floor2(maxTradeSize / coin.currentPrice));
+  const spend = Number.isFinite(marketState.cash) ? Math.min(maxTradeSize, marketState.cash) : maxTradeSize;
+  const affordable = quantityForSpend({
+    spend,
+    price: coin.currentPrice,
+    depth: coin.liquidityDepth || DEFAULT_LIQUIDITY_DEPTH
+  });
+  const cappedQuantity = Math.min(decision.quantity, floor2(affordable));
   if (cappedQuantity <= 0) return null;
-  if (round2(cappedQuantity * coin.currentPrice) > maxTradeSize) return null;
+  if (impactedTradeValue(coin, 'BUY', cappedQuantity) > spend) return null;
   return { ...decision, quantity: cappedQuantity };
 }
 
@@ -403,7 +461,7 @@ function enforceMinTradeValue(decision, marketState) {
   if (!decision || (decision.type !== 'BUY' && decision.type !== 'SELL')) return decision;
   const coin = marketState.coins.find((c) => c.coinId === decision.coinId);
   if (!coin || !(coin.currentPrice > 0)) return decision;
-  if (round2(decision.quantity * coin.currentPrice) < GAME_MIN_TRADE_VALUE) return null;
+  if (impactedTradeValue(coin, decision.type, decision.quantity) < GAME_MIN_TRADE_VALUE) return null;
   return decision;
 }
 
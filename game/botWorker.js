@@ -66,12 +66,15 @@ class BotWorker {
     return this;
   }
 
-  stop() {
+  // Resolves once the tick still running (if any) has finished, so the
+  // caller can close the pool behind it.
+  async stop() {
     if (this.timer) {
       clearInterval(this.timer);
       this.timer = null;
       logger.log('[GAME] Bot worker stopped');
     }
+    if (this.inFlight) await this.inFlight;
   }
 }
 
@@ -0,0 +1,88 @@
+// Collapse contagion: a scheduled collapse ripples through the market.
+//
+// When executeDueCollapses() (game/collapseScheduleService.js) takes a coin
+// to £0, every coin still alive in the cycle takes an immediate panic shock
+// — a one-off price drop — and a volatility boost that decays geometrically
+// over the following simulator batches. Coins in the collapsed coin's sector
+// (game/marketSectors.js) are hit harder than the rest of the market.
+//
+// Both the shock and the boost are drawn from the cycle seed, keyed by the
+// collapse rank and the surviving coin, so the same cycle always panics the
+// same way no matter when (or in which process) the collapse executes. Every
+// shock is recorded in coin_collapse_contagion (migration 020) in the same
+// Core 1 transaction as the collapse itself, so results and replays can
+// explain the drop; the simulator reads the recorded boosts back every
+// batch instead of holding them in memory.
+//
+// The functions here are pure; all state lives in the database.
+
+const { createMarketRandom } = require('./marketRandom');
+
+// Panic shock range: the fraction of its price a surviving coin loses at the
+// instant of a collapse.
+const PANIC_SHOCK = { min: 0.03, max: 0.08 };
+
+// Coins sharing the collapsed coin's sector (other than GENERAL, which is no
+// real grouping) take this multiple of their drawn shock.
+const SAME_SECTOR_SHOCK_MULTIPLIER = 1.5;
+
+// Extra volatility at the moment of a collapse, as a fraction on top of the
+// coin's normal volatility (0.5 = 50% more), and the share of it that
+// survives each following batch.
+const VOLATILITY_BOOST = { min: 0.5, max: 1.5 };
+const VOLATILITY_DECAY_PER_BATCH = 0.8;
+
+// Below this a decayed boost no longer counts.
+const MIN_VOLATILITY_BOOST = 0.01;
+
+function drawBetween(random, { min, max }) {
+  return min + random() * (max - min);
+}
+
+// The panic every survivor takes from one collapse. `collapsed` and each of
+// `survivors` carry { coin_id, sector }; survivors are canonicalised by
+// coin_id. Two draws per survivor (shock, boost), always in that order.
+// Returns [{ coinId, panicShock, volatilityBoost }].
+function derivePanicShocks({ seed, collapseRank, collapsed, survivors }) {
+  return survivors
+    .slice()
+    .sort((a, b) => a.coin_id - b.coin_id)
+    .map((coin) => {
+      const random = createMarketRandom({ seed, scope: `contagion:${collapseRank}:${coin.coin_id}` });
+      const drawn = drawBetween(random, PANIC_SHOCK);
+      const volatilityBoost = drawBetween(random, VOLATILITY_BOOST);
+      const sameSector = coin.sector && coin.sector === collapsed.sector && coin.sector !== 'GENERAL';
+      return {
+        coinId: coin.coin_id,
+        panicShock: sameSector ? drawn * SAME_SECTOR_SHOCK_MULTIPLIER : drawn,
+        volatilityBoost
+      };
+    });
+}
+
+// A coin's volatility factor for a batch from its recorded contagion rows
+// ([{ volatility_boost, applied_at }]): 1 plus every boost decayed by the
+// whole batches since it was applied. Boosts applied after the batch time
+// do not count yet.
+function contagionVolatilityFactor(contagion, { batchTime, intervalMs }) {
+  const at = new Date(batchTime).getTime();
+  let boost = 0;
+  for (const row of contagion) {
+    const elapsed = at - new Date(row.applied_at).getTime();
+    if (elapsed < 0) continue;
+    const decayed = row.volatility_boost * VOLATILITY_DECAY_PER_BATCH ** Math.floor(elapsed / intervalMs);
+    if (decayed >= MIN_VOLATILITY_BOOST) {
+      boost += decayed;
+    }
+  }
+  return 1 + boost;
+}
+
+module.exports = {
+  PANIC_SHOCK,
+  SAME_SECTOR_SHOCK_MULTIPLIER,
+  VOLATILITY_BOOST,
+  VOLATILITY_DECAY_PER_BATCH,
+  derivePanicShocks,
+  contagionVolatilityFactor
+};
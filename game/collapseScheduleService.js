@@ -21,11 +21,15 @@
 const crypto = require('crypto');
 const db = require('../db/connection');
 const logger = require('../utils/logger');
+const { derivePanicShocks } = require('./collapseContagion');
+const { boundedImpactPrice } = require('./marketImpact');
 
 // The collapse window opens at 70% of the cycle: the first scheduled collapse
 // happens exactly at cycleStart + cycleDuration * 0.70 and the last exactly at
 // cycleEnd. This is a fixed game-design constant — deliberately NOT
 // configurable via environment variables or any other runtime configuration.
+// A cycle's game mode (game/gameModes.js, persisted on the cycle row) may
+// move the window start; the standard mode uses exactly this value.
 const COLLAPSE_WINDOW_START_PERCENT = 70;
 
 // ---------------------------------------------------------------------------
@@ -35,11 +39,12 @@ const COLLAPSE_WINDOW_START_PERCENT = 70;
 // Compute the scheduled collapse timestamp for every rank in a cycle.
 //   * N === 0 -> no collapses.
 //   * N === 1 -> the sole collapse is exactly at cycle end.
-//   * N > 1  -> rank 0 exactly at the 70% window start, rank N-1 exactly at
-//     cycle end, intermediate ranks evenly spaced by (end - windowStart)/(N-1).
+//   * N > 1  -> rank 0 exactly at the window start (70% unless the cycle's
+//     mode moves it), rank N-1 exactly at cycle end, intermediate ranks
+//     evenly spaced by (end - windowStart)/(N-1).
 // Timestamps are integer-millisecond Dates (TIMESTAMPTZ storage precision is
 // finer, but the application contract is millisecond-exact).
-function computeScheduleTimes({ startTime, endTime, coinCount }) {
+function computeScheduleTimes({ startTime, endTime, coinCount, windowStartPercent = COLLAPSE_WINDOW_START_PERCENT }) {
   const startMs = new Date(startTime).getTime();
   const endMs = new Date(endTime).getTime();
   if (!Number.isFinite(startMs) || !Number.isFinite(endMs) || endMs <= startMs) {
@@ -48,10 +53,13 @@ function computeScheduleTimes({ startTime, endTime, coinCount }) {
   if (!Number.isInteger(coinCount) || coinCount < 0) {
     throw new Error(`collapse schedule coinCount must be a non-negative integer; received ${coinCount}`);
   }
+  if (typeof windowStartPercent !== 'number' || !(windowStartPercent >= 0 && windowStartPercent < 100)) {
+    throw new Error(`collapse window start must be a percentage in [0, 100); received ${windowStartPercent}`);
+  }
   if (coinCount === 0) return [];
   if (coinCount === 1) return [new Date(endMs)];
 
-  const windowStartMs = Math.round(startMs + (endMs - startMs) * (COLLAPSE_WINDOW_START_PERCENT / 100));
+  const windowStartMs = Math.round(startMs + (endMs - startMs) * (windowStartPercent / 100));
   const spacing = (endMs - windowStartMs) / (coinCount - 1);
   const times = [];
   for (let rank = 0; rank < coinCount; rank++) {
@@ -77,6 +85,13 @@ function createSeededRandom(seed) {
   };
 }
 
+// The public commitment to a cycle's seed: its SHA-256, hex. Published from
+// the cycle's start while the seed itself stays secret, so once the seed is
+// disclosed anyone can check it is the one the cycle was committed to.
+function seedCommitment(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
 // Fisher-Yates with an injected random source. Never uses Math.random().
 function deterministicShuffle(items, random) {
   const shuffled = items.slice();
@@ -94,15 +109,25 @@ function deterministicShuffle(items, random) {
 //   coins: [{ coin_id, baseline_price }] — input order is irrelevant: the set
 //   is canonicalised by coin_id before the seed decides the collapse order,
 //   so the same seed + same coin set always produces the same schedule.
+//   collapseFraction (game modes): only the first round(N * fraction) coins
+//   of the seeded order are scheduled — at least one — and the rest survive
+//   the cycle. The order itself does not depend on the fraction.
 //   Returns rows with collapse_rank/scheduled_at.
-function buildSchedule({ seed, coins, startTime, endTime, random }) {
+function buildSchedule({ seed, coins, startTime, endTime, random, windowStartPercent, collapseFraction = 1 }) {
   if (!Array.isArray(coins)) {
     throw new Error('collapse schedule coins must be an array');
   }
+  if (typeof collapseFraction !== 'number' || !(collapseFraction > 0 && collapseFraction <= 1)) {
+    throw new Error(`collapse fraction must be in (0, 1]; received ${collapseFraction}`);
+  }
   const canonical = coins.slice().sort((a, b) => a.coin_id - b.coin_id);
   const rng = random || createSeededRandom(seed);
-  const ordered = deterministicShuffle(canonical, rng);
-  const times = computeScheduleTimes({ startTime, endTime, coinCount: ordered.length });
+  const shuffled = deterministicShuffle(canonical, rng);
+  const collapsing = collapseFraction === 1 || shuffled.length === 0
+    ? shuffled.length
+    : Math.max(1, Math.round(shuffled.length * collapseFraction));
+  const ordered = shuffled.slice(0, collapsing);
+  const times = computeScheduleTimes({ startTime, endTime, coinCount: ordered.length, windowStartPercent });
   return ordered.map((coin, rank) => ({
     coin_id: coin.coin_id,
     collapse_rank: rank,
@@ -131,7 +156,11 @@ async function getScheduleForCycle(client, cycleId) {
 // Create the cycle's schedule exactly once. If rows already exist they are
 // authoritative and are returned unchanged — reconciliation never overwrites
 // or chooses again. Eligible coins are read once, under row locks, inside the
-// caller's transaction; the entire order/times persist atomically.
+// caller's transaction; the entire order/times persist atomically, and so do
+// the eligible coin ids on the cycle (migration 030), which the fairness
+// disclosure publishes. The window start and the share of coins collapsing
+// come from the cycle's persisted game mode parameters (standard when
+// absent).
 async function createScheduleForCycle(client, cycle) {
   const existing = await getScheduleForCycle(client, cycle.cycle_id);
   if (existing.length > 0) return existing;
@@ -141,11 +170,18 @@ async function createScheduleForCycle(client, cycle) {
     // new cycles schedule collapses only across the active catalogue.
     `SELECT coin_id, current_price FROM coins WHERE retired = FALSE ORDER BY coin_id FOR UPDATE`
   );
+  await client.query(
+    'UPDATE apocalypse_cycles SET eligible_coin_ids = $2 WHERE cycle_id = $1',
+    [cycle.cycle_id, coins.map((c) => c.coin_id)]
+  );
+  const { collapseWindowStartPercent, collapseFraction } = cycle.game_mode_params || {};
   const schedule = buildSchedule({
     seed: cycle.seed,
     coins: coins.map((c) => ({ coin_id: c.coin_id, baseline_price: c.current_price })),
     startTime: cycle.start_time,
-    endTime: cycle.end_time
+    endTime: cycle.end_time,
+    windowStartPercent: collapseWindowStartPercent,
+    collapseFraction
   });
   if (schedule.length === 0) return [];
 
@@ -191,6 +227,12 @@ async function startCycle(client, cycle) {
 // are ever selected, so a replay finds nothing to do and cannot duplicate
 // state or £0 history rows. Earlier history is never touched and coins are
 // never deleted.
+// Every executed collapse also spreads its contagion to the coins still alive
+// (applyCollapseContagion), in the same transaction. When anything is due,
+// all coin rows are locked first in coin_id order — the simulator's lock
+// order — since contagion writes every surviving coin.
+// Returns the executed rows, each with its coin symbol and executed_at, for
+// the caller to announce once its transaction commits (game/gameEventStream.js).
 async function executeDueCollapses(client, cycleId, now) {
   const nowDate = now instanceof Date ? now : new Date(now);
   const { rows: due } = await client.query(
@@ -201,6 +243,17 @@ async function executeDueCollapses(client, cycleId, now) {
      FOR UPDATE`,
     [cycleId, nowDate.toISOString()]
   );
+  if (due.length === 0) return [];
+
+  const { rows: coins } = await client.query(
+    `SELECT coin_id, symbol, sector FROM coins ORDER BY coin_id FOR UPDATE`
+  );
+  const sectors = new Map(coins.map((c) => [c.coin_id, c.sector]));
+  const symbols = new Map(coins.map((c) => [c.coin_id, c.symbol]));
+  const { rows: cycles } = await client.query(
+    `SELECT seed FROM apocalypse_cycles WHERE cycle_id = $1`,
+    [cycleId]
+  );
 
   const executed = [];
   for (const row of due) {
@@ -223,14 +276,93 @@ async function executeDueCollapses(client, cycleId, now) {
       // lifecycle transaction rather than corrupt collapse state.
       throw new Error(`collapse schedule row ${row.schedule_id} changed under execution; aborting lifecycle transaction`);
     }
-    executed.push(row);
+    executed.push({ ...row, symbol: symbols.get(row.coin_id), executed_at: nowDate });
     // Only past (executed) events are logged; future ordering/times are never
     // logged or exposed through normal endpoints.
     logger.log(`[GAME] Executed scheduled collapse: coin_id ${row.coin_id} (rank ${row.collapse_rank}, cycle ${cycleId})`);
+    await applyCollapseContagion(client, {
+      cycleId,
+      seed: cycles[0].seed,
+      collapse: { ...row, sector: sectors.get(row.coin_id) },
+      now: nowDate
+    });
   }
   return executed;
 }
 
+// Spread one executed collapse to the coins still alive in the cycle (their
+// schedule rows unexecuted — or, for a coin its game mode spares, no
+// schedule row at all — and their price positive): each takes its
+// seed-derived panic shock on its live price — bounded like a trade's impact,
+// so it never leaves the price-model band or reaches £0 — with a
+// price_history row, and the whole panic is recorded in
+// coin_collapse_contagion for results, replays and the simulator's decaying
+// volatility boost. The caller holds the coin row locks.
+async function applyCollapseContagion(client, { cycleId, seed, collapse, now }) {
+  const { rows: survivors } = await client.query(
+    `SELECT c.coin_id, c.sector, c.current_price, c.cycle_baseline_price, c.price_model, c.price_model_params
+     FROM coins c
+     LEFT JOIN coin_collapse_schedule cs ON cs.cycle_id = $1 AND cs.coin_id = c.coin_id
+     WHERE c.current_price > 0
+       AND ((cs.schedule_id IS NOT NULL AND cs.executed_at IS NULL)
+            OR (cs.schedule_id IS NULL AND c.retired = FALSE))
+     ORDER BY c.coin_id`,
+    [cycleId]
+  );
+  if (survivors.length === 0) return [];
+
+  const byId = new Map(survivors.map((c) => [c.coin_id, c]));
+  const shocks = derivePanicShocks({
+    seed,
+    collapseRank: collapse.collapse_rank,
+    collapsed: collapse,
+    survivors
+  }).map((shock) => {
+    const coin = byId.get(shock.coinId);
+    const priceBefore = parseFloat(coin.current_price);
+    return {
+      ...shock,
+      priceBefore,
+      priceAfter: boundedImpactPrice(coin, priceBefore * (1 - shock.panicShock))
+    };
+  });
+
+  const moved = shocks.filter((s) => s.priceAfter !== s.priceBefore);
+  if (moved.length > 0) {
+    await client.query(
+      `UPDATE coins c SET current_price = t.price
+       FROM unnest($1::integer[], $2::numeric[]) AS t(coin_id, price)
+       WHERE c.coin_id = t.coin_id`,
+      [moved.map((s) => s.coinId), moved.map((s) => s.priceAfter)]
+    );
+    await client.query(
+      `INSERT INTO price_history (coin_id, price, created_at)
+       SELECT t.coin_id, t.price, $3 FROM unnest($1::integer[], $2::numeric[]) AS t(coin_id, price)`,
+      [moved.map((s) => s.coinId), moved.map((s) => s.priceAfter), now.toISOString()]
+    );
+  }
+  await client.query(
+    `INSERT INTO coin_collapse_contagion
+       (cycle_id, schedule_id, source_coin_id, coin_id, panic_shock, price_before, price_after, volatility_boost, applied_at)
+     SELECT $1, $2, $3, t.coin_id, t.panic_shock, t.price_before, t.price_after, t.volatility_boost, $4
+     FROM unnest($5::integer[], $6::float8[], $7::numeric[], $8::numeric[], $9::float8[])
+       AS t(coin_id, panic_shock, price_before, price_after, volatility_boost)`,
+    [
+      cycleId,
+      collapse.schedule_id,
+      collapse.coin_id,
+      now.toISOString(),
+      shocks.map((s) => s.coinId),
+      shocks.map((s) => s.panicShock),
+      shocks.map((s) => s.priceBefore),
+      shocks.map((s) => s.priceAfter),
+      shocks.map((s) => s.volatilityBoost)
+    ]
+  );
+  logger.log(`[GAME] Collapse contagion: coin_id ${collapse.coin_id} shocked ${shocks.length} surviving coins (cycle ${cycleId})`);
+  return shocks;
+}
+
 // Read-only helpers for the market simulator and the narrow trade guard.
 // Death is read from the persisted execution state of the live cycle only —
 // a collapse in a COMPLETED cycle must never make a new cycle's coins dead.
@@ -263,6 +395,7 @@ module.exports = {
   COLLAPSE_WINDOW_START_PERCENT,
   computeScheduleTimes,
   createSeededRandom,
+  seedCommitment,
   deterministicShuffle,
   buildSchedule,
   getScheduleForCycle,
@@ -270,6 +403,7 @@ module.exports = {
   restoreBaselinePrices,
   startCycle,
   executeDueCollapses,
+  applyCollapseContagion,
   getCollapsedCoinIds,
   isCoinCollapsed
 };
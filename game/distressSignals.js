@@ -0,0 +1,187 @@
+// Public pre-collapse distress signals.
+//
+// The collapse schedule and the cycle seed stay secret (Milestone 1), so on
+// their own collapses are pure luck. Distress signals give players a fair,
+// noisy warning instead: as a coin's scheduled collapse approaches, it
+// starts showing public distress — negative rumours, then rising volatility,
+// then severe distress. Reading them is a skill, not a leak:
+//
+//   * Signals change only once per epoch (1/DISTRESS_EPOCHS_PER_CYCLE of the
+//     cycle, counted from the cycle start) and are computed from the epoch's
+//     start, so they never move at a collapse's exact time.
+//   * A signal is one of four coarse levels. The true level only says how
+//     far into the final DISTRESS_HORIZON_PERCENT of the cycle before its
+//     collapse a coin is, in thirds.
+//   * Each epoch, each coin's signal is truthful with probability
+//     `reliability` (GAME_DISTRESS_RELIABILITY) and otherwise a noise draw:
+//     healthy coins raise false alarms and doomed coins sometimes look calm.
+//     Reliability is capped below 1, so a signal always carries noise.
+//
+// Every draw comes from the seeded market random stream (game/marketRandom)
+// keyed by the cycle seed, the epoch and the coin, so every process, every
+// bot and every human sees the same signal for the same coin and epoch. A
+// coin a game mode spares (game/gameModes.js) only ever shows noise; a coin
+// whose collapse has executed shows no signal at all.
+
+const db = require('../db/connection');
+const { createMarketRandom } = require('./marketRandom');
+const { reconcileCycle } = require('./gameCycleService');
+
+const DISTRESS_EPOCHS_PER_CYCLE = 60;
+const DISTRESS_HORIZON_PERCENT = 20;
+const DEFAULT_DISTRESS_RELIABILITY = 0.7;
+const MAX_DISTRESS_RELIABILITY = 0.9;
+
+// Probability of each level in a noise draw, NONE first.
+const NOISE_LEVEL_WEIGHTS = [0.55, 0.25, 0.15, 0.05];
+
+// Level 0 is no signal.
+const DISTRESS_LEVELS = [
+  null,
+  { indicator: 'NEGATIVE_RUMOURS', headline: (symbol) => `Negative rumours circulate about ${symbol}` },
+  { indicator: 'RISING_VOLATILITY', headline: (symbol) => `Traders report erratic swings in ${symbol}` },
+  { indicator: 'SEVERE_DISTRESS', headline: (symbol) => `${symbol} shows severe signs of distress` }
+];
+
+// An explicit override (GAME_DISTRESS_RELIABILITY env var) must be a number
+// in [0, MAX_DISTRESS_RELIABILITY]; absent/empty means the default. Invalid
+// values throw rather than being clamped.
+function resolveDistressReliability(raw = process.env.GAME_DISTRESS_RELIABILITY) {
+  if (raw === undefined || raw === null) return DEFAULT_DISTRESS_RELIABILITY;
+  if (typeof raw === 'string' && raw.trim() === '') return DEFAULT_DISTRESS_RELIABILITY;
+  const value = typeof raw === 'string' ? Number(raw) : raw;
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`GAME_DISTRESS_RELIABILITY must be a finite number; received ${typeof raw === 'string' ? JSON.stringify(raw) : String(raw)}`);
+  }
+  if (value < 0 || value > MAX_DISTRESS_RELIABILITY) {
+    throw new Error(`GAME_DISTRESS_RELIABILITY must be between 0 and ${MAX_DISTRESS_RELIABILITY}; received ${value}`);
+  }
+  return value;
+}
+
+// The signal epoch containing `now`, clamped to the cycle.
+function distressEpoch({ cycle, now }) {
+  const startMs = new Date(cycle.start_time).getTime();
+  const epochMs = Number(cycle.duration_ms) / DISTRESS_EPOCHS_PER_CYCLE;
+  const nowMs = (now instanceof Date ? now : new Date(now)).getTime();
+  const epoch = Math.min(DISTRESS_EPOCHS_PER_CYCLE - 1, Math.max(0, Math.floor((nowMs - startMs) / epochMs)));
+  return {
+    epoch,
+    issuedAt: new Date(startMs + epoch * epochMs),
+    nextUpdateAt: new Date(startMs + (epoch + 1) * epochMs)
+  };
+}
+
+// The true level for a coin msToCollapse from its collapse (null: never).
+function truthfulLevel(msToCollapse, horizonMs) {
+  if (msToCollapse === null || msToCollapse > horizonMs) return 0;
+  const remaining = msToCollapse / horizonMs;
+  if (remaining > 2 / 3) return 1;
+  if (remaining > 1 / 3) return 2;
+  return 3;
+}
+
+function noiseLevel(draw) {
+  let cumulative = 0;
+  for (let level = 0; level < NOISE_LEVEL_WEIGHTS.length; level++) {
+    cumulative += NOISE_LEVEL_WEIGHTS[level];
+    if (draw < cumulative) return level;
+  }
+  return NOISE_LEVEL_WEIGHTS.length - 1;
+}
+
+// Pure: one coin's level for one epoch.
+function deriveDistressLevel({ seed, epoch, coinId, msToCollapse, horizonMs, reliability }) {
+  const random = createMarketRandom({ seed, batchIndex: epoch, scope: `distress:${coinId}` });
+  if (random() < reliability) return truthfulLevel(msToCollapse, horizonMs);
+  return noiseLevel(random());
+}
+
+// Pure: the signals of every live coin at `now`.
+//   coins  [{ coinId, symbol, collapseAt: Date | null, collapsed }]
+function buildDistressSignals({ cycle, coins, now, reliability }) {
+  const { epoch, issuedAt, nextUpdateAt } = distressEpoch({ cycle, now });
+  const horizonMs = (Number(cycle.duration_ms) * DISTRESS_HORIZON_PERCENT) / 100;
+  const signals = [];
+  for (const coin of coins) {
+    if (coin.collapsed) continue;
+    const level = deriveDistressLevel({
+      seed: cycle.seed,
+      epoch,
+      coinId: coin.coinId,
+      msToCollapse: coin.collapseAt ? coin.collapseAt.getTime() - issuedAt.getTime() : null,
+      horizonMs,
+      reliability
+    });
+    const described = DISTRESS_LEVELS[level];
+    signals.push({
+      coinId: coin.coinId,
+      symbol: coin.symbol,
+      level,
+      indicator: described ? described.indicator : null,
+      headline: described ? described.headline(coin.symbol) : null
+    });
+  }
+  return { epoch, issuedAt, nextUpdateAt, signals };
+}
+
+// The signals of a cycle at `now`, read from its persisted schedule. Shared
+// by the public API and the bots' shaped market state, so both see the same
+// signals.
+async function readDistressSignals({ cycle, now = new Date(), reliability, queryable = db }) {
+  const resolved = resolveDistressReliability(reliability);
+  const { rows } = await queryable.query(
+    `SELECT c.coin_id, c.symbol, c.current_price, s.scheduled_at, s.executed_at
+     FROM coins c
+     LEFT JOIN coin_collapse_schedule s ON s.cycle_id = $1 AND s.coin_id = c.coin_id
+     WHERE c.retired = FALSE
+     ORDER BY c.coin_id`,
+    [cycle.cycle_id]
+  );
+  const result = buildDistressSignals({
+    cycle,
+    now,
+    reliability: resolved,
+    coins: rows.map((row) => ({
+      coinId: row.coin_id,
+      symbol: row.symbol,
+      collapseAt: row.scheduled_at ? new Date(row.scheduled_at) : null,
+      collapsed: row.executed_at !== null || !(parseFloat(row.current_price) > 0)
+    }))
+  });
+  return { ...result, reliability: resolved };
+}
+
+// Public GET /api/game/signals: reconcile-then-read, like GET
+// /api/game/state. Carries the epoch window and the configured reliability
+// so players can calibrate; never the seed or a collapse time.
+async function getDistressSignals({ now = new Date(), reliability } = {}) {
+  const nowDate = now instanceof Date ? now : new Date(now);
+  const cycle = await reconcileCycle({ now: nowDate });
+  const { issuedAt, nextUpdateAt, signals, reliability: resolved } = await readDistressSignals({
+    cycle,
+    now: nowDate,
+    reliability
+  });
+  return {
+    apocalypseId: cycle.apocalypse_id,
+    issuedAt: issuedAt.toISOString(),
+    nextUpdateAt: nextUpdateAt.toISOString(),
+    reliability: resolved,
+    signals
+  };
+}
+
+module.exports = {
+  DISTRESS_EPOCHS_PER_CYCLE,
+  DISTRESS_HORIZON_PERCENT,
+  DEFAULT_DISTRESS_RELIABILITY,
+  MAX_DISTRESS_RELIABILITY,
+  resolveDistressReliability,
+  distressEpoch,
+  truthfulLevel,
+  deriveDistressLevel,
+  buildDistressSignals,
+  readDistressSignals,
+  getDistressSignals
+};
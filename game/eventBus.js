@@ -0,0 +1,228 @@
+// Cross-process event bus on PostgreSQL LISTEN/NOTIFY.
+//
+// The game-cycle worker, the bot worker and the market simulator may run in
+// different processes, and any HTTP process may be serving stream clients
+// or holding caches. Whichever process commits a change publishes it here
+// AFTER its COMMIT, and every process hears it:
+//
+//   * publish(topic, payload)  delivers the event to this process's
+//     subscribers at once (local: true), then NOTIFYs the channel. A
+//     failure is logged, never thrown — the change has already committed.
+//   * start()  LISTENs on one dedicated pooled connection (the same
+//     discipline as game/advisoryLeader.js). Notifications from OTHER
+//     processes reach subscribers with local: false; this process's own
+//     echoes are dropped, so each event is delivered exactly once.
+//   * subscribe(topic | '*', handler)  handler({ topic, origin, local,
+//     sentAt, payload }); returns the unsubscribe function. A throwing or
+//     rejecting handler is logged and never affects the others.
+//
+// NOTIFY payloads are capped by PostgreSQL at 8000 bytes, so events carry
+// references and small facts, never bulk data: a price batch names its
+// price_history id ranges and subscribers read the ticks themselves.
+//
+// Delivery is at most once. Notifications sent while the listening
+// connection is down are lost; once it is re-established subscribers get a
+// local 'bus.reconnected' event so they can resynchronise from the
+// database (price stream clients resume from price_history anyway).
+//
+// No connection or timer exists until start(); stop() is called by the
+// owner's lifecycle (server.js). Timers are unref'd.
+
+const crypto = require('crypto');
+const db = require('../db/connection');
+const logger = require('../utils/logger');
+
+const EVENT_BUS_CHANNEL = 'coins_events';
+
+const EVENT_TOPICS = Object.freeze({
+  PRICE_BATCH: 'price.batch',
+  TRADE_EXECUTED: 'trade.executed',
+  CYCLE_STARTED: 'cycle.started',
+  CYCLE_MILESTONE: 'cycle.milestone',
+  COLLAPSE_EXECUTED: 'collapse.executed',
+  CYCLE_SETTLING: 'cycle.settling',
+  CYCLE_COMPLETED: 'cycle.completed',
+  // Local only: the listening connection was lost and is back.
+  RECONNECTED: 'bus.reconnected'
+});
+
+// PostgreSQL rejects NOTIFY payloads of 8000 bytes or more.
+const MAX_NOTIFY_PAYLOAD_BYTES = 7999;
+
+const DEFAULT_RECONNECT_MIN_MS = 1000;
+const DEFAULT_RECONNECT_MAX_MS = 30000;
+
+class EventBus {
+  constructor({
+    channel = EVENT_BUS_CHANNEL,
+    reconnectMinMs = DEFAULT_RECONNECT_MIN_MS,
+    reconnectMaxMs = DEFAULT_RECONNECT_MAX_MS
+  } = {}) {
+    this.channel = channel;
+    this.origin = crypto.randomUUID();
+    this.reconnectMinMs = reconnectMinMs;
+    this.reconnectMaxMs = reconnectMaxMs;
+    this.reconnectDelayMs = reconnectMinMs;
+    this.handlers = new Map(); // topic (or '*') -> Set of handlers
+    this.client = null; // the dedicated LISTEN session, while listening
+    this.running = false;
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.lostConnection = false;
+  }
+
+  isListening() {
+    return this.client !== null;
+  }
+
+  subscribe(topic, handler) {
+    if (!this.handlers.has(topic)) this.handlers.set(topic, new Set());
+    this.handlers.get(topic).add(handler);
+    return () => {
+      const handlers = this.handlers.get(topic);
+      if (handlers) handlers.delete(handler);
+    };
+  }
+
+  dispatch(event) {
+    const handlers = [...(this.handlers.get(event.topic) || []), ...(this.handlers.get('*') || [])];
+    for (const handler of handlers) {
+      try {
+        Promise.resolve(handler(event)).catch((err) => {
+          logger.error(`[BUS] ${event.topic} handler failed:`, err);
+        });
+      } catch (err) {
+        logger.error(`[BUS] ${event.topic} handler failed:`, err);
+      }
+    }
+  }
+
+  // Resolves true once the event is delivered locally and NOTIFYed, false
+  // when it could not be sent (logged). Never rejects.
+  async publish(topic, payload, queryable = db) {
+    const sentAt = new Date().toISOString();
+    const message = JSON.stringify({ topic, origin: this.origin, sentAt, payload });
+    if (Buffer.byteLength(message) > MAX_NOTIFY_PAYLOAD_BYTES) {
+      logger.error(`[BUS] ${topic} event is ${Buffer.byteLength(message)} bytes; NOTIFY allows ${MAX_NOTIFY_PAYLOAD_BYTES}. Not published.`);
+      return false;
+    }
+
+    this.dispatch({ topic, origin: this.origin, local: true, sentAt, payload });
+    try {
+      await queryable.query('SELECT pg_notify($1, $2)', [this.channel, message]);
+      return true;
+    } catch (err) {
+      logger.error(`[BUS] Error publishing ${topic}:`, err.message);
+      return false;
+    }
+  }
+
+  receive(notification) {
+    if (notification.channel !== this.channel) return;
+    let message;
+    try {
+      message = JSON.parse(notification.payload);
+    } catch (_) {
+      logger.error('[BUS] Ignoring a malformed notification');
+      return;
+    }
+    if (!message || typeof message.topic !== 'string' || message.origin === this.origin) return;
+    this.dispatch({
+      topic: message.topic,
+      origin: message.origin,
+      local: false,
+      sentAt: message.sentAt,
+      payload: message.payload
+    });
+  }
+
+  // Resolves once the first LISTEN is up — or has failed and a retry is
+  // scheduled, so a database that is briefly away never blocks startup.
+  async start() {
+    if (this.running) return this;
+    this.running = true;
+    await this.connect();
+    return this;
+  }
+
+  connect() {
+    if (this.connecting) return this.connecting;
+    this.connecting = (async () => {
+      let client = null;
+      try {
+        client = await db.getClient();
+        client.on('notification', (notification) => this.receive(notification));
+        client.on('error', (err) => this.connectionLost(client, err));
+        await client.query(`LISTEN ${client.escapeIdentifier(this.channel)}`);
+        if (!this.running) {
+          client.release(true);
+          return;
+        }
+        this.client = client;
+        this.reconnectDelayMs = this.reconnectMinMs;
+        if (this.lostConnection) {
+          this.lostConnection = false;
+          this.dispatch({
+            topic: EVENT_TOPICS.RECONNECTED,
+            origin: this.origin,
+            local: true,
+            sentAt: new Date().toISOString(),
+            payload: {}
+          });
+        }
+      } catch (err) {
+        logger.error('[BUS] Could not LISTEN for events:', err.message);
+        if (client) client.release(true);
+        this.scheduleReconnect();
+      }
+    })().finally(() => {
+      this.connecting = null;
+    });
+    return this.connecting;
+  }
+
+  connectionLost(client, err) {
+    if (this.client !== client) return;
+    logger.error('[BUS] Event listener connection lost:', err.message);
+    this.client = null;
+    this.lostConnection = true;
+    client.release(err);
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (!this.running || this.reconnectTimer) return;
+    const delay = this.reconnectDelayMs;
+    this.reconnectDelayMs = Math.min(this.reconnectMaxMs, this.reconnectDelayMs * 2);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.running) this.connect();
+    }, delay);
+    if (typeof this.reconnectTimer.unref === 'function') this.reconnectTimer.unref();
+  }
+
+  // Idempotent. The listening connection is destroyed rather than returned
+  // to the pool, so no pooled session is left LISTENing.
+  async stop() {
+    this.running = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.connecting) await this.connecting;
+    const client = this.client;
+    this.client = null;
+    if (client) client.release(true);
+  }
+}
+
+// The process-wide bus every publisher and subscriber shares.
+const eventBus = new EventBus();
+
+module.exports = {
+  EVENT_BUS_CHANNEL,
+  EVENT_TOPICS,
+  MAX_NOTIFY_PAYLOAD_BYTES,
+  EventBus,
+  eventBus
+};
@@ -32,6 +32,34 @@ const GAME_QUANTITY_MAX = 10000000000;
 // perfectly valid £0.01+ trade.
 const GAME_MIN_TRADE_VALUE = 0.01;
 
+// Resting round orders (migration 023): the most OPEN orders one participant
+// may hold in a cycle. Every price batch evaluates a cycle's open orders, so
+// the bound keeps that work proportional to the number of players.
+const GAME_MAX_OPEN_ORDERS = 50;
+
+// Round short positions (migration 024): opening a short holds its sale
+// proceeds as collateral plus this fraction of them taken from current_cash
+// as margin. The margin is what a short can lose before covering it costs
+// more than the collateral it releases.
+const GAME_SHORT_MARGIN_RATE = 0.5;
+
+// Every coin is scheduled to collapse in the standard mode, so an unbounded
+// short book would be a near-certain win. Opening a short also pays a borrow
+// fee of GAME_SHORT_BORROW_FEE_RATE × proceeds from current_cash, which is
+// never returned, and a participant's open shorts may be worth at most
+// GAME_MAX_SHORT_EXPOSURE_RATE × their starting cash at live prices. Open
+// shorts count towards the maintenance margin below like leveraged holdings.
+const GAME_SHORT_BORROW_FEE_RATE = 0.02;
+const GAME_MAX_SHORT_EXPOSURE_RATE = 0.5;
+
+// Leveraged round positions (migration 025): a buy may borrow up to
+// (GAME_MAX_LEVERAGE - 1) times the cash it pays. After every price batch a
+// participant whose wealth falls below GAME_MAINTENANCE_MARGIN_RATE of the
+// value of their leveraged holdings and open shorts is liquidated. At the
+// maximum leverage a fresh position survives a fall of about 11%.
+const GAME_MAX_LEVERAGE = 5;
+const GAME_MAINTENANCE_MARGIN_RATE = 0.1;
+
 // Validate a monetary game constant: it must be a positive, finite number
 // representable exactly at the application's 2-decimal money precision (the
 // same precision PostgreSQL DECIMAL(18,2) stores). Values with more than two
@@ -77,6 +105,12 @@ module.exports = {
   GAME_QUANTITY_DECIMALS,
   GAME_QUANTITY_MAX,
   GAME_MIN_TRADE_VALUE,
+  GAME_MAX_OPEN_ORDERS,
+  GAME_SHORT_MARGIN_RATE,
+  GAME_SHORT_BORROW_FEE_RATE,
+  GAME_MAX_SHORT_EXPOSURE_RATE,
+  GAME_MAX_LEVERAGE,
+  GAME_MAINTENANCE_MARGIN_RATE,
   validateGameStartingCash,
   resolveGameStartingCash
 };
@@ -15,6 +15,14 @@ const settlementService = require('./gameSettlementService');
 // one joinRound retry requires it lazily), exactly like the settlement
 // chain above.
 const gameRoundService = require('./gameRoundService');
+// Live game events are published only after the lifecycle transaction that
+// made them true commits (game/gameEventStream.js).
+const gameEvents = require('./gameEventStream');
+// ...and so are the price ticks collapses write (game/priceStream.js).
+const priceStream = require('./priceStream');
+// Rotating game-mode presets (migration 026): each new cycle's mode is
+// picked from the configured rotation and persisted on its row.
+const gameModes = require('./gameModes');
 
 // Default global apocalypse cycle length: 30 minutes.
 const DEFAULT_GAME_CYCLE_DURATION_MS = 30 * 60 * 1000;
@@ -100,14 +108,15 @@ function alignStartTime(now, durationMs) {
   return new Date(Math.floor(start.getTime() / DEFAULT_GAME_CYCLE_DURATION_MS) * DEFAULT_GAME_CYCLE_DURATION_MS);
 }
 
-async function insertCycle(client, { startTime, durationMs, seed }) {
+async function insertCycle(client, { startTime, durationMs, seed, mode }) {
   const start = startTime instanceof Date ? startTime : new Date(startTime);
   const end = new Date(start.getTime() + durationMs);
   const inserted = await client.query(
-    `INSERT INTO apocalypse_cycles (apocalypse_id, seed, start_time, end_time, duration_ms, status)
-     VALUES ('PENDING', $1, $2, $3, $4, 'ACTIVE')
+    `INSERT INTO apocalypse_cycles
+       (apocalypse_id, seed, start_time, end_time, duration_ms, status, game_mode, game_mode_params)
+     VALUES ('PENDING', $1, $2, $3, $4, 'ACTIVE', $5, $6)
      RETURNING cycle_id`,
-    [seed, start.toISOString(), end.toISOString(), durationMs]
+    [seed, start.toISOString(), end.toISOString(), durationMs, mode.name, JSON.stringify(mode.params)]
   );
   const cycleId = inserted.rows[0].cycle_id;
   const { rows } = await client.query(
@@ -126,20 +135,25 @@ async function insertCycle(client, { startTime, durationMs, seed }) {
 // COMPLETED gets exactly one chained successor starting at the predecessor's
 // end. Recovery of a pre-existing active cycle's collapse schedule happens
 // here without resetting live prices, and a live cycle's due collapses are
-// executed at `now`. Everything runs inside the same advisory-locked Core 1
-// transaction shape as before, so concurrent processes can never create
-// overlapping active cycles (the partial unique index is the backstop).
-async function ensureActiveCycle({ now, durationMs, generateSeed }) {
+// executed at `now`. A new cycle runs the rotation's next game mode: the
+// entry at the number of cycles created before it. Everything runs inside
+// the same advisory-locked Core 1 transaction shape as before, so concurrent
+// processes can never create overlapping active cycles (the partial unique
+// index is the backstop).
+async function ensureActiveCycle({ now, durationMs, generateSeed, modeRotation }) {
+  const nowMs = (now instanceof Date ? now : new Date(now)).getTime();
+  let active;
+  let created = false;
+  let collapses = [];
   const client = await db.getClient();
   try {
     await client.query('BEGIN');
     await client.query('SELECT pg_advisory_xact_lock($1)', [GAME_CYCLE_ADVISORY_LOCK_KEY]);
 
-    const nowMs = (now instanceof Date ? now : new Date(now)).getTime();
     const { rows } = await client.query(
       `SELECT * FROM apocalypse_cycles WHERE status = 'ACTIVE' LIMIT 1 FOR UPDATE`
     );
-    let active = rows[0];
+    active = rows[0];
     if (!active) {
       // Chain off the most recent COMPLETED predecessor so windows never gap
       // or overlap; with no history at all, start the aligned initial cycle.
@@ -150,14 +164,19 @@ async function ensureActiveCycle({ now, durationMs, generateSeed }) {
          LIMIT 1`
       );
       const startTime = prev[0] ? new Date(prev[0].end_time) : alignStartTime(now, durationMs);
-      active = await insertCycle(client, { startTime, durationMs, seed: generateSeed() });
+      const { rows: [history] } = await client.query(
+        'SELECT count(*)::int AS n FROM apocalypse_cycles'
+      );
+      const mode = gameModes.resolveMode(gameModes.modeForSequence(modeRotation, history.n));
+      active = await insertCycle(client, { startTime, durationMs, seed: generateSeed(), mode });
+      created = true;
       // New cycle boundary: restore the persisted baseline, then create this
       // cycle's schedule once — atomically with the cycle insert.
       await collapseSchedule.startCycle(client, active);
       // Issue #17: every registered human and configured bot starts this
       // Apocalypse with exactly the authoritative starting cash — no JOIN
       // step, no human online required. Set-based and idempotent.
-      await gameRoundService.initializeCycleParticipants(client, active.cycle_id);
+      await gameRoundService.initializeCycleParticipants(client, active.cycle_id, new Date(nowMs));
     } else {
       // Recovery path: a pre-existing active cycle gets its schedule created
       // if (and only if) it is missing. No baseline reset mid-cycle.
@@ -166,23 +185,36 @@ async function ensureActiveCycle({ now, durationMs, generateSeed }) {
       // covers users registered mid-cycle and cycles created before
       // automatic participation existed. ON CONFLICT DO NOTHING makes this
       // a no-op for everyone already initialized; nobody is ever reset.
-      await gameRoundService.initializeCycleParticipants(client, active.cycle_id);
+      await gameRoundService.initializeCycleParticipants(client, active.cycle_id, new Date(nowMs));
       // While the cycle is live, reconcile its persisted due collapse rows.
       // An expired cycle's collapses run at exactly cycle end during
       // settlement, not here.
       if (new Date(active.end_time).getTime() > nowMs) {
-        await collapseSchedule.executeDueCollapses(client, active.cycle_id, new Date(nowMs));
+        collapses = await collapseSchedule.executeDueCollapses(client, active.cycle_id, new Date(nowMs));
       }
     }
 
     await client.query('COMMIT');
-    return active;
   } catch (err) {
     await client.query('ROLLBACK');
     throw err;
   } finally {
     client.release();
   }
+
+  // Post-commit work runs on the pool: the lifecycle client is back in it,
+  // so the order and margin passes below cannot starve it of connections.
+  if (created) await gameEvents.cycleStarted(active);
+  await gameEvents.collapsesExecuted(active, collapses);
+  if (collapses.length > 0) await priceStream.publishTicks(db, { cycleId: active.apocalypse_id });
+  // Collapses (and their contagion) move prices: fill or cancel the
+  // resting orders they triggered, then liquidate the leveraged positions
+  // they sank (neither rejects).
+  if (collapses.length > 0) {
+    await gameRoundService.evaluateOpenOrders({ now: new Date(nowMs) });
+    await gameRoundService.enforceMaintenanceMargin({ now: new Date(nowMs) });
+  }
+  return active;
 }
 
 // Bound on reconcile loop passes. Every non-returning pass makes one durable
@@ -213,8 +245,11 @@ const MAX_LIFECYCLE_PASSES = 10000;
 //      no-overlap). Long downtime chains one freeze/settle/successor pass
 //      per elapsed cycle, preserving full history.
 // Reconciliation observes and reuses persisted rows — it never rerolls.
-async function reconcileCycle({ now = new Date(), durationMs, generateSeed = defaultGenerateSeed } = {}) {
+// modeRotation overrides GAME_MODE_ROTATION; like the duration, it is
+// validated before any row can be created.
+async function reconcileCycle({ now = new Date(), durationMs, generateSeed = defaultGenerateSeed, modeRotation } = {}) {
   const duration = resolveDurationMs(durationMs);
+  const rotation = gameModes.resolveGameModeRotation(modeRotation);
   const nowDate = now instanceof Date ? now : new Date(now);
   const nowMs = nowDate.getTime();
 
@@ -222,10 +257,14 @@ async function reconcileCycle({ now = new Date(), durationMs, generateSeed = def
     // Phase 1: freeze an expired ACTIVE cycle into durable SETTLING.
     if (await settlementService.freezeExpiredActiveCycle({ nowMs })) continue;
     // Phase 2: complete any durable SETTLING cycle (results + COMPLETED).
-    if (await settlementService.settleSettlingCycle()) continue;
+    if (await settlementService.settleSettlingCycle({ nowMs })) continue;
     // Phase 3: ensure an ACTIVE cycle exists; return it when it is live.
-    const active = await ensureActiveCycle({ now: nowDate, durationMs: duration, generateSeed });
-    if (new Date(active.end_time).getTime() > nowMs) return active;
+    const active = await ensureActiveCycle({ now: nowDate, durationMs: duration, generateSeed, modeRotation: rotation });
+    if (new Date(active.end_time).getTime() > nowMs) {
+      await gameEvents.noteProgress(active, nowMs);
+      await gameEvents.refreshLeaderboard();
+      return active;
+    }
     // A chained successor that is itself already expired (long downtime):
     // loop to freeze and settle it in turn.
   }
@@ -252,9 +291,17 @@ function deriveProgress({ startTime, endTime, durationMs, now }) {
 // Milestone 1: the cycle seed is deliberately NOT part of the public
 // contract. It deterministically drives the Core 3 collapse schedule and
 // Core 5 bot randomness, so publishing it would let anyone precompute exactly
-// which coin collapses when. The seed stays persisted and internal-only.
-async function getGameState({ now = new Date(), durationMs, generateSeed } = {}) {
-  const cycle = await reconcileCycle({ now, durationMs, generateSeed });
+// which coin collapses when. The seed stays persisted and internal-only until
+// the cycle completes; only its `seedCommitment` (SHA-256) is published, so
+// the seed the fairness disclosure later reveals can be checked against it.
+//
+// Game modes: `mode` describes the live cycle's persisted mode and
+// `nextMode` the one the rotation gives the next cycle. Neither reveals the
+// collapse order.
+async function getGameState({ now = new Date(), durationMs, generateSeed, modeRotation } = {}) {
+  const cycle = await reconcileCycle({ now, durationMs, generateSeed, modeRotation });
+  const { rows: [history] } = await db.query('SELECT count(*)::int AS n FROM apocalypse_cycles');
+  const nextMode = gameModes.modeForSequence(gameModes.resolveGameModeRotation(modeRotation), history.n);
   const { remainingMs, apocalypsePercent } = deriveProgress({
     startTime: cycle.start_time,
     endTime: cycle.end_time,
@@ -270,6 +317,9 @@ async function getGameState({ now = new Date(), durationMs, generateSeed } = {})
     durationMs: Number(cycle.duration_ms),
     remainingMs,
     apocalypsePercent,
+    seedCommitment: collapseSchedule.seedCommitment(cycle.seed),
+    mode: gameModes.describeMode(cycle.game_mode, gameModes.cycleModeParams(cycle)),
+    nextMode: gameModes.describeMode(nextMode),
     serverTime: (now instanceof Date ? now : new Date(now)).toISOString()
   };
 }
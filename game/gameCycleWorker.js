@@ -39,12 +39,15 @@ class GameCycleWorker {
     return this;
   }
 
-  stop() {
+  // Resolves once the maintenance pass still running (if any) has finished,
+  // so the caller can close the pool behind it.
+  async stop() {
     if (this.timer) {
       clearInterval(this.timer);
       this.timer = null;
       logger.log('[GAME] Cycle worker stopped');
     }
+    if (this.lastMaintenance) await this.lastMaintenance;
   }
 }
 
@@ -0,0 +1,335 @@
+// Live game event stream: typed lifecycle events pushed to subscribers over
+// Server-Sent Events (GET /api/game/stream), instead of polling
+// /api/game/state, /api/game/leaderboard and /api/game/results/:cycleId.
+//
+// Every event is published AFTER the transaction that made it true has
+// committed — by ensureActiveCycle (gameCycleService), freezeExpiredActive-
+// Cycle and settleSettlingCycle (gameSettlementService), with the collapses
+// executeDueCollapses ran inside them — so a client never sees a state that
+// later rolls back. Each hook also publishes its event on the cross-process
+// bus (game/eventBus.js), and the events other processes publish there are
+// streamed here too, so a client sees every cycle event whichever process
+// it is connected to.
+//
+//   cycle.started       { apocalypseId, startTime, endTime, durationMs,
+//                         seedCommitment, mode }
+//   cycle.milestone     { apocalypseId, percent, reachedAt }
+//   collapse.executed   { apocalypseId, coinId, symbol, collapsedAt }
+//   cycle.settling      { apocalypseId, endTime, settlementStartedAt }
+//   cycle.completed     { apocalypseId, endTime, settledAt, resultsUrl }
+//   leaderboard.changed { apocalypseId, changes: [{ participantId, username,
+//                         isBot, rank, previousRank, currentWealth }] }
+//
+// A new subscription first receives `state` (the GET /api/game/state body).
+// Milestones are time-derived: reconcileCycle reports the live cycle's
+// progress on every pass and each milestone in APOCALYPSE_MILESTONES fires
+// once, when a pass first sees it reached. A process that first sees a cycle
+// mid-way only fires the milestones still ahead. Rank changes are found by
+// comparing the live standings after each lifecycle pass, each committed
+// price batch and each round trade — from any process — with the previous
+// ones; nothing is read while no one listens. A milestone another process
+// announced is not announced again here.
+//
+// Shapes and publication live here; the services only call (and await) the
+// cycleStarted / collapsesExecuted / cycleSettling / cycleCompleted /
+// noteProgress hooks, and refreshLeaderboard, after their COMMIT.
+//
+// Circular-import safety: gameCycleService and gameSettlementService require
+// this module at load time, so gameCycleService and gameResultsService are
+// required lazily here.
+
+const db = require('../db/connection');
+const logger = require('../utils/logger');
+const { eventBus, EVENT_TOPICS } = require('./eventBus');
+const { describeMode, cycleModeParams } = require('./gameModes');
+const { seedCommitment } = require('./collapseScheduleService');
+
+const GAME_EVENT_TYPES = Object.freeze({
+  CYCLE_STARTED: 'cycle.started',
+  CYCLE_MILESTONE: 'cycle.milestone',
+  COLLAPSE_EXECUTED: 'collapse.executed',
+  CYCLE_SETTLING: 'cycle.settling',
+  CYCLE_COMPLETED: 'cycle.completed',
+  LEADERBOARD_CHANGED: 'leaderboard.changed'
+});
+
+// Apocalypse-percent milestones, ascending.
+const APOCALYPSE_MILESTONES = Object.freeze([25, 50, 75, 90]);
+
+const subscriptions = new Set();
+
+// The live cycle's highest milestone already announced by this process.
+let progress = null;
+// The live standings last compared: { apocalypseId, ranks: participantId -> rank }.
+let standings = null;
+let leaderboardRefresh = null;
+let leaderboardDirty = false;
+
+function toIso(value) {
+  return new Date(value).toISOString();
+}
+
+function publish(type, payload) {
+  if (subscriptions.size === 0) return;
+  const event = { type, ...payload };
+  for (const subscription of subscriptions) {
+    if (!subscription.ready) {
+      subscription.pending.push(event);
+      continue;
+    }
+    try {
+      subscription.send(event);
+    } catch (error) {
+      logger.error('[GAME] Error delivering game event:', error);
+      subscription.close();
+    }
+  }
+}
+
+// Stream the event here and announce it to the other processes. Resolves
+// once it is NOTIFYed; never rejects.
+function announce(type, payload) {
+  publish(type, payload);
+  return eventBus.publish(type, payload);
+}
+
+function startProgress(apocalypseId) {
+  progress = { apocalypseId, reached: 0 };
+  standings = null;
+}
+
+function cycleStarted(cycle) {
+  startProgress(cycle.apocalypse_id);
+  return announce(GAME_EVENT_TYPES.CYCLE_STARTED, {
+    apocalypseId: cycle.apocalypse_id,
+    startTime: toIso(cycle.start_time),
+    endTime: toIso(cycle.end_time),
+    durationMs: Number(cycle.duration_ms),
+    seedCommitment: seedCommitment(cycle.seed),
+    mode: describeMode(cycle.game_mode, cycleModeParams(cycle))
+  });
+}
+
+// `collapses` as returned by collapseScheduleService.executeDueCollapses.
+async function collapsesExecuted(cycle, collapses) {
+  for (const collapse of collapses) {
+    await announce(GAME_EVENT_TYPES.COLLAPSE_EXECUTED, {
+      apocalypseId: cycle.apocalypse_id,
+      coinId: collapse.coin_id,
+      symbol: collapse.symbol,
+      collapsedAt: toIso(collapse.executed_at)
+    });
+  }
+}
+
+function cycleSettling(cycle, settlementStartedAt) {
+  return announce(GAME_EVENT_TYPES.CYCLE_SETTLING, {
+    apocalypseId: cycle.apocalypse_id,
+    endTime: toIso(cycle.end_time),
+    settlementStartedAt: toIso(settlementStartedAt)
+  });
+}
+
+function endProgress(apocalypseId) {
+  if (progress && progress.apocalypseId === apocalypseId) progress = null;
+}
+
+function cycleCompleted(cycle, settledAt) {
+  endProgress(cycle.apocalypse_id);
+  return announce(GAME_EVENT_TYPES.CYCLE_COMPLETED, {
+    apocalypseId: cycle.apocalypse_id,
+    endTime: toIso(cycle.end_time),
+    settledAt: toIso(settledAt),
+    resultsUrl: `/api/game/results/${cycle.apocalypse_id}`
+  });
+}
+
+// The live cycle as seen by a reconcile pass at `nowMs`: announce every
+// milestone reached since the last pass.
+async function noteProgress(cycle, nowMs) {
+  const { deriveProgress } = require('./gameCycleService');
+  const { apocalypsePercent } = deriveProgress({
+    startTime: cycle.start_time,
+    endTime: cycle.end_time,
+    durationMs: cycle.duration_ms,
+    now: new Date(nowMs)
+  });
+  const reached = APOCALYPSE_MILESTONES.filter((percent) => percent <= apocalypsePercent);
+  const highest = reached.length > 0 ? reached[reached.length - 1] : 0;
+
+  if (!progress || progress.apocalypseId !== cycle.apocalypse_id) {
+    progress = { apocalypseId: cycle.apocalypse_id, reached: highest };
+    return;
+  }
+  const startMs = new Date(cycle.start_time).getTime();
+  const announced = reached.filter((percent) => percent > progress.reached);
+  progress.reached = Math.max(progress.reached, highest);
+  for (const percent of announced) {
+    await announce(GAME_EVENT_TYPES.CYCLE_MILESTONE, {
+      apocalypseId: cycle.apocalypse_id,
+      percent,
+      reachedAt: toIso(startMs + (Number(cycle.duration_ms) * percent) / 100)
+    });
+  }
+}
+
+// An event another process published on the bus: stream the cycle events
+// (keeping this process's milestone progress in step) and re-compare the
+// standings when prices or holdings moved. This process's own events were
+// streamed when it published them, except trades, which only reach the bus.
+// The bus does not wait on subscribers, so a refresh started here stays in
+// flight as leaderboardRefresh until closeAllGameEventStreams awaits it.
+function onBusEvent({ topic, local, payload }) {
+  if (topic === EVENT_TOPICS.TRADE_EXECUTED || topic === EVENT_TOPICS.RECONNECTED) {
+    refreshLeaderboard();
+    return;
+  }
+  if (local) return;
+  switch (topic) {
+    case EVENT_TOPICS.PRICE_BATCH:
+      refreshLeaderboard();
+      return;
+    case EVENT_TOPICS.CYCLE_STARTED:
+      startProgress(payload.apocalypseId);
+      break;
+    case EVENT_TOPICS.CYCLE_MILESTONE:
+      if (progress && progress.apocalypseId === payload.apocalypseId) {
+        if (payload.percent <= progress.reached) return;
+        progress.reached = payload.percent;
+      } else {
+        progress = { apocalypseId: payload.apocalypseId, reached: payload.percent };
+      }
+      break;
+    case EVENT_TOPICS.COLLAPSE_EXECUTED:
+    case EVENT_TOPICS.CYCLE_SETTLING:
+      break;
+    case EVENT_TOPICS.CYCLE_COMPLETED:
+      endProgress(payload.apocalypseId);
+      break;
+    default:
+      return;
+  }
+  publish(topic, payload);
+}
+
+async function compareStandings() {
+  const { readLiveStandings } = require('./gameResultsService');
+  const { rows: cycles } = await db.query(
+    `SELECT cycle_id, apocalypse_id FROM apocalypse_cycles WHERE status = 'ACTIVE' LIMIT 1`
+  );
+  if (cycles.length === 0) return;
+  const [cycle] = cycles;
+  const rows = await readLiveStandings(cycle.cycle_id);
+  const ranks = new Map(rows.map((row, index) => [row.participant_id, index + 1]));
+
+  const previous = standings && standings.apocalypseId === cycle.apocalypse_id ? standings.ranks : null;
+  standings = { apocalypseId: cycle.apocalypse_id, ranks };
+  if (!previous) return;
+
+  const changes = rows
+    .map((row, index) => ({
+      participantId: row.participant_id,
+      username: row.username,
+      isBot: row.is_bot === true,
+      rank: index + 1,
+      previousRank: previous.has(row.participant_id) ? previous.get(row.participant_id) : null,
+      currentWealth: Math.round(parseFloat(row.wealth) * 100) / 100
+    }))
+    .filter((change) => change.rank !== change.previousRank);
+  if (changes.length > 0) {
+    publish(GAME_EVENT_TYPES.LEADERBOARD_CHANGED, { apocalypseId: cycle.apocalypse_id, changes });
+  }
+}
+
+// Compare the live standings with the last ones and announce rank changes.
+// Concurrent calls coalesce into the one in flight (which then runs once
+// more); the returned promise never rejects — a failed read is logged.
+function refreshLeaderboard() {
+  if (subscriptions.size === 0) return Promise.resolve();
+  if (leaderboardRefresh) {
+    leaderboardDirty = true;
+    return leaderboardRefresh;
+  }
+  leaderboardRefresh = (async () => {
+    do {
+      leaderboardDirty = false;
+      await compareStandings();
+    } while (leaderboardDirty && subscriptions.size > 0);
+  })()
+    .catch((error) => logger.error('[GAME] Error refreshing live standings:', error))
+    .finally(() => {
+      leaderboardRefresh = null;
+    });
+  return leaderboardRefresh;
+}
+
+// Open a subscription for a transport. `send(event)` writes one event;
+// `onClose()` is called once when the stream is ended from this side
+// (closeAllGameEventStreams). The `state` message goes first; events
+// committed while it is read are held and follow it.
+async function openGameEventStream({ send, onClose = () => {} }) {
+  const { getGameState } = require('./gameCycleService');
+  const subscription = {
+    ready: false,
+    pending: [],
+    closed: false,
+    send,
+    close() {
+      if (subscription.closed) return;
+      subscription.closed = true;
+      subscriptions.delete(subscription);
+      if (subscriptions.size === 0) standings = null;
+      onClose();
+    }
+  };
+  subscriptions.add(subscription);
+
+  try {
+    const state = await getGameState();
+    send({ type: 'state', ...state });
+  } catch (error) {
+    subscription.closed = true;
+    subscriptions.delete(subscription);
+    if (subscriptions.size === 0) standings = null;
+    throw error;
+  }
+
+  subscription.ready = true;
+  for (const event of subscription.pending.splice(0)) {
+    if (subscription.closed) break;
+    send(event);
+  }
+  // Take the standings a first rank change is compared against.
+  await refreshLeaderboard();
+  return { close: () => subscription.close() };
+}
+
+eventBus.subscribe('*', onBusEvent);
+
+// End every open stream, then wait for a leaderboard refresh still in
+// flight (it stops after its current read once no one listens), so no
+// standings query outlives shutdown or a test's teardown.
+async function closeAllGameEventStreams() {
+  for (const subscription of [...subscriptions]) {
+    subscription.close();
+  }
+  if (leaderboardRefresh) await leaderboardRefresh;
+}
+
+function openSubscriptionCount() {
+  return subscriptions.size;
+}
+
+module.exports = {
+  GAME_EVENT_TYPES,
+  APOCALYPSE_MILESTONES,
+  cycleStarted,
+  collapsesExecuted,
+  cycleSettling,
+  cycleCompleted,
+  noteProgress,
+  refreshLeaderboard,
+  openGameEventStream,
+  closeAllGameEventStreams,
+  openSubscriptionCount
+};
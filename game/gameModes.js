@@ -0,0 +1,188 @@
+// Rotating game-mode presets (migration 026).
+//
+// Every new cycle runs one named mode, picked from the operator's rotation
+// (GAME_MODE_ROTATION, a comma-separated list of mode names) by the number
+// of cycles created before it, so successive cycles walk the rotation in
+// order and the next cycle's mode is known in advance. The chosen mode's
+// name and parameters are persisted on the apocalypse_cycles row when the
+// cycle is created; everything that depends on them — the collapse
+// schedule, participants' starting cash, the simulator's volatility curve
+// and settlement — reads the persisted row, never the current rotation, so
+// a rotation change never alters a running or finished cycle.
+//
+// A mode's parameters:
+//   * startingCashScale           multiplies the configured starting cash
+//                                 (gameConstants.resolveGameStartingCash).
+//   * collapseWindowStartPercent  where in the cycle the collapse window
+//                                 opens; the last collapse is always at
+//                                 cycle end.
+//   * collapseFraction            the share of coins scheduled to collapse;
+//                                 the rest survive the cycle and settlement
+//                                 sells them at their final price.
+//   * volatilityScale             multiplies the Core 2 volatility curve.
+//
+// The cycle duration is deliberately not a mode parameter: the global cycle
+// keeps its configured duration and half-hour alignment.
+
+const { resolveGameStartingCash } = require('./gameConstants');
+const { COLLAPSE_WINDOW_START_PERCENT } = require('./collapseScheduleService');
+const {
+  DEFAULT_APOCALYPSE_MIN_FACTOR,
+  DEFAULT_APOCALYPSE_MAX_FACTOR,
+  ABSOLUTE_MAX_APOCALYPSE_FACTOR
+} = require('./apocalypseVolatility');
+
+const STANDARD_MODE_PARAMS = Object.freeze({
+  startingCashScale: 1,
+  collapseWindowStartPercent: COLLAPSE_WINDOW_START_PERCENT,
+  collapseFraction: 1,
+  volatilityScale: 1
+});
+
+// The preset catalogue. Each mode lists only what it changes from standard.
+const GAME_MODES = Object.freeze({
+  standard: Object.freeze({ label: 'Standard', params: STANDARD_MODE_PARAMS }),
+  double_volatility: Object.freeze({
+    label: 'Double Volatility',
+    params: Object.freeze({ ...STANDARD_MODE_PARAMS, volatilityScale: 2 })
+  }),
+  half_collapse: Object.freeze({
+    label: 'Half the Coins Collapse',
+    params: Object.freeze({ ...STANDARD_MODE_PARAMS, collapseFraction: 0.5 })
+  }),
+  low_cash: Object.freeze({
+    label: 'Low Starting Cash',
+    params: Object.freeze({ ...STANDARD_MODE_PARAMS, startingCashScale: 0.25 })
+  }),
+  late_window: Object.freeze({
+    label: 'Late Collapse Window',
+    params: Object.freeze({ ...STANDARD_MODE_PARAMS, collapseWindowStartPercent: 90 })
+  })
+});
+
+const DEFAULT_GAME_MODE = 'standard';
+// The persisted game_mode column is VARCHAR(32).
+const MAX_GAME_MODE_NAME_LENGTH = 32;
+const MAX_GAME_MODE_ROTATION_LENGTH = 50;
+
+// Validate one mode's parameters. Called for the whole catalogue at module
+// load — a bad preset is a build-time bug, so it throws immediately — and by
+// the schema verification for every persisted cycle.
+function validateModeParams(name, params) {
+  for (const key of Object.keys(STANDARD_MODE_PARAMS)) {
+    if (typeof params[key] !== 'number' || !Number.isFinite(params[key])) {
+      throw new Error(`game mode ${name}: ${key} must be a finite number; received ${JSON.stringify(params[key])}`);
+    }
+  }
+  const { startingCashScale, collapseWindowStartPercent, collapseFraction, volatilityScale } = params;
+  if (!(startingCashScale > 0 && startingCashScale <= 10)) {
+    throw new Error(`game mode ${name}: startingCashScale must be in (0, 10]; received ${startingCashScale}`);
+  }
+  if (!(collapseWindowStartPercent >= 0 && collapseWindowStartPercent < 100)) {
+    throw new Error(`game mode ${name}: collapseWindowStartPercent must be in [0, 100); received ${collapseWindowStartPercent}`);
+  }
+  if (!(collapseFraction > 0 && collapseFraction <= 1)) {
+    throw new Error(`game mode ${name}: collapseFraction must be in (0, 1]; received ${collapseFraction}`);
+  }
+  if (!(volatilityScale > 0 && DEFAULT_APOCALYPSE_MAX_FACTOR * volatilityScale <= ABSOLUTE_MAX_APOCALYPSE_FACTOR)) {
+    throw new Error(`game mode ${name}: volatilityScale must be positive and keep the volatility curve within the ${ABSOLUTE_MAX_APOCALYPSE_FACTOR}x safety cap; received ${volatilityScale}`);
+  }
+  return params;
+}
+
+function validateGameModes(modes = GAME_MODES) {
+  for (const [name, mode] of Object.entries(modes)) {
+    if (!/^[a-z][a-z0-9_]*$/.test(name) || name.length > MAX_GAME_MODE_NAME_LENGTH) {
+      throw new Error(`game mode name must be lower_snake_case and at most ${MAX_GAME_MODE_NAME_LENGTH} characters; received ${JSON.stringify(name)}`);
+    }
+    if (typeof mode.label !== 'string' || mode.label.trim() === '') {
+      throw new Error(`game mode ${name} is missing a label`);
+    }
+    validateModeParams(name, mode.params);
+  }
+  return modes;
+}
+
+validateGameModes();
+
+// Resolve the configured rotation. Absent or blank means standard only; any
+// unknown or empty entry is a configuration error, never silently skipped.
+function resolveGameModeRotation(raw = process.env.GAME_MODE_ROTATION) {
+  if (raw === undefined || raw === null) return [DEFAULT_GAME_MODE];
+  if (typeof raw !== 'string') {
+    throw new Error(`GAME_MODE_ROTATION must be a comma-separated list of mode names; received ${String(raw)}`);
+  }
+  if (raw.trim() === '') return [DEFAULT_GAME_MODE];
+
+  const names = raw.split(',').map((name) => name.trim());
+  if (names.length > MAX_GAME_MODE_ROTATION_LENGTH) {
+    throw new Error(`GAME_MODE_ROTATION lists ${names.length} modes; the maximum is ${MAX_GAME_MODE_ROTATION_LENGTH}`);
+  }
+  for (const name of names) {
+    if (!Object.prototype.hasOwnProperty.call(GAME_MODES, name)) {
+      throw new Error(
+        `GAME_MODE_ROTATION entry ${JSON.stringify(name)} is not a game mode; expected one of ${Object.keys(GAME_MODES).join(', ')}`
+      );
+    }
+  }
+  return names;
+}
+
+// The mode of the cycle created after `cyclesBefore` others.
+function modeForSequence(rotation, cyclesBefore) {
+  return rotation[cyclesBefore % rotation.length];
+}
+
+// The name and parameters persisted on a new cycle row.
+function resolveMode(name) {
+  const mode = GAME_MODES[name];
+  if (!mode) throw new Error(`unknown game mode ${JSON.stringify(name)}`);
+  return { name, params: { ...mode.params } };
+}
+
+// The effective parameters of a persisted cycle row. Cycles created before
+// migration 026 carry an empty object and run as standard.
+function cycleModeParams(cycle) {
+  return { ...STANDARD_MODE_PARAMS, ...((cycle && cycle.game_mode_params) || {}) };
+}
+
+// A cycle's starting cash: the configured starting cash scaled by its mode,
+// at the application's 2-decimal money precision.
+function cycleStartingCash(cycle) {
+  const cash = resolveGameStartingCash();
+  const { startingCashScale } = cycleModeParams(cycle);
+  return startingCashScale === 1 ? cash : Math.round(cash * startingCashScale * 100) / 100;
+}
+
+// The Core 2 curve configuration for a mode's volatility scale.
+function volatilityConfigFor({ volatilityScale = 1 } = {}) {
+  return {
+    minFactor: DEFAULT_APOCALYPSE_MIN_FACTOR * volatilityScale,
+    maxFactor: DEFAULT_APOCALYPSE_MAX_FACTOR * volatilityScale
+  };
+}
+
+// Public description of a mode: its name, label and parameters. Safe to
+// publish — none of it reveals the seed or the collapse order.
+function describeMode(name, params = GAME_MODES[name] ? GAME_MODES[name].params : STANDARD_MODE_PARAMS) {
+  return {
+    name,
+    label: GAME_MODES[name] ? GAME_MODES[name].label : name,
+    ...params
+  };
+}
+
+module.exports = {
+  GAME_MODES,
+  DEFAULT_GAME_MODE,
+  STANDARD_MODE_PARAMS,
+  validateModeParams,
+  validateGameModes,
+  resolveGameModeRotation,
+  modeForSequence,
+  resolveMode,
+  cycleModeParams,
+  cycleStartingCash,
+  volatilityConfigFor,
+  describeMode
+};
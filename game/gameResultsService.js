@@ -4,7 +4,9 @@
 //   * getLiveLeaderboard — the CURRENT active cycle, reconcile-then-read
 //     (same convention as GET /api/game/state). Live wealth uses the Core 4
 //     semantics exactly: current_cash + live value of current-round
-//     holdings, with collapsed holdings at £0 (their live price IS £0).
+//     holdings, with collapsed holdings at £0 (their live price IS £0),
+//     − the debt borrowed against leveraged holdings, + the marked value of
+//     open shorts (collateral − buy-back cost).
 //     Sorted wealth DESC, participant_id ASC; the position in that order is
 //     the live rank. Informational only — the FINAL result is the immutable
 //     apocalypse_results snapshot, which can differ.
@@ -12,18 +14,59 @@
 //   * getCycleResults — a COMPLETED cycle's immutable snapshot rows, sorted
 //     by rank. Non-COMPLETED cycles are clearly rejected (409); unknown ids
 //     are 404. Rows are READ from apocalypse_results — never dynamically
-//     recalculated from mutable participant/holding state.
+//     recalculated from mutable participant/holding state. The cycle's
+//     executed collapses come with their recorded contagion (the panic each
+//     surviving coin took), so the results explain the final crash.
 //
 //   * getRecentLeaderboards — the most recent COMPLETED cycles with their
 //     immutable snapshots, bounded by a validated/clamped limit. The limit
 //     only bounds the READ; historical rows are never deleted.
 //
-// Nothing here ever exposes the cycle seed or any scheduled-but-unexecuted
-// (future) collapse data. The bot personality IS public game data by Core 6
-// design (it appears on both the live leaderboard and final results).
+//   * getCycleFairness — the provably-fair disclosure of a COMPLETED cycle:
+//     its seed (checkable against the seedCommitment published from the
+//     cycle's start), game mode, full collapse schedule and the inputs
+//     needed to re-derive that schedule. For the prices and the bot
+//     decisions it discloses only the seeded random streams behind them, not
+//     the coin state they were applied to, so those replay checks are out of
+//     reach. Only a COMPLETED cycle is ever disclosed (409 otherwise), when
+//     nothing the seed drives can still happen.
+//
+//   * getCycleReplay — a COMPLETED cycle as one time-ordered event stream
+//     (price points, every trade with its trader, executed collapses, market
+//     events, the freeze and the settlement), served one bounded time window
+//     at a time so a client can page through the round. Like the results,
+//     only a COMPLETED cycle is replayed (409 otherwise).
+//
+//   * getWealthCurve — one participant's wealth over their round, from the
+//     snapshots each price batch appends (migration 027), with the peak,
+//     the low and the worst drawdown. Served for a live round as well as a
+//     finished one: live wealth is already public on the live leaderboard.
+//
+// Apart from getCycleFairness, nothing here ever exposes the cycle seed or
+// any scheduled-but-unexecuted (future) collapse data. The bot personality
+// IS public game data by Core 6 design (it appears on both the live
+// leaderboard and final results).
 
 const db = require('../db/connection');
 const { reconcileCycle, deriveProgress } = require('./gameCycleService');
+const { shortPositionsValueSql } = require('./gameRoundService');
+const { buildSchedule, seedCommitment } = require('./collapseScheduleService');
+const { cycleModeParams, describeMode } = require('./gameModes');
+const { BOT_ROSTER } = require('./botConfig');
+
+// The seeded random streams a fairness disclosure lets anyone re-derive,
+// each SHA-256(key) with the first 4 bytes read as a big-endian uint32 / 2^32.
+const FAIRNESS_RANDOM_KEYS = Object.freeze({
+  collapseSchedule: '{seed}:{counter}',
+  market: '{seed}:market:{batchIndex|cycle}:{scope}:{counter}',
+  bots: '{seed}:core5:{botKey}:{tickId}:{counter}'
+});
+
+// What a fairness disclosure lets a client check on its own: the seed against
+// its commitment, the schedule against the seed, and the draws of each random
+// stream. Not the prices or bot decisions those draws fed: their other
+// inputs (coin state, price model parameters, trades) are not disclosed.
+const FAIRNESS_VERIFIES = Object.freeze(['seedCommitment', 'schedule', 'randomStreams']);
 
 // Canonical public cycle identifier (Core 1): e.g. 'APOC-0001'.
 const APOCALYPSE_ID_PATTERN = /^APOC-\d{4,}$/;
@@ -33,6 +76,29 @@ const APOCALYPSE_ID_PATTERN = /^APOC-\d{4,}$/;
 const DEFAULT_RECENT_LEADERBOARDS_LIMIT = 5;
 const MAX_RECENT_LEADERBOARDS_LIMIT = 25;
 
+// Bounds for GET /api/game/results/:cycleId/replay?from=&to=. A window bounds
+// the events of one page; price points dominate it (one per coin per market
+// batch).
+const DEFAULT_REPLAY_WINDOW_MS = 5 * 60 * 1000;
+const MAX_REPLAY_WINDOW_MS = 60 * 60 * 1000;
+
+// A wealth curve is served at full resolution up to this many points; a
+// longer one is thinned evenly, always keeping its extremes.
+const MAX_WEALTH_CURVE_POINTS = 500;
+
+// Order of replay events that share a timestamp: the cycle opens, prices
+// move, news breaks, players trade on it, coins collapse, the round freezes
+// and settles.
+const REPLAY_EVENT_ORDER = [
+  'cycle.started',
+  'price.point',
+  'market.event',
+  'trade',
+  'collapse.executed',
+  'cycle.settling',
+  'cycle.completed'
+];
+
 // Domain error carrying an HTTP status for the controller layer. Unknown
 // errors still fall through to the generic 500 handler.
 class GameResultsError extends Error {
@@ -71,6 +137,31 @@ function resolveRecentLimit(raw) {
   return Math.min(MAX_RECENT_LEADERBOARDS_LIMIT, Math.max(1, value));
 }
 
+// ---------------------------------------------------------------------------
+// Live standings of one cycle's ACTIVE participants: live wealth DESC,
+// participant_id ASC — the position in that order is the live rank. Shared
+// by the live leaderboard and the game event stream's rank-change events.
+// ---------------------------------------------------------------------------
+async function readLiveStandings(cycleId, queryable = db) {
+  const { rows } = await queryable.query(
+    `SELECT p.participant_id, p.user_id, u.username, u.is_bot,
+            b.strategy AS personality,
+            p.joined_at, p.current_cash, p.peak_wealth,
+            p.current_cash + COALESCE(SUM(h.quantity * c.current_price - h.debt), 0)
+              + ${shortPositionsValueSql('p.participant_id')} AS wealth
+     FROM apocalypse_participants p
+     JOIN users u ON u.user_id = p.user_id
+     LEFT JOIN apocalypse_bots b ON b.user_id = p.user_id
+     LEFT JOIN apocalypse_holdings h ON h.participant_id = p.participant_id
+     LEFT JOIN coins c ON c.coin_id = h.coin_id
+     WHERE p.cycle_id = $1 AND p.status = 'ACTIVE'
+     GROUP BY p.participant_id, u.username, u.is_bot, b.strategy
+     ORDER BY wealth DESC, p.participant_id ASC`,
+    [cycleId]
+  );
+  return rows;
+}
+
 // ---------------------------------------------------------------------------
 // Live leaderboard for the current ACTIVE cycle.
 // ---------------------------------------------------------------------------
@@ -114,21 +205,7 @@ async function getLiveLeaderboard({ now = new Date() } = {}) {
     );
   }
 
-  const { rows } = await db.query(
-    `SELECT p.participant_id, p.user_id, u.username, u.is_bot,
-            b.strategy AS personality,
-            p.joined_at, p.current_cash, p.peak_wealth,
-            p.current_cash + COALESCE(SUM(h.quantity * c.current_price), 0) AS wealth
-     FROM apocalypse_participants p
-     JOIN users u ON u.user_id = p.user_id
-     LEFT JOIN apocalypse_bots b ON b.user_id = p.user_id
-     LEFT JOIN apocalypse_holdings h ON h.participant_id = p.participant_id
-     LEFT JOIN coins c ON c.coin_id = h.coin_id
-     WHERE p.cycle_id = $1 AND p.status = 'ACTIVE'
-     GROUP BY p.participant_id, u.username, u.is_bot, b.strategy
-     ORDER BY wealth DESC, p.participant_id ASC`,
-    [cycle.cycle_id]
-  );
+  const rows = await readLiveStandings(cycle.cycle_id);
 
   const { remainingMs, apocalypsePercent } = deriveProgress({
     startTime: cycle.start_time,
@@ -193,14 +270,54 @@ function publicResultRow(row) {
     peakWealth: parseFloat(row.peak_wealth),
     startingCash: parseFloat(row.starting_cash),
     netProfit: parseFloat(row.net_profit),
+    badDebt: parseFloat(row.bad_debt),
     joinedAt: new Date(row.joined_at).toISOString(),
     tradeCount: row.trade_count,
     buyCount: row.buy_count,
     sellCount: row.sell_count,
+    forcedCount: row.forced_count,
     settledAt: new Date(row.created_at).toISOString()
   };
 }
 
+// The cycle's executed collapses in rank order, each with the recorded
+// contagion it spread (game/collapseContagion.js). Only executed rows are
+// read: a COMPLETED cycle has executed all of them.
+async function getCycleCollapses(cycleId) {
+  const { rows: collapses } = await db.query(
+    `SELECT cs.schedule_id, cs.coin_id, c.symbol, cs.collapse_rank, cs.executed_at
+     FROM coin_collapse_schedule cs
+     JOIN coins c ON c.coin_id = cs.coin_id
+     WHERE cs.cycle_id = $1 AND cs.executed_at IS NOT NULL
+     ORDER BY cs.collapse_rank`,
+    [cycleId]
+  );
+  const { rows: contagion } = await db.query(
+    `SELECT cc.schedule_id, cc.coin_id, c.symbol, cc.panic_shock, cc.price_before, cc.price_after, cc.volatility_boost
+     FROM coin_collapse_contagion cc
+     JOIN coins c ON c.coin_id = cc.coin_id
+     WHERE cc.cycle_id = $1
+     ORDER BY cc.schedule_id, cc.coin_id`,
+    [cycleId]
+  );
+  return collapses.map((collapse) => ({
+    coinId: collapse.coin_id,
+    symbol: collapse.symbol,
+    collapseRank: collapse.collapse_rank,
+    collapsedAt: new Date(collapse.executed_at).toISOString(),
+    contagion: contagion
+      .filter((row) => row.schedule_id === collapse.schedule_id)
+      .map((row) => ({
+        coinId: row.coin_id,
+        symbol: row.symbol,
+        panicShock: row.panic_shock,
+        priceBefore: parseFloat(row.price_before),
+        priceAfter: parseFloat(row.price_after),
+        volatilityBoost: row.volatility_boost
+      }))
+  }));
+}
+
 async function getCycleResults(rawCycleId) {
   const cycleId = validateApocalypseId(rawCycleId);
 
@@ -231,7 +348,405 @@ async function getCycleResults(rawCycleId) {
     endTime: new Date(cycle.end_time).toISOString(),
     settledAt: cycle.settled_at ? new Date(cycle.settled_at).toISOString() : null,
     resultCount: rows.length,
-    results: rows.map(publicResultRow)
+    results: rows.map(publicResultRow),
+    collapses: await getCycleCollapses(cycle.cycle_id)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Provably-fair disclosure of a COMPLETED cycle. The schedule is the seeded
+// Fisher-Yates shuffle of the coins eligible at cycle creation, ordered by
+// coin_id (collapseScheduleService.buildSchedule), as recorded on the cycle
+// (migration 030). In the standard mode every eligible coin is scheduled; a
+// mode that spares coins leaves some out, and they are disclosed as eligible
+// too. A cycle scheduled before migration 030 recorded nothing: its scheduled
+// coins stand in, plus — in a mode that spares coins — today's active
+// catalogue. `scheduleVerified` is the server re-deriving the schedule from
+// exactly the disclosed inputs.
+// ---------------------------------------------------------------------------
+async function getCycleFairness(rawCycleId) {
+  const cycleId = validateApocalypseId(rawCycleId);
+
+  const { rows: cycleRows } = await db.query(
+    `SELECT * FROM apocalypse_cycles WHERE apocalypse_id = $1`,
+    [cycleId]
+  );
+  const cycle = cycleRows[0];
+  if (!cycle) {
+    throw new GameResultsError(`Unknown apocalypse cycle ${cycleId}.`, 404);
+  }
+  if (cycle.status !== 'COMPLETED') {
+    throw new GameResultsError(
+      `Apocalypse cycle ${cycleId} is ${cycle.status}, not COMPLETED. The seed and collapse schedule are disclosed only once a cycle has completed.`,
+      409
+    );
+  }
+
+  const { rows: schedule } = await db.query(
+    `SELECT cs.coin_id, c.symbol, cs.collapse_rank, cs.scheduled_at, cs.executed_at, cs.baseline_price
+     FROM coin_collapse_schedule cs
+     JOIN coins c ON c.coin_id = cs.coin_id
+     WHERE cs.cycle_id = $1
+     ORDER BY cs.collapse_rank`,
+    [cycle.cycle_id]
+  );
+  const params = cycleModeParams(cycle);
+  const scheduledIds = schedule.map((row) => row.coin_id);
+  let eligibleCoinIds = cycle.eligible_coin_ids || scheduledIds;
+  if (!cycle.eligible_coin_ids && params.collapseFraction < 1) {
+    const { rows: spared } = await db.query(
+      `SELECT coin_id FROM coins WHERE retired = FALSE AND coin_id <> ALL($1::int[])`,
+      [scheduledIds]
+    );
+    eligibleCoinIds = eligibleCoinIds.concat(spared.map((row) => row.coin_id));
+  }
+  eligibleCoinIds = eligibleCoinIds.slice().sort((a, b) => a - b);
+
+  const rederived = buildSchedule({
+    seed: cycle.seed,
+    coins: eligibleCoinIds.map((coinId) => ({ coin_id: coinId, baseline_price: null })),
+    startTime: cycle.start_time,
+    endTime: cycle.end_time,
+    windowStartPercent: params.collapseWindowStartPercent,
+    collapseFraction: params.collapseFraction
+  });
+  const scheduleVerified = rederived.length === schedule.length && rederived.every((row, rank) => (
+    row.coin_id === schedule[rank].coin_id
+    && row.scheduled_at.getTime() === new Date(schedule[rank].scheduled_at).getTime()
+  ));
+
+  const { rows: marketRows } = await db.query(
+    'SELECT update_interval_ms FROM market_state WHERE cycle_id = $1',
+    [cycle.cycle_id]
+  );
+  const { rows: ticks } = await db.query(
+    `SELECT tick_id, actions, executed_at FROM apocalypse_bot_ticks
+     WHERE cycle_id = $1
+     ORDER BY tick_id`,
+    [cycle.cycle_id]
+  );
+
+  return {
+    cycleId: cycle.apocalypse_id,
+    status: cycle.status,
+    startTime: new Date(cycle.start_time).toISOString(),
+    endTime: new Date(cycle.end_time).toISOString(),
+    durationMs: Number(cycle.duration_ms),
+    settledAt: cycle.settled_at ? new Date(cycle.settled_at).toISOString() : null,
+    seed: cycle.seed,
+    seedCommitment: seedCommitment(cycle.seed),
+    mode: describeMode(cycle.game_mode, params),
+    verifies: FAIRNESS_VERIFIES,
+    randomKeys: FAIRNESS_RANDOM_KEYS,
+    schedule: {
+      windowStartPercent: params.collapseWindowStartPercent,
+      collapseFraction: params.collapseFraction,
+      eligibleCoinIds,
+      collapses: schedule.map((row) => ({
+        rank: row.collapse_rank,
+        coinId: row.coin_id,
+        symbol: row.symbol,
+        scheduledAt: new Date(row.scheduled_at).toISOString(),
+        executedAt: row.executed_at ? new Date(row.executed_at).toISOString() : null,
+        baselinePrice: parseFloat(row.baseline_price)
+      })),
+      scheduleVerified
+    },
+    market: {
+      // Null when the simulator never priced this cycle.
+      updateIntervalMs: marketRows.length > 0 ? marketRows[0].update_interval_ms : null
+    },
+    bots: {
+      roster: BOT_ROSTER.map((bot) => ({ botKey: bot.botKey, username: bot.username, strategy: bot.strategy })),
+      ticks: ticks.map((tick) => ({
+        tickId: Number(tick.tick_id),
+        executedAt: new Date(tick.executed_at).toISOString(),
+        actions: tick.actions
+      }))
+    }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Replay of a COMPLETED cycle: every recorded event between the cycle start
+// and its settlement, merged into one stream ordered by time (then
+// REPLAY_EVENT_ORDER, then row id). The round is over, so trades carry their
+// trader's username. Paging is by time window: a page holds the events in
+// [from, to), and the last page also holds the events at the replay end.
+// `nextFrom` starts the next page and is null on the last one.
+// ---------------------------------------------------------------------------
+function resolveReplayTime(raw, name) {
+  if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+    return null;
+  }
+  const time = new Date(String(raw).trim());
+  if (Number.isNaN(time.getTime())) {
+    throw new GameResultsError(`Invalid ${name}. Please provide an ISO 8601 timestamp.`, 400);
+  }
+  return time;
+}
+
+// The window [from, to] of one replay page, inside [startMs, endMs]. `from`
+// defaults to the cycle start and `to` to one default window later; a `to`
+// past the replay end is cut to it.
+function resolveReplayWindow({ from: rawFrom, to: rawTo }, startMs, endMs) {
+  const requestedFrom = resolveReplayTime(rawFrom, 'from');
+  const requestedTo = resolveReplayTime(rawTo, 'to');
+  const fromMs = requestedFrom ? requestedFrom.getTime() : startMs;
+  if (fromMs < startMs || fromMs >= endMs) {
+    throw new GameResultsError(
+      `Invalid from. The replay runs from ${new Date(startMs).toISOString()} to ${new Date(endMs).toISOString()}.`,
+      400
+    );
+  }
+  const toMs = requestedTo ? requestedTo.getTime() : fromMs + DEFAULT_REPLAY_WINDOW_MS;
+  if (toMs <= fromMs) {
+    throw new GameResultsError('Invalid time range: to must be after from.', 400);
+  }
+  if (toMs - fromMs > MAX_REPLAY_WINDOW_MS) {
+    throw new GameResultsError(
+      `Invalid time range: a replay window spans at most ${MAX_REPLAY_WINDOW_MS / 60000} minutes.`,
+      400
+    );
+  }
+  return { fromMs, toMs: Math.min(toMs, endMs) };
+}
+
+async function getCycleReplay(rawCycleId, { from, to } = {}) {
+  const cycleId = validateApocalypseId(rawCycleId);
+
+  const { rows: cycleRows } = await db.query(
+    `SELECT * FROM apocalypse_cycles WHERE apocalypse_id = $1`,
+    [cycleId]
+  );
+  const cycle = cycleRows[0];
+  if (!cycle) {
+    throw new GameResultsError(`Unknown apocalypse cycle ${cycleId}.`, 404);
+  }
+  if (cycle.status !== 'COMPLETED') {
+    throw new GameResultsError(
+      `Apocalypse cycle ${cycleId} is ${cycle.status}, not COMPLETED. A replay exists only for completed cycles; use GET /api/game/stream to follow the live round.`,
+      409
+    );
+  }
+
+  // The replay runs to whichever comes last of the cycle end, its last
+  // collapse and its settlement: a late reconcile stamps collapses with its
+  // own time, after the scheduled end.
+  const allCollapses = await getCycleCollapses(cycle.cycle_id);
+  const startMs = new Date(cycle.start_time).getTime();
+  const endMs = Math.max(
+    new Date(cycle.end_time).getTime(),
+    cycle.settled_at ? new Date(cycle.settled_at).getTime() : 0,
+    ...allCollapses.map((collapse) => new Date(collapse.collapsedAt).getTime())
+  );
+  const { fromMs, toMs } = resolveReplayWindow({ from, to }, startMs, endMs);
+  const lastPage = toMs === endMs;
+  const inWindow = (ms) => ms >= fromMs && (ms < toMs || (lastPage && ms === toMs));
+  // $1 from, $2 to, $3 whether `to` itself is in the window.
+  const windowParams = [new Date(fromMs), new Date(toMs), lastPage];
+  const windowSql = (column) => `${column} >= $1 AND (${column} < $2 OR ($3 AND ${column} = $2))`;
+
+  const { rows: prices } = await db.query(
+    `SELECT ph.price_history_id, ph.coin_id, c.symbol, ph.price, ph.created_at
+     FROM price_history ph
+     JOIN coins c ON c.coin_id = ph.coin_id
+     WHERE ${windowSql('ph.created_at')}`,
+    windowParams
+  );
+  const { rows: trades } = await db.query(
+    `SELECT t.round_transaction_id, t.participant_id, t.user_id, u.username, u.is_bot,
+            t.coin_id, c.symbol, t.type, t.quantity, t.price, t.total_amount, t.created_at
+     FROM apocalypse_transactions t
+     JOIN users u ON u.user_id = t.user_id
+     JOIN coins c ON c.coin_id = t.coin_id
+     WHERE t.cycle_id = $4 AND ${windowSql('t.created_at')}`,
+    [...windowParams, cycle.cycle_id]
+  );
+  const { rows: news } = await db.query(
+    `SELECT me.event_id, me.event_kind, me.event_type, me.coin_id, c.symbol, me.sector,
+            me.headline, me.effect, me.started_at, me.ends_at
+     FROM market_events me
+     LEFT JOIN coins c ON c.coin_id = me.coin_id
+     WHERE me.cycle_id = $4 AND ${windowSql('me.started_at')}`,
+    [...windowParams, cycle.cycle_id]
+  );
+  const collapses = allCollapses.filter((collapse) => inWindow(new Date(collapse.collapsedAt).getTime()));
+
+  const events = [];
+  if (inWindow(startMs)) {
+    events.push({ type: 'cycle.started', at: new Date(startMs), id: 0 });
+  }
+  for (const row of prices) {
+    events.push({
+      type: 'price.point',
+      at: new Date(row.created_at),
+      id: row.price_history_id,
+      coinId: row.coin_id,
+      symbol: row.symbol,
+      price: parseFloat(row.price)
+    });
+  }
+  for (const row of news) {
+    events.push({
+      type: 'market.event',
+      at: new Date(row.started_at),
+      id: row.event_id,
+      eventId: row.event_id,
+      kind: row.event_kind,
+      eventType: row.event_type,
+      coinId: row.coin_id,
+      symbol: row.symbol || null,
+      sector: row.sector,
+      headline: row.headline,
+      effect: row.effect,
+      endsAt: new Date(row.ends_at).toISOString()
+    });
+  }
+  for (const row of trades) {
+    events.push({
+      type: 'trade',
+      at: new Date(row.created_at),
+      id: row.round_transaction_id,
+      transactionId: row.round_transaction_id,
+      participantId: row.participant_id,
+      userId: row.user_id,
+      username: row.username,
+      isBot: row.is_bot === true,
+      side: row.type,
+      coinId: row.coin_id,
+      symbol: row.symbol,
+      quantity: parseFloat(row.quantity),
+      price: parseFloat(row.price),
+      totalAmount: parseFloat(row.total_amount)
+    });
+  }
+  for (const collapse of collapses) {
+    const { collapsedAt, ...rest } = collapse;
+    events.push({ type: 'collapse.executed', at: new Date(collapsedAt), id: collapse.collapseRank, ...rest });
+  }
+  if (cycle.settlement_started_at && inWindow(new Date(cycle.settlement_started_at).getTime())) {
+    events.push({ type: 'cycle.settling', at: new Date(cycle.settlement_started_at), id: 0 });
+  }
+  if (cycle.settled_at && inWindow(new Date(cycle.settled_at).getTime())) {
+    events.push({ type: 'cycle.completed', at: new Date(cycle.settled_at), id: 0 });
+  }
+
+  events.sort((a, b) => (a.at - b.at)
+    || (REPLAY_EVENT_ORDER.indexOf(a.type) - REPLAY_EVENT_ORDER.indexOf(b.type))
+    || (a.id - b.id));
+
+  return {
+    cycleId: cycle.apocalypse_id,
+    status: cycle.status,
+    startTime: new Date(cycle.start_time).toISOString(),
+    endTime: new Date(cycle.end_time).toISOString(),
+    settlementStartedAt: cycle.settlement_started_at ? new Date(cycle.settlement_started_at).toISOString() : null,
+    settledAt: cycle.settled_at ? new Date(cycle.settled_at).toISOString() : null,
+    window: { from: new Date(fromMs).toISOString(), to: new Date(toMs).toISOString() },
+    nextFrom: lastPage ? null : new Date(toMs).toISOString(),
+    count: events.length,
+    events: events.map(({ type, at, id, ...event }) => ({ type, at: at.toISOString(), ...event }))
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Wealth curve of one participant: their starting cash at join, one point
+// per price batch they played through, and for a finalized participant of a
+// COMPLETED cycle their final cash at the settlement. The stats are taken
+// over every point; only the served curve is thinned.
+// ---------------------------------------------------------------------------
+function validateParticipantId(raw) {
+  const trimmed = typeof raw === 'string' ? raw.trim() : raw;
+  if (!/^\d+$/.test(String(trimmed)) || Number(trimmed) < 1 || !Number.isSafeInteger(Number(trimmed))) {
+    throw new GameResultsError('Invalid participantId. Please provide a positive integer participant id.', 400);
+  }
+  return Number(trimmed);
+}
+
+// Peak, low and the largest peak-to-trough fall of a non-empty curve, by
+// index into it.
+function curveExtremes(points) {
+  let peak = 0;
+  let low = 0;
+  let runningPeak = 0;
+  let drawdown = { amount: 0, peak: 0, trough: 0 };
+  points.forEach((point, index) => {
+    if (point.wealth > points[peak].wealth) peak = index;
+    if (point.wealth < points[low].wealth) low = index;
+    if (point.wealth > points[runningPeak].wealth) runningPeak = index;
+    const fall = points[runningPeak].wealth - point.wealth;
+    if (fall > drawdown.amount) drawdown = { amount: fall, peak: runningPeak, trough: index };
+  });
+  return { peak, low, drawdown };
+}
+
+function thinCurve(points, keep) {
+  if (points.length <= MAX_WEALTH_CURVE_POINTS) return points;
+  const stride = Math.ceil(points.length / (MAX_WEALTH_CURVE_POINTS - keep.length - 1));
+  return points.filter((point, index) => index % stride === 0 || index === points.length - 1 || keep.includes(index));
+}
+
+async function getWealthCurve(rawParticipantId) {
+  const participantId = validateParticipantId(rawParticipantId);
+
+  const { rows: participantRows } = await db.query(
+    `SELECT p.participant_id, p.user_id, p.joined_at, p.starting_cash, p.status, p.final_cash,
+            u.username, u.is_bot, ac.apocalypse_id, ac.status AS cycle_status, ac.settled_at
+     FROM apocalypse_participants p
+     JOIN users u ON u.user_id = p.user_id
+     JOIN apocalypse_cycles ac ON ac.cycle_id = p.cycle_id
+     WHERE p.participant_id = $1`,
+    [participantId]
+  );
+  const participant = participantRows[0];
+  if (!participant) {
+    throw new GameResultsError(`Unknown participant ${participantId}.`, 404);
+  }
+
+  const { rows: snapshots } = await db.query(
+    `SELECT wealth, recorded_at FROM apocalypse_wealth_snapshots
+     WHERE participant_id = $1
+     ORDER BY recorded_at`,
+    [participantId]
+  );
+  const points = [{ at: new Date(participant.joined_at), wealth: parseFloat(participant.starting_cash) }];
+  for (const row of snapshots) {
+    points.push({ at: new Date(row.recorded_at), wealth: parseFloat(row.wealth) });
+  }
+  const finalCash = participant.final_cash === null ? null : parseFloat(participant.final_cash);
+  if (finalCash !== null && participant.cycle_status === 'COMPLETED' && participant.settled_at) {
+    points.push({ at: new Date(participant.settled_at), wealth: finalCash });
+  }
+
+  const { peak, low, drawdown } = curveExtremes(points);
+  const peakWealth = points[drawdown.peak].wealth;
+  const served = thinCurve(points, [peak, low, drawdown.peak, drawdown.trough]);
+
+  return {
+    participantId,
+    cycleId: participant.apocalypse_id,
+    cycleStatus: participant.cycle_status,
+    userId: participant.user_id,
+    username: participant.username,
+    isBot: participant.is_bot === true,
+    startingCash: parseFloat(participant.starting_cash),
+    finalCash,
+    stats: {
+      peak: { wealth: points[peak].wealth, at: points[peak].at.toISOString() },
+      low: { wealth: points[low].wealth, at: points[low].at.toISOString() },
+      latest: { wealth: points[points.length - 1].wealth, at: points[points.length - 1].at.toISOString() },
+      maxDrawdown: drawdown.amount > 0
+        ? {
+          amount: round2(drawdown.amount),
+          percent: peakWealth > 0 ? round2((drawdown.amount / peakWealth) * 100) : null,
+          peakAt: points[drawdown.peak].at.toISOString(),
+          troughAt: points[drawdown.trough].at.toISOString()
+        }
+        : null
+    },
+    pointCount: points.length,
+    points: served.map((point) => ({ at: point.at.toISOString(), wealth: point.wealth }))
   };
 }
 
@@ -289,9 +804,17 @@ async function getRecentLeaderboards({ limit: rawLimit } = {}) {
 module.exports = {
   DEFAULT_RECENT_LEADERBOARDS_LIMIT,
   MAX_RECENT_LEADERBOARDS_LIMIT,
+  DEFAULT_REPLAY_WINDOW_MS,
+  MAX_REPLAY_WINDOW_MS,
+  MAX_WEALTH_CURVE_POINTS,
   GameResultsError,
   resolveRecentLimit,
+  publicResultRow,
+  readLiveStandings,
   getLiveLeaderboard,
   getCycleResults,
+  getCycleFairness,
+  getCycleReplay,
+  getWealthCurve,
   getRecentLeaderboards
 };
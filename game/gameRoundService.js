@@ -4,8 +4,9 @@
 // This module owns ALL round-scoped game state. It never reads or writes
 // users.funds, legacy portfolios, or legacy transactions: a participant's
 // starting cash comes from the single game constant (gameConstants.js),
-// trades move only apocalypse_participants.current_cash and
-// apocalypse_holdings rows, and the ledger is apocalypse_transactions.
+// trades move only apocalypse_participants.current_cash,
+// apocalypse_holdings and apocalypse_short_positions rows, and the ledger is
+// apocalypse_transactions.
 //
 // Concurrency model: every mutating operation runs inside its own PostgreSQL
 // transaction guarded by the SAME transaction-scoped advisory lock Core 1
@@ -21,7 +22,12 @@
 // lazily inside the function, by which time the module graph is fully loaded.
 
 const db = require('../db/connection');
-const { GAME_STARTING_CASH, GAME_QUANTITY_DECIMALS, GAME_QUANTITY_MAX, GAME_MIN_TRADE_VALUE, resolveGameStartingCash } = require('./gameConstants');
+const logger = require('../utils/logger');
+const { GAME_STARTING_CASH, GAME_QUANTITY_DECIMALS, GAME_QUANTITY_MAX, GAME_MIN_TRADE_VALUE, GAME_MAX_OPEN_ORDERS, GAME_SHORT_MARGIN_RATE, GAME_SHORT_BORROW_FEE_RATE, GAME_MAX_SHORT_EXPOSURE_RATE, GAME_MAX_LEVERAGE, GAME_MAINTENANCE_MARGIN_RATE, resolveGameStartingCash } = require('./gameConstants');
+const { MarketImpactError, quoteTrade, poolPrice, lockPriceTicks, applyPriceImpact } = require('./marketImpact');
+const { eventBus, EVENT_TOPICS } = require('./eventBus');
+const priceStream = require('./priceStream');
+const { cycleStartingCash } = require('./gameModes');
 
 // Must match gameCycleService's GAME_CYCLE_ADVISORY_LOCK_KEY. It is
 // re-declared here (not imported) to keep this module free of any top-level
@@ -70,6 +76,18 @@ function assertMinTradeValue(total, side) {
   }
 }
 
+// Price a live trade against the coin's liquidity pool (market impact), from
+// the unrounded price the last trade left (poolPrice). An order the pool
+// cannot fill is a domain error like any other trade rejection.
+function quoteLiveTrade(side, quantity, coin) {
+  try {
+    return quoteTrade({ side, quantity, price: poolPrice(coin), depth: parseFloat(coin.liquidity_depth) });
+  } catch (err) {
+    if (err instanceof MarketImpactError) throw new GameRoundError(err.message, err.status);
+    throw err;
+  }
+}
+
 // Plain decimal strings only: digits with at most one fractional part
 // ("10", "1.25", "0.004", ".5", "1."). Signs, exponents, hex, thousands
 // separators and blank/garbage strings are malformed input, not quantities.
@@ -144,6 +162,22 @@ function validateApocalypseId(raw) {
   return raw;
 }
 
+// Validate an optional buy leverage (migration 025): absent means an
+// unleveraged buy; otherwise a whole number from 1 to GAME_MAX_LEVERAGE
+// (numeric string accepted).
+function validateLeverage(raw) {
+  if (raw === undefined || raw === null) return 1;
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+  const leverage = typeof text === 'string' && /^\d+$/.test(text) ? Number(text) : text;
+  if (!Number.isInteger(leverage) || leverage < 1 || leverage > GAME_MAX_LEVERAGE) {
+    throw new GameRoundError(
+      `Invalid leverage. Please provide a whole number from 1 to ${GAME_MAX_LEVERAGE}.`,
+      400
+    );
+  }
+  return leverage;
+}
+
 // Resolve and row-lock the cycle identified by its public apocalypse_id, and
 // prove it is the live round: it must exist, still be ACTIVE, and its window
 // must not have expired as of `now`. Stale prior IDs, completed cycles,
@@ -198,23 +232,42 @@ async function isCoinCollapsedInCycle(client, cycleId, coinId) {
   return rows.length > 0;
 }
 
+// Mark-to-market value of a participant's short positions (migration 024),
+// as a SQL expression over the given participant id reference: the
+// collateral held against each short minus the cost of buying its coins back
+// at the live price. It goes negative once a short has lost more than its
+// collateral; a short on a collapsed coin is worth its whole collateral.
+// Every wealth computation adds it to cash + holdings value.
+function shortPositionsValueSql(participantRef) {
+  return `COALESCE((
+    SELECT SUM(s.collateral - s.quantity * sc.current_price)
+    FROM apocalypse_short_positions s
+    JOIN coins sc ON sc.coin_id = s.coin_id
+    WHERE s.participant_id = ${participantRef}
+  ), 0)`;
+}
+
 // Wealth = participant current cash + SQL aggregate of round holding
 // quantity * current live coin price (collapsed holdings price at £0 and so
-// contribute nothing). Peak is monotonic: max(existing peak, current wealth).
+// contribute nothing) - the debt borrowed against leveraged holdings + the
+// marked value of its shorts. Peak is monotonic: max(existing peak, current
+// wealth).
 async function refreshWealthAndPeak(client, participantId) {
   const { rows } = await client.query(
     `WITH hv AS (
-       SELECT COALESCE(SUM(h.quantity * c.current_price), 0) AS holdings_value
+       SELECT COALESCE(SUM(h.quantity * c.current_price - h.debt), 0) AS holdings_value,
+              ${shortPositionsValueSql('$1')} AS shorts_value
        FROM apocalypse_holdings h
        JOIN coins c ON c.coin_id = h.coin_id
        WHERE h.participant_id = $1
      )
      UPDATE apocalypse_participants p
-     SET peak_wealth = GREATEST(p.peak_wealth, p.current_cash + hv.holdings_value),
+     SET peak_wealth = GREATEST(p.peak_wealth, p.current_cash + hv.holdings_value + hv.shorts_value),
          updated_at = now()
      FROM hv
      WHERE p.participant_id = $1
-     RETURNING p.*, p.current_cash + hv.holdings_value AS wealth, hv.holdings_value`,
+     RETURNING p.*, p.current_cash + hv.holdings_value + hv.shorts_value AS wealth,
+               hv.holdings_value, hv.shorts_value`,
     [participantId]
   );
   return rows[0];
@@ -228,7 +281,9 @@ async function getParticipantRoundState(participantId, queryable = db) {
             p.joined_at, p.starting_cash, p.current_cash, p.peak_wealth,
             p.status, p.final_cash, p.created_at, p.updated_at,
             u.is_bot,
-            COALESCE(SUM(h.quantity * c.current_price), 0) AS holdings_value
+            COALESCE(SUM(h.quantity * c.current_price), 0) AS holdings_value,
+            COALESCE(SUM(h.debt), 0) AS debt,
+            ${shortPositionsValueSql('p.participant_id')} AS shorts_value
      FROM apocalypse_participants p
      JOIN apocalypse_cycles ac ON ac.cycle_id = p.cycle_id
      JOIN users u ON u.user_id = p.user_id
@@ -241,7 +296,7 @@ async function getParticipantRoundState(participantId, queryable = db) {
   if (rows.length === 0) return null;
   const row = rows[0];
   const holdings = (await queryable.query(
-    `SELECT h.coin_id, c.symbol, h.quantity, c.current_price,
+    `SELECT h.coin_id, c.symbol, h.quantity, h.debt, c.current_price,
             h.quantity * c.current_price AS current_value
      FROM apocalypse_holdings h
      JOIN coins c ON c.coin_id = h.coin_id
@@ -249,8 +304,19 @@ async function getParticipantRoundState(participantId, queryable = db) {
      ORDER BY h.coin_id`,
     [participantId]
   )).rows;
+  const shorts = (await queryable.query(
+    `SELECT s.coin_id, c.symbol, s.quantity, s.collateral, c.current_price,
+            s.collateral - s.quantity * c.current_price AS current_value
+     FROM apocalypse_short_positions s
+     JOIN coins c ON c.coin_id = s.coin_id
+     WHERE s.participant_id = $1 AND s.quantity > 0
+     ORDER BY s.coin_id`,
+    [participantId]
+  )).rows;
   const currentCash = parseFloat(row.current_cash);
   const holdingsValue = parseFloat(row.holdings_value);
+  const debt = parseFloat(row.debt);
+  const shortsValue = round2(parseFloat(row.shorts_value));
   return {
     participantId: row.participant_id,
     cycleId: row.cycle_id,
@@ -261,7 +327,9 @@ async function getParticipantRoundState(participantId, queryable = db) {
     startingCash: parseFloat(row.starting_cash),
     currentCash,
     holdingsValue,
-    wealth: round2(currentCash + holdingsValue),
+    debt,
+    shortsValue,
+    wealth: round2(currentCash + holdingsValue - debt + shortsValue),
     peakWealth: parseFloat(row.peak_wealth),
     status: row.status,
     finalCash: row.final_cash === null ? null : parseFloat(row.final_cash),
@@ -270,7 +338,16 @@ async function getParticipantRoundState(participantId, queryable = db) {
       symbol: h.symbol,
       quantity: parseFloat(h.quantity),
       currentPrice: parseFloat(h.current_price),
-      currentValue: parseFloat(h.current_value)
+      currentValue: parseFloat(h.current_value),
+      debt: parseFloat(h.debt)
+    })),
+    shorts: shorts.map((short) => ({
+      coinId: short.coin_id,
+      symbol: short.symbol,
+      quantity: parseFloat(short.quantity),
+      collateral: parseFloat(short.collateral),
+      currentPrice: parseFloat(short.current_price),
+      currentValue: round2(parseFloat(short.current_value))
     }))
   };
 }
@@ -282,7 +359,9 @@ async function getParticipantRoundState(participantId, queryable = db) {
 // lock serialises the attempt with rollover.
 // ---------------------------------------------------------------------------
 async function joinRound({ userId, now = new Date() } = {}) {
-  const startingCash = resolveGameStartingCash();
+  // Validated up front so a bad configuration fails before any write; the
+  // amount itself is the cycle's, scaled by its game mode.
+  resolveGameStartingCash();
   const nowMs = (now instanceof Date ? now : new Date(now)).getTime();
 
   // Retry bound: each pass reconciles the cycle first, then joins under the
@@ -313,11 +392,11 @@ async function joinRound({ userId, now = new Date() } = {}) {
       // peak are never reset.
       const inserted = await client.query(
         `INSERT INTO apocalypse_participants
-           (cycle_id, user_id, starting_cash, current_cash, peak_wealth, status)
-         VALUES ($1, $2, $3, $3, $3, 'ACTIVE')
+           (cycle_id, user_id, starting_cash, current_cash, peak_wealth, status, joined_at)
+         VALUES ($1, $2, $3, $3, $3, 'ACTIVE', $4)
          ON CONFLICT (cycle_id, user_id) DO NOTHING
          RETURNING participant_id`,
-        [cycle.cycle_id, userId, startingCash]
+        [cycle.cycle_id, userId, cycleStartingCash(cycle), new Date(nowMs)]
       );
 
       let participantId;
@@ -345,125 +424,183 @@ async function joinRound({ userId, now = new Date() } = {}) {
   throw new Error('joinRound: unable to settle on an active cycle after repeated rollover reconciliation');
 }
 
+// A committed round trade, announced on the cross-process event bus
+// (game/eventBus.js) over the trade's own connection once it is back in
+// autocommit. Never throws: the trade has already committed.
+async function publishTrade(client, { cycle, participant, ...trade }) {
+  await eventBus.publish(EVENT_TOPICS.TRADE_EXECUTED, {
+    apocalypseId: cycle.apocalypse_id,
+    participantId: participant.participant_id,
+    userId: participant.user_id,
+    ...trade
+  }, client);
+}
+
 // ---------------------------------------------------------------------------
 // Buy: atomic round purchase. Debits ONLY the participant's round cash,
 // upserts ONLY the round holding, and appends ONLY a round transaction — all
-// at the server-side authoritative price, inside one advisory-locked
-// transaction. Any validation failure rolls back cash/holding/transaction
-// entirely. users.funds / portfolios / transactions are never touched.
+// priced from the server-side authoritative price through the coin's
+// liquidity pool, inside one advisory-locked transaction — then moves the
+// live price by the order's market impact. Any validation failure rolls back
+// cash/holding/transaction/impact entirely. users.funds / portfolios /
+// transactions are never touched.
+//
+// executeRoundBuy is the ledger path itself, run inside the caller's
+// transaction with the advisory lock and the live cycle row already held:
+// buyRoundTrade and resting order fills (evaluateOpenOrders) both use it.
+//
+// Leverage (migration 025): a buy at leverage N pays 1/N of its cost from
+// round cash and borrows the rest, which is added to the holding's debt. The
+// ledger records the full cost like any buy.
 // ---------------------------------------------------------------------------
-async function buyRoundTrade({ userId, apocalypseId, coinId, quantity: rawQuantity, now = new Date() } = {}) {
-  const cycleIdParam = validateApocalypseId(apocalypseId);
-  const quantity = validateQuantity(rawQuantity);
-  const coinIdNum = Number(coinId);
-  if (!Number.isInteger(coinIdNum) || coinIdNum <= 0) {
-    throw new GameRoundError('Invalid coin_id.', 400);
+async function executeRoundBuy(client, { cycle, userId, coinId: coinIdNum, quantity, leverage = 1, now = new Date() }) {
+  // Lock the authoritative coin row for a consistent, current price.
+  // Milestone 1: the coin lock is taken BEFORE the participant lock. Every
+  // path that touches both takes them in coins -> participants order (the
+  // simulator's write transaction locks all coins then updates participants
+  // via reconcileActivePeaks; settlement executes coin collapses before
+  // finalizing participants). The previous participant -> coin order
+  // deadlocked against the simulator under load.
+  const { rows: coinRows } = await client.query(
+    `SELECT coin_id, symbol, current_price, retired, cycle_baseline_price,
+            price_model, price_model_params, liquidity_depth, impact_price
+     FROM coins WHERE coin_id = $1 FOR UPDATE`,
+    [coinIdNum]
+  );
+  const coin = coinRows[0];
+  if (!coin) {
+    throw new GameRoundError(`Coin ${coinIdNum} not found.`, 404);
   }
-  const nowMs = (now instanceof Date ? now : new Date(now)).getTime();
 
-  const client = await db.getClient();
-  try {
-    await client.query('BEGIN');
-    await client.query('SELECT pg_advisory_xact_lock($1)', [GAME_CYCLE_ADVISORY_LOCK_KEY]);
+  // Migration 014: retired coins are preserved history, not catalogue —
+  // they can never be bought in a round (selling an existing holding
+  // remains possible via the sell path).
+  if (coin.retired) {
+    throw new GameRoundError(
+      `Coin ${coin.symbol} has been retired from the catalogue and cannot be purchased.`,
+      400
+    );
+  }
 
-    const cycle = await lockLiveCycle(client, cycleIdParam, nowMs);
+  const participant = await lockParticipant(client, cycle.cycle_id, userId);
 
-    // Lock the authoritative coin row for a consistent, current price.
-    // Milestone 1: the coin lock is taken BEFORE the participant lock. Every
-    // path that touches both takes them in coins -> participants order (the
-    // simulator's write transaction locks all coins then updates participants
-    // via reconcileActivePeaks; settlement executes coin collapses before
-    // finalizing participants). The previous participant -> coin order
-    // deadlocked against the simulator under load.
-    const { rows: coinRows } = await client.query(
-      `SELECT coin_id, symbol, current_price, retired FROM coins WHERE coin_id = $1 FOR UPDATE`,
-      [coinIdNum]
+  // A coin collapsed in THIS cycle is dead: buying at £0 would hand out
+  // free coins, and its live price is exactly 0 anyway.
+  const collapsed = await isCoinCollapsedInCycle(client, cycle.cycle_id, coinIdNum);
+  const price = parseFloat(coin.current_price);
+  if (collapsed || !(price > 0)) {
+    throw new GameRoundError(
+      `Coin ${coin.symbol} has collapsed to £0 in this apocalypse cycle and cannot be purchased.`,
+      400
     );
-    const coin = coinRows[0];
-    if (!coin) {
-      throw new GameRoundError(`Coin ${coinIdNum} not found.`, 404);
-    }
+  }
 
-    // Migration 014: retired coins are preserved history, not catalogue —
-    // they can never be bought in a round (selling an existing holding
-    // remains possible via the sell path).
-    if (coin.retired) {
-      throw new GameRoundError(
-        `Coin ${coin.symbol} has been retired from the catalogue and cannot be purchased.`,
-        400
-      );
-    }
+  // The price is always the server-side locked row — never client input.
+  // The order walks the coin's liquidity pool: the total is the impacted
+  // cost, the ledger price its average execution price.
+  const quote = quoteLiveTrade('BUY', quantity, coin);
+  const total = round2(quote.total);
+  const executionPrice = round2(quote.averagePrice);
 
-    const participant = await lockParticipant(client, cycle.cycle_id, userId);
+  // Minimum notional: a positive quantity whose 2-decimal cost rounds to
+  // £0.00 would mint holdings for free (repeatable). Reject before any
+  // write. (Buys only reach here at a live price > 0.)
+  assertMinTradeValue(total, 'buy');
 
-    // A coin collapsed in THIS cycle is dead: buying at £0 would hand out
-    // free coins, and its live price is exactly 0 anyway.
-    const collapsed = await isCoinCollapsedInCycle(client, cycle.cycle_id, coinIdNum);
-    const price = parseFloat(coin.current_price);
-    if (collapsed || !(price > 0)) {
-      throw new GameRoundError(
-        `Coin ${coin.symbol} has collapsed to £0 in this apocalypse cycle and cannot be purchased.`,
-        400
-      );
-    }
+  const paid = leverage > 1 ? round2(total / leverage) : total;
+  const borrowed = round2(total - paid);
 
-    // The price is always the server-side locked row — never client input.
-    const total = round2(quantity * price);
-
-    // Minimum notional: a positive quantity whose 2-decimal cost rounds to
-    // £0.00 would mint holdings for free (repeatable). Reject before any
-    // write. (Buys only reach here at a live price > 0.)
-    assertMinTradeValue(total, 'buy');
-
-    // Atomic affordability: the debit itself enforces sufficient round cash,
-    // so concurrent buys can never overspend or drive cash negative.
-    const { rowCount } = await client.query(
-      `UPDATE apocalypse_participants
-       SET current_cash = current_cash - $1, updated_at = now()
-       WHERE participant_id = $2 AND status = 'ACTIVE' AND current_cash >= $1`,
-      [total, participant.participant_id]
+  // Atomic affordability: the debit itself enforces sufficient round cash,
+  // so concurrent buys can never overspend or drive cash negative.
+  const { rowCount } = await client.query(
+    `UPDATE apocalypse_participants
+     SET current_cash = current_cash - $1, updated_at = now()
+     WHERE participant_id = $2 AND status = 'ACTIVE' AND current_cash >= $1`,
+    [paid, participant.participant_id]
+  );
+  if (rowCount !== 1) {
+    const { rows: fresh } = await client.query(
+      `SELECT current_cash FROM apocalypse_participants WHERE participant_id = $1`,
+      [participant.participant_id]
     );
-    if (rowCount !== 1) {
-      const { rows: fresh } = await client.query(
-        `SELECT current_cash FROM apocalypse_participants WHERE participant_id = $1`,
-        [participant.participant_id]
-      );
-      throw new GameRoundError(
-        `Insufficient round cash. You need £${total.toFixed(2)} but have £${parseFloat(fresh[0].current_cash).toFixed(2)}.`,
-        400
-      );
+    throw new GameRoundError(
+      `Insufficient round cash. You need £${paid.toFixed(2)} but have £${parseFloat(fresh[0].current_cash).toFixed(2)}.`,
+      400
+    );
+  }
+
+  await client.query(
+    `INSERT INTO apocalypse_holdings (participant_id, cycle_id, user_id, coin_id, quantity, debt)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (participant_id, coin_id)
+     DO UPDATE SET quantity = apocalypse_holdings.quantity + EXCLUDED.quantity,
+                   debt = apocalypse_holdings.debt + EXCLUDED.debt,
+                   updated_at = now()`,
+    [participant.participant_id, cycle.cycle_id, userId, coinIdNum, quantity, borrowed]
+  );
+
+  const { rows: txRows } = await client.query(
+    `INSERT INTO apocalypse_transactions
+       (participant_id, cycle_id, user_id, coin_id, type, quantity, price, total_amount, created_at)
+     VALUES ($1, $2, $3, $4, 'BUY', $5, $6, $7, $8)
+     RETURNING round_transaction_id`,
+    [participant.participant_id, cycle.cycle_id, userId, coinIdNum, quantity, executionPrice, total, now]
+  );
+
+  // The buy lifts the live price; holdings below are valued after impact.
+  const priceAfter = await applyPriceImpact(client, coin, quote.newPrice, now);
+
+  const updated = await refreshWealthAndPeak(client, participant.participant_id);
+  return {
+    participant,
+    updated,
+    transaction: {
+      roundTransactionId: txRows[0].round_transaction_id,
+      type: 'BUY',
+      coinId: coinIdNum,
+      quantity,
+      price: executionPrice,
+      totalAmount: total,
+      ...(leverage > 1 ? { leverage, borrowed } : {}),
+      priceBefore: price,
+      priceAfter
     }
+  };
+}
 
-    await client.query(
-      `INSERT INTO apocalypse_holdings (participant_id, cycle_id, user_id, coin_id, quantity)
-       VALUES ($1, $2, $3, $4, $5)
-       ON CONFLICT (participant_id, coin_id)
-       DO UPDATE SET quantity = apocalypse_holdings.quantity + EXCLUDED.quantity,
-                     updated_at = now()`,
-      [participant.participant_id, cycle.cycle_id, userId, coinIdNum, quantity]
-    );
+// One live market trade in its own advisory-locked transaction: validate
+// the request, prove the cycle is live, run the given ledger executor
+// (executeRoundBuy, executeRoundSell, executeRoundShort or
+// executeRoundCover), read the resulting round state, COMMIT, then announce
+// the trade and stream the price it moved.
+async function runLiveRoundTrade(execute, { userId, apocalypseId, coinId, quantity: rawQuantity, now = new Date() } = {}) {
+  const cycleIdParam = validateApocalypseId(apocalypseId);
+  const quantity = validateQuantity(rawQuantity);
+  const coinIdNum = Number(coinId);
+  if (!Number.isInteger(coinIdNum) || coinIdNum <= 0) {
+    throw new GameRoundError('Invalid coin_id.', 400);
+  }
+  const nowMs = (now instanceof Date ? now : new Date(now)).getTime();
 
-    const { rows: txRows } = await client.query(
-      `INSERT INTO apocalypse_transactions
-         (participant_id, cycle_id, user_id, coin_id, type, quantity, price, total_amount)
-       VALUES ($1, $2, $3, $4, 'BUY', $5, $6, $7)
-       RETURNING round_transaction_id`,
-      [participant.participant_id, cycle.cycle_id, userId, coinIdNum, quantity, price, total]
-    );
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [GAME_CYCLE_ADVISORY_LOCK_KEY]);
+    await lockPriceTicks(client);
 
-    const updated = await refreshWealthAndPeak(client, participant.participant_id);
+    const cycle = await lockLiveCycle(client, cycleIdParam, nowMs);
+    const { participant, updated, transaction } = await execute(client, {
+      cycle, userId, coinId: coinIdNum, quantity, now: new Date(nowMs)
+    });
     const state = await getParticipantRoundState(participant.participant_id, client);
     await client.query('COMMIT');
+    await publishTrade(client, { cycle, participant, ...transaction });
+    if (transaction.priceAfter !== transaction.priceBefore) {
+      await priceStream.publishTicks(client, { cycleId: cycle.apocalypse_id });
+    }
 
     return {
-      transaction: {
-        roundTransactionId: txRows[0].round_transaction_id,
-        type: 'BUY',
-        coinId: coinIdNum,
-        quantity,
-        price,
-        totalAmount: total
-      },
+      transaction,
       participant: state,
       peakWealth: parseFloat(updated.peak_wealth)
     };
@@ -475,19 +612,556 @@ async function buyRoundTrade({ userId, apocalypseId, coinId, quantity: rawQuanti
   }
 }
 
+async function buyRoundTrade({ leverage: rawLeverage, ...params } = {}) {
+  const leverage = validateLeverage(rawLeverage);
+  return runLiveRoundTrade(
+    (client, trade) => executeRoundBuy(client, { ...trade, leverage }),
+    params
+  );
+}
+
 // ---------------------------------------------------------------------------
 // Sell: atomic round sale with the same cycle/participant/ownership
 // protections. Oversell is rejected by the holding-decrement itself, so
 // concurrent sells can never produce negative holdings. A Core-3 collapsed
 // holding sells at the authoritative £0 and credits exactly zero cash.
+//
+// executeRoundSell is the ledger path, shared with resting order fills like
+// executeRoundBuy. Selling part of a leveraged holding repays the same share
+// of its debt out of the proceeds; a sale whose proceeds do not cover that
+// share is refused when round cash cannot pay the difference.
+// ---------------------------------------------------------------------------
+async function executeRoundSell(client, { cycle, userId, coinId: coinIdNum, quantity, now = new Date() }) {
+  // Lock the authoritative coin row; the sale price is server-side only.
+  // Milestone 1: same coins -> participants lock order as buy (see the
+  // executeRoundBuy note) — taken before the participant lock so a trade can
+  // never deadlock against the simulator's coins -> participants batch.
+  const { rows: coinRows } = await client.query(
+    `SELECT coin_id, symbol, current_price, cycle_baseline_price,
+            price_model, price_model_params, liquidity_depth, impact_price
+     FROM coins WHERE coin_id = $1 FOR UPDATE`,
+    [coinIdNum]
+  );
+  const coin = coinRows[0];
+  if (!coin) {
+    throw new GameRoundError(`Coin ${coinIdNum} not found.`, 404);
+  }
+  const price = parseFloat(coin.current_price);
+
+  const participant = await lockParticipant(client, cycle.cycle_id, userId);
+
+  // Lock THIS participant's holding for THIS coin in THIS cycle. Holdings
+  // from another cycle (or another user) are invisible here — a sale can
+  // only ever touch the caller's current-round position.
+  const { rows: holdingRows } = await client.query(
+    `SELECT holding_id, quantity, debt FROM apocalypse_holdings
+     WHERE participant_id = $1 AND coin_id = $2
+     FOR UPDATE`,
+    [participant.participant_id, coinIdNum]
+  );
+  const holding = holdingRows[0];
+  const held = holding ? parseFloat(holding.quantity) : 0;
+  if (!holding || held < quantity) {
+    throw new GameRoundError(
+      `Insufficient round holdings. You have ${formatQuantityText(held)} of ${coin.symbol} available to sell in this cycle.`,
+      400
+    );
+  }
+
+  // Compute the authoritative proceeds BEFORE any write. A collapsed coin
+  // has price exactly £0: the Core 3 exit path stands — total is exactly 0
+  // and the credit adds exactly zero cash (a dead holding has no value to
+  // protect). At any LIVE price, a sale whose rounded proceeds fall below
+  // one penny would silently destroy holdings for £0.00 — reject it.
+  // A live sale walks the coin's liquidity pool (market impact); a dead
+  // coin has no market left to move.
+  const quote = price > 0 ? quoteLiveTrade('SELL', quantity, coin) : null;
+  const total = quote ? round2(quote.total) : 0;
+  const executionPrice = quote ? round2(quote.averagePrice) : 0;
+  if (quote) {
+    assertMinTradeValue(total, 'sale');
+  }
+
+  const debt = parseFloat(holding.debt);
+  const repaid = debt > 0 && quantity < held ? round2(debt * quantity / held) : debt;
+
+  // Atomic decrement: the guarded UPDATE is the oversell backstop even if
+  // the row state changed between the lock check and the write.
+  const { rowCount } = await client.query(
+    `UPDATE apocalypse_holdings
+     SET quantity = quantity - $1, debt = debt - $3, updated_at = now()
+     WHERE holding_id = $2 AND quantity >= $1`,
+    [quantity, holding.holding_id, repaid]
+  );
+  if (rowCount !== 1) {
+    throw new GameRoundError(
+      `Insufficient round holdings. You have ${formatQuantityText(held)} of ${coin.symbol} available to sell in this cycle.`,
+      400
+    );
+  }
+
+  const { rowCount: credited } = await client.query(
+    `UPDATE apocalypse_participants
+     SET current_cash = current_cash + $1 - $2, updated_at = now()
+     WHERE participant_id = $3 AND current_cash + $1 - $2 >= 0`,
+    [total, repaid, participant.participant_id]
+  );
+  if (credited !== 1) {
+    throw new GameRoundError(
+      `Insufficient round cash to repay the position's loan. The sale raises £${total.toFixed(2)}, repaying its share of the loan costs £${repaid.toFixed(2)} and you have £${parseFloat(participant.current_cash).toFixed(2)}.`,
+      400
+    );
+  }
+
+  const { rows: txRows } = await client.query(
+    `INSERT INTO apocalypse_transactions
+       (participant_id, cycle_id, user_id, coin_id, type, quantity, price, total_amount, created_at)
+     VALUES ($1, $2, $3, $4, 'SELL', $5, $6, $7, $8)
+     RETURNING round_transaction_id`,
+    [participant.participant_id, cycle.cycle_id, userId, coinIdNum, quantity, executionPrice, total, now]
+  );
+
+  const priceAfter = quote ? await applyPriceImpact(client, coin, quote.newPrice, now) : price;
+
+  const updated = await refreshWealthAndPeak(client, participant.participant_id);
+  return {
+    participant,
+    updated,
+    transaction: {
+      roundTransactionId: txRows[0].round_transaction_id,
+      type: 'SELL',
+      coinId: coinIdNum,
+      quantity,
+      price: executionPrice,
+      totalAmount: total,
+      ...(repaid > 0 ? { debtRepaid: repaid } : {}),
+      priceBefore: price,
+      priceAfter
+    }
+  };
+}
+
+async function sellRoundTrade(params) {
+  return runLiveRoundTrade(executeRoundSell, params);
+}
+
+// ---------------------------------------------------------------------------
+// Short selling (migration 024). A short sells coins the participant does
+// not hold and owes them back:
+//
+//   * Opening one (SHORT) sells through the coin's liquidity pool like a
+//     market sale, but the proceeds are not paid out: they are held on the
+//     position as collateral together with a margin of
+//     GAME_SHORT_MARGIN_RATE × proceeds taken from current_cash. It also
+//     pays a borrow fee of GAME_SHORT_BORROW_FEE_RATE × proceeds, which is
+//     never returned. Only the margin and the fee leave the participant's
+//     cash, so together they must be affordable, and the participant's open
+//     shorts, this one included, may be worth at most
+//     GAME_MAX_SHORT_EXPOSURE_RATE × their starting cash at live prices.
+//   * Covering one (COVER) buys the coins back through the pool like a
+//     market buy and releases the covered share of the collateral into
+//     current_cash. The buy-back may cost more than that share releases, so
+//     a cover is refused when the difference exceeds the participant's cash.
+//   * A short on a collapsed coin is bought back at the authoritative £0:
+//     its whole collateral comes back.
+//
+// A short is marked to market wherever wealth is computed: its value is
+// collateral − quantity × live price (shortPositionsValueSql). Open shorts
+// count towards the maintenance margin (enforceMaintenanceMargin), which
+// force-covers them when the participant's wealth runs low, and settlement
+// force-covers every short still open after the final collapses
+// (forceCoverShortPositions).
+// ---------------------------------------------------------------------------
+async function executeRoundShort(client, { cycle, userId, coinId: coinIdNum, quantity, now = new Date() }) {
+  // Same coins -> participants lock order as the buy and sell paths.
+  const { rows: coinRows } = await client.query(
+    `SELECT coin_id, symbol, current_price, retired, cycle_baseline_price,
+            price_model, price_model_params, liquidity_depth, impact_price
+     FROM coins WHERE coin_id = $1 FOR UPDATE`,
+    [coinIdNum]
+  );
+  const coin = coinRows[0];
+  if (!coin) {
+    throw new GameRoundError(`Coin ${coinIdNum} not found.`, 404);
+  }
+
+  // A retired coin can never be bought in a round, so a short on it could
+  // never be covered through the market.
+  if (coin.retired) {
+    throw new GameRoundError(
+      `Coin ${coin.symbol} has been retired from the catalogue and cannot be sold short.`,
+      400
+    );
+  }
+
+  const participant = await lockParticipant(client, cycle.cycle_id, userId);
+
+  const collapsed = await isCoinCollapsedInCycle(client, cycle.cycle_id, coinIdNum);
+  const price = parseFloat(coin.current_price);
+  if (collapsed || !(price > 0)) {
+    throw new GameRoundError(
+      `Coin ${coin.symbol} has collapsed to £0 in this apocalypse cycle and cannot be sold short.`,
+      400
+    );
+  }
+
+  const quote = quoteLiveTrade('SELL', quantity, coin);
+  const proceeds = round2(quote.total);
+  const executionPrice = round2(quote.averagePrice);
+  assertMinTradeValue(proceeds, 'short sale');
+
+  const margin = round2(proceeds * GAME_SHORT_MARGIN_RATE);
+  const borrowFee = round2(proceeds * GAME_SHORT_BORROW_FEE_RATE);
+  const collateral = round2(proceeds + margin);
+
+  // The exposure cap, at live prices: the participant's open shorts plus
+  // the coins this one sells.
+  const { rows: [exposure] } = await client.query(
+    `SELECT COALESCE(SUM(s.quantity * c.current_price), 0) AS open_value
+     FROM apocalypse_short_positions s
+     JOIN coins c ON c.coin_id = s.coin_id
+     WHERE s.participant_id = $1`,
+    [participant.participant_id]
+  );
+  const exposureLimit = round2(parseFloat(participant.starting_cash) * GAME_MAX_SHORT_EXPOSURE_RATE);
+  const openValue = round2(parseFloat(exposure.open_value));
+  if (openValue + proceeds > exposureLimit) {
+    throw new GameRoundError(
+      `Short exposure limit reached. Your open shorts may be worth at most £${exposureLimit.toFixed(2)}; they are worth £${openValue.toFixed(2)} and this short sells £${proceeds.toFixed(2)}.`,
+      400
+    );
+  }
+
+  // Atomic affordability, exactly like the buy debit.
+  const debit = round2(margin + borrowFee);
+  const { rowCount } = await client.query(
+    `UPDATE apocalypse_participants
+     SET current_cash = current_cash - $1, updated_at = now()
+     WHERE participant_id = $2 AND status = 'ACTIVE' AND current_cash >= $1`,
+    [debit, participant.participant_id]
+  );
+  if (rowCount !== 1) {
+    const { rows: fresh } = await client.query(
+      `SELECT current_cash FROM apocalypse_participants WHERE participant_id = $1`,
+      [participant.participant_id]
+    );
+    throw new GameRoundError(
+      `Insufficient round cash for the short's margin and borrow fee. You need £${debit.toFixed(2)} but have £${parseFloat(fresh[0].current_cash).toFixed(2)}.`,
+      400
+    );
+  }
+
+  await client.query(
+    `INSERT INTO apocalypse_short_positions (participant_id, cycle_id, user_id, coin_id, quantity, collateral)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (participant_id, coin_id)
+     DO UPDATE SET quantity = apocalypse_short_positions.quantity + EXCLUDED.quantity,
+                   collateral = apocalypse_short_positions.collateral + EXCLUDED.collateral,
+                   updated_at = now()`,
+    [participant.participant_id, cycle.cycle_id, userId, coinIdNum, quantity, collateral]
+  );
+
+  const { rows: txRows } = await client.query(
+    `INSERT INTO apocalypse_transactions
+       (participant_id, cycle_id, user_id, coin_id, type, quantity, price, total_amount, created_at)
+     VALUES ($1, $2, $3, $4, 'SHORT', $5, $6, $7, $8)
+     RETURNING round_transaction_id`,
+    [participant.participant_id, cycle.cycle_id, userId, coinIdNum, quantity, executionPrice, proceeds, now]
+  );
+
+  const priceAfter = await applyPriceImpact(client, coin, quote.newPrice, now);
+
+  const updated = await refreshWealthAndPeak(client, participant.participant_id);
+  return {
+    participant,
+    updated,
+    transaction: {
+      roundTransactionId: txRows[0].round_transaction_id,
+      type: 'SHORT',
+      coinId: coinIdNum,
+      quantity,
+      price: executionPrice,
+      totalAmount: proceeds,
+      margin,
+      borrowFee,
+      collateral,
+      priceBefore: price,
+      priceAfter
+    }
+  };
+}
+
+async function shortRoundTrade(params) {
+  return runLiveRoundTrade(executeRoundShort, params);
+}
+
+async function executeRoundCover(client, { cycle, userId, coinId: coinIdNum, quantity, now = new Date() }) {
+  const { rows: coinRows } = await client.query(
+    `SELECT coin_id, symbol, current_price, cycle_baseline_price,
+            price_model, price_model_params, liquidity_depth, impact_price
+     FROM coins WHERE coin_id = $1 FOR UPDATE`,
+    [coinIdNum]
+  );
+  const coin = coinRows[0];
+  if (!coin) {
+    throw new GameRoundError(`Coin ${coinIdNum} not found.`, 404);
+  }
+  const price = parseFloat(coin.current_price);
+
+  const participant = await lockParticipant(client, cycle.cycle_id, userId);
+
+  const { rows: shortRows } = await client.query(
+    `SELECT short_id, quantity, collateral FROM apocalypse_short_positions
+     WHERE participant_id = $1 AND coin_id = $2
+     FOR UPDATE`,
+    [participant.participant_id, coinIdNum]
+  );
+  const short = shortRows[0];
+  const owed = short ? parseFloat(short.quantity) : 0;
+  if (!short || owed < quantity) {
+    throw new GameRoundError(
+      `Insufficient short position. You owe ${formatQuantityText(owed)} of ${coin.symbol} to cover in this cycle.`,
+      400
+    );
+  }
+
+  // A live buy-back walks the pool; a collapsed coin is bought back at
+  // exactly £0 and, like a £0 sale, is exempt from the minimum trade value.
+  const quote = price > 0 ? quoteLiveTrade('BUY', quantity, coin) : null;
+  const cost = quote ? round2(quote.total) : 0;
+  const executionPrice = quote ? round2(quote.averagePrice) : 0;
+  if (quote) {
+    assertMinTradeValue(cost, 'cover');
+  }
+
+  // The covered share of the collateral. A partial cover always leaves the
+  // remaining quantity at least a penny of collateral.
+  const collateral = parseFloat(short.collateral);
+  const released = quantity === owed
+    ? collateral
+    : Math.min(round2(collateral * quantity / owed), round2(collateral - GAME_MIN_TRADE_VALUE));
+
+  const { rowCount } = await client.query(
+    `UPDATE apocalypse_participants
+     SET current_cash = current_cash + $1 - $2, updated_at = now()
+     WHERE participant_id = $3 AND current_cash + $1 - $2 >= 0`,
+    [released, cost, participant.participant_id]
+  );
+  if (rowCount !== 1) {
+    throw new GameRoundError(
+      `Insufficient round cash to cover. Buying back costs £${cost.toFixed(2)}, the position releases £${released.toFixed(2)} and you have £${parseFloat(participant.current_cash).toFixed(2)}.`,
+      400
+    );
+  }
+
+  await client.query(
+    `UPDATE apocalypse_short_positions
+     SET quantity = quantity - $1, collateral = collateral - $2, updated_at = now()
+     WHERE short_id = $3`,
+    [quantity, released, short.short_id]
+  );
+
+  const { rows: txRows } = await client.query(
+    `INSERT INTO apocalypse_transactions
+       (participant_id, cycle_id, user_id, coin_id, type, quantity, price, total_amount, created_at)
+     VALUES ($1, $2, $3, $4, 'COVER', $5, $6, $7, $8)
+     RETURNING round_transaction_id`,
+    [participant.participant_id, cycle.cycle_id, userId, coinIdNum, quantity, executionPrice, cost, now]
+  );
+
+  const priceAfter = quote ? await applyPriceImpact(client, coin, quote.newPrice, now) : price;
+
+  const updated = await refreshWealthAndPeak(client, participant.participant_id);
+  return {
+    participant,
+    updated,
+    transaction: {
+      roundTransactionId: txRows[0].round_transaction_id,
+      type: 'COVER',
+      coinId: coinIdNum,
+      quantity,
+      price: executionPrice,
+      totalAmount: cost,
+      collateralReleased: released,
+      priceBefore: price,
+      priceAfter
+    }
+  };
+}
+
+async function coverRoundTrade(params) {
+  return runLiveRoundTrade(executeRoundCover, params);
+}
+
 // ---------------------------------------------------------------------------
-async function sellRoundTrade({ userId, apocalypseId, coinId, quantity: rawQuantity, now = new Date() } = {}) {
+// Resting round orders (migration 023). A participant leaves an order on a
+// coin that fills by itself once the live price crosses its trigger:
+//
+//   LIMIT_BUY    buys  when the price is at or below trigger_price
+//   STOP_LOSS    sells when the price is at or below trigger_price
+//   LIMIT_SELL   sells when the price is at or above trigger_price
+//   TAKE_PROFIT  sells when the price is at or above trigger_price
+//
+// Orders reserve nothing: cash and holdings are checked when the order
+// fills, through exactly the executeRoundBuy / executeRoundSell ledger path
+// a market trade takes (market impact included), and an order whose fill is
+// refused (not enough cash or holdings, below the minimum trade value) is
+// closed REJECTED with the reason. evaluateOpenOrders runs after every
+// committed price batch and every pass that executed collapses. An open
+// order on a coin that has collapsed is CANCELLED, and the settlement freeze
+// cancels every order still open.
+//
+// A collapse moves a coin straight to £0 in one write, so no price trigger
+// can fire before it: a plain stop-loss only protects against falls while
+// the coin still trades. A STOP_LOSS may therefore also carry a
+// distress_level (migration 028): it then sells as soon as the coin's public
+// distress signal (game/distressSignals.js) is at or above that level, which
+// is what can get a holding out before its collapse. Signals are noisy, so
+// such an order can fire on a false alarm or miss a collapse.
+// ---------------------------------------------------------------------------
+const ROUND_ORDER_SIDES = Object.freeze({
+  LIMIT_BUY: 'BUY',
+  STOP_LOSS: 'SELL',
+  LIMIT_SELL: 'SELL',
+  TAKE_PROFIT: 'SELL'
+});
+const ROUND_ORDER_STATUSES = Object.freeze(['OPEN', 'FILLED', 'CANCELLED', 'REJECTED']);
+
+// The two directions an order can trigger in, as SQL over the order (o) and
+// its coin (c) and as the same test in JavaScript.
+const TRIGGERED_SQL = `((o.order_type IN ('LIMIT_BUY', 'STOP_LOSS') AND c.current_price <= o.trigger_price)
+    OR (o.order_type IN ('LIMIT_SELL', 'TAKE_PROFIT') AND c.current_price >= o.trigger_price))`;
+
+function isOrderTriggered(orderType, price, triggerPrice) {
+  return orderType === 'LIMIT_BUY' || orderType === 'STOP_LOSS'
+    ? price <= triggerPrice
+    : price >= triggerPrice;
+}
+
+// The distress trigger, as SQL over the order (o) and the live signals
+// passed as parallel coin id ($2) and level ($3) arrays.
+const DISTRESS_TRIGGERED_SQL = `(o.distress_level IS NOT NULL AND o.distress_level <= COALESCE((
+    SELECT d.level FROM unnest($2::int[], $3::int[]) AS d(coin_id, level) WHERE d.coin_id = o.coin_id
+  ), 0))`;
+
+// The live distress level of each coin of the cycle at `now`. Required
+// lazily: distressSignals reaches this module through gameCycleService.
+async function readDistressLevels(client, cycle, now) {
+  const { readDistressSignals } = require('./distressSignals');
+  const { signals } = await readDistressSignals({ cycle, now, queryable: client });
+  return new Map(signals.map((signal) => [signal.coinId, signal.level]));
+}
+
+function validateOrderType(raw) {
+  const type = typeof raw === 'string' ? raw.trim().toUpperCase() : raw;
+  if (!Object.prototype.hasOwnProperty.call(ROUND_ORDER_SIDES, type)) {
+    throw new GameRoundError(
+      `Invalid order type. Use one of ${Object.keys(ROUND_ORDER_SIDES).join(', ')}.`,
+      400
+    );
+  }
+  return type;
+}
+
+// A trigger price is money: positive, finite and at most two decimal places
+// (DECIMAL(18,2)). Like quantities, it is never silently rounded.
+function validateTriggerPrice(raw) {
+  const invalid = () => new GameRoundError(
+    'Invalid triggerPrice. Please provide a price greater than 0 with at most 2 decimal places.',
+    400
+  );
+  let text;
+  if (typeof raw === 'string') {
+    text = raw.trim();
+    if (!PLAIN_QUANTITY_PATTERN.test(text)) throw invalid();
+  } else if (typeof raw === 'number' && Number.isFinite(raw)) {
+    text = String(raw);
+  } else {
+    throw invalid();
+  }
+  const price = Number(text);
+  if (!(price > 0) || significantDecimalPlaces(text) > 2 || price >= 1e16) throw invalid();
+  return price;
+}
+
+// A distress trigger is optional and only rides on a STOP_LOSS: a whole
+// signal level from 1 to 3.
+function validateDistressLevel(raw, type) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (type !== 'STOP_LOSS') {
+    throw new GameRoundError('Invalid distressLevel. Only a STOP_LOSS order can carry a distress trigger.', 400);
+  }
+  const level = typeof raw === 'string' && /^\s*\d+\s*$/.test(raw) ? Number(raw) : raw;
+  if (!Number.isInteger(level) || level < 1 || level > 3) {
+    throw new GameRoundError('Invalid distressLevel. Please provide a whole signal level from 1 to 3.', 400);
+  }
+  return level;
+}
+
+function validateOrderId(raw) {
+  const orderId = Number(raw);
+  if (!Number.isInteger(orderId) || orderId <= 0) {
+    throw new GameRoundError('Invalid order id.', 400);
+  }
+  return orderId;
+}
+
+function formatRoundOrder(row) {
+  return {
+    orderId: row.order_id,
+    apocalypseId: row.apocalypse_id,
+    coinId: row.coin_id,
+    symbol: row.symbol,
+    type: row.order_type,
+    side: ROUND_ORDER_SIDES[row.order_type],
+    quantity: parseFloat(row.quantity),
+    triggerPrice: parseFloat(row.trigger_price),
+    distressLevel: row.distress_level,
+    status: row.status,
+    statusReason: row.status_reason,
+    roundTransactionId: row.round_transaction_id,
+    createdAt: new Date(row.created_at).toISOString(),
+    closedAt: row.closed_at === null ? null : new Date(row.closed_at).toISOString()
+  };
+}
+
+// One order, or null; with a userId, only when it is that user's.
+async function readRoundOrder(queryable, orderId, userId = null) {
+  const { rows } = await queryable.query(
+    `SELECT o.*, ac.apocalypse_id, c.symbol
+     FROM apocalypse_orders o
+     JOIN apocalypse_cycles ac ON ac.cycle_id = o.cycle_id
+     JOIN coins c ON c.coin_id = o.coin_id
+     WHERE o.order_id = $1 AND ($2::int IS NULL OR o.user_id = $2)`,
+    [orderId, userId]
+  );
+  return rows[0] ? formatRoundOrder(rows[0]) : null;
+}
+
+// Place a resting order on the live cycle. The same cycle, participant and
+// coin guards as a market trade apply; a sell-side order must be covered by
+// the holding at placement, and an order that would already trigger at the
+// current price or signal is refused (that is a market trade).
+async function placeRoundOrder({
+  userId,
+  apocalypseId,
+  coinId,
+  type: rawType,
+  quantity: rawQuantity,
+  triggerPrice: rawTriggerPrice,
+  distressLevel: rawDistressLevel,
+  now = new Date()
+} = {}) {
   const cycleIdParam = validateApocalypseId(apocalypseId);
+  const type = validateOrderType(rawType);
   const quantity = validateQuantity(rawQuantity);
+  const triggerPrice = validateTriggerPrice(rawTriggerPrice);
+  const distressLevel = validateDistressLevel(rawDistressLevel, type);
   const coinIdNum = Number(coinId);
   if (!Number.isInteger(coinIdNum) || coinIdNum <= 0) {
     throw new GameRoundError('Invalid coin_id.', 400);
   }
+  const side = ROUND_ORDER_SIDES[type];
   const nowMs = (now instanceof Date ? now : new Date(now)).getTime();
 
   const client = await db.getClient();
@@ -497,99 +1171,273 @@ async function sellRoundTrade({ userId, apocalypseId, coinId, quantity: rawQuant
 
     const cycle = await lockLiveCycle(client, cycleIdParam, nowMs);
 
-    // Lock the authoritative coin row; the sale price is server-side only.
-    // Milestone 1: same coins -> participants lock order as buy (see the
-    // buyRoundTrade note) — taken before the participant lock so a trade can
-    // never deadlock against the simulator's coins -> participants batch.
+    // coins -> participants, as in executeRoundBuy.
     const { rows: coinRows } = await client.query(
-      `SELECT coin_id, symbol, current_price FROM coins WHERE coin_id = $1 FOR UPDATE`,
+      'SELECT coin_id, symbol, current_price, retired FROM coins WHERE coin_id = $1 FOR UPDATE',
       [coinIdNum]
     );
     const coin = coinRows[0];
     if (!coin) {
       throw new GameRoundError(`Coin ${coinIdNum} not found.`, 404);
     }
+    if (side === 'BUY' && coin.retired) {
+      throw new GameRoundError(
+        `Coin ${coin.symbol} has been retired from the catalogue and cannot be purchased.`,
+        400
+      );
+    }
     const price = parseFloat(coin.current_price);
+    if (await isCoinCollapsedInCycle(client, cycle.cycle_id, coinIdNum) || !(price > 0)) {
+      throw new GameRoundError(
+        `Coin ${coin.symbol} has collapsed to £0 in this apocalypse cycle. Orders on it can never fill.`,
+        400
+      );
+    }
+    if (isOrderTriggered(type, price, triggerPrice)) {
+      throw new GameRoundError(
+        `A ${type} order at £${triggerPrice.toFixed(2)} would fill immediately at the current price of £${price.toFixed(2)}. Use POST /api/game/trades/${side.toLowerCase()} instead.`,
+        400
+      );
+    }
+    if (distressLevel !== null) {
+      const level = (await readDistressLevels(client, cycle, now)).get(coinIdNum) || 0;
+      if (level >= distressLevel) {
+        throw new GameRoundError(
+          `A STOP_LOSS with distress level ${distressLevel} would fill immediately: ${coin.symbol}'s distress signal is at level ${level}. Use POST /api/game/trades/sell instead.`,
+          400
+        );
+      }
+    }
 
     const participant = await lockParticipant(client, cycle.cycle_id, userId);
 
-    // Lock THIS participant's holding for THIS coin in THIS cycle. Holdings
-    // from another cycle (or another user) are invisible here — a sale can
-    // only ever touch the caller's current-round position.
-    const { rows: holdingRows } = await client.query(
-      `SELECT holding_id, quantity FROM apocalypse_holdings
-       WHERE participant_id = $1 AND coin_id = $2
-       FOR UPDATE`,
-      [participant.participant_id, coinIdNum]
+    if (side === 'SELL') {
+      const { rows: holdingRows } = await client.query(
+        'SELECT quantity FROM apocalypse_holdings WHERE participant_id = $1 AND coin_id = $2',
+        [participant.participant_id, coinIdNum]
+      );
+      const held = holdingRows[0] ? parseFloat(holdingRows[0].quantity) : 0;
+      if (held < quantity) {
+        throw new GameRoundError(
+          `Insufficient round holdings. You have ${formatQuantityText(held)} of ${coin.symbol} to cover this order.`,
+          400
+        );
+      }
+    }
+
+    const { rows: open } = await client.query(
+      `SELECT count(*)::int AS n FROM apocalypse_orders
+       WHERE participant_id = $1 AND status = 'OPEN'`,
+      [participant.participant_id]
     );
-    const holding = holdingRows[0];
-    const held = holding ? parseFloat(holding.quantity) : 0;
-    if (!holding || held < quantity) {
+    if (open[0].n >= GAME_MAX_OPEN_ORDERS) {
       throw new GameRoundError(
-        `Insufficient round holdings. You have ${formatQuantityText(held)} of ${coin.symbol} available to sell in this cycle.`,
-        400
+        `You already have ${GAME_MAX_OPEN_ORDERS} open orders in this cycle. Cancel one before placing another.`,
+        409
       );
     }
 
-    // Compute the authoritative proceeds BEFORE any write. A collapsed coin
-    // has price exactly £0: the Core 3 exit path stands — total is exactly 0
-    // and the credit adds exactly zero cash (a dead holding has no value to
-    // protect). At any LIVE price, a sale whose rounded proceeds fall below
-    // one penny would silently destroy holdings for £0.00 — reject it.
-    const total = round2(quantity * price);
-    if (price > 0) {
-      assertMinTradeValue(total, 'sale');
+    const { rows } = await client.query(
+      `INSERT INTO apocalypse_orders
+         (participant_id, cycle_id, user_id, coin_id, order_type, quantity, trigger_price, distress_level)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING order_id`,
+      [participant.participant_id, cycle.cycle_id, userId, coinIdNum, type, quantity, triggerPrice, distressLevel]
+    );
+    const order = await readRoundOrder(client, rows[0].order_id);
+    await client.query('COMMIT');
+    return order;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Cancel one of the caller's OPEN orders. The guarded UPDATE waits for an
+// evaluation pass holding the order and then sees its outcome, so an order
+// is never both filled and cancelled.
+async function cancelRoundOrder({ userId, orderId: rawOrderId } = {}) {
+  const orderId = validateOrderId(rawOrderId);
+  const { rowCount } = await db.query(
+    `UPDATE apocalypse_orders
+     SET status = 'CANCELLED', status_reason = 'Cancelled by the player.', closed_at = now()
+     WHERE order_id = $1 AND user_id = $2 AND status = 'OPEN'`,
+    [orderId, userId]
+  );
+  // Another player's order is indistinguishable from a missing one.
+  const order = await readRoundOrder(db, orderId, userId);
+  if (!order) {
+    throw new GameRoundError(`Order ${orderId} not found.`, 404);
+  }
+  if (rowCount === 0) {
+    throw new GameRoundError(`Order ${orderId} is already ${order.status} and can no longer be cancelled.`, 409);
+  }
+  return order;
+}
+
+// The caller's orders in one cycle, newest first, optionally by status.
+async function listRoundOrders({ userId, apocalypseId, status } = {}) {
+  const cycleIdParam = validateApocalypseId(apocalypseId);
+  let statusFilter = null;
+  if (status !== undefined && status !== null && status !== '') {
+    statusFilter = String(status).trim().toUpperCase();
+    if (!ROUND_ORDER_STATUSES.includes(statusFilter)) {
+      throw new GameRoundError(`Invalid status. Use one of ${ROUND_ORDER_STATUSES.join(', ')}.`, 400);
     }
+  }
+  const { rows: cycles } = await db.query(
+    'SELECT cycle_id FROM apocalypse_cycles WHERE apocalypse_id = $1',
+    [cycleIdParam]
+  );
+  if (cycles.length === 0) {
+    throw new GameRoundError(`Unknown apocalypse cycle ${cycleIdParam}.`, 404);
+  }
+  const { rows } = await db.query(
+    `SELECT o.*, $3::text AS apocalypse_id, c.symbol
+     FROM apocalypse_orders o
+     JOIN coins c ON c.coin_id = o.coin_id
+     WHERE o.cycle_id = $1 AND o.user_id = $2
+       AND ($4::text IS NULL OR o.status = $4)
+     ORDER BY o.order_id DESC`,
+    [cycles[0].cycle_id, userId, cycleIdParam, statusFilter]
+  );
+  return rows.map(formatRoundOrder);
+}
+
+// Close every order still OPEN in a cycle. Called by the settlement freeze
+// inside its transaction: nothing can fill against a frozen cycle.
+async function cancelOpenOrders(client, cycleId, reason) {
+  const { rowCount } = await client.query(
+    `UPDATE apocalypse_orders
+     SET status = 'CANCELLED', status_reason = $2, closed_at = now()
+     WHERE cycle_id = $1 AND status = 'OPEN'`,
+    [cycleId, reason]
+  );
+  return rowCount;
+}
 
-    // Atomic decrement: the guarded UPDATE is the oversell backstop even if
-    // the row state changed between the lock check and the write.
-    const { rowCount } = await client.query(
-      `UPDATE apocalypse_holdings
-       SET quantity = quantity - $1, updated_at = now()
-       WHERE holding_id = $2 AND quantity >= $1`,
-      [quantity, holding.holding_id]
+// Fill every triggered open order of the live cycle, in one advisory-locked
+// transaction. Orders fill oldest first, each at the price left by the
+// fills before it, so a fill's market impact can trigger (or un-trigger)
+// later orders in the same pass. Distress triggers read the signals of the
+// epoch containing `now`. Each fill runs under a savepoint: a refused
+// fill closes only its own order REJECTED. Fills are published as trades
+// after the COMMIT. Never rejects — a failed pass is logged and rolled
+// back, and the orders stay open for the next one. Resolves to the orders
+// filled.
+async function evaluateOpenOrders({ now = new Date() } = {}) {
+  const nowMs = (now instanceof Date ? now : new Date(now)).getTime();
+  try {
+    // Nothing to lock for while no live cycle has an open order.
+    const { rows: any } = await db.query(
+      `SELECT 1 FROM apocalypse_orders o
+       JOIN apocalypse_cycles ac ON ac.cycle_id = o.cycle_id AND ac.status = 'ACTIVE'
+       WHERE o.status = 'OPEN' LIMIT 1`
     );
-    if (rowCount !== 1) {
-      throw new GameRoundError(
-        `Insufficient round holdings. You have ${formatQuantityText(held)} of ${coin.symbol} available to sell in this cycle.`,
-        400
-      );
+    if (any.length === 0) return [];
+  } catch (err) {
+    logger.error('[GAME] Error evaluating round orders:', err);
+    return [];
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [GAME_CYCLE_ADVISORY_LOCK_KEY]);
+
+    const { rows: cycles } = await client.query(
+      `SELECT * FROM apocalypse_cycles WHERE status = 'ACTIVE' LIMIT 1 FOR UPDATE`
+    );
+    const cycle = cycles[0];
+    // An expired cycle's orders are cancelled by the freeze, not filled.
+    if (!cycle || new Date(cycle.end_time).getTime() <= nowMs) {
+      await client.query('COMMIT');
+      return [];
     }
 
+    // Every coin an order may touch, locked up front in coin_id order —
+    // the simulator's order — before any participant lock, and after the
+    // trades' price tick lock.
+    await lockPriceTicks(client);
     await client.query(
-      `UPDATE apocalypse_participants
-       SET current_cash = current_cash + $1, updated_at = now()
-       WHERE participant_id = $2`,
-      [total, participant.participant_id]
+      `SELECT coin_id FROM coins
+       WHERE coin_id IN (SELECT coin_id FROM apocalypse_orders WHERE cycle_id = $1 AND status = 'OPEN')
+       ORDER BY coin_id
+       FOR UPDATE`,
+      [cycle.cycle_id]
     );
 
-    const { rows: txRows } = await client.query(
-      `INSERT INTO apocalypse_transactions
-         (participant_id, cycle_id, user_id, coin_id, type, quantity, price, total_amount)
-       VALUES ($1, $2, $3, $4, 'SELL', $5, $6, $7)
-       RETURNING round_transaction_id`,
-      [participant.participant_id, cycle.cycle_id, userId, coinIdNum, quantity, price, total]
+    await client.query(
+      `UPDATE apocalypse_orders o
+       SET status = 'CANCELLED',
+           status_reason = 'The coin collapsed straight to £0 before the order could fill.',
+           closed_at = now()
+       FROM coin_collapse_schedule s
+       WHERE o.cycle_id = $1 AND o.status = 'OPEN'
+         AND s.cycle_id = o.cycle_id AND s.coin_id = o.coin_id AND s.executed_at IS NOT NULL`,
+      [cycle.cycle_id]
     );
 
-    const updated = await refreshWealthAndPeak(client, participant.participant_id);
-    const state = await getParticipantRoundState(participant.participant_id, client);
-    await client.query('COMMIT');
+    const levels = await readDistressLevels(client, cycle, now);
+    const fills = [];
+    for (;;) {
+      const { rows } = await client.query(
+        `SELECT o.* FROM apocalypse_orders o
+         JOIN coins c ON c.coin_id = o.coin_id
+         WHERE o.cycle_id = $1 AND o.status = 'OPEN'
+           AND (${TRIGGERED_SQL} OR ${DISTRESS_TRIGGERED_SQL})
+         ORDER BY o.order_id
+         LIMIT 1
+         FOR UPDATE OF o`,
+        [cycle.cycle_id, [...levels.keys()], [...levels.values()]]
+      );
+      const order = rows[0];
+      if (!order) break;
 
-    return {
-      transaction: {
-        roundTransactionId: txRows[0].round_transaction_id,
-        type: 'SELL',
-        coinId: coinIdNum,
-        quantity,
-        price,
-        totalAmount: total
-      },
-      participant: state,
-      peakWealth: parseFloat(updated.peak_wealth)
-    };
+      const execute = ROUND_ORDER_SIDES[order.order_type] === 'BUY' ? executeRoundBuy : executeRoundSell;
+      await client.query('SAVEPOINT round_order_fill');
+      try {
+        const { participant, transaction } = await execute(client, {
+          cycle,
+          userId: order.user_id,
+          coinId: order.coin_id,
+          quantity: parseFloat(order.quantity),
+          now: new Date(nowMs)
+        });
+        await client.query('RELEASE SAVEPOINT round_order_fill');
+        await client.query(
+          `UPDATE apocalypse_orders
+           SET status = 'FILLED', round_transaction_id = $2, closed_at = now()
+           WHERE order_id = $1`,
+          [order.order_id, transaction.roundTransactionId]
+        );
+        fills.push({ participant, transaction: { ...transaction, orderId: order.order_id } });
+      } catch (err) {
+        if (!(err instanceof GameRoundError)) throw err;
+        await client.query('ROLLBACK TO SAVEPOINT round_order_fill');
+        await client.query(
+          `UPDATE apocalypse_orders
+           SET status = 'REJECTED', status_reason = $2, closed_at = now()
+           WHERE order_id = $1`,
+          [order.order_id, err.message]
+        );
+      }
+    }
+
+    await client.query('COMMIT');
+    for (const { participant, transaction } of fills) {
+      await publishTrade(client, { cycle, participant, ...transaction });
+    }
+    if (fills.some(({ transaction }) => transaction.priceAfter !== transaction.priceBefore)) {
+      await priceStream.publishTicks(client, { cycleId: cycle.apocalypse_id });
+    }
+    return fills.map(({ transaction }) => transaction);
   } catch (err) {
     await client.query('ROLLBACK');
-    throw err;
+    logger.error('[GAME] Error evaluating round orders:', err);
+    return [];
   } finally {
     client.release();
   }
@@ -602,23 +1450,27 @@ async function sellRoundTrade({ userId, apocalypseId, coinId, quantity: rawQuant
 // inserted and when a pre-existing ACTIVE cycle is recovered — so EVERY
 // registered user (humans AND the configured bots, who are users rows with
 // is_bot = true) has exactly one participant row for the current cycle with
-// exactly the authoritative starting cash, whether or not any human is
-// online. Set-based and idempotent: ON CONFLICT (cycle_id, user_id) DO
+// exactly the authoritative starting cash (scaled by the cycle's game mode),
+// whether or not any human is online. Set-based and idempotent: ON CONFLICT (cycle_id, user_id) DO
 // NOTHING means retries, restarts, duplicate workers and the per-request
 // joinRound path can never duplicate a participant or re-award starting
 // cash; a mid-cycle registration is picked up by the next reconciliation.
 // Nothing is read from or written to users.funds.
 // ---------------------------------------------------------------------------
-async function initializeCycleParticipants(client, cycleId) {
-  const startingCash = resolveGameStartingCash();
+async function initializeCycleParticipants(client, cycleId, now = new Date()) {
+  const { rows: cycles } = await client.query(
+    'SELECT game_mode_params FROM apocalypse_cycles WHERE cycle_id = $1',
+    [cycleId]
+  );
+  const startingCash = cycleStartingCash(cycles[0]);
   const { rowCount } = await client.query(
     `INSERT INTO apocalypse_participants
-       (cycle_id, user_id, starting_cash, current_cash, peak_wealth, status)
-     SELECT $1, u.user_id, $2, $2, $2, 'ACTIVE'
+       (cycle_id, user_id, starting_cash, current_cash, peak_wealth, status, joined_at)
+     SELECT $1, u.user_id, $2, $2, $2, 'ACTIVE', $3::timestamptz
      FROM users u
      ORDER BY u.user_id
      ON CONFLICT (cycle_id, user_id) DO NOTHING`,
-    [cycleId, startingCash]
+    [cycleId, startingCash, now]
   );
   return rowCount;
 }
@@ -643,31 +1495,384 @@ async function finalizeCycleParticipants(client, cycleId) {
   return rowCount;
 }
 
+// ---------------------------------------------------------------------------
+// Forced cover: buy open shorts back at the coin's current price with no
+// market impact — exactly £0 for a collapsed coin, which returns the whole
+// collateral. Each cover is recorded as a COVER ledger entry marked forced
+// (migration 032), so results never count it as the player's trade. A
+// participant whose buy-backs cost more than their cash plus the collateral
+// released pays the difference from their holdings first: every holding
+// they still have is liquidated (liquidateHoldings) before the covers. Only
+// what is still unpaid after that is written off — round cash is never
+// negative — and each write-off is added to the participant's bad_debt
+// (migration 031), logged and reported as a shortfall, never dropped
+// silently. Runs inside the caller's advisory-locked transaction. shortIds
+// narrows it to the given shorts (a maintenance margin call); null covers
+// every open short in the cycle (settlement, after the final collapses and
+// before finalization, so final_cash includes every short's outcome).
+// Set-based and idempotent: a replay finds no open short. Resolves to
+// { covers, liquidations, shortfalls }, with one shortfall per participant
+// covering what both their liquidations and their covers wrote off.
+// ---------------------------------------------------------------------------
+async function forceCoverShortPositions(client, cycleId, shortIds = null, at = new Date()) {
+  const { rows: shortOfCash } = await client.query(
+    `SELECT n.participant_id
+     FROM (
+       SELECT s.participant_id, SUM(s.collateral - round(s.quantity * c.current_price, 2)) AS net
+       FROM apocalypse_short_positions s
+       JOIN coins c ON c.coin_id = s.coin_id
+       WHERE s.cycle_id = $1 AND s.quantity > 0
+         AND ($2::int[] IS NULL OR s.short_id = ANY($2::int[]))
+       GROUP BY s.participant_id
+     ) n
+     JOIN apocalypse_participants p ON p.participant_id = n.participant_id
+     WHERE p.current_cash + n.net < 0
+     ORDER BY n.participant_id`,
+    [cycleId, shortIds]
+  );
+  const { liquidations, shortfalls: liquidationShortfalls } = shortOfCash.length === 0
+    ? { liquidations: [], shortfalls: [] }
+    : await liquidateHoldings(client, 'h.participant_id = ANY($2::int[])', [
+      cycleId,
+      shortOfCash.map((row) => row.participant_id)
+    ], at);
+
+  const { rows: covers } = await client.query(
+    `WITH open_shorts AS (
+       SELECT s.short_id, s.participant_id, s.cycle_id, s.user_id, s.coin_id,
+              s.quantity, s.collateral, c.current_price AS price,
+              round(s.quantity * c.current_price, 2) AS cost
+       FROM apocalypse_short_positions s
+       JOIN coins c ON c.coin_id = s.coin_id
+       WHERE s.cycle_id = $1 AND s.quantity > 0
+         AND ($2::int[] IS NULL OR s.short_id = ANY($2::int[]))
+       FOR UPDATE OF s
+     ), closed AS (
+       UPDATE apocalypse_short_positions s
+       SET quantity = 0, collateral = 0, updated_at = now()
+       FROM open_shorts o
+       WHERE s.short_id = o.short_id
+     ), ledger AS (
+       INSERT INTO apocalypse_transactions
+         (participant_id, cycle_id, user_id, coin_id, type, quantity, price, total_amount, created_at, forced)
+       SELECT participant_id, cycle_id, user_id, coin_id, 'COVER', quantity, price, cost, $3::timestamptz, TRUE
+       FROM open_shorts
+       ORDER BY short_id
+       RETURNING round_transaction_id, participant_id, coin_id
+     ), owed AS (
+       SELECT n.participant_id, n.net, GREATEST(0, -(p.current_cash + n.net)) AS shortfall
+       FROM (
+         SELECT participant_id, SUM(collateral - cost) AS net
+         FROM open_shorts
+         GROUP BY participant_id
+       ) n
+       JOIN apocalypse_participants p ON p.participant_id = n.participant_id
+     ), settled AS (
+       UPDATE apocalypse_participants p
+       SET current_cash = p.current_cash + o.net + o.shortfall,
+           bad_debt = p.bad_debt + o.shortfall,
+           updated_at = now()
+       FROM owed o
+       WHERE p.participant_id = o.participant_id
+     )
+     SELECT l.round_transaction_id, s.participant_id, s.user_id, s.coin_id,
+            s.quantity, s.price, s.cost, s.collateral, o.shortfall
+     FROM ledger l
+     JOIN open_shorts s ON s.participant_id = l.participant_id AND s.coin_id = l.coin_id
+     JOIN owed o ON o.participant_id = s.participant_id
+     ORDER BY l.round_transaction_id`,
+    [cycleId, shortIds, at]
+  );
+
+  const shortfalls = liquidationShortfalls.map((entry) => ({ ...entry }));
+  for (const entry of collectShortfalls(covers, 'Forced cover', 'after selling every holding')) {
+    const existing = shortfalls.find((other) => other.participantId === entry.participantId);
+    if (existing) existing.amount = round2(existing.amount + entry.amount);
+    else shortfalls.push(entry);
+  }
+  return { covers, liquidations, shortfalls };
+}
+
+// One shortfall per participant from forced-sale rows that each carry their
+// participant's `shortfall`, each logged as it is written off.
+function collectShortfalls(rows, action, context) {
+  const shortfalls = [];
+  for (const row of rows) {
+    const amount = parseFloat(row.shortfall);
+    if (amount > 0 && !shortfalls.some((entry) => entry.participantId === row.participant_id)) {
+      shortfalls.push({ participantId: row.participant_id, amount });
+      logger.warn(
+        `[GAME] ${action} left participant ${row.participant_id} £${amount.toFixed(2)} short ${context}; written off at £0 cash`
+      );
+    }
+  }
+  return shortfalls;
+}
+
+// ---------------------------------------------------------------------------
+// Liquidation (migration 025): force-sell holdings at the coin's current
+// price with no market impact, repaying each holding's debt out of the
+// proceeds — exactly £0 for a collapsed coin, so its whole debt falls on
+// round cash. A participant whose debts exceed their cash plus proceeds ends
+// at £0 cash: round cash is never negative. What is left unpaid is written
+// off exactly as forceCoverShortPositions writes off a cover: added to the
+// participant's bad_debt, logged and reported as a shortfall. Each sale is
+// recorded as a LIQUIDATION ledger entry marked forced (migration 032). Runs
+// inside the caller's advisory-locked transaction; `targetSql` selects the
+// holdings (alias h, coin alias c) of cycle $1. Set-based and idempotent: a
+// sold holding has no quantity left. Resolves to
+// { liquidations, shortfalls }: the ledger rows written and one shortfall
+// per participant left short.
+// ---------------------------------------------------------------------------
+async function liquidateHoldings(client, targetSql, params, at = new Date()) {
+  const atParam = `$${params.length + 1}`;
+  const { rows } = await client.query(
+    `WITH targets AS (
+       SELECT h.holding_id, h.participant_id, h.cycle_id, h.user_id, h.coin_id,
+              h.quantity, h.debt, c.current_price AS price,
+              round(h.quantity * c.current_price, 2) AS proceeds
+       FROM apocalypse_holdings h
+       JOIN coins c ON c.coin_id = h.coin_id
+       WHERE h.cycle_id = $1 AND h.quantity > 0 AND ${targetSql}
+       FOR UPDATE OF h
+     ), sold AS (
+       UPDATE apocalypse_holdings h
+       SET quantity = 0, debt = 0, updated_at = now()
+       FROM targets t
+       WHERE h.holding_id = t.holding_id
+     ), ledger AS (
+       INSERT INTO apocalypse_transactions
+         (participant_id, cycle_id, user_id, coin_id, type, quantity, price, total_amount, created_at, forced)
+       SELECT participant_id, cycle_id, user_id, coin_id, 'LIQUIDATION', quantity, price, proceeds, ${atParam}::timestamptz, TRUE
+       FROM targets
+       ORDER BY holding_id
+       RETURNING round_transaction_id, participant_id, coin_id
+     ), owed AS (
+       SELECT n.participant_id, n.net, GREATEST(0, -(p.current_cash + n.net)) AS shortfall
+       FROM (
+         SELECT participant_id, SUM(proceeds - debt) AS net
+         FROM targets
+         GROUP BY participant_id
+       ) n
+       JOIN apocalypse_participants p ON p.participant_id = n.participant_id
+     ), settled AS (
+       UPDATE apocalypse_participants p
+       SET current_cash = p.current_cash + o.net + o.shortfall,
+           bad_debt = p.bad_debt + o.shortfall,
+           updated_at = now()
+       FROM owed o
+       WHERE p.participant_id = o.participant_id
+     )
+     SELECT l.round_transaction_id, t.participant_id, t.user_id, t.coin_id,
+            t.quantity, t.price, t.proceeds, t.debt, o.shortfall
+     FROM ledger l
+     JOIN targets t ON t.participant_id = l.participant_id AND t.coin_id = l.coin_id
+     JOIN owed o ON o.participant_id = t.participant_id
+     ORDER BY l.round_transaction_id`,
+    [...params, at]
+  );
+  return {
+    liquidations: rows,
+    shortfalls: collectShortfalls(rows, 'Liquidation', 'after its proceeds repaid what they could')
+  };
+}
+
+// Liquidate leveraged holdings. holdingIds narrows it to the given holdings
+// (a maintenance margin call); null liquidates every leveraged holding in
+// the cycle (settlement). A replay finds no debt. Resolves to
+// { liquidations, shortfalls }, as liquidateHoldings.
+async function liquidateLeveragedHoldings(client, cycleId, holdingIds = null, at = new Date()) {
+  return liquidateHoldings(
+    client,
+    'h.debt > 0 AND ($2::int[] IS NULL OR h.holding_id = ANY($2::int[]))',
+    [cycleId, holdingIds],
+    at
+  );
+}
+
+// Settlement hook for game modes that spare coins (game/gameModes.js): every
+// holding still carrying value at cycle end is sold at its coin's final
+// price, so final_cash includes it. Runs after the leveraged holdings are
+// liquidated. In the standard mode every coin is at £0 by then and this
+// finds nothing. Such holdings carry no debt, so it never leaves a
+// shortfall.
+async function liquidateSurvivingHoldings(client, cycleId, at = new Date()) {
+  return liquidateHoldings(client, 'c.current_price > 0', [cycleId], at);
+}
+
+// Maintenance margin call, run after each committed price batch and after a
+// collapse. A participant is underwater when their round wealth falls below
+// GAME_MAINTENANCE_MARGIN_RATE of the value of their leveraged holdings plus
+// the live buy-back value of their open shorts. Every leveraged holding of
+// an underwater participant is liquidated and then every short of theirs is
+// force-covered (forceCoverShortPositions); a leveraged holding in a
+// collapsed coin is always liquidated (it is worth nothing and can never
+// recover). Liquidations and covers are published as trades after the
+// COMMIT. Never rejects — a failed pass is logged and rolled back, and the
+// next batch retries. Resolves to the trades made.
+async function enforceMaintenanceMargin({ now = new Date() } = {}) {
+  const nowMs = (now instanceof Date ? now : new Date(now)).getTime();
+  try {
+    // Nothing to lock for while no live cycle has a leveraged holding or an
+    // open short.
+    const { rows: any } = await db.query(
+      `SELECT 1 FROM apocalypse_holdings h
+       JOIN apocalypse_cycles ac ON ac.cycle_id = h.cycle_id AND ac.status = 'ACTIVE'
+       WHERE h.debt > 0
+       UNION ALL
+       SELECT 1 FROM apocalypse_short_positions s
+       JOIN apocalypse_cycles ac ON ac.cycle_id = s.cycle_id AND ac.status = 'ACTIVE'
+       WHERE s.quantity > 0
+       LIMIT 1`
+    );
+    if (any.length === 0) return [];
+  } catch (err) {
+    logger.error('[GAME] Error enforcing round maintenance margin:', err);
+    return [];
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [GAME_CYCLE_ADVISORY_LOCK_KEY]);
+
+    const { rows: cycles } = await client.query(
+      `SELECT * FROM apocalypse_cycles WHERE status = 'ACTIVE' LIMIT 1 FOR UPDATE`
+    );
+    const cycle = cycles[0];
+    // An expired cycle's debts and shorts are settled by the freeze.
+    if (!cycle || new Date(cycle.end_time).getTime() <= nowMs) {
+      await client.query('COMMIT');
+      return [];
+    }
+
+    const { rows: due } = await client.query(
+      `WITH exposure AS (
+         SELECT p.participant_id,
+                p.current_cash
+                  + COALESCE((
+                    SELECT SUM(h.quantity * c.current_price - h.debt)
+                    FROM apocalypse_holdings h
+                    JOIN coins c ON c.coin_id = h.coin_id
+                    WHERE h.participant_id = p.participant_id
+                  ), 0)
+                  + ${shortPositionsValueSql('p.participant_id')} AS wealth,
+                COALESCE((
+                  SELECT SUM(h.quantity * c.current_price)
+                  FROM apocalypse_holdings h
+                  JOIN coins c ON c.coin_id = h.coin_id
+                  WHERE h.participant_id = p.participant_id AND h.debt > 0
+                ), 0)
+                  + COALESCE((
+                    SELECT SUM(s.quantity * c.current_price)
+                    FROM apocalypse_short_positions s
+                    JOIN coins c ON c.coin_id = s.coin_id
+                    WHERE s.participant_id = p.participant_id
+                  ), 0) AS margined_value
+         FROM apocalypse_participants p
+         WHERE p.cycle_id = $1 AND p.status = 'ACTIVE'
+       ), underwater AS (
+         SELECT participant_id FROM exposure
+         WHERE margined_value > 0 AND wealth < $2 * margined_value
+       )
+       SELECT 'HOLDING' AS kind, h.holding_id AS id
+       FROM apocalypse_holdings h
+       JOIN coins c ON c.coin_id = h.coin_id
+       JOIN exposure e ON e.participant_id = h.participant_id
+       WHERE h.debt > 0
+         AND (h.participant_id IN (SELECT participant_id FROM underwater) OR c.current_price <= 0)
+       UNION ALL
+       SELECT 'SHORT', s.short_id
+       FROM apocalypse_short_positions s
+       WHERE s.quantity > 0 AND s.participant_id IN (SELECT participant_id FROM underwater)
+       ORDER BY 1, 2`,
+      [cycle.cycle_id, GAME_MAINTENANCE_MARGIN_RATE]
+    );
+    const holdingIds = due.filter((row) => row.kind === 'HOLDING').map((row) => row.id);
+    const shortIds = due.filter((row) => row.kind === 'SHORT').map((row) => row.id);
+    const { liquidations: liquidated } = holdingIds.length === 0
+      ? { liquidations: [] }
+      : await liquidateLeveragedHoldings(client, cycle.cycle_id, holdingIds, new Date(nowMs));
+    const covered = shortIds.length === 0
+      ? { covers: [], liquidations: [] }
+      : await forceCoverShortPositions(client, cycle.cycle_id, shortIds, new Date(nowMs));
+
+    await client.query('COMMIT');
+    const transactions = [
+      ...[...liquidated, ...covered.liquidations].map((row) => ({
+        participant: { participant_id: row.participant_id, user_id: row.user_id },
+        transaction: {
+          roundTransactionId: row.round_transaction_id,
+          type: 'LIQUIDATION',
+          coinId: row.coin_id,
+          quantity: parseFloat(row.quantity),
+          price: parseFloat(row.price),
+          totalAmount: parseFloat(row.proceeds),
+          debtRepaid: parseFloat(row.debt)
+        }
+      })),
+      ...covered.covers.map((row) => ({
+        participant: { participant_id: row.participant_id, user_id: row.user_id },
+        transaction: {
+          roundTransactionId: row.round_transaction_id,
+          type: 'COVER',
+          coinId: row.coin_id,
+          quantity: parseFloat(row.quantity),
+          price: parseFloat(row.price),
+          totalAmount: parseFloat(row.cost),
+          collateralReleased: parseFloat(row.collateral)
+        }
+      }))
+    ].sort((a, b) => a.transaction.roundTransactionId - b.transaction.roundTransactionId);
+    for (const { participant, transaction } of transactions) {
+      await publishTrade(client, { cycle, participant, ...transaction });
+    }
+    return transactions.map(({ participant, transaction }) => ({
+      ...transaction,
+      participantId: participant.participant_id
+    }));
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('[GAME] Error enforcing round maintenance margin:', err);
+    return [];
+  } finally {
+    client.release();
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Set-based peak reconciliation for the market update architecture. One SQL
 // statement recomputes wealth for every ACTIVE-cycle ACTIVE participant from
-// live prices and lifts peak_wealth monotonically — no per-participant
-// JavaScript loop. Called inside the market simulator's write transaction so
-// peaks track price batches atomically.
+// live prices, appends it to their wealth curve (migration 027, stamped with
+// the batch's `now` like its price points) and lifts peak_wealth
+// monotonically — no per-participant JavaScript loop. Called inside the
+// market simulator's write transaction so peaks and curves track price
+// batches atomically. Resolves to the number of peaks lifted.
 // ---------------------------------------------------------------------------
-async function reconcileActivePeaks(client) {
+async function reconcileActivePeaks(client, now = new Date()) {
   const { rowCount } = await client.query(
     `WITH wealth AS (
        SELECT p.participant_id,
-              p.current_cash + COALESCE(SUM(h.quantity * c.current_price), 0) AS wealth
+              p.current_cash + COALESCE(SUM(h.quantity * c.current_price - h.debt), 0)
+                + ${shortPositionsValueSql('p.participant_id')} AS wealth
        FROM apocalypse_participants p
        JOIN apocalypse_cycles ac ON ac.cycle_id = p.cycle_id AND ac.status = 'ACTIVE'
        LEFT JOIN apocalypse_holdings h ON h.participant_id = p.participant_id
        LEFT JOIN coins c ON c.coin_id = h.coin_id
        WHERE p.status = 'ACTIVE'
        GROUP BY p.participant_id, p.current_cash
+     ), snapshots AS (
+       INSERT INTO apocalypse_wealth_snapshots (participant_id, wealth, recorded_at)
+       SELECT participant_id, round(wealth, 2), $1::timestamptz
+       FROM wealth
+       ON CONFLICT (participant_id, recorded_at) DO NOTHING
      )
      UPDATE apocalypse_participants p
      SET peak_wealth = GREATEST(p.peak_wealth, w.wealth), updated_at = now()
      FROM wealth w
      WHERE p.participant_id = w.participant_id
        AND w.wealth > p.peak_wealth`,
-    []
+    [now]
   );
   return rowCount;
 }
@@ -678,8 +1883,20 @@ module.exports = {
   joinRound,
   buyRoundTrade,
   sellRoundTrade,
+  shortRoundTrade,
+  coverRoundTrade,
+  placeRoundOrder,
+  cancelRoundOrder,
+  listRoundOrders,
+  cancelOpenOrders,
+  evaluateOpenOrders,
+  enforceMaintenanceMargin,
   getParticipantRoundState,
   initializeCycleParticipants,
   finalizeCycleParticipants,
-  reconcileActivePeaks
+  forceCoverShortPositions,
+  liquidateLeveragedHoldings,
+  liquidateSurvivingHoldings,
+  reconcileActivePeaks,
+  shortPositionsValueSql
 };
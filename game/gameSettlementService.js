@@ -14,8 +14,9 @@
 //   settleSettlingCycle — its own advisory-locked transaction. A durable
 //     SETTLING cycle is settled to completion: Core 3 is reconciled through
 //     exactly cycle end (the final scheduled coin reaches £0 before any
-//     value or result is read), every participant is finalized through the
-//     single Core 4 finalization path, the immutable ranked snapshot is
+//     value or result is read), every open short is force-covered and every
+//     leveraged holding liquidated, every participant is finalized through
+//     the single Core 4 finalization path, the immutable ranked snapshot is
 //     written to apocalypse_results exactly once per participant, and only
 //     then is the cycle marked COMPLETED with settled_at stamped. A failure
 //     anywhere rolls the whole transaction back, leaving the cycle
@@ -23,6 +24,10 @@
 //     one result set (ON CONFLICT DO NOTHING + the completeness guard make
 //     replays no-ops, never duplicates).
 //
+// Both phases stamp their times, and the settlement's ledger entries, with
+// the caller's nowMs (the wall clock by default), so a run on a virtual
+// clock (game/headlessRunner.js) settles on its own timeline.
+//
 // Successor creation is deliberately NOT here: gameCycleService creates the
 // successor only after this module reports the predecessor COMPLETED, so a
 // failed settlement durably blocks the next round.
@@ -34,6 +39,11 @@
 const db = require('../db/connection');
 const collapseSchedule = require('./collapseScheduleService');
 const gameRoundService = require('./gameRoundService');
+// Each phase announces its outcome only after its COMMIT
+// (game/gameEventStream.js), and streams the ticks its collapses wrote
+// (game/priceStream.js).
+const gameEvents = require('./gameEventStream');
+const priceStream = require('./priceStream');
 
 // Must match gameCycleService's GAME_CYCLE_ADVISORY_LOCK_KEY. Re-declared
 // (not imported) to keep this module free of any dependency on
@@ -82,19 +92,24 @@ async function freezeExpiredActiveCycle({ nowMs } = {}) {
       return null;
     }
 
-    const { rowCount } = await client.query(
+    // Resting orders can never fill against a frozen cycle.
+    await gameRoundService.cancelOpenOrders(client, active.cycle_id, 'The cycle ended.');
+
+    const { rows: frozen } = await client.query(
       `UPDATE apocalypse_cycles
-       SET status = 'SETTLING', settlement_started_at = now(), updated_at = now()
-       WHERE cycle_id = $1 AND status = 'ACTIVE'`,
-      [active.cycle_id]
+       SET status = 'SETTLING', settlement_started_at = $2, updated_at = now()
+       WHERE cycle_id = $1 AND status = 'ACTIVE'
+       RETURNING settlement_started_at`,
+      [active.cycle_id, new Date(now)]
     );
-    if (rowCount !== 1) {
+    if (frozen.length !== 1) {
       throw new GameSettlementError(
         `freeze: cycle ${active.cycle_id} changed under the freeze; aborting`
       );
     }
 
     await client.query('COMMIT');
+    await gameEvents.cycleSettling(active, frozen[0].settlement_started_at);
     return active;
   } catch (err) {
     await client.query('ROLLBACK');
@@ -108,11 +123,14 @@ async function freezeExpiredActiveCycle({ nowMs } = {}) {
 // Phase 2 — settle. Runs entirely inside one advisory-locked transaction
 // against the durable SETTLING row (locked FOR UPDATE). Order is the
 // authoritative settlement order: final collapse reconciliation through
-// exactly cycle end, final monotonic peak lift, Core 4 participant
-// finalization, the immutable ranked snapshot, predecessor COMPLETED.
+// exactly cycle end, forced cover of open shorts and liquidation of
+// leveraged holdings, final monotonic peak lift,
+// Core 4 participant finalization, the immutable ranked snapshot,
+// predecessor COMPLETED.
 // Returns the settled cycle row, or null when no cycle is settling.
 // ---------------------------------------------------------------------------
-async function settleSettlingCycle() {
+async function settleSettlingCycle({ nowMs } = {}) {
+  const now = new Date(typeof nowMs === 'number' ? nowMs : Date.now());
   const client = await db.getClient();
   try {
     await client.query('BEGIN');
@@ -137,12 +155,27 @@ async function settleSettlingCycle() {
     //    collapse — including the final one at end_time — executes at its
     //    scheduled instant, so the last coin reaches £0 before any value or
     //    result is read. Idempotent: only unexecuted rows are ever touched.
-    await collapseSchedule.executeDueCollapses(client, cycle.cycle_id, new Date(cycle.end_time));
+    const collapses = await collapseSchedule.executeDueCollapses(client, cycle.cycle_id, new Date(cycle.end_time));
 
-    // 2. Final monotonic peak lift. After the final collapse every holding
-    //    is worth exactly £0, so live wealth equals current cash; lifting
-    //    peak to at least final cash keeps the recorded peak honest without
-    //    ever lowering it.
+    // 2. Forced cover and liquidation: every short still open is bought
+    //    back at its coin's current price — £0 for a collapsed coin,
+    //    returning the whole collateral; a participant who cannot pay for
+    //    their covers sells their holdings first — and every leveraged
+    //    holding is sold at it, its outstanding debt repaid from round cash,
+    //    so final cash carries every short's outcome and every loan. What a
+    //    participant cannot pay is written off to their bad_debt, which the
+    //    snapshot below records. A game mode that spares coins leaves
+    //    holdings with value: they are sold at their final price too.
+    //    Idempotent: a replay finds no open short, no debt and no holding
+    //    with value.
+    await gameRoundService.forceCoverShortPositions(client, cycle.cycle_id, null, now);
+    await gameRoundService.liquidateLeveragedHoldings(client, cycle.cycle_id, null, now);
+    await gameRoundService.liquidateSurvivingHoldings(client, cycle.cycle_id, now);
+
+    // 3. Final monotonic peak lift. After step 2 no holding is worth
+    //    anything and no short or debt is left open, so live wealth
+    //    equals current cash; lifting peak to at least final cash keeps the
+    //    recorded peak honest without ever lowering it.
     await client.query(
       `UPDATE apocalypse_participants
        SET peak_wealth = GREATEST(peak_wealth, current_cash), updated_at = now()
@@ -150,28 +183,33 @@ async function settleSettlingCycle() {
       [cycle.cycle_id]
     );
 
-    // 3. Core 4 finalization — the single authoritative finalization path:
+    // 4. Core 4 finalization — the single authoritative finalization path:
     //    status FINALIZED, final_cash from the authoritative current_cash.
     //    Idempotent (only still-ACTIVE rows match).
     await gameRoundService.finalizeCycleParticipants(client, cycle.cycle_id);
 
-    // 4. Immutable ranked snapshot, exactly once per participant. Rank rule
+    // 5. Immutable ranked snapshot, exactly once per participant. Rank rule
     //    (deterministic, documented): final_cash DESC, then participant_id
     //    ASC; ranks are 1..N with no gaps and no modifiers of any kind.
     //    Humans and bots rank identically; net_profit is exactly
-    //    final_cash - starting_cash; trade stats come straight from the
-    //    Core 4 ledger. ON CONFLICT DO NOTHING makes a settlement replay a
-    //    pure no-op — rows are never rewritten.
+    //    final_cash - starting_cash, and bad_debt is what the round's forced
+    //    sales wrote off on top of that loss; trade stats come straight
+    //    from the Core 4 ledger. Only the participant's own trades count (a
+    //    cover counts as a buy, a short sale as a sell); the forced covers
+    //    and liquidations the game wrote for them (migration 032) are
+    //    counted apart in forced_count. ON CONFLICT DO NOTHING makes a
+    //    settlement replay a pure no-op — rows are never rewritten.
     await client.query(
       `INSERT INTO apocalypse_results
          (cycle_id, participant_id, user_id, apocalypse_id, username, is_bot, bot_personality,
-          rank, final_cash, peak_wealth, starting_cash, net_profit, joined_at,
-          trade_count, buy_count, sell_count)
+          rank, final_cash, peak_wealth, starting_cash, net_profit, bad_debt, joined_at,
+          trade_count, buy_count, sell_count, forced_count)
        SELECT p.cycle_id, p.participant_id, p.user_id, ac.apocalypse_id, u.username, u.is_bot,
               b.strategy AS bot_personality,
               ranked.rank, p.final_cash, p.peak_wealth, p.starting_cash,
-              p.final_cash - p.starting_cash, p.joined_at,
-              COALESCE(t.trade_count, 0), COALESCE(t.buy_count, 0), COALESCE(t.sell_count, 0)
+              p.final_cash - p.starting_cash, p.bad_debt, p.joined_at,
+              COALESCE(t.trade_count, 0), COALESCE(t.buy_count, 0), COALESCE(t.sell_count, 0),
+              COALESCE(t.forced_count, 0)
        FROM (
          SELECT p2.participant_id,
                 ROW_NUMBER() OVER (ORDER BY p2.final_cash DESC, p2.participant_id ASC)::integer AS rank
@@ -183,9 +221,10 @@ async function settleSettlingCycle() {
        JOIN users u ON u.user_id = p.user_id
        LEFT JOIN apocalypse_bots b ON b.user_id = p.user_id
        LEFT JOIN LATERAL (
-         SELECT count(*)::integer AS trade_count,
-                count(*) FILTER (WHERE t2.type = 'BUY')::integer AS buy_count,
-                count(*) FILTER (WHERE t2.type = 'SELL')::integer AS sell_count
+         SELECT count(*) FILTER (WHERE NOT t2.forced)::integer AS trade_count,
+                count(*) FILTER (WHERE NOT t2.forced AND t2.type IN ('BUY', 'COVER'))::integer AS buy_count,
+                count(*) FILTER (WHERE NOT t2.forced AND t2.type IN ('SELL', 'SHORT'))::integer AS sell_count,
+                count(*) FILTER (WHERE t2.forced)::integer AS forced_count
          FROM apocalypse_transactions t2
          WHERE t2.participant_id = p.participant_id
        ) t ON true
@@ -209,21 +248,25 @@ async function settleSettlingCycle() {
       );
     }
 
-    // 5. Predecessor COMPLETE — guarded, so a replay or a concurrently
+    // 6. Predecessor COMPLETE — guarded, so a replay or a concurrently
     //    resumed settlement can never complete the same cycle twice.
-    const { rowCount } = await client.query(
+    const { rows: completed } = await client.query(
       `UPDATE apocalypse_cycles
-       SET status = 'COMPLETED', settled_at = now(), updated_at = now()
-       WHERE cycle_id = $1 AND status = 'SETTLING'`,
-      [cycle.cycle_id]
+       SET status = 'COMPLETED', settled_at = $2, updated_at = now()
+       WHERE cycle_id = $1 AND status = 'SETTLING'
+       RETURNING settled_at`,
+      [cycle.cycle_id, now]
     );
-    if (rowCount !== 1) {
+    if (completed.length !== 1) {
       throw new GameSettlementError(
         `settle: cycle ${cycle.cycle_id} changed under settlement; aborting`
       );
     }
 
     await client.query('COMMIT');
+    await gameEvents.collapsesExecuted(cycle, collapses);
+    if (collapses.length > 0) await priceStream.publishTicks(client, { cycleId: cycle.apocalypse_id });
+    await gameEvents.cycleCompleted(cycle, completed[0].settled_at);
     return cycle;
   } catch (err) {
     await client.query('ROLLBACK');
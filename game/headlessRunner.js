@@ -0,0 +1,414 @@
+// Fast-forward headless runner: whole apocalypse cycles on a virtual clock.
+//
+// The live server advances the game from wall-clock timers — a price batch
+// every 30 seconds, a bot tick every minute, lifecycle reconciliation on
+// every read — so one 30 minute round takes 30 minutes. This runner drives
+// the SAME services from a virtual clock instead, one price interval per
+// step, as fast as the database allows (or throttled to a chosen speed):
+//
+//   1. reconcileCycle   — freeze, settle and successor creation at each
+//                         cycle end, plus every collapse that has come due
+//                         (Core 1 / Core 3 / Core 6, exactly as live).
+//   2. updateAllPrices  — one seeded price batch at the virtual time. A batch
+//                         that rolls back fails the run loudly.
+//   3. runBotTick       — whenever the virtual clock enters a new bot tick,
+//                         the roster acts through the shared trade service.
+//
+// Nothing is mocked: every write goes through the real transactions, locks
+// and ledgers, so the run mutates its database like a real round would.
+// Each service stamps its rows — price points, trades, wealth snapshots,
+// joins, the freeze and the settlement — with the `now` it was given, so a
+// run's replay and wealth curves follow the virtual clock.
+// Runs therefore belong on a scratch database; the CLI refuses anything else
+// and resets the database before it starts.
+//
+// The report carries each cycle's price path (every coin's price after every
+// step, keyed by virtual time), its immutable results snapshot, the bot
+// roster's performance across the run, and the price batches' phase
+// timings. With a `seed`, each cycle's seed is derived from it, so the same
+// options replay the same rounds.
+//
+// Usage: node game/headlessRunner.js [--cycles N] [--duration-ms MS]
+//          [--interval-ms MS] [--start ISO] [--seed TEXT] [--scenario FILE]
+//          [--speed X] [--no-bots] [--no-reset] [--out FILE]
+// The full report goes to --out (default headless-report.json); standard
+// output gets a summary per cycle and per bot.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const db = require('../db/connection');
+const { MarketSimulator } = require('../models/market-simulator');
+const gameCycleService = require('./gameCycleService');
+const gameResultsService = require('./gameResultsService');
+const botService = require('./botService');
+const { resolveBotConfig } = require('./botConfig');
+const { summarizeBatchTimings } = require('./marketBatchTimings');
+
+// Upper bound on cycles per run: a guard against a typo turning a balance
+// check into an hours-long job, not a game rule.
+const MAX_HEADLESS_CYCLES = 100;
+
+// Where the CLI writes the full JSON report unless --out says otherwise.
+const DEFAULT_REPORT_FILE = 'headless-report.json';
+
+// Domain error for runner options and failed steps, carrying an HTTP-ish
+// status like the other game services.
+class HeadlessRunError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'HeadlessRunError';
+    this.status = status;
+  }
+}
+
+function validatePositiveInteger(name, value) {
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new HeadlessRunError(`${name} must be a positive integer; received ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+function resolveStartMs(startTime) {
+  if (startTime === undefined || startTime === null) return Date.now();
+  const ms = (startTime instanceof Date ? startTime : new Date(startTime)).getTime();
+  if (!Number.isFinite(ms)) {
+    throw new HeadlessRunError(`startTime must be a valid time; received ${JSON.stringify(startTime)}`);
+  }
+  return ms;
+}
+
+// Validate the run options up front, so a bad option fails before the run
+// touches the database.
+function resolveRunOptions({
+  cycles = 1,
+  durationMs,
+  intervalMs = new MarketSimulator().priceUpdateInterval,
+  startTime,
+  seed,
+  scenario = null,
+  bots = resolveBotConfig().enabled,
+  speed = 0
+} = {}) {
+  validatePositiveInteger('cycles', cycles);
+  if (cycles > MAX_HEADLESS_CYCLES) {
+    throw new HeadlessRunError(`cycles must be at most ${MAX_HEADLESS_CYCLES}; received ${cycles}`);
+  }
+  let duration;
+  try {
+    duration = gameCycleService.resolveDurationMs(durationMs);
+  } catch (err) {
+    throw new HeadlessRunError(err.message);
+  }
+  validatePositiveInteger('intervalMs', intervalMs);
+  if (intervalMs > duration) {
+    throw new HeadlessRunError(`intervalMs ${intervalMs} must not exceed the cycle duration ${duration}`);
+  }
+  if (seed !== undefined && seed !== null && (typeof seed !== 'string' || seed.length === 0)) {
+    throw new HeadlessRunError(`seed must be a non-empty string; received ${JSON.stringify(seed)}`);
+  }
+  if (typeof bots !== 'boolean') {
+    throw new HeadlessRunError(`bots must be a boolean; received ${JSON.stringify(bots)}`);
+  }
+  if (typeof speed !== 'number' || !Number.isFinite(speed) || speed < 0) {
+    throw new HeadlessRunError(`speed must be 0 (unthrottled) or a positive multiple of real time; received ${JSON.stringify(speed)}`);
+  }
+  return {
+    cycles,
+    durationMs: duration,
+    intervalMs,
+    startMs: resolveStartMs(startTime),
+    seed: seed || null,
+    scenario,
+    bots,
+    speed
+  };
+}
+
+// Cycle seeds for a seeded run: the nth cycle the run creates gets a seed
+// derived from the run seed and n, shaped like the live server-side seeds.
+// Unseeded runs use the live generator.
+function cycleSeedGenerator(seed) {
+  if (!seed) return undefined;
+  let created = 0;
+  return () => {
+    created += 1;
+    return crypto.createHash('sha256').update(`${seed}:${created}`).digest('hex').slice(0, 32);
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function readPrices() {
+  const { rows } = await db.query(
+    'SELECT coin_id, symbol, current_price FROM coins WHERE NOT retired ORDER BY coin_id'
+  );
+  return rows;
+}
+
+function recordPrices(path, rows, atMs) {
+  const at = new Date(atMs).toISOString();
+  for (const row of rows) {
+    let coin = path.coins.get(row.coin_id);
+    if (!coin) {
+      coin = { coinId: row.coin_id, symbol: row.symbol, points: [] };
+      path.coins.set(row.coin_id, coin);
+    }
+    coin.points.push({ at, price: parseFloat(row.current_price) });
+  }
+}
+
+// The roster's performance across the run's completed cycles: the immutable
+// results rows of each bot, plus what its ticks actually did.
+async function summarizeBots(results, cycleIds) {
+  const { rows: bots } = await db.query(
+    `SELECT b.bot_key, b.strategy, b.user_id, u.username
+     FROM apocalypse_bots b
+     JOIN users u ON u.user_id = b.user_id
+     ORDER BY b.bot_key`
+  );
+  const { rows: ticks } = cycleIds.length === 0
+    ? { rows: [] }
+    : await db.query(
+      'SELECT actions FROM apocalypse_bot_ticks WHERE cycle_id = ANY($1::int[])',
+      [cycleIds]
+    );
+
+  return bots.map((bot) => {
+    const finishes = results
+      .flatMap((cycle) => cycle.results)
+      .filter((row) => row.userId === bot.user_id);
+    const actions = { executed: 0, skipped: 0, rejected: 0 };
+    for (const tick of ticks) {
+      for (const action of tick.actions || []) {
+        if (action.botKey === bot.bot_key && action.result in actions) {
+          actions[action.result] += 1;
+        }
+      }
+    }
+    const profits = finishes.map((row) => row.netProfit);
+    const totalNetProfit = Math.round(profits.reduce((sum, p) => sum + p, 0) * 100) / 100;
+    return {
+      botKey: bot.bot_key,
+      username: bot.username,
+      strategy: bot.strategy,
+      cycles: finishes.length,
+      wins: finishes.filter((row) => row.rank === 1).length,
+      averageRank: finishes.length
+        ? finishes.reduce((sum, row) => sum + row.rank, 0) / finishes.length
+        : null,
+      totalNetProfit,
+      averageNetProfit: finishes.length ? Math.round((totalNetProfit / finishes.length) * 100) / 100 : null,
+      bestNetProfit: finishes.length ? Math.max(...profits) : null,
+      worstNetProfit: finishes.length ? Math.min(...profits) : null,
+      trades: finishes.reduce((sum, row) => sum + row.tradeCount, 0),
+      actions
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Run `cycles` whole apocalypse cycles from `startTime` on a virtual clock
+// against the configured database. A cycle already live at `startTime` is
+// the first cycle of the run (its remaining part is stepped). Resolves to the
+// run report once the last cycle has settled; its successor is left ACTIVE,
+// exactly as the live lifecycle would. `onStep` (optional) is called after
+// every step with { at, cycleId, batchIndex, botTick }.
+// ---------------------------------------------------------------------------
+async function runHeadless(options = {}) {
+  const run = resolveRunOptions(options);
+  const onStep = typeof options.onStep === 'function' ? options.onStep : null;
+  const generateSeed = cycleSeedGenerator(run.seed);
+  const botTickIntervalMs = resolveBotConfig().tickIntervalMs;
+
+  // A private simulator: the run never shares in-memory market state (or a
+  // loaded scenario) with the process's live singleton, and holds no leader
+  // session, so nothing fences its batches.
+  const simulator = new MarketSimulator();
+  simulator.priceUpdateInterval = run.intervalMs;
+  if (run.scenario) {
+    await simulator.loadScenario(run.scenario, { durationMs: run.durationMs });
+  }
+
+  const startedAt = Date.now();
+  const paths = [];
+  const settled = [];
+  const timings = [];
+  let path = null;
+  let clockMs = run.startMs;
+  let lastBotTickId = null;
+  let steps = 0;
+
+  while (settled.length < run.cycles) {
+    const stepStartedAt = Date.now();
+    const now = new Date(clockMs);
+
+    const cycle = await gameCycleService.reconcileCycle({ now, durationMs: run.durationMs, generateSeed });
+    if (!path || path.cycle.cycle_id !== cycle.cycle_id) {
+      // Reconcile only ever moves on from a COMPLETED predecessor.
+      if (path) settled.push(path);
+      if (settled.length === run.cycles) break;
+      path = { cycle, coins: new Map() };
+      paths.push(path);
+    }
+
+    const batchIndex = await simulator.updateAllPrices({ now });
+    if (batchIndex === null) {
+      throw new HeadlessRunError(
+        `price batch failed at virtual time ${now.toISOString()} in cycle ${cycle.apocalypse_id}`,
+        500
+      );
+    }
+    timings.push(simulator.lastBatchTimings);
+
+    let botTick = null;
+    if (run.bots) {
+      const tickId = Math.floor(clockMs / botTickIntervalMs);
+      if (tickId !== lastBotTickId) {
+        lastBotTickId = tickId;
+        botTick = await botService.runBotTick({ tickId, now });
+      }
+    }
+
+    recordPrices(path, await readPrices(), clockMs);
+    steps += 1;
+    if (onStep) onStep({ at: now.toISOString(), cycleId: cycle.apocalypse_id, batchIndex, botTick });
+
+    clockMs += run.intervalMs;
+    if (run.speed > 0) {
+      await sleep(Math.max(0, run.intervalMs / run.speed - (Date.now() - stepStartedAt)));
+    }
+  }
+
+  const results = [];
+  for (const { cycle } of settled) {
+    results.push(await gameResultsService.getCycleResults(cycle.apocalypse_id));
+  }
+
+  return {
+    options: {
+      cycles: run.cycles,
+      durationMs: run.durationMs,
+      intervalMs: run.intervalMs,
+      startTime: new Date(run.startMs).toISOString(),
+      seed: run.seed,
+      scenario: simulator.scenario ? simulator.scenario.name : null,
+      bots: run.bots
+    },
+    steps,
+    virtualEndTime: new Date(clockMs).toISOString(),
+    elapsedMs: Date.now() - startedAt,
+    batchTimings: summarizeBatchTimings(timings),
+    cycles: settled.map(({ cycle, coins }, index) => ({
+      cycleId: cycle.apocalypse_id,
+      startTime: new Date(cycle.start_time).toISOString(),
+      endTime: new Date(cycle.end_time).toISOString(),
+      pricePaths: Array.from(coins.values()),
+      results: results[index]
+    })),
+    botPerformance: await summarizeBots(results, settled.map(({ cycle }) => cycle.cycle_id))
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CLI
+// ---------------------------------------------------------------------------
+
+// A scratch database: local, and named for throwaway use ("scratch" or
+// "test" in the name). The CLI resets it before every run.
+function assertScratchDatabase() {
+  let host;
+  let database;
+  if (process.env.DATABASE_URL) {
+    let url;
+    try {
+      url = new URL(process.env.DATABASE_URL);
+    } catch (err) {
+      throw new HeadlessRunError(`headless runner: unparseable DATABASE_URL (${err.message})`);
+    }
+    host = decodeURIComponent(url.hostname);
+    database = decodeURIComponent(url.pathname.replace(/^\//, ''));
+  } else {
+    host = decodeURIComponent(process.env.PGHOST || 'localhost');
+    database = process.env.PGDATABASE || '';
+  }
+  const local = host === 'localhost' || host === '127.0.0.1' || host === '::1' || host.startsWith('/');
+  if (!local || !/scratch|test/i.test(database)) {
+    throw new HeadlessRunError(
+      `headless runner: refusing to run against ${JSON.stringify(database)} on ${JSON.stringify(host)} — use a local scratch database whose name contains "scratch" or "test"`
+    );
+  }
+  return { host, database };
+}
+
+function parseArgs(argv) {
+  const options = {};
+  let out = DEFAULT_REPORT_FILE;
+  let reset = true;
+  const numberArg = (flag, raw) => {
+    if (raw === undefined || !/^\d+(\.\d+)?$/.test(raw)) {
+      throw new HeadlessRunError(`${flag} needs a number; received ${JSON.stringify(raw)}`);
+    }
+    return Number(raw);
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    switch (flag) {
+      case '--cycles': options.cycles = numberArg(flag, argv[++i]); break;
+      case '--duration-ms': options.durationMs = numberArg(flag, argv[++i]); break;
+      case '--interval-ms': options.intervalMs = numberArg(flag, argv[++i]); break;
+      case '--speed': options.speed = numberArg(flag, argv[++i]); break;
+      case '--start': options.startTime = argv[++i]; break;
+      case '--seed': options.seed = argv[++i]; break;
+      case '--scenario': options.scenario = argv[++i]; break;
+      case '--no-bots': options.bots = false; break;
+      case '--no-reset': reset = false; break;
+      case '--out': out = argv[++i]; break;
+      default:
+        throw new HeadlessRunError(`unknown option ${JSON.stringify(flag)}`);
+    }
+  }
+  return { options, out, reset };
+}
+
+async function main(argv) {
+  const { options, out, reset } = parseArgs(argv);
+  resolveRunOptions(options);
+  assertScratchDatabase();
+  if (reset) {
+    await require('../db/seed')();
+  }
+  const report = await runHeadless({
+    ...options,
+    onStep: ({ at, cycleId, batchIndex }) => process.stderr.write(`${at} ${cycleId} batch ${batchIndex}\n`)
+  });
+  fs.writeFileSync(out, `${JSON.stringify(report, null, 2)}\n`);
+
+  console.log(`${report.steps} steps, ${report.cycles.length} cycles in ${report.elapsedMs}ms; report written to ${out}`);
+  for (const cycle of report.cycles) {
+    const winner = cycle.results.results[0];
+    console.log(`  ${cycle.cycleId}: ${cycle.results.resultCount} results, winner ${winner ? `${winner.username} (${winner.netProfit})` : 'none'}`);
+  }
+  for (const bot of report.botPerformance) {
+    console.log(`  ${bot.botKey} [${bot.strategy}]: net ${bot.totalNetProfit} over ${bot.cycles} cycles, ${bot.wins} wins, ${bot.trades} trades`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => db.end())
+    .catch(async (err) => {
+      console.error(`headless run failed: ${err.message}`);
+      await db.end();
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  MAX_HEADLESS_CYCLES,
+  HeadlessRunError,
+  resolveRunOptions,
+  assertScratchDatabase,
+  runHeadless
+};
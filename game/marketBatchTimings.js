@@ -0,0 +1,159 @@
+// Price batch latency: how long each phase of a market simulator batch took.
+//
+// Every committed updateAllPrices() batch records one market_batch_timings
+// row (migration 022) AFTER its commit — never inside the coin lock, and a
+// failed record is logged, never fatal to the batch. The row carries each
+// phase's duration, the whole batch's, and how long the coin rows were held
+// locked, so the batch can be watched as the catalogue grows:
+//
+//   state      Core 1 state, collapsed coins and the cycle row (no locks)
+//   compute    load + advance the market state and price every coin, from
+//              an unlocked read of the coins
+//   saveState  write the market state back (still before the coin lock)
+//   lock       wait for the coin row locks and check the prices computed
+//              from are still current
+//   recompute  only when a trade moved a price in between: price again
+//              from the locked rows and save the state again
+//   write      set-based coins / price_history / market_history writes
+//   peaks      reconcileActivePeaks
+//   commit     COMMIT (releases the coin locks)
+//
+//   * createBatchTimer       the in-batch stopwatch.
+//   * recordBatchTimings     the post-commit insert.
+//   * summarizeBatchTimings  pure: per-phase average and maximum.
+//   * getBatchTimings        the public GET /api/market/batch-timings read:
+//                            the most recent batches and their summary.
+
+const { performance } = require('perf_hooks');
+const db = require('../db/connection');
+
+const BATCH_PHASES = Object.freeze(['state', 'compute', 'saveState', 'lock', 'recompute', 'write', 'peaks', 'commit']);
+
+const DEFAULT_BATCH_TIMINGS_LIMIT = 20;
+const MAX_BATCH_TIMINGS_LIMIT = 500;
+
+// Domain error carrying an HTTP status for the controller layer.
+class MarketBatchTimingsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MarketBatchTimingsError';
+    this.status = status;
+  }
+}
+
+function roundMs(ms) {
+  return Math.round(ms * 1000) / 1000;
+}
+
+// A stopwatch over one batch. mark(phase) closes the phase that ran since
+// the previous mark; lockAcquired() starts the coin-lock clock, which
+// finish() (called once COMMIT returns) stops.
+function createBatchTimer() {
+  const startedAt = performance.now();
+  let last = startedAt;
+  let lockedAt = null;
+  const phases = {};
+  return {
+    mark(phase) {
+      const at = performance.now();
+      phases[phase] = roundMs((phases[phase] || 0) + (at - last));
+      last = at;
+    },
+    lockAcquired() {
+      lockedAt = performance.now();
+    },
+    finish() {
+      const at = performance.now();
+      return {
+        phases,
+        totalMs: roundMs(at - startedAt),
+        coinLockMs: lockedAt === null ? 0 : roundMs(at - lockedAt)
+      };
+    }
+  };
+}
+
+async function recordBatchTimings({ cycleId, batchIndex, coinCount, recomputed, phases, totalMs, coinLockMs }) {
+  await db.query(
+    `INSERT INTO market_batch_timings
+       (cycle_id, batch_index, coin_count, recomputed, phases, total_ms, coin_lock_ms)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [cycleId, batchIndex, coinCount, recomputed, JSON.stringify(phases), totalMs, coinLockMs]
+  );
+}
+
+// Same clamping rule as the market events limit: absent -> default, a
+// present integer is clamped into 1..MAX.
+function resolveLimit(raw) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return DEFAULT_BATCH_TIMINGS_LIMIT;
+  const trimmed = String(raw).trim();
+  if (!/^[+-]?\d+$/.test(trimmed)) {
+    throw new MarketBatchTimingsError(`Invalid limit. Please provide a positive integer no greater than ${MAX_BATCH_TIMINGS_LIMIT}.`);
+  }
+  return Math.min(MAX_BATCH_TIMINGS_LIMIT, Math.max(1, Number(trimmed)));
+}
+
+function summarize(values) {
+  if (values.length === 0) return null;
+  return {
+    avgMs: roundMs(values.reduce((sum, v) => sum + v, 0) / values.length),
+    maxMs: roundMs(Math.max(...values))
+  };
+}
+
+// Per-phase average and maximum over a set of batch timings (the shape
+// createBatchTimer().finish() returns, plus `recomputed`).
+function summarizeBatchTimings(batches) {
+  const phases = {};
+  for (const phase of BATCH_PHASES) {
+    const values = batches.map((b) => b.phases[phase]).filter((v) => typeof v === 'number');
+    const summary = summarize(values);
+    if (summary) phases[phase] = summary;
+  }
+  return {
+    phases,
+    total: summarize(batches.map((b) => b.totalMs)),
+    coinLock: summarize(batches.map((b) => b.coinLockMs)),
+    recomputed: batches.filter((b) => b.recomputed).length
+  };
+}
+
+async function getBatchTimings({ limit: rawLimit } = {}) {
+  const limit = resolveLimit(rawLimit);
+  const { rows } = await db.query(
+    `SELECT t.*, c.apocalypse_id
+     FROM market_batch_timings t
+     JOIN apocalypse_cycles c ON c.cycle_id = t.cycle_id
+     ORDER BY t.recorded_at DESC, t.timing_id DESC
+     LIMIT $1`,
+    [limit]
+  );
+  const batches = rows.map((row) => ({
+    cycleId: row.apocalypse_id,
+    batchIndex: row.batch_index,
+    coinCount: row.coin_count,
+    recomputed: row.recomputed,
+    phases: row.phases,
+    totalMs: parseFloat(row.total_ms),
+    coinLockMs: parseFloat(row.coin_lock_ms),
+    recordedAt: new Date(row.recorded_at).toISOString()
+  }));
+
+  return {
+    limit,
+    count: batches.length,
+    summary: summarizeBatchTimings(batches),
+    batches
+  };
+}
+
+module.exports = {
+  BATCH_PHASES,
+  DEFAULT_BATCH_TIMINGS_LIMIT,
+  MAX_BATCH_TIMINGS_LIMIT,
+  MarketBatchTimingsError,
+  createBatchTimer,
+  recordBatchTimings,
+  summarizeBatchTimings,
+  getBatchTimings
+};
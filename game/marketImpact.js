@@ -0,0 +1,184 @@
+// Market impact: player trades move the live price.
+//
+// Each coin trades against a virtual constant-product (x * y = k) pool
+// re-centred on its live price at the moment of the trade: the quote side
+// holds the coin's liquidity depth (coins.liquidity_depth, migration 018) in
+// pounds, the coin side depth / price coins. Buying q coins out of the pool
+// costs depth * q / (B - q) and moves the price by (B / (B - q))^2; selling
+// q coins in pays depth * q / (B + q) and moves it by (B / (B + q))^2. Large
+// orders therefore execute at a progressively worse average price, and the
+// post-trade price is written to coins.current_price and appended to
+// price_history exactly like a simulator write, where the next price batch
+// picks it up (and mean reversion slowly pulls it back).
+//
+// The pool is stateless: nothing but the live price and the configured depth
+// is stored, so the simulator, collapses and impact never have to agree on
+// reserves. The post-trade price is bounded to the coin's price-model band
+// around its cycle baseline (game/priceModels.js) and never rounds down to
+// £0 — zero is reserved for a Core 3 collapse.
+//
+// coins.current_price holds 2 decimals, too coarse for a small trade on a
+// cheap coin: its impact rounded away, and every slice of a split order
+// quoted from the same price. The unrounded post-trade price is therefore
+// also kept in coins.impact_price (migration 029), and the next trade quotes
+// from it for as long as it still rounds to current_price — any other
+// writer (a price batch, an event, a collapse) moves current_price and
+// thereby retires it.
+//
+// Used by both the legacy trade ledger and round trades, inside the caller's
+// transaction and under the caller's coin row lock.
+//
+// The live price stream (game/priceStream.js) relies on price_history ids
+// committing in id order. A price batch and a collapse write theirs holding
+// every coin row lock, so they already commit alone; trades hold only their
+// own coin, so trades take lockPriceTicks as well — before any coin lock,
+// so nothing holding a coin row ever waits on it.
+
+const { resolvePriceModel } = require('./priceModels');
+
+// A single order may take at most this share of the pool's coin side: the
+// price can at most quadruple on one buy. Larger orders are rejected rather
+// than executed at an absurd average price.
+const MAX_POOL_SHARE = 0.5;
+
+// Pool depth of a coin without its own setting; mirrors the column default
+// in migration 018.
+const DEFAULT_LIQUIDITY_DEPTH = 100000;
+
+// Transaction-level advisory lock ordering trades' price_history writes.
+const PRICE_TICK_ADVISORY_LOCK_KEY = 727004;
+
+// Smallest positive price the money columns can hold.
+const MIN_LIVE_PRICE = 0.01;
+
+// Domain error for trades the pool cannot fill (same contract as the game
+// service errors: message first, HTTP-ish status second).
+class MarketImpactError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MarketImpactError';
+    this.status = status;
+  }
+}
+
+function assertPositive(value, name) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw new MarketImpactError(`market impact ${name} must be a positive number; received ${String(value)}`);
+  }
+}
+
+// Price a trade against the coin's pool. Returns the exact (unrounded)
+// consideration, the average execution price and the post-trade spot price.
+function quoteTrade({ side, quantity, price, depth }) {
+  if (side !== 'BUY' && side !== 'SELL') {
+    throw new MarketImpactError(`market impact side must be BUY or SELL; received ${String(side)}`);
+  }
+  assertPositive(quantity, 'quantity');
+  assertPositive(price, 'price');
+  assertPositive(depth, 'depth');
+
+  const poolCoins = depth / price;
+  if (side === 'BUY' && quantity > poolCoins * MAX_POOL_SHARE) {
+    throw new MarketImpactError(
+      `Order too large for the available liquidity. At most ${Math.floor(poolCoins * MAX_POOL_SHARE * 100) / 100} coins can be bought in one order at the current price.`
+    );
+  }
+
+  const after = side === 'BUY' ? poolCoins - quantity : poolCoins + quantity;
+  const total = depth * quantity / after;
+  const ratio = poolCoins / after;
+  return {
+    total,
+    averagePrice: total / quantity,
+    newPrice: price * ratio * ratio
+  };
+}
+
+// Largest quantity whose BUY costs at most `spend` — the inverse of the
+// buy curve, for callers sizing an order by budget.
+function quantityForSpend({ spend, price, depth }) {
+  assertPositive(price, 'price');
+  assertPositive(depth, 'depth');
+  if (!(spend > 0)) return 0;
+  const poolCoins = depth / price;
+  return Math.min(spend * poolCoins / (depth + spend), poolCoins * MAX_POOL_SHARE);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function round8(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+// The price a trade quotes from: the unrounded price the coin's last trade
+// left (coins.impact_price) while it still rounds to the live price, else
+// the live price itself.
+function poolPrice(coin) {
+  const current = parseFloat(coin.current_price);
+  const impact = coin.impact_price == null ? NaN : parseFloat(coin.impact_price);
+  return impact > 0 && round2(impact) === current ? impact : current;
+}
+
+// Post-trade pool price, unrounded: inside the coin's price-model band
+// around its cycle baseline and never below the smallest positive price. A
+// price already outside the band (or a coin without a baseline) is never
+// pushed further out — a buy only raises and a sell only lowers, so the band
+// edge on the far side of the live price is the only one that can bind.
+function boundedPoolPrice(coin, newPrice) {
+  const current = poolPrice(coin);
+  const baseline = parseFloat(coin.cycle_baseline_price);
+  let bounded = newPrice;
+  if (baseline > 0) {
+    const { params } = resolvePriceModel(coin.price_model, coin.price_model_params);
+    const floor = Math.min(baseline * params.minPriceRatio, current);
+    const ceiling = Math.max(baseline * params.maxPriceRatio, current);
+    bounded = Math.min(Math.max(newPrice, floor), ceiling);
+  }
+  return Math.max(MIN_LIVE_PRICE, round8(bounded));
+}
+
+// Post-trade price as coins.current_price stores it: the bounded pool price
+// rounded to 2 decimals.
+function boundedImpactPrice(coin, newPrice) {
+  return Math.max(MIN_LIVE_PRICE, round2(boundedPoolPrice(coin, newPrice)));
+}
+
+// Serialise this transaction's trades with every other trade's until
+// COMMIT. Take it before locking any coin row.
+async function lockPriceTicks(client) {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [PRICE_TICK_ADVISORY_LOCK_KEY]);
+}
+
+// Write a trade's impact: the coin's new pool price, its live price and,
+// when the live price moved, its price_history row stamped with the trade's
+// time. The caller holds the coin row lock and owns the transaction. Returns
+// the stored live price.
+async function applyPriceImpact(client, coin, newPrice, now = new Date()) {
+  const impact = boundedPoolPrice(coin, newPrice);
+  const stored = Math.max(MIN_LIVE_PRICE, round2(impact));
+  await client.query(
+    'UPDATE coins SET current_price = $1, impact_price = $2 WHERE coin_id = $3',
+    [stored, impact, coin.coin_id]
+  );
+  if (stored === parseFloat(coin.current_price)) return stored;
+  await client.query(
+    'INSERT INTO price_history (coin_id, price, created_at) VALUES ($1, $2, $3)',
+    [coin.coin_id, stored, now]
+  );
+  return stored;
+}
+
+module.exports = {
+  MAX_POOL_SHARE,
+  DEFAULT_LIQUIDITY_DEPTH,
+  PRICE_TICK_ADVISORY_LOCK_KEY,
+  MarketImpactError,
+  quoteTrade,
+  quantityForSpend,
+  poolPrice,
+  boundedImpactPrice,
+  lockPriceTicks,
+  applyPriceImpact
+};
@@ -0,0 +1,247 @@
+// Market news feed: the persisted record of everything that moves prices.
+//
+// Every market cycle change, coin event (MAJOR_PARTNERSHIP, SCANDAL, ...) and
+// sector event the market simulator starts is written to market_events
+// (migration 021) in the batch that starts it, with its logical window and a
+// headline, so the frontend can run a news ticker and players can line price
+// moves up with their causes. Only started events are ever written — the
+// feed never holds anything the simulator has not already applied.
+//
+//   * newsItem        pure: one started event -> its market_events row.
+//   * getMarketEvents the public GET /api/market/events read: newest first,
+//                     filterable by coin and start-time range, paginated by
+//                     an opaque keyset cursor so a ticker polling for older
+//                     news never skips or repeats a row while new ones land.
+
+const db = require('../db/connection');
+
+const DEFAULT_MARKET_EVENTS_LIMIT = 50;
+const MAX_MARKET_EVENTS_LIMIT = 100;
+
+const MARKET_CYCLE_HEADLINES = {
+  STRONG_BOOM: () => 'Markets surge as a strong boom takes hold',
+  MILD_BOOM: () => 'Markets edge higher in a mild boom',
+  STRONG_BUST: () => 'Markets plunge into a strong bust',
+  MILD_BUST: () => 'Markets drift lower in a mild bust',
+  STABLE: () => 'Markets steady as trading calms'
+};
+
+const COIN_EVENT_HEADLINES = {
+  MAJOR_PARTNERSHIP: (symbol) => `${symbol} announces a major partnership`,
+  MINOR_PARTNERSHIP: (symbol) => `${symbol} signs a minor partnership`,
+  REGULATION_NEGATIVE: (symbol) => `Regulators crack down on ${symbol}`,
+  REGULATION_POSITIVE: (symbol) => `Regulators clear the way for ${symbol}`,
+  MAJOR_ADOPTION: (symbol) => `${symbol} wins major adoption`,
+  MINOR_ADOPTION: (symbol) => `${symbol} picks up new adopters`,
+  SCANDAL: (symbol) => `Scandal engulfs ${symbol}`,
+  RUMOR_POSITIVE: (symbol) => `Rumours lift ${symbol}`,
+  RUMOR_NEGATIVE: (symbol) => `Rumours weigh on ${symbol}`
+};
+
+const SECTOR_EVENT_HEADLINES = {
+  SECTOR_RALLY: (sector) => `${sector} sector rallies`,
+  SECTOR_HYPE: (sector) => `Hype sweeps the ${sector} sector`,
+  SECTOR_SELLOFF: (sector) => `${sector} sector sells off`,
+  SECTOR_CRACKDOWN: (sector) => `Crackdown hits the ${sector} sector`
+};
+
+// Domain error carrying an HTTP status for the controller layer (same
+// contract as the game service errors).
+class MarketNewsError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MarketNewsError';
+    this.status = status;
+  }
+}
+
+function effectOf(value, neutral) {
+  if (value > neutral) return 'POSITIVE';
+  if (value < neutral) return 'NEGATIVE';
+  return 'NEUTRAL';
+}
+
+// The market_events row for an event the simulator has just started.
+//   kind   MARKET_CYCLE | COIN_EVENT | SECTOR_EVENT
+//   event  the started cycle / event ({ type, baseEffect | multiplier,
+//          startTime, duration })
+//   coin   { coinId, symbol } for a COIN_EVENT; sector for a SECTOR_EVENT.
+function newsItem({ kind, event, coin = null, sector = null }) {
+  let headline;
+  let effect;
+  if (kind === 'MARKET_CYCLE') {
+    headline = MARKET_CYCLE_HEADLINES[event.type]();
+    effect = effectOf(event.baseEffect, 0);
+  } else if (kind === 'COIN_EVENT') {
+    headline = COIN_EVENT_HEADLINES[event.type](coin.symbol);
+    effect = effectOf(event.multiplier, 1);
+  } else if (kind === 'SECTOR_EVENT') {
+    headline = SECTOR_EVENT_HEADLINES[event.type](sector);
+    effect = effectOf(event.multiplier, 1);
+  } else {
+    throw new Error(`unknown market news kind ${String(kind)}`);
+  }
+  const startedAt = new Date(event.startTime);
+  return {
+    eventKind: kind,
+    eventType: event.type,
+    coinId: kind === 'COIN_EVENT' ? coin.coinId : null,
+    sector: kind === 'SECTOR_EVENT' ? sector : null,
+    headline,
+    effect,
+    startedAt,
+    endsAt: new Date(startedAt.getTime() + event.duration)
+  };
+}
+
+// Record started events. Set-based; an occurrence already recorded (a
+// replayed batch) is skipped by the market_events_occurrence index.
+async function recordMarketNews(client, cycleId, items) {
+  if (items.length === 0) return;
+  await client.query(
+    `INSERT INTO market_events (cycle_id, event_kind, event_type, coin_id, sector, headline, effect, started_at, ends_at)
+     SELECT $1, n.event_kind, n.event_type, n.coin_id, n.sector, n.headline, n.effect, n.started_at, n.ends_at
+     FROM unnest($2::text[], $3::text[], $4::integer[], $5::text[], $6::text[], $7::text[], $8::timestamptz[], $9::timestamptz[])
+       AS n(event_kind, event_type, coin_id, sector, headline, effect, started_at, ends_at)
+     ON CONFLICT (cycle_id, event_kind, (COALESCE(coin_id, 0)), (COALESCE(sector, '')), started_at) DO NOTHING`,
+    [
+      cycleId,
+      items.map((n) => n.eventKind),
+      items.map((n) => n.eventType),
+      items.map((n) => n.coinId),
+      items.map((n) => n.sector),
+      items.map((n) => n.headline),
+      items.map((n) => n.effect),
+      items.map((n) => n.startedAt),
+      items.map((n) => n.endsAt)
+    ]
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Public feed read. Every query parameter is validated; malformed input is a
+// 400, never silently coerced.
+// ---------------------------------------------------------------------------
+
+function isBlank(raw) {
+  return raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+}
+
+function resolveCoinId(raw) {
+  if (isBlank(raw)) return null;
+  const trimmed = String(raw).trim();
+  if (!/^\d+$/.test(trimmed) || Number(trimmed) < 1 || !Number.isSafeInteger(Number(trimmed))) {
+    throw new MarketNewsError('Invalid coinId. Please provide a positive integer coin id.');
+  }
+  return Number(trimmed);
+}
+
+function resolveTime(raw, name) {
+  if (isBlank(raw)) return null;
+  const time = new Date(String(raw).trim());
+  if (Number.isNaN(time.getTime())) {
+    throw new MarketNewsError(`Invalid ${name}. Please provide an ISO 8601 timestamp.`);
+  }
+  return time;
+}
+
+// Same clamping rule as the recent-leaderboards limit: absent -> default,
+// a present integer is clamped into 1..MAX.
+function resolveLimit(raw) {
+  if (isBlank(raw)) return DEFAULT_MARKET_EVENTS_LIMIT;
+  const trimmed = String(raw).trim();
+  if (!/^[+-]?\d+$/.test(trimmed)) {
+    throw new MarketNewsError(`Invalid limit. Please provide a positive integer no greater than ${MAX_MARKET_EVENTS_LIMIT}.`);
+  }
+  return Math.min(MAX_MARKET_EVENTS_LIMIT, Math.max(1, Number(trimmed)));
+}
+
+// The cursor is the (started_at, event_id) of the last row of the previous
+// page, opaque to clients.
+function encodeCursor(row) {
+  return Buffer.from(`${new Date(row.started_at).getTime()}:${row.event_id}`).toString('base64url');
+}
+
+function decodeCursor(raw) {
+  if (isBlank(raw)) return null;
+  const match = /^(\d+):(\d+)$/.exec(Buffer.from(String(raw), 'base64url').toString('utf8'));
+  if (!match) {
+    throw new MarketNewsError('Invalid cursor. Use the nextCursor of a previous page.');
+  }
+  return { startedAt: new Date(Number(match[1])), eventId: Number(match[2]) };
+}
+
+function publicMarketEvent(row) {
+  return {
+    eventId: row.event_id,
+    cycleId: row.apocalypse_id,
+    kind: row.event_kind,
+    type: row.event_type,
+    coinId: row.coin_id,
+    symbol: row.symbol || null,
+    sector: row.sector,
+    headline: row.headline,
+    effect: row.effect,
+    startedAt: new Date(row.started_at).toISOString(),
+    endsAt: new Date(row.ends_at).toISOString()
+  };
+}
+
+async function getMarketEvents({ coinId: rawCoinId, from: rawFrom, to: rawTo, limit: rawLimit, cursor: rawCursor } = {}) {
+  const coinId = resolveCoinId(rawCoinId);
+  const from = resolveTime(rawFrom, 'from');
+  const to = resolveTime(rawTo, 'to');
+  if (from && to && from > to) {
+    throw new MarketNewsError('Invalid time range: from must not be after to.');
+  }
+  const limit = resolveLimit(rawLimit);
+  const cursor = decodeCursor(rawCursor);
+
+  const conditions = [];
+  const params = [];
+  if (coinId !== null) {
+    params.push(coinId);
+    conditions.push(`me.coin_id = $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    conditions.push(`me.started_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    conditions.push(`me.started_at <= $${params.length}`);
+  }
+  if (cursor) {
+    params.push(cursor.startedAt, cursor.eventId);
+    conditions.push(`(me.started_at, me.event_id) < ($${params.length - 1}, $${params.length})`);
+  }
+  params.push(limit + 1);
+
+  const { rows } = await db.query(
+    `SELECT me.*, ac.apocalypse_id, c.symbol
+     FROM market_events me
+     JOIN apocalypse_cycles ac ON ac.cycle_id = me.cycle_id
+     LEFT JOIN coins c ON c.coin_id = me.coin_id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY me.started_at DESC, me.event_id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const page = rows.slice(0, limit);
+  return {
+    events: page.map(publicMarketEvent),
+    count: page.length,
+    limit,
+    nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_MARKET_EVENTS_LIMIT,
+  MAX_MARKET_EVENTS_LIMIT,
+  MarketNewsError,
+  newsItem,
+  recordMarketNews,
+  getMarketEvents
+};
@@ -0,0 +1,76 @@
+// Seeded market randomness for the Coins market simulator.
+//
+// Every random choice the simulator makes — volatility profiles, market
+// cycles, coin events, trend changes and per-tick noise — is drawn from a
+// SHA-256 counter stream keyed by the ACTIVE apocalypse cycle's persisted
+// Core 1 seed, the price batch index and a named scope. The same inputs give
+// the identical stream in every process, forever, so a cycle's whole price
+// path can be replayed bit-for-bit from its seed. Math.random() is never
+// used.
+//
+// Scopes keep the draws independent of one another: a coin's noise never
+// shifts because another coin collapsed (and stopped drawing), and the
+// market-cycle roll never shifts because the catalogue grew. This module is
+// pure — no clock, no database handle, no lifecycle.
+
+const crypto = require('crypto');
+
+function describe(value) {
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+// Batch index of `now` inside a cycle: the number of whole price-update
+// intervals elapsed since the cycle started (never negative). Derived from
+// the persisted cycle window, so every process computes the same index for
+// the same instant.
+function deriveBatchIndex({ startTime, now, intervalMs }) {
+  const startMs = new Date(startTime).getTime();
+  const nowMs = (now instanceof Date ? now : new Date(now)).getTime();
+  if (!Number.isFinite(startMs) || !Number.isFinite(nowMs)) {
+    throw new Error(`market batch index requires valid times; received ${describe(startTime)} .. ${describe(now)}`);
+  }
+  if (!Number.isInteger(intervalMs) || intervalMs <= 0) {
+    throw new Error(`market batch index intervalMs must be a positive integer; received ${describe(intervalMs)}`);
+  }
+  return Math.max(0, Math.floor((nowMs - startMs) / intervalMs));
+}
+
+// The logical instant of a batch: cycle start + batchIndex whole intervals.
+// Durations (market cycles, events, trends) are measured against this, never
+// against the wall clock, so expiry is reproducible on replay.
+function batchTimeFor({ startTime, batchIndex, intervalMs }) {
+  return new Date(new Date(startTime).getTime() + batchIndex * intervalMs);
+}
+
+// Deterministic random source for one scope. batchIndex null means a
+// cycle-level draw (e.g. a coin's volatility profile, rolled once per cycle).
+function createMarketRandom({ seed, batchIndex = null, scope }) {
+  if (typeof seed !== 'string' || seed.length === 0) {
+    throw new Error(`market random seed must be a non-empty string; received ${describe(seed)}`);
+  }
+  if (batchIndex !== null && (!Number.isInteger(batchIndex) || batchIndex < 0)) {
+    throw new Error(`market random batchIndex must be a non-negative integer or null; received ${describe(batchIndex)}`);
+  }
+  if (typeof scope !== 'string' || scope.length === 0) {
+    throw new Error(`market random scope must be a non-empty string; received ${describe(scope)}`);
+  }
+  const key = `${seed}:market:${batchIndex === null ? 'cycle' : batchIndex}:${scope}`;
+  let counter = 0;
+  return function marketRandom() {
+    const digest = crypto.createHash('sha256').update(`${key}:${counter}`).digest();
+    counter += 1;
+    return digest.readUInt32BE(0) / 0x100000000; // [0, 1)
+  };
+}
+
+// Integer duration in [min, max] drawn from an injected random source.
+function randomDuration(random, min, max) {
+  return Math.floor(random() * (max - min + 1) + min);
+}
+
+module.exports = {
+  deriveBatchIndex,
+  batchTimeFor,
+  createMarketRandom,
+  randomDuration
+};
@@ -0,0 +1,338 @@
+// Scripted market scenarios: a lesson or demo plan the market simulator
+// follows in place of its random choices.
+//
+// A scenario is a JSON document of timed overrides, every offset measured
+// from the start of the apocalypse cycle (so a loaded scenario replays in
+// every cycle the simulator runs):
+//
+//   {
+//     "name": "boom-crash-recovery",
+//     "description": "optional free text",
+//     "marketCycles": [{ "atMs": 0, "durationMs": 300000, "type": "STRONG_BOOM" }],
+//     "coinEvents":   [{ "atMs": 60000, "durationMs": 120000, "coinId": 3, "type": "SCANDAL" }],
+//     "coinMoves":    [{ "atMs": 300000, "durationMs": 300000, "coinId": 3, "targetPrice": 20 },
+//                      { "atMs": 0, "durationMs": 300000, "coinId": 5, "driftPerBatch": 0.004 }]
+//   }
+//
+//   * marketCycles  while a window is open the market cycle is the scripted
+//                   one, replacing whatever was rolled; outside every window
+//                   the seeded roll resumes.
+//   * coinEvents    the same, per coin, for coin events.
+//   * coinMoves     while a window is open the coin's price follows the
+//                   script instead of its price model: a fixed fractional
+//                   drift per batch, or a geometric path that lands on
+//                   targetPrice by the window's last batch. The model's
+//                   rails (per-batch maxChange clamp and the price band
+//                   around the cycle baseline) still apply.
+//
+// Validation runs in two stages, both before the simulator follows anything:
+//   validateScenario        shape: unknown keys, bad types, unknown cycle or
+//                           event types and overlapping windows are rejected.
+//   checkScenarioFeasibility  against the live coins and the cycle timing:
+//                           unknown or retired coins, windows running past the
+//                           cycle end or into the collapse window, moves
+//                           shorter than one batch, drifts beyond the coin's
+//                           maxChange, and targets outside the coin's price
+//                           band or unreachable within their window at
+//                           maxChange per batch (from the coin's baseline, or
+//                           its previous scripted target) are rejected.
+// Scenarios are REJECTED when malformed, never silently clamped (same
+// discipline as game/priceModels.js). Everything here but loadScenarioFile
+// is pure.
+
+const fs = require('fs');
+const { resolvePriceModel, applyPriceRails } = require('./priceModels');
+
+const SCENARIO_KEYS = ['name', 'description', 'marketCycles', 'coinEvents', 'coinMoves'];
+const WINDOW_KEYS = ['atMs', 'durationMs'];
+const MAX_SCENARIO_NAME_LENGTH = 100;
+
+// Domain error for scenario files (same contract as the game service
+// errors: message first, HTTP-ish status second).
+class MarketScenarioError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MarketScenarioError';
+    this.status = status;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function rejectUnknownKeys(input, allowed, label) {
+  for (const key of Object.keys(input)) {
+    if (!allowed.includes(key)) {
+      throw new MarketScenarioError(`${label} has unknown key ${JSON.stringify(key)}`);
+    }
+  }
+}
+
+function requireInteger(input, key, label, { min }) {
+  const value = input[key];
+  if (!Number.isSafeInteger(value) || value < min) {
+    throw new MarketScenarioError(`${label}.${key} must be an integer >= ${min}; received ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+function validateWindow(input, label) {
+  return {
+    atMs: requireInteger(input, 'atMs', label, { min: 0 }),
+    durationMs: requireInteger(input, 'durationMs', label, { min: 1 })
+  };
+}
+
+function validateType(input, catalogue, label) {
+  if (!Object.prototype.hasOwnProperty.call(catalogue, input.type)) {
+    throw new MarketScenarioError(`${label}.type must be one of ${Object.keys(catalogue).join(', ')}; received ${JSON.stringify(input.type)}`);
+  }
+  return input.type;
+}
+
+function entriesOf(raw, key) {
+  if (raw[key] === undefined) return [];
+  if (!Array.isArray(raw[key])) {
+    throw new MarketScenarioError(`scenario.${key} must be an array`);
+  }
+  return raw[key].map((entry, i) => {
+    const label = `scenario.${key}[${i}]`;
+    if (!isPlainObject(entry)) {
+      throw new MarketScenarioError(`${label} must be an object`);
+    }
+    return { entry, label };
+  });
+}
+
+// Windows of one timeline (the market, or one coin) may touch but never
+// overlap: at any instant at most one scripted entry applies.
+function rejectOverlaps(entries, describeTimeline) {
+  const sorted = entries.slice().sort((a, b) => a.atMs - b.atMs);
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    if (sorted[i].atMs < previous.atMs + previous.durationMs) {
+      throw new MarketScenarioError(
+        `${describeTimeline(sorted[i])} windows overlap: ${previous.atMs}+${previous.durationMs}ms and ${sorted[i].atMs}+${sorted[i].durationMs}ms`
+      );
+    }
+  }
+  return sorted;
+}
+
+function byCoin(entries) {
+  const grouped = new Map();
+  for (const entry of entries) {
+    if (!grouped.has(entry.coinId)) grouped.set(entry.coinId, []);
+    grouped.get(entry.coinId).push(entry);
+  }
+  return grouped;
+}
+
+// Validate a scenario's shape against the simulator's catalogues
+// ({ marketCycles, coinEvents }, keyed by type). Returns the normalized
+// scenario with every timeline sorted by start; throws MarketScenarioError.
+function validateScenario(raw, { marketCycles, coinEvents }) {
+  if (!isPlainObject(raw)) {
+    throw new MarketScenarioError('scenario must be an object');
+  }
+  rejectUnknownKeys(raw, SCENARIO_KEYS, 'scenario');
+  if (typeof raw.name !== 'string' || raw.name.trim() === '' || raw.name.length > MAX_SCENARIO_NAME_LENGTH) {
+    throw new MarketScenarioError(`scenario.name must be a non-empty string of at most ${MAX_SCENARIO_NAME_LENGTH} characters`);
+  }
+  if (raw.description !== undefined && typeof raw.description !== 'string') {
+    throw new MarketScenarioError('scenario.description must be a string');
+  }
+
+  const cycles = entriesOf(raw, 'marketCycles').map(({ entry, label }) => {
+    rejectUnknownKeys(entry, [...WINDOW_KEYS, 'type'], label);
+    return { ...validateWindow(entry, label), type: validateType(entry, marketCycles, label) };
+  });
+
+  const events = entriesOf(raw, 'coinEvents').map(({ entry, label }) => {
+    rejectUnknownKeys(entry, [...WINDOW_KEYS, 'coinId', 'type'], label);
+    return {
+      ...validateWindow(entry, label),
+      coinId: requireInteger(entry, 'coinId', label, { min: 1 }),
+      type: validateType(entry, coinEvents, label)
+    };
+  });
+
+  const moves = entriesOf(raw, 'coinMoves').map(({ entry, label }) => {
+    rejectUnknownKeys(entry, [...WINDOW_KEYS, 'coinId', 'targetPrice', 'driftPerBatch'], label);
+    const move = { ...validateWindow(entry, label), coinId: requireInteger(entry, 'coinId', label, { min: 1 }) };
+    const hasTarget = entry.targetPrice !== undefined;
+    if (hasTarget === (entry.driftPerBatch !== undefined)) {
+      throw new MarketScenarioError(`${label} must set exactly one of targetPrice or driftPerBatch`);
+    }
+    if (hasTarget) {
+      if (typeof entry.targetPrice !== 'number' || !Number.isFinite(entry.targetPrice) || entry.targetPrice <= 0) {
+        throw new MarketScenarioError(`${label}.targetPrice must be a positive number; received ${JSON.stringify(entry.targetPrice)}`);
+      }
+      move.targetPrice = entry.targetPrice;
+    } else {
+      if (typeof entry.driftPerBatch !== 'number' || !Number.isFinite(entry.driftPerBatch) || entry.driftPerBatch <= -1) {
+        throw new MarketScenarioError(`${label}.driftPerBatch must be a number greater than -1; received ${JSON.stringify(entry.driftPerBatch)}`);
+      }
+      move.driftPerBatch = entry.driftPerBatch;
+    }
+    return move;
+  });
+
+  if (cycles.length + events.length + moves.length === 0) {
+    throw new MarketScenarioError('scenario must script at least one market cycle, coin event or coin move');
+  }
+
+  const scenario = {
+    name: raw.name,
+    description: raw.description === undefined ? null : raw.description,
+    marketCycles: rejectOverlaps(cycles, () => 'scenario.marketCycles'),
+    coinEvents: [],
+    coinMoves: []
+  };
+  for (const [coinId, entries] of byCoin(events)) {
+    scenario.coinEvents.push(...rejectOverlaps(entries, () => `scenario.coinEvents for coin ${coinId}`));
+  }
+  for (const [coinId, entries] of byCoin(moves)) {
+    scenario.coinMoves.push(...rejectOverlaps(entries, () => `scenario.coinMoves for coin ${coinId}`));
+  }
+  return scenario;
+}
+
+// Parse scenario JSON text and validate it.
+function parseScenario(text, catalogues) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new MarketScenarioError(`scenario is not valid JSON: ${error.message}`);
+  }
+  return validateScenario(raw, catalogues);
+}
+
+function loadScenarioFile(filePath, catalogues) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new MarketScenarioError(`cannot read scenario file ${filePath}: ${error.message}`);
+  }
+  return parseScenario(text, catalogues);
+}
+
+// Batches whose logical time falls inside a window (batch k runs at
+// k * intervalMs from the cycle start).
+function batchesIn({ atMs, durationMs }, intervalMs) {
+  return Math.ceil((atMs + durationMs) / intervalMs) - Math.ceil(atMs / intervalMs);
+}
+
+// Check a validated scenario can actually be followed in a cycle.
+//   coins             every coin row ({ coin_id, cycle_baseline_price,
+//                     price_model, price_model_params, retired })
+//   durationMs        the cycle duration
+//   collapseWindowMs  offset of the collapse window start; from there on any
+//                     coin may already be gone
+//   intervalMs        the simulator batch interval
+// Collects every problem and throws one MarketScenarioError listing them.
+function checkScenarioFeasibility(scenario, { coins, durationMs, collapseWindowMs, intervalMs }) {
+  const problems = [];
+  const live = new Map(coins.filter((coin) => !coin.retired).map((coin) => [coin.coin_id, coin]));
+  const end = (entry) => entry.atMs + entry.durationMs;
+
+  for (const cycle of scenario.marketCycles) {
+    if (end(cycle) > durationMs) {
+      problems.push(`market cycle ${cycle.type} at ${cycle.atMs}ms runs past the cycle end (${durationMs}ms)`);
+    }
+  }
+
+  const reference = new Map();
+  for (const entry of [...scenario.coinEvents, ...scenario.coinMoves].sort((a, b) => a.atMs - b.atMs)) {
+    const what = entry.type ? `coin event ${entry.type}` : 'coin move';
+    const coin = live.get(entry.coinId);
+    if (!coin) {
+      problems.push(`${what} at ${entry.atMs}ms targets unknown or retired coin ${entry.coinId}`);
+      continue;
+    }
+    if (end(entry) > collapseWindowMs) {
+      problems.push(`${what} for coin ${entry.coinId} at ${entry.atMs}ms runs into the collapse window (from ${collapseWindowMs}ms)`);
+    }
+    if (entry.type) continue;
+
+    const { params } = resolvePriceModel(coin.price_model, coin.price_model_params);
+    const batches = batchesIn(entry, intervalMs);
+    if (batches === 0) {
+      problems.push(`coin move for coin ${entry.coinId} at ${entry.atMs}ms contains no batch (interval ${intervalMs}ms)`);
+      continue;
+    }
+    if (entry.driftPerBatch !== undefined) {
+      if (Math.abs(entry.driftPerBatch) > params.maxChange) {
+        problems.push(`coin move for coin ${entry.coinId} at ${entry.atMs}ms drifts ${entry.driftPerBatch} per batch, beyond the coin's maxChange ${params.maxChange}`);
+      }
+      continue;
+    }
+
+    const baseline = parseFloat(coin.cycle_baseline_price);
+    const low = baseline * params.minPriceRatio;
+    const high = baseline * params.maxPriceRatio;
+    if (entry.targetPrice < low || entry.targetPrice > high) {
+      problems.push(`coin move for coin ${entry.coinId} at ${entry.atMs}ms targets ${entry.targetPrice}, outside the coin's price band [${low}, ${high}]`);
+    } else {
+      const from = reference.has(entry.coinId) ? reference.get(entry.coinId) : baseline;
+      const reach = entry.targetPrice >= from
+        ? from * Math.pow(1 + params.maxChange, batches)
+        : from * Math.pow(1 - params.maxChange, batches);
+      if (entry.targetPrice >= from ? entry.targetPrice > reach : entry.targetPrice < reach) {
+        problems.push(`coin move for coin ${entry.coinId} at ${entry.atMs}ms cannot reach ${entry.targetPrice} from ${from} in ${batches} batches at maxChange ${params.maxChange}`);
+      }
+      reference.set(entry.coinId, entry.targetPrice);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new MarketScenarioError(`scenario ${JSON.stringify(scenario.name)} is impossible: ${problems.join('; ')}`);
+  }
+  return scenario;
+}
+
+function openAt(entries, offsetMs) {
+  return entries.find((entry) => entry.atMs <= offsetMs && offsetMs < entry.atMs + entry.durationMs) || null;
+}
+
+// The scripted entries open at an offset into the cycle, or null.
+function scriptedMarketCycleAt(scenario, offsetMs) {
+  return openAt(scenario.marketCycles, offsetMs);
+}
+
+function scriptedCoinEventAt(scenario, coinId, offsetMs) {
+  return openAt(scenario.coinEvents.filter((entry) => entry.coinId === coinId), offsetMs);
+}
+
+function scriptedCoinMoveAt(scenario, coinId, offsetMs) {
+  return openAt(scenario.coinMoves.filter((entry) => entry.coinId === coinId), offsetMs);
+}
+
+// A coin's (unrounded) price for the batch at offsetMs under a scripted
+// move, through the model's rails. A target move spreads the remaining
+// distance evenly (geometrically) over the batches left in its window.
+function scriptedPrice(move, { params, currentPrice, initialPrice, offsetMs, intervalMs }) {
+  let change;
+  if (move.driftPerBatch !== undefined) {
+    change = move.driftPerBatch;
+  } else {
+    const remaining = Math.max(1, batchesIn({ atMs: offsetMs, durationMs: move.atMs + move.durationMs - offsetMs }, intervalMs));
+    change = Math.pow(move.targetPrice / currentPrice, 1 / remaining) - 1;
+  }
+  return applyPriceRails(params, { currentPrice, initialPrice, change });
+}
+
+module.exports = {
+  MarketScenarioError,
+  validateScenario,
+  parseScenario,
+  loadScenarioFile,
+  checkScenarioFeasibility,
+  scriptedMarketCycleAt,
+  scriptedCoinEventAt,
+  scriptedCoinMoveAt,
+  scriptedPrice
+};
@@ -0,0 +1,149 @@
+// Market sectors: correlated movement for the market simulator.
+//
+// Every coin belongs to one sector (coins.sector, migration 019). Each batch
+// the simulator draws ONE market-wide shock and one shock per sector from
+// the cycle seed; a sector's shared shock blends the two by the sector's
+// market_correlation:
+//
+//   factor = sqrt(rho) * marketShock + sqrt(1 - rho) * sectorShock
+//
+// so two coins in the same sector share the whole factor, and coins in
+// sectors A and B are correlated by sqrt(rho_A * rho_B) through the market
+// shock. The factor is scaled by the sector's shock_volatility (and by the
+// Core 2 apocalypse factor, like every other volatility) and added to each
+// member coin's price-model move before the model's per-batch clamp.
+//
+// A quiet sector may also start a sector-wide event (event_probability per
+// batch), which pushes every coin in the sector the same way for the
+// event's duration. Events are simulator state: persisted per cycle in
+// market_sector_active_events with the rest of the market state.
+//
+// GENERAL, the sector every coin starts in, has zero correlation, zero shock
+// volatility and no events: its coins move exactly as they did before
+// sectors existed.
+//
+// Configuration is REJECTED when malformed, never silently clamped (same
+// discipline as game/priceModels.js). The functions here are pure; every
+// random draw comes from an injected seeded stream in a fixed order.
+
+const { randomDuration } = require('./marketRandom');
+const { standardNormal } = require('./priceModels');
+
+const DEFAULT_SECTOR = 'GENERAL';
+
+// Upper-case identifiers, as stored in market_sectors.sector (VARCHAR(30)).
+const SECTOR_NAME_PATTERN = /^[A-Z][A-Z0-9_]{0,29}$/;
+
+// Sector-wide events. The per-batch push on each member coin is
+// (multiplier - 1) * SECTOR_EVENT_SENSITIVITY.
+const SECTOR_EVENTS = {
+  SECTOR_RALLY: { type: 'SECTOR_RALLY', multiplier: 1.04, duration: { min: 120000, max: 600000 } },         // +4%, 2-10 mins
+  SECTOR_HYPE: { type: 'SECTOR_HYPE', multiplier: 1.06, duration: { min: 60000, max: 300000 } },            // +6%, 1-5 mins
+  SECTOR_SELLOFF: { type: 'SECTOR_SELLOFF', multiplier: 0.96, duration: { min: 120000, max: 600000 } },     // -4%
+  SECTOR_CRACKDOWN: { type: 'SECTOR_CRACKDOWN', multiplier: 0.94, duration: { min: 60000, max: 300000 } }   // -6%
+};
+const SECTOR_EVENT_SENSITIVITY = 0.05;
+
+// Correlation structure ranges (inclusive), mirrored by the CHECKs in
+// migration 019, and the defaults for a newly configured sector.
+const SECTOR_RANGES = {
+  marketCorrelation: { min: 0, max: 1 },
+  shockVolatility: { min: 0, max: 0.05 },
+  eventProbability: { min: 0, max: 1 }
+};
+const SECTOR_DEFAULTS = {
+  marketCorrelation: 0.3,
+  shockVolatility: 0.002,
+  eventProbability: 0.01
+};
+
+// Domain error for sector configuration (same contract as the game service
+// errors: message first, HTTP-ish status second).
+class MarketSectorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MarketSectorError';
+    this.status = status;
+  }
+}
+
+function validateSectorName(sector) {
+  if (typeof sector !== 'string' || !SECTOR_NAME_PATTERN.test(sector)) {
+    throw new MarketSectorError(
+      `sector must be 1-30 upper-case letters, digits or underscores starting with a letter; received ${JSON.stringify(sector)}`
+    );
+  }
+  return sector;
+}
+
+// Validate a sector's correlation structure, filling defaults for absent
+// keys. Unknown keys and out-of-range values are rejected.
+function resolveSectorConfig(sector, params = {}) {
+  validateSectorName(sector);
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    throw new MarketSectorError(`sector ${sector} configuration must be an object`);
+  }
+  for (const key of Object.keys(params)) {
+    if (!Object.prototype.hasOwnProperty.call(SECTOR_RANGES, key)) {
+      throw new MarketSectorError(`sector ${sector} configuration has unknown parameter ${JSON.stringify(key)}`);
+    }
+  }
+  const config = { sector };
+  for (const [key, range] of Object.entries(SECTOR_RANGES)) {
+    const value = Object.prototype.hasOwnProperty.call(params, key) ? params[key] : SECTOR_DEFAULTS[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < range.min || value > range.max) {
+      throw new MarketSectorError(
+        `sector ${sector} ${key} must be a number in [${range.min}, ${range.max}]; received ${JSON.stringify(value)}`
+      );
+    }
+    config[key] = value;
+  }
+  return config;
+}
+
+// The shared factor for one sector in one batch: a unit-variance blend of
+// the market-wide shock and the sector's own shock.
+function sectorFactor(config, marketShock, sectorRandom) {
+  const sectorShock = standardNormal(sectorRandom);
+  const rho = config.marketCorrelation;
+  return Math.sqrt(rho) * marketShock + Math.sqrt(1 - rho) * sectorShock;
+}
+
+// Draw the market-wide shock for a batch from its seeded stream.
+function marketShock(random) {
+  return standardNormal(random);
+}
+
+// The move every coin in the sector receives this batch, as a fraction
+// added to its price-model change: the scaled shared shock plus the push of
+// an active sector event.
+function sectorMove({ config, factor, event, apocalypseFactor }) {
+  const shock = config.shockVolatility * apocalypseFactor * factor;
+  const push = event ? (event.multiplier - 1) * SECTOR_EVENT_SENSITIVITY : 0;
+  return shock + push;
+}
+
+// Roll a quiet sector's event for a batch. Three draws are always taken
+// (start roll, event type, duration) so the stream's position never depends
+// on the outcome. Returns the new event, or null when the sector stays
+// quiet.
+function rollSectorEvent(config, random, startTime) {
+  const starts = random() < config.eventProbability;
+  const events = Object.values(SECTOR_EVENTS);
+  const event = events[Math.floor(random() * events.length)];
+  const duration = randomDuration(random, event.duration.min, event.duration.max);
+  return starts ? { ...event, startTime, duration } : null;
+}
+
+module.exports = {
+  DEFAULT_SECTOR,
+  SECTOR_EVENTS,
+  SECTOR_EVENT_SENSITIVITY,
+  MarketSectorError,
+  validateSectorName,
+  resolveSectorConfig,
+  marketShock,
+  sectorFactor,
+  sectorMove,
+  rollSectorEvent
+};
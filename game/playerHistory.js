@@ -0,0 +1,188 @@
+// Personal round history: the authenticated caller's own finished rounds.
+//
+// The public results APIs are cycle-centric, and the recent leaderboards show
+// only profitable finishes. These reads are player-centric instead: every
+// round the caller played, profitable or not, read from the immutable
+// apocalypse_results snapshot (never recalculated from mutable round state).
+// Every registered user is enrolled in every cycle
+// (initializeCycleParticipants), so a round counts as played only when the
+// caller traded in it (trade_count > 0). Idle rounds are counted in
+// roundsSkipped and never affect the win rate, ROI or streak.
+//
+//   * getPlayerHistory  the caller's results, newest cycle first, each with
+//                       its cycle's full size and the round's ROI, paginated
+//                       by an opaque keyset cursor.
+//   * getPlayerStats    aggregates over the caller's whole history: win rate,
+//                       average ROI, best and worst rounds and the current
+//                       streak. A win is a profitable finish (final cash above
+//                       the round's starting cash), the same rule that
+//                       qualifies a result for the public leaderboards; a
+//                       break-even finish is not a win.
+
+const db = require('../db/connection');
+const { GameResultsError, publicResultRow } = require('./gameResultsService');
+
+const DEFAULT_PLAYER_HISTORY_LIMIT = 10;
+const MAX_PLAYER_HISTORY_LIMIT = 50;
+
+function isBlank(raw) {
+  return raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Same clamping rule as the recent-leaderboards limit: absent -> default,
+// a present integer is clamped into 1..MAX.
+function resolveHistoryLimit(raw) {
+  if (isBlank(raw)) return DEFAULT_PLAYER_HISTORY_LIMIT;
+  const trimmed = String(raw).trim();
+  if (!/^[+-]?\d+$/.test(trimmed)) {
+    throw new GameResultsError(
+      `Invalid limit. Please provide a positive integer no greater than ${MAX_PLAYER_HISTORY_LIMIT}.`,
+      400
+    );
+  }
+  return Math.min(MAX_PLAYER_HISTORY_LIMIT, Math.max(1, Number(trimmed)));
+}
+
+// The cursor is the cycle_id of the last row of the previous page, opaque
+// to clients.
+function encodeCursor(row) {
+  return Buffer.from(String(row.cycle_id)).toString('base64url');
+}
+
+function decodeCursor(raw) {
+  if (isBlank(raw)) return null;
+  const match = /^(\d+)$/.exec(Buffer.from(String(raw), 'base64url').toString('utf8'));
+  if (!match) {
+    throw new GameResultsError('Invalid cursor. Use the nextCursor of a previous page.', 400);
+  }
+  return Number(match[1]);
+}
+
+function roiPercent(row) {
+  return round2((parseFloat(row.net_profit) / parseFloat(row.starting_cash)) * 100);
+}
+
+function historyEntry(row) {
+  return {
+    ...publicResultRow(row),
+    cycleSize: row.cycle_size,
+    startTime: new Date(row.start_time).toISOString(),
+    endTime: new Date(row.end_time).toISOString(),
+    roiPercent: roiPercent(row)
+  };
+}
+
+// The caller's played results (trade_count > 0) with their cycle's window
+// and full size (every finisher, profitable or not). `afterCycleId`
+// continues a keyset page; `limit` null reads the whole history.
+async function readPlayerResults(userId, { afterCycleId = null, limit = null } = {}) {
+  const params = [userId];
+  let keyset = '';
+  if (afterCycleId !== null) {
+    params.push(afterCycleId);
+    keyset = `AND r.cycle_id < $${params.length}`;
+  }
+  let bound = '';
+  if (limit !== null) {
+    params.push(limit);
+    bound = `LIMIT $${params.length}`;
+  }
+  const { rows } = await db.query(
+    `SELECT r.*, ac.start_time, ac.end_time,
+            (SELECT count(*)::int FROM apocalypse_results t WHERE t.cycle_id = r.cycle_id) AS cycle_size
+     FROM apocalypse_results r
+     JOIN apocalypse_cycles ac ON ac.cycle_id = r.cycle_id
+     WHERE r.user_id = $1 AND r.trade_count > 0 ${keyset}
+     ORDER BY r.cycle_id DESC
+     ${bound}`,
+    params
+  );
+  return rows;
+}
+
+async function getPlayerHistory({ userId, limit: rawLimit, cursor: rawCursor } = {}) {
+  const limit = resolveHistoryLimit(rawLimit);
+  const afterCycleId = decodeCursor(rawCursor);
+
+  const rows = await readPlayerResults(userId, { afterCycleId, limit: limit + 1 });
+  const page = rows.slice(0, limit);
+  return {
+    results: page.map(historyEntry),
+    count: page.length,
+    limit,
+    nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+function roundSummary(entry) {
+  return {
+    cycleId: entry.cycleId,
+    rank: entry.rank,
+    cycleSize: entry.cycleSize,
+    netProfit: entry.netProfit,
+    roiPercent: entry.roiPercent,
+    settledAt: entry.settledAt
+  };
+}
+
+// Best and worst rounds are by ROI, since starting cash differs between game
+// modes; ties go to the larger (best) or smaller (worst) net profit, then to
+// the more recent round.
+function compareRounds(a, b) {
+  return (a.roiPercent - b.roiPercent) || (a.netProfit - b.netProfit);
+}
+
+async function getPlayerStats({ userId } = {}) {
+  const entries = (await readPlayerResults(userId)).map(historyEntry);
+  const { rows: [idle] } = await db.query(
+    `SELECT count(*)::int AS skipped FROM apocalypse_results WHERE user_id = $1 AND trade_count = 0`,
+    [userId]
+  );
+  const won = (entry) => entry.leaderboardEligible;
+
+  let best = null;
+  let worst = null;
+  for (const entry of entries) {
+    if (!best || compareRounds(entry, best) > 0) best = entry;
+    if (!worst || compareRounds(entry, worst) < 0) worst = entry;
+  }
+
+  // Newest first: the streak is the run of same-outcome rounds ending with
+  // the most recent one.
+  let currentStreak = null;
+  if (entries.length > 0) {
+    const kind = won(entries[0]) ? 'WIN' : 'LOSS';
+    let rounds = 0;
+    while (rounds < entries.length && (won(entries[rounds]) ? 'WIN' : 'LOSS') === kind) rounds += 1;
+    currentStreak = { kind, rounds };
+  }
+
+  const wins = entries.filter(won).length;
+  const roundsPlayed = entries.length;
+  return {
+    roundsPlayed,
+    roundsSkipped: idle.skipped,
+    wins,
+    losses: roundsPlayed - wins,
+    winRate: roundsPlayed > 0 ? round2((wins / roundsPlayed) * 100) : null,
+    firstPlaceFinishes: entries.filter((entry) => entry.rank === 1).length,
+    averageRoiPercent: roundsPlayed > 0
+      ? round2(entries.reduce((sum, entry) => sum + entry.roiPercent, 0) / roundsPlayed)
+      : null,
+    totalNetProfit: round2(entries.reduce((sum, entry) => sum + entry.netProfit, 0)),
+    bestRound: best ? roundSummary(best) : null,
+    worstRound: worst ? roundSummary(worst) : null,
+    currentStreak
+  };
+}
+
+module.exports = {
+  DEFAULT_PLAYER_HISTORY_LIMIT,
+  MAX_PLAYER_HISTORY_LIMIT,
+  getPlayerHistory,
+  getPlayerStats
+};
@@ -0,0 +1,342 @@
+// Pluggable per-coin price models for the market simulator.
+//
+// Each coin runs one named model with validated parameters, persisted on
+// coins.price_model / coins.price_model_params (migration 017):
+//
+//   BLENDED           the original formula — market cycle, coin event, noise
+//                     and trend scaled by the coin's seeded baseVolatility,
+//                     plus mean reversion. With default parameters it is
+//                     exactly the pre-model behaviour.
+//   GBM               geometric Brownian motion: constant drift and
+//                     volatility per batch, optional log mean reversion.
+//   JUMP_DIFFUSION    GBM plus rare seeded jumps (Merton-style): the meme
+//                     coin that moons or craters in one batch.
+//   REGIME_SWITCHING  GBM whose drift/volatility come from the current
+//                     regime; a seeded Markov switch moves between regimes.
+//                     The current regime is model state, persisted with the
+//                     coin's market profile.
+//
+// Every model shares the same safety rails: the per-batch move is clamped to
+// ±maxChange and the price is bounded to [minPriceRatio, maxPriceRatio] of
+// the coin's cycle baseline. Non-BLENDED models feel the shared market
+// weather (market cycle and coin event) through marketSensitivity; 0 makes a
+// coin deaf to it.
+//
+// Parameters are REJECTED when malformed, never silently clamped or coerced
+// (same discipline as botConfig). This module is pure — no database, no
+// clock; every random draw comes from the injected seeded stream, in a fixed
+// order, so a model's price path replays bit-for-bit from the cycle seed.
+
+const PRICE_MODEL_NAMES = Object.freeze(['BLENDED', 'GBM', 'JUMP_DIFFUSION', 'REGIME_SWITCHING']);
+const DEFAULT_PRICE_MODEL = 'BLENDED';
+
+// Domain error for price-model configuration (same contract as the game
+// service errors: message first, HTTP-ish status second).
+class PriceModelError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PriceModelError';
+    this.status = status;
+  }
+}
+
+// Numeric parameter ranges. `gt`/`lt` are exclusive bounds, `min`/`max`
+// inclusive.
+const LIMIT_PARAMS = {
+  maxChange: { gt: 0, max: 0.5 },
+  minPriceRatio: { gt: 0, lt: 1 },
+  maxPriceRatio: { gt: 1, max: 100 }
+};
+const DIFFUSION_PARAMS = {
+  drift: { min: -0.05, max: 0.05 },
+  volatility: { min: 0, max: 0.2 },
+  meanReversion: { min: 0, max: 1 },
+  marketSensitivity: { min: 0, max: 5 }
+};
+const REGIME_PARAMS = {
+  drift: DIFFUSION_PARAMS.drift,
+  volatility: DIFFUSION_PARAMS.volatility
+};
+const MAX_REGIMES = 5;
+
+const MODELS = {
+  BLENDED: {
+    ranges: {
+      noiseAmplitude: { min: 0, max: 0.05 },
+      eventSensitivity: { min: 0, max: 1 },
+      meanReversionStrength: { min: 0, max: 0.1 },
+      ...LIMIT_PARAMS
+    },
+    defaults: {
+      noiseAmplitude: 0.002,        // ±0.2% * volatility
+      eventSensitivity: 0.1,
+      meanReversionStrength: 0.001, // 0.1% max reversion effect
+      maxChange: 0.005,             // 0.5% max per update
+      minPriceRatio: 0.2,
+      maxPriceRatio: 5
+    },
+    // Fractional change for one batch (before the shared clamp).
+    change({ params, currentPrice, initialPrice, profile, marketCycle, event, apocalypseFactor, random }) {
+      const { baseVolatility, trendDirection, trendStrength } = profile;
+
+      // Market cycle effect (reduced impact)
+      const marketEffect = marketCycle ?
+        (marketCycle.type === 'STABLE' ? 0 : marketCycle.baseEffect * baseVolatility * apocalypseFactor) : 0;
+
+      // Coin-specific event effect
+      const eventEffect = event ? (event.multiplier - 1) * params.eventSensitivity * baseVolatility : 0;
+
+      // Random component, apocalypse-scaled
+      const randomEffect = ((random() * (2 * params.noiseAmplitude)) - params.noiseAmplitude) * baseVolatility * apocalypseFactor;
+
+      // Trend component
+      const trendEffect = trendDirection * trendStrength * apocalypseFactor;
+
+      // Mean reversion effect (pulls price back towards initial price)
+      const priceDeviation = (currentPrice - initialPrice) / initialPrice;
+      const meanReversionEffect = -priceDeviation * params.meanReversionStrength;
+
+      return marketEffect + eventEffect + randomEffect + trendEffect + meanReversionEffect;
+    }
+  },
+
+  GBM: {
+    ranges: { ...DIFFUSION_PARAMS, ...LIMIT_PARAMS },
+    defaults: {
+      drift: 0,
+      volatility: 0.004,
+      meanReversion: 0,
+      marketSensitivity: 0.5,
+      maxChange: 0.02,
+      minPriceRatio: 0.2,
+      maxPriceRatio: 5
+    },
+    change(input) {
+      const { params, random } = input;
+      return Math.expm1(diffusionLogReturn(input, params.drift, params.volatility, standardNormal(random)));
+    }
+  },
+
+  JUMP_DIFFUSION: {
+    ranges: {
+      ...DIFFUSION_PARAMS,
+      jumpProbability: { min: 0, max: 1 },
+      jumpMean: { min: -1, max: 1 },
+      jumpVolatility: { min: 0, max: 1 },
+      ...LIMIT_PARAMS
+    },
+    defaults: {
+      drift: 0,
+      volatility: 0.006,
+      meanReversion: 0,
+      marketSensitivity: 0.5,
+      jumpProbability: 0.02,
+      jumpMean: 0,
+      jumpVolatility: 0.08,
+      maxChange: 0.25,
+      minPriceRatio: 0.2,
+      maxPriceRatio: 5
+    },
+    change(input) {
+      const { params, random } = input;
+      // Fixed draw order whether or not a jump fires: diffusion, jump roll,
+      // jump size.
+      const diffusion = standardNormal(random);
+      const jumps = random() < params.jumpProbability;
+      const jumpSize = params.jumpMean + params.jumpVolatility * standardNormal(random);
+      const logReturn = diffusionLogReturn(input, params.drift, params.volatility, diffusion);
+      return Math.expm1(logReturn + (jumps ? jumpSize : 0));
+    }
+  },
+
+  REGIME_SWITCHING: {
+    ranges: {
+      switchProbability: { min: 0, max: 1 },
+      meanReversion: DIFFUSION_PARAMS.meanReversion,
+      marketSensitivity: DIFFUSION_PARAMS.marketSensitivity,
+      ...LIMIT_PARAMS
+    },
+    defaults: {
+      // Regime 0 is where every coin starts a cycle.
+      regimes: [
+        { drift: 0, volatility: 0.002 },     // calm
+        { drift: -0.001, volatility: 0.012 } // turbulent
+      ],
+      switchProbability: 0.05,
+      meanReversion: 0,
+      marketSensitivity: 0.5,
+      maxChange: 0.05,
+      minPriceRatio: 0.2,
+      maxPriceRatio: 5
+    },
+    validate(params, label) {
+      const { regimes } = params;
+      if (!Array.isArray(regimes) || regimes.length < 2 || regimes.length > MAX_REGIMES) {
+        throw new PriceModelError(`${label}.regimes must be an array of 2 to ${MAX_REGIMES} regimes`);
+      }
+      return {
+        ...params,
+        regimes: regimes.map((regime, index) =>
+          validateNumbers(regime, REGIME_PARAMS, {}, `${label}.regimes[${index}]`))
+      };
+    },
+    initialState() {
+      return { regime: 0 };
+    },
+    // One Markov step per batch: with switchProbability move to one of the
+    // other regimes, uniformly. Both draws are always taken.
+    advance({ params, state, random }) {
+      const switches = random() < params.switchProbability;
+      const offset = 1 + Math.floor(random() * (params.regimes.length - 1));
+      return switches ? { regime: (state.regime + offset) % params.regimes.length } : state;
+    },
+    isValidState(params, state) {
+      return Number.isInteger(state.regime) && state.regime >= 0 && state.regime < params.regimes.length;
+    },
+    change(input) {
+      const { params, state, random } = input;
+      const regime = params.regimes[state.regime];
+      return Math.expm1(diffusionLogReturn(input, regime.drift, regime.volatility, standardNormal(random)));
+    }
+  }
+};
+
+// Standard normal draw (Box-Muller, two uniforms). 1 - u keeps the log
+// argument in (0, 1].
+function standardNormal(random) {
+  const u1 = 1 - random();
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+// One-batch log return shared by the diffusion models: Itô-corrected GBM
+// step with apocalypse-scaled volatility, the market weather as extra drift,
+// and an optional pull of log price towards the cycle baseline.
+function diffusionLogReturn(input, drift, volatility, z) {
+  const { params, currentPrice, initialPrice, marketCycle, event, apocalypseFactor } = input;
+  const sigma = volatility * apocalypseFactor;
+  const cycleEffect = marketCycle ? marketCycle.baseEffect * apocalypseFactor : 0;
+  const eventEffect = event ? (event.multiplier - 1) * 0.1 : 0;
+  const weather = params.marketSensitivity * (cycleEffect + eventEffect);
+  const reversion = -params.meanReversion * Math.log(currentPrice / initialPrice);
+  return drift + weather + reversion - (sigma * sigma) / 2 + sigma * z;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Validate the numeric keys of `input` against `ranges`, filling absent keys
+// from `defaults`. Unknown keys and any value outside its range are rejected.
+function validateNumbers(input, ranges, defaults, label) {
+  if (!isPlainObject(input)) {
+    throw new PriceModelError(`${label} must be an object`);
+  }
+  const result = {};
+  for (const key of Object.keys(input)) {
+    if (!Object.prototype.hasOwnProperty.call(ranges, key) && !Object.prototype.hasOwnProperty.call(defaults, key)) {
+      throw new PriceModelError(`${label} has unknown parameter ${JSON.stringify(key)}`);
+    }
+  }
+  for (const [key, range] of Object.entries(ranges)) {
+    const value = Object.prototype.hasOwnProperty.call(input, key) ? input[key] : defaults[key];
+    if (value === undefined) {
+      throw new PriceModelError(`${label}.${key} is required`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new PriceModelError(`${label}.${key} must be a finite number; received ${JSON.stringify(value)}`);
+    }
+    if ((range.min !== undefined && value < range.min) || (range.max !== undefined && value > range.max) ||
+        (range.gt !== undefined && value <= range.gt) || (range.lt !== undefined && value >= range.lt)) {
+      const lower = range.gt !== undefined ? `(${range.gt}` : `[${range.min}`;
+      const upper = range.lt !== undefined ? `${range.lt})` : `${range.max}]`;
+      throw new PriceModelError(`${label}.${key} must be in ${lower}, ${upper}; received ${value}`);
+    }
+    result[key] = value;
+  }
+  return result;
+}
+
+// Validate a model name and its parameters, filling defaults. Returns the
+// complete, normalized configuration the simulator runs; throws
+// PriceModelError (400) on anything malformed.
+function resolvePriceModel(name = DEFAULT_PRICE_MODEL, params = {}) {
+  if (!PRICE_MODEL_NAMES.includes(name)) {
+    throw new PriceModelError(`price model must be one of ${PRICE_MODEL_NAMES.join(', ')}; received ${JSON.stringify(name)}`);
+  }
+  const model = MODELS[name];
+  const label = `${name} params`;
+  let resolved = validateNumbers(params === null || params === undefined ? {} : params, model.ranges, model.defaults, label);
+  if (model.validate) {
+    const structured = {};
+    for (const key of Object.keys(model.defaults)) {
+      if (!Object.prototype.hasOwnProperty.call(model.ranges, key)) {
+        structured[key] = params && Object.prototype.hasOwnProperty.call(params, key) ? params[key] : model.defaults[key];
+      }
+    }
+    resolved = model.validate({ ...resolved, ...structured }, label);
+  }
+  return { name, params: resolved };
+}
+
+// The model's state for the coming batch: the stored state when it is valid
+// for this configuration, the model's initial state otherwise (first batch,
+// or the coin's model was reconfigured).
+function normalizeModelState(config, state) {
+  const model = MODELS[config.name];
+  if (!model.initialState) return {};
+  if (isPlainObject(state) && model.isValidState(config.params, state)) return state;
+  return model.initialState(config.params);
+}
+
+// Advance a coin's model state by one batch. Stateless models return {}.
+function advanceModelState(config, state, random) {
+  const model = MODELS[config.name];
+  const current = normalizeModelState(config, state);
+  return model.advance ? model.advance({ params: config.params, state: current, random }) : current;
+}
+
+// Next (unrounded) price for one batch: the model's move plus the coin's
+// sector move (game/marketSectors.js; 0 outside a correlated sector),
+// clamped to ±maxChange, then bounded to the configured band around the
+// baseline.
+function nextPrice(config, {
+  currentPrice, initialPrice, profile, state, marketCycle, event, apocalypseFactor, random, sectorMove = 0
+}) {
+  const { params } = config;
+  const change = sectorMove + MODELS[config.name].change({
+    params,
+    currentPrice,
+    initialPrice,
+    profile,
+    state: normalizeModelState(config, state),
+    marketCycle,
+    event,
+    apocalypseFactor,
+    random
+  });
+
+  return applyPriceRails(params, { currentPrice, initialPrice, change });
+}
+
+// The shared safety rails: a fractional change clamped to ±maxChange, then
+// the price bounded to the band around the baseline. Also applied to
+// scripted scenario moves (game/marketScenarios.js), which replace the
+// model's change but never the rails.
+function applyPriceRails(params, { currentPrice, initialPrice, change }) {
+  const limitedChange = Math.max(Math.min(change, params.maxChange), -params.maxChange);
+  const newPrice = currentPrice * (1 + limitedChange);
+  return Math.min(Math.max(newPrice, initialPrice * params.minPriceRatio), initialPrice * params.maxPriceRatio);
+}
+
+module.exports = {
+  PRICE_MODEL_NAMES,
+  DEFAULT_PRICE_MODEL,
+  PriceModelError,
+  resolvePriceModel,
+  normalizeModelState,
+  advanceModelState,
+  nextPrice,
+  applyPriceRails,
+  standardNormal
+};
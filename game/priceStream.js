@@ -0,0 +1,536 @@
+// Live price stream: every committed price tick, pushed to subscribers over
+// Server-Sent Events (GET /api/market/stream) or a WebSocket on the same
+// path.
+//
+// Every price_history row is a tick and its price_history_id orders it.
+// Writers hand their ticks to the in-process hub AFTER their COMMIT — a
+// rolled-back write is never streamed — and announce them on the
+// cross-process bus (game/eventBus.js): updateAllPrices() a simulator batch
+// (publishBatch, with its price_history id ranges), trades and collapses
+// their market impact (publishTicks). The hub fans each tick out once, in id
+// order, to every open subscription; a process that has subscribers and did
+// not make the write reads the ticks back, so a client sees every tick
+// whichever process it is connected to.
+//
+// price_history ids commit in id order: a simulator batch and a collapse
+// write theirs holding every coin row lock, trades under
+// marketImpact.lockPriceTicks. So once a write has committed, every lower id
+// that will ever commit already has, and the hub reads past the last tick it
+// fanned out — a gap, a trade, another process's batch — without skipping
+// one. Batches that follow straight on are fanned out from memory.
+//
+// A subscription tracks the highest tick it has delivered and hands that
+// back with every message as an opaque resume token. A reconnecting client
+// presents the token and is first sent, from price_history, every tick it
+// missed, then the live ticks. Ticks fanned out while that backfill is read
+// are held and de-duplicated against it, so nothing is lost or sent twice
+// across the switch. A client without a token — or whose gap is too large
+// to replay — starts from a snapshot of the current prices instead.
+//
+// A subscription covers every live coin, or only the coins it names; a
+// message with no tick for those coins is not sent at all.
+//
+//   * resolveStreamOptions   validates the requested coins and resume token.
+//   * openPriceStream        opens a subscription: snapshot or backfill, then
+//                            live ticks, through a transport's send().
+//   * publishBatch           the post-commit hook in updateAllPrices().
+//   * publishTicks           the post-commit hook for trades and collapses.
+//   * tickRanges             a batch's tick ids as [first, last] runs, for
+//                            the bus event.
+//   * closeAllPriceStreams   shutdown: ends every open subscription.
+//   * handleStreamUpgrade    the WebSocket transport (server.js wires it to
+//                            the HTTP server's 'upgrade' event).
+//
+// Messages (JSON; SSE carries `type` as the event name and `token` as the
+// event id, so EventSource's Last-Event-ID resumes on its own):
+//
+//   snapshot    { token, reason, coins: [{ coinId, symbol, price }] }
+//   backfill    { token, ticks: [tick] }
+//   batch       { token, cycleId, batchIndex, ticks: [tick] }
+//   ticks       { token, ticks: [tick] }  (trade market impact, collapses)
+//   subscribed  { coins }   (WebSocket only: the subscription after a change)
+//   error       { message } (WebSocket only: a rejected command)
+//
+// where tick = { tickId, coinId, symbol, price, at }.
+
+const db = require('../db/connection');
+const logger = require('../utils/logger');
+const { acceptWebSocket, rejectHandshake, CLOSE_CODES } = require('../utils/webSocket');
+const { eventBus, EVENT_TOPICS } = require('./eventBus');
+
+const STREAM_PATH = '/api/market/stream';
+const MAX_STREAM_COINS = 100;
+const MAX_BACKFILL_TICKS = 1000;
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Domain error carrying an HTTP status for the transport layer.
+class PriceStreamError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PriceStreamError';
+    this.status = status;
+  }
+}
+
+const subscriptions = new Set();
+
+function encodeResumeToken(tickId) {
+  return Buffer.from(`tick:${tickId}`, 'utf8').toString('base64url');
+}
+
+function decodeResumeToken(token) {
+  const match = /^tick:(\d{1,15})$/.exec(Buffer.from(String(token), 'base64url').toString('utf8'));
+  if (!match) {
+    throw new PriceStreamError('Invalid resume token. Use the token from the last message received.');
+  }
+  return Number(match[1]);
+}
+
+// A comma-separated list of positive coin ids, or an array of them. Absent
+// or empty -> null (every live coin).
+function parseCoinIds(raw) {
+  if (raw === undefined || raw === null) return null;
+  const parts = Array.isArray(raw) ? raw : String(raw).split(',');
+  const trimmed = parts.map((part) => String(part).trim()).filter((part) => part !== '');
+  if (trimmed.length === 0) return null;
+  if (!trimmed.every((part) => /^[1-9]\d{0,9}$/.test(part))) {
+    throw new PriceStreamError('Invalid coins. Please provide a comma-separated list of positive coin ids.');
+  }
+  const ids = [...new Set(trimmed.map(Number))].sort((a, b) => a - b);
+  if (ids.length > MAX_STREAM_COINS) {
+    throw new PriceStreamError(`Invalid coins. At most ${MAX_STREAM_COINS} coins can be streamed at once.`);
+  }
+  return ids;
+}
+
+async function assertCoinsExist(coinIds) {
+  if (coinIds === null) return;
+  const { rows } = await db.query('SELECT coin_id FROM coins WHERE coin_id = ANY($1::int[])', [coinIds]);
+  const known = new Set(rows.map((row) => row.coin_id));
+  const unknown = coinIds.filter((id) => !known.has(id));
+  if (unknown.length > 0) {
+    throw new PriceStreamError(`Unknown coin id(s): ${unknown.join(', ')}`);
+  }
+}
+
+async function resolveStreamOptions({ coins, resume } = {}) {
+  const coinIds = parseCoinIds(coins);
+  const hasResume = resume !== undefined && resume !== null && String(resume).trim() !== '';
+  const since = hasResume ? decodeResumeToken(String(resume).trim()) : null;
+  await assertCoinsExist(coinIds);
+  return { coinIds, since };
+}
+
+function toTick(row) {
+  return {
+    tickId: row.price_history_id,
+    coinId: row.coin_id,
+    symbol: row.symbol,
+    price: parseFloat(row.price),
+    at: new Date(row.created_at).toISOString()
+  };
+}
+
+// Current prices and the newest tick id, read in one statement so the two
+// agree: a batch committed after it carries only higher tick ids.
+async function readSnapshot(coinIds) {
+  const { rows } = await db.query(
+    `WITH head AS (SELECT COALESCE(MAX(price_history_id), 0) AS tick_id FROM price_history)
+     SELECT head.tick_id, c.coin_id, c.symbol, c.current_price
+     FROM head
+     LEFT JOIN coins c ON NOT c.retired AND ($1::int[] IS NULL OR c.coin_id = ANY($1::int[]))
+     ORDER BY c.coin_id`,
+    [coinIds]
+  );
+  return {
+    tickId: Number(rows[0].tick_id),
+    coins: rows
+      .filter((row) => row.coin_id !== null)
+      .map((row) => ({ coinId: row.coin_id, symbol: row.symbol, price: parseFloat(row.current_price) }))
+  };
+}
+
+// The ticks after `since`, oldest first — one more than the cap, so the
+// caller can tell a gap too large to replay.
+async function readBackfill(coinIds, since) {
+  const { rows } = await db.query(
+    `SELECT ph.price_history_id, ph.coin_id, c.symbol, ph.price, ph.created_at
+     FROM price_history ph
+     JOIN coins c ON c.coin_id = ph.coin_id
+     WHERE ph.price_history_id > $1
+       AND ($2::int[] IS NULL OR ph.coin_id = ANY($2::int[]))
+     ORDER BY ph.price_history_id
+     LIMIT $3`,
+    [since, coinIds, MAX_BACKFILL_TICKS + 1]
+  );
+  return rows.map(toTick);
+}
+
+function deliver(subscription, update) {
+  const fresh = update.ticks.filter((tick) =>
+    tick.tickId > subscription.deliveredThrough &&
+    (subscription.coinIds === null || subscription.coinIds.has(tick.coinId)));
+  subscription.deliveredThrough = Math.max(subscription.deliveredThrough, update.lastTickId);
+  if (fresh.length === 0) return;
+  const token = encodeResumeToken(subscription.deliveredThrough);
+  subscription.send(update.batch
+    ? { type: 'batch', token, cycleId: update.batch.cycleId, batchIndex: update.batch.batchIndex, ticks: fresh }
+    : { type: 'ticks', token, ticks: fresh });
+}
+
+// Never throws: a failing subscriber is closed without affecting the others.
+function fanOutUpdate(update) {
+  for (const subscription of subscriptions) {
+    if (!subscription.ready) {
+      subscription.pending.push(update);
+      continue;
+    }
+    try {
+      deliver(subscription, update);
+    } catch (error) {
+      logger.error('[STREAM] Error delivering price ticks:', error);
+      subscription.close();
+    }
+  }
+}
+
+// The hub's position: the highest tick fanned out (null while no
+// subscription is open), the batches announced but not yet fanned out, and
+// whether ticks were committed that only price_history holds. Passes run one
+// at a time, in order.
+const hub = {
+  through: null,
+  starting: null,
+  batches: [],
+  stale: false,
+  queue: Promise.resolve()
+};
+
+function resetHub() {
+  hub.through = null;
+  hub.starting = null;
+  hub.batches = [];
+  hub.stale = false;
+}
+
+// Fan ticks out in id order, each as the announced batch that wrote it or,
+// failing that, as plain ticks.
+function fanOut(ticks) {
+  let update = null;
+  for (const tick of ticks) {
+    const batch = hub.batches.find((candidate) =>
+      candidate.ranges.some(([first, last]) => tick.tickId >= first && tick.tickId <= last)) || null;
+    if (!update || update.batch !== batch) {
+      if (update) fanOutUpdate(update);
+      update = { batch, ticks: [] };
+    }
+    update.ticks.push(tick);
+    update.lastTickId = tick.tickId;
+    hub.through = tick.tickId;
+  }
+  if (update) fanOutUpdate(update);
+}
+
+// The committed ticks after `since`, oldest first, at most
+// MAX_BACKFILL_TICKS at a time.
+async function readTicksAfter(since) {
+  const { rows } = await db.query(
+    `SELECT ph.price_history_id, ph.coin_id, c.symbol, ph.price, ph.created_at
+     FROM price_history ph
+     JOIN coins c ON c.coin_id = ph.coin_id
+     WHERE ph.price_history_id > $1
+     ORDER BY ph.price_history_id
+     LIMIT $2`,
+    [since, MAX_BACKFILL_TICKS]
+  );
+  return rows.map(toTick);
+}
+
+async function runHub() {
+  while (hub.through !== null) {
+    const through = hub.through;
+    hub.batches = hub.batches.filter((batch) => batch.lastTickId > through);
+    const next = hub.batches.find((batch) => batch.ticks && batch.firstTickId === through + 1);
+    if (next) {
+      fanOut(next.ticks);
+      continue;
+    }
+    if (!hub.stale && hub.batches.length === 0) return;
+
+    hub.stale = false;
+    const ticks = await readTicksAfter(through);
+    if (hub.through === null) return;
+    fanOut(ticks.filter((tick) => tick.tickId > hub.through));
+    if (ticks.length === MAX_BACKFILL_TICKS) {
+      hub.stale = true;
+    } else {
+      // Everything announced has committed, so that read saw it all.
+      hub.batches = [];
+    }
+  }
+}
+
+function drainHub() {
+  hub.queue = hub.queue
+    .then(runHub)
+    .catch((error) => logger.error('[STREAM] Error streaming price ticks:', error));
+  return hub.queue;
+}
+
+// The first subscription starts the hub at the newest committed tick, read
+// before the subscription reads its own snapshot or backfill, so the two
+// can never leave a tick between them.
+function startHub() {
+  if (hub.through !== null) return Promise.resolve();
+  if (!hub.starting) {
+    const starting = db.query('SELECT COALESCE(MAX(price_history_id), 0) AS tick_id FROM price_history')
+      .then(({ rows }) => {
+        if (hub.starting !== starting || subscriptions.size === 0) return undefined;
+        hub.starting = null;
+        hub.through = Number(rows[0].tick_id);
+        return drainHub();
+      })
+      .catch((error) => {
+        if (hub.starting === starting) hub.starting = null;
+        throw error;
+      });
+    hub.starting = starting;
+  }
+  return hub.starting;
+}
+
+function announceBatch({ cycleId, batchIndex, ranges, ticks = null }) {
+  hub.batches.push({
+    cycleId,
+    batchIndex,
+    ranges,
+    ticks,
+    firstTickId: ranges[0][0],
+    lastTickId: ranges[ranges.length - 1][1]
+  });
+  if (hub.through !== null) drainHub();
+}
+
+function announceTicks() {
+  hub.stale = true;
+  if (hub.through !== null) drainHub();
+}
+
+// Called by updateAllPrices() once a batch has committed. Never throws.
+function publishBatch({ cycleId, batchIndex, ticks }) {
+  if (subscriptions.size === 0 || ticks.length === 0) return;
+  const sorted = [...ticks].sort((a, b) => a.tickId - b.tickId);
+  announceBatch({ cycleId, batchIndex, ranges: tickRanges(sorted.map((tick) => tick.tickId)), ticks: sorted });
+}
+
+// Called once a trade or a collapse that wrote price_history has committed,
+// over its own connection: streams the ticks here and announces them on the
+// bus as a price batch without a batchIndex. Never throws.
+async function publishTicks(queryable, { cycleId = null } = {}) {
+  if (subscriptions.size > 0) announceTicks();
+  await eventBus.publish(EVENT_TOPICS.PRICE_BATCH, { apocalypseId: cycleId, batchIndex: null }, queryable);
+}
+
+// Tick ids as ascending [first, last] runs of consecutive ids: a batch's
+// rows are inserted by one statement, so this is usually a single run.
+function tickRanges(tickIds) {
+  const ranges = [];
+  for (const id of [...tickIds].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && id === last[1] + 1) last[1] = id;
+    else if (!last || id > last[1]) ranges.push([id, id]);
+  }
+  return ranges;
+}
+
+// Ticks another process committed: a batch is read back by its id ranges,
+// anything else from the hub's position.
+function onRemoteBatch({ local, payload }) {
+  if (local || subscriptions.size === 0) return;
+  const { apocalypseId, batchIndex, tickRanges: ranges } = payload;
+  if (Number.isInteger(batchIndex) && Array.isArray(ranges) && ranges.length > 0) {
+    announceBatch({ cycleId: apocalypseId, batchIndex, ranges });
+  } else {
+    announceTicks();
+  }
+}
+
+eventBus.subscribe(EVENT_TOPICS.PRICE_BATCH, onRemoteBatch);
+
+// Open a subscription for a transport. `send(message)` writes one message;
+// `onClose()` is called once when the stream is ended from this side
+// (closeAllPriceStreams). Resolves once the snapshot or backfill has been
+// sent, to a handle for changing the coins and closing.
+async function openPriceStream({ coinIds = null, since = null, send, onClose = () => {} }) {
+  const subscription = {
+    coinIds: coinIds === null ? null : new Set(coinIds),
+    deliveredThrough: 0,
+    ready: false,
+    pending: [],
+    closed: false,
+    send,
+    close() {
+      if (subscription.closed) return;
+      subscription.closed = true;
+      subscriptions.delete(subscription);
+      if (subscriptions.size === 0) resetHub();
+      onClose();
+    }
+  };
+  // Registered before anything is read, so no tick committed from here on
+  // can be missed; until the first message is out they are held in pending.
+  subscriptions.add(subscription);
+
+  try {
+    await startHub();
+    const filter = subscription.coinIds === null ? null : [...subscription.coinIds];
+    const ticks = since === null ? null : await readBackfill(filter, since);
+    if (ticks !== null && ticks.length <= MAX_BACKFILL_TICKS) {
+      subscription.deliveredThrough = ticks.length > 0 ? ticks[ticks.length - 1].tickId : since;
+      send({ type: 'backfill', token: encodeResumeToken(subscription.deliveredThrough), ticks });
+    } else {
+      const snapshot = await readSnapshot(filter);
+      subscription.deliveredThrough = snapshot.tickId;
+      send({
+        type: 'snapshot',
+        token: encodeResumeToken(snapshot.tickId),
+        reason: ticks === null ? 'connect' : 'resume-gap-too-large',
+        coins: snapshot.coins
+      });
+    }
+  } catch (error) {
+    subscriptions.delete(subscription);
+    if (subscriptions.size === 0) resetHub();
+    throw error;
+  }
+
+  subscription.ready = true;
+  for (const update of subscription.pending.splice(0)) {
+    if (subscription.closed) break;
+    deliver(subscription, update);
+  }
+
+  return {
+    coins: () => (subscription.coinIds === null ? null : [...subscription.coinIds].sort((a, b) => a - b)),
+    // Narrowing an all-coins subscription starts a named set; widening a
+    // named set by null returns to every coin.
+    subscribe(ids) {
+      if (ids === null) subscription.coinIds = null;
+      else if (subscription.coinIds !== null) ids.forEach((id) => subscription.coinIds.add(id));
+      else subscription.coinIds = new Set(ids);
+    },
+    unsubscribe(ids) {
+      if (subscription.coinIds === null) return;
+      ids.forEach((id) => subscription.coinIds.delete(id));
+    },
+    close: () => subscription.close()
+  };
+}
+
+function closeAllPriceStreams() {
+  for (const subscription of [...subscriptions]) {
+    subscription.close();
+  }
+}
+
+function openSubscriptionCount() {
+  return subscriptions.size;
+}
+
+// WebSocket transport. Query string as for SSE (coins, resume); once open
+// the client may send {"type":"subscribe"|"unsubscribe","coins":[...]} —
+// subscribe without coins returns to every coin.
+async function handleStreamUpgrade(req, socket, head) {
+  // The HTTP server stops watching an upgraded socket, and the handshake
+  // below waits on the database before acceptWebSocket() listens to it, so
+  // a client resetting in between would be an unhandled 'error'.
+  socket.on('error', () => socket.destroy());
+
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname !== STREAM_PATH) {
+    rejectHandshake(socket, 404, 'Route not found');
+    return;
+  }
+
+  let options;
+  try {
+    options = await resolveStreamOptions({
+      coins: url.searchParams.get('coins') ?? undefined,
+      resume: url.searchParams.get('resume') ?? undefined
+    });
+  } catch (error) {
+    rejectHandshake(socket, 400, error.name === 'PriceStreamError' ? error.message : 'Invalid stream request');
+    if (error.name !== 'PriceStreamError') logger.error('[STREAM] Error resolving stream options:', error);
+    return;
+  }
+  if (socket.destroyed) return;
+
+  const connection = acceptWebSocket(req, socket, head);
+  if (!connection) return;
+
+  const send = (message) => connection.send(JSON.stringify(message));
+  const heartbeat = setInterval(() => connection.ping(), HEARTBEAT_INTERVAL_MS);
+  if (typeof heartbeat.unref === 'function') heartbeat.unref();
+
+  let stream = null;
+  connection.on('close', () => {
+    clearInterval(heartbeat);
+    if (stream) stream.close();
+  });
+  connection.on('message', async (text) => {
+    if (!stream) return;
+    let command;
+    try {
+      command = JSON.parse(text);
+    } catch (_) {
+      return send({ type: 'error', message: 'Invalid message. Expected JSON.' });
+    }
+    if (!command || (command.type !== 'subscribe' && command.type !== 'unsubscribe')) {
+      return send({ type: 'error', message: 'Invalid message type. Expected "subscribe" or "unsubscribe".' });
+    }
+    try {
+      const ids = parseCoinIds(command.coins);
+      if (command.type === 'unsubscribe' && ids === null) {
+        throw new PriceStreamError('Invalid coins. unsubscribe needs the coin ids to drop.');
+      }
+      await assertCoinsExist(ids);
+      if (command.type === 'subscribe') stream.subscribe(ids);
+      else stream.unsubscribe(ids);
+      return send({ type: 'subscribed', coins: stream.coins() });
+    } catch (error) {
+      if (error.name !== 'PriceStreamError') logger.error('[STREAM] Error changing subscription:', error);
+      return send({ type: 'error', message: error.name === 'PriceStreamError' ? error.message : 'Subscription change failed' });
+    }
+  });
+
+  try {
+    const opened = await openPriceStream({
+      ...options,
+      send,
+      onClose: () => connection.close(CLOSE_CODES.GOING_AWAY, 'stream closed')
+    });
+    if (connection.closed) opened.close();
+    else stream = opened;
+  } catch (error) {
+    logger.error('[STREAM] Error opening price stream:', error);
+    connection.close(CLOSE_CODES.GOING_AWAY, 'stream unavailable');
+  }
+}
+
+module.exports = {
+  STREAM_PATH,
+  MAX_STREAM_COINS,
+  MAX_BACKFILL_TICKS,
+  HEARTBEAT_INTERVAL_MS,
+  PriceStreamError,
+  encodeResumeToken,
+  decodeResumeToken,
+  resolveStreamOptions,
+  openPriceStream,
+  publishBatch,
+  publishTicks,
+  tickRanges,
+  closeAllPriceStreams,
+  openSubscriptionCount,
+  handleStreamUpgrade
+};
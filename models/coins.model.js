@@ -1,5 +1,7 @@
 const db = require('../db/connection');
 const { CurrencyFormatter } = require('../utils/currency-formatter');
+const { resolvePriceModel, PriceModelError } = require('../game/priceModels');
+const { resolveSectorConfig, validateSectorName, MarketSectorError } = require('../game/marketSectors');
 
 // Fields to return in responses (excluding date_added)
 const COIN_FIELDS = [
@@ -227,3 +229,94 @@ exports.selectCoinById = async (coinId) => {
 // Milestone 1: updateCoinPrice is removed with the PATCH price route. Coin
 // prices are written only by the market simulator and the game collapse
 // lifecycle (both server-owned); no model-level public entry point remains.
+
+/**
+ * Select a coin's price model configuration (model name + parameters).
+ * Server-side only: model parameters are simulator internals, not part of
+ * the public coin response.
+ */
+exports.selectCoinPriceModel = async (coinId) => {
+  const result = await db.query(
+    'SELECT coin_id, price_model, price_model_params FROM coins WHERE coin_id = $1::integer',
+    [coinId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Set a coin's price model. Parameters are validated and completed with the
+ * model's defaults before they are stored (PriceModelError, status 400, on
+ * anything malformed); the market simulator picks the change up with its
+ * next batch.
+ */
+exports.updateCoinPriceModel = async (coinId, model, params = {}) => {
+  const config = resolvePriceModel(model, params);
+  const result = await db.query(
+    `UPDATE coins SET price_model = $2, price_model_params = $3
+     WHERE coin_id = $1::integer
+     RETURNING coin_id, price_model, price_model_params`,
+    [coinId, config.name, JSON.stringify(config.params)]
+  );
+  if (result.rows.length === 0) {
+    throw new PriceModelError(`Coin ${coinId} not found`, 404);
+  }
+  return result.rows[0];
+};
+
+/**
+ * Select every market sector with its correlation structure, in name order.
+ * Server-side only, like the price model configuration.
+ */
+exports.selectSectors = async () => {
+  const result = await db.query(
+    `SELECT sector, market_correlation, shock_volatility, event_probability
+     FROM market_sectors ORDER BY sector`
+  );
+  return result.rows;
+};
+
+/**
+ * Create or reconfigure a market sector. Parameters are validated and
+ * completed with the sector defaults before they are stored
+ * (MarketSectorError, status 400, on anything malformed); the market
+ * simulator picks the change up with its next batch.
+ */
+exports.upsertSector = async (sector, params = {}) => {
+  const config = resolveSectorConfig(sector, params);
+  const result = await db.query(
+    `INSERT INTO market_sectors (sector, market_correlation, shock_volatility, event_probability)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (sector) DO UPDATE SET
+       market_correlation = EXCLUDED.market_correlation,
+       shock_volatility = EXCLUDED.shock_volatility,
+       event_probability = EXCLUDED.event_probability,
+       updated_at = now()
+     RETURNING sector, market_correlation, shock_volatility, event_probability`,
+    [config.sector, config.marketCorrelation, config.shockVolatility, config.eventProbability]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Move a coin into an existing sector (MarketSectorError, status 404, when
+ * the coin or the sector does not exist).
+ */
+exports.updateCoinSector = async (coinId, sector) => {
+  validateSectorName(sector);
+  let result;
+  try {
+    result = await db.query(
+      'UPDATE coins SET sector = $2 WHERE coin_id = $1::integer RETURNING coin_id, sector',
+      [coinId, sector]
+    );
+  } catch (error) {
+    if (error.code === '23503') {
+      throw new MarketSectorError(`Sector ${sector} not found`, 404);
+    }
+    throw error;
+  }
+  if (result.rows.length === 0) {
+    throw new MarketSectorError(`Coin ${coinId} not found`, 404);
+  }
+  return result.rows[0];
+};
@@ -3,7 +3,44 @@ const logger = require('../utils/logger');
 const gameCycleService = require('../game/gameCycleService');
 const { getApocalypseVolatility } = require('../game/apocalypseVolatility');
 const collapseScheduleService = require('../game/collapseScheduleService');
+const {
+  GAME_MODES,
+  volatilityConfigFor,
+  cycleModeParams,
+  resolveGameModeRotation
+} = require('../game/gameModes');
 const gameRoundService = require('../game/gameRoundService');
+const { AdvisoryLeader } = require('../game/advisoryLeader');
+const {
+  deriveBatchIndex,
+  batchTimeFor,
+  createMarketRandom,
+  randomDuration
+} = require('../game/marketRandom');
+const { resolvePriceModel, advanceModelState, nextPrice } = require('../game/priceModels');
+const {
+  DEFAULT_SECTOR,
+  SECTOR_EVENTS,
+  marketShock,
+  sectorFactor,
+  sectorMove,
+  rollSectorEvent
+} = require('../game/marketSectors');
+const { contagionVolatilityFactor } = require('../game/collapseContagion');
+const { newsItem, recordMarketNews } = require('../game/marketNews');
+const { createBatchTimer, recordBatchTimings } = require('../game/marketBatchTimings');
+const priceStream = require('../game/priceStream');
+const gameEvents = require('../game/gameEventStream');
+const { eventBus, EVENT_TOPICS } = require('../game/eventBus');
+const {
+  validateScenario,
+  loadScenarioFile,
+  checkScenarioFeasibility,
+  scriptedMarketCycleAt,
+  scriptedCoinEventAt,
+  scriptedCoinMoveAt,
+  scriptedPrice
+} = require('../game/marketScenarios');
 // Market cycle types with more balanced effects
 const MARKET_CYCLES = {
   STRONG_BOOM: { type: 'STRONG_BOOM', baseEffect: 0.005 },    // 0.5% max
@@ -26,6 +63,9 @@ const COIN_EVENTS = {
   RUMOR_NEGATIVE: { type: 'RUMOR_NEGATIVE', multiplier: 0.99, duration: { min: 120000, max: 900000 } }         // -1%
 };
 
+// What a scenario may script (game/marketScenarios.js).
+const SCENARIO_CATALOGUES = { marketCycles: MARKET_CYCLES, coinEvents: COIN_EVENTS };
+
 // Time range options for price history
 const TIME_RANGES = {
   '10M': 10 * 60 * 1000,        // 10 minutes in ms
@@ -37,10 +77,53 @@ const TIME_RANGES = {
   'ALL': null                    // No time limit
 };
 
+// Coins without a loaded model configuration (e.g. a profile set up by hand)
+// run the original blended formula with its default parameters.
+const DEFAULT_PRICE_MODEL_CONFIG = resolvePriceModel();
+
+// Session-level advisory lock electing the single process that runs price
+// batches. Sits next to the migration runner (727000) and the game cycle
+// lock (727001); a distinct key, so holding leadership never blocks cycle
+// reconciliation or trades.
+const MARKET_LEADER_ADVISORY_LOCK_KEY = 727002;
+
+// Transaction-level advisory lock serialising the read-advance-write of the
+// persisted market state across processes (price batches and state
+// initialization). Trades never take it, so a batch computing its prices
+// never blocks them; only the short coin row lock at its end does.
+const MARKET_STATE_ADVISORY_LOCK_KEY = 727003;
+
+// The coin columns a price batch reads.
+const BATCH_COIN_COLUMNS = 'coin_id, symbol, current_price, cycle_baseline_price, price_model, price_model_params, sector';
+
+// A persisted market state counts as live (status RUNNING) while its last
+// committed batch is at most this many update intervals old. Tolerates one
+// missed or slow batch without flapping to STOPPED.
+const LIVE_STATE_INTERVALS = 3;
+
+// The Core 2 apocalypse factor as applied to volatility: any invalid
+// multiplier (NaN, Infinity, zero, negative, missing) safely falls back to
+// normal volatility (1).
+function apocalypseFactorFor(volatilityMultiplier) {
+  return typeof volatilityMultiplier === 'number' && Number.isFinite(volatilityMultiplier) && volatilityMultiplier > 0
+    ? volatilityMultiplier
+    : 1;
+}
+
+// Round based on price range
+function roundPrice(price) {
+  if (price < 1) {
+    return Math.round(price * 10000) / 10000; // 4 decimal places
+  } else if (price < 100) {
+    return Math.round(price * 100) / 100; // 2 decimal places
+  } else {
+    return Math.round(price * 10) / 10; // 1 decimal place
+  }
+}
+
 class MarketSimulator {
   constructor() {
     this.currentCycle = null;
-    this.cycleTimeout = null;
     this.priceUpdateInterval = 30000;  // Changed to 30 seconds
     this.updateIntervalId = null;
     this.coinEvents = new Map();
@@ -48,107 +131,459 @@ class MarketSimulator {
     this.isRunning = false;
     this.lastPrices = new Map();
     this.initialPrices = new Map();
+    // Each coin's validated price model (game/priceModels.js), reloaded from
+    // coins.price_model / price_model_params with every batch.
+    this.priceModels = new Map();
+    // Sector configuration (market_sectors) and each coin's sector, reloaded
+    // with every batch, plus each sector's active sector-wide event — state
+    // persisted per cycle like the coin events (game/marketSectors.js).
+    this.sectors = new Map();
+    this.coinSectors = new Map();
+    this.sectorEvents = new Map();
+    // Recorded collapse contagion (coin_collapse_contagion) per coin, reloaded
+    // with every batch; its volatility boosts decay from each collapse.
+    this.contagion = new Map();
+    // Market news (game/marketNews.js): every cycle change, coin event and
+    // sector event started since the state was loaded, recorded to
+    // market_events by the save of the same batch. coinSymbols names coins
+    // in the headlines.
+    this.coinSymbols = new Map();
+    this.pendingNews = [];
+    // A loaded scenario (game/marketScenarios.js), followed in every cycle
+    // in place of the random choices its windows cover. Process-local: it
+    // is loaded by whoever runs this simulator, not persisted.
+    this.scenario = null;
+    // Phase durations of this process's last committed batch, as recorded
+    // to market_batch_timings (game/marketBatchTimings.js).
+    this.lastBatchTimings = null;
+    // The apocalypse cycle the in-memory state belongs to. The maps above are
+    // a working copy: every batch reloads them from the persisted market
+    // state tables and writes them back in the same transaction.
+    this.marketCycleId = null;
+    this.marketSeed = null;
+    this.marketStartTime = null;
+    // Leader election, while started. Only the leader runs price batches;
+    // every other started process is a passive reader of the shared state.
+    this.leader = null;
   }
 
-  // Initialize coin volatility profiles with more conservative values
-  async initializeCoinVolatility() {
-    const result = await db.query('SELECT coin_id, symbol, current_price FROM coins');
-    const coins = result.rows;
+  // Resolve the persisted seed and window of a Core 1 cycle by its public id.
+  async loadMarketCycle(apocalypseId) {
+    const result = await db.query(
+      'SELECT cycle_id, apocalypse_id, seed, start_time FROM apocalypse_cycles WHERE apocalypse_id = $1',
+      [apocalypseId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error(`[MARKET] No apocalypse cycle ${apocalypseId}; cannot derive seeded market state`);
+    }
+    return result.rows[0];
+  }
 
-    coins.forEach(coin => {
-      // Store initial price for mean reversion
-      this.initialPrices.set(coin.coin_id, parseFloat(coin.current_price));
-      
-      // Assign more conservative volatility (0.2 to 0.8)
-      const baseVolatility = 0.2 + (Math.random() * 0.6);
-      
-      this.coinVolatility.set(coin.coin_id, {
-        baseVolatility,
-        lastUpdate: new Date(),
-        trendDirection: Math.random() > 0.5 ? 1 : -1,
-        trendStrength: Math.random() * 0.002, // 0.2% max trend effect
-        trendDuration: this.getRandomDuration(30000, 60000), // 30s to 1m trend duration
-        trendStartTime: new Date()
+  // Resume (or, on first sight of a cycle, create) the persisted market state
+  // and advance it to the batch containing `now`. Nothing is re-randomised on
+  // restart: stored profiles, events and the market cycle are loaded as they
+  // were committed, and only missing state is derived from the cycle seed.
+  // Without an explicit cycle the ACTIVE one is used.
+  async initializeCoinVolatility(cycle, { now = new Date() } = {}) {
+    let marketCycle = cycle;
+    if (!marketCycle) {
+      const active = await db.query(
+        "SELECT cycle_id, apocalypse_id, seed, start_time FROM apocalypse_cycles WHERE status = 'ACTIVE'"
+      );
+      if (active.rows.length === 0) {
+        throw new Error('[MARKET] No ACTIVE apocalypse cycle; cannot derive seeded market state');
+      }
+      marketCycle = active.rows[0];
+    }
+    const collapsedCoinIds = await collapseScheduleService.getCollapsedCoinIds();
+    const batchIndex = deriveBatchIndex({ startTime: marketCycle.start_time, now, intervalMs: this.priceUpdateInterval });
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [MARKET_STATE_ADVISORY_LOCK_KEY]);
+      const coins = await this.lockCoins(client);
+      await this.loadMarketState(client, marketCycle, coins);
+      this.advanceMarketState({
+        batchIndex,
+        batchTime: batchTimeFor({ startTime: marketCycle.start_time, batchIndex, intervalMs: this.priceUpdateInterval }),
+        coinIds: coins.filter(coin => !collapsedCoinIds.has(coin.coin_id)).map(coin => coin.coin_id)
       });
+      await this.saveMarketState(client, batchIndex);
+      await client.query('COMMIT');
+    } catch (error) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
 
-      logger.log(`[MARKET] Set volatility for ${coin.symbol}: ${baseVolatility}`);
-    });
+  // Lock every coin row in canonical coin_id order: the one lock order shared
+  // by price batches and state initialization.
+  async lockCoins(client) {
+    const result = await client.query(
+      `SELECT ${BATCH_COIN_COLUMNS} FROM coins ORDER BY coin_id FOR UPDATE`
+    );
+    return result.rows;
   }
 
-  // Calculate new price with mean reversion and damping.
-  // volatilityMultiplier is the Core 2 apocalypse factor, resolved ONCE per
-  // updateAllPrices() batch from authoritative Core 1 state. It scales the
-  // volatility-sensitive directional movement amplitude (market-cycle, random
-  // and trend components); the event effect and the protective mean-reversion
-  // pull are intentionally not scaled. Any invalid multiplier (NaN, Infinity,
-  // zero, negative, missing) safely falls back to normal volatility (1).
-  calculateNewPrice(currentPrice, coinId, volatilityMultiplier = 1) {
-    const volatilityProfile = this.coinVolatility.get(coinId);
-    if (!volatilityProfile) return currentPrice;
+  // The same rows without any lock: what a price batch computes from before
+  // it takes the coin locks.
+  async readCoins(client) {
+    const result = await client.query(
+      `SELECT ${BATCH_COIN_COLUMNS} FROM coins ORDER BY coin_id`
+    );
+    return result.rows;
+  }
 
-    const apocalypseFactor =
-      typeof volatilityMultiplier === 'number' && Number.isFinite(volatilityMultiplier) && volatilityMultiplier > 0
-        ? volatilityMultiplier
-        : 1;
+  // Seeded volatility profile for one coin, with more conservative values.
+  // The mean-reversion anchor is the coin's cycle baseline price, so two
+  // processes deriving the same cycle start from identical state.
+  deriveCoinProfile(seed, coin, startTime) {
+    const random = createMarketRandom({ seed, scope: `profile:${coin.coin_id}` });
+    // Assign more conservative volatility (0.2 to 0.8)
+    const baseVolatility = 0.2 + (random() * 0.6);
+    logger.log(`[MARKET] Set volatility for ${coin.symbol}: ${baseVolatility}`);
+    return {
+      initialPrice: parseFloat(coin.cycle_baseline_price),
+      profile: {
+        baseVolatility,
+        lastUpdate: startTime,
+        trendDirection: random() > 0.5 ? 1 : -1,
+        trendStrength: random() * 0.002, // 0.2% max trend effect
+        trendDuration: randomDuration(random, 30000, 60000), // 30s to 1m trend duration
+        trendStartTime: startTime,
+        modelState: {} // the coin's price model starts in its initial state
+      }
+    };
+  }
 
-    const { baseVolatility, trendDirection, trendStrength } = volatilityProfile;
-    const initialPrice = this.initialPrices.get(coinId);
+  // Derive a cycle's whole starting state from its seed, in memory only.
+  // Clears market cycle and events; the first batch rolls fresh ones.
+  seedCycleState(cycle, coins) {
+    this.marketCycleId = cycle.cycle_id;
+    this.marketSeed = cycle.seed;
+    this.marketStartTime = new Date(cycle.start_time);
+    this.currentCycle = null;
+    this.coinEvents = new Map();
+    this.sectorEvents = new Map();
+    this.coinVolatility = new Map();
+    this.initialPrices = new Map();
 
-    // Market cycle effect (reduced impact)
-    const marketEffect = this.currentCycle ?
-      (this.currentCycle.type === 'STABLE' ? 0 : this.currentCycle.baseEffect * baseVolatility * apocalypseFactor) : 0;
+    coins.forEach(coin => {
+      const { initialPrice, profile } = this.deriveCoinProfile(cycle.seed, coin, this.marketStartTime);
+      this.initialPrices.set(coin.coin_id, initialPrice);
+      this.coinVolatility.set(coin.coin_id, profile);
+    });
+  }
 
-    // Coin-specific event effect
-    const coinEvent = this.coinEvents.get(coinId);
-    const eventEffect = coinEvent ? (coinEvent.multiplier - 1) * 0.1 * baseVolatility : 0;
+  // Load a cycle's persisted state into memory. Coins without a stored
+  // profile (first batch of the cycle, or a coin added mid-cycle) get their
+  // seed-derived one; a missing market cycle or event is rolled by the next
+  // advanceMarketState().
+  async loadMarketState(client, cycle, coins) {
+    const state = await client.query(
+      `SELECT market_cycle_type, market_cycle_started_at, market_cycle_ends_at
+       FROM market_state WHERE cycle_id = $1`,
+      [cycle.cycle_id]
+    );
+    const profiles = await client.query(
+      `SELECT coin_id, base_volatility, initial_price, trend_direction, trend_strength,
+              trend_started_at, trend_ends_at, model_state, updated_at
+       FROM market_coin_profiles WHERE cycle_id = $1`,
+      [cycle.cycle_id]
+    );
+    const events = await client.query(
+      `SELECT coin_id, event_type, started_at, ends_at
+       FROM market_coin_active_events WHERE cycle_id = $1`,
+      [cycle.cycle_id]
+    );
+    const sectors = await client.query(
+      'SELECT sector, market_correlation, shock_volatility, event_probability FROM market_sectors ORDER BY sector'
+    );
+    const sectorEvents = await client.query(
+      `SELECT sector, event_type, started_at, ends_at
+       FROM market_sector_active_events WHERE cycle_id = $1`,
+      [cycle.cycle_id]
+    );
+    const contagion = await client.query(
+      `SELECT coin_id, volatility_boost, applied_at
+       FROM coin_collapse_contagion WHERE cycle_id = $1 ORDER BY contagion_id`,
+      [cycle.cycle_id]
+    );
 
-    // Reduced random component (-0.2% to +0.2% * volatility), apocalypse-scaled
-    const randomEffect = ((Math.random() * 0.004) - 0.002) * baseVolatility * apocalypseFactor;
+    this.seedCycleState(cycle, coins.filter(coin => !profiles.rows.some(row => row.coin_id === coin.coin_id)));
+    this.priceModels = new Map(coins.map(coin => [coin.coin_id, this.resolveCoinPriceModel(coin)]));
+    // The database CHECKs pin every sector parameter to the ranges
+    // game/marketSectors.js validates on write.
+    this.sectors = new Map(sectors.rows.map(row => [row.sector, {
+      sector: row.sector,
+      marketCorrelation: row.market_correlation,
+      shockVolatility: row.shock_volatility,
+      eventProbability: row.event_probability
+    }]));
+    this.coinSectors = new Map(coins.map(coin => [coin.coin_id, coin.sector || DEFAULT_SECTOR]));
+    this.coinSymbols = new Map(coins.map(coin => [coin.coin_id, coin.symbol]));
+    this.pendingNews = [];
+    this.contagion = new Map();
+    for (const row of contagion.rows) {
+      if (!this.contagion.has(row.coin_id)) this.contagion.set(row.coin_id, []);
+      this.contagion.get(row.coin_id).push(row);
+    }
 
-    // Trend component with duration check
-    let trendEffect = 0;
-    const now = new Date();
-    if (now - volatilityProfile.trendStartTime >= volatilityProfile.trendDuration) {
-      // Update trend
-      volatilityProfile.trendDirection *= -1; // Reverse direction
-      volatilityProfile.trendStrength = Math.random() * 0.002;
-      volatilityProfile.trendDuration = this.getRandomDuration(30000, 60000);
-      volatilityProfile.trendStartTime = now;
-      this.coinVolatility.set(coinId, volatilityProfile);
+    for (const row of profiles.rows) {
+      this.initialPrices.set(row.coin_id, parseFloat(row.initial_price));
+      this.coinVolatility.set(row.coin_id, {
+        baseVolatility: row.base_volatility,
+        lastUpdate: row.updated_at,
+        trendDirection: row.trend_direction,
+        trendStrength: row.trend_strength,
+        trendDuration: row.trend_ends_at - row.trend_started_at,
+        trendStartTime: row.trend_started_at,
+        modelState: row.model_state
+      });
+    }
+    for (const row of events.rows) {
+      this.coinEvents.set(row.coin_id, {
+        ...COIN_EVENTS[row.event_type],
+        startTime: row.started_at,
+        duration: row.ends_at - row.started_at
+      });
+    }
+    for (const row of sectorEvents.rows) {
+      this.sectorEvents.set(row.sector, {
+        ...SECTOR_EVENTS[row.event_type],
+        startTime: row.started_at,
+        duration: row.ends_at - row.started_at
+      });
+    }
+    if (state.rows.length > 0) {
+      const row = state.rows[0];
+      this.currentCycle = {
+        ...MARKET_CYCLES[row.market_cycle_type],
+        startTime: row.market_cycle_started_at,
+        duration: row.market_cycle_ends_at - row.market_cycle_started_at
+      };
     }
-    trendEffect = trendDirection * trendStrength * apocalypseFactor;
+  }
 
-    // Mean reversion effect (pulls price back towards initial price)
-    const priceDeviation = (currentPrice - initialPrice) / initialPrice;
-    const meanReversionStrength = 0.001; // 0.1% max reversion effect
-    const meanReversionEffect = -priceDeviation * meanReversionStrength;
+  // Validate a coin's stored model configuration. Writes are validated too,
+  // so this only fails on a hand-edited row — and then fails the batch
+  // rather than price the coin with parameters nobody vetted.
+  resolveCoinPriceModel(coin) {
+    try {
+      return resolvePriceModel(coin.price_model, coin.price_model_params);
+    } catch (error) {
+      throw new Error(`[MARKET] Coin ${coin.coin_id} has an invalid price model: ${error.message}`);
+    }
+  }
 
-    // Combine all effects
-    const totalEffect = marketEffect + eventEffect + randomEffect + trendEffect + meanReversionEffect;
-    
-    // Apply a much stricter change limit (0.5% max per update)
-    const maxChange = 0.005;
-    const limitedEffect = Math.max(Math.min(totalEffect, maxChange), -maxChange);
-    
-    // Calculate new price
-    let newPrice = currentPrice * (1 + limitedEffect);
-
-    // Enforce price bounds (between 20% and 500% of initial price)
-    const minPrice = initialPrice * 0.2;
-    const maxPrice = initialPrice * 5;
-    newPrice = Math.min(Math.max(newPrice, minPrice), maxPrice);
-
-    // Round based on price range
-    if (newPrice < 1) {
-      return Math.round(newPrice * 10000) / 10000; // 4 decimal places
-    } else if (newPrice < 100) {
-      return Math.round(newPrice * 100) / 100; // 2 decimal places
-    } else {
-      return Math.round(newPrice * 10) / 10; // 1 decimal place
+  // Write the in-memory state of the current cycle back, set-based: one
+  // statement per table regardless of coin count. Runs inside the caller's
+  // transaction, under the market state advisory lock.
+  async saveMarketState(client, batchIndex) {
+    const cycleId = this.marketCycleId;
+    const { currentCycle } = this;
+    await client.query(
+      `INSERT INTO market_state
+         (cycle_id, market_cycle_type, market_cycle_started_at, market_cycle_ends_at,
+          update_interval_ms, last_batch_index)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (cycle_id) DO UPDATE SET
+         market_cycle_type = EXCLUDED.market_cycle_type,
+         market_cycle_started_at = EXCLUDED.market_cycle_started_at,
+         market_cycle_ends_at = EXCLUDED.market_cycle_ends_at,
+         update_interval_ms = EXCLUDED.update_interval_ms,
+         last_batch_index = EXCLUDED.last_batch_index,
+         updated_at = now()`,
+      [
+        cycleId,
+        currentCycle.type,
+        currentCycle.startTime,
+        new Date(currentCycle.startTime.getTime() + currentCycle.duration),
+        this.priceUpdateInterval,
+        batchIndex
+      ]
+    );
+
+    const profiles = Array.from(this.coinVolatility.entries());
+    await client.query(
+      `INSERT INTO market_coin_profiles
+         (cycle_id, coin_id, base_volatility, initial_price, trend_direction, trend_strength,
+          trend_started_at, trend_ends_at, model_state)
+       SELECT $1, p.coin_id, p.base_volatility, p.initial_price, p.trend_direction, p.trend_strength,
+              p.trend_started_at, p.trend_ends_at, p.model_state
+       FROM unnest($2::int[], $3::float8[], $4::numeric[], $5::smallint[], $6::float8[],
+                   $7::timestamptz[], $8::timestamptz[], $9::jsonb[])
+         AS p(coin_id, base_volatility, initial_price, trend_direction, trend_strength,
+              trend_started_at, trend_ends_at, model_state)
+       ON CONFLICT (cycle_id, coin_id) DO UPDATE SET
+         base_volatility = EXCLUDED.base_volatility,
+         initial_price = EXCLUDED.initial_price,
+         trend_direction = EXCLUDED.trend_direction,
+         trend_strength = EXCLUDED.trend_strength,
+         trend_started_at = EXCLUDED.trend_started_at,
+         trend_ends_at = EXCLUDED.trend_ends_at,
+         model_state = EXCLUDED.model_state,
+         updated_at = now()`,
+      [
+        cycleId,
+        profiles.map(([coinId]) => coinId),
+        profiles.map(([, profile]) => profile.baseVolatility),
+        profiles.map(([coinId]) => this.initialPrices.get(coinId)),
+        profiles.map(([, profile]) => profile.trendDirection),
+        profiles.map(([, profile]) => profile.trendStrength),
+        profiles.map(([, profile]) => profile.trendStartTime),
+        profiles.map(([, profile]) => new Date(profile.trendStartTime.getTime() + profile.trendDuration)),
+        profiles.map(([, profile]) => JSON.stringify(profile.modelState || {}))
+      ]
+    );
+
+    const events = Array.from(this.coinEvents.entries());
+    await client.query(
+      `INSERT INTO market_coin_active_events (cycle_id, coin_id, event_type, started_at, ends_at)
+       SELECT $1, e.coin_id, e.event_type, e.started_at, e.ends_at
+       FROM unnest($2::int[], $3::text[], $4::timestamptz[], $5::timestamptz[])
+         AS e(coin_id, event_type, started_at, ends_at)
+       ON CONFLICT (cycle_id, coin_id) DO UPDATE SET
+         event_type = EXCLUDED.event_type,
+         started_at = EXCLUDED.started_at,
+         ends_at = EXCLUDED.ends_at,
+         updated_at = now()`,
+      [
+        cycleId,
+        events.map(([coinId]) => coinId),
+        events.map(([, event]) => event.type),
+        events.map(([, event]) => event.startTime),
+        events.map(([, event]) => new Date(event.startTime.getTime() + event.duration))
+      ]
+    );
+
+    // A quiet sector has no row: ended events are deleted, not kept.
+    const sectorEvents = Array.from(this.sectorEvents.entries());
+    await client.query(
+      'DELETE FROM market_sector_active_events WHERE cycle_id = $1 AND NOT (sector = ANY($2::text[]))',
+      [cycleId, sectorEvents.map(([sector]) => sector)]
+    );
+    await client.query(
+      `INSERT INTO market_sector_active_events (cycle_id, sector, event_type, started_at, ends_at)
+       SELECT $1, e.sector, e.event_type, e.started_at, e.ends_at
+       FROM unnest($2::text[], $3::text[], $4::timestamptz[], $5::timestamptz[])
+         AS e(sector, event_type, started_at, ends_at)
+       ON CONFLICT (cycle_id, sector) DO UPDATE SET
+         event_type = EXCLUDED.event_type,
+         started_at = EXCLUDED.started_at,
+         ends_at = EXCLUDED.ends_at,
+         updated_at = now()`,
+      [
+        cycleId,
+        sectorEvents.map(([sector]) => sector),
+        sectorEvents.map(([, event]) => event.type),
+        sectorEvents.map(([, event]) => event.startTime),
+        sectorEvents.map(([, event]) => new Date(event.startTime.getTime() + event.duration))
+      ]
+    );
+
+    await recordMarketNews(client, cycleId, this.pendingNews);
+    this.pendingNews = [];
+  }
+
+  // Calculate a coin's new price with its configured price model
+  // (game/priceModels.js); every model shares the per-batch change clamp and
+  // the price band around the cycle baseline.
+  // volatilityMultiplier is the Core 2 apocalypse factor, resolved ONCE per
+  // updateAllPrices() batch from authoritative Core 1 state. It scales each
+  // model's volatility-sensitive movement (for the blended model: the
+  // market-cycle, random and trend components; the event effect and the
+  // protective mean-reversion pull are intentionally not scaled). Any
+  // invalid multiplier (NaN, Infinity, zero, negative, missing) safely falls
+  // back to normal volatility (1).
+  // `random` is the coin's seeded noise stream for this batch; trend and
+  // model-state changes are applied beforehand by advanceMarketState(), so
+  // this is a pure function of its inputs and the in-memory profile.
+  // `sectorMoveForCoin` is the coin's share of its sector's correlated move
+  // this batch (sectorMovesFor()); 0 leaves the coin on its own.
+  calculateNewPrice(currentPrice, coinId, volatilityMultiplier = 1, random, sectorMoveForCoin = 0) {
+    const volatilityProfile = this.coinVolatility.get(coinId);
+    if (!volatilityProfile) return currentPrice;
+    if (typeof random !== 'function') {
+      throw new Error(`[MARKET] calculateNewPrice requires a seeded random source for coin ${coinId}`);
     }
+
+    const apocalypseFactor = apocalypseFactorFor(volatilityMultiplier);
+
+    const newPrice = nextPrice(this.priceModels.get(coinId) || DEFAULT_PRICE_MODEL_CONFIG, {
+      currentPrice,
+      initialPrice: this.initialPrices.get(coinId),
+      profile: volatilityProfile,
+      state: volatilityProfile.modelState,
+      marketCycle: this.currentCycle,
+      event: this.coinEvents.get(coinId),
+      apocalypseFactor,
+      random,
+      sectorMove: sectorMoveForCoin
+    });
+
+    return roundPrice(newPrice);
+  }
+
+  // A coin's price for the batch at offsetMs into the cycle while a scripted
+  // move is open: the script replaces the model's move (and every random
+  // draw in it), never the model's rails.
+  calculateScriptedPrice(currentPrice, coinId, move, offsetMs) {
+    return roundPrice(scriptedPrice(move, {
+      params: (this.priceModels.get(coinId) || DEFAULT_PRICE_MODEL_CONFIG).params,
+      currentPrice,
+      initialPrice: this.initialPrices.get(coinId),
+      offsetMs,
+      intervalMs: this.priceUpdateInterval
+    }));
+  }
+
+  // Load a scenario to follow: a parsed object or the path of a JSON file.
+  // It is validated and checked against the live coins and the configured
+  // cycle timing before anything follows it; an impossible scenario throws
+  // MarketScenarioError (400) and leaves any current scenario in place.
+  // Every cycle replays the scenario, so its coin entries must end before
+  // the earliest collapse window it can meet: the active cycle's persisted
+  // mode and each mode of the rotation (game/gameModes.js).
+  async loadScenario(source, {
+    durationMs = gameCycleService.resolveDurationMs(),
+    modeRotation
+  } = {}) {
+    const scenario = typeof source === 'string'
+      ? loadScenarioFile(source, SCENARIO_CATALOGUES)
+      : validateScenario(source, SCENARIO_CATALOGUES);
+    const { rows: coins } = await db.query(
+      'SELECT coin_id, cycle_baseline_price, price_model, price_model_params, retired FROM coins ORDER BY coin_id'
+    );
+    const { rows: active } = await db.query(
+      "SELECT game_mode_params FROM apocalypse_cycles WHERE status = 'ACTIVE'"
+    );
+    const windowStartPercent = Math.min(
+      ...active.map((cycle) => cycleModeParams(cycle).collapseWindowStartPercent),
+      ...resolveGameModeRotation(modeRotation).map((name) => GAME_MODES[name].params.collapseWindowStartPercent)
+    );
+    checkScenarioFeasibility(scenario, {
+      coins,
+      durationMs,
+      collapseWindowMs: Math.round(durationMs * (windowStartPercent / 100)),
+      intervalMs: this.priceUpdateInterval
+    });
+    this.scenario = scenario;
+    logger.log(`[MARKET] Following scenario ${scenario.name}`);
+    return scenario;
   }
 
-  // Start the market simulation
+  clearScenario() {
+    this.scenario = null;
+  }
+
+  // Start the market simulation. Every started process joins the leader
+  // election; only the elected one resumes the persisted state and runs the
+  // price loop. Followers retry once per interval, so one of them takes over
+  // within an interval of the leader dying.
   async start() {
     if (this.isRunning) {
       logger.log('[MARKET] Already running');
@@ -157,96 +592,230 @@ class MarketSimulator {
     
     try {
       logger.log('[MARKET] Starting simulation...');
-      await this.initializeCoinVolatility();
-      await this.startNewMarketCycle();
       this.isRunning = true;
-      this.startPriceUpdates();
+      // A classroom deployment names its scenario file; an impossible one
+      // fails the start instead of running a different story.
+      if (process.env.MARKET_SCENARIO_FILE) {
+        await this.loadScenario(process.env.MARKET_SCENARIO_FILE);
+      }
+      this.leader = new AdvisoryLeader({
+        lockKey: MARKET_LEADER_ADVISORY_LOCK_KEY,
+        name: 'market simulator',
+        intervalMs: this.priceUpdateInterval,
+        onElected: () => this.takeOver(),
+        onDemoted: () => this.stopPriceUpdates()
+      });
+      await this.leader.start();
       
-      logger.log('[MARKET] Successfully started');
+      logger.log(`[MARKET] Successfully started (${this.leader.isLeader() ? 'leader' : 'passive follower'})`);
     } catch (error) {
       logger.error('[MARKET] Failed to start:', error);
       this.isRunning = false;
     }
   }
 
-  // Stop the market simulation
+  // Elected: resume the persisted state (advanced to the current batch)
+  // before the first price write, so status is meaningful immediately.
+  async takeOver() {
+    const now = new Date();
+    const gameState = await gameCycleService.getGameState({ now });
+    const cycle = await this.loadMarketCycle(gameState.apocalypseId);
+    await this.initializeCoinVolatility(cycle, { now });
+    this.startPriceUpdates();
+  }
+
+  isLeader() {
+    return this.leader !== null && this.leader.isLeader();
+  }
+
+  // Stop the market simulation. Resolves once leadership (if held) has been
+  // handed back, so a follower can take over immediately.
   stop() {
     logger.log('[MARKET] Stopping simulation...');
     this.isRunning = false;
+    this.stopPriceUpdates();
+
+    const leader = this.leader;
+    this.leader = null;
+    const released = leader
+      ? leader.stop().catch(error => logger.error('[MARKET] Error releasing leadership:', error))
+      : Promise.resolve();
     
+    logger.log('[MARKET] Simulation stopped');
+    return released;
+  }
+
+  stopPriceUpdates() {
     if (this.updateIntervalId) {
       clearInterval(this.updateIntervalId);
       this.updateIntervalId = null;
     }
-    
-    if (this.cycleTimeout) {
-      clearTimeout(this.cycleTimeout);
-      this.cycleTimeout = null;
-    }
-    
-    logger.log('[MARKET] Simulation stopped');
   }
 
-  // Start a new market cycle
-  async startNewMarketCycle() {
-    if (!this.isRunning && this.currentCycle) return;
+  // Advance market cycle, coin events and trends to a batch. Everything is
+  // measured against the batch's logical time and drawn from that batch's
+  // seeded streams, so replaying the same batch indexes from the cycle start
+  // reproduces the same transitions. Collapsed coins are simply not passed
+  // in; per-coin scopes keep every other coin's draws unchanged.
+  // A loaded scenario's open windows take the place of the rolls.
+  advanceMarketState({ batchIndex, batchTime, coinIds }) {
+    const seed = this.marketSeed;
+    const offsetMs = batchTime - this.marketStartTime;
 
-    if (this.cycleTimeout) {
-      clearTimeout(this.cycleTimeout);
-      this.cycleTimeout = null;
+    const scriptedCycle = this.scenario && scriptedMarketCycleAt(this.scenario, offsetMs);
+    if (scriptedCycle) {
+      const startTime = new Date(this.marketStartTime.getTime() + scriptedCycle.atMs);
+      if (!this.isScripted(this.currentCycle, scriptedCycle, startTime)) {
+        this.beginMarketCycle(MARKET_CYCLES[scriptedCycle.type], startTime, scriptedCycle.durationMs);
+      }
+    } else if (!this.currentCycle || batchTime - this.currentCycle.startTime >= this.currentCycle.duration) {
+      this.startNewMarketCycle(createMarketRandom({ seed, batchIndex, scope: 'cycle' }), batchTime);
     }
 
-    const cycleTypes = Object.values(MARKET_CYCLES);
-    const randomCycle = cycleTypes[Math.floor(Math.random() * cycleTypes.length)];
-    const duration = this.getRandomDuration(120000, 600000); // Changed to 2-10 mins
+    for (const coinId of coinIds) {
+      const event = this.coinEvents.get(coinId);
+      const scriptedEvent = this.scenario && scriptedCoinEventAt(this.scenario, coinId, offsetMs);
+      if (scriptedEvent) {
+        const startTime = new Date(this.marketStartTime.getTime() + scriptedEvent.atMs);
+        if (!this.isScripted(event, scriptedEvent, startTime)) {
+          this.beginCoinEvent(coinId, COIN_EVENTS[scriptedEvent.type], startTime, scriptedEvent.durationMs);
+        }
+      } else if (!event || batchTime - event.startTime >= event.duration) {
+        this.startNewCoinEvent(coinId, createMarketRandom({ seed, batchIndex, scope: `event:${coinId}` }), batchTime);
+      }
 
-    this.currentCycle = {
-      ...randomCycle,
-      startTime: new Date(),
-      duration: duration
-    };
+      const volatilityProfile = this.coinVolatility.get(coinId);
+      if (volatilityProfile && batchTime - volatilityProfile.trendStartTime >= volatilityProfile.trendDuration) {
+        const random = createMarketRandom({ seed, batchIndex, scope: `trend:${coinId}` });
+        this.coinVolatility.set(coinId, {
+          ...volatilityProfile,
+          trendDirection: volatilityProfile.trendDirection * -1, // Reverse direction
+          trendStrength: random() * 0.002,
+          trendDuration: randomDuration(random, 30000, 60000),
+          trendStartTime: batchTime
+        });
+      }
 
-    logger.log(`[MARKET] New cycle: ${this.currentCycle.type}, Effect: ${this.currentCycle.baseEffect}, Duration: ${duration}ms`);
+      // Stateful price models (regime switching) step their state here, on
+      // their own seeded stream; stateless models keep an empty state.
+      const profile = this.coinVolatility.get(coinId);
+      if (profile) {
+        this.coinVolatility.set(coinId, {
+          ...profile,
+          modelState: advanceModelState(
+            this.priceModels.get(coinId) || DEFAULT_PRICE_MODEL_CONFIG,
+            profile.modelState,
+            createMarketRandom({ seed, batchIndex, scope: `model:${coinId}` })
+          )
+        });
+      }
+    }
+
+    // Sector-wide events: an ended event makes the sector quiet; a quiet
+    // sector with live coins rolls for a new one on its own stream.
+    const liveSectors = new Set(coinIds.map(coinId => this.coinSectors.get(coinId)));
+    for (const [sector, config] of this.sectors) {
+      const event = this.sectorEvents.get(sector);
+      if (event && batchTime - event.startTime >= event.duration) {
+        this.sectorEvents.delete(sector);
+      }
+      if (!this.sectorEvents.has(sector) && liveSectors.has(sector)) {
+        const rolled = rollSectorEvent(config, createMarketRandom({ seed, batchIndex, scope: `sector-event:${sector}` }), batchTime);
+        if (rolled) {
+          this.sectorEvents.set(sector, rolled);
+          this.pendingNews.push(newsItem({ kind: 'SECTOR_EVENT', event: rolled, sector }));
+        }
+      }
+    }
+  }
 
-    this.cycleTimeout = setTimeout(() => {
-      this.startNewMarketCycle();
-    }, duration);
+  // Each sector's correlated move for a batch: one market-wide shock shared
+  // by every sector, blended with each sector's own shock, scaled and
+  // combined with any active sector event (game/marketSectors.js). Every
+  // draw is keyed by the cycle seed and batch index, so replays agree.
+  sectorMovesFor({ batchIndex, volatilityMultiplier }) {
+    const seed = this.marketSeed;
+    const apocalypseFactor = apocalypseFactorFor(volatilityMultiplier);
+    const shared = marketShock(createMarketRandom({ seed, batchIndex, scope: 'shock:market' }));
+    const moves = new Map();
+    for (const [sector, config] of this.sectors) {
+      const factor = sectorFactor(config, shared, createMarketRandom({ seed, batchIndex, scope: `shock:${sector}` }));
+      moves.set(sector, sectorMove({ config, factor, event: this.sectorEvents.get(sector), apocalypseFactor }));
+    }
+    return moves;
+  }
 
-    await this.initializeCoinEvents();
+  // Whether the running cycle / event is already the scripted entry.
+  isScripted(running, scripted, startTime) {
+    return Boolean(running) && running.type === scripted.type && running.startTime.getTime() === startTime.getTime();
   }
 
-  // Initialize random events for all coins
-  async initializeCoinEvents() {
-    const result = await db.query('SELECT coin_id FROM coins');
-    const coins = result.rows;
+  // Start a new market cycle
+  startNewMarketCycle(random, startTime) {
+    const cycleTypes = Object.values(MARKET_CYCLES);
+    const randomCycle = cycleTypes[Math.floor(random() * cycleTypes.length)];
+    const duration = randomDuration(random, 120000, 600000); // Changed to 2-10 mins
 
-    coins.forEach(coin => {
-      if (!this.coinEvents.has(coin.coin_id)) {
-        this.startNewCoinEvent(coin.coin_id);
-      }
-    });
+    this.beginMarketCycle(randomCycle, startTime, duration);
   }
 
-  // Start a new random event for a coin
-  startNewCoinEvent(coinId) {
-    if (!this.isRunning) return;
+  beginMarketCycle(marketCycle, startTime, duration) {
+    this.currentCycle = {
+      ...marketCycle,
+      startTime,
+      duration: duration
+    };
 
+    this.pendingNews.push(newsItem({ kind: 'MARKET_CYCLE', event: this.currentCycle }));
+
+    logger.log(`[MARKET] New cycle: ${this.currentCycle.type}, Effect: ${this.currentCycle.baseEffect}, Duration: ${duration}ms`);
+  }
+
+  // Start a new random event for a coin
+  startNewCoinEvent(coinId, random, startTime) {
     const events = Object.values(COIN_EVENTS);
-    const event = events[Math.floor(Math.random() * events.length)];
-    const duration = this.getRandomDuration(event.duration.min, event.duration.max);
+    const event = events[Math.floor(random() * events.length)];
+    const duration = randomDuration(random, event.duration.min, event.duration.max);
 
-    const coinEvent = {
+    this.beginCoinEvent(coinId, event, startTime, duration);
+  }
+
+  beginCoinEvent(coinId, event, startTime, duration) {
+    this.coinEvents.set(coinId, {
       ...event,
-      startTime: new Date(),
+      startTime,
       duration: duration
-    };
+    });
+    this.pendingNews.push(newsItem({
+      kind: 'COIN_EVENT',
+      event: this.coinEvents.get(coinId),
+      coin: { coinId, symbol: this.coinSymbols.get(coinId) || `Coin ${coinId}` }
+    }));
+  }
 
-    this.coinEvents.set(coinId, coinEvent);
+  // Copy of the mutable in-memory state, restored when a batch rolls back so
+  // memory never runs ahead of what was committed.
+  snapshotState() {
+    return {
+      marketCycleId: this.marketCycleId,
+      marketSeed: this.marketSeed,
+      marketStartTime: this.marketStartTime,
+      currentCycle: this.currentCycle,
+      coinEvents: new Map(this.coinEvents),
+      sectorEvents: new Map(this.sectorEvents),
+      sectors: new Map(this.sectors),
+      coinSectors: new Map(this.coinSectors),
+      contagion: new Map(this.contagion),
+      coinSymbols: new Map(this.coinSymbols),
+      pendingNews: this.pendingNews.slice(),
+      coinVolatility: new Map(this.coinVolatility),
+      initialPrices: new Map(this.initialPrices),
+      priceModels: new Map(this.priceModels)
+    };
+  }
 
-    // Schedule next event
-    setTimeout(() => {
-      this.startNewCoinEvent(coinId);
-    }, duration);
+  restoreState(snapshot) {
+    Object.assign(this, snapshot);
   }
 
   // Start periodic price updates
@@ -257,6 +826,7 @@ class MarketSimulator {
 
     const startUpdateInterval = () => {
       this.updateIntervalId = setInterval(async () => {
+        if (!this.isLeader()) return; // passive: the leader owns price batches
         try {
           await this.updateAllPrices();
         } catch (error) {
@@ -267,7 +837,7 @@ class MarketSimulator {
           if (this.isRunning) {
             logger.log('[MARKET] Attempting recovery in 5 seconds...');
             setTimeout(() => {
-              if (this.isRunning) {
+              if (this.isRunning && this.isLeader()) {
                 logger.log('[MARKET] Restarting price updates...');
                 startUpdateInterval();
               } else {
@@ -288,18 +858,103 @@ class MarketSimulator {
     startUpdateInterval();
   }
 
-  // Update prices for all coins based on current market conditions
-  async updateAllPrices() {
+  // Price every live coin for one batch from the given coin rows: load the
+  // committed market state, advance it to this batch and run each coin's
+  // model (or scripted move). Pure of writes; returns the new prices in
+  // canonical coin_id order.
+  async calculateBatchPrices(client, { cycle, coins, collapsedCoinIds, batchIndex, batchTime, volatilityMultiplier }) {
+    // Resume from the committed market state (never from whatever this
+    // process last held) and advance it to this batch.
+    await this.loadMarketState(client, cycle, coins);
+    this.advanceMarketState({
+      batchIndex,
+      batchTime,
+      coinIds: coins.filter(coin => !collapsedCoinIds.has(coin.coin_id)).map(coin => coin.coin_id)
+    });
+    const sectorMoves = this.sectorMovesFor({ batchIndex, volatilityMultiplier });
+
+    const prices = [];
+    for (const coin of coins) {
+      // A coin collapsed in the ACTIVE cycle is dead for the rest of the
+      // cycle: the simulator must not calculate or write a new positive
+      // price for it. It stays exactly £0 (Core 2 multiplier and restarts
+      // cannot revive it); its £0 transition was already appended to
+      // price_history by the collapse execution, so no history row is
+      // written here either. Zero itself therefore never reaches the
+      // invalid-write guard below and never causes a batch rollback.
+      if (collapsedCoinIds.has(coin.coin_id)) {
+        if (parseFloat(coin.current_price) !== 0) {
+          // Malformed persisted state: a collapsed coin with a non-zero
+          // price. Fail the whole batch safely — write nothing, revive
+          // nothing — rather than corrupt state further.
+          throw new Error(
+            `[MARKET] Collapsed coin ${coin.coin_id} has non-zero price ${coin.current_price}; aborting batch to fail safe`
+          );
+        }
+        continue;
+      }
+      // Collapse contagion raises a survivor's volatility on top of the
+      // apocalypse factor, decaying batch by batch after each collapse.
+      const contagionFactor = contagionVolatilityFactor(this.contagion.get(coin.coin_id) || [], {
+        batchTime,
+        intervalMs: this.priceUpdateInterval
+      });
+      // A scripted move (game/marketScenarios.js) replaces the model.
+      const offsetMs = batchTime - this.marketStartTime;
+      const move = this.scenario && scriptedCoinMoveAt(this.scenario, coin.coin_id, offsetMs);
+      const newPrice = move
+        ? this.calculateScriptedPrice(parseFloat(coin.current_price), coin.coin_id, move, offsetMs)
+        : this.calculateNewPrice(
+          parseFloat(coin.current_price),
+          coin.coin_id,
+          apocalypseFactorFor(volatilityMultiplier) * contagionFactor,
+          createMarketRandom({ seed: cycle.seed, batchIndex, scope: `noise:${coin.coin_id}` }),
+          sectorMoves.get(this.coinSectors.get(coin.coin_id)) || 0
+        );
+      // Never persist a corrupt value: an invalid price aborts the whole
+      // batch (rollback below) instead of silently writing bad data.
+      if (typeof newPrice !== 'number' || !Number.isFinite(newPrice) || newPrice <= 0) {
+        throw new Error(
+          `[MARKET] Refusing to write invalid price ${String(newPrice)} for coin ${coin.coin_id}; aborting batch`
+        );
+      }
+      prices.push({ coinId: coin.coin_id, price: newPrice });
+    }
+    return prices;
+  }
+
+  // Update prices for all coins based on current market conditions.
+  // `now` defaults to the wall clock; every random draw in the batch is keyed
+  // by the cycle seed and the batch index derived from it. Resolves to the
+  // committed batch index, or null when the batch failed and rolled back (the
+  // error is logged, never thrown, so the interval keeps running).
+  //
+  // The coin rows are locked for as short a time as possible, so round
+  // trades are not blocked behind the batch: prices are computed and the
+  // market state saved from an UNLOCKED read, under the market state lock
+  // only; the coin locks are then taken just to confirm those prices are
+  // still current and to write them set-based. A trade that moved a price in
+  // between (market impact) makes the batch price again from the locked
+  // rows. Each phase's duration is recorded after the commit
+  // (game/marketBatchTimings.js) and kept as lastBatchTimings, and the
+  // committed ticks are pushed to live price streams (game/priceStream.js).
+  async updateAllPrices({ now = new Date() } = {}) {
     let client;
+    let snapshot = null;
+    const timer = createBatchTimer();
     try {
       // Core 2: resolve the authoritative Core 1 apocalypse state ONCE per
       // batch (before opening the write transaction so the cycle advisory
       // lock and the coin row locks can never interleave), then translate
       // progress into a single bounded volatility multiplier shared by every
       // coin calculation in this batch. If Core 1 state is unreadable this
-      // throws here and the batch aborts before any write.
-      const gameState = await gameCycleService.getGameState();
-      const volatilityMultiplier = getApocalypseVolatility(gameState.apocalypsePercent);
+      // throws here and the batch aborts before any write. The cycle's
+      // persisted game mode scales the curve (game/gameModes.js).
+      const gameState = await gameCycleService.getGameState({ now });
+      const volatilityMultiplier = getApocalypseVolatility(
+        gameState.apocalypsePercent,
+        volatilityConfigFor(gameState.mode)
+      );
 
       // Core 3: the getGameState() call above has already reconciled any due
       // collapses (they execute inside the Core 1 lifecycle transaction, before
@@ -308,69 +963,138 @@ class MarketSimulator {
       // in memory — so collapsed coins are excluded from this batch.
       const collapsedCoinIds = await collapseScheduleService.getCollapsedCoinIds();
 
+      // Seeded randomness: the batch index comes from the persisted cycle
+      // start, not from how long this process has been running.
+      const cycle = await this.loadMarketCycle(gameState.apocalypseId);
+      const batchIndex = deriveBatchIndex({ startTime: cycle.start_time, now, intervalMs: this.priceUpdateInterval });
+      const batchTime = batchTimeFor({ startTime: cycle.start_time, batchIndex, intervalMs: this.priceUpdateInterval });
+      timer.mark('state');
+
       client = await db.getClient();
       await client.query('BEGIN');
-      // Lock coins for consistent snapshot + atomic writes to coins + price_history + market_history
-      const result = await client.query('SELECT coin_id, current_price FROM coins FOR UPDATE');
-      const coins = result.rows;
-      let totalMarketValue = 0;
-
-      for (const coin of coins) {
-        // A coin collapsed in the ACTIVE cycle is dead for the rest of the
-        // cycle: the simulator must not calculate or write a new positive
-        // price for it. It stays exactly £0 (Core 2 multiplier and restarts
-        // cannot revive it); its £0 transition was already appended to
-        // price_history by the collapse execution, so no history row is
-        // written here either. Zero itself therefore never reaches the
-        // invalid-write guard below and never causes a batch rollback.
-        if (collapsedCoinIds.has(coin.coin_id)) {
-          if (parseFloat(coin.current_price) !== 0) {
-            // Malformed persisted state: a collapsed coin with a non-zero
-            // price. Fail the whole batch safely — write nothing, revive
-            // nothing — rather than corrupt state further.
-            throw new Error(
-              `[MARKET] Collapsed coin ${coin.coin_id} has non-zero price ${coin.current_price}; aborting batch to fail safe`
-            );
-          }
-          continue;
-        }
-        const newPrice = this.calculateNewPrice(parseFloat(coin.current_price), coin.coin_id, volatilityMultiplier);
-        // Never persist a corrupt value: an invalid price aborts the whole
-        // batch (rollback below) instead of silently writing bad data.
-        if (typeof newPrice !== 'number' || !Number.isFinite(newPrice) || newPrice <= 0) {
-          throw new Error(
-            `[MARKET] Refusing to write invalid price ${String(newPrice)} for coin ${coin.coin_id}; aborting batch`
-          );
-        }
-        await client.query(
-          'UPDATE coins SET current_price = $1 WHERE coin_id = $2',
-          [newPrice, coin.coin_id]
-        );
-        await client.query(
-          'INSERT INTO price_history (coin_id, price, created_at) VALUES ($1, $2, CURRENT_TIMESTAMP)',
-          [coin.coin_id, newPrice]
-        );
-        totalMarketValue += newPrice;
+      // Leader fence: while the election runs, a batch commits only if this
+      // process's leader session still holds the lock — a leader that lost
+      // its session but has not noticed yet can never double-write a batch.
+      if (this.leader) {
+        await this.leader.assertHeld(client);
+      }
+      await client.query('SELECT pg_advisory_xact_lock($1)', [MARKET_STATE_ADVISORY_LOCK_KEY]);
+      // Canonical coin_id order keeps the batch's draws and writes replayable.
+      const read = await this.readCoins(client);
+      const batch = { cycle, collapsedCoinIds, batchIndex, batchTime, volatilityMultiplier };
+      snapshot = this.snapshotState();
+      let prices = await this.calculateBatchPrices(client, { ...batch, coins: read });
+      timer.mark('compute');
+
+      await this.saveMarketState(client, batchIndex);
+      timer.mark('saveState');
+
+      // From here to COMMIT the coin rows are locked: writes to coins +
+      // price_history + market_history and the participant peaks commit
+      // atomically with each other.
+      const coins = await this.lockCoins(client);
+      timer.lockAcquired();
+      const moved = coins.length !== read.length || coins.some((coin, i) =>
+        coin.coin_id !== read[i].coin_id || coin.current_price !== read[i].current_price);
+      timer.mark('lock');
+      if (moved) {
+        this.restoreState(snapshot);
+        prices = await this.calculateBatchPrices(client, { ...batch, coins });
+        await this.saveMarketState(client, batchIndex);
+        timer.mark('recompute');
       }
 
+      // Set-based writes: one statement per table regardless of coin count.
+      const coinIds = prices.map(p => p.coinId);
+      const values = prices.map(p => p.price);
+      await client.query(
+        `UPDATE coins c SET current_price = u.price
+         FROM unnest($1::int[], $2::numeric[]) AS u(coin_id, price)
+         WHERE c.coin_id = u.coin_id`,
+        [coinIds, values]
+      );
+      const { rows: ticks } = await client.query(
+        `INSERT INTO price_history (coin_id, price, created_at)
+         SELECT u.coin_id, u.price, $3::timestamptz
+         FROM unnest($1::int[], $2::numeric[]) WITH ORDINALITY AS u(coin_id, price, n)
+         ORDER BY u.n
+         RETURNING price_history_id, coin_id, price, created_at`,
+        [coinIds, values, now]
+      );
       // Insert market_history from the same snapshot
+      const totalMarketValue = values.reduce((sum, price) => sum + price, 0);
       await client.query(
         'INSERT INTO market_history (total_value, market_trend) VALUES ($1, $2)',
         [totalMarketValue, this.currentCycle?.type || 'STABLE']
       );
+      timer.mark('write');
 
       // Core 4: set-based peak reconciliation. One SQL statement lifts every
       // active participant's monotonic peak_wealth from the prices just
       // written in this batch — atomically with the price update itself, and
       // with no per-participant JavaScript loop.
-      await gameRoundService.reconcileActivePeaks(client);
+      await gameRoundService.reconcileActivePeaks(client, now);
+      timer.mark('peaks');
 
       await client.query('COMMIT');
+      timer.mark('commit');
+      snapshot = null;
+
+      // Only a committed batch is streamed (game/priceStream.js).
+      try {
+        const symbols = new Map(coins.map(coin => [coin.coin_id, coin.symbol]));
+        priceStream.publishBatch({
+          cycleId: gameState.apocalypseId,
+          batchIndex,
+          ticks: ticks.map(row => ({
+            tickId: row.price_history_id,
+            coinId: row.coin_id,
+            symbol: symbols.get(row.coin_id),
+            price: parseFloat(row.price),
+            at: new Date(row.created_at).toISOString()
+          }))
+        });
+      } catch (error) {
+        logger.error('[MARKET] Error publishing price batch:', error);
+      }
+      // Fill the resting round orders the new prices triggered (never
+      // rejects).
+      await gameRoundService.evaluateOpenOrders({ now });
+      // ...then margin-call leveraged positions the new prices left
+      // underwater (never rejects).
+      await gameRoundService.enforceMaintenanceMargin({ now });
+      // New prices can reorder the live leaderboard (never rejects).
+      await gameEvents.refreshLeaderboard();
+      // ...and other processes hear of the batch by its tick ids.
+      await eventBus.publish(EVENT_TOPICS.PRICE_BATCH, {
+        apocalypseId: gameState.apocalypseId,
+        batchIndex,
+        coinCount: ticks.length,
+        tickRanges: priceStream.tickRanges(ticks.map(row => Number(row.price_history_id)))
+      }, client);
+
+      this.lastBatchTimings = {
+        cycleId: cycle.cycle_id,
+        batchIndex,
+        coinCount: prices.length,
+        recomputed: moved,
+        ...timer.finish()
+      };
+      try {
+        await recordBatchTimings(this.lastBatchTimings);
+      } catch (error) {
+        logger.error('[MARKET] Error recording batch timings:', error);
+      }
+      return batchIndex;
     } catch (error) {
       if (client) {
         try { await client.query('ROLLBACK'); } catch (_) {}
       }
+      if (snapshot) {
+        this.restoreState(snapshot);
+      }
       logger.error('[MARKET] Error updating prices:', error);
+      return null;
     } finally {
       if (client) {
         client.release();
@@ -387,44 +1111,70 @@ class MarketSimulator {
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
   }
 
-  // Generate a random duration within a range
-  getRandomDuration(min, max) {
-    return Math.floor(Math.random() * (max - min + 1) + min);
-  }
+  // Get current market status from the persisted market state, so every
+  // process reports the same market regardless of which one runs the
+  // simulator. The simulator counts as RUNNING while its latest committed
+  // batch is fresh (see LIVE_STATE_INTERVALS).
+  async getMarketStatus({ now = new Date() } = {}) {
+    const stopped = {
+      status: 'STOPPED',
+      currentCycle: null,
+      timeRemaining: 0,
+      events: [],
+      sectorEvents: []
+    };
 
-  // Get current market status
-  getMarketStatus() {
-    if (!this.isRunning) {
-      return {
-        status: 'STOPPED',
-        currentCycle: null,
-        timeRemaining: 0,
-        events: []
-      };
+    const { rows } = await db.query(
+      `SELECT cycle_id, market_cycle_type, market_cycle_ends_at, update_interval_ms, updated_at
+       FROM market_state
+       ORDER BY updated_at DESC, cycle_id DESC
+       LIMIT 1`
+    );
+    const state = rows[0];
+    if (!state || now - state.updated_at > LIVE_STATE_INTERVALS * state.update_interval_ms) {
+      return stopped;
     }
 
-    const now = new Date();
-    const cycleTimeRemaining = this.currentCycle ? 
-      Math.max(0, this.currentCycle.duration - (now - this.currentCycle.startTime)) : 0;
+    const cycleTimeRemaining = Math.max(0, state.market_cycle_ends_at - now);
 
     // Get active events with time remaining
-    const activeEvents = Array.from(this.coinEvents.entries()).map(([coinId, event]) => {
-      const eventTimeRemaining = Math.max(0, event.duration - (now - event.startTime));
-      return {
-        coinId,
-        type: event.type,
-        timeRemaining: this.formatTimeRemaining(eventTimeRemaining),
-        effect: event.multiplier > 1 ? 'POSITIVE' : 'NEGATIVE'
-      };
-    });
+    const events = await db.query(
+      `SELECT coin_id, event_type, ends_at
+       FROM market_coin_active_events
+       WHERE cycle_id = $1
+       ORDER BY coin_id`,
+      [state.cycle_id]
+    );
+    const activeEvents = events.rows.map(event => ({
+      coinId: event.coin_id,
+      type: event.event_type,
+      timeRemaining: this.formatTimeRemaining(Math.max(0, event.ends_at - now)),
+      effect: COIN_EVENTS[event.event_type].multiplier > 1 ? 'POSITIVE' : 'NEGATIVE'
+    }));
+
+    // Active sector-wide events; quiet sectors have none.
+    const sectorEvents = await db.query(
+      `SELECT sector, event_type, ends_at
+       FROM market_sector_active_events
+       WHERE cycle_id = $1 AND ends_at > $2
+       ORDER BY sector`,
+      [state.cycle_id, now]
+    );
+    const activeSectorEvents = sectorEvents.rows.map(event => ({
+      sector: event.sector,
+      type: event.event_type,
+      timeRemaining: this.formatTimeRemaining(event.ends_at - now),
+      effect: SECTOR_EVENTS[event.event_type].multiplier > 1 ? 'POSITIVE' : 'NEGATIVE'
+    }));
 
     return {
       status: 'RUNNING',
       currentCycle: {
-        type: this.currentCycle?.type || 'NONE',
+        type: state.market_cycle_type,
         timeRemaining: this.formatTimeRemaining(cycleTimeRemaining)
       },
-      events: activeEvents
+      events: activeEvents,
+      sectorEvents: activeSectorEvents
     };
   }
 
@@ -476,6 +1226,7 @@ class MarketSimulator {
         status: marketStatus.status || 'STOPPED',
         currentCycle: marketStatus.currentCycle || { type: 'NONE', timeRemaining: '00:00:00' },
         events: marketStatus.events || [],
+        sectorEvents: marketStatus.sectorEvents || [],
         timestamp: now.toISOString()
       };
 
@@ -490,3 +1241,7 @@ class MarketSimulator {
 const marketSimulator = new MarketSimulator();
 
 module.exports = marketSimulator;
+// The class itself, for isolated replays of a seed (tests, tooling).
+module.exports.MarketSimulator = MarketSimulator;
+module.exports.MARKET_LEADER_ADVISORY_LOCK_KEY = MARKET_LEADER_ADVISORY_LOCK_KEY;
+module.exports.MARKET_STATE_ADVISORY_LOCK_KEY = MARKET_STATE_ADVISORY_LOCK_KEY;
@@ -1,4 +1,6 @@
 const db = require('../db/connection');
+const { quoteTrade, poolPrice, lockPriceTicks, applyPriceImpact } = require('../game/marketImpact');
+const priceStream = require('../game/priceStream');
 
 exports.insertTransaction = async (user_id, coin_id, type, amount, price_at_transaction) => {
   // Validate inputs
@@ -166,19 +168,59 @@ exports.updatePortfolio = async (user_id, coin_id, type, amount, price_at_transa
   }
 };
 
+// Lock the coin row and price a legacy order against its liquidity pool
+// (game/marketImpact.js). The coin lock is taken FIRST, before the user or
+// portfolio lock — the same coins-first order as the simulator and round
+// trades — and is held to COMMIT so the impact write cannot race a batch;
+// only the trades' price tick lock comes before it.
+async function lockAndQuote(client, coin_id, side, amount) {
+  await lockPriceTicks(client);
+  const coinResult = await client.query(
+    `SELECT coin_id, current_price, cycle_baseline_price, price_model, price_model_params, liquidity_depth, impact_price
+     FROM coins WHERE coin_id = $1 FOR UPDATE`,
+    [coin_id]
+  );
+  const coin = coinResult.rows[0];
+  if (!coin) {
+    throw new Error('Coin not found');
+  }
+  const price = parseFloat(coin.current_price);
+  if (!(price > 0)) {
+    // A collapsed coin has no market. Buying it at £0 would hand out free
+    // coins; selling it moves nothing and is worth £0.
+    if (side === 'BUY') {
+      const error = new Error('This coin has collapsed to £0 and cannot be purchased.');
+      error.status = 400;
+      throw error;
+    }
+    return { coin, quote: null, totalAmount: 0, executionPrice: 0 };
+  }
+  const quote = quoteTrade({ side, quantity: amount, price: poolPrice(coin), depth: parseFloat(coin.liquidity_depth) });
+  return {
+    coin,
+    quote,
+    totalAmount: Math.round(quote.total * 100) / 100,
+    executionPrice: Math.round(quote.averagePrice * 100) / 100
+  };
+}
+
 // Milestone 1: exactly ONE acquired pg client owns the whole legacy buy —
 // BEGIN, the FOR UPDATE validation read, the funds mutation, the ledger
 // insert, the portfolio write, COMMIT or ROLLBACK, and finally release. The
 // previous pool-per-statement shape made the row locks and the rollback
-// illusory under concurrency. Public API and error contract are unchanged.
-exports.processBuyTransaction = async (user_id, coin_id, amount, price_at_transaction) => {
+// illusory under concurrency.
+// Market impact: the order is priced from the LOCKED coin row through the
+// coin's liquidity pool — total_amount is the impacted cost, price its
+// average execution price — and the buy then lifts the live price (coins +
+// price_history) in the same transaction.
+exports.processBuyTransaction = async (user_id, coin_id, amount) => {
   const client = await db.getClient();
   try {
     // Start a database transaction on THIS client
     await client.query('BEGIN');
     
-    // Calculate total cost
-    const totalCost = amount * price_at_transaction;
+    // Calculate total cost from the locked price
+    const { coin, quote, totalAmount: totalCost, executionPrice } = await lockAndQuote(client, coin_id, 'BUY', amount);
     
     // Check user funds (row lock held to COMMIT on this same connection)
     const fundsResult = await client.query(
@@ -187,7 +229,10 @@ exports.processBuyTransaction = async (user_id, coin_id, amount, price_at_transa
     );
     
     if (!fundsResult.rows[0] || parseFloat(fundsResult.rows[0].funds) < totalCost) {
-      throw new Error('Insufficient funds');
+      const error = new Error('Insufficient funds');
+      error.requiredAmount = totalCost;
+      error.currentPrice = coin.current_price;
+      throw error;
     }
     
     // Update user funds
@@ -202,13 +247,18 @@ exports.processBuyTransaction = async (user_id, coin_id, amount, price_at_transa
        (user_id, coin_id, type, quantity, price, total_amount)
        VALUES ($1, $2, 'BUY', $3, $4, $5)
        RETURNING *`,
-      [user_id, coin_id, amount, price_at_transaction, totalCost]
+      [user_id, coin_id, amount, executionPrice, totalCost]
     );
     
     // Update portfolio (same connection, same transaction)
     await updatePortfolioOnClient(client, user_id, coin_id, 'BUY', amount);
+
+    const priceAfter = quote ? await applyPriceImpact(client, coin, quote.newPrice) : null;
     
     await client.query('COMMIT');
+    if (priceAfter !== null && priceAfter !== parseFloat(coin.current_price)) {
+      await priceStream.publishTicks(client);
+    }
     return transactionResult.rows[0];
   } catch (error) {
     try { await client.query('ROLLBACK'); } catch (_) {}
@@ -220,15 +270,16 @@ exports.processBuyTransaction = async (user_id, coin_id, amount, price_at_transa
 
 // Milestone 1: same single-client ownership for the legacy sell — the FOR
 // UPDATE holding lock is real now, so concurrent sells serialise on this
-// connection's row lock and can never oversell.
-exports.processSellTransaction = async (user_id, coin_id, amount, price_at_transaction) => {
+// connection's row lock and can never oversell. Priced and impacted through
+// the coin's liquidity pool like the buy; a collapsed coin sells at £0.
+exports.processSellTransaction = async (user_id, coin_id, amount) => {
   const client = await db.getClient();
   try {
     // Start a database transaction on THIS client
     await client.query('BEGIN');
     
-    // Calculate total value
-    const totalValue = amount * price_at_transaction;
+    // Calculate total value from the locked price
+    const { coin, quote, totalAmount: totalValue, executionPrice } = await lockAndQuote(client, coin_id, 'SELL', amount);
     
     // Check portfolio balance (row lock held to COMMIT on this connection)
     const portfolioResult = await client.query(
@@ -253,13 +304,18 @@ exports.processSellTransaction = async (user_id, coin_id, amount, price_at_trans
        (user_id, coin_id, type, quantity, price, total_amount)
        VALUES ($1, $2, 'SELL', $3, $4, $5)
        RETURNING *`,
-      [user_id, coin_id, amount, price_at_transaction, totalValue]
+      [user_id, coin_id, amount, executionPrice, totalValue]
     );
     
     // Update portfolio (same connection, same transaction)
     await updatePortfolioOnClient(client, user_id, coin_id, 'SELL', amount);
+
+    const priceAfter = quote ? await applyPriceImpact(client, coin, quote.newPrice) : null;
     
     await client.query('COMMIT');
+    if (priceAfter !== null && priceAfter !== parseFloat(coin.current_price)) {
+      await priceStream.publishTicks(client);
+    }
     return transactionResult.rows[0];
   } catch (error) {
     try { await client.query('ROLLBACK'); } catch (_) {}
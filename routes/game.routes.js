@@ -1,12 +1,24 @@
 const express = require('express');
 const {
   getGameState,
+  getGameSignals,
   joinGame,
   buyGameTrade,
   sellGameTrade,
+  shortGameTrade,
+  coverGameTrade,
+  placeGameOrder,
+  getGameOrders,
+  cancelGameOrder,
   getLiveLeaderboard,
   getCycleResults,
-  getRecentLeaderboards
+  getCycleFairness,
+  getCycleReplay,
+  getWealthCurve,
+  getPlayerHistory,
+  getPlayerStats,
+  getRecentLeaderboards,
+  getGameStream
 } = require('../controllers/game.controller');
 const { authenticateToken } = require('../middleware/auth.middleware');
 
@@ -15,16 +27,42 @@ const gameRouter = express.Router();
 // Public, read-only global cycle state.
 gameRouter.get('/state', getGameState);
 
+// Public pre-collapse distress signals: noisy, per-epoch warning levels for
+// each live coin. Never the seed or a collapse time.
+gameRouter.get('/signals', getGameSignals);
+
 // Core 6 public read-only leaderboard/results APIs. Reads reconcile-then-read
 // (leaderboard) or serve the immutable settlement snapshot (results/recent).
 gameRouter.get('/leaderboard', getLiveLeaderboard);
 gameRouter.get('/leaderboards/recent', getRecentLeaderboards);
 gameRouter.get('/results/:cycleId', getCycleResults);
+// Provably-fair disclosure of a COMPLETED cycle: the seed and full schedule.
+gameRouter.get('/results/:cycleId/fairness', getCycleFairness);
+// Time-windowed replay of a COMPLETED cycle, trades named.
+gameRouter.get('/results/:cycleId/replay', getCycleReplay);
+// One participant's wealth over their round, one point per price batch.
+gameRouter.get('/participants/:participantId/wealth', getWealthCurve);
+
+// Public live game events (Server-Sent Events): cycle phases, milestones,
+// executed collapses and leaderboard rank changes, each after its commit.
+gameRouter.get('/stream', getGameStream);
 
 // Core 4 round-state routes. Mutating game routes are individually mounted
 // behind authentication; the GET reads above stay public.
 gameRouter.post('/join', authenticateToken, joinGame);
 gameRouter.post('/trades/buy', authenticateToken, buyGameTrade);
 gameRouter.post('/trades/sell', authenticateToken, sellGameTrade);
+gameRouter.post('/trades/short', authenticateToken, shortGameTrade);
+gameRouter.post('/trades/cover', authenticateToken, coverGameTrade);
+
+// Resting round orders (limit, stop-loss, take-profit). Reading them is
+// per-player, so it is authenticated too.
+gameRouter.post('/orders', authenticateToken, placeGameOrder);
+gameRouter.get('/orders', authenticateToken, getGameOrders);
+gameRouter.delete('/orders/:orderId', authenticateToken, cancelGameOrder);
+
+// The caller's own finished rounds and their aggregates.
+gameRouter.get('/history', authenticateToken, getPlayerHistory);
+gameRouter.get('/history/stats', authenticateToken, getPlayerStats);
 
 exports.gameRouter = gameRouter;
@@ -3,7 +3,10 @@ const {
   getMarketStatus,
   getMarketStats,
   getMarketHistory,
-  getMarketPriceHistory
+  getMarketPriceHistory,
+  getMarketEvents,
+  getMarketBatchTimings,
+  getMarketStream
 } = require('../controllers/market.controller');
 
 const marketRouter = express.Router();
@@ -12,6 +15,11 @@ marketRouter.get('/status', getMarketStatus);
 marketRouter.get('/stats', getMarketStats);
 marketRouter.get('/history', getMarketHistory);
 marketRouter.get('/price-history', getMarketPriceHistory);
+marketRouter.get('/events', getMarketEvents);
+marketRouter.get('/batch-timings', getMarketBatchTimings);
+// Server-Sent Events; WebSocket upgrades on the same path are handled by
+// server.js (game/priceStream.js handleStreamUpgrade).
+marketRouter.get('/stream', getMarketStream);
 
 // Milestone 1: there are deliberately NO POST /start or /stop routes. No
 // legitimate consumer or admin role exists; the simulator lifecycle is owned
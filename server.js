@@ -4,6 +4,9 @@ const logger = require('./utils/logger');
 const gameCycleWorker = require('./game/gameCycleWorker');
 const botWorker = require('./game/botWorker');
 const marketSimulator = require('./models/market-simulator');
+const priceStream = require('./game/priceStream');
+const gameEvents = require('./game/gameEventStream');
+const { eventBus } = require('./game/eventBus');
 
 // Top-level production JWT check (executes on require, before any listen or startServer).
 // Mirrors the root cause: prod only loads .env.production; sign+verify must share secret or protected routes 401.
@@ -61,6 +64,12 @@ const startServer = async (port = PORT) => {
       console.log(`Server is running on port ${port}`);
       console.log('Ready to accept connections');
     });
+    // WebSocket price stream (game/priceStream.js); SSE on the same path is
+    // an ordinary Express route.
+    httpServer.on('upgrade', priceStream.handleStreamUpgrade);
+    // Hear the price batches, trades and cycle events committed by other
+    // processes (game/eventBus.js).
+    await eventBus.start();
     return httpServer;
   } catch (error) {
     console.error('Server startup error:');
@@ -80,8 +89,9 @@ const startServer = async (port = PORT) => {
 // later call (including repeated signals) returns the same in-flight or
 // completed promise, so shutdown can never run twice or corrupt state.
 // Order: stop accepting new HTTP work and stop the background workers first,
-// then drain/close the PostgreSQL pool. No timer survives: the worker
-// interval is cleared and the force-exit fallback is unref'd.
+// waiting out any pass they still have running, then drain/close the
+// PostgreSQL pool. No timer survives: the worker interval is cleared and the
+// force-exit fallback is unref'd.
 const shutdown = (signal = 'unknown') => {
   if (shutdownPromise) return shutdownPromise;
 
@@ -96,24 +106,31 @@ const shutdown = (signal = 'unknown') => {
     }, SHUTDOWN_TIMEOUT_MS);
     if (typeof forceExitId.unref === 'function') forceExitId.unref();
 
-    // 1. Stop background workers/timers.
+    // 1. Stop background workers/timers, and wait out the passes they still
+    // have running: those query the pool closed below.
+    const gameCycleWorkerStopped = gameCycleWorker.stop();
+    const botWorkerStopped = botWorker.stop();
     try {
-      gameCycleWorker.stop();
+      await marketSimulator.stop();
     } catch (err) {
-      console.error('[LIFECYCLE] Error stopping game cycle worker:', err.message);
+      console.error('[LIFECYCLE] Error stopping market simulator:', err.message);
     }
     try {
-      botWorker.stop();
+      await gameCycleWorkerStopped;
     } catch (err) {
-      console.error('[LIFECYCLE] Error stopping bot worker:', err.message);
+      console.error('[LIFECYCLE] Error stopping game cycle worker:', err.message);
     }
     try {
-      marketSimulator.stop();
+      await botWorkerStopped;
     } catch (err) {
-      console.error('[LIFECYCLE] Error stopping market simulator:', err.message);
+      console.error('[LIFECYCLE] Error stopping bot worker:', err.message);
     }
 
-    // 2. Stop accepting new HTTP work and drain in-flight requests.
+    // 2. Stop accepting new HTTP work and drain in-flight requests. Open
+    // price and game event streams never finish on their own, so they are
+    // ended first.
+    priceStream.closeAllPriceStreams();
+    await gameEvents.closeAllGameEventStreams();
     if (httpServer) {
       await new Promise((resolve) => {
         if (!httpServer.listening) return resolve();
@@ -124,6 +141,12 @@ const shutdown = (signal = 'unknown') => {
     }
 
     // 3. Drain/close PostgreSQL resources (idempotent in db/connection).
+    // The event bus's LISTEN connection goes first.
+    try {
+      await eventBus.stop();
+    } catch (err) {
+      console.error('[LIFECYCLE] Error stopping event bus:', err.message);
+    }
     try {
       await db.end();
       console.log('[LIFECYCLE] Database pool closed');
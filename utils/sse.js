@@ -0,0 +1,50 @@
+// Server-Sent Events response helper shared by the streaming endpoints
+// (GET /api/market/stream, GET /api/game/stream).
+//
+// openEventStream(res) writes the event-stream headers and returns
+// { send, end, closed }: send(event, data, id) writes one named event whose
+// data is JSON (and whose id, when given, EventSource hands back as
+// Last-Event-ID on reconnect); a comment line every heartbeatMs keeps idle
+// proxies from closing the connection; onClose runs once when the client
+// goes away or end() is called.
+
+const DEFAULT_HEARTBEAT_MS = 25000;
+
+function openEventStream(res, { heartbeatMs = DEFAULT_HEARTBEAT_MS, onClose = () => {} } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(': stream open\n\n');
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+  if (typeof heartbeat.unref === 'function') heartbeat.unref();
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    onClose();
+  };
+  res.on('close', finish);
+
+  return {
+    send(event, data, id) {
+      if (closed) return;
+      res.write(`${id === undefined ? '' : `id: ${id}\n`}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      finish();
+      res.end();
+    },
+    closed: () => closed
+  };
+}
+
+module.exports = {
+  DEFAULT_HEARTBEAT_MS,
+  openEventStream
+};
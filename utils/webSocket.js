@@ -0,0 +1,227 @@
+// Minimal server-side WebSocket (RFC 6455) over Node's http 'upgrade' event.
+//
+// The API only ever pushes small JSON text messages and accepts small JSON
+// commands back, so this implements exactly that and nothing more:
+//
+//   * acceptWebSocket(req, socket, head)  validates the handshake, answers
+//                                         101 Switching Protocols and returns
+//                                         a WebSocketConnection — or answers
+//                                         400 and returns null.
+//   * WebSocketConnection                 an EventEmitter: 'message' (text),
+//                                         'close' (code) — plus send(text),
+//                                         ping() and close(code, reason).
+//
+// Client frames must be masked; fragmented, binary and oversized frames
+// close the connection with the matching status code. Pings are answered
+// with pongs, and a close frame is echoed before the socket ends. A peer
+// that stops reading is dropped once more than MAX_BUFFERED_BYTES wait to be
+// written to it, rather than buffered without bound.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const OPCODES = Object.freeze({
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+});
+
+const CLOSE_CODES = Object.freeze({
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  INVALID_PAYLOAD: 1007,
+  MESSAGE_TOO_BIG: 1009
+});
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 0x10000) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, { maxBufferedBytes = MAX_BUFFERED_BYTES } = {}) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.closed = false;
+    this.maxBufferedBytes = maxBufferedBytes;
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this.receive(chunk));
+    // The HTTP server's sockets allow half-open connections, so a peer that
+    // just goes away is seen as 'end', not 'close'.
+    socket.on('end', () => this.terminate(CLOSE_CODES.GOING_AWAY));
+    socket.on('error', () => this.terminate(CLOSE_CODES.GOING_AWAY));
+    socket.on('close', () => this.terminate(CLOSE_CODES.GOING_AWAY));
+  }
+
+  send(text) {
+    if (this.closed) return false;
+    return this.write(encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8')));
+  }
+
+  ping() {
+    if (this.closed) return;
+    this.write(encodeFrame(OPCODES.PING));
+  }
+
+  // Write a frame, dropping the connection when the peer has fallen too far
+  // behind: no close frame, which would only queue behind the rest.
+  write(frame) {
+    this.socket.write(frame);
+    if (this.socket.writableLength <= this.maxBufferedBytes) return true;
+    this.socket.destroy();
+    this.terminate(CLOSE_CODES.GOING_AWAY);
+    return false;
+  }
+
+  // Send a close frame and end the socket. 'close' is emitted once, here or
+  // when the peer goes away first.
+  close(code = CLOSE_CODES.NORMAL, reason = '') {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.socket.end(encodeFrame(OPCODES.CLOSE, payload));
+    this.terminate(code);
+  }
+
+  terminate(code) {
+    if (this.closed) return;
+    this.closed = true;
+    this.buffer = Buffer.alloc(0);
+    if (!this.socket.writableEnded) this.socket.end();
+    this.emit('close', code);
+  }
+
+  receive(chunk) {
+    if (this.closed) return;
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (!this.closed && this.buffer.length >= 2) {
+      const first = this.buffer[0];
+      const second = this.buffer[1];
+      const fin = (first & 0x80) !== 0;
+      const opcode = first & 0x0f;
+      const masked = (second & 0x80) !== 0;
+      let length = second & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        const wide = this.buffer.readBigUInt64BE(2);
+        length = wide > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(wide);
+        offset = 10;
+      }
+
+      if (!masked) return this.close(CLOSE_CODES.PROTOCOL_ERROR, 'client frames must be masked');
+      if (length > MAX_MESSAGE_BYTES) return this.close(CLOSE_CODES.MESSAGE_TOO_BIG, 'message too big');
+      if (this.buffer.length < offset + 4 + length) return;
+
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+
+      this.handleFrame({ fin, opcode, payload });
+    }
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.TEXT: {
+        if (!fin) return this.close(CLOSE_CODES.UNSUPPORTED_DATA, 'fragmented messages are not supported');
+        const text = payload.toString('utf8');
+        if (!Buffer.from(text, 'utf8').equals(payload)) {
+          return this.close(CLOSE_CODES.INVALID_PAYLOAD, 'text must be valid UTF-8');
+        }
+        this.emit('message', text);
+        return undefined;
+      }
+      case OPCODES.PING:
+        this.write(encodeFrame(OPCODES.PONG, payload));
+        return undefined;
+      case OPCODES.PONG:
+        return undefined;
+      case OPCODES.CLOSE: {
+        const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.NORMAL;
+        return this.close(code);
+      }
+      case OPCODES.CONTINUATION:
+        return this.close(CLOSE_CODES.PROTOCOL_ERROR, 'unexpected continuation frame');
+      default:
+        return this.close(CLOSE_CODES.UNSUPPORTED_DATA, 'only text messages are accepted');
+    }
+  }
+}
+
+function rejectHandshake(socket, status, message) {
+  const body = JSON.stringify({ status: 'error', message });
+  socket.end(
+    `HTTP/1.1 ${status} ${status === 404 ? 'Not Found' : 'Bad Request'}\r\n` +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    'Connection: close\r\n\r\n' +
+    body
+  );
+}
+
+// Complete the opening handshake for an http 'upgrade' request. An invalid
+// handshake is answered 400 (and the socket ended) and returns null.
+function acceptWebSocket(req, socket, head) {
+  const key = req.headers['sec-websocket-key'];
+  const isWebSocket = String(req.headers.upgrade || '').toLowerCase() === 'websocket';
+  if (req.method !== 'GET' || !isWebSocket || !key || req.headers['sec-websocket-version'] !== '13') {
+    rejectHandshake(socket, 400, 'Invalid WebSocket handshake: expected a GET upgrade with Sec-WebSocket-Key and version 13.');
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const connection = new WebSocketConnection(socket);
+  if (head && head.length > 0) connection.receive(head);
+  return connection;
+}
+
+module.exports = {
+  MAX_MESSAGE_BYTES,
+  MAX_BUFFERED_BYTES,
+  CLOSE_CODES,
+  WebSocketConnection,
+  encodeFrame,
+  rejectHandshake,
+  acceptWebSocket
+};